@@ -317,6 +317,8 @@ app.all("*", (req, res, next) => {
         "/api/materials",
         "/api/vendors",
         "/api/notifications",
+        "/api/dashboard",
+        "/api/email-queue",
       ],
     })
   );
@@ -0,0 +1,345 @@
+// backend/controllers/announcementControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import CustomError from "../errorHandler/CustomError.js";
+import { Announcement, Notification } from "../models/index.js";
+import { getReadStats } from "../utils/announcement.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import auditService from "../services/auditService.js";
+import { emitToOrganization } from "../utils/socketEmitter.js";
+import { MAX_PINNED_ANNOUNCEMENTS } from "../utils/constants.js";
+
+const ANNOUNCEMENT_POPULATE = [
+  { path: "createdBy", select: "_id firstName lastName profilePicture" },
+  { path: "department", select: "_id name" },
+  { path: "targetDepartments", select: "_id name" },
+  { path: "pinnedBy", select: "_id firstName lastName" },
+];
+
+/**
+ * Add readCount and readRate from the delivered notifications' readBy
+ * @param {Array<Object>} announcements - Lean announcements
+ * @returns {Promise<Array<Object>>} Announcements with read counts
+ */
+const withReadCounts = async (announcements) => {
+  const notificationIds = announcements
+    .map((a) => a.notification)
+    .filter(Boolean);
+
+  const notifications = notificationIds.length
+    ? await Notification.find({ _id: { $in: notificationIds } })
+        .withDeleted()
+        .select("recipients readBy")
+        .lean()
+    : [];
+  const statsById = new Map(
+    notifications.map((n) => [n._id.toString(), getReadStats(n)])
+  );
+
+  return announcements.map((announcement) => {
+    const stats = statsById.get(announcement.notification?.toString());
+    return {
+      ...announcement,
+      readCount: stats?.readCount || 0,
+      readRate: stats?.readRate ?? null,
+    };
+  });
+};
+
+/**
+ * @json {
+ *   "controller": "getAllAnnouncements",
+ *   "route": "GET /announcements",
+ *   "purpose": "List announcements with delivery status and read counts; Admins see their department's",
+ *   "transaction": false,
+ *   "returns": "Paginated announcements"
+ * }
+ */
+export const getAllAnnouncements = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { page, limit, status, departmentId, pinned } = req.validated.query;
+
+  const filter = { organization: orgId };
+  if (req.user.role !== "SuperAdmin") {
+    filter.department = req.user.department._id;
+  } else if (departmentId) {
+    filter.department = departmentId;
+  }
+  if (status) filter.status = status;
+  if (pinned !== undefined) filter.pinned = pinned;
+
+  const result = await Announcement.paginate(filter, {
+    page,
+    limit,
+    sort: { scheduledFor: -1 },
+    populate: ANNOUNCEMENT_POPULATE,
+    lean: true,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: "Announcements fetched successfully",
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalCount: result.totalDocs,
+      hasNext: result.hasNextPage,
+      hasPrev: result.hasPrevPage,
+    },
+    announcements: await withReadCounts(result.docs),
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "getPinnedAnnouncements",
+ *   "route": "GET /announcements/pinned",
+ *   "purpose": "Get the pinned announcements addressed to the authenticated user",
+ *   "transaction": false,
+ *   "returns": "Pinned announcements with the user's read state"
+ * }
+ */
+export const getPinnedAnnouncements = asyncHandler(async (req, res, next) => {
+  const callerId = req.user._id;
+
+  const announcements = await Announcement.find({
+    organization: req.user.organization._id,
+    status: "Sent",
+    pinned: true,
+    $or: [
+      { targetType: "organization" },
+      { targetDepartments: req.user.department._id },
+      { createdBy: callerId },
+    ],
+  })
+    .sort({ pinnedAt: -1 })
+    .limit(MAX_PINNED_ANNOUNCEMENTS)
+    .populate(ANNOUNCEMENT_POPULATE.slice(0, 1))
+    .lean();
+
+  const read = await Notification.find({
+    _id: { $in: announcements.map((a) => a.notification).filter(Boolean) },
+    "readBy.user": callerId,
+  })
+    .select("_id")
+    .lean();
+  const readIds = new Set(read.map((n) => n._id.toString()));
+
+  return res.status(200).json({
+    success: true,
+    message: "Pinned announcements fetched successfully",
+    announcements: announcements.map((announcement) => ({
+      ...announcement,
+      isRead:
+        announcement.createdBy?._id?.toString() === callerId.toString() ||
+        readIds.has(announcement.notification?.toString()),
+    })),
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "getAnnouncement",
+ *   "route": "GET /announcements/:announcementId",
+ *   "purpose": "Get a single announcement with read counts",
+ *   "transaction": false,
+ *   "returns": "Announcement object"
+ * }
+ */
+export const getAnnouncement = asyncHandler(async (req, res, next) => {
+  const { announcementId } = req.validated.params;
+
+  const announcement = await Announcement.findOne({
+    _id: announcementId,
+    organization: req.user.organization._id,
+  })
+    .populate(ANNOUNCEMENT_POPULATE)
+    .lean();
+  if (!announcement)
+    throw CustomError.notFound("Announcement not found", { announcementId });
+
+  const [withCounts] = await withReadCounts([announcement]);
+
+  return res.status(200).json({
+    success: true,
+    message: "Announcement fetched successfully",
+    announcement: withCounts,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "pinAnnouncement",
+ *   "route": "PATCH /announcements/:announcementId/pin",
+ *   "purpose": "Pin a sent announcement to the top of recipients' notifications, or unpin it",
+ *   "transaction": true,
+ *   "returns": "Updated announcement"
+ * }
+ */
+export const pinAnnouncement = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { announcementId } = req.validated.params;
+  const { pinned } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const announcement = await Announcement.findOne({
+      _id: announcementId,
+      organization: orgId,
+    }).session(session);
+    if (!announcement)
+      throw CustomError.notFound("Announcement not found", { announcementId });
+
+    if (pinned && announcement.status !== "Sent") {
+      throw CustomError.validation("Only sent announcements can be pinned", {
+        announcementId,
+        status: announcement.status,
+      });
+    }
+
+    if (pinned && !announcement.pinned) {
+      const pinnedCount = await Announcement.countDocuments({
+        organization: orgId,
+        department: announcement.department,
+        pinned: true,
+      }).session(session);
+      if (pinnedCount >= MAX_PINNED_ANNOUNCEMENTS) {
+        throw CustomError.conflict(
+          `A department can have at most ${MAX_PINNED_ANNOUNCEMENTS} pinned announcements`,
+          { announcementId, pinnedCount, maxAllowed: MAX_PINNED_ANNOUNCEMENTS }
+        );
+      }
+    }
+
+    const before = toAuditSnapshot(announcement);
+    announcement.pinned = pinned;
+    announcement.pinnedAt = pinned ? new Date() : undefined;
+    announcement.pinnedBy = pinned ? callerId : undefined;
+    await announcement.save({ session });
+
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: announcement,
+      before,
+    });
+
+    await session.commitTransaction();
+
+    emitToOrganization(orgId, "organization:announcement:updated", {
+      announcementId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: pinned
+        ? "Announcement pinned successfully"
+        : "Announcement unpinned successfully",
+      announcement,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "cancelAnnouncement",
+ *   "route": "POST /announcements/:announcementId/cancel",
+ *   "purpose": "Cancel a scheduled announcement before it is sent",
+ *   "transaction": false,
+ *   "returns": "Cancelled announcement"
+ * }
+ */
+export const cancelAnnouncement = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { announcementId } = req.validated.params;
+
+  // Claimed atomically so the scheduler cannot deliver it at the same time
+  const announcement = await Announcement.findOneAndUpdate(
+    { _id: announcementId, organization: orgId, status: "Scheduled" },
+    { $set: { status: "Cancelled" } },
+    { new: true }
+  );
+  if (!announcement) {
+    throw CustomError.validation(
+      "Only scheduled announcements can be cancelled",
+      { announcementId }
+    );
+  }
+
+  // Only a scheduled announcement can have been claimed above
+  await auditService.record(null, req, {
+    action: "Updated",
+    document: announcement,
+    before: { ...toAuditSnapshot(announcement), status: "Scheduled" },
+  });
+
+  emitToOrganization(orgId, "organization:announcement:updated", {
+    announcementId,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: "Announcement cancelled successfully",
+    announcement,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "deleteAnnouncement",
+ *   "route": "DELETE /announcements/:announcementId",
+ *   "purpose": "Soft delete an announcement; scheduled ones are no longer delivered",
+ *   "transaction": true,
+ *   "returns": "Success message with deletion timestamp"
+ * }
+ */
+export const deleteAnnouncement = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { announcementId } = req.validated.params;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const announcement = await Announcement.findById(announcementId).session(
+      session
+    );
+
+    await Announcement.softDeleteById(announcementId, {
+      session,
+      deletedBy: callerId,
+    });
+
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: announcement,
+    });
+
+    await session.commitTransaction();
+
+    emitToOrganization(orgId, "organization:announcement:updated", {
+      announcementId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Announcement soft-deleted successfully",
+      announcement: {
+        announcementId,
+        deletedAt: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
@@ -3,6 +3,8 @@ import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import CustomError from "../errorHandler/CustomError.js";
 import { Attachment } from "../models/index.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import auditService from "../services/auditService.js";
 
 /**
  * @json {
@@ -32,6 +34,11 @@ export const createAttachment = asyncHandler(async (req, res, next) => {
 
     await attachment.save({ session });
 
+    await auditService.record(session, req, {
+      action: "Created",
+      document: attachment,
+    });
+
     // Populate references
     await attachment.populate([
       {
@@ -256,6 +263,8 @@ export const updateAttachment = asyncHandler(async (req, res, next) => {
       throw CustomError.notFound("Attachment not found", { attachmentId });
     }
 
+    const before = toAuditSnapshot(attachment);
+
     // Apply updates
     Object.keys(updates).forEach((key) => {
       attachment[key] = updates[key];
@@ -263,6 +272,12 @@ export const updateAttachment = asyncHandler(async (req, res, next) => {
 
     await attachment.save({ session });
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: attachment,
+      before,
+    });
+
     // Populate references
     await attachment.populate([
       {
@@ -337,6 +352,11 @@ export const deleteAttachment = asyncHandler(async (req, res, next) => {
       deletedBy: userId,
     });
 
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: attachment,
+    });
+
     await session.commitTransaction();
 
     return res.status(200).json({
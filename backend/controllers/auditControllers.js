@@ -0,0 +1,80 @@
+// backend/controllers/auditControllers.js
+import asyncHandler from "express-async-handler";
+import { AuditLog } from "../models/index.js";
+import { hasPermission } from "../utils/authorizationMatrix.js";
+
+/**
+ * @json {
+ *   "controller": "getAuditLogs",
+ *   "route": "GET /audit",
+ *   "purpose": "Query the create/update/delete/restore trail with field-level changes",
+ *   "transaction": false,
+ *   "returns": "Audit entries array with pagination metadata"
+ * }
+ */
+export const getAuditLogs = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const {
+    page,
+    limit,
+    action,
+    resourceModel,
+    resourceId,
+    actorId,
+    departmentId,
+    from,
+    to,
+    organizationId,
+    sortOrder,
+  } = req.validated.query;
+
+  const filter = {};
+  if (req.authz.scope === "crossOrg") {
+    if (organizationId) filter.organization = organizationId;
+  } else {
+    filter.organization = orgId;
+  }
+  // Roles without cross-department access only see their own department
+  if (departmentId) {
+    filter.department = departmentId;
+  } else if (!hasPermission(req.user, "AuditLog", "read", "crossDept")) {
+    filter.department = req.user.department._id;
+  }
+  if (action) filter.action = action;
+  if (resourceModel) filter.resourceModel = resourceModel;
+  if (resourceId) filter.resourceId = resourceId;
+  if (actorId) filter.actor = actorId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const options = {
+    page,
+    limit,
+    sort: { createdAt: sortOrder === "asc" || sortOrder === "1" ? 1 : -1 },
+    populate: [
+      { path: "actor", select: "_id firstName lastName email role" },
+      { path: "department", select: "_id name" },
+      { path: "organization", select: "_id name" },
+    ],
+    lean: true,
+  };
+
+  const result = await AuditLog.paginate(filter, options);
+
+  return res.status(200).json({
+    success: true,
+    message: "Audit log fetched successfully",
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalCount: result.totalDocs,
+      hasNext: result.hasNextPage,
+      hasPrev: result.hasPrevPage,
+    },
+    auditLogs: result.docs,
+  });
+});
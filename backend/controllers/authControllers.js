@@ -3,14 +3,81 @@ import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import { Organization, Department, User } from "../models/index.js";
 import {
-  generateAccessToken,
-  generateRefreshToken,
+  generateTwoFactorChallengeToken,
   getAccessTokenCookieOptions,
   getRefreshTokenCookieOptions,
 } from "../utils/generateTokens.js";
 import CustomError from "../errorHandler/CustomError.js";
 import checkUserStatus from "../utils/userStatus.js";
 import emailService from "../services/emailService.js";
+import sessionService from "../services/sessionService.js";
+import securityService from "../services/securityService.js";
+import auditService from "../services/auditService.js";
+import {
+  buildTwoFactorSetup,
+  isTwoFactorRequired,
+} from "../utils/twoFactor.js";
+import {
+  isAccountLocked,
+  getLockoutMinutesRemaining,
+} from "../utils/accountLockout.js";
+
+/**
+ * Error for sign-in attempts on a locked account
+ * @param {Object} user - Locked user
+ * @param {Date} lockedUntil - When the lock ends
+ * @returns {CustomError}
+ */
+const accountLockedError = (user, lockedUntil) =>
+  new CustomError(
+    `Account locked after too many failed sign-in attempts. Try again in ${getLockoutMinutesRemaining(
+      lockedUntil
+    )} minute(s) or reset your password.`,
+    429,
+    "ACCOUNT_LOCKED",
+    { userId: user._id, lockedUntil }
+  );
+
+/**
+ * Start a session for a fully authenticated user, set the token cookies and
+ * send the user back
+ * @param {Object} user - User with populated organization and department
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} extra - Additional response fields
+ */
+const completeLogin = async (user, req, res, extra = {}) => {
+  // Start a new refresh token family for this device
+  const { accessToken, refreshToken } = await sessionService.createSession(
+    user,
+    req
+  );
+
+  await securityService.clearFailedLogins(user);
+  await securityService.logEvent("LoginSucceeded", {
+    user,
+    req,
+    metadata: { twoFactor: !!user.twoFactor?.enabled },
+  });
+
+  // Set cookies
+  res.cookie("access_token", accessToken, getAccessTokenCookieOptions());
+  res.cookie("refresh_token", refreshToken, getRefreshTokenCookieOptions());
+
+  // Remove password from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  delete userResponse.isDeleted;
+  delete userResponse.organization.isDeleted;
+  delete userResponse.department.isDeleted;
+
+  return res.status(200).json({
+    success: true,
+    message: "Login successful",
+    user: userResponse,
+    ...extra,
+  });
+};
 
 /**
  * @json {
@@ -73,6 +140,17 @@ export const registerOrganization = asyncHandler(async (req, res, next) => {
     });
     await adminUser.save({ session });
 
+    // The registering SuperAdmin is the actor of everything created here
+    for (const document of [organization, department, adminUser]) {
+      await auditService.record(session, req, {
+        action: "Created",
+        document,
+        organization: organization._id,
+        department: document === organization ? undefined : department._id,
+        actor: adminUser,
+      });
+    }
+
     // Email verification here
 
     // Commit transaction
@@ -96,7 +174,7 @@ export const registerOrganization = asyncHandler(async (req, res, next) => {
  * @json {
  *   "controller": "loginUser",
  *   "route": "POST /api/auth/login",
- *   "purpose": "Authenticate user and set access/refresh tokens via cookies",
+ *   "purpose": "Authenticate user, start a session and set access/refresh tokens via cookies",
  *   "transaction": false,
  *   "returns": "User object with populated organization and department"
  * }
@@ -111,7 +189,7 @@ export const loginUser = asyncHandler(async (req, res, next) => {
       path: "organization",
       match: { isDeleted: false },
       select:
-        "_id name description email phone address industry logoUrl createdBy createdAt",
+        "_id name description email phone address industry logoUrl requireTwoFactor createdBy createdAt",
     })
     .populate({
       path: "department",
@@ -126,6 +204,11 @@ export const loginUser = asyncHandler(async (req, res, next) => {
 
   // Check if user exists
   if (!user) {
+    await securityService.logEvent("LoginFailed", {
+      email,
+      req,
+      metadata: { reason: "UnknownEmail" },
+    });
     throw CustomError.authentication("Invalid email or password", {
       email: email,
       reason: "User not found or invalid credentials",
@@ -144,48 +227,164 @@ export const loginUser = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Locked accounts are refused before the password is even checked
+  if (isAccountLocked(user)) {
+    await securityService.logEvent("LoginFailed", {
+      user,
+      req,
+      metadata: { reason: "AccountLocked" },
+    });
+    throw accountLockedError(user, user.lockedUntil);
+  }
+
   // Verify password
   if (!(await user.comparePassword(password))) {
+    const lockedUntil = await securityService.recordFailedLogin(
+      user,
+      req,
+      "InvalidPassword"
+    );
+    if (lockedUntil) throw accountLockedError(user, lockedUntil);
+
     throw CustomError.authentication("Invalid email or password", {
       email: email,
       reason: "Password verification failed",
     });
   }
 
-  // Generate tokens
-  const accessToken = generateAccessToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+  // Second factor: no session until POST /auth/2fa/verify succeeds. Users
+  // whose organization requires it but who have not enrolled set it up first.
+  if (isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor verification required",
+      twoFactorRequired: true,
+      setupRequired: !user.twoFactor?.enabled,
+      challengeToken: generateTwoFactorChallengeToken(user),
+    });
+  }
 
-  // Set cookies
-  res.cookie("access_token", accessToken, getAccessTokenCookieOptions());
-  res.cookie("refresh_token", refreshToken, getRefreshTokenCookieOptions());
+  return completeLogin(user, req, res);
+});
 
-  // Remove password from response
-  const userResponse = user.toObject();
-  delete userResponse.password;
-  delete userResponse.isDeleted;
-  delete userResponse.organization.isDeleted;
-  delete userResponse.department.isDeleted;
+/**
+ * @json {
+ *   "controller": "setupTwoFactorLogin",
+ *   "route": "POST /api/auth/2fa/setup",
+ *   "purpose": "Start TOTP enrollment during login when the organization requires two-factor",
+ *   "transaction": false,
+ *   "returns": "Secret, otpauth URL and QR code data URL for an authenticator app"
+ * }
+ */
+export const setupTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  // User is already authenticated via verifyTwoFactorChallenge middleware
+  const user = req.user;
+
+  if (user.twoFactor?.enabled) {
+    throw CustomError.conflict("Two-factor authentication is already set up", {
+      userId: user._id,
+    });
+  }
+
+  if (!isTwoFactorRequired(user)) {
+    throw CustomError.authorization(
+      "Two-factor setup during login is only for organizations that require it",
+      { userId: user._id, organizationId: user.organization?._id }
+    );
+  }
+
+  const secret = user.startTwoFactorEnrollment();
+  await user.save({ validateBeforeSave: false });
 
   return res.status(200).json({
     success: true,
-    message: "Login successful",
-    user: userResponse,
+    message: "Scan the QR code with your authenticator app",
+    setup: await buildTwoFactorSetup(user, secret),
   });
 });
 
+/**
+ * @json {
+ *   "controller": "verifyTwoFactorLogin",
+ *   "route": "POST /api/auth/2fa/verify",
+ *   "purpose": "Complete login with an authenticator or recovery code, finishing enrollment if pending",
+ *   "transaction": false,
+ *   "returns": "User object with tokens set in cookies; new recovery codes after enrollment"
+ * }
+ */
+export const verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  // User is already authenticated via verifyTwoFactorChallenge middleware
+  const user = req.user;
+  const { code, recoveryCode } = req.validated.body;
+
+  if (isAccountLocked(user)) {
+    throw accountLockedError(user, user.lockedUntil);
+  }
+
+  // Finishing the enrollment started at /auth/2fa/setup
+  if (!user.twoFactor?.enabled) {
+    if (!user.twoFactor?.pendingSecret || !code) {
+      throw CustomError.validation(
+        "Set up your authenticator app before verifying",
+        { userId: user._id }
+      );
+    }
+
+    const recoveryCodes = user.completeTwoFactorEnrollment(code);
+    if (!recoveryCodes) {
+      throw CustomError.authentication("Invalid verification code", {
+        userId: user._id,
+        reason: "TOTP enrollment code mismatch",
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+    return completeLogin(user, req, res, { recoveryCodes });
+  }
+
+  const verified = code
+    ? user.verifyTwoFactorCode(code)
+    : user.consumeRecoveryCode(recoveryCode);
+
+  if (!verified) {
+    const lockedUntil = await securityService.recordFailedLogin(
+      user,
+      req,
+      code ? "InvalidTwoFactorCode" : "InvalidRecoveryCode"
+    );
+    if (lockedUntil) throw accountLockedError(user, lockedUntil);
+
+    throw CustomError.authentication("Invalid verification code", {
+      userId: user._id,
+      reason: code ? "TOTP code mismatch" : "Unknown recovery code",
+    });
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  return completeLogin(
+    user,
+    req,
+    res,
+    recoveryCode
+      ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }
+      : {}
+  );
+});
+
 /**
  * @json {
  *   "controller": "logoutUser",
  *   "route": "DELETE /api/auth/logout",
- *   "purpose": "Logout user and clear authentication cookies",
+ *   "purpose": "Logout user, revoke the current session and clear authentication cookies",
  *   "transaction": false,
  *   "returns": "Success message confirming logout"
  * }
  */
 export const logoutUser = asyncHandler(async (req, res, next) => {
-  // User is already authenticated via verifyRefreshToken middleware
-  // We can access the user via req.user
+  // User and session are already authenticated via verifyRefreshToken
+  // middleware, available as req.user and req.userSession
+  await sessionService.revokeSessions({ _id: req.userSession._id }, "Logout");
 
   // Clear cookies
   res.clearCookie("access_token", {
@@ -210,9 +409,9 @@ export const logoutUser = asyncHandler(async (req, res, next) => {
  * @json {
  *   "controller": "getRefreshToken",
  *   "route": "GET /api/auth/refresh-token",
- *   "purpose": "Get new access token using refresh token",
+ *   "purpose": "Get new access token and rotate the refresh token",
  *   "transaction": false,
- *   "returns": "User object with new access token set in cookie"
+ *   "returns": "User object with new access and refresh tokens set in cookies"
  * }
  */
 export const getRefreshToken = asyncHandler(async (req, res, next) => {
@@ -220,8 +419,8 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
   // We can access the authenticated user via req.user
   const user = req.user;
 
-  // The refresh token has already been verified by the middleware
-  // No need to extract or verify it again
+  // The refresh token has already been verified by the middleware and
+  // matched to its session (req.userSession); no need to verify it again
 
   // Check organization, department and user status
   const userStatus = checkUserStatus(user);
@@ -234,11 +433,30 @@ export const getRefreshToken = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Generate new access token
-  const newAccessToken = generateAccessToken(user._id);
+  // Rotate the refresh token; the presented one stops working
+  const tokens = await sessionService.rotateSession(
+    user,
+    req.userSession,
+    req.refreshTokenId,
+    req
+  );
+
+  if (!tokens) {
+    await sessionService.revokeSessions({ _id: req.userSession._id }, "Reuse");
+    throw CustomError.authentication("Refresh token has already been used", {
+      userId: user._id,
+      sessionId: req.userSession._id,
+      reason: "Token reuse detected, session revoked",
+    });
+  }
 
-  // Set new access token cookie
-  res.cookie("access_token", newAccessToken, getAccessTokenCookieOptions());
+  // Set new token cookies
+  res.cookie("access_token", tokens.accessToken, getAccessTokenCookieOptions());
+  res.cookie(
+    "refresh_token",
+    tokens.refreshToken,
+    getRefreshTokenCookieOptions()
+  );
 
   // Prepare user response without internal flags
   const userResponse =
@@ -330,6 +548,8 @@ export const forgotPassword = asyncHandler(async (req, res, next) => {
   const resetToken = user.generatePasswordResetToken();
   await user.save({ validateBeforeSave: false });
 
+  await securityService.logEvent("PasswordResetRequested", { user, req });
+
   try {
     // Send password reset email
     await emailService.sendPasswordResetEmail({
@@ -403,11 +623,17 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Set new password and clear reset token
+  // Set new password and clear reset token; proving control of the email
+  // also lifts a lockout
   user.password = newPassword;
   user.clearPasswordResetToken();
+  user.failedLoginAttempts = 0;
+  user.lockoutCount = 0;
+  user.lockedUntil = null;
   await user.save();
 
+  await securityService.logEvent("PasswordReset", { user, req });
+
   return res.status(200).json({
     success: true,
     message:
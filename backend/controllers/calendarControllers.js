@@ -0,0 +1,92 @@
+// backend/controllers/calendarControllers.js
+import asyncHandler from "express-async-handler";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  User,
+  AssignedTask,
+  ProjectTask,
+  RoutineTask,
+} from "../models/index.js";
+import checkUserStatus from "../utils/userStatus.js";
+import {
+  buildCalendar,
+  buildTaskEvent,
+  hashFeedToken,
+} from "../utils/calendarFeed.js";
+import {
+  CALENDAR_FEED_MAX_EVENTS,
+  CALENDAR_FEED_PAST_DAYS,
+  DEFAULT_NOTIFICATION_TIMEZONE,
+} from "../utils/constants.js";
+
+const FEED_FIELDS =
+  "title description status priority taskType date dueDate updatedAt";
+
+/**
+ * @json {
+ *   "controller": "getCalendarFeed",
+ *   "route": "GET /calendar/feed/:token.ics",
+ *   "purpose": "Serve a user's tasks as an iCalendar feed for calendar apps; the secret token stands in for sign-in",
+ *   "transaction": false,
+ *   "returns": "text/calendar with AssignedTasks the user is assigned to, ProjectTasks they watch and their RoutineTasks"
+ * }
+ */
+export const getCalendarFeed = asyncHandler(async (req, res, next) => {
+  const { token } = req.validated.params;
+
+  const user = await User.findOne({
+    "calendarFeed.tokenHash": hashFeedToken(token),
+  })
+    .populate({ path: "organization", select: "name isDeleted" })
+    .populate({ path: "department", select: "name organization isDeleted" });
+
+  // Revoked tokens and unusable accounts look the same as unknown tokens
+  if (!user || checkUserStatus(user).status) {
+    throw CustomError.notFound("Calendar feed not found");
+  }
+
+  const base = { organization: user.organization._id, isDeleted: false };
+  const since = new Date(
+    Date.now() - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const [assigned, watched, routine] = await Promise.all([
+    AssignedTask.find({
+      ...base,
+      assignees: user._id,
+      dueDate: { $gte: since },
+    })
+      .select(FEED_FIELDS)
+      .sort({ dueDate: 1 })
+      .limit(CALENDAR_FEED_MAX_EVENTS)
+      .lean(),
+    ProjectTask.find({ ...base, watchers: user._id, dueDate: { $gte: since } })
+      .select(FEED_FIELDS)
+      .sort({ dueDate: 1 })
+      .limit(CALENDAR_FEED_MAX_EVENTS)
+      .lean(),
+    RoutineTask.find({ ...base, createdBy: user._id, date: { $gte: since } })
+      .select(FEED_FIELDS)
+      .sort({ date: 1 })
+      .limit(CALENDAR_FEED_MAX_EVENTS)
+      .lean(),
+  ]);
+
+  const options = {
+    timezone:
+      user.notificationPreferences?.timezone || DEFAULT_NOTIFICATION_TIMEZONE,
+    clientUrl: process.env.CLIENT_URL,
+  };
+  const events = [...assigned, ...watched, ...routine]
+    .sort((a, b) => (a.dueDate || a.date) - (b.dueDate || b.date))
+    .slice(0, CALENDAR_FEED_MAX_EVENTS)
+    .map((task) => buildTaskEvent(task, options));
+
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Cache-Control": "private, max-age=300",
+  });
+  return res
+    .status(200)
+    .send(buildCalendar(events, { name: `Tasks · ${user.organization.name}` }));
+});
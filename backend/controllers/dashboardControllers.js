@@ -0,0 +1,234 @@
+// backend/controllers/dashboardControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import dayjs from "dayjs";
+import { BaseTask, TaskActivity } from "../models/index.js";
+import { generateMonthRange } from "../utils/helpers.js";
+import { HEAD_OF_DEPARTMENT_ROLES } from "../utils/constants.js";
+
+const DUE_TASK_PREVIEW_LIMIT = 5;
+
+const dueTaskProjection = {
+  _id: 1,
+  title: 1,
+  taskType: 1,
+  status: 1,
+  priority: 1,
+  dueDate: 1,
+  department: 1,
+};
+
+/**
+ * Turn a `[{ _id, count }]` group result into a `{ key: count }` map
+ * @param {Array} rows - Aggregation rows
+ * @returns {Object} Count map keyed by group id
+ */
+const toCountMap = (rows = []) =>
+  rows.reduce((acc, row) => {
+    if (row._id !== null && row._id !== undefined) acc[row._id] = row.count;
+    return acc;
+  }, {});
+
+/**
+ * @json {
+ *   "controller": "getDashboard",
+ *   "route": "GET /dashboard",
+ *   "purpose": "Aggregate task distribution, due/overdue tasks, department throughput and material spend for the dashboard",
+ *   "transaction": false,
+ *   "returns": "Dashboard analytics object"
+ * }
+ */
+export const getDashboard = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+  const role = req.user.role;
+
+  const { departmentId, months = 6 } = req.validated.query;
+
+  const match = {
+    organization: new mongoose.Types.ObjectId(String(orgId)),
+    isDeleted: false,
+  };
+
+  // Role scope: HOD can see crossDept; others restricted to own dept
+  if (HEAD_OF_DEPARTMENT_ROLES.includes(role)) {
+    if (departmentId) {
+      match.department = new mongoose.Types.ObjectId(String(departmentId));
+    }
+  } else {
+    match.department = new mongoose.Types.ObjectId(String(deptId));
+  }
+
+  const now = new Date();
+  const weekStart = dayjs(now).startOf("week").toDate();
+  const weekEnd = dayjs(now).endOf("week").toDate();
+  const monthRange = generateMonthRange(months);
+  const rangeStart = new Date(`${monthRange[0]}-01T00:00:00.000Z`);
+
+  // Only AssignedTask/ProjectTask carry a dueDate; Completed ones are no longer due
+  const openWithDueDate = {
+    dueDate: { $ne: null },
+    status: { $ne: "Completed" },
+  };
+
+  const [taskFacets] = await BaseTask.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+        byPriority: [{ $group: { _id: "$priority", count: { $sum: 1 } } }],
+        byType: [{ $group: { _id: "$taskType", count: { $sum: 1 } } }],
+        overdue: [
+          { $match: { ...openWithDueDate, dueDate: { $lt: now } } },
+          {
+            $facet: {
+              count: [{ $count: "count" }],
+              tasks: [
+                { $sort: { dueDate: 1 } },
+                { $limit: DUE_TASK_PREVIEW_LIMIT },
+                { $project: dueTaskProjection },
+              ],
+            },
+          },
+        ],
+        dueThisWeek: [
+          {
+            $match: {
+              ...openWithDueDate,
+              dueDate: { $gte: now, $lte: weekEnd },
+            },
+          },
+          {
+            $facet: {
+              count: [{ $count: "count" }],
+              tasks: [
+                { $sort: { dueDate: 1 } },
+                { $limit: DUE_TASK_PREVIEW_LIMIT },
+                { $project: dueTaskProjection },
+              ],
+            },
+          },
+        ],
+        // Completion time is approximated by the routine log date or the last update
+        throughput: [
+          { $match: { status: "Completed" } },
+          {
+            $addFields: {
+              completedOn: { $ifNull: ["$date", "$updatedAt"] },
+            },
+          },
+          { $match: { completedOn: { $gte: rangeStart } } },
+          {
+            $group: {
+              _id: {
+                department: "$department",
+                month: {
+                  $dateToString: { format: "%Y-%m", date: "$completedOn" },
+                },
+              },
+              count: { $sum: 1 },
+            },
+          },
+          {
+            $lookup: {
+              from: "departments",
+              localField: "_id.department",
+              foreignField: "_id",
+              as: "department",
+              pipeline: [{ $project: { _id: 1, name: 1 } }],
+            },
+          },
+          { $unwind: "$department" },
+        ],
+        routineSpend: [
+          {
+            $match: {
+              taskType: "RoutineTask",
+              date: { $gte: rangeStart },
+            },
+          },
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m", date: "$date" } },
+              total: { $sum: { $ifNull: ["$totalMaterialCost", 0] } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const activitySpend = await TaskActivity.aggregate([
+    {
+      $match: {
+        ...match,
+        loggedAt: { $gte: rangeStart },
+      },
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m", date: "$loggedAt" } },
+        total: { $sum: { $ifNull: ["$totalMaterialCost", 0] } },
+      },
+    },
+  ]);
+
+  // Fill every month of the range so charts get a continuous series
+  const throughputByDepartment = new Map();
+  for (const row of taskFacets.throughput) {
+    const key = row.department._id.toString();
+    if (!throughputByDepartment.has(key)) {
+      throughputByDepartment.set(key, {
+        department: row.department,
+        counts: Object.fromEntries(monthRange.map((m) => [m, 0])),
+      });
+    }
+    const entry = throughputByDepartment.get(key);
+    if (row._id.month in entry.counts) entry.counts[row._id.month] = row.count;
+  }
+
+  const routineByMonth = Object.fromEntries(
+    taskFacets.routineSpend.map((r) => [r._id, r.total])
+  );
+  const activityByMonth = Object.fromEntries(
+    activitySpend.map((r) => [r._id, r.total])
+  );
+
+  return res.status(200).json({
+    success: true,
+    message: "Dashboard fetched successfully",
+    dashboard: {
+      scope: {
+        departmentId: match.department || null,
+        months,
+        weekStart,
+        weekEnd,
+      },
+      totals: {
+        tasks: taskFacets.total[0]?.count || 0,
+        overdue: taskFacets.overdue[0]?.count[0]?.count || 0,
+        dueThisWeek: taskFacets.dueThisWeek[0]?.count[0]?.count || 0,
+      },
+      byStatus: toCountMap(taskFacets.byStatus),
+      byPriority: toCountMap(taskFacets.byPriority),
+      byType: toCountMap(taskFacets.byType),
+      overdueTasks: taskFacets.overdue[0]?.tasks || [],
+      dueThisWeekTasks: taskFacets.dueThisWeek[0]?.tasks || [],
+      throughput: {
+        months: monthRange,
+        departments: [...throughputByDepartment.values()].map(
+          ({ department, counts }) => ({
+            department,
+            counts: monthRange.map((m) => counts[m]),
+          })
+        ),
+      },
+      materialSpend: {
+        months: monthRange,
+        routineTasks: monthRange.map((m) => routineByMonth[m] || 0),
+        taskActivities: monthRange.map((m) => activityByMonth[m] || 0),
+      },
+    },
+  });
+});
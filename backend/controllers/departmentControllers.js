@@ -4,6 +4,8 @@ import asyncHandler from "express-async-handler";
 import CustomError from "../errorHandler/CustomError.js";
 import { Department, User, BaseTask, TaskActivity } from "../models/index.js";
 import { createNotification } from "../utils/helpers.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import auditService from "../services/auditService.js";
 import { HEAD_OF_DEPARTMENT_ROLES } from "../utils/constants.js";
 import { emitToDepartment, emitToRecipients } from "../utils/socketEmitter.js";
 
@@ -35,6 +37,12 @@ export const createDepartment = asyncHandler(async (req, res, next) => {
     await dept.save({ session });
     const created = dept;
 
+    await auditService.record(session, req, {
+      action: "Created",
+      document: dept,
+      department: dept._id,
+    });
+
     const hodRecipients = await User.find({
       organization: orgId,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
@@ -273,6 +281,13 @@ export const updateDepartment = asyncHandler(async (req, res, next) => {
     if (name !== undefined) update.name = name;
     if (description !== undefined) update.description = description;
 
+    const before = toAuditSnapshot(
+      await Department.findOne({
+        _id: departmentId,
+        organization: orgId,
+      }).session(session)
+    );
+
     await Department.updateOne(
       { _id: departmentId, organization: orgId },
       { $set: update },
@@ -306,6 +321,13 @@ export const updateDepartment = asyncHandler(async (req, res, next) => {
       })
       .session(session);
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: updated,
+      before,
+      department: departmentId,
+    });
+
     const hodRecipients = await User.find({
       department: departmentId,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
@@ -367,6 +389,13 @@ export const deleteDepartment = asyncHandler(async (req, res, next) => {
   try {
     await Department.softDeleteByIdWithCascade(departmentId, { session });
 
+    await auditService.record(session, req, {
+      action: "Deleted",
+      resourceModel: "Department",
+      resourceId: departmentId,
+      department: departmentId,
+    });
+
     const hodRecipients = await User.find({
       department: departmentId,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
@@ -451,6 +480,12 @@ export const restoreDepartment = asyncHandler(async (req, res, next) => {
       })
       .session(session);
 
+    await auditService.record(session, req, {
+      action: "Restored",
+      document: restored,
+      department: departmentId,
+    });
+
     const hodRecipients = await User.find({
       department: departmentId,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
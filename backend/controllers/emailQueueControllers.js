@@ -0,0 +1,159 @@
+// backend/controllers/emailQueueControllers.js
+import asyncHandler from "express-async-handler";
+import CustomError from "../errorHandler/CustomError.js";
+import { QueuedEmail } from "../models/index.js";
+import emailService from "../services/emailService.js";
+import { EMAIL_QUEUE_RETENTION_DAYS } from "../utils/constants.js";
+import { escapeRegex } from "../utils/helpers.js";
+
+/**
+ * @json {
+ *   "controller": "getAllQueuedEmails",
+ *   "route": "GET /email-queue",
+ *   "purpose": "List queued emails with delivery status (content excluded)",
+ *   "transaction": false,
+ *   "returns": "Queued emails array with pagination metadata"
+ * }
+ */
+export const getAllQueuedEmails = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const {
+    page = 1,
+    limit = 10,
+    status,
+    search,
+    organizationId,
+    sortBy = "createdAt",
+    sortOrder = "desc",
+  } = req.validated.query;
+
+  const filter = {};
+  // Platform users see every organization unless they filter by one
+  if (req.authz.scope === "crossOrg") {
+    if (organizationId) filter.organization = organizationId;
+  } else {
+    filter.organization = orgId;
+  }
+  if (status) filter.status = status;
+  if (search) {
+    const rx = new RegExp(escapeRegex(search), "i");
+    filter.$or = [{ to: rx }, { subject: rx }];
+  }
+
+  const options = {
+    page,
+    limit,
+    sort: { [sortBy]: sortOrder === "asc" || sortOrder === "1" ? 1 : -1 },
+    select: "-html -text",
+    populate: [
+      {
+        path: "organization",
+        match: { isDeleted: false },
+        select: "_id name",
+      },
+    ],
+    lean: true,
+  };
+
+  const result = await QueuedEmail.paginate(filter, options);
+
+  return res.status(200).json({
+    success: true,
+    message: "Queued emails fetched successfully",
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalCount: result.totalDocs,
+      hasNext: result.hasNextPage,
+      hasPrev: result.hasPrevPage,
+    },
+    queuedEmails: result.docs,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "retryQueuedEmail",
+ *   "route": "POST /email-queue/:emailId/retry",
+ *   "purpose": "Reset a dead-lettered email's attempts and queue it for immediate delivery",
+ *   "transaction": false,
+ *   "returns": "Updated queued email object"
+ * }
+ */
+export const retryQueuedEmail = asyncHandler(async (req, res, next) => {
+  const { emailId } = req.validated.params;
+
+  // Status guard in the filter keeps this atomic against the queue processor
+  const queuedEmail = await QueuedEmail.findOneAndUpdate(
+    { _id: emailId, status: "Dead" },
+    {
+      $set: {
+        status: "Pending",
+        attempts: 0,
+        nextAttemptAt: new Date(),
+      },
+    },
+    { new: true, projection: "-html -text" }
+  );
+
+  if (!queuedEmail) {
+    const existing = await QueuedEmail.findById(emailId).select("status");
+    if (!existing) throw CustomError.notFound("Queued email not found");
+    throw CustomError.conflict("Only failed (Dead) emails can be retried", {
+      emailId,
+      status: existing.status,
+    });
+  }
+
+  emailService.processQueue();
+
+  return res.status(200).json({
+    success: true,
+    message: "Email queued for retry",
+    queuedEmail,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "discardQueuedEmail",
+ *   "route": "DELETE /email-queue/:emailId",
+ *   "purpose": "Discard a pending or dead-lettered email so it is never sent",
+ *   "transaction": false,
+ *   "returns": "Updated queued email object"
+ * }
+ */
+export const discardQueuedEmail = asyncHandler(async (req, res, next) => {
+  const { emailId } = req.validated.params;
+  const now = new Date();
+
+  const queuedEmail = await QueuedEmail.findOneAndUpdate(
+    { _id: emailId, status: { $in: ["Pending", "Dead"] } },
+    {
+      $set: {
+        status: "Discarded",
+        expiresAt: new Date(
+          now.getTime() + EMAIL_QUEUE_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        ),
+      },
+      $unset: { html: "", text: "" },
+    },
+    { new: true }
+  );
+
+  if (!queuedEmail) {
+    const existing = await QueuedEmail.findById(emailId).select("status");
+    if (!existing) throw CustomError.notFound("Queued email not found");
+    throw CustomError.conflict(
+      "Only pending or failed (Dead) emails can be discarded",
+      { emailId, status: existing.status }
+    );
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: "Email discarded successfully",
+    queuedEmail,
+  });
+});
@@ -2,10 +2,36 @@
 import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import CustomError from "../errorHandler/CustomError.js";
-import { Material, RoutineTask, TaskActivity, User } from "../models/index.js";
+import {
+  Material,
+  MaterialStock,
+  InventoryMovement,
+  RoutineTask,
+  TaskActivity,
+  User,
+} from "../models/index.js";
 import { createNotification } from "../utils/helpers.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import auditService from "../services/auditService.js";
+import {
+  recordStockMovement,
+  checkReorderLevel,
+  canManageDepartmentStock,
+} from "../utils/inventory.js";
 import { emitToDepartment } from "../utils/socketEmitter.js";
 
+/**
+ * Stock summary for a material held by a department
+ * @param {Object|null} stock - Lean MaterialStock document
+ * @returns {Object} { quantity, reorderThreshold, isLowStock }
+ */
+const toStockSummary = (stock) => ({
+  quantity: stock?.quantity || 0,
+  reorderThreshold: stock?.reorderThreshold || 0,
+  isLowStock:
+    !!stock?.reorderThreshold && stock.quantity <= stock.reorderThreshold,
+});
+
 /**
  * @json {
  *   "controller": "createMaterial",
@@ -57,6 +83,11 @@ export const createMaterial = asyncHandler(async (req, res, next) => {
         select: "firstName lastName role department",
       });
 
+    await auditService.record(session, req, {
+      action: "Created",
+      document: material[0],
+    });
+
     await createNotification(session, {
       type: "Created",
       title: "Material created",
@@ -107,6 +138,7 @@ export const getAllMaterials = asyncHandler(async (req, res, next) => {
     priceMax,
     sortBy,
     sortOrder,
+    lowStock,
   } = req.validated.query;
 
   const filter = { organization: orgId };
@@ -120,6 +152,26 @@ export const getAllMaterials = asyncHandler(async (req, res, next) => {
     const rx = new RegExp(search, "i");
     filter.$or = [{ name: rx }, { category: rx }];
   }
+  if (lowStock) {
+    // Materials whose own department holds stock at or below its threshold
+    const lowStocks = await MaterialStock.find({
+      organization: orgId,
+      reorderThreshold: { $gt: 0 },
+      $expr: { $lte: ["$quantity", "$reorderThreshold"] },
+    })
+      .select("material department")
+      .lean();
+    filter.$and = [
+      {
+        $or: lowStocks.length
+          ? lowStocks.map((s) => ({
+              _id: s.material,
+              department: s.department,
+            }))
+          : [{ _id: null }],
+      },
+    ];
+  }
 
   const options = {
     page,
@@ -146,6 +198,22 @@ export const getAllMaterials = asyncHandler(async (req, res, next) => {
 
   const result = await query.paginate(filter, options);
 
+  // On-hand quantity in each material's own department
+  const stocks = await MaterialStock.find({
+    material: { $in: result.docs.map((m) => m._id) },
+  })
+    .select("material department quantity reorderThreshold")
+    .lean();
+  const stockByKey = new Map(
+    stocks.map((s) => [`${s.material}:${s.department}`, s])
+  );
+  const materials = result.docs.map((m) => ({
+    ...m,
+    stock: toStockSummary(
+      stockByKey.get(`${m._id}:${m.department?._id || m.department}`)
+    ),
+  }));
+
   return res.status(200).json({
     success: true,
     message: "Materials fetched successfully",
@@ -157,7 +225,7 @@ export const getAllMaterials = asyncHandler(async (req, res, next) => {
       hasNext: result.hasNextPage,
       hasPrev: result.hasPrevPage,
     },
-    materials: result.docs,
+    materials,
   });
 });
 
@@ -202,6 +270,18 @@ export const getMaterial = asyncHandler(async (req, res, next) => {
   let tasks = null;
   let activities = null;
 
+  const stockLevels = await MaterialStock.find({ material: materialId })
+    .populate({
+      path: "department",
+      match: { isDeleted: false },
+      select: "_id name",
+    })
+    .sort({ quantity: 1 })
+    .lean();
+  const ownStock = stockLevels.find(
+    (s) => s.department?._id.toString() === material.department?._id.toString()
+  );
+
   if (includeUsage) {
     const [routineCount, activityCount] = await Promise.all([
       RoutineTask.countDocuments({
@@ -247,6 +327,13 @@ export const getMaterial = asyncHandler(async (req, res, next) => {
     message: "Material fetched successfully",
     material: {
       ...material,
+      stock: toStockSummary(ownStock),
+      stockLevels: stockLevels
+        .filter((s) => s.department)
+        .map((s) => ({
+          department: s.department,
+          ...toStockSummary(s),
+        })),
       usage,
       recentTasks: tasks,
       recentActivities: activities,
@@ -280,6 +367,12 @@ export const updateMaterial = asyncHandler(async (req, res, next) => {
     if (price !== undefined) update.price = price;
     if (category !== undefined) update.category = category;
 
+    const before = toAuditSnapshot(
+      await Material.findOne({ _id: materialId, organization: orgId }).session(
+        session
+      )
+    );
+
     await Material.updateOne(
       { _id: materialId, organization: orgId },
       { $set: update },
@@ -289,6 +382,12 @@ export const updateMaterial = asyncHandler(async (req, res, next) => {
       session
     );
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: updated,
+      before,
+    });
+
     await createNotification(session, {
       type: "Updated",
       title: "Material updated",
@@ -353,11 +452,18 @@ export const deleteMaterial = asyncHandler(async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
+    const material = await Material.findById(materialId).session(session);
+
     await Material.softDeleteByIdWithUnlink(materialId, {
       session,
       deletedBy: callerId,
     });
 
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: material,
+    });
+
     await createNotification(session, {
       type: "Deleted",
       title: "Material deleted",
@@ -424,6 +530,11 @@ export const restoreMaterial = asyncHandler(async (req, res, next) => {
         select: "firstName lastName role department",
       });
 
+    await auditService.record(session, req, {
+      action: "Restored",
+      document: restored,
+    });
+
     await createNotification(session, {
       type: "Restored",
       title: "Material restored",
@@ -451,3 +562,259 @@ export const restoreMaterial = asyncHandler(async (req, res, next) => {
     session.endSession();
   }
 });
+
+/**
+ * @json {
+ *   "controller": "getMaterialMovements",
+ *   "route": "GET /api/materials/:materialId/movements",
+ *   "purpose": "List inventory ledger entries (receipts, consumption, adjustments, transfers) for a material",
+ *   "transaction": false,
+ *   "returns": "Movements array with pagination metadata"
+ * }
+ */
+export const getMaterialMovements = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { materialId } = req.validated.params;
+  const { page, limit, departmentId, type, from, to } = req.validated.query;
+
+  const filter = { organization: orgId, material: materialId };
+  if (departmentId) filter.department = departmentId;
+  if (type) filter.type = type;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const result = await InventoryMovement.paginate(filter, {
+    page,
+    limit,
+    sort: { createdAt: -1 },
+    populate: [
+      { path: "department", select: "_id name" },
+      { path: "counterpartDepartment", select: "_id name" },
+      { path: "performedBy", select: "_id firstName lastName" },
+      { path: "reference", select: "_id title activity orderNumber" },
+    ],
+    lean: true,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: "Material movements fetched successfully",
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalCount: result.totalDocs,
+      hasNext: result.hasNextPage,
+      hasPrev: result.hasPrevPage,
+    },
+    movements: result.docs,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "createMaterialMovement",
+ *   "route": "POST /api/materials/:materialId/movements",
+ *   "purpose": "Record a stock receipt, adjustment or inter-department transfer",
+ *   "transaction": true,
+ *   "returns": "Created ledger entries and resulting stock levels"
+ * }
+ */
+export const createMaterialMovement = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { materialId } = req.validated.params;
+  const { type, quantity, departmentId, toDepartmentId, note } =
+    req.validated.body;
+
+  if (!canManageDepartmentStock(req.user, departmentId)) {
+    throw CustomError.authorization(
+      "You can only move stock out of your own department",
+      { departmentId }
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const material = await Material.findOne({
+      _id: materialId,
+      organization: orgId,
+      isDeleted: false,
+    }).session(session);
+    if (!material)
+      throw CustomError.notFound("Material not found", { materialId });
+
+    const fromDepartment = departmentId || material.department;
+    const base = {
+      material: material._id,
+      organization: orgId,
+      unitPrice: material.price,
+      note,
+      performedBy: callerId,
+    };
+
+    const movements = [];
+    if (type === "Transfer") {
+      if (toDepartmentId.toString() === fromDepartment.toString()) {
+        throw CustomError.validation(
+          "Cannot transfer stock to the same department",
+          { departmentId: fromDepartment, toDepartmentId }
+        );
+      }
+
+      const source = await MaterialStock.findOne({
+        material: material._id,
+        department: fromDepartment,
+      }).session(session);
+      if (!source || source.quantity < quantity) {
+        throw CustomError.validation("Insufficient stock for transfer", {
+          available: source?.quantity || 0,
+          requested: quantity,
+        });
+      }
+
+      movements.push(
+        await recordStockMovement(
+          {
+            ...base,
+            department: fromDepartment,
+            type,
+            quantity: -quantity,
+            counterpartDepartment: toDepartmentId,
+          },
+          session
+        ),
+        await recordStockMovement(
+          {
+            ...base,
+            department: toDepartmentId,
+            type,
+            quantity,
+            counterpartDepartment: fromDepartment,
+          },
+          session
+        )
+      );
+    } else {
+      movements.push(
+        await recordStockMovement(
+          { ...base, department: fromDepartment, type, quantity },
+          session
+        )
+      );
+    }
+
+    for (const { movement } of movements) {
+      await auditService.record(session, req, {
+        action: "Created",
+        document: movement,
+      });
+    }
+
+    await session.commitTransaction();
+
+    for (const { stock } of movements) {
+      emitToDepartment(stock.department, "material:stock:updated", {
+        materialId,
+        quantity: stock.quantity,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Stock movement recorded successfully",
+      movements: movements.map(({ movement }) => movement),
+      stock: movements.map(({ stock }) => ({
+        department: stock.department,
+        ...toStockSummary(stock),
+      })),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "updateMaterialStock",
+ *   "route": "PUT /api/materials/:materialId/stock",
+ *   "purpose": "Set the reorder threshold for a department's stock of a material",
+ *   "transaction": true,
+ *   "returns": "Updated stock summary"
+ * }
+ */
+export const updateMaterialStock = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { materialId } = req.validated.params;
+  const { reorderThreshold, departmentId } = req.validated.body;
+
+  if (!canManageDepartmentStock(req.user, departmentId)) {
+    throw CustomError.authorization(
+      "You can only set reorder thresholds for your own department",
+      { departmentId }
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const material = await Material.findOne({
+      _id: materialId,
+      organization: orgId,
+      isDeleted: false,
+    }).session(session);
+    if (!material)
+      throw CustomError.notFound("Material not found", { materialId });
+
+    const filter = {
+      material: material._id,
+      department: departmentId || material.department,
+    };
+    const existing = await MaterialStock.findOne(filter).session(session);
+    const before = toAuditSnapshot(existing);
+
+    const stock = await MaterialStock.findOneAndUpdate(
+      filter,
+      {
+        $set: { reorderThreshold },
+        $setOnInsert: { organization: orgId },
+      },
+      { new: true, upsert: true, runValidators: true, session }
+    );
+
+    await auditService.record(session, req, {
+      action: existing ? "Updated" : "Created",
+      document: stock,
+      before,
+    });
+
+    // A raised threshold may already be breached
+    await checkReorderLevel(stock, { performedBy: callerId }, session);
+
+    await session.commitTransaction();
+
+    emitToDepartment(stock.department, "material:stock:updated", {
+      materialId,
+      quantity: stock.quantity,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Material stock updated successfully",
+      stock: { department: stock.department, ...toStockSummary(stock) },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
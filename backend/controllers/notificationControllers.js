@@ -3,6 +3,52 @@ import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import CustomError from "../errorHandler/CustomError.js";
 import { Notification } from "../models/index.js";
+import { emitToUser } from "../utils/socketEmitter.js";
+import { logError } from "../utils/logger.js";
+
+/**
+ * Filter for the notifications a user can still see (not deleted for them)
+ * @param {ObjectId} userId - User ID
+ * @returns {Object} Mongo filter
+ */
+const buildRecipientFilter = (userId) => ({
+  recipients: userId,
+  "deletedFor.user": { $ne: userId },
+});
+
+/**
+ * Filter for a user's unread inbox (archived notifications are excluded)
+ * @param {ObjectId} orgId - Organization ID
+ * @param {ObjectId} userId - User ID
+ * @returns {Object} Mongo filter
+ */
+const buildUnreadFilter = (orgId, userId) => ({
+  organization: orgId,
+  ...buildRecipientFilter(userId),
+  isDeleted: false,
+  readBy: { $not: { $elemMatch: { user: userId } } },
+  "archivedBy.user": { $ne: userId },
+});
+
+/**
+ * Tell the user's other open tabs that their inbox changed. The payload
+ * carries the new unread total so the badge can be set without a refetch.
+ * Runs after the change is saved, so a failure is logged rather than thrown.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} payload - {action, notificationIds?, filters?}
+ */
+const emitNotificationRead = async (user, payload) => {
+  try {
+    const unreadCount = await Notification.countDocuments(
+      buildUnreadFilter(user.organization._id, user._id)
+    );
+    emitToUser(user._id, "notification:read", { ...payload, unreadCount });
+  } catch (error) {
+    logError("Failed to emit notification:read", error, {
+      userId: String(user._id),
+    });
+  }
+};
 
 /**
  * @json {
@@ -22,6 +68,7 @@ export const getAllNotifications = asyncHandler(async (req, res, next) => {
     unreadOnly,
     type,
     deleted,
+    archived,
     sortBy = "sentAt",
     sortOrder = "desc",
   } = req.validated.query;
@@ -29,8 +76,10 @@ export const getAllNotifications = asyncHandler(async (req, res, next) => {
   const filter = {
     organization: orgId,
     recipients: [userId],
+    "deletedFor.user": { $ne: userId },
   };
   if (type) filter.type = type;
+  filter["archivedBy.user"] = archived ? userId : { $ne: userId };
 
   if (unreadOnly) {
     filter.readBy = { $not: { $elemMatch: { user: userId } } };
@@ -116,7 +165,7 @@ export const markNotificationRead = asyncHandler(async (req, res, next) => {
   try {
     const notif = await Notification.findOne({
       _id: notificationId,
-      recipients: userId,
+      ...buildRecipientFilter(userId),
     }).session(session);
     if (!notif) {
       throw CustomError.notFound("Notification not found", {
@@ -171,6 +220,14 @@ export const markNotificationRead = asyncHandler(async (req, res, next) => {
       .session(session);
 
     await session.commitTransaction();
+
+    if (!alreadyRead) {
+      await emitNotificationRead(req.user, {
+        action: "read",
+        notificationIds: [notificationId],
+      });
+    }
+
     return res.status(200).json({
       success: true,
       message: "Notification marked as read",
@@ -198,12 +255,7 @@ export const getUnreadCount = asyncHandler(async (req, res, next) => {
   const userId = req.user._id;
   const { type } = req.validated.query;
 
-  const filter = {
-    organization: orgId,
-    recipients: userId,
-    isDeleted: false,
-    readBy: { $not: { $elemMatch: { user: userId } } },
-  };
+  const filter = buildUnreadFilter(orgId, userId);
   if (type) filter.type = type;
 
   const count = await Notification.countDocuments(filter);
@@ -214,3 +266,211 @@ export const getUnreadCount = asyncHandler(async (req, res, next) => {
     notification: { count },
   });
 });
+
+/**
+ * @json {
+ *   "controller": "markAllNotificationsRead",
+ *   "route": "PATCH /notifications/read-all",
+ *   "purpose": "Mark all of the user's unread notifications as read, optionally filtered by type, entity model and sent-before date",
+ *   "transaction": false,
+ *   "returns": "Count of notifications marked as read"
+ * }
+ */
+export const markAllNotificationsRead = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const userId = req.user._id;
+  const { type, entityModel, before } = req.validated.body;
+
+  const filter = {
+    organization: orgId,
+    ...buildRecipientFilter(userId),
+    "readBy.user": { $ne: userId },
+  };
+  if (type) filter.type = type;
+  if (entityModel) filter.entityModel = entityModel;
+  if (before) filter.sentAt = { $lt: before };
+
+  const result = await Notification.updateMany(filter, {
+    $push: { readBy: { user: userId, readAt: new Date() } },
+  });
+
+  if (result.modifiedCount > 0) {
+    await emitNotificationRead(req.user, {
+      action: "read-all",
+      filters: { type, entityModel, before },
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: "Notifications marked as read",
+    notification: { count: result.modifiedCount },
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "markNotificationsUnread",
+ *   "route": "PATCH /notifications/unread",
+ *   "purpose": "Mark several of the user's notifications as unread",
+ *   "transaction": false,
+ *   "returns": "Count of notifications marked as unread"
+ * }
+ */
+export const markNotificationsUnread = asyncHandler(async (req, res, next) => {
+  const { notificationIds } = req.validated.body;
+  const userId = req.user._id;
+
+  const result = await Notification.updateMany(
+    {
+      _id: { $in: notificationIds },
+      organization: req.user.organization._id,
+      ...buildRecipientFilter(userId),
+      "readBy.user": userId,
+    },
+    { $pull: { readBy: { user: userId } } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await emitNotificationRead(req.user, {
+      action: "unread",
+      notificationIds,
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: "Notifications marked as unread",
+    notification: { count: result.modifiedCount },
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "archiveNotifications",
+ *   "route": "PATCH /notifications/archive",
+ *   "purpose": "Archive (dismiss) several notifications for the user only",
+ *   "transaction": false,
+ *   "returns": "Count of notifications archived"
+ * }
+ */
+export const archiveNotifications = asyncHandler(async (req, res, next) => {
+  const { notificationIds } = req.validated.body;
+  const userId = req.user._id;
+
+  const result = await Notification.updateMany(
+    {
+      _id: { $in: notificationIds },
+      organization: req.user.organization._id,
+      ...buildRecipientFilter(userId),
+      "archivedBy.user": { $ne: userId },
+    },
+    { $push: { archivedBy: { user: userId, archivedAt: new Date() } } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await emitNotificationRead(req.user, {
+      action: "archive",
+      notificationIds,
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: "Notifications archived",
+    notification: { count: result.modifiedCount },
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "unarchiveNotifications",
+ *   "route": "PATCH /notifications/unarchive",
+ *   "purpose": "Move several archived notifications back to the user's inbox",
+ *   "transaction": false,
+ *   "returns": "Count of notifications unarchived"
+ * }
+ */
+export const unarchiveNotifications = asyncHandler(async (req, res, next) => {
+  const { notificationIds } = req.validated.body;
+  const userId = req.user._id;
+
+  const result = await Notification.updateMany(
+    {
+      _id: { $in: notificationIds },
+      organization: req.user.organization._id,
+      ...buildRecipientFilter(userId),
+      "archivedBy.user": userId,
+    },
+    { $pull: { archivedBy: { user: userId } } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await emitNotificationRead(req.user, {
+      action: "unarchive",
+      notificationIds,
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: "Notifications moved back to inbox",
+    notification: { count: result.modifiedCount },
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "deleteNotification",
+ *   "route": "DELETE /notifications/:notificationId",
+ *   "purpose": "Delete the user's own copy of a notification; the notification is soft-deleted once every recipient has deleted theirs",
+ *   "transaction": true,
+ *   "returns": "Deleted notification ID"
+ * }
+ */
+export const deleteNotification = asyncHandler(async (req, res, next) => {
+  const { notificationId } = req.validated.params;
+  const userId = req.user._id;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    // Recipients and readBy are kept so announcement read statistics hold
+    const notif = await Notification.findOneAndUpdate(
+      { _id: notificationId, ...buildRecipientFilter(userId) },
+      { $push: { deletedFor: { user: userId, deletedAt: new Date() } } },
+      { new: true, session }
+    );
+    if (!notif) {
+      throw CustomError.notFound("Notification not found", {
+        notificationId,
+        userId,
+      });
+    }
+
+    if (notif.deletedFor.length >= notif.recipients.length) {
+      await Notification.softDeleteById(notificationId, {
+        session,
+        deletedBy: userId,
+      });
+    }
+
+    await session.commitTransaction();
+
+    await emitNotificationRead(req.user, {
+      action: "delete",
+      notificationIds: [notificationId],
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification deleted",
+      notification: { _id: notificationId },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
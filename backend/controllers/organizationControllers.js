@@ -8,8 +8,11 @@ import {
   User,
   BaseTask,
   TaskActivity,
+  Vendor,
 } from "../models/index.js";
 import { createNotification } from "../utils/helpers.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import auditService from "../services/auditService.js";
 import {
   NOTIFICATION_TYPES,
   NOTIFICATION_ENTITY_MODELS,
@@ -130,6 +133,158 @@ export const getOrganizationDashboard = asyncHandler(async (req, res, next) => {
       organizationId,
     });
   }
+
+  const orgMatch = {
+    organization: new mongoose.Types.ObjectId(String(organizationId)),
+    isDeleted: false,
+  };
+
+  const [
+    [userFacets],
+    [taskFacets],
+    activitySpend,
+    departmentCount,
+    vendorCount,
+    activeVendorIds,
+  ] = await Promise.all([
+    User.aggregate([
+      { $match: orgMatch },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          byRole: [{ $group: { _id: "$role", count: { $sum: 1 } } }],
+          byDepartment: [
+            { $group: { _id: "$department", count: { $sum: 1 } } },
+            {
+              $lookup: {
+                from: "departments",
+                localField: "_id",
+                foreignField: "_id",
+                as: "department",
+                pipeline: [{ $project: { _id: 1, name: 1 } }],
+              },
+            },
+            { $unwind: "$department" },
+            { $project: { _id: 0, department: 1, count: 1 } },
+            { $sort: { "department.name": 1 } },
+          ],
+        },
+      },
+    ]),
+    BaseTask.aggregate([
+      { $match: orgMatch },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          byTypeAndStatus: [
+            {
+              $group: {
+                _id: { taskType: "$taskType", status: "$status" },
+                count: { $sum: 1 },
+              },
+            },
+          ],
+          projectCosts: [
+            { $match: { taskType: "ProjectTask" } },
+            {
+              $group: {
+                _id: "$currency",
+                count: { $sum: 1 },
+                estimatedCost: { $sum: { $ifNull: ["$estimatedCost", 0] } },
+                actualCost: { $sum: { $ifNull: ["$actualCost", 0] } },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+          routineSpend: [
+            { $match: { taskType: "RoutineTask" } },
+            {
+              $group: {
+                _id: null,
+                total: { $sum: { $ifNull: ["$totalMaterialCost", 0] } },
+              },
+            },
+          ],
+        },
+      },
+    ]),
+    TaskActivity.aggregate([
+      { $match: orgMatch },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: { $ifNull: ["$totalMaterialCost", 0] } },
+        },
+      },
+    ]),
+    Department.countDocuments({ organization: organizationId }),
+    Vendor.countDocuments({ organization: organizationId }),
+    BaseTask.distinct("vendor", {
+      organization: organizationId,
+      taskType: "ProjectTask",
+      status: { $ne: "Completed" },
+      isDeleted: false,
+    }),
+  ]);
+
+  const tasksByType = {};
+  const tasksByStatus = {};
+  const tasksByTypeAndStatus = {};
+  for (const { _id, count } of taskFacets.byTypeAndStatus) {
+    tasksByType[_id.taskType] = (tasksByType[_id.taskType] || 0) + count;
+    tasksByStatus[_id.status] = (tasksByStatus[_id.status] || 0) + count;
+    tasksByTypeAndStatus[_id.taskType] = {
+      ...tasksByTypeAndStatus[_id.taskType],
+      [_id.status]: count,
+    };
+  }
+
+  const routineMaterialSpend = taskFacets.routineSpend[0]?.total || 0;
+  const activityMaterialSpend = activitySpend[0]?.total || 0;
+
+  const stats = {
+    users: {
+      total: userFacets.total[0]?.count || 0,
+      byRole: Object.fromEntries(
+        userFacets.byRole.map(({ _id, count }) => [_id, count])
+      ),
+      byDepartment: userFacets.byDepartment,
+    },
+    departments: { total: departmentCount },
+    tasks: {
+      total: taskFacets.total[0]?.count || 0,
+      byType: tasksByType,
+      byStatus: tasksByStatus,
+      byTypeAndStatus: tasksByTypeAndStatus,
+    },
+    projectCosts: taskFacets.projectCosts.map(
+      ({ _id, count, estimatedCost, actualCost }) => ({
+        currency: _id,
+        count,
+        estimatedCost,
+        actualCost,
+        variance: actualCost - estimatedCost,
+      })
+    ),
+    materialSpend: {
+      routineTasks: routineMaterialSpend,
+      taskActivities: activityMaterialSpend,
+      total: routineMaterialSpend + activityMaterialSpend,
+    },
+    vendors: {
+      total: vendorCount,
+      withActiveProjects: activeVendorIds.filter(Boolean).length,
+    },
+  };
+
+  return res.status(200).json({
+    success: true,
+    message: "Organization fetched successfully",
+    organization: {
+      ...organization,
+      stats,
+    },
+  });
 });
 
 /**
@@ -143,8 +298,16 @@ export const getOrganizationDashboard = asyncHandler(async (req, res, next) => {
  */
 export const updateOrganization = asyncHandler(async (req, res, next) => {
   const { organizationId } = req.validated.params;
-  const { name, description, email, phone, address, industry, logoUrl } =
-    req.validated.body;
+  const {
+    name,
+    description,
+    email,
+    phone,
+    address,
+    industry,
+    logoUrl,
+    requireTwoFactor,
+  } = req.validated.body;
   const orgId = req.user.organization._id;
   const callerId = req.user._id;
 
@@ -159,6 +322,12 @@ export const updateOrganization = asyncHandler(async (req, res, next) => {
     if (address !== undefined) update.address = address;
     if (industry !== undefined) update.industry = industry;
     if (logoUrl !== undefined) update.logoUrl = logoUrl;
+    if (requireTwoFactor !== undefined)
+      update.requireTwoFactor = requireTwoFactor;
+
+    const before = toAuditSnapshot(
+      await Organization.findOne({ _id: organizationId }).session(session)
+    );
 
     await Organization.updateOne(
       { _id: organizationId },
@@ -187,6 +356,13 @@ export const updateOrganization = asyncHandler(async (req, res, next) => {
       })
       .session(session);
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: updated,
+      before,
+      organization: organizationId,
+    });
+
     const hodRecipients = await User.find({
       organization: organizationId,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
@@ -255,6 +431,13 @@ export const deleteOrganization = asyncHandler(async (req, res, next) => {
       deletedBy: callerId,
     });
 
+    await auditService.record(session, req, {
+      action: "Deleted",
+      resourceModel: "Organization",
+      resourceId: organizationId,
+      organization: organizationId,
+    });
+
     // Attempt to notify remaining active users (likely none after cascade)
     const recipients = await User.find({
       organization: organizationId,
@@ -339,6 +522,12 @@ export const restoreOrganization = asyncHandler(async (req, res, next) => {
       })
       .session(session);
 
+    await auditService.record(session, req, {
+      action: "Restored",
+      document: restored,
+      organization: organizationId,
+    });
+
     const hodRecipients = await User.find({
       organization: organizationId,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
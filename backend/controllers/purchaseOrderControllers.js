@@ -0,0 +1,634 @@
+// backend/controllers/purchaseOrderControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import CustomError from "../errorHandler/CustomError.js";
+import {
+  PurchaseOrder,
+  Material,
+  Notification,
+  User,
+} from "../models/index.js";
+import { recordStockMovement } from "../utils/inventory.js";
+import { escapeRegex } from "../utils/helpers.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import auditService from "../services/auditService.js";
+import {
+  canTransitionPurchaseOrder,
+  formatPurchaseOrderNumber,
+  parsePurchaseOrderNumber,
+} from "../utils/purchaseOrder.js";
+import {
+  emitToDepartment,
+  emitToRecipients,
+} from "../utils/socketEmitter.js";
+import {
+  HEAD_OF_DEPARTMENT_ROLES,
+  EDITABLE_PURCHASE_ORDER_STATUS,
+  DELETABLE_PURCHASE_ORDER_STATUS,
+  MAX_NOTIFICATION_MESSAGE_LENGTH,
+} from "../utils/constants.js";
+
+const PURCHASE_ORDER_POPULATE = [
+  { path: "vendor", select: "_id name email phone" },
+  { path: "department", select: "_id name" },
+  { path: "items.material", select: "_id name unit price category" },
+  { path: "createdBy", select: "_id firstName lastName profilePicture" },
+  { path: "approvedBy", select: "_id firstName lastName" },
+  { path: "orderedBy", select: "_id firstName lastName" },
+  { path: "receivedBy", select: "_id firstName lastName" },
+  { path: "cancelledBy", select: "_id firstName lastName" },
+];
+
+// Audit fields written when an order enters each status
+const TRANSITION_FIELDS = {
+  Approved: { by: "approvedBy", at: "approvedAt" },
+  Ordered: { by: "orderedBy", at: "orderedAt" },
+  Received: { by: "receivedBy", at: "receivedAt" },
+  Cancelled: { by: "cancelledBy", at: "cancelledAt" },
+};
+
+/**
+ * Resolve validated line items, defaulting unit prices to the material price
+ * @param {Array} items - Validated items [{ materialId, quantity, unitPrice }]
+ * @param {string} orgId - Organization ID
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Array>} Stored items [{ material, quantity, unitPrice }]
+ */
+const resolveItems = async (items, orgId, session) => {
+  const materials = await Material.find({
+    _id: { $in: items.map((item) => item.materialId) },
+    organization: orgId,
+    isDeleted: false,
+  })
+    .select("_id price")
+    .session(session)
+    .lean();
+  const priceById = new Map(materials.map((m) => [m._id.toString(), m.price]));
+
+  return items.map((item) => {
+    if (!priceById.has(String(item.materialId))) {
+      throw CustomError.notFound("Material not found", {
+        materialId: item.materialId,
+      });
+    }
+    return {
+      material: item.materialId,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice ?? priceById.get(String(item.materialId)),
+    };
+  });
+};
+
+/**
+ * Create a notification about a purchase order (skipped without recipients)
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @param {Object} details - { type, title, message, recipients, createdBy }
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} Created notification
+ */
+const notifyPurchaseOrder = async (
+  purchaseOrder,
+  { type, title, message, recipients, createdBy },
+  session
+) => {
+  if (!recipients.length) return null;
+
+  const notification = new Notification({
+    type,
+    title,
+    message: message.slice(0, MAX_NOTIFICATION_MESSAGE_LENGTH),
+    entity: purchaseOrder._id,
+    entityModel: "PurchaseOrder",
+    recipients,
+    organization: purchaseOrder.organization,
+    department: purchaseOrder.department,
+    createdBy,
+    sentAt: new Date(),
+    emailDelivery: {
+      sent: false,
+      attempts: 0,
+    },
+  });
+  await notification.save({ session });
+  return notification;
+};
+
+/**
+ * @json {
+ *   "controller": "createPurchaseOrder",
+ *   "route": "POST /purchase-orders",
+ *   "purpose": "Create a draft purchase order and ask the department's HODs to approve it",
+ *   "transaction": true,
+ *   "returns": "Created purchase order"
+ * }
+ */
+export const createPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { vendorId, items, currency, expectedDate, notes, departmentId } =
+    req.validated.body;
+  const deptId = departmentId || req.user.department._id;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const storedItems = await resolveItems(items, orgId, session);
+
+    // Order numbers are never reused, so count deleted orders too
+    const last = await PurchaseOrder.findOne({ organization: orgId })
+      .withDeleted()
+      .sort({ orderNumber: -1 })
+      .select("orderNumber")
+      .session(session)
+      .lean();
+    const orderNumber = formatPurchaseOrderNumber(
+      parsePurchaseOrderNumber(last?.orderNumber) + 1
+    );
+
+    const purchaseOrder = new PurchaseOrder({
+      orderNumber,
+      vendor: vendorId,
+      items: storedItems,
+      currency,
+      expectedDate,
+      notes,
+      organization: orgId,
+      department: deptId,
+      createdBy: callerId,
+    });
+    await purchaseOrder.save({ session });
+
+    await auditService.record(session, req, {
+      action: "Created",
+      document: purchaseOrder,
+    });
+
+    const hods = await User.find({
+      organization: orgId,
+      department: deptId,
+      role: { $in: HEAD_OF_DEPARTMENT_ROLES },
+      isDeleted: false,
+      _id: { $ne: callerId },
+    })
+      .select("_id")
+      .session(session);
+    const recipientIds = hods.map((u) => u._id);
+
+    const notification = await notifyPurchaseOrder(
+      purchaseOrder,
+      {
+        type: "Created",
+        title: "Purchase order awaiting approval",
+        message: `Purchase order ${orderNumber} needs approval`,
+        recipients: recipientIds,
+        createdBy: callerId,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+
+    await purchaseOrder.populate(PURCHASE_ORDER_POPULATE);
+
+    emitToDepartment(deptId, "purchaseOrder:created", {
+      purchaseOrderId: purchaseOrder._id,
+    });
+    if (notification) {
+      emitToRecipients(recipientIds, "notification:created", { notification });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Purchase order created successfully",
+      purchaseOrder,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "getAllPurchaseOrders",
+ *   "route": "GET /purchase-orders",
+ *   "purpose": "List purchase orders in the organization with pagination and filters",
+ *   "transaction": false,
+ *   "returns": "Purchase orders array with pagination metadata"
+ * }
+ */
+export const getAllPurchaseOrders = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const {
+    page,
+    limit,
+    search,
+    status,
+    vendorId,
+    departmentId,
+    deleted,
+    sortBy,
+    sortOrder,
+  } = req.validated.query;
+
+  const filter = { organization: orgId };
+  if (search) filter.orderNumber = new RegExp(escapeRegex(search), "i");
+  if (status) filter.status = status;
+  if (vendorId) filter.vendor = vendorId;
+  if (departmentId) filter.department = departmentId;
+
+  const options = {
+    page,
+    limit,
+    sort: {
+      [sortBy]: sortOrder === "asc" || sortOrder === "1" ? 1 : -1,
+    },
+    populate: PURCHASE_ORDER_POPULATE.slice(0, 4),
+    lean: true,
+  };
+
+  let query = PurchaseOrder;
+  if (deleted === true) query = query.onlyDeleted();
+
+  const result = await query.paginate(filter, options);
+
+  return res.status(200).json({
+    success: true,
+    message: "Purchase orders fetched successfully",
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalCount: result.totalDocs,
+      hasNext: result.hasNextPage,
+      hasPrev: result.hasPrevPage,
+    },
+    purchaseOrders: result.docs,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "getPurchaseOrder",
+ *   "route": "GET /purchase-orders/:purchaseOrderId",
+ *   "purpose": "Get single purchase order with vendor, line items and workflow history",
+ *   "transaction": false,
+ *   "returns": "Purchase order object"
+ * }
+ */
+export const getPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { purchaseOrderId } = req.validated.params;
+
+  const purchaseOrder = await PurchaseOrder.findOne({
+    _id: purchaseOrderId,
+    organization: orgId,
+  })
+    .withDeleted()
+    .populate(PURCHASE_ORDER_POPULATE)
+    .lean();
+  if (!purchaseOrder)
+    throw CustomError.notFound("Purchase order not found", {
+      purchaseOrderId,
+    });
+
+  return res.status(200).json({
+    success: true,
+    message: "Purchase order fetched successfully",
+    purchaseOrder,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "updatePurchaseOrder",
+ *   "route": "PUT /purchase-orders/:purchaseOrderId",
+ *   "purpose": "Update vendor, line items or details of a draft purchase order",
+ *   "transaction": true,
+ *   "returns": "Updated purchase order"
+ * }
+ */
+export const updatePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { purchaseOrderId } = req.validated.params;
+  const { vendorId, items, currency, expectedDate, notes } =
+    req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: purchaseOrderId,
+      organization: orgId,
+    }).session(session);
+    if (!purchaseOrder)
+      throw CustomError.notFound("Purchase order not found", {
+        purchaseOrderId,
+      });
+
+    if (!EDITABLE_PURCHASE_ORDER_STATUS.includes(purchaseOrder.status)) {
+      throw CustomError.validation(
+        `Only ${EDITABLE_PURCHASE_ORDER_STATUS.join(
+          ", "
+        )} purchase orders can be edited`,
+        { purchaseOrderId, status: purchaseOrder.status }
+      );
+    }
+
+    const before = toAuditSnapshot(purchaseOrder);
+    if (vendorId !== undefined) purchaseOrder.vendor = vendorId;
+    if (items !== undefined) {
+      purchaseOrder.items = await resolveItems(items, orgId, session);
+    }
+    if (currency !== undefined) purchaseOrder.currency = currency;
+    if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+
+    await purchaseOrder.save({ session });
+
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: purchaseOrder,
+      before,
+    });
+    await session.commitTransaction();
+
+    emitToDepartment(purchaseOrder.department, "purchaseOrder:updated", {
+      purchaseOrderId,
+    });
+
+    await purchaseOrder.populate(PURCHASE_ORDER_POPULATE);
+
+    return res.status(200).json({
+      success: true,
+      message: "Purchase order updated successfully",
+      purchaseOrder,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "transitionPurchaseOrder",
+ *   "route": "POST /purchase-orders/:purchaseOrderId/(approve|order|receive|cancel)",
+ *   "purpose": "Move a purchase order through Draft -> Approved -> Ordered -> Received (or Cancelled); receiving adds every line item to the department's stock",
+ *   "transaction": true,
+ *   "returns": "Updated purchase order"
+ * }
+ */
+export const transitionPurchaseOrder = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { purchaseOrderId } = req.validated.params;
+  const { status, note } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: purchaseOrderId,
+      organization: orgId,
+    }).session(session);
+    if (!purchaseOrder)
+      throw CustomError.notFound("Purchase order not found", {
+        purchaseOrderId,
+      });
+
+    const before = toAuditSnapshot(purchaseOrder);
+    const previousStatus = purchaseOrder.status;
+    if (!canTransitionPurchaseOrder(previousStatus, status)) {
+      throw CustomError.validation(
+        `A ${previousStatus} purchase order cannot be moved to ${status}`,
+        { purchaseOrderId, from: previousStatus, to: status }
+      );
+    }
+
+    const now = new Date();
+
+    // Guard against a concurrent transition of the same order
+    const claim = await PurchaseOrder.updateOne(
+      { _id: purchaseOrder._id, status: previousStatus },
+      {
+        $set: {
+          status,
+          [TRANSITION_FIELDS[status].by]: callerId,
+          [TRANSITION_FIELDS[status].at]: now,
+        },
+      },
+      { session }
+    );
+    if (claim.modifiedCount === 0) {
+      throw CustomError.conflict(
+        "Purchase order was changed by another request",
+        { purchaseOrderId }
+      );
+    }
+    purchaseOrder.status = status;
+    purchaseOrder[TRANSITION_FIELDS[status].by] = callerId;
+    purchaseOrder[TRANSITION_FIELDS[status].at] = now;
+
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: purchaseOrder,
+      before,
+    });
+
+    if (status === "Received") {
+      for (const item of purchaseOrder.items) {
+        await recordStockMovement(
+          {
+            material: item.material,
+            organization: purchaseOrder.organization,
+            department: purchaseOrder.department,
+            type: "Receipt",
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            reference: purchaseOrder._id,
+            referenceModel: "PurchaseOrder",
+            note: note || `Received ${purchaseOrder.orderNumber}`,
+            performedBy: callerId,
+          },
+          session
+        );
+      }
+    }
+
+    const action = status.toLowerCase();
+    const recipientIds =
+      purchaseOrder.createdBy.toString() === callerId.toString()
+        ? []
+        : [purchaseOrder.createdBy];
+    const notification = await notifyPurchaseOrder(
+      purchaseOrder,
+      {
+        type: "Updated",
+        title: `Purchase order ${action}`,
+        message: `Purchase order ${purchaseOrder.orderNumber} was ${action}${
+          note ? `: ${note}` : ""
+        }`,
+        recipients: recipientIds,
+        createdBy: callerId,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+
+    emitToDepartment(purchaseOrder.department, "purchaseOrder:updated", {
+      purchaseOrderId,
+      status,
+    });
+    if (status === "Received") {
+      emitToDepartment(purchaseOrder.department, "material:stock:updated", {
+        materialIds: purchaseOrder.items.map((item) => item.material),
+      });
+    }
+    if (notification) {
+      emitToRecipients(recipientIds, "notification:created", { notification });
+    }
+
+    await purchaseOrder.populate(PURCHASE_ORDER_POPULATE);
+
+    return res.status(200).json({
+      success: true,
+      message: `Purchase order ${action} successfully`,
+      purchaseOrder,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "deletePurchaseOrder",
+ *   "route": "DELETE /purchase-orders/:purchaseOrderId",
+ *   "purpose": "Soft delete a draft or cancelled purchase order",
+ *   "transaction": true,
+ *   "returns": "Success message with deletion timestamp"
+ * }
+ */
+export const deletePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { purchaseOrderId } = req.validated.params;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: purchaseOrderId,
+      organization: orgId,
+    }).session(session);
+    if (!purchaseOrder)
+      throw CustomError.notFound("Purchase order not found", {
+        purchaseOrderId,
+      });
+
+    if (!DELETABLE_PURCHASE_ORDER_STATUS.includes(purchaseOrder.status)) {
+      throw CustomError.validation(
+        `Only ${DELETABLE_PURCHASE_ORDER_STATUS.join(
+          " or "
+        )} purchase orders can be deleted`,
+        { purchaseOrderId, status: purchaseOrder.status }
+      );
+    }
+
+    await PurchaseOrder.softDeleteById(purchaseOrderId, {
+      session,
+      deletedBy: callerId,
+    });
+
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: purchaseOrder,
+    });
+
+    await session.commitTransaction();
+
+    emitToDepartment(purchaseOrder.department, "purchaseOrder:deleted", {
+      purchaseOrderId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Purchase order soft-deleted successfully",
+      purchaseOrder: {
+        purchaseOrderId,
+        deletedAt: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "restorePurchaseOrder",
+ *   "route": "PATCH /purchase-orders/:purchaseOrderId/restore",
+ *   "purpose": "Restore a soft-deleted purchase order",
+ *   "transaction": true,
+ *   "returns": "Restored purchase order"
+ * }
+ */
+export const restorePurchaseOrder = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { purchaseOrderId } = req.validated.params;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    await PurchaseOrder.restoreById(purchaseOrderId, {
+      session,
+      restoredBy: callerId,
+    });
+
+    const restored = await PurchaseOrder.findOne({
+      _id: purchaseOrderId,
+      organization: orgId,
+    }).session(session);
+    if (!restored)
+      throw CustomError.notFound("Purchase order not found", {
+        purchaseOrderId,
+      });
+
+    await auditService.record(session, req, {
+      action: "Restored",
+      document: restored,
+    });
+
+    await session.commitTransaction();
+
+    emitToDepartment(restored.department, "purchaseOrder:restored", {
+      purchaseOrderId,
+    });
+
+    await restored.populate(PURCHASE_ORDER_POPULATE);
+
+    return res.status(200).json({
+      success: true,
+      message: "Purchase order restored successfully",
+      purchaseOrder: restored,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
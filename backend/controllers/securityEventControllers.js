@@ -0,0 +1,75 @@
+// backend/controllers/securityEventControllers.js
+import asyncHandler from "express-async-handler";
+import { SecurityEvent } from "../models/index.js";
+import { escapeRegex } from "../utils/helpers.js";
+
+/**
+ * @json {
+ *   "controller": "getSecurityEvents",
+ *   "route": "GET /security-events",
+ *   "purpose": "Query logins, failures, lockouts, password resets and role changes",
+ *   "transaction": false,
+ *   "returns": "Security events array with pagination metadata"
+ * }
+ */
+export const getSecurityEvents = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const {
+    page,
+    limit,
+    type,
+    userId,
+    search,
+    ip,
+    from,
+    to,
+    organizationId,
+    sortOrder,
+  } = req.validated.query;
+
+  const filter = {};
+  // Platform users see every organization, and failures for unknown emails,
+  // unless they filter by one
+  if (req.authz.scope === "crossOrg") {
+    if (organizationId) filter.organization = organizationId;
+  } else {
+    filter.organization = orgId;
+  }
+  if (type) filter.type = type;
+  if (userId) filter.user = userId;
+  if (search) filter.email = new RegExp(escapeRegex(search), "i");
+  if (ip) filter.ip = ip;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const options = {
+    page,
+    limit,
+    sort: { createdAt: sortOrder === "asc" || sortOrder === "1" ? 1 : -1 },
+    populate: [
+      { path: "user", select: "_id firstName lastName email role" },
+      { path: "actor", select: "_id firstName lastName email role" },
+      { path: "organization", select: "_id name" },
+    ],
+    lean: true,
+  };
+
+  const result = await SecurityEvent.paginate(filter, options);
+
+  return res.status(200).json({
+    success: true,
+    message: "Security events fetched successfully",
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalCount: result.totalDocs,
+      hasNext: result.hasNextPage,
+      hasPrev: result.hasPrevPage,
+    },
+    securityEvents: result.docs,
+  });
+});
@@ -0,0 +1,329 @@
+// backend/controllers/slaPolicyControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import CustomError from "../errorHandler/CustomError.js";
+import { BaseTask, SlaPolicy } from "../models/index.js";
+import auditService from "../services/auditService.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import {
+  recountUnclaimedSlaDeadlines,
+  resolveSlaPolicy,
+} from "../utils/sla.js";
+import { TASK_PRIORITY, SLA_TASK_TYPES } from "../utils/constants.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Point the open tasks of a priority at the policies now governing them and
+ * recount their deadlines from creation. Completed tasks keep theirs, and
+ * breached tasks keep the deadlines already escalated.
+ * @param {ObjectId} orgId
+ * @param {string} priority
+ * @param {ClientSession} session
+ * @returns {Promise<number>} Tasks updated
+ */
+const applySlaPolicies = async (orgId, priority, session) => {
+  const policies = await SlaPolicy.find({
+    organization: orgId,
+    priority,
+    isActive: true,
+    isDeleted: false,
+  }).session(session);
+
+  const departmentPolicies = policies.filter((policy) => policy.department);
+  const orgPolicy = policies.find((policy) => !policy.department) || null;
+
+  const openTasks = {
+    organization: orgId,
+    taskType: { $in: SLA_TASK_TYPES },
+    priority,
+    status: { $ne: "Completed" },
+    isDeleted: false,
+  };
+  const unbreached = { ...openTasks, "sla.breaches.0": { $exists: false } };
+
+  const dueAt = (minutes) =>
+    minutes ? { $add: ["$createdAt", minutes * MINUTE_MS] } : null;
+
+  const setDeadlines = async (filter, policy) => {
+    const result = await BaseTask.updateMany(
+      filter,
+      [
+        {
+          $set: {
+            "sla.policy": policy?._id || null,
+            "sla.responseDueAt": dueAt(policy?.responseMinutes),
+            "sla.resolutionDueAt": dueAt(policy?.resolutionMinutes),
+          },
+        },
+      ],
+      { session, timestamps: false }
+    );
+    return result.modifiedCount;
+  };
+
+  let updated = 0;
+  for (const policy of departmentPolicies) {
+    updated += await setDeadlines(
+      { ...unbreached, department: policy.department },
+      policy
+    );
+  }
+  updated += await setDeadlines(
+    {
+      ...unbreached,
+      department: {
+        $nin: departmentPolicies.map((policy) => policy.department),
+      },
+    },
+    orgPolicy
+  );
+
+  // Left on a removed policy, a breached task's open deadline would be
+  // picked up by the evaluator on every pass and never escalated
+  const breached = await BaseTask.find({
+    ...openTasks,
+    "sla.breaches.0": { $exists: true },
+  })
+    .select("department priority createdAt sla")
+    .session(session)
+    .lean();
+
+  for (const task of breached) {
+    const deadlines = recountUnclaimedSlaDeadlines(
+      task,
+      resolveSlaPolicy(policies, task)
+    );
+    const result = await BaseTask.updateOne(
+      { _id: task._id },
+      {
+        $set: {
+          "sla.policy": deadlines.policy,
+          "sla.responseDueAt": deadlines.responseDueAt,
+          "sla.resolutionDueAt": deadlines.resolutionDueAt,
+        },
+      },
+      { session, timestamps: false }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return updated;
+};
+
+/**
+ * @json {
+ *   "controller": "getSlaPolicies",
+ *   "route": "GET /sla-policies",
+ *   "purpose": "List the organization-wide SLA policies and the department's own, by priority",
+ *   "transaction": false,
+ *   "returns": "Policies ordered organization-wide first, then by priority"
+ * }
+ */
+export const getSlaPolicies = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const departmentId =
+    req.validated.query.departmentId || req.user.department._id;
+
+  const policies = await SlaPolicy.find({
+    organization: orgId,
+    department: { $in: [null, departmentId] },
+    isDeleted: false,
+  })
+    .populate({ path: "department", select: "name" })
+    .populate({ path: "createdBy", select: "firstName lastName fullName" });
+
+  policies.sort(
+    (a, b) =>
+      Number(!!a.department) - Number(!!b.department) ||
+      TASK_PRIORITY.indexOf(b.priority) - TASK_PRIORITY.indexOf(a.priority)
+  );
+
+  return res.status(200).json({
+    success: true,
+    message: "SLA policies fetched successfully",
+    policies,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "createSlaPolicy",
+ *   "route": "POST /sla-policies",
+ *   "purpose": "Create a priority's SLA policy for the organization or a department and apply it to open tasks",
+ *   "transaction": true,
+ *   "returns": "Created policy and the number of open tasks it now governs"
+ * }
+ */
+export const createSlaPolicy = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { departmentId, priority, ...settings } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const existing = await SlaPolicy.findOne({
+      organization: orgId,
+      department: departmentId,
+      priority,
+      isDeleted: false,
+    }).session(session);
+    if (existing) {
+      throw CustomError.conflict(
+        `An SLA policy for ${priority} tasks already exists ${
+          departmentId ? "for this department" : "organization-wide"
+        }`
+      );
+    }
+
+    const [policy] = await SlaPolicy.create(
+      [
+        {
+          ...Object.fromEntries(
+            Object.entries(settings).filter(([, v]) => v !== undefined)
+          ),
+          priority,
+          organization: orgId,
+          department: departmentId,
+          createdBy: req.user._id,
+        },
+      ],
+      { session }
+    );
+
+    const tasksUpdated = await applySlaPolicies(orgId, priority, session);
+
+    await auditService.record(session, req, {
+      action: "Created",
+      document: policy,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(201).json({
+      success: true,
+      message: "SLA policy created successfully",
+      policy,
+      tasksUpdated,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "updateSlaPolicy",
+ *   "route": "PUT /sla-policies/:policyId",
+ *   "purpose": "Change an SLA policy and recount the deadlines of the open tasks it governs",
+ *   "transaction": true,
+ *   "returns": "Updated policy and the number of open tasks updated"
+ * }
+ */
+export const updateSlaPolicy = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { policyId } = req.validated.params;
+  const changes = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const policy = await SlaPolicy.findOne({
+      _id: policyId,
+      organization: orgId,
+      isDeleted: false,
+    }).session(session);
+    if (!policy) throw CustomError.notFound("SLA policy not found");
+
+    const before = toAuditSnapshot(policy);
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (value !== undefined) policy[field] = value;
+    }
+    await policy.save({ session });
+
+    const tasksUpdated = await applySlaPolicies(
+      orgId,
+      policy.priority,
+      session
+    );
+
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: policy,
+      before,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: "SLA policy updated successfully",
+      policy,
+      tasksUpdated,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "deleteSlaPolicy",
+ *   "route": "DELETE /sla-policies/:policyId",
+ *   "purpose": "Soft delete an SLA policy; its open tasks fall back to the organization-wide policy, if any",
+ *   "transaction": true,
+ *   "returns": "Deleted policy ID and the number of open tasks updated"
+ * }
+ */
+export const deleteSlaPolicy = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { policyId } = req.validated.params;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const policy = await SlaPolicy.findOne({
+      _id: policyId,
+      organization: orgId,
+      isDeleted: false,
+    }).session(session);
+    if (!policy) throw CustomError.notFound("SLA policy not found");
+
+    await policy.softDelete(req.user._id, { session });
+
+    const tasksUpdated = await applySlaPolicies(
+      orgId,
+      policy.priority,
+      session
+    );
+
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: policy,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: "SLA policy deleted successfully",
+      policy: { policyId },
+      tasksUpdated,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
@@ -7,6 +7,7 @@ import {
   AssignedTask,
   ProjectTask,
   RoutineTask,
+  RoutineTaskTemplate,
   Attachment,
   TaskActivity,
   TaskComment,
@@ -14,12 +15,28 @@ import {
 } from "../models/index.js";
 import { escapeRegex } from "../utils/helpers.js";
 import { transformMaterialsForStorage } from "../utils/materialTransform.js";
+import {
+  releaseMaterialConsumption,
+  reapplyMaterialConsumption,
+} from "../utils/inventory.js";
+import {
+  findDependencyCycle,
+  loadDependencyGraph,
+  getOpenBlockers,
+} from "../utils/taskDependencies.js";
 import notificationService from "../services/notificationService.js";
+import auditService from "../services/auditService.js";
+import { toAuditSnapshot } from "../utils/audit.js";
 import {
   TASK_TYPES,
   HEAD_OF_DEPARTMENT_ROLES,
   MAX_ATTACHMENTS_PER_ENTITY,
+  BLOCKED_TASK_STATUS,
+  TASK_ACTIVITY_PARENT_MODELS,
+  MAX_SCHEDULE_TASKS,
+  DEFAULT_NOTIFICATION_TIMEZONE,
 } from "../utils/constants.js";
+import { buildCalendar, buildTaskEvent } from "../utils/calendarFeed.js";
 import {
   emitToRecipients,
   emitToDepartment,
@@ -45,6 +62,16 @@ const populateTask = async (taskId, session) => {
       path: "createdBy",
       match: { isDeleted: false },
       select: "firstName lastName fullName role department profilePicture",
+    })
+    .populate({
+      path: "blockedBy",
+      match: { isDeleted: false },
+      select: "title status taskType department dueDate",
+    })
+    .populate({
+      path: "checklist.assignee",
+      match: { isDeleted: false },
+      select: "firstName lastName fullName profilePicture",
     });
 
   const task = await basePopulate.exec();
@@ -167,6 +194,7 @@ export const createTask = asyncHandler(async (req, res, next) => {
     estimatedCost,
     actualCost,
     currency,
+    trackTimeCost,
     date,
     materials,
   } = req.validated.body;
@@ -221,12 +249,16 @@ export const createTask = asyncHandler(async (req, res, next) => {
             estimatedCost,
             actualCost,
             currency,
+            trackTimeCost,
           },
         ],
         { session }
       );
       taskDoc = taskDoc[0];
     } else if (taskType === "RoutineTask") {
+      // Id is needed up front to reference the task in the stock ledger
+      const routineTaskId = new mongoose.Types.ObjectId();
+
       // Transform materials from frontend format to backend format
       /** @type {Array} */
       let transformedMaterials = [];
@@ -235,13 +267,19 @@ export const createTask = asyncHandler(async (req, res, next) => {
           materials,
           orgId,
           deptId,
-          session
+          session,
+          {
+            reference: routineTaskId,
+            referenceModel: "RoutineTask",
+            performedBy: callerId,
+          }
         );
       }
 
       taskDoc = await RoutineTask.create(
         [
           {
+            _id: routineTaskId,
             ...base,
             date,
             materials: transformedMaterials,
@@ -270,6 +308,11 @@ export const createTask = asyncHandler(async (req, res, next) => {
       await taskDoc.save({ session });
     }
 
+    await auditService.record(session, req, {
+      action: "Created",
+      document: taskDoc,
+    });
+
     const populatedTask = await populateTask(taskDoc._id, session);
 
     // Notifications & realtime
@@ -442,6 +485,132 @@ export const getAllTasks = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Fields the calendar and timeline draw with
+const SCHEDULE_FIELDS =
+  "title status priority taskType startDate dueDate date blockedBy assignees vendor department";
+
+/**
+ * @json {
+ *   "controller": "getTaskSchedule",
+ *   "route": "GET /api/tasks/schedule",
+ *   "purpose": "Tasks scheduled within a date window for one department: AssignedTasks and ProjectTasks whose start-to-due span overlaps it, and RoutineTasks dated inside it. Ranged tasks are read through the {organization, department, startDate, dueDate} index.",
+ *   "transaction": false,
+ *   "returns": "Tasks ordered by start date, and whether the result was cut at MAX_SCHEDULE_TASKS"
+ * }
+ */
+export const getTaskSchedule = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+  const role = req.user.role;
+  const { from, to, taskType, status, departmentId, assigneeId } =
+    req.validated.query;
+
+  // One department at a time keeps both index prefixes on equality matches
+  const department =
+    HEAD_OF_DEPARTMENT_ROLES.includes(role) && departmentId
+      ? departmentId
+      : deptId;
+
+  const baseFilter = { organization: orgId, department, isDeleted: false };
+  if (status) baseFilter.status = status;
+  if (assigneeId) baseFilter.assignees = assigneeId;
+
+  const populate = [
+    {
+      path: "assignees",
+      match: { isDeleted: false },
+      select: "firstName lastName fullName profilePicture",
+    },
+    { path: "vendor", select: "name" },
+  ];
+
+  const includeRanged = taskType !== "RoutineTask";
+  // RoutineTasks have no assignees
+  const includeRoutine =
+    (!taskType || taskType === "RoutineTask") && !assigneeId;
+
+  const [rangedTasks, routineTasks] = await Promise.all([
+    includeRanged
+      ? BaseTask.find({
+          ...baseFilter,
+          taskType: taskType || { $in: ["AssignedTask", "ProjectTask"] },
+          startDate: { $lte: to },
+          dueDate: { $gte: from },
+        })
+          .hint({ organization: 1, department: 1, startDate: 1, dueDate: 1 })
+          .select(SCHEDULE_FIELDS)
+          .sort({ startDate: 1 })
+          .limit(MAX_SCHEDULE_TASKS + 1)
+          .populate(populate)
+          .lean()
+      : [],
+    includeRoutine
+      ? RoutineTask.find({
+          ...baseFilter,
+          date: { $gte: from, $lte: to },
+        })
+          .select(SCHEDULE_FIELDS)
+          .sort({ date: 1 })
+          .limit(MAX_SCHEDULE_TASKS + 1)
+          .lean()
+      : [],
+  ]);
+
+  const tasks = [...rangedTasks, ...routineTasks].sort(
+    (a, b) => new Date(a.startDate || a.date) - new Date(b.startDate || b.date)
+  );
+  const truncated = tasks.length > MAX_SCHEDULE_TASKS;
+
+  return res.status(200).json({
+    success: true,
+    message: "Task schedule fetched successfully",
+    tasks: truncated ? tasks.slice(0, MAX_SCHEDULE_TASKS) : tasks,
+    truncated,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "getTaskCalendar",
+ *   "route": "GET /api/tasks/:taskId/calendar.ics",
+ *   "purpose": "Download a task as an iCalendar event for adding to a calendar app",
+ *   "transaction": false,
+ *   "returns": "text/calendar attachment with one all-day event on the due date"
+ * }
+ */
+export const getTaskCalendar = asyncHandler(async (req, res, next) => {
+  const { taskId } = req.params;
+
+  const task = await BaseTask.findOne({
+    _id: taskId,
+    organization: req.user.organization._id,
+    isDeleted: false,
+  })
+    .select("title description status priority taskType date dueDate updatedAt")
+    .lean();
+  if (!task) {
+    throw CustomError.notFound("Task not found");
+  }
+
+  const event = buildTaskEvent(task, {
+    timezone:
+      req.user.notificationPreferences?.timezone ||
+      DEFAULT_NOTIFICATION_TIMEZONE,
+    clientUrl: process.env.CLIENT_URL,
+  });
+  if (!event) {
+    throw CustomError.validation("Task has no date to add to a calendar", {
+      taskId,
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `attachment; filename="task-${task._id}.ics"`,
+  });
+  return res.status(200).send(buildCalendar([event]));
+});
+
 /**
  * @json {
  *   "controller": "getTask",
@@ -563,6 +732,15 @@ export const getTask = asyncHandler(async (req, res, next) => {
     replies: replies.filter((r) => r.parent.toString() === c._id.toString()),
   }));
 
+  // Tasks waiting on this one (reverse side of blockedBy)
+  const blocks = await BaseTask.find({
+    organization: orgId,
+    blockedBy: taskId,
+    isDeleted: false,
+  })
+    .select("title status taskType department dueDate")
+    .sort({ dueDate: 1 });
+
   return res.status(200).json({
     success: true,
     message: "Task fetched successfully",
@@ -570,6 +748,7 @@ export const getTask = asyncHandler(async (req, res, next) => {
       task,
       activities,
       comments: commentsWithThreads,
+      blocks,
     },
   });
 });
@@ -604,6 +783,7 @@ export const updateTask = asyncHandler(async (req, res, next) => {
     estimatedCost,
     actualCost,
     currency,
+    trackTimeCost,
     date,
     materials,
   } = req.validated.body;
@@ -620,6 +800,23 @@ export const updateTask = asyncHandler(async (req, res, next) => {
     }).session(session);
 
     if (!task) throw CustomError.notFound("Task not found");
+    const before = toAuditSnapshot(task);
+
+    // A task cannot start or finish while any of its blockers is still open
+    if (
+      status !== undefined &&
+      status !== task.status &&
+      BLOCKED_TASK_STATUS.includes(status)
+    ) {
+      const openBlockers = await getOpenBlockers(task, session);
+      if (openBlockers.length > 0) {
+        throw CustomError.validation(
+          `Task cannot be moved to "${status}" while blocked by: ${openBlockers
+            .map((blocker) => blocker.title)
+            .join(", ")}`
+        );
+      }
+    }
 
     // Assign base fields if provided
     if (title !== undefined) task.title = title;
@@ -651,6 +848,7 @@ export const updateTask = asyncHandler(async (req, res, next) => {
         task.currency = currency;
         costOrCurrencyModified = true;
       }
+      if (trackTimeCost !== undefined) task.trackTimeCost = trackTimeCost;
       if (costOrCurrencyModified) {
         // Cast to ProjectTask to access modifiedBy property
         /** @type {any} */ (task).modifiedBy = callerId;
@@ -663,7 +861,12 @@ export const updateTask = asyncHandler(async (req, res, next) => {
           materials,
           orgId,
           deptId,
-          session
+          session,
+          {
+            reference: task._id,
+            referenceModel: "RoutineTask",
+            performedBy: callerId,
+          }
         );
         task.materials = transformedMaterials;
       }
@@ -689,6 +892,12 @@ export const updateTask = asyncHandler(async (req, res, next) => {
       }
     }
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: task,
+      before,
+    });
+
     const populatedTask = await populateTask(task._id, session);
 
     // Notifications & realtime
@@ -711,11 +920,20 @@ export const updateTask = asyncHandler(async (req, res, next) => {
       emitToRecipients(notificationResult.realtimeRecipients, "task:updated", {
         taskId: task._id,
         title: task.title,
+        status: task.status,
+        priority: task.priority,
       });
     }
-    emitToDepartment(deptId, "department:task:updated", { taskId: task._id });
+    // Status and priority let open boards move the card without a refetch
+    emitToDepartment(deptId, "department:task:updated", {
+      taskId: task._id,
+      status: task.status,
+      priority: task.priority,
+    });
     emitToOrganization(orgId, "organization:task:updated", {
       taskId: task._id,
+      status: task.status,
+      priority: task.priority,
     });
 
     await session.commitTransaction();
@@ -760,11 +978,37 @@ export const deleteTask = asyncHandler(async (req, res, next) => {
 
     if (!task) throw CustomError.notFound("Task not found");
 
+    // Return consumed stock for the task and the activities cascaded with it
+    if (task.taskType === "RoutineTask") {
+      await releaseMaterialConsumption(
+        task,
+        "RoutineTask",
+        { performedBy: callerId },
+        session
+      );
+    }
+    const activitiesToDelete = await TaskActivity.find({ task: taskId })
+      .select("_id organization department")
+      .session(session);
+    for (const act of activitiesToDelete) {
+      await releaseMaterialConsumption(
+        act,
+        "TaskActivity",
+        { performedBy: callerId },
+        session
+      );
+    }
+
     await BaseTask.softDeleteByIdWithCascade(taskId, {
       session,
       deletedBy: callerId,
     });
 
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: task,
+    });
+
     // Notify watchers/assignees
     const notificationResult = await notificationService.send(
       "TASK_DELETED",
@@ -854,6 +1098,12 @@ export const restoreTask = asyncHandler(async (req, res, next) => {
       .session(session);
     for (const act of activities) {
       await TaskActivity.restoreById(act._id, { session });
+      await reapplyMaterialConsumption(
+        act,
+        "TaskActivity",
+        { performedBy: callerId },
+        session
+      );
 
       const actAttachments = await Attachment.find({
         parent: act._id,
@@ -899,6 +1149,20 @@ export const restoreTask = asyncHandler(async (req, res, next) => {
     // Finally restore the task itself
     await BaseTask.restoreById(taskId, { session });
 
+    await auditService.record(session, req, {
+      action: "Restored",
+      document: taskWithDeleted,
+    });
+
+    if (taskType === "RoutineTask") {
+      await reapplyMaterialConsumption(
+        taskWithDeleted,
+        "RoutineTask",
+        { performedBy: callerId },
+        session
+      );
+    }
+
     const restoredTask = await populateTask(taskId, session);
 
     // Notify
@@ -940,6 +1204,376 @@ export const restoreTask = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @json {
+ *   "controller": "addTaskDependency",
+ *   "route": "POST /api/tasks/:taskId/dependencies",
+ *   "purpose": "Mark a task as blocked by another task of the organization. Rejects links that would create a dependency cycle.",
+ *   "transaction": true,
+ *   "returns": "Updated task with blockers populated"
+ * }
+ */
+export const addTaskDependency = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+  const { taskId } = req.params;
+  const { blockerId } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await BaseTask.findOne({
+      _id: taskId,
+      organization: orgId,
+      department: deptId,
+      isDeleted: false,
+    }).session(session);
+    if (!task) throw CustomError.notFound("Task not found");
+
+    const blocker = await BaseTask.findOne({
+      _id: blockerId,
+      organization: orgId,
+      isDeleted: false,
+    })
+      .select("title")
+      .session(session);
+    if (!blocker) throw CustomError.notFound("Blocking task not found");
+
+    const graph = await loadDependencyGraph(orgId, [blockerId], session);
+    const cycle = findDependencyCycle(taskId, blockerId, graph);
+    if (cycle) {
+      throw CustomError.validation(
+        `"${blocker.title}" already depends on this task; adding it as a blocker would create a cycle`,
+        { cycle }
+      );
+    }
+
+    const before = toAuditSnapshot(task);
+    task.blockedBy = [...(task.blockedBy || []), blocker._id];
+    await task.save({ session });
+
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: task,
+      before,
+    });
+
+    const populatedTask = await populateTask(task._id, session);
+
+    emitToDepartment(deptId, "department:task:updated", { taskId: task._id });
+    emitToOrganization(orgId, "organization:task:updated", {
+      taskId: task._id,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: "Task dependency added successfully",
+      task: populatedTask,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "removeTaskDependency",
+ *   "route": "DELETE /api/tasks/:taskId/dependencies/:blockerId",
+ *   "purpose": "Remove a blocker from a task.",
+ *   "transaction": true,
+ *   "returns": "Updated task with blockers populated"
+ * }
+ */
+export const removeTaskDependency = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+  const { taskId, blockerId } = req.params;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await BaseTask.findOne({
+      _id: taskId,
+      organization: orgId,
+      department: deptId,
+      isDeleted: false,
+    }).session(session);
+    if (!task) throw CustomError.notFound("Task not found");
+
+    const remaining = (task.blockedBy || []).filter(
+      (id) => id.toString() !== blockerId.toString()
+    );
+    if (remaining.length === (task.blockedBy || []).length) {
+      throw CustomError.notFound("Task is not blocked by this task");
+    }
+
+    const before = toAuditSnapshot(task);
+    task.blockedBy = remaining;
+    await task.save({ session });
+
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: task,
+      before,
+    });
+
+    const populatedTask = await populateTask(task._id, session);
+
+    emitToDepartment(deptId, "department:task:updated", { taskId: task._id });
+    emitToOrganization(orgId, "organization:task:updated", {
+      taskId: task._id,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: "Task dependency removed successfully",
+      task: populatedTask,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Load a checklist-enabled task of the caller's department
+ */
+const findChecklistTask = async (taskId, orgId, deptId, session) => {
+  const task = await BaseTask.findOne({
+    _id: taskId,
+    organization: orgId,
+    department: deptId,
+    taskType: { $in: TASK_ACTIVITY_PARENT_MODELS },
+    isDeleted: false,
+  }).session(session);
+  if (!task) throw CustomError.notFound("Task not found");
+  return task;
+};
+
+/**
+ * Record a checklist change as a TaskActivity and in the audit log, and
+ * broadcast the new progress
+ */
+const recordChecklistChange = async ({
+  task,
+  before,
+  item,
+  activity,
+  req,
+  session,
+}) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+
+  await auditService.record(session, req, {
+    action: "Updated",
+    document: task,
+    before,
+  });
+
+  let activityDoc = null;
+  if (activity) {
+    [activityDoc] = await TaskActivity.create(
+      [
+        {
+          task: task._id,
+          taskModel: task.taskType,
+          activity,
+          organization: orgId,
+          department: deptId,
+          createdBy: req.user._id,
+        },
+      ],
+      { session }
+    );
+  }
+
+  const payload = {
+    taskId: task._id,
+    itemId: item?._id,
+    progress: task.progress ?? null,
+  };
+  emitToDepartment(deptId, "department:task:checklist:updated", payload);
+  emitToOrganization(orgId, "organization:task:updated", {
+    taskId: task._id,
+  });
+  if (activityDoc) {
+    emitToDepartment(deptId, "department:activity:created", {
+      taskId: task._id,
+      activityId: activityDoc._id,
+    });
+  }
+};
+
+/**
+ * @json {
+ *   "controller": "addChecklistItem",
+ *   "route": "POST /api/tasks/:taskId/checklist",
+ *   "purpose": "Add a checklist item to an AssignedTask or ProjectTask. Progress is recalculated from the checklist.",
+ *   "transaction": true,
+ *   "returns": "Updated task with checklist and progress"
+ * }
+ */
+export const addChecklistItem = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+  const { taskId } = req.params;
+  const { title, assigneeId, dueDate } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await findChecklistTask(taskId, orgId, deptId, session);
+    const before = toAuditSnapshot(task);
+
+    task.checklist.push({ title, assignee: assigneeId, dueDate });
+    await task.save({ session });
+
+    const item = task.checklist[task.checklist.length - 1];
+    await recordChecklistChange({ task, before, item, req, session });
+
+    const populatedTask = await populateTask(task._id, session);
+
+    await session.commitTransaction();
+
+    return res.status(201).json({
+      success: true,
+      message: "Checklist item added successfully",
+      task: populatedTask,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "updateChecklistItem",
+ *   "route": "PUT /api/tasks/:taskId/checklist/:itemId",
+ *   "purpose": "Update a checklist item. Checking or unchecking an item logs a TaskActivity and emits the new progress.",
+ *   "transaction": true,
+ *   "returns": "Updated task with checklist and progress"
+ * }
+ */
+export const updateChecklistItem = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+  const { taskId, itemId } = req.params;
+  const { title, done, assigneeId, dueDate } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await findChecklistTask(taskId, orgId, deptId, session);
+    const before = toAuditSnapshot(task);
+
+    const item = task.checklist.id(itemId);
+    if (!item) throw CustomError.notFound("Checklist item not found");
+
+    if (title !== undefined) item.title = title;
+    if (assigneeId !== undefined) item.assignee = assigneeId || undefined;
+    if (dueDate !== undefined) item.dueDate = dueDate || undefined;
+
+    const doneChanged = done !== undefined && done !== item.done;
+    if (doneChanged) {
+      item.done = done;
+      item.completedBy = done ? req.user._id : undefined;
+    }
+
+    await task.save({ session });
+
+    const activity = doneChanged
+      ? `${done ? "Completed" : "Reopened"} checklist item "${item.title}" ` +
+        `(${task.progress ?? 0}% done)`
+      : null;
+    await recordChecklistChange({
+      task,
+      before,
+      item,
+      activity,
+      req,
+      session,
+    });
+
+    const populatedTask = await populateTask(task._id, session);
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: "Checklist item updated successfully",
+      task: populatedTask,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "deleteChecklistItem",
+ *   "route": "DELETE /api/tasks/:taskId/checklist/:itemId",
+ *   "purpose": "Remove a checklist item. Progress is recalculated from the remaining items.",
+ *   "transaction": true,
+ *   "returns": "Updated task with checklist and progress"
+ * }
+ */
+export const deleteChecklistItem = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+  const { taskId, itemId } = req.params;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await findChecklistTask(taskId, orgId, deptId, session);
+    const before = toAuditSnapshot(task);
+
+    const item = task.checklist.id(itemId);
+    if (!item) throw CustomError.notFound("Checklist item not found");
+
+    task.checklist.pull(itemId);
+    await task.save({ session });
+
+    await recordChecklistChange({ task, before, item, req, session });
+
+    const populatedTask = await populateTask(task._id, session);
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: "Checklist item removed successfully",
+      task: populatedTask,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
 /**
  * @json {
  *   "controller": "createTaskActivity",
@@ -974,6 +1608,9 @@ export const createTaskActivity = asyncHandler(async (req, res, next) => {
       );
     }
 
+    // Id is needed up front to reference the activity in the stock ledger
+    const activityId = new mongoose.Types.ObjectId();
+
     // Transform materials from frontend format to backend format
     /** @type {Array} */
     let transformedMaterials = [];
@@ -982,13 +1619,19 @@ export const createTaskActivity = asyncHandler(async (req, res, next) => {
         materials,
         orgId,
         deptId,
-        session
+        session,
+        {
+          reference: activityId,
+          referenceModel: "TaskActivity",
+          performedBy: callerId,
+        }
       );
     }
 
     const activityDocArr = await TaskActivity.create(
       [
         {
+          _id: activityId,
           task: taskId,
           taskModel: task.taskType,
           activity,
@@ -1020,6 +1663,11 @@ export const createTaskActivity = asyncHandler(async (req, res, next) => {
       await activityDoc.save({ session });
     }
 
+    await auditService.record(session, req, {
+      action: "Created",
+      document: activityDoc,
+    });
+
     const populatedActivity = await TaskActivity.findById(activityDoc._id)
       .session(session)
       .populate({
@@ -1218,6 +1866,7 @@ export const updateTaskActivity = asyncHandler(async (req, res, next) => {
     }).session(session);
 
     if (!act) throw CustomError.notFound("Activity not found");
+    const before = toAuditSnapshot(act);
 
     if (activity !== undefined) act.activity = activity;
     if (Array.isArray(materials) && materials?.length > 0) {
@@ -1226,7 +1875,12 @@ export const updateTaskActivity = asyncHandler(async (req, res, next) => {
         materials,
         orgId,
         deptId,
-        session
+        session,
+        {
+          reference: act._id,
+          referenceModel: "TaskActivity",
+          performedBy: callerId,
+        }
       );
       act.materials = transformedMaterials;
     }
@@ -1248,6 +1902,12 @@ export const updateTaskActivity = asyncHandler(async (req, res, next) => {
       }
     }
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: act,
+      before,
+    });
+
     const populated = await TaskActivity.findById(act._id)
       .session(session)
       .populate({ path: "attachments", match: { isDeleted: false } })
@@ -1339,11 +1999,23 @@ export const deleteTaskActivity = asyncHandler(async (req, res, next) => {
 
     if (!act) throw CustomError.notFound("Activity not found");
 
+    await releaseMaterialConsumption(
+      act,
+      "TaskActivity",
+      { performedBy: callerId },
+      session
+    );
+
     await TaskActivity.softDeleteByIdWithCascade(activityId, {
       session,
       deletedBy: callerId,
     });
 
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: act,
+    });
+
     const task = await BaseTask.findById(act.task).session(session);
     const notificationResult = await notificationService.send(
       "ACTIVITY_DELETED",
@@ -1446,6 +2118,17 @@ export const restoreTaskActivity = asyncHandler(async (req, res, next) => {
     }
 
     await TaskActivity.restoreById(activityId, { session });
+    await reapplyMaterialConsumption(
+      actWithDeleted,
+      "TaskActivity",
+      { performedBy: callerId },
+      session
+    );
+
+    await auditService.record(session, req, {
+      action: "Restored",
+      document: actWithDeleted,
+    });
 
     const restored = await TaskActivity.findById(activityId)
       .session(session)
@@ -1561,6 +2244,11 @@ export const createTaskComment = asyncHandler(async (req, res, next) => {
       await com.save({ session });
     }
 
+    await auditService.record(session, req, {
+      action: "Created",
+      document: com,
+    });
+
     const populated = await TaskComment.findById(com._id)
       .session(session)
       .populate({
@@ -1813,6 +2501,7 @@ export const updateTaskComment = asyncHandler(async (req, res, next) => {
     }).session(session);
 
     if (!com) throw CustomError.notFound("Comment not found");
+    const before = toAuditSnapshot(com);
 
     if (comment !== undefined) com.comment = comment;
     if (Array.isArray(mentionIds)) com.mentions = mentionIds;
@@ -1835,6 +2524,12 @@ export const updateTaskComment = asyncHandler(async (req, res, next) => {
       }
     }
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: com,
+      before,
+    });
+
     const populated = await TaskComment.findById(com._id)
       .session(session)
       .populate({
@@ -1928,6 +2623,11 @@ export const deleteTaskComment = asyncHandler(async (req, res, next) => {
       deletedBy: callerId,
     });
 
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: com,
+    });
+
     emitToDepartment(deptId, "department:comment:deleted", {
       commentId: String(commentId),
     });
@@ -1982,6 +2682,11 @@ export const restoreTaskComment = asyncHandler(async (req, res, next) => {
 
     await restoreCommentTree(commentId, session);
 
+    await auditService.record(session, req, {
+      action: "Restored",
+      document: comWithDeleted,
+    });
+
     const restored = await TaskComment.findById(commentId)
       .session(session)
       .populate({
@@ -2017,3 +2722,386 @@ export const restoreTaskComment = asyncHandler(async (req, res, next) => {
     session.endSession();
   }
 });
+
+/**
+ * Helper to populate a routine task template
+ */
+const populateRoutineTaskTemplate = (query) =>
+  query
+    .populate({
+      path: "materials.material",
+      match: { isDeleted: false },
+      select: "_id name unit price category",
+    })
+    .populate({
+      path: "watchers",
+      match: { isDeleted: false },
+      select: "firstName lastName fullName role department profilePicture",
+    })
+    .populate({
+      path: "createdBy",
+      match: { isDeleted: false },
+      select: "firstName lastName fullName role department profilePicture",
+    });
+
+/**
+ * @json {
+ *   "controller": "createRoutineTaskTemplate",
+ *   "route": "POST /api/tasks/templates",
+ *   "purpose": "Create a recurring RoutineTask template; the routine task scheduler creates its occurrences.",
+ *   "transaction": true,
+ *   "returns": "Created template with its next occurrence date"
+ * }
+ */
+export const createRoutineTaskTemplate = asyncHandler(
+  async (req, res, next) => {
+    const orgId = req.user.organization._id;
+    const deptId = req.user.department._id;
+    const callerId = req.user._id;
+
+    const {
+      title,
+      description,
+      priority,
+      isActive,
+      recurrence,
+      materials,
+      watcherIds,
+      tags,
+    } = req.validated.body;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const [template] = await RoutineTaskTemplate.create(
+        [
+          {
+            title,
+            description,
+            priority: priority || "Medium",
+            isActive: isActive ?? true,
+            recurrence,
+            materials: (materials || []).map((m) => ({
+              material: m.materialId,
+              quantity: m.quantity,
+            })),
+            watchers: watcherIds || [],
+            tags: tags || [],
+            organization: orgId,
+            department: deptId,
+            createdBy: callerId,
+          },
+        ],
+        { session }
+      );
+
+      await auditService.record(session, req, {
+        action: "Created",
+        document: template,
+      });
+
+      await session.commitTransaction();
+
+      const populated = await populateRoutineTaskTemplate(
+        RoutineTaskTemplate.findById(template._id)
+      );
+
+      return res.status(201).json({
+        success: true,
+        message: "Routine task template created successfully",
+        template: populated,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+/**
+ * @json {
+ *   "controller": "getAllRoutineTaskTemplates",
+ *   "route": "GET /api/tasks/templates",
+ *   "purpose": "List recurring RoutineTask templates with filtering and pagination.",
+ *   "transaction": false,
+ *   "returns": "Templates array with pagination metadata"
+ * }
+ */
+export const getAllRoutineTaskTemplates = asyncHandler(
+  async (req, res, next) => {
+    const orgId = req.user.organization._id;
+    const deptId = req.user.department._id;
+    const role = req.user.role;
+
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      isActive,
+      departmentId,
+      deleted = false,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = req.validated.query;
+
+    const filter = {
+      organization: orgId,
+    };
+
+    // Role scope: HOD can see crossDept; others restricted to own dept
+    if (HEAD_OF_DEPARTMENT_ROLES.includes(role)) {
+      if (departmentId) {
+        filter.department = departmentId;
+      }
+    } else {
+      filter.department = deptId;
+    }
+
+    if (isActive !== undefined) filter.isActive = isActive;
+    if (search) {
+      const rx = new RegExp(escapeRegex(search), "i");
+      filter.$or = [{ title: rx }, { description: rx }, { tags: rx }];
+    }
+
+    let query = RoutineTaskTemplate.find(filter);
+    if (deleted) query = query.onlyDeleted();
+
+    const result = await RoutineTaskTemplate.paginate(query.getFilter(), {
+      page,
+      limit,
+      sort: { [sortBy]: sortOrder === "asc" ? 1 : -1 },
+      populate: [
+        {
+          path: "materials.material",
+          match: { isDeleted: false },
+          select: "_id name unit price category",
+        },
+        {
+          path: "createdBy",
+          match: { isDeleted: false },
+          select: "firstName lastName fullName role department profilePicture",
+        },
+      ],
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Routine task templates fetched successfully",
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.totalPages,
+        totalCount: result.totalDocs,
+        hasNext: result.hasNextPage,
+        hasPrev: result.hasPrevPage,
+      },
+      templates: result.docs,
+    });
+  }
+);
+
+/**
+ * @json {
+ *   "controller": "getRoutineTaskTemplate",
+ *   "route": "GET /api/tasks/templates/:templateId",
+ *   "purpose": "Get a recurring RoutineTask template with its most recent occurrences.",
+ *   "transaction": false,
+ *   "returns": "Template document with recentOccurrences"
+ * }
+ */
+export const getRoutineTaskTemplate = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { templateId } = req.validated.params;
+
+  const template = await populateRoutineTaskTemplate(
+    RoutineTaskTemplate.findOne({ _id: templateId, organization: orgId })
+  );
+
+  if (!template) throw CustomError.notFound("Routine task template not found");
+
+  const recentOccurrences = await RoutineTask.find({
+    template: templateId,
+    organization: orgId,
+    isDeleted: false,
+  })
+    .select("_id title status priority date totalMaterialCost")
+    .sort({ date: -1 })
+    .limit(10)
+    .lean();
+
+  return res.status(200).json({
+    success: true,
+    message: "Routine task template fetched successfully",
+    template: { ...template.toJSON(), recentOccurrences },
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "updateRoutineTaskTemplate",
+ *   "route": "PUT /api/tasks/templates/:templateId",
+ *   "purpose": "Update a recurring RoutineTask template; changing the recurrence or pausing reschedules the next occurrence. Existing occurrences are not modified.",
+ *   "transaction": true,
+ *   "returns": "Updated template"
+ * }
+ */
+export const updateRoutineTaskTemplate = asyncHandler(
+  async (req, res, next) => {
+    const orgId = req.user.organization._id;
+    const { templateId } = req.validated.params;
+    const { materials, watcherIds, ...fields } = req.validated.body;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const template = await RoutineTaskTemplate.findOne({
+        _id: templateId,
+        organization: orgId,
+      }).session(session);
+
+      if (!template)
+        throw CustomError.notFound("Routine task template not found");
+      const before = toAuditSnapshot(template);
+
+      template.set(fields);
+      if (materials !== undefined) {
+        template.materials = materials.map((m) => ({
+          material: m.materialId,
+          quantity: m.quantity,
+        }));
+      }
+      if (watcherIds !== undefined) template.watchers = watcherIds;
+
+      await template.save({ session });
+
+      await auditService.record(session, req, {
+        action: "Updated",
+        document: template,
+        before,
+      });
+
+      await session.commitTransaction();
+
+      const populated = await populateRoutineTaskTemplate(
+        RoutineTaskTemplate.findById(templateId)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Routine task template updated successfully",
+        template: populated,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+/**
+ * @json {
+ *   "controller": "deleteRoutineTaskTemplate",
+ *   "route": "DELETE /api/tasks/templates/:templateId",
+ *   "purpose": "Soft delete a recurring RoutineTask template. Routine tasks already created are kept.",
+ *   "transaction": true,
+ *   "returns": "Deleted template ID"
+ * }
+ */
+export const deleteRoutineTaskTemplate = asyncHandler(
+  async (req, res, next) => {
+    const callerId = req.user._id;
+    const { templateId } = req.validated.params;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const template = await RoutineTaskTemplate.findById(templateId).session(
+        session
+      );
+
+      await RoutineTaskTemplate.softDeleteById(templateId, {
+        session,
+        deletedBy: callerId,
+      });
+
+      await auditService.record(session, req, {
+        action: "Deleted",
+        document: template,
+      });
+
+      await session.commitTransaction();
+
+      return res.status(200).json({
+        success: true,
+        message: "Routine task template soft-deleted successfully",
+        template: { templateId },
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+/**
+ * @json {
+ *   "controller": "restoreRoutineTaskTemplate",
+ *   "route": "PATCH /api/tasks/templates/:templateId/restore",
+ *   "purpose": "Restore a soft-deleted recurring RoutineTask template. Occurrences missed while deleted are skipped.",
+ *   "transaction": true,
+ *   "returns": "Restored template"
+ * }
+ */
+export const restoreRoutineTaskTemplate = asyncHandler(
+  async (req, res, next) => {
+    const callerId = req.user._id;
+    const { templateId } = req.validated.params;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      await RoutineTaskTemplate.restoreById(templateId, {
+        session,
+        restoredBy: callerId,
+      });
+
+      const template = await RoutineTaskTemplate.findById(templateId).session(
+        session
+      );
+      template.nextOccurrenceAt = template.computeNextOccurrence();
+      await template.save({ session });
+
+      await auditService.record(session, req, {
+        action: "Restored",
+        document: template,
+      });
+
+      await session.commitTransaction();
+
+      const populated = await populateRoutineTaskTemplate(
+        RoutineTaskTemplate.findById(templateId)
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: "Routine task template restored successfully",
+        template: populated,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  }
+);
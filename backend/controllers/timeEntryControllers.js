@@ -0,0 +1,646 @@
+// backend/controllers/timeEntryControllers.js
+import mongoose from "mongoose";
+import asyncHandler from "express-async-handler";
+import CustomError from "../errorHandler/CustomError.js";
+import { BaseTask, TaskActivity, TimeEntry, User } from "../models/index.js";
+import auditService from "../services/auditService.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import {
+  buildTimesheet,
+  buildTimesheetCsv,
+  calculateDurationMinutes,
+  calculateTimeCost,
+  getTimeCostChange,
+  getTimesheetWindow,
+} from "../utils/timeTracking.js";
+import {
+  DEFAULT_NOTIFICATION_TIMEZONE,
+  HEAD_OF_DEPARTMENT_ROLES,
+  MAX_TIME_ENTRY_MINUTES,
+} from "../utils/constants.js";
+
+const USER_FIELDS = "firstName lastName fullName role profilePicture";
+// Rates and costs are only shown to Heads of Department
+const COST_FIELDS = "-hourlyRate -cost -costApplied";
+
+const isHeadOfDepartment = (user) =>
+  HEAD_OF_DEPARTMENT_ROLES.includes(user.role);
+
+// Entry as returned to the caller
+const toEntryResponse = (entry, user) => {
+  if (!entry || isHeadOfDepartment(user)) return entry;
+  const { hourlyRate, cost, costApplied, ...rest } = entry.toJSON();
+  return rest;
+};
+
+/**
+ * Apply a change to a finished (or deleted) entry to the task's rolled-up
+ * time and, when the entry's cost is applied, its actualCost (recorded in
+ * costHistory). Saves the entry if whether its cost is applied changed.
+ * @param {Object} entry - Time entry after the change
+ * @param {{minutes: number, cost: number, costApplied: boolean}|null} before -
+ *   Entry before the change, null when it was just finished
+ * @param {{session: ClientSession, changedBy: ObjectId}} options
+ */
+const rollUpTaskTime = async (entry, before, { session, changedBy }) => {
+  // Time on a deleted task stays in timesheets but has nothing to roll up to
+  const task = await BaseTask.findOne({ _id: entry.task }).session(session);
+  if (!task) return;
+
+  const after = entry.isDeleted ? null : entry;
+  const minutes = (after?.durationMinutes || 0) - (before?.minutes || 0);
+  const { delta, costApplied } = getTimeCostChange(
+    before,
+    after,
+    task.taskType === "ProjectTask" && task.trackTimeCost
+  );
+
+  if (minutes || delta) {
+    task.timeSpentMinutes = Math.max((task.timeSpentMinutes || 0) + minutes, 0);
+    if (delta) {
+      task.actualCost = Math.max(
+        Math.round(((task.actualCost || 0) + delta) * 100) / 100,
+        0
+      );
+      /** @type {any} */ (task).modifiedBy = changedBy;
+    }
+    await task.save({ session });
+  }
+
+  if (after && entry.costApplied !== costApplied) {
+    entry.costApplied = costApplied;
+    await entry.save({ session });
+  }
+};
+
+/**
+ * @json {
+ *   "controller": "getTaskTimeEntries",
+ *   "route": "GET /tasks/:taskId/time-entries",
+ *   "purpose": "List time logged on a task with totals per user; rates and costs only for HODs",
+ *   "transaction": false,
+ *   "returns": "Entries with pagination, totals and the caller's running timer on the task"
+ * }
+ */
+export const getTaskTimeEntries = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { taskId } = req.validated.params;
+  const { page, limit, userId } = req.validated.query;
+  const includeCost = isHeadOfDepartment(req.user);
+
+  const filter = {
+    organization: orgId,
+    task: taskId,
+    isDeleted: false,
+  };
+  if (userId) filter.user = userId;
+
+  const result = await TimeEntry.paginate(filter, {
+    page,
+    limit,
+    sort: { startedAt: -1 },
+    select: includeCost ? undefined : COST_FIELDS,
+    populate: [
+      { path: "user", match: { isDeleted: false }, select: USER_FIELDS },
+      { path: "activity", match: { isDeleted: false }, select: "activity" },
+    ],
+  });
+
+  const byUser = await TimeEntry.aggregate([
+    {
+      $match: {
+        organization: orgId,
+        task: new mongoose.Types.ObjectId(taskId),
+        endedAt: { $ne: null },
+        isDeleted: false,
+      },
+    },
+    {
+      $group: {
+        _id: "$user",
+        totalMinutes: { $sum: "$durationMinutes" },
+        cost: { $sum: "$cost" },
+      },
+    },
+    { $sort: { totalMinutes: -1 } },
+  ]);
+
+  const users = await User.find({
+    _id: { $in: byUser.map((row) => row._id) },
+  }).select(USER_FIELDS);
+  const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+  const running = await TimeEntry.findOne({
+    organization: orgId,
+    task: taskId,
+    user: callerId,
+    endedAt: null,
+    isDeleted: false,
+  }).select(includeCost ? "" : COST_FIELDS);
+
+  return res.status(200).json({
+    success: true,
+    message: "Time entries fetched successfully",
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      totalPages: result.totalPages,
+      totalCount: result.totalDocs,
+      hasNext: result.hasNextPage,
+      hasPrev: result.hasPrevPage,
+    },
+    entries: result.docs,
+    totals: {
+      totalMinutes: byUser.reduce((sum, row) => sum + row.totalMinutes, 0),
+      ...(includeCost && {
+        cost:
+          Math.round(byUser.reduce((sum, row) => sum + row.cost, 0) * 100) /
+          100,
+      }),
+      users: byUser.map((row) => ({
+        user: usersById.get(String(row._id)) || { _id: row._id },
+        totalMinutes: row.totalMinutes,
+        ...(includeCost && { cost: Math.round(row.cost * 100) / 100 }),
+      })),
+    },
+    running,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "startTimer",
+ *   "route": "POST /tasks/:taskId/time-entries/timer",
+ *   "purpose": "Start the caller's timer on a task; a user has one running timer at a time",
+ *   "transaction": true,
+ *   "returns": "The running time entry"
+ * }
+ */
+export const startTimer = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+  const callerId = req.user._id;
+  const { taskId } = req.validated.params;
+  const { activityId, note } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await BaseTask.findOne({
+      _id: taskId,
+      organization: orgId,
+      department: deptId,
+      isDeleted: false,
+    }).session(session);
+    if (!task) throw CustomError.notFound("Task not found");
+
+    const running = await TimeEntry.findOne({
+      user: callerId,
+      endedAt: null,
+      isDeleted: false,
+    })
+      .populate({ path: "task", select: "title" })
+      .session(session);
+    if (running) {
+      throw CustomError.conflict(
+        `Stop your timer on "${running.task?.title || "another task"}" first`,
+        { entryId: running._id }
+      );
+    }
+
+    const caller = await User.findById(callerId)
+      .select("+hourlyRate")
+      .session(session);
+
+    const [entry] = await TimeEntry.create(
+      [
+        {
+          task: taskId,
+          taskType: task.taskType,
+          activity: activityId,
+          user: callerId,
+          startedAt: new Date(),
+          endedAt: null,
+          source: "Timer",
+          note,
+          hourlyRate: caller?.hourlyRate || 0,
+          organization: orgId,
+          department: deptId,
+        },
+      ],
+      { session }
+    );
+
+    await auditService.record(session, req, {
+      action: "Created",
+      document: entry,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(201).json({
+      success: true,
+      message: "Timer started",
+      entry: toEntryResponse(entry, req.user),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "createTimeEntry",
+ *   "route": "POST /tasks/:taskId/time-entries",
+ *   "purpose": "Log time on a task by hand and roll it up to the task",
+ *   "transaction": true,
+ *   "returns": "Created time entry"
+ * }
+ */
+export const createTimeEntry = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const deptId = req.user.department._id;
+  const callerId = req.user._id;
+  const { taskId } = req.validated.params;
+  const { startedAt, durationMinutes, activityId, note } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const task = await BaseTask.findOne({
+      _id: taskId,
+      organization: orgId,
+      department: deptId,
+      isDeleted: false,
+    }).session(session);
+    if (!task) throw CustomError.notFound("Task not found");
+
+    const caller = await User.findById(callerId)
+      .select("+hourlyRate")
+      .session(session);
+    const hourlyRate = caller?.hourlyRate || 0;
+    const cost = calculateTimeCost(durationMinutes, hourlyRate);
+
+    const [entry] = await TimeEntry.create(
+      [
+        {
+          task: taskId,
+          taskType: task.taskType,
+          activity: activityId,
+          user: callerId,
+          startedAt,
+          endedAt: new Date(startedAt.getTime() + durationMinutes * 60 * 1000),
+          durationMinutes,
+          source: "Manual",
+          note,
+          hourlyRate,
+          cost,
+          organization: orgId,
+          department: deptId,
+        },
+      ],
+      { session }
+    );
+
+    await rollUpTaskTime(entry, null, { session, changedBy: callerId });
+
+    await auditService.record(session, req, {
+      action: "Created",
+      document: entry,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(201).json({
+      success: true,
+      message: "Time logged successfully",
+      entry: toEntryResponse(entry, req.user),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "getRunningTimer",
+ *   "route": "GET /time-entries/running",
+ *   "purpose": "Get the caller's running timer, if any",
+ *   "transaction": false,
+ *   "returns": "Running time entry with its task, or null"
+ * }
+ */
+export const getRunningTimer = asyncHandler(async (req, res, next) => {
+  const entry = await TimeEntry.findOne({
+    organization: req.user.organization._id,
+    user: req.user._id,
+    endedAt: null,
+    isDeleted: false,
+  })
+    .select(isHeadOfDepartment(req.user) ? "" : COST_FIELDS)
+    .populate({
+      path: "task",
+      match: { isDeleted: false },
+      select: "title taskType status",
+    });
+
+  return res.status(200).json({
+    success: true,
+    message: entry ? "Timer is running" : "No timer is running",
+    entry,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "stopTimer",
+ *   "route": "POST /time-entries/running/stop",
+ *   "purpose": "Stop the caller's running timer and roll its time up to the task; timers under a minute are discarded",
+ *   "transaction": true,
+ *   "returns": "The finished time entry, or null when nothing was logged"
+ * }
+ */
+export const stopTimer = asyncHandler(async (req, res, next) => {
+  const callerId = req.user._id;
+  const { note } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const entry = await TimeEntry.findOne({
+      organization: req.user.organization._id,
+      user: callerId,
+      endedAt: null,
+      isDeleted: false,
+    }).session(session);
+    if (!entry) throw CustomError.notFound("No timer is running");
+    const before = toAuditSnapshot(entry);
+
+    const now = new Date();
+    const durationMinutes = calculateDurationMinutes(entry.startedAt, now);
+
+    if (durationMinutes === 0) {
+      await entry.softDelete(callerId, { session });
+      await auditService.record(session, req, {
+        action: "Deleted",
+        document: entry,
+      });
+      await session.commitTransaction();
+
+      return res.status(200).json({
+        success: true,
+        message: "Timer stopped under a minute; no time was logged",
+        entry: null,
+      });
+    }
+
+    // A forgotten timer only counts up to MAX_TIME_ENTRY_MINUTES
+    entry.endedAt = new Date(
+      Math.min(
+        now.getTime(),
+        entry.startedAt.getTime() + MAX_TIME_ENTRY_MINUTES * 60 * 1000
+      )
+    );
+    entry.durationMinutes = durationMinutes;
+    entry.cost = calculateTimeCost(durationMinutes, entry.hourlyRate);
+    if (note !== undefined) entry.note = note;
+    await entry.save({ session });
+
+    await rollUpTaskTime(entry, null, { session, changedBy: callerId });
+
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: entry,
+      before,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: "Timer stopped",
+      entry: toEntryResponse(entry, req.user),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "updateTimeEntry",
+ *   "route": "PUT /time-entries/:entryId",
+ *   "purpose": "Correct a finished time entry; the change in time and cost is rolled up to the task",
+ *   "transaction": true,
+ *   "returns": "Updated time entry"
+ * }
+ */
+export const updateTimeEntry = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { entryId } = req.validated.params;
+  const { startedAt, durationMinutes, activityId, note } = req.validated.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const entry = await TimeEntry.findOne({
+      _id: entryId,
+      organization: orgId,
+      isDeleted: false,
+    }).session(session);
+    if (!entry) throw CustomError.notFound("Time entry not found");
+    if (!entry.endedAt) {
+      throw CustomError.validation("Stop the timer before editing its entry");
+    }
+    const before = toAuditSnapshot(entry);
+    const previous = {
+      minutes: entry.durationMinutes,
+      cost: entry.cost,
+      costApplied: entry.costApplied,
+    };
+
+    if (activityId) {
+      const activity = await TaskActivity.findOne({
+        _id: activityId,
+        task: entry.task,
+        isDeleted: false,
+      }).session(session);
+      if (!activity) {
+        throw CustomError.validation("Activity not found on this task");
+      }
+    }
+
+    if (startedAt !== undefined) entry.startedAt = startedAt;
+    if (durationMinutes !== undefined) entry.durationMinutes = durationMinutes;
+    if (activityId !== undefined) entry.activity = activityId || null;
+    if (note !== undefined) entry.note = note;
+
+    entry.endedAt = new Date(
+      entry.startedAt.getTime() + entry.durationMinutes * 60 * 1000
+    );
+    if (entry.endedAt > new Date()) {
+      throw CustomError.validation("Time entries cannot end in the future");
+    }
+    entry.cost = calculateTimeCost(entry.durationMinutes, entry.hourlyRate);
+    await entry.save({ session });
+
+    await rollUpTaskTime(entry, previous, { session, changedBy: callerId });
+
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: entry,
+      before,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: "Time entry updated successfully",
+      entry: toEntryResponse(entry, req.user),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "deleteTimeEntry",
+ *   "route": "DELETE /time-entries/:entryId",
+ *   "purpose": "Soft delete a time entry (or discard a running timer) and take its time off the task",
+ *   "transaction": true,
+ *   "returns": "Deleted entry ID"
+ * }
+ */
+export const deleteTimeEntry = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const { entryId } = req.validated.params;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const entry = await TimeEntry.findOne({
+      _id: entryId,
+      organization: orgId,
+      isDeleted: false,
+    }).session(session);
+    if (!entry) throw CustomError.notFound("Time entry not found");
+
+    const previous = {
+      minutes: entry.durationMinutes,
+      cost: entry.cost,
+      costApplied: entry.costApplied,
+    };
+    await entry.softDelete(callerId, { session });
+
+    if (entry.endedAt) {
+      await rollUpTaskTime(entry, previous, { session, changedBy: callerId });
+    }
+
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: entry,
+    });
+
+    await session.commitTransaction();
+
+    return res.status(200).json({
+      success: true,
+      message: "Time entry deleted successfully",
+      entry: { entryId },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @json {
+ *   "controller": "getTimesheet",
+ *   "route": "GET /time-entries/timesheet",
+ *   "purpose": "Weekly timesheet of finished entries for the caller, a user or a department, as JSON or CSV; costs only for HODs",
+ *   "transaction": false,
+ *   "returns": "Rows per user and task with minutes per day and totals, or text/csv"
+ * }
+ */
+export const getTimesheet = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const { weekStart, userId, departmentId, format } = req.validated.query;
+  const includeCost = isHeadOfDepartment(req.user);
+  const timezone =
+    req.user.notificationPreferences?.timezone || DEFAULT_NOTIFICATION_TIMEZONE;
+
+  // The requested scope was authorized in determineTimeEntryContext
+  const scope = userId
+    ? { user: userId }
+    : departmentId
+      ? { department: departmentId }
+      : { user: req.user._id };
+
+  const { from, to } = getTimesheetWindow(weekStart);
+
+  const entries = await TimeEntry.find({
+    organization: orgId,
+    ...scope,
+    endedAt: { $ne: null },
+    startedAt: { $gte: from, $lt: to },
+    isDeleted: false,
+  })
+    .select("task user startedAt durationMinutes cost")
+    .populate({
+      path: "user",
+      select: "firstName lastName department",
+      populate: { path: "department", select: "name" },
+    })
+    .populate({
+      path: "task",
+      match: { isDeleted: false },
+      select: "title taskType",
+    })
+    .lean();
+
+  const timesheet = buildTimesheet(entries, {
+    weekStart,
+    timezone,
+    includeCost,
+  });
+
+  if (format === "csv") {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="timesheet-${weekStart}.csv"`
+    );
+    return res.status(200).send(buildTimesheetCsv(timesheet));
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: "Timesheet fetched successfully",
+    timesheet,
+  });
+});
@@ -2,11 +2,39 @@
 import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import CustomError from "../errorHandler/CustomError.js";
-import { User, Department, BaseTask, AssignedTask } from "../models/index.js";
+import {
+  User,
+  Department,
+  BaseTask,
+  AssignedTask,
+  Announcement,
+  Organization,
+  UserSession,
+} from "../models/index.js";
 import { createNotification } from "../utils/helpers.js";
-import { HEAD_OF_DEPARTMENT_ROLES } from "../utils/constants.js";
+import sessionService from "../services/sessionService.js";
+import securityService from "../services/securityService.js";
+import auditService from "../services/auditService.js";
+import { describeUserAgent } from "../utils/userSessions.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import { buildTwoFactorSetup, canUseTwoFactor } from "../utils/twoFactor.js";
+import { generateFeedToken } from "../utils/calendarFeed.js";
+import {
+  assertCanAnnounce,
+  deliverAnnouncement,
+  emitAnnouncement,
+} from "../utils/announcement.js";
+import {
+  HEAD_OF_DEPARTMENT_ROLES,
+  SUPER_ADMIN_ROLE,
+} from "../utils/constants.js";
+import {
+  formatNotificationPreferences,
+  mergeNotificationPreferences,
+} from "../utils/notificationPreferences.js";
 import {
   emitToDepartment,
+  emitToOrganization,
   emitToRecipients,
   emitToUser,
 } from "../utils/socketEmitter.js";
@@ -71,6 +99,11 @@ export const createUser = asyncHandler(async (req, res, next) => {
 
     await user.save({ session });
 
+    await auditService.record(session, req, {
+      action: "Created",
+      document: user,
+    });
+
     const hodRecipients = await User.find({
       department: departmentId,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
@@ -181,7 +214,7 @@ export const getAllUsers = asyncHandler(async (req, res, next) => {
         sortOrder === "asc" || sortOrder === "1" ? 1 : -1,
     },
     select:
-      "_id firstName lastName position role email employeeId department organization profilePicture createdAt isDeleted",
+      "_id firstName lastName position role email employeeId department organization profilePicture lastSeenAt twoFactor.enabled createdAt isDeleted",
     populate: [
       {
         path: "department",
@@ -237,6 +270,10 @@ export const getUser = asyncHandler(async (req, res, next) => {
     organization: orgId,
     isDeleted: false,
   })
+    // Hourly rates cost logged time and are only shown to HODs
+    .select(
+      HEAD_OF_DEPARTMENT_ROLES.includes(req.user.role) ? "+hourlyRate" : ""
+    )
     .populate({
       path: "department",
       match: { isDeleted: false },
@@ -312,6 +349,7 @@ export const updateUserBy = asyncHandler(async (req, res, next) => {
     employeeId,
     dateOfBirth,
     joinedAt,
+    hourlyRate,
   } = req.validated.body;
 
   const orgId = req.user.organization._id;
@@ -323,12 +361,20 @@ export const updateUserBy = asyncHandler(async (req, res, next) => {
     const user = await User.findOne({
       _id: userId,
       organization: orgId,
-    }).session(session);
+    })
+      .select("+hourlyRate")
+      .session(session);
     if (!user)
       throw CustomError.notFound("User not found", {
         userId,
         organizationId: orgId,
       });
+    const before = toAuditSnapshot(user);
+
+    // Rates cost everyone's logged time, so only SuperAdmins set them
+    if (hourlyRate !== undefined && req.user.role !== SUPER_ADMIN_ROLE) {
+      throw CustomError.authorization("Only SuperAdmins can set hourly rates");
+    }
 
     if (departmentId) {
       const dept = await Department.findOne({
@@ -347,15 +393,23 @@ export const updateUserBy = asyncHandler(async (req, res, next) => {
     if (firstName !== undefined) user.firstName = firstName;
     if (lastName !== undefined) user.lastName = lastName;
     if (position !== undefined) user.position = position;
+    const previousRole = user.role;
     if (role !== undefined) user.role = role;
     if (profilePicture !== undefined) user.profilePicture = profilePicture;
     if (skills !== undefined) user.skills = skills;
     if (employeeId !== undefined) user.employeeId = employeeId;
     if (dateOfBirth !== undefined) user.dateOfBirth = dateOfBirth;
     if (joinedAt !== undefined) user.joinedAt = joinedAt;
+    if (hourlyRate !== undefined) user.hourlyRate = hourlyRate;
 
     await user.save({ session });
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: user,
+      before,
+    });
+
     const hodRecipients = await User.find({
       department: user.department,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
@@ -382,6 +436,16 @@ export const updateUserBy = asyncHandler(async (req, res, next) => {
     emitToRecipients(recipientIds, "user:updated", { userId });
 
     await session.commitTransaction();
+
+    if (user.role !== previousRole) {
+      await securityService.logEvent("RoleChanged", {
+        user,
+        actor: req.user,
+        req,
+        metadata: { from: previousRole, to: user.role },
+      });
+    }
+
     const updatedUser = await User.findById(userId)
       .populate({
         path: "department",
@@ -456,10 +520,12 @@ export const updateMyProfile = asyncHandler(async (req, res, next) => {
       throw CustomError.notFound("User not found", {
         userId,
       });
+    const before = toAuditSnapshot(user);
 
     if (firstName !== undefined) user.firstName = firstName;
     if (lastName !== undefined) user.lastName = lastName;
     if (position !== undefined) user.position = position;
+    const previousRole = user.role;
     if (role !== undefined) user.role = role;
     if (email !== undefined) user.email = email;
     if (password !== undefined) user.password = password;
@@ -471,6 +537,12 @@ export const updateMyProfile = asyncHandler(async (req, res, next) => {
 
     await user.save({ session });
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: user,
+      before,
+    });
+
     await createNotification(session, {
       type: "Updated",
       title: "Profile updated",
@@ -486,6 +558,15 @@ export const updateMyProfile = asyncHandler(async (req, res, next) => {
     emitToUser(user._id, "user:profile-updated", { userId: user._id });
 
     await session.commitTransaction();
+
+    if (user.role !== previousRole) {
+      await securityService.logEvent("RoleChanged", {
+        user,
+        req,
+        metadata: { from: previousRole, to: user.role },
+      });
+    }
+
     const updatedProfile = await User.findById(userId)
       .populate({
         path: "department",
@@ -654,8 +735,15 @@ export const deleteUser = asyncHandler(async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
+    const user = await User.findById(userId).session(session);
+
     await User.softDeleteByIdWithCascade(userId, { session });
 
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: user,
+    });
+
     await createNotification(session, {
       type: "Deleted",
       title: "User deleted",
@@ -722,6 +810,11 @@ export const restoreUser = asyncHandler(async (req, res, next) => {
       })
       .session(session);
 
+    await auditService.record(session, req, {
+      action: "Restored",
+      document: restored,
+    });
+
     await createNotification(session, {
       type: "Restored",
       title: "User restored",
@@ -754,7 +847,7 @@ export const restoreUser = asyncHandler(async (req, res, next) => {
  * @json {
  *   "controller": "getEmailPreferences",
  *   "route": "GET /users/:userId/email-preferences",
- *   "purpose": "Get user's email notification preferences",
+ *   "purpose": "Get user's email and notification preferences",
  *   "returns": "User email preferences object"
  * }
  */
@@ -780,7 +873,9 @@ export const getEmailPreferences = asyncHandler(async (req, res, next) => {
     _id: userId,
     organization: orgId,
     isDeleted: false,
-  }).select("emailPreferences firstName lastName email");
+  }).select(
+    "emailPreferences notificationPreferences firstName lastName email"
+  );
 
   if (!user) {
     throw CustomError.notFound("User not found", {
@@ -806,6 +901,9 @@ export const getEmailPreferences = asyncHandler(async (req, res, next) => {
         welcomeEmails: true,
         passwordReset: true,
       },
+      notificationPreferences: formatNotificationPreferences(
+        user.notificationPreferences
+      ),
     },
   });
 });
@@ -814,7 +912,7 @@ export const getEmailPreferences = asyncHandler(async (req, res, next) => {
  * @json {
  *   "controller": "updateEmailPreferences",
  *   "route": "PUT /users/:userId/email-preferences",
- *   "purpose": "Update user's email notification preferences",
+ *   "purpose": "Update user's email and notification preferences",
  *   "returns": "Updated email preferences object"
  * }
  */
@@ -829,6 +927,10 @@ export const updateEmailPreferences = asyncHandler(async (req, res, next) => {
     announcements,
     welcomeEmails,
     passwordReset,
+    inApp,
+    digest,
+    quietHours,
+    timezone,
   } = req.validated.body;
 
   // Users can only update their own preferences, or admins can update any user's preferences
@@ -858,6 +960,8 @@ export const updateEmailPreferences = asyncHandler(async (req, res, next) => {
     });
   }
 
+  const before = toAuditSnapshot(user);
+
   // Update email preferences
   const updatedPreferences = {
     enabled:
@@ -889,12 +993,27 @@ export const updateEmailPreferences = asyncHandler(async (req, res, next) => {
   };
 
   user.emailPreferences = updatedPreferences;
+  user.notificationPreferences = mergeNotificationPreferences(
+    user.notificationPreferences,
+    { inApp, digest, quietHours, timezone }
+  );
   await user.save();
 
+  await auditService.record(null, req, {
+    action: "Updated",
+    document: user,
+    before,
+  });
+
+  const notificationPreferences = formatNotificationPreferences(
+    user.notificationPreferences
+  );
+
   // Emit real-time update to user
   emitToUser(userId, "emailPreferencesUpdated", {
     userId,
     emailPreferences: updatedPreferences,
+    notificationPreferences,
     updatedBy: req.user._id,
     updatedAt: new Date(),
   });
@@ -905,6 +1024,7 @@ export const updateEmailPreferences = asyncHandler(async (req, res, next) => {
     user: {
       userId: user._id,
       emailPreferences: updatedPreferences,
+      notificationPreferences,
     },
   });
 });
@@ -913,7 +1033,7 @@ export const updateEmailPreferences = asyncHandler(async (req, res, next) => {
  * @json {
  *   "controller": "getMyEmailPreferences",
  *   "route": "GET /users/me/email-preferences",
- *   "purpose": "Get current user's email notification preferences",
+ *   "purpose": "Get current user's email and notification preferences",
  *   "returns": "Current user's email preferences object"
  * }
  */
@@ -923,7 +1043,9 @@ export const getMyEmailPreferences = asyncHandler(async (req, res, next) => {
   const user = await User.findOne({
     _id: userId,
     isDeleted: false,
-  }).select("emailPreferences firstName lastName email");
+  }).select(
+    "emailPreferences notificationPreferences firstName lastName email"
+  );
 
   if (!user) {
     throw CustomError.notFound("User not found", {
@@ -948,6 +1070,9 @@ export const getMyEmailPreferences = asyncHandler(async (req, res, next) => {
         welcomeEmails: true,
         passwordReset: true,
       },
+      notificationPreferences: formatNotificationPreferences(
+        user.notificationPreferences
+      ),
     },
   });
 });
@@ -956,7 +1081,7 @@ export const getMyEmailPreferences = asyncHandler(async (req, res, next) => {
  * @json {
  *   "controller": "updateMyEmailPreferences",
  *   "route": "PUT /users/me/email-preferences",
- *   "purpose": "Update current user's email notification preferences",
+ *   "purpose": "Update current user's email and notification preferences",
  *   "returns": "Updated email preferences object"
  * }
  */
@@ -970,6 +1095,10 @@ export const updateMyEmailPreferences = asyncHandler(async (req, res, next) => {
     announcements,
     welcomeEmails,
     passwordReset,
+    inApp,
+    digest,
+    quietHours,
+    timezone,
   } = req.validated.body;
 
   const user = await User.findOne({
@@ -983,6 +1112,8 @@ export const updateMyEmailPreferences = asyncHandler(async (req, res, next) => {
     });
   }
 
+  const before = toAuditSnapshot(user);
+
   // Update email preferences
   const updatedPreferences = {
     enabled:
@@ -1014,12 +1145,27 @@ export const updateMyEmailPreferences = asyncHandler(async (req, res, next) => {
   };
 
   user.emailPreferences = updatedPreferences;
+  user.notificationPreferences = mergeNotificationPreferences(
+    user.notificationPreferences,
+    { inApp, digest, quietHours, timezone }
+  );
   await user.save();
 
+  await auditService.record(null, req, {
+    action: "Updated",
+    document: user,
+    before,
+  });
+
+  const notificationPreferences = formatNotificationPreferences(
+    user.notificationPreferences
+  );
+
   // Emit real-time update to user
   emitToUser(userId, "emailPreferencesUpdated", {
     userId,
     emailPreferences: updatedPreferences,
+    notificationPreferences,
     updatedBy: userId,
     updatedAt: new Date(),
   });
@@ -1030,163 +1176,483 @@ export const updateMyEmailPreferences = asyncHandler(async (req, res, next) => {
     user: {
       userId: user._id,
       emailPreferences: updatedPreferences,
+      notificationPreferences,
     },
   });
 });
 
 /**
  * @json {
- *   "controller": "sendBulkAnnouncement",
- *   "route": "POST /users/bulk-announcement",
- *   "purpose": "Send bulk announcement email to organization or department users",
- *   "transaction": true,
- *   "returns": "Announcement notification object"
+ *   "controller": "getMySessions",
+ *   "route": "GET /users/me/sessions",
+ *   "purpose": "List the current user's active sessions with device, IP and last use",
+ *   "returns": "Sessions, most recently used first, with the caller's own marked current"
  * }
  */
-export const sendBulkAnnouncement = asyncHandler(async (req, res, next) => {
-  const orgId = req.user.organization._id;
-  const callerId = req.user._id;
-  const callerDeptId = req.user.department._id;
+export const getMySessions = asyncHandler(async (req, res, next) => {
+  const sessions = await UserSession.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastUsedAt expiresAt createdAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
 
-  const {
-    title,
-    message,
-    targetType, // 'organization' or 'department'
-    targetDepartmentId, // Required if targetType is 'department'
-  } = req.validated.body;
+  return res.status(200).json({
+    success: true,
+    message: "Sessions retrieved successfully",
+    sessions: sessions.map((s) => ({
+      ...s,
+      ...describeUserAgent(s.userAgent),
+      current: String(s._id) === String(req.sessionId),
+    })),
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "revokeMySession",
+ *   "route": "DELETE /users/me/sessions/:sessionId",
+ *   "purpose": "Sign out one of the current user's sessions and disconnect its sockets",
+ *   "returns": "Revoked session ID and whether it was the caller's own"
+ * }
+ */
+export const revokeMySession = asyncHandler(async (req, res, next) => {
+  const { sessionId } = req.validated.params;
+
+  await sessionService.revokeSessions(
+    { _id: sessionId, user: req.user._id },
+    "Revoked"
+  );
 
-  // Only HODs can send announcements
-  if (!HEAD_OF_DEPARTMENT_ROLES.includes(req.user.role)) {
+  return res.status(200).json({
+    success: true,
+    message: "Session signed out successfully",
+    sessionId,
+    current: String(sessionId) === String(req.sessionId),
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "revokeMySessions",
+ *   "route": "DELETE /users/me/sessions",
+ *   "purpose": "Sign out all of the current user's sessions, optionally keeping this one",
+ *   "returns": "Number of sessions revoked"
+ * }
+ */
+export const revokeMySessions = asyncHandler(async (req, res, next) => {
+  const { exceptCurrent } = req.validated.query;
+
+  const revokedCount = await sessionService.revokeSessions(
+    {
+      user: req.user._id,
+      ...(exceptCurrent && { _id: { $ne: req.sessionId } }),
+    },
+    "Revoked"
+  );
+
+  return res.status(200).json({
+    success: true,
+    message: `${revokedCount} session(s) signed out successfully`,
+    revokedCount,
+  });
+});
+
+// Loads the caller with two-factor secrets selected
+const findUserWithTwoFactor = (userId, extraSelect = "") =>
+  User.findById(userId).select(
+    `+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep ${extraSelect}`.trim()
+  );
+
+/**
+ * @json {
+ *   "controller": "getMyTwoFactor",
+ *   "route": "GET /users/me/two-factor",
+ *   "purpose": "Get the current user's two-factor status",
+ *   "returns": "Whether two-factor is available, enabled and required, and recovery codes left"
+ * }
+ */
+export const getMyTwoFactor = asyncHandler(async (req, res, next) => {
+  const [user, organization] = await Promise.all([
+    User.findById(req.user._id).select("+twoFactor.recoveryCodes"),
+    Organization.findById(req.user.organization._id)
+      .select("requireTwoFactor")
+      .lean(),
+  ]);
+
+  const available = canUseTwoFactor(user);
+
+  return res.status(200).json({
+    success: true,
+    message: "Two-factor status retrieved successfully",
+    twoFactor: {
+      available,
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: available && !!organization?.requireTwoFactor,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+    },
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "setupMyTwoFactor",
+ *   "route": "POST /users/me/two-factor/setup",
+ *   "purpose": "Start TOTP enrollment for the current SuperAdmin or Admin",
+ *   "returns": "Secret, otpauth URL and QR code data URL for an authenticator app"
+ * }
+ */
+export const setupMyTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await findUserWithTwoFactor(req.user._id);
+
+  if (!canUseTwoFactor(user)) {
     throw CustomError.authorization(
-      "Only SuperAdmin and Admin users can send announcements",
-      {
-        userRole: req.user.role,
-        requiredRoles: HEAD_OF_DEPARTMENT_ROLES,
-      }
+      "Two-factor authentication is available to SuperAdmins and Admins",
+      { userId: user._id, role: user.role }
     );
   }
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  if (user.twoFactor?.enabled) {
+    throw CustomError.conflict("Two-factor authentication is already enabled", {
+      userId: user._id,
+    });
+  }
 
-  try {
-    let recipients = [];
-    let targetDepartment = callerDeptId;
-
-    if (targetType === "organization") {
-      // SuperAdmin can send to entire organization
-      if (req.user.role !== "SuperAdmin") {
-        throw CustomError.authorization(
-          "Only SuperAdmin can send organization-wide announcements",
-          {
-            userRole: req.user.role,
-            requiredRole: "SuperAdmin",
-          }
-        );
-      }
+  const secret = user.startTwoFactorEnrollment();
+  await user.save({ validateBeforeSave: false });
 
-      recipients = await User.find({
-        organization: orgId,
-        isDeleted: false,
-        _id: { $ne: callerId },
-      }).session(session);
-    } else if (targetType === "department") {
-      const deptId = targetDepartmentId || callerDeptId;
+  return res.status(200).json({
+    success: true,
+    message: "Scan the QR code with your authenticator app",
+    setup: await buildTwoFactorSetup(user, secret),
+  });
+});
 
-      // Verify department exists and user has access
-      const department = await Department.findOne({
-        _id: deptId,
-        organization: orgId,
-        isDeleted: false,
-      }).session(session);
+/**
+ * @json {
+ *   "controller": "enableMyTwoFactor",
+ *   "route": "POST /users/me/two-factor/enable",
+ *   "purpose": "Finish TOTP enrollment with a code from the authenticator app",
+ *   "returns": "One-time recovery codes, shown only once"
+ * }
+ */
+export const enableMyTwoFactor = asyncHandler(async (req, res, next) => {
+  const { code } = req.validated.body;
+  const user = await findUserWithTwoFactor(req.user._id);
 
-      if (!department) {
-        throw CustomError.notFound("Department not found", {
-          departmentId: deptId,
-          organizationId: orgId,
-        });
-      }
+  if (user.twoFactor?.enabled || !user.twoFactor?.pendingSecret) {
+    throw CustomError.validation("Start two-factor setup before enabling it", {
+      userId: user._id,
+    });
+  }
 
-      // Admin can only send to their own department, SuperAdmin can send to any department
-      if (
-        req.user.role === "Admin" &&
-        String(deptId) !== String(callerDeptId)
-      ) {
-        throw CustomError.authorization(
-          "Admin users can only send announcements to their own department",
-          {
-            userRole: req.user.role,
-            userDepartmentId: callerDeptId,
-            targetDepartmentId: deptId,
-          }
-        );
-      }
+  const before = toAuditSnapshot(user);
+  const recoveryCodes = user.completeTwoFactorEnrollment(code);
+  if (!recoveryCodes) {
+    throw CustomError.validation("Invalid verification code", {
+      userId: user._id,
+    });
+  }
 
-      recipients = await User.find({
-        organization: orgId,
-        department: deptId,
-        isDeleted: false,
-        _id: { $ne: callerId },
-      }).session(session);
+  await user.save({ validateBeforeSave: false });
 
-      targetDepartment = deptId;
-    } else {
-      throw CustomError.validation(
-        "Invalid targetType. Must be 'organization' or 'department'",
-        {
-          targetType,
-          validValues: ["organization", "department"],
-        }
-      );
+  await auditService.record(null, req, {
+    action: "Updated",
+    document: user,
+    before,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: "Two-factor authentication enabled",
+    recoveryCodes,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "disableMyTwoFactor",
+ *   "route": "POST /users/me/two-factor/disable",
+ *   "purpose": "Turn off two-factor after confirming the password, unless the organization requires it",
+ *   "returns": "Success message"
+ * }
+ */
+export const disableMyTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password } = req.validated.body;
+  const [user, organization] = await Promise.all([
+    findUserWithTwoFactor(req.user._id, "+password"),
+    Organization.findById(req.user.organization._id)
+      .select("requireTwoFactor")
+      .lean(),
+  ]);
+
+  if (canUseTwoFactor(user) && organization?.requireTwoFactor) {
+    throw CustomError.authorization(
+      "Your organization requires two-factor authentication",
+      { userId: user._id, organizationId: organization._id }
+    );
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw CustomError.validation("Password is incorrect", {
+      userId: user._id,
+    });
+  }
+
+  const before = toAuditSnapshot(user);
+  user.clearTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  await auditService.record(null, req, {
+    action: "Updated",
+    document: user,
+    before,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "regenerateMyRecoveryCodes",
+ *   "route": "POST /users/me/two-factor/recovery-codes",
+ *   "purpose": "Replace all recovery codes after confirming an authenticator code",
+ *   "returns": "New one-time recovery codes, shown only once"
+ * }
+ */
+export const regenerateMyRecoveryCodes = asyncHandler(
+  async (req, res, next) => {
+    const { code } = req.validated.body;
+    const user = await findUserWithTwoFactor(req.user._id);
+
+    if (!user.twoFactor?.enabled) {
+      throw CustomError.validation("Two-factor authentication is not enabled", {
+        userId: user._id,
+      });
     }
 
-    if (recipients.length === 0) {
-      throw CustomError.validation("No recipients found for announcement", {
-        targetType,
-        targetDepartmentId:
-          targetType === "department" ? targetDepartment : null,
+    if (!user.verifyTwoFactorCode(code)) {
+      throw CustomError.validation("Invalid verification code", {
+        userId: user._id,
       });
     }
 
-    const recipientIds = recipients.map((user) => user._id);
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
 
-    // Create notification with email integration
-    const notification = await createNotification(session, {
-      type: "Announcement",
-      title,
-      message,
-      recipients: recipientIds,
-      organization: orgId,
-      department: targetDepartment,
-      createdBy: callerId,
-      emailData: {
-        senderName: `${req.user.firstName} ${req.user.lastName}`,
-        senderPosition: req.user.position,
-      },
-      sendEmail: true,
+    return res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated",
+      recoveryCodes,
+    });
+  }
+);
+
+// Public feed URL on this API; calendar apps fetch it without signing in
+const buildCalendarFeedUrl = (req, token) =>
+  `${req.protocol}://${req.get("host")}/api/calendar/feed/${token}.ics`;
+
+/**
+ * @json {
+ *   "controller": "getMyCalendarFeed",
+ *   "route": "GET /users/me/calendar-feed",
+ *   "purpose": "Get whether the current user has a calendar feed URL",
+ *   "returns": "Whether the feed is enabled and when its URL was created"
+ * }
+ */
+export const getMyCalendarFeed = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(
+    "+calendarFeed.tokenHash"
+  );
+
+  return res.status(200).json({
+    success: true,
+    message: "Calendar feed status retrieved successfully",
+    calendarFeed: {
+      enabled: !!user.calendarFeed?.tokenHash,
+      createdAt: user.calendarFeed?.createdAt || null,
+    },
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "createMyCalendarFeed",
+ *   "route": "POST /users/me/calendar-feed",
+ *   "purpose": "Create the current user's secret calendar feed URL, replacing any previous one",
+ *   "returns": "Feed URL, shown only once"
+ * }
+ */
+export const createMyCalendarFeed = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(
+    "+calendarFeed.tokenHash"
+  );
+
+  const before = toAuditSnapshot(user);
+  const { token, tokenHash } = generateFeedToken();
+  user.calendarFeed = { tokenHash, createdAt: new Date() };
+  await user.save({ validateBeforeSave: false });
+
+  await auditService.record(null, req, {
+    action: "Updated",
+    document: user,
+    before,
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: "Calendar feed URL created",
+    calendarFeed: {
+      enabled: true,
+      createdAt: user.calendarFeed.createdAt,
+      url: buildCalendarFeedUrl(req, token),
+    },
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "revokeMyCalendarFeed",
+ *   "route": "DELETE /users/me/calendar-feed",
+ *   "purpose": "Revoke the current user's calendar feed URL so subscriptions stop updating",
+ *   "returns": "Success message"
+ * }
+ */
+export const revokeMyCalendarFeed = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(
+    "+calendarFeed.tokenHash"
+  );
+
+  if (user.calendarFeed?.tokenHash) {
+    const before = toAuditSnapshot(user);
+    user.calendarFeed = { tokenHash: undefined, createdAt: null };
+    await user.save({ validateBeforeSave: false });
+
+    await auditService.record(null, req, {
+      action: "Updated",
+      document: user,
+      before,
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: "Calendar feed URL revoked",
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "resetUserTwoFactor",
+ *   "route": "POST /users/:userId/two-factor/reset",
+ *   "purpose": "SuperAdmin clears a user's two-factor (lost device) and signs them out everywhere",
+ *   "returns": "Success message"
+ * }
+ */
+export const resetUserTwoFactor = asyncHandler(async (req, res, next) => {
+  const { userId } = req.validated.params;
+
+  if (req.user.role !== SUPER_ADMIN_ROLE) {
+    throw CustomError.authorization(
+      "Only SuperAdmins can reset two-factor authentication",
+      { userId: req.user._id, role: req.user.role }
+    );
+  }
+
+  const user = await findUserWithTwoFactor(userId);
+  const before = toAuditSnapshot(user);
+  user.clearTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  await auditService.record(null, req, {
+    action: "Updated",
+    document: user,
+    before,
+  });
+
+  // The lost device may still hold a session
+  await sessionService.revokeSessions({ user: user._id }, "Revoked");
+
+  return res.status(200).json({
+    success: true,
+    message: `Two-factor authentication reset for ${user.firstName} ${user.lastName}`,
+  });
+});
+
+/**
+ * @json {
+ *   "controller": "sendBulkAnnouncement",
+ *   "route": "POST /users/bulk-announcement",
+ *   "purpose": "Send or schedule an announcement to the organization or chosen departments",
+ *   "transaction": true,
+ *   "returns": "Created announcement"
+ * }
+ */
+export const sendBulkAnnouncement = asyncHandler(async (req, res, next) => {
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+  const callerDeptId = req.user.department._id;
+
+  const { title, message, targetType, targetDepartmentIds, scheduledFor } =
+    req.validated.body;
+
+  assertCanAnnounce(req.user, targetType, targetDepartmentIds);
+
+  const now = new Date();
+  const isScheduled = !!scheduledFor && scheduledFor > now;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const [announcement] = await Announcement.create(
+      [
+        {
+          title,
+          message,
+          targetType,
+          targetDepartments:
+            targetType === "organization" ? [] : targetDepartmentIds,
+          status: "Scheduled",
+          scheduledFor: isScheduled ? scheduledFor : now,
+          organization: orgId,
+          department: callerDeptId,
+          createdBy: callerId,
+        },
+      ],
+      { session }
+    );
+
+    await auditService.record(session, req, {
+      action: "Created",
+      document: announcement,
     });
 
+    const delivery = isScheduled
+      ? null
+      : await deliverAnnouncement(announcement, req.user, session);
+
     await session.commitTransaction();
 
-    // Emit real-time notification
-    emitToRecipients(recipientIds, "announcementReceived", {
-      notificationId: notification._id,
-      type: notification.type,
-      title: notification.title,
-      message: notification.message,
-      senderName: `${req.user.firstName} ${req.user.lastName}`,
-      sentAt: notification.sentAt,
+    if (delivery) {
+      emitAnnouncement(announcement, delivery.notification, req.user);
+    }
+    emitToOrganization(orgId, "organization:announcement:updated", {
+      announcementId: announcement._id,
     });
 
     return res.status(201).json({
       success: true,
-      message: `Announcement sent to ${recipients.length} users`,
-      notification: {
-        notificationId: notification._id,
-        recipientCount: recipients.length,
-        targetType,
-        targetDepartment: targetType === "department" ? targetDepartment : null,
-      },
+      message: isScheduled
+        ? `Announcement scheduled for ${announcement.scheduledFor.toISOString()}`
+        : `Announcement sent to ${announcement.recipientCount} users`,
+      announcement,
     });
   } catch (error) {
     await session.abortTransaction();
@@ -2,9 +2,21 @@
 import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import CustomError from "../errorHandler/CustomError.js";
-import { Vendor, ProjectTask, User } from "../models/index.js";
+import {
+  Vendor,
+  VendorRating,
+  ProjectTask,
+  User,
+} from "../models/index.js";
 import { createNotification } from "../utils/helpers.js";
-import { HEAD_OF_DEPARTMENT_ROLES } from "../utils/constants.js";
+import { getVendorScorecards } from "../utils/vendorScorecard.js";
+import { toAuditSnapshot } from "../utils/audit.js";
+import auditService from "../services/auditService.js";
+import {
+  HEAD_OF_DEPARTMENT_ROLES,
+  VENDOR_SCORECARD_SORT_FIELDS,
+  MAX_VENDOR_RECENT_RATINGS,
+} from "../utils/constants.js";
 import {
   emitToOrganization,
   emitToRecipients,
@@ -38,6 +50,11 @@ export const createVendor = asyncHandler(async (req, res, next) => {
 
     await vendor.save({ session });
 
+    await auditService.record(session, req, {
+      action: "Created",
+      document: vendor,
+    });
+
     const hodRecipients = await User.find({
       organization: orgId,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
@@ -82,9 +99,9 @@ export const createVendor = asyncHandler(async (req, res, next) => {
  * @json {
  *   "controller": "getAllVendors",
  *   "route": "GET /vendors",
- *   "purpose": "List vendors in the organization with pagination and search",
+ *   "purpose": "List vendors in the organization with pagination, search and scorecards; sortable by scorecard metrics",
  *   "transaction": false,
- *   "returns": "Vendors array with pagination metadata"
+ *   "returns": "Vendors array (each with scorecard) with pagination metadata"
  * }
  */
 export const getAllVendors = asyncHandler(async (req, res, next) => {
@@ -104,14 +121,52 @@ export const getAllVendors = asyncHandler(async (req, res, next) => {
     filter.$or = [{ name: rx }, { email: rx }, { phone: rx }];
   }
 
+  const direction = sortOrder === "asc" || sortOrder === "1" ? 1 : -1;
+  const select =
+    "_id name email phone organization createdAt updatedAt isDeleted";
+
+  // Scorecards are computed, so rank every matching vendor before paging
+  if (VENDOR_SCORECARD_SORT_FIELDS.includes(sortBy)) {
+    let query = Vendor.find(filter).select(select);
+    if (deleted === true) query = query.onlyDeleted();
+    const all = await query.lean();
+
+    const scorecards = await getVendorScorecards(
+      orgId,
+      all.map((v) => v._id)
+    );
+    const ranked = all
+      .map((v) => ({ ...v, scorecard: scorecards.get(v._id.toString()) }))
+      .sort((a, b) => {
+        const av = a.scorecard[sortBy];
+        const bv = b.scorecard[sortBy];
+        // Vendors with nothing to measure go last in either direction
+        if (av === null) return bv === null ? 0 : 1;
+        if (bv === null) return -1;
+        return (av - bv) * direction;
+      });
+
+    const totalPages = Math.ceil(ranked.length / limit);
+    return res.status(200).json({
+      success: true,
+      message: "Vendors fetched successfully",
+      pagination: {
+        page,
+        limit,
+        totalPages,
+        totalCount: ranked.length,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+      },
+      vendors: ranked.slice((page - 1) * limit, page * limit),
+    });
+  }
+
   const options = {
     page,
     limit,
-    sort: {
-      [sortBy || "createdAt"]:
-        sortOrder === "asc" || sortOrder === "1" ? 1 : -1,
-    },
-    select: "_id name email phone organization createdAt updatedAt isDeleted",
+    sort: { [sortBy || "createdAt"]: direction },
+    select,
     lean: true,
   };
 
@@ -120,6 +175,11 @@ export const getAllVendors = asyncHandler(async (req, res, next) => {
 
   const result = await query.paginate(filter, options);
 
+  const scorecards = await getVendorScorecards(
+    orgId,
+    result.docs.map((v) => v._id)
+  );
+
   return res.status(200).json({
     success: true,
     message: "Vendors fetched successfully",
@@ -131,7 +191,10 @@ export const getAllVendors = asyncHandler(async (req, res, next) => {
       hasNext: result.hasNextPage,
       hasPrev: result.hasPrevPage,
     },
-    vendors: result.docs,
+    vendors: result.docs.map((v) => ({
+      ...v,
+      scorecard: scorecards.get(v._id.toString()),
+    })),
   });
 });
 
@@ -139,9 +202,9 @@ export const getAllVendors = asyncHandler(async (req, res, next) => {
  * @json {
  *   "controller": "getVendor",
  *   "route": "GET /vendors/:vendorId",
- *   "purpose": "Get single vendor by ID with project tasks, cost statistics, performance metrics, and contact info",
+ *   "purpose": "Get single vendor by ID with project tasks, cost statistics, scorecard, recent ratings, and contact info",
  *   "transaction": false,
- *   "returns": "Vendor object with tasks and statistics"
+ *   "returns": "Vendor object with tasks, statistics, scorecard and ratings"
  * }
  */
 export const getVendor = asyncHandler(async (req, res, next) => {
@@ -190,10 +253,20 @@ export const getVendor = asyncHandler(async (req, res, next) => {
     isDeleted: false,
   })
     .select(
-      "_id title status priority startDate dueDate estimatedCost actualCost currency"
+      "_id title status priority startDate dueDate completedAt estimatedCost actualCost currency department"
     )
     .lean();
 
+  const [scorecards, ratings] = await Promise.all([
+    getVendorScorecards(orgId, [vendor._id]),
+    VendorRating.find({ organization: orgId, vendor: vendorId })
+      .sort({ updatedAt: -1 })
+      .limit(MAX_VENDOR_RECENT_RATINGS)
+      .populate({ path: "task", select: "_id title" })
+      .populate({ path: "ratedBy", select: "_id firstName lastName" })
+      .lean(),
+  ]);
+
   const stats = tasks.reduce(
     (acc, t) => {
       acc.count += 1;
@@ -212,10 +285,112 @@ export const getVendor = asyncHandler(async (req, res, next) => {
       ...vendor,
       projects: tasks,
       stats,
+      scorecard: scorecards.get(vendor._id.toString()),
+      ratings,
     },
   });
 });
 
+/**
+ * @json {
+ *   "controller": "rateVendor",
+ *   "route": "POST /vendors/:vendorId/ratings",
+ *   "purpose": "Rate the vendor of a completed ProjectTask; rating the same task again replaces the score",
+ *   "transaction": true,
+ *   "returns": "Saved rating and the vendor's updated scorecard"
+ * }
+ */
+export const rateVendor = asyncHandler(async (req, res, next) => {
+  const { vendorId } = req.validated.params;
+  const { taskId, score, comment } = req.validated.body;
+  const orgId = req.user.organization._id;
+  const callerId = req.user._id;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const task = await ProjectTask.findOne({
+      _id: taskId,
+      organization: orgId,
+      isDeleted: false,
+    }).session(session);
+    if (!task)
+      throw CustomError.notFound("Project task not found", {
+        taskId,
+        organizationId: orgId,
+      });
+
+    if (task.vendor.toString() !== vendorId.toString()) {
+      throw CustomError.validation(
+        "Project task is not assigned to this vendor",
+        { taskId, vendorId }
+      );
+    }
+
+    if (task.status !== "Completed") {
+      throw CustomError.validation(
+        "Vendors can only be rated once the project task is completed",
+        { taskId, status: task.status }
+      );
+    }
+
+    // Admins rate their own department's tasks; SuperAdmins any in the org
+    if (
+      req.user.role !== "SuperAdmin" &&
+      task.department.toString() !== req.user.department._id.toString()
+    ) {
+      throw CustomError.authorization(
+        "You can only rate vendors for tasks in your department",
+        { taskId, departmentId: task.department }
+      );
+    }
+
+    const existing = await VendorRating.findOne({ task: task._id }).session(
+      session
+    );
+    const before = toAuditSnapshot(existing);
+
+    const rating = await VendorRating.findOneAndUpdate(
+      { task: task._id },
+      {
+        $set: {
+          vendor: vendorId,
+          organization: orgId,
+          department: task.department,
+          score,
+          comment,
+          ratedBy: callerId,
+        },
+      },
+      { upsert: true, new: true, runValidators: true, session }
+    );
+
+    await auditService.record(session, req, {
+      action: existing ? "Updated" : "Created",
+      document: rating,
+      before,
+    });
+
+    await session.commitTransaction();
+
+    emitToOrganization(orgId, "vendor:updated", { vendorId });
+
+    const scorecards = await getVendorScorecards(orgId, [rating.vendor]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Vendor rated successfully",
+      rating,
+      scorecard: scorecards.get(vendorId.toString()),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    next(error);
+  } finally {
+    session.endSession();
+  }
+});
+
 /**
  * @json {
  *   "controller": "updateVendor",
@@ -239,6 +414,12 @@ export const updateVendor = asyncHandler(async (req, res, next) => {
     if (email !== undefined) update.email = email;
     if (phone !== undefined) update.phone = phone;
 
+    const before = toAuditSnapshot(
+      await Vendor.findOne({ _id: vendorId, organization: orgId }).session(
+        session
+      )
+    );
+
     await Vendor.updateOne(
       { _id: vendorId, organization: orgId },
       { $set: update },
@@ -271,6 +452,12 @@ export const updateVendor = asyncHandler(async (req, res, next) => {
       })
       .session(session);
 
+    await auditService.record(session, req, {
+      action: "Updated",
+      document: updated,
+      before,
+    });
+
     const hodRecipients = await User.find({
       organization: orgId,
       role: { $in: HEAD_OF_DEPARTMENT_ROLES },
@@ -328,12 +515,19 @@ export const deleteVendor = asyncHandler(async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
+    const vendor = await Vendor.findById(vendorId).session(session);
+
     await Vendor.softDeleteByIdWithReassign(vendorId, {
       reassignToVendorId,
       session,
       deletedBy: callerId,
     });
 
+    await auditService.record(session, req, {
+      action: "Deleted",
+      document: vendor,
+    });
+
     await createNotification(session, {
       type: "Deleted",
       title: "Vendor deleted",
@@ -422,6 +616,11 @@ export const restoreVendor = asyncHandler(async (req, res, next) => {
       })
       .session(session);
 
+    await auditService.record(session, req, {
+      action: "Restored",
+      document: restored,
+    });
+
     await createNotification(session, {
       type: "Restored",
       title: "Vendor restored",
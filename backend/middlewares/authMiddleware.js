@@ -1,8 +1,10 @@
 // backend/middlewares/authMiddleware.js
 import jwt from "jsonwebtoken";
-import { User } from "../models/index.js";
+import { User, UserSession } from "../models/index.js";
 import checkUserStatus from "../utils/userStatus.js";
 import CustomError from "../errorHandler/CustomError.js";
+import sessionService from "../services/sessionService.js";
+import { verifyTwoFactorChallengeToken } from "../utils/generateTokens.js";
 
 /**
  * Extract JWT from either the httpOnly cookie or the Authorization header.
@@ -50,7 +52,33 @@ export const verifyRefreshToken = async (req, res, next) => {
       }
     }
 
-    // 3) Load user
+    // 3) Load the session and check the token is its latest
+    const { userSession, state } =
+      await sessionService.resolveRefreshToken(decoded);
+
+    if (state === "reuse") {
+      // A superseded token was replayed: revoke the whole token family
+      await sessionService.revokeSessions({ _id: userSession._id }, "Reuse");
+      return next(
+        CustomError.authentication("Refresh token has already been used", {
+          tokenType: 'refresh_token',
+          sessionId: userSession._id,
+          reason: 'Token reuse detected, session revoked'
+        })
+      );
+    }
+
+    if (state !== "active" && state !== "grace") {
+      return next(
+        CustomError.authentication("Session has ended, please log in again", {
+          tokenType: 'refresh_token',
+          sessionId: decoded.sessionId,
+          reason: state
+        })
+      );
+    }
+
+    // 4) Load user
     const user = await User.findById(decoded.userId)
       .populate({ path: "organization", select: "name isDeleted" })
       .populate({
@@ -67,7 +95,7 @@ export const verifyRefreshToken = async (req, res, next) => {
       );
     }
 
-    // 4) Status checks for user
+    // 5) Status checks for user
     const userStatus = checkUserStatus(user);
     if (userStatus.status) {
       return next(
@@ -80,8 +108,10 @@ export const verifyRefreshToken = async (req, res, next) => {
       );
     }
 
-    // Attach user to request
+    // Attach user and session to request
     req.user = user;
+    req.userSession = userSession;
+    req.refreshTokenId = decoded.jti;
 
     return next();
   } catch (error) {
@@ -167,7 +197,26 @@ export const verifyJWT = async (req, res, next) => {
       }
     }
 
-    // 3) Load user with tenant context (organization & department)
+    // 3) The session must not have been revoked since the token was issued
+    const sessionActive =
+      decoded.sessionId &&
+      (await UserSession.exists({
+        _id: decoded.sessionId,
+        user: decoded.userId,
+        revokedAt: null,
+      }));
+
+    if (!sessionActive) {
+      return next(
+        CustomError.authentication("Session has ended, please log in again", {
+          tokenType: 'access_token',
+          sessionId: decoded.sessionId,
+          reason: 'Session revoked or missing'
+        })
+      );
+    }
+
+    // 4) Load user with tenant context (organization & department)
     const user = await User.findById(decoded.userId)
       .populate({ path: "organization", select: "name isDeleted" })
       .populate({
@@ -184,7 +233,7 @@ export const verifyJWT = async (req, res, next) => {
       );
     }
 
-    // 4) Status checks for user, department and organization
+    // 5) Status checks for user, department and organization
     const userStatus = checkUserStatus(user);
     if (userStatus.status) {
       return next(
@@ -199,6 +248,7 @@ export const verifyJWT = async (req, res, next) => {
 
     // Attach context to request
     req.user = user;
+    req.sessionId = decoded.sessionId;
 
     return next();
   } catch (error) {
@@ -215,5 +265,100 @@ export const verifyJWT = async (req, res, next) => {
   }
 };
 
+// Middleware to verify the challenge token between the password and
+// second-factor steps of a login
+export const verifyTwoFactorChallenge = async (req, res, next) => {
+  try {
+    // 1) Extract challenge token
+    const challengeToken = req.body?.challengeToken;
+    if (!challengeToken || typeof challengeToken !== "string") {
+      return next(
+        CustomError.authentication("Two-factor challenge token is required", {
+          missingToken: 'challengeToken',
+          source: 'body'
+        })
+      );
+    }
+
+    // 2) Verify challenge token
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (jwtError) {
+      return next(
+        CustomError.authentication(
+          jwtError.name === "TokenExpiredError"
+            ? "Two-factor challenge has expired, please log in again"
+            : "Invalid two-factor challenge",
+          {
+            tokenType: 'challengeToken',
+            jwtError: jwtError.name
+          }
+        )
+      );
+    }
+
+    // 3) Load user with two-factor secrets and login context
+    const user = await User.findById(decoded.userId)
+      .select(
+        "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+      )
+      .populate({
+        path: "organization",
+        match: { isDeleted: false },
+        select:
+          "_id name description email phone address industry logoUrl requireTwoFactor createdBy createdAt",
+      })
+      .populate({
+        path: "department",
+        match: { isDeleted: false },
+        select: "_id name description organization createdBy createdAt",
+        populate: {
+          path: "organization",
+          match: { isDeleted: false },
+          select: "_id name",
+        },
+      });
+
+    if (!user) {
+      return next(
+        CustomError.authentication("User not found", {
+          userId: decoded.userId,
+          reason: 'User account may have been deleted or deactivated'
+        })
+      );
+    }
+
+    // 4) Status checks for user
+    const userStatus = checkUserStatus(user);
+    if (userStatus.status) {
+      return next(
+        CustomError.authentication(userStatus.message, {
+          userId: user._id,
+          userStatus: userStatus.errorCode,
+          organizationId: user.organization?._id,
+          departmentId: user.department?._id
+        })
+      );
+    }
+
+    // Attach user to request
+    req.user = user;
+
+    return next();
+  } catch (error) {
+    return next(
+      CustomError.internal(
+        `Internal server error during two-factor challenge verification: ${error.message}`,
+        {
+          operation: 'two_factor_challenge_verification',
+          originalError: error.message,
+          stack: error.stack
+        }
+      )
+    );
+  }
+};
+
 // Export token extraction utilities for use in Socket.IO
 export { extractAccessToken, extractRefreshToken };
@@ -174,15 +174,37 @@ const determineContext = async (resource, req, user) => {
     case "TaskComment":
       return await determineTaskCommentContext(req, user);
 
+    case "TimeEntry":
+      return await determineTimeEntryContext(req, user);
+
+    case "SlaPolicy":
+      return await determineSlaPolicyContext(req, user);
+
     case "Material":
       return await determineMaterialContext(req, user);
 
     case "Vendor":
       return await determineVendorContext(req, user);
 
+    case "PurchaseOrder":
+      return await determinePurchaseOrderContext(req, user);
+
     case "Notification":
       return await determineNotificationContext(req, user);
 
+    case "Announcement":
+      return await determineAnnouncementContext(req, user);
+
+    case "QueuedEmail":
+      return await determineQueuedEmailContext(req, user);
+
+    case "SecurityEvent":
+      // The security log is only listed, scoped to the organization in the controller
+      return "own";
+
+    case "AuditLog":
+      return await determineAuditLogContext(req, user);
+
     default:
       throw new Error(
         `No context determination defined for resource: ${resource}`
@@ -325,7 +347,7 @@ const determineUserContext = async (req, user) => {
 };
 
 const determineTaskContext = async (req, user) => {
-  const { taskId } = req.params;
+  const { taskId, templateId } = req.params;
   const { departmentId, assigneeId, deleted } = req.query;
   const bodyDepartmentId = req.body.departmentId;
   const bodyAssigneeIds = req.body.assigneeIds || [];
@@ -377,6 +399,30 @@ const determineTaskContext = async (req, user) => {
     }
   }
 
+  // For specific routine task template operations
+  if (templateId) {
+    const { RoutineTaskTemplate } = await import(
+      "../models/RoutineTaskTemplate.js"
+    );
+    const template = await RoutineTaskTemplate.findOne({
+      _id: templateId,
+    }).withDeleted();
+
+    if (!template) return null;
+
+    if (template.createdBy.toString() === user._id.toString()) {
+      return "own";
+    }
+
+    if (template.department.toString() === user.department._id.toString()) {
+      return "ownDept";
+    } else if (
+      template.organization.toString() === user.organization._id.toString()
+    ) {
+      return "crossDept";
+    }
+  }
+
   // For create operations
   if (bodyDepartmentId) {
     if (bodyDepartmentId === user.department._id.toString()) {
@@ -480,6 +526,115 @@ const determineTaskActivityContext = async (req, user) => {
   return "ownDept"; // Default context
 };
 
+const determineTimeEntryContext = async (req, user) => {
+  const { entryId, taskId } = req.params;
+  const { userId, departmentId } = req.query;
+
+  // For specific entry operations
+  if (entryId) {
+    const { TimeEntry } = await import("../models/TimeEntry.js");
+    const entry = await TimeEntry.findOne({ _id: entryId, isDeleted: false });
+
+    if (!entry) return null;
+
+    if (entry.user.toString() === user._id.toString()) {
+      return "own";
+    }
+
+    if (entry.department.toString() === user.department._id.toString()) {
+      return "ownDept";
+    } else if (
+      entry.organization.toString() === user.organization._id.toString()
+    ) {
+      return "crossDept";
+    }
+    return null;
+  }
+
+  // For logging or listing time on a task
+  if (taskId) {
+    const { BaseTask } = await import("../models/BaseTask.js");
+    const task = await BaseTask.findOne({ _id: taskId, isDeleted: false });
+
+    if (!task) return null;
+
+    if (task.department.toString() === user.department._id.toString()) {
+      return "ownDept";
+    } else if (
+      task.organization.toString() === user.organization._id.toString()
+    ) {
+      return "crossDept";
+    }
+    return null;
+  }
+
+  // For timesheets of another user
+  if (userId && userId !== user._id.toString()) {
+    const { User } = await import("../models/User.js");
+    const target = await User.findOne({
+      _id: userId,
+      organization: user.organization._id,
+      isDeleted: false,
+    });
+
+    if (!target) return null;
+
+    return target.department.toString() === user.department._id.toString()
+      ? "ownDept"
+      : "crossDept";
+  }
+
+  // For timesheets of a department
+  if (departmentId) {
+    if (departmentId === user.department._id.toString()) return "ownDept";
+
+    const { Department } = await import("../models/Department.js");
+    const department = await Department.findOne({
+      _id: departmentId,
+      organization: user.organization._id,
+      isDeleted: false,
+    });
+    return department ? "crossDept" : null;
+  }
+
+  // The caller's own timer and timesheet
+  return "own";
+};
+
+const determineSlaPolicyContext = async (req, user) => {
+  const { policyId } = req.params;
+  const { departmentId } = req.query;
+  const ownDeptId = user.department._id.toString();
+
+  // For specific policy operations
+  if (policyId) {
+    const { SlaPolicy } = await import("../models/SlaPolicy.js");
+    const policy = await SlaPolicy.findOne({ _id: policyId, isDeleted: false });
+
+    if (!policy) return null;
+    if (policy.organization.toString() !== user.organization._id.toString()) {
+      return null;
+    }
+
+    // Organization-wide policies govern every department
+    return policy.department?.toString() === ownDeptId
+      ? "ownDept"
+      : "crossDept";
+  }
+
+  // Create operations: no department means organization-wide
+  if (req.method === "POST") {
+    return req.body.departmentId?.toString() === ownDeptId
+      ? "ownDept"
+      : "crossDept";
+  }
+
+  // List filters for another department
+  if (departmentId && departmentId !== ownDeptId) return "crossDept";
+
+  return "ownDept";
+};
+
 const determineTaskCommentContext = async (req, user) => {
   const { commentId } = req.params;
   const { parentId } = req.body;
@@ -627,6 +782,56 @@ const determineVendorContext = async (req, user) => {
   return user.organization._id ? "ownDept" : null;
 };
 
+const determinePurchaseOrderContext = async (req, user) => {
+  const { purchaseOrderId } = req.params;
+  const { departmentId } = req.query;
+  const bodyDepartmentId = req.body.departmentId;
+
+  // For specific purchase order operations
+  if (purchaseOrderId) {
+    const { PurchaseOrder } = await import("../models/PurchaseOrder.js");
+    const purchaseOrder = await PurchaseOrder.findOne({
+      _id: purchaseOrderId,
+    }).withDeleted();
+
+    if (!purchaseOrder) return null;
+
+    // Check if user created the purchase order
+    if (purchaseOrder.createdBy.toString() === user._id.toString()) {
+      return "own";
+    }
+
+    if (
+      purchaseOrder.department.toString() === user.department._id.toString()
+    ) {
+      return "ownDept";
+    } else if (
+      purchaseOrder.organization.toString() === user.organization._id.toString()
+    ) {
+      return "crossDept";
+    }
+
+    return null;
+  }
+
+  // For create operations (and list filters) targeting another department
+  const targetDepartmentId = bodyDepartmentId || departmentId;
+  if (
+    targetDepartmentId &&
+    targetDepartmentId !== user.department._id.toString()
+  ) {
+    const { Department } = await import("../models/Department.js");
+    const department = await Department.findOne({
+      _id: targetDepartmentId,
+      organization: user.organization._id,
+      isDeleted: false,
+    });
+    return department ? "crossDept" : null;
+  }
+
+  return "ownDept"; // Default to own department
+};
+
 const determineNotificationContext = async (req, user) => {
   const { notificationId } = req.params;
   const { userId, departmentId } = req.query;
@@ -733,6 +938,98 @@ const determineNotificationContext = async (req, user) => {
   return "own";
 };
 
+const determineAnnouncementContext = async (req, user) => {
+  const { announcementId } = req.params;
+  const { departmentId } = req.query;
+  const { targetType, targetDepartmentId, targetDepartmentIds } = req.body;
+  const ownDeptId = user.department._id.toString();
+
+  // For specific announcement operations
+  if (announcementId) {
+    const { Announcement } = await import("../models/Announcement.js");
+    const announcement = await Announcement.findOne({
+      _id: announcementId,
+    }).withDeleted();
+
+    if (!announcement) return null;
+
+    // Check if user sent the announcement
+    if (announcement.createdBy.toString() === user._id.toString()) {
+      return "own";
+    }
+
+    if (announcement.department.toString() === ownDeptId) {
+      return "ownDept";
+    } else if (
+      announcement.organization.toString() === user.organization._id.toString()
+    ) {
+      return "crossDept";
+    }
+
+    return null;
+  }
+
+  // Organization-wide announcements reach every department
+  if (targetType === "organization") return "crossDept";
+
+  // Create operations targeting departments other than the user's own
+  const targets = [
+    ...(Array.isArray(targetDepartmentIds) ? targetDepartmentIds : []),
+    ...(targetDepartmentId ? [targetDepartmentId] : []),
+  ].map(String);
+  if (targets.some((id) => id !== ownDeptId)) return "crossDept";
+
+  // List filters for another department
+  if (departmentId && departmentId !== ownDeptId) return "crossDept";
+
+  return "ownDept"; // Default to own department
+};
+
+const determineQueuedEmailContext = async (req, user) => {
+  const { emailId } = req.params;
+
+  // For specific queued email operations
+  if (emailId) {
+    const { QueuedEmail } = await import("../models/QueuedEmail.js");
+    const queuedEmail = await QueuedEmail.findById(emailId).select(
+      "organization"
+    );
+
+    if (!queuedEmail) return null;
+
+    // Queued emails are organization-wide records
+    if (
+      queuedEmail.organization?.toString() === user.organization._id.toString()
+    ) {
+      return "own";
+    }
+
+    return null;
+  }
+
+  // For list operations - scoped to the user's organization in the controller
+  return "own";
+};
+
+const determineAuditLogContext = async (req, user) => {
+  const { departmentId } = req.query;
+
+  // For list operations with department filter
+  if (departmentId && departmentId !== user.department._id.toString()) {
+    const { Department } = await import("../models/Department.js");
+    const department = await Department.findOne({
+      _id: departmentId,
+      organization: user.organization._id,
+      isDeleted: false,
+    });
+    return department ? "crossDept" : null;
+  }
+
+  // Without a department filter the controller limits roles lacking
+  // crossDept access to their own department
+  return "ownDept";
+};
+
 // Helper middleware for public routes that don't require authorization
 export const publicRoute = (req, res, next) => {
   req.authz = { isPublic: true };
@@ -3,6 +3,7 @@
 // Rate limiting prevents abuse and DDoS attacks
 // General API: 100 requests per 15 minutes
 // Auth endpoints: 5 requests per 15 minutes
+// Two-factor codes: 5 failed attempts per 15 minutes
 // Use Redis in production, memory-based in development
 
 import rateLimit from "express-rate-limit";
@@ -24,6 +25,14 @@ const RATE_LIMIT_CONFIG = {
       parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES || "15") * 60 * 1000,
     max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS || "5"),
   },
+  // Failed two-factor code attempts (successful ones are not counted)
+  twoFactor: {
+    windowMs:
+      parseInt(process.env.TWO_FACTOR_RATE_LIMIT_WINDOW_MINUTES || "15") *
+      60 *
+      1000,
+    max: parseInt(process.env.TWO_FACTOR_RATE_LIMIT_MAX_ATTEMPTS || "5"),
+  },
   // Strict rate limit for sensitive operations
   strict: {
     windowMs:
@@ -340,6 +349,7 @@ const createKeyGenerator = () => {
  * @param {string} config.message - Error message
  * @param {string} config.errorCode - Error code for response
  * @param {boolean} config.skipInDev - Whether to skip in development
+ * @param {boolean} config.skipSuccessfulRequests - Only count failed (4xx/5xx) responses
  * @returns {Function} - Express middleware
  */
 const createRateLimiter = ({
@@ -348,10 +358,12 @@ const createRateLimiter = ({
   message,
   errorCode,
   skipInDev = true,
+  skipSuccessfulRequests = false,
 }) => {
   return rateLimit({
     windowMs,
     max,
+    skipSuccessfulRequests,
     standardHeaders: true, // Return rate limit info in `RateLimit-*` headers
     legacyHeaders: false, // Disable `X-RateLimit-*` headers
     skip: createSkipFunction(skipInDev),
@@ -390,6 +402,20 @@ const authLimiter = createRateLimiter({
   skipInDev: true,
 });
 
+/**
+ * Two-factor code rate limiter
+ * 5 failed attempts per 15 minutes by default, keyed by IP and user
+ * Applied to: /api/auth/2fa/*, /api/users/me/two-factor/*
+ */
+const twoFactorLimiter = createRateLimiter({
+  windowMs: RATE_LIMIT_CONFIG.twoFactor.windowMs,
+  max: RATE_LIMIT_CONFIG.twoFactor.max,
+  message: "Too many invalid verification codes, please try again later",
+  errorCode: "TOO_MANY_TWO_FACTOR_ATTEMPTS",
+  skipInDev: false, // Always enforce for second-factor guessing
+  skipSuccessfulRequests: true,
+});
+
 /**
  * General API rate limiter
  * 100 requests per 15 minutes by default
@@ -509,6 +535,10 @@ const getRateLimitStatus = () => {
         windowMinutes: RATE_LIMIT_CONFIG.auth.windowMs / 60000,
         maxRequests: RATE_LIMIT_CONFIG.auth.max,
       },
+      twoFactor: {
+        windowMinutes: RATE_LIMIT_CONFIG.twoFactor.windowMs / 60000,
+        maxRequests: RATE_LIMIT_CONFIG.twoFactor.max,
+      },
       strict: {
         windowMinutes: RATE_LIMIT_CONFIG.strict.windowMs / 60000,
         maxRequests: RATE_LIMIT_CONFIG.strict.max,
@@ -535,6 +565,7 @@ const getRateLimitStatus = () => {
 
 export {
   authLimiter,
+  twoFactorLimiter,
   apiLimiter,
   strictLimiter,
   createLimiter,
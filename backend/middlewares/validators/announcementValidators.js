@@ -0,0 +1,170 @@
+// backend/middlewares/validators/announcementValidators.js
+import { body, param, query } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import { Announcement } from "../../models/index.js";
+import { ANNOUNCEMENT_STATUS } from "../../utils/constants.js";
+
+/**
+ * Check that a non-deleted announcement belongs to the caller's organization
+ * @param {string} announcementId - Announcement ID
+ * @param {Object} req - Express request
+ */
+const assertAnnouncementInOrganization = async (announcementId, req) => {
+  const announcement = await Announcement.findOne({
+    _id: announcementId,
+    organization: req.user.organization._id,
+    isDeleted: false,
+  });
+  if (!announcement) {
+    throw new Error("Announcement not found in your organization");
+  }
+  return true;
+};
+
+const announcementIdParam = () =>
+  param("announcementId")
+    .isMongoId()
+    .withMessage("Announcement ID must be a valid MongoDB ID")
+    .bail()
+    .custom((announcementId, { req }) =>
+      assertAnnouncementInOrganization(announcementId, req)
+    );
+
+const attachAnnouncementParams = (req, _res, next) => {
+  req.validated = req.validated || {};
+  req.validated.params = { announcementId: req.params.announcementId };
+  next();
+};
+
+/**
+ * @json {
+ *   "route": "GET /announcements",
+ *   "purpose": "List announcements with delivery status and read counts",
+ *   "validates": ["page","limit","status","departmentId","pinned"],
+ *   "rules": [
+ *     "Optional pagination (limit up to 100)",
+ *     "Optional status constrained by ANNOUNCEMENT_STATUS",
+ *     "Optional departmentId (sender department) and pinned filters",
+ *     "Attach sanitized query to req.validated.query"
+ *   ]
+ * }
+ */
+export const validateGetAllAnnouncements = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  query("status")
+    .optional({ checkFalsy: true })
+    .isIn(ANNOUNCEMENT_STATUS)
+    .withMessage(`Status must be one of: ${ANNOUNCEMENT_STATUS.join(", ")}`),
+  query("departmentId")
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID"),
+  query("pinned")
+    .optional()
+    .isBoolean()
+    .withMessage("Pinned must be a boolean")
+    .toBoolean(),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+      status: req.query.status || undefined,
+      departmentId: req.query.departmentId || undefined,
+      pinned:
+        typeof req.query.pinned === "boolean" ? req.query.pinned : undefined,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "GET /announcements/:announcementId",
+ *   "purpose": "Get a single announcement with read counts",
+ *   "validates": ["announcementId"],
+ *   "rules": [
+ *     "announcementId must be valid and belong to user's organization",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateGetAnnouncement = [
+  announcementIdParam(),
+  attachAnnouncementParams,
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PATCH /announcements/:announcementId/pin",
+ *   "purpose": "Pin or unpin a sent announcement",
+ *   "validates": ["announcementId","pinned"],
+ *   "rules": [
+ *     "announcementId must be valid and belong to user's organization",
+ *     "pinned is a required boolean",
+ *     "Attach sanitized params and body to req.validated"
+ *   ]
+ * }
+ */
+export const validatePinAnnouncement = [
+  announcementIdParam(),
+  body("pinned")
+    .exists()
+    .withMessage("Pinned is required")
+    .bail()
+    .isBoolean()
+    .withMessage("Pinned must be a boolean")
+    .toBoolean(),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { announcementId: req.params.announcementId };
+    req.validated.body = { pinned: req.body.pinned };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /announcements/:announcementId/cancel",
+ *   "purpose": "Cancel a scheduled announcement before it is sent",
+ *   "validates": ["announcementId"],
+ *   "rules": [
+ *     "announcementId must be valid and belong to user's organization",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateCancelAnnouncement = [
+  announcementIdParam(),
+  attachAnnouncementParams,
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "DELETE /announcements/:announcementId",
+ *   "purpose": "Soft delete an announcement",
+ *   "validates": ["announcementId"],
+ *   "rules": [
+ *     "announcementId must be valid and belong to user's organization",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateDeleteAnnouncement = [
+  announcementIdParam(),
+  attachAnnouncementParams,
+  handleValidationErrors,
+];
@@ -0,0 +1,105 @@
+// backend/middlewares/validators/auditValidators.js
+import { query } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import { AUDIT_ACTIONS, AUDIT_RESOURCE_MODELS } from "../../utils/constants.js";
+
+/**
+ * @json {
+ *   "route": "GET /audit",
+ *   "purpose": "Query the audit log",
+ *   "validates": ["page","limit","action","resourceModel","resourceId","actorId","departmentId","from","to","organizationId","sortOrder"],
+ *   "rules": [
+ *     "Pagination integers",
+ *     "Optional action constrained by AUDIT_ACTIONS",
+ *     "Optional resourceModel constrained by AUDIT_RESOURCE_MODELS",
+ *     "Optional resourceId, actorId and departmentId MongoDB IDs",
+ *     "Optional from/to ISO 8601 dates with from before to",
+ *     "Optional organizationId (platform users only)",
+ *     "Attach sanitized query to req.validated.query"
+ *   ]
+ * }
+ */
+export const validateGetAuditLogs = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  query("action")
+    .optional({ nullable: true })
+    .isIn(AUDIT_ACTIONS)
+    .withMessage(`action must be one of: ${AUDIT_ACTIONS.join(", ")}`),
+  query("resourceModel")
+    .optional({ nullable: true })
+    .isIn(AUDIT_RESOURCE_MODELS)
+    .withMessage(
+      `resourceModel must be one of: ${AUDIT_RESOURCE_MODELS.join(", ")}`
+    ),
+  query("resourceId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("resourceId must be a valid MongoDB ID"),
+  query("actorId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("actorId must be a valid MongoDB ID"),
+  query("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID"),
+  query("from")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("from must be a valid ISO 8601 date"),
+  query("to")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("to must be a valid ISO 8601 date")
+    .bail()
+    .custom((to, { req }) => {
+      if (req.query.from && new Date(req.query.from) > new Date(to)) {
+        throw new Error("from must be before to");
+      }
+      return true;
+    }),
+  query("organizationId")
+    .optional()
+    .isMongoId()
+    .withMessage("organizationId must be a valid MongoDB ID")
+    .bail()
+    .custom((organizationId, { req }) => {
+      if (
+        req.authz?.scope !== "crossOrg" &&
+        organizationId !== req.user.organization._id.toString()
+      )
+        throw new Error("Cannot view the audit log of another organization");
+      return true;
+    }),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc", "1", "-1"])
+    .withMessage("Invalid sortOrder"),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20,
+      action: req.query.action,
+      resourceModel: req.query.resourceModel,
+      resourceId: req.query.resourceId,
+      actorId: req.query.actorId,
+      departmentId: req.query.departmentId,
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? new Date(req.query.to) : undefined,
+      organizationId: req.query.organizationId,
+      sortOrder: req.query.sortOrder || "desc",
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
@@ -1,7 +1,7 @@
 import { body } from "express-validator";
 import { Organization } from "../../models/index.js";
 import { handleValidationErrors } from "./validation.js";
-import { VALID_INDUSTRIES } from "../../utils/constants.js";
+import { VALID_INDUSTRIES, TOTP_DIGITS } from "../../utils/constants.js";
 
 /**
  * @json {
@@ -43,6 +43,53 @@ export const validateLogin = [
   handleValidationErrors,
 ];
 
+/**
+ * @json {
+ *   "route": "POST /api/auth/2fa/verify",
+ *   "purpose": "Validate the second login step",
+ *   "validates": ["code", "recoveryCode"],
+ *   "rules": [
+ *     "Exactly one of code (authenticator code) or recoveryCode",
+ *     "code is numeric with TOTP_DIGITS digits",
+ *     "challengeToken is checked by verifyTwoFactorChallenge"
+ *   ]
+ * }
+ */
+export const validateTwoFactorLogin = [
+  body("code")
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(new RegExp(`^\\d{${TOTP_DIGITS}}$`))
+    .withMessage(`Code must be ${TOTP_DIGITS} digits`),
+
+  body("recoveryCode")
+    .optional({ checkFalsy: true })
+    .isString()
+    .withMessage("Recovery code must be a string")
+    .trim()
+    .isLength({ max: 32 })
+    .withMessage("Invalid recovery code"),
+
+  body().custom((_, { req }) => {
+    const { code, recoveryCode } = req.body;
+    if (!code === !recoveryCode) {
+      throw new Error(
+        "Provide either an authenticator code or a recovery code"
+      );
+    }
+
+    req.validated = req.validated || {};
+    req.validated.body = {
+      code: code || undefined,
+      recoveryCode: recoveryCode || undefined,
+    };
+
+    return true;
+  }),
+
+  handleValidationErrors,
+];
+
 /**
  * @json {
  *   "route": "POST /api/auth/register",
@@ -0,0 +1,26 @@
+// backend/middlewares/validators/calendarValidators.js
+import { param } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+
+/**
+ * @json {
+ *   "route": "GET /calendar/feed/:token.ics",
+ *   "purpose": "Fetch a user's task calendar by its secret token",
+ *   "validates": ["token"],
+ *   "rules": [
+ *     "Token is URL-safe base64",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateGetCalendarFeed = [
+  param("token")
+    .matches(/^[A-Za-z0-9_-]{20,100}$/)
+    .withMessage("Calendar feed token is invalid"),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { token: req.params.token };
+    next();
+  },
+  handleValidationErrors,
+];
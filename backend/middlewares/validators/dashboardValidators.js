@@ -0,0 +1,48 @@
+// backend/middlewares/validators/dashboardValidators.js
+import { query } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import { Department } from "../../models/index.js";
+
+/**
+ * @json {
+ *   "route": "GET /dashboard",
+ *   "purpose": "Fetch dashboard analytics for the caller's scope",
+ *   "validates": ["departmentId","months"],
+ *   "rules": [
+ *     "Optional departmentId must exist in the caller's organization",
+ *     "Optional months between 1 and 24 (default 6)"
+ *   ]
+ * }
+ */
+export const validateGetDashboard = [
+  query("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID")
+    .bail()
+    .custom(async (departmentId, { req }) => {
+      const exists = await Department.exists({
+        _id: departmentId,
+        organization: req.user.organization._id,
+        isDeleted: false,
+      });
+      if (!exists) throw new Error("Department not found in organization");
+      return true;
+    }),
+  query("months")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 24 })
+    .withMessage("months must be between 1 and 24"),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const { departmentId, months } = req.query;
+
+    req.validated.query = {
+      departmentId,
+      months: months ? Number(months) : 6,
+    };
+    return true;
+  }),
+
+  handleValidationErrors,
+];
@@ -0,0 +1,145 @@
+// backend/middlewares/validators/emailQueueValidators.js
+import { param, query } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import { QueuedEmail } from "../../models/index.js";
+import { EMAIL_QUEUE_STATUS } from "../../utils/constants.js";
+
+/**
+ * Check that a queued email exists and is visible to the user
+ * Platform users may act on any organization's emails
+ */
+const queuedEmailExists = async (emailId, { req }) => {
+  const filter = { _id: emailId };
+  if (req.authz?.scope !== "crossOrg") {
+    filter.organization = req.user.organization._id;
+  }
+
+  const queuedEmail = await QueuedEmail.exists(filter);
+  if (!queuedEmail)
+    throw new Error("Queued email not found in your organization");
+  return true;
+};
+
+/**
+ * @json {
+ *   "route": "GET /email-queue",
+ *   "purpose": "List queued emails with delivery status",
+ *   "validates": ["page","limit","status","search","organizationId","sortBy","sortOrder"],
+ *   "rules": [
+ *     "Pagination integers",
+ *     "Optional status constrained by EMAIL_QUEUE_STATUS",
+ *     "Optional search string (recipient or subject)",
+ *     "Optional organizationId (platform users only)",
+ *     "Attach sanitized query to req.validated.query"
+ *   ]
+ * }
+ */
+export const validateGetAllQueuedEmails = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  query("status")
+    .optional({ nullable: true })
+    .isIn(EMAIL_QUEUE_STATUS)
+    .withMessage(`status must be one of: ${EMAIL_QUEUE_STATUS.join(", ")}`),
+  query("search")
+    .optional()
+    .isString()
+    .withMessage("Search must be a string")
+    .trim(),
+  query("organizationId")
+    .optional()
+    .isMongoId()
+    .withMessage("organizationId must be a valid MongoDB ID")
+    .bail()
+    .custom((organizationId, { req }) => {
+      if (
+        req.authz?.scope !== "crossOrg" &&
+        organizationId !== req.user.organization._id.toString()
+      )
+        throw new Error("Cannot view emails of another organization");
+      return true;
+    }),
+  query("sortBy")
+    .optional()
+    .isString()
+    .withMessage("sortBy must be a string")
+    .trim(),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc", "1", "-1"])
+    .withMessage("Invalid sortOrder"),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+      status: req.query.status,
+      search: req.query.search?.trim(),
+      organizationId: req.query.organizationId,
+      sortBy: req.query.sortBy?.trim() || "createdAt",
+      sortOrder: req.query.sortOrder || "desc",
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /email-queue/:emailId/retry",
+ *   "purpose": "Re-queue a dead-lettered email for delivery",
+ *   "validates": ["emailId"],
+ *   "rules": [
+ *     "emailId must be a valid MongoDB ID",
+ *     "Queued email must exist in the user's organization (any organization for platform users)",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateRetryQueuedEmail = [
+  param("emailId")
+    .isMongoId()
+    .withMessage("Email ID must be a valid MongoDB ID")
+    .bail()
+    .custom(queuedEmailExists),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { emailId: req.params.emailId };
+    next();
+  },
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "DELETE /email-queue/:emailId",
+ *   "purpose": "Discard a pending or dead-lettered email",
+ *   "validates": ["emailId"],
+ *   "rules": [
+ *     "emailId must be a valid MongoDB ID",
+ *     "Queued email must exist in the user's organization (any organization for platform users)",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateDiscardQueuedEmail = [
+  param("emailId")
+    .isMongoId()
+    .withMessage("Email ID must be a valid MongoDB ID")
+    .bail()
+    .custom(queuedEmailExists),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { emailId: req.params.emailId };
+    next();
+  },
+  handleValidationErrors,
+];
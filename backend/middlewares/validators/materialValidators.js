@@ -8,6 +8,10 @@ import {
   MATERIAL_CATEGORIES,
   MAX_MATERIAL_NAME_LENGTH,
   MAX_MATERIAL_PRICE,
+  MAX_MATERIAL_QUANTITY,
+  INVENTORY_MOVEMENT_TYPES,
+  MANUAL_INVENTORY_MOVEMENT_TYPES,
+  MAX_INVENTORY_NOTE_LENGTH,
 } from "../../utils/constants.js";
 
 /**
@@ -157,6 +161,11 @@ export const validateGetAllMaterials = [
     .optional()
     .isIn(["asc", "desc", "1", "-1"])
     .withMessage("Invalid sortOrder"),
+  query("lowStock")
+    .optional()
+    .isBoolean()
+    .withMessage("lowStock must be a boolean")
+    .toBoolean(),
   query().custom((_, { req }) => {
     req.validated = req.validated || {};
     req.validated.query = {
@@ -176,6 +185,7 @@ export const validateGetAllMaterials = [
           : undefined,
       sortBy: req.query.sortBy?.trim(),
       sortOrder: req.query.sortOrder || "desc",
+      lowStock: req.query.lowStock === true || req.query.lowStock === "true",
     };
     return true;
   }),
@@ -383,3 +393,247 @@ export const validateRestoreMaterial = [
   },
   handleValidationErrors,
 ];
+
+/**
+ * Check that a department belongs to the caller's organization
+ * @param {string} departmentId - Department ID
+ * @param {Object} req - Express request
+ */
+const assertDepartmentInOrganization = async (departmentId, req) => {
+  const dept = await Department.findOne({
+    _id: departmentId,
+    organization: req.user.organization._id,
+    isDeleted: false,
+  });
+  if (!dept) throw new Error("Department not found in your organization");
+  return true;
+};
+
+/**
+ * Check that an active material belongs to the caller's organization
+ * @param {string} materialId - Material ID
+ * @param {Object} req - Express request
+ */
+const assertActiveMaterial = async (materialId, req) => {
+  const material = await Material.findOne({
+    _id: materialId,
+    organization: req.user.organization._id,
+    isDeleted: false,
+  });
+  if (!material) throw new Error("Material not found in your organization");
+  return true;
+};
+
+/**
+ * @json {
+ *   "route": "GET /materials/:materialId/movements",
+ *   "purpose": "List inventory ledger entries for a material",
+ *   "validates": ["materialId","page","limit","departmentId","type","from","to"],
+ *   "rules": [
+ *     "Material must exist in caller organization (including soft-deleted)",
+ *     "Department must belong to caller organization",
+ *     "Type in INVENTORY_MOVEMENT_TYPES",
+ *     "from/to are ISO 8601 dates with from <= to"
+ *   ]
+ * }
+ */
+export const validateGetMaterialMovements = [
+  param("materialId")
+    .isMongoId()
+    .withMessage("Material ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (materialId, { req }) => {
+      const material = await Material.findOne({
+        _id: materialId,
+        organization: req.user.organization._id,
+      }).withDeleted();
+      if (!material) throw new Error("Material not found in your organization");
+      return true;
+    }),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  query("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID")
+    .bail()
+    .custom((departmentId, { req }) =>
+      assertDepartmentInOrganization(departmentId, req)
+    ),
+  query("type")
+    .optional({ nullable: true })
+    .isIn(INVENTORY_MOVEMENT_TYPES)
+    .withMessage(`Type must be one of: ${INVENTORY_MOVEMENT_TYPES.join(", ")}`),
+  query("from")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("from must be a valid ISO 8601 date"),
+  query("to")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("to must be a valid ISO 8601 date")
+    .bail()
+    .custom((to, { req }) => {
+      if (req.query.from && new Date(req.query.from) > new Date(to)) {
+        throw new Error("from must be before to");
+      }
+      return true;
+    }),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { materialId: req.params.materialId };
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20,
+      departmentId: req.query.departmentId,
+      type: req.query.type,
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? new Date(req.query.to) : undefined,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /materials/:materialId/movements",
+ *   "purpose": "Record a receipt, adjustment or transfer of material stock",
+ *   "validates": ["materialId","type","quantity","departmentId","toDepartmentId","note"],
+ *   "rules": [
+ *     "Material must be active in caller organization",
+ *     "Type in MANUAL_INVENTORY_MOVEMENT_TYPES (consumption is recorded by tasks)",
+ *     "Receipt/Transfer quantity must be positive; Adjustment quantity is signed and non-zero",
+ *     "departmentId defaults to the material's department; another department than the caller's needs crossDept update (checked in controller)",
+ *     "Transfer requires a different toDepartmentId in the same organization",
+ *     "Attach sanitized body to req.validated.body"
+ *   ]
+ * }
+ */
+export const validateCreateMaterialMovement = [
+  param("materialId")
+    .isMongoId()
+    .withMessage("Material ID must be a valid MongoDB ID")
+    .bail()
+    .custom((materialId, { req }) => assertActiveMaterial(materialId, req)),
+  body("type")
+    .exists({ checkFalsy: true })
+    .withMessage("Movement type is required")
+    .bail()
+    .isIn(MANUAL_INVENTORY_MOVEMENT_TYPES)
+    .withMessage(
+      `Type must be one of: ${MANUAL_INVENTORY_MOVEMENT_TYPES.join(", ")}`
+    ),
+  body("quantity")
+    .exists({ checkNull: true })
+    .withMessage("Quantity is required")
+    .bail()
+    .isFloat({ min: -MAX_MATERIAL_QUANTITY, max: MAX_MATERIAL_QUANTITY })
+    .withMessage(
+      `Quantity must be between -${MAX_MATERIAL_QUANTITY} and ${MAX_MATERIAL_QUANTITY}`
+    )
+    .bail()
+    .custom((quantity, { req }) => {
+      const value = Number(quantity);
+      if (value === 0) throw new Error("Quantity cannot be zero");
+      if (req.body.type !== "Adjustment" && value < 0) {
+        throw new Error(`${req.body.type} quantity must be positive`);
+      }
+      return true;
+    }),
+  body("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID")
+    .bail()
+    .custom((departmentId, { req }) =>
+      assertDepartmentInOrganization(departmentId, req)
+    ),
+  body("toDepartmentId")
+    .if(body("type").equals("Transfer"))
+    .exists({ checkFalsy: true })
+    .withMessage("toDepartmentId is required for transfers")
+    .bail()
+    .isMongoId()
+    .withMessage("toDepartmentId must be a valid MongoDB ID")
+    .bail()
+    .custom((toDepartmentId, { req }) =>
+      assertDepartmentInOrganization(toDepartmentId, req)
+    ),
+  body("note")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Note must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: MAX_INVENTORY_NOTE_LENGTH })
+    .withMessage(`Note cannot exceed ${MAX_INVENTORY_NOTE_LENGTH} characters`),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { materialId: req.params.materialId };
+    req.validated.body = {
+      type: req.body.type,
+      quantity: Number(req.body.quantity),
+      departmentId: req.body.departmentId || undefined,
+      toDepartmentId:
+        req.body.type === "Transfer" ? req.body.toDepartmentId : undefined,
+      note: req.body.note?.trim() || undefined,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PUT /materials/:materialId/stock",
+ *   "purpose": "Set the reorder threshold of a department's stock of a material",
+ *   "validates": ["materialId","reorderThreshold","departmentId"],
+ *   "rules": [
+ *     "Material must be active in caller organization",
+ *     "reorderThreshold numeric within range (0 disables alerts)",
+ *     "departmentId defaults to the material's department; another department than the caller's needs crossDept update (checked in controller)"
+ *   ]
+ * }
+ */
+export const validateUpdateMaterialStock = [
+  param("materialId")
+    .isMongoId()
+    .withMessage("Material ID must be a valid MongoDB ID")
+    .bail()
+    .custom((materialId, { req }) => assertActiveMaterial(materialId, req)),
+  body("reorderThreshold")
+    .exists({ checkNull: true })
+    .withMessage("Reorder threshold is required")
+    .bail()
+    .isFloat({ min: 0, max: MAX_MATERIAL_QUANTITY })
+    .withMessage(
+      `Reorder threshold must be between 0 and ${MAX_MATERIAL_QUANTITY}`
+    ),
+  body("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID")
+    .bail()
+    .custom((departmentId, { req }) =>
+      assertDepartmentInOrganization(departmentId, req)
+    ),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { materialId: req.params.materialId };
+    req.validated.body = {
+      reorderThreshold: Number(req.body.reorderThreshold),
+      departmentId: req.body.departmentId || undefined,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
@@ -1,19 +1,24 @@
 // backend/middlewares/validators/notificationValidators.js
-import { param, query } from "express-validator";
+import { body, param, query } from "express-validator";
 import { handleValidationErrors } from "./validation.js";
 import { Notification } from "../../models/index.js";
-import { NOTIFICATION_TYPES } from "../../utils/constants.js";
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_ENTITY_MODELS,
+  MAX_NOTIFICATION_BULK_IDS,
+} from "../../utils/constants.js";
 
 /**
  * @json {
  *   "route": "GET /notifications",
  *   "purpose": "Get user notifications with pagination",
- *   "validates": ["page","limit","unreadOnly","type","deleted","sortBy","sortOrder"],
+ *   "validates": ["page","limit","unreadOnly","type","deleted","archived","sortBy","sortOrder"],
  *   "rules": [
  *     "Pagination integers",
  *     "Optional unreadOnly boolean",
  *     "Optional type constrained by NOTIFICATION_TYPES",
  *     "Optional deleted boolean",
+ *     "Optional archived boolean (list the user's archive instead of the inbox)",
  *     "Attach sanitized query to req.validated.query"
  *   ]
  * }
@@ -43,6 +48,11 @@ export const validateGetAllNotifications = [
     .isBoolean()
     .withMessage("Deleted must be a boolean")
     .toBoolean(),
+  query("archived")
+    .optional()
+    .isBoolean()
+    .withMessage("Archived must be a boolean")
+    .toBoolean(),
   query("sortBy")
     .optional()
     .isString()
@@ -61,6 +71,7 @@ export const validateGetAllNotifications = [
         req.query.unreadOnly === true || req.query.unreadOnly === "true",
       type: req.query.type,
       deleted: req.query.deleted === true || req.query.deleted === "true",
+      archived: req.query.archived === true || req.query.archived === "true",
       sortBy: req.query.sortBy || "sentAt",
       sortOrder: req.query.sortOrder || "desc",
     };
@@ -132,3 +143,92 @@ export const validateGetUnreadCount = [
   }),
   handleValidationErrors,
 ];
+
+/**
+ * @json {
+ *   "route": "PATCH /notifications/read-all",
+ *   "purpose": "Mark all of the user's unread notifications as read, optionally filtered",
+ *   "validates": ["type","entityModel","before"],
+ *   "rules": [
+ *     "Optional type constrained by NOTIFICATION_TYPES",
+ *     "Optional entityModel constrained by NOTIFICATION_ENTITY_MODELS",
+ *     "Optional before ISO 8601 date (only notifications sent before it)",
+ *     "Attach sanitized body to req.validated.body"
+ *   ]
+ * }
+ */
+export const validateMarkAllNotificationsRead = [
+  body("type")
+    .optional({ nullable: true })
+    .isIn(NOTIFICATION_TYPES)
+    .withMessage(`type must be one of: ${NOTIFICATION_TYPES.join(", ")}`),
+  body("entityModel")
+    .optional({ nullable: true })
+    .isIn(NOTIFICATION_ENTITY_MODELS)
+    .withMessage(
+      `entityModel must be one of: ${NOTIFICATION_ENTITY_MODELS.join(", ")}`
+    ),
+  body("before")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("before must be a valid ISO 8601 date")
+    .toDate(),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = {
+      type: req.body?.type,
+      entityModel: req.body?.entityModel,
+      before: req.body?.before,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PATCH /notifications/unread | /archive | /unarchive",
+ *   "purpose": "Apply a per-user bulk action to several notifications",
+ *   "validates": ["notificationIds"],
+ *   "rules": [
+ *     "notificationIds must be an array of 1 to MAX_NOTIFICATION_BULK_IDS MongoDB IDs",
+ *     "Duplicate IDs are removed",
+ *     "IDs not addressed to the user are ignored by the controller",
+ *     "Attach sanitized body to req.validated.body"
+ *   ]
+ * }
+ */
+export const validateBulkNotificationAction = [
+  body("notificationIds")
+    .isArray({ min: 1, max: MAX_NOTIFICATION_BULK_IDS })
+    .withMessage(
+      `notificationIds must be an array of 1 to ${MAX_NOTIFICATION_BULK_IDS} IDs`
+    ),
+  body("notificationIds.*")
+    .isMongoId()
+    .withMessage("Each notification ID must be a valid MongoDB ID"),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = {
+      notificationIds: [
+        ...new Set((req.body?.notificationIds || []).map(String)),
+      ],
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "DELETE /notifications/:notificationId",
+ *   "purpose": "Delete the user's own copy of a notification",
+ *   "validates": ["notificationId"],
+ *   "rules": [
+ *     "notificationId must be a valid MongoDB ID",
+ *     "Notification must exist in org and be addressed to the user",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateDeleteNotification = validateMarkNotificationRead;
@@ -122,12 +122,13 @@ export const validateGetOrganization = [
  * @json {
  *   "route": "PUT /organizations/:organizationId",
  *   "purpose": "Update organization details. Platform and customer SuperAdmins can update their organization.",
- *   "validates": ["organizationId", "name", "description", "email", "phone", "address", "industry", "logoUrl"],
+ *   "validates": ["organizationId", "name", "description", "email", "phone", "address", "industry", "logoUrl", "requireTwoFactor"],
  *   "rules": [
  *     "Param organizationId must exist and match an organization",
  *     "Name/description/email/phone/address/industry validations with length and pattern constraints",
  *     "Case-insensitive uniqueness for name/email/phone across all organizations (including soft-deleted), excluding current",
  *     "logoUrl object validation: url must be http/https and from trusted domain or image extension; publicId required if url provided",
+ *     "requireTwoFactor is an optional boolean",
  *     "Attach sanitized body to req.validated.body"
  *   ]
  * }
@@ -264,6 +265,10 @@ export const validateUpdateOrganization = [
     .isString()
     .withMessage("Cloudinary publicId must be a string")
     .trim(),
+  body("requireTwoFactor")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("requireTwoFactor must be a boolean value"),
   body("isPlatformOrg")
     .not()
     .exists()
@@ -286,6 +291,7 @@ export const validateUpdateOrganization = [
             publicId: b.logoUrl.publicId?.trim(),
           }
         : undefined,
+      requireTwoFactor: b.requireTwoFactor,
     };
     req.validated.params = { organizationId: req.params.organizationId };
     return true;
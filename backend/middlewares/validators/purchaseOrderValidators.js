@@ -0,0 +1,506 @@
+// backend/middlewares/validators/purchaseOrderValidators.js
+import mongoose from "mongoose";
+import { body, param, query } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import {
+  PurchaseOrder,
+  Vendor,
+  Material,
+  Department,
+} from "../../models/index.js";
+import {
+  PURCHASE_ORDER_STATUS,
+  SUPPORTED_CURRENCIES,
+  MAX_MATERIAL_QUANTITY,
+  MAX_MATERIAL_PRICE,
+  MAX_PURCHASE_ORDER_ITEMS,
+  MAX_PURCHASE_ORDER_NOTES_LENGTH,
+} from "../../utils/constants.js";
+
+/**
+ * Check that a purchase order belongs to the caller's organization
+ * @param {string} purchaseOrderId - Purchase order ID
+ * @param {Object} req - Express request
+ * @param {Object} options
+ * @param {string} [options.deleted] - "include" (default), "exclude" or "only"
+ */
+const assertPurchaseOrderInOrganization = async (
+  purchaseOrderId,
+  req,
+  { deleted = "include" } = {}
+) => {
+  let q = PurchaseOrder.findOne({
+    _id: purchaseOrderId,
+    organization: req.user.organization._id,
+  });
+  if (deleted === "include") q = q.withDeleted();
+  if (deleted === "only") q = q.onlyDeleted();
+
+  const purchaseOrder = await q;
+  if (!purchaseOrder) {
+    throw new Error(
+      deleted === "only"
+        ? "Soft-deleted purchase order not found in your organization"
+        : "Purchase order not found in your organization"
+    );
+  }
+  return true;
+};
+
+/**
+ * Check that an active vendor belongs to the caller's organization
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} req - Express request
+ */
+const assertActiveVendor = async (vendorId, req) => {
+  const vendor = await Vendor.findOne({
+    _id: vendorId,
+    organization: req.user.organization._id,
+    isDeleted: false,
+  });
+  if (!vendor) throw new Error("Vendor not found in your organization");
+  return true;
+};
+
+/**
+ * Check that line items reference distinct active materials of the organization
+ * @param {Array} items - Line items [{ materialId, quantity, unitPrice }]
+ * @param {Object} req - Express request
+ */
+const assertItemMaterials = async (items, req) => {
+  const ids = items.map((item) => String(item?.materialId));
+  // Malformed IDs are reported by the per-item rule
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) return true;
+  if (new Set(ids).size !== ids.length) {
+    throw new Error("Duplicate materials are not allowed");
+  }
+
+  const count = await Material.countDocuments({
+    _id: { $in: ids },
+    organization: req.user.organization._id,
+    isDeleted: false,
+  });
+  if (count !== ids.length) {
+    throw new Error("One or more materials not found in your organization");
+  }
+  return true;
+};
+
+// Line item and order field rules shared by create and update
+const purchaseOrderFieldRules = (required) => [
+  body("vendorId")
+    .if((value) => required || value !== undefined)
+    .exists({ checkFalsy: true })
+    .withMessage("Vendor is required")
+    .bail()
+    .isMongoId()
+    .withMessage("vendorId must be a valid MongoDB ID")
+    .bail()
+    .custom((vendorId, { req }) => assertActiveVendor(vendorId, req)),
+  body("items")
+    .if((value) => required || value !== undefined)
+    .isArray({ min: 1, max: MAX_PURCHASE_ORDER_ITEMS })
+    .withMessage(
+      `Purchase order must have between 1 and ${MAX_PURCHASE_ORDER_ITEMS} items`
+    )
+    .bail()
+    .custom((items, { req }) => assertItemMaterials(items, req)),
+  body("items.*.materialId")
+    .isMongoId()
+    .withMessage("Each item must reference a valid material ID"),
+  body("items.*.quantity")
+    .isFloat({ min: 0.01, max: MAX_MATERIAL_QUANTITY })
+    .withMessage(
+      `Item quantity must be greater than 0 and at most ${MAX_MATERIAL_QUANTITY}`
+    ),
+  body("items.*.unitPrice")
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: MAX_MATERIAL_PRICE })
+    .withMessage(`Item unit price must be between 0 and ${MAX_MATERIAL_PRICE}`),
+  body("currency")
+    .optional({ nullable: true })
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+  body("expectedDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("expectedDate must be a valid ISO 8601 date"),
+  body("notes")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Notes must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: MAX_PURCHASE_ORDER_NOTES_LENGTH })
+    .withMessage(
+      `Notes cannot exceed ${MAX_PURCHASE_ORDER_NOTES_LENGTH} characters`
+    ),
+  body("organizationId")
+    .not()
+    .exists()
+    .withMessage(
+      "organizationId cannot be provided. Organization is determined from authentication context"
+    ),
+];
+
+// Normalise line items (a missing unitPrice falls back to the material price)
+const toValidatedItems = (items) =>
+  Array.isArray(items)
+    ? items.map((item) => ({
+        materialId: item.materialId,
+        quantity: Number(item.quantity),
+        unitPrice:
+          item.unitPrice === undefined || item.unitPrice === null
+            ? undefined
+            : Number(item.unitPrice),
+      }))
+    : undefined;
+
+/**
+ * @json {
+ *   "route": "POST /purchase-orders",
+ *   "purpose": "Create a draft purchase order for a vendor",
+ *   "validates": ["vendorId","items","currency","expectedDate","notes","departmentId"],
+ *   "rules": [
+ *     "Vendor must be active in caller organization",
+ *     "1..MAX_PURCHASE_ORDER_ITEMS items with distinct active materials",
+ *     "Item quantity > 0; optional unitPrice defaults to the material price",
+ *     "Currency in SUPPORTED_CURRENCIES",
+ *     "departmentId defaults to the caller's department",
+ *     "Attach sanitized body to req.validated.body"
+ *   ]
+ * }
+ */
+export const validateCreatePurchaseOrder = [
+  ...purchaseOrderFieldRules(true),
+  body("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID")
+    .bail()
+    .custom(async (departmentId, { req }) => {
+      const dept = await Department.findOne({
+        _id: departmentId,
+        organization: req.user.organization._id,
+        isDeleted: false,
+      });
+      if (!dept) throw new Error("Department not found in your organization");
+      return true;
+    }),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const b = req.body;
+    req.validated.body = {
+      vendorId: b.vendorId,
+      items: toValidatedItems(b.items),
+      currency: b.currency || undefined,
+      expectedDate: b.expectedDate ? new Date(b.expectedDate) : undefined,
+      notes: b.notes?.trim() || undefined,
+      departmentId: b.departmentId || undefined,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "GET /purchase-orders",
+ *   "purpose": "List purchase orders in the organization with pagination and filters",
+ *   "validates": ["page","limit","search","status","vendorId","departmentId","deleted","sortBy","sortOrder"],
+ *   "rules": [
+ *     "Pagination integers",
+ *     "Optional search on order number",
+ *     "Optional status in PURCHASE_ORDER_STATUS",
+ *     "Optional vendorId/departmentId MongoDB IDs",
+ *     "Attach sanitized query to req.validated.query"
+ *   ]
+ * }
+ */
+export const validateGetAllPurchaseOrders = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  query("search")
+    .optional()
+    .isString()
+    .withMessage("Search must be a string")
+    .trim(),
+  query("status")
+    .optional({ checkFalsy: true })
+    .isIn(PURCHASE_ORDER_STATUS)
+    .withMessage(`Status must be one of: ${PURCHASE_ORDER_STATUS.join(", ")}`),
+  query("vendorId")
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage("vendorId must be a valid MongoDB ID"),
+  query("departmentId")
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID"),
+  query("deleted")
+    .optional()
+    .isBoolean()
+    .withMessage("Deleted must be a boolean")
+    .toBoolean(),
+  query("sortBy")
+    .optional()
+    .isIn([
+      "createdAt",
+      "orderNumber",
+      "totalAmount",
+      "expectedDate",
+      "status",
+    ])
+    .withMessage("Invalid sortBy"),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc", "1", "-1"])
+    .withMessage("Invalid sortOrder"),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+      search: req.query.search?.trim(),
+      status: req.query.status || undefined,
+      vendorId: req.query.vendorId || undefined,
+      departmentId: req.query.departmentId || undefined,
+      deleted: req.query.deleted === true || req.query.deleted === "true",
+      sortBy: req.query.sortBy || "createdAt",
+      sortOrder: req.query.sortOrder || "desc",
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "GET /purchase-orders/:purchaseOrderId",
+ *   "purpose": "Get single purchase order with vendor and line item details",
+ *   "validates": ["purchaseOrderId"],
+ *   "rules": [
+ *     "purchaseOrderId must be valid and belong to user's organization",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateGetPurchaseOrder = [
+  param("purchaseOrderId")
+    .isMongoId()
+    .withMessage("Purchase order ID must be a valid MongoDB ID")
+    .bail()
+    .custom((purchaseOrderId, { req }) =>
+      assertPurchaseOrderInOrganization(purchaseOrderId, req)
+    ),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { purchaseOrderId: req.params.purchaseOrderId };
+    next();
+  },
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PUT /purchase-orders/:purchaseOrderId",
+ *   "purpose": "Update a draft purchase order",
+ *   "validates": ["purchaseOrderId","vendorId","items","currency","expectedDate","notes"],
+ *   "rules": [
+ *     "purchaseOrderId must be an active order in the organization",
+ *     "Optional fields with same constraints as create",
+ *     "Only Draft orders can be edited (enforced in controller)",
+ *     "Attach sanitized body to req.validated.body"
+ *   ]
+ * }
+ */
+export const validateUpdatePurchaseOrder = [
+  param("purchaseOrderId")
+    .isMongoId()
+    .withMessage("Purchase order ID must be a valid MongoDB ID")
+    .bail()
+    .custom((purchaseOrderId, { req }) =>
+      assertPurchaseOrderInOrganization(purchaseOrderId, req, {
+        deleted: "exclude",
+      })
+    ),
+  ...purchaseOrderFieldRules(false),
+  body("departmentId")
+    .not()
+    .exists()
+    .withMessage("The ordering department cannot be changed"),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const b = req.body;
+    req.validated.params = { purchaseOrderId: req.params.purchaseOrderId };
+    req.validated.body = {
+      vendorId: b.vendorId,
+      items: toValidatedItems(b.items),
+      currency: b.currency || undefined,
+      expectedDate:
+        b.expectedDate === null
+          ? null
+          : b.expectedDate
+          ? new Date(b.expectedDate)
+          : undefined,
+      notes: b.notes === null ? "" : b.notes?.trim(),
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * Build the validator for a workflow action moving an order to `status`
+ * @param {string} status - Target status
+ * @returns {Array} Validation chain
+ */
+const buildTransitionValidator = (status) => [
+  param("purchaseOrderId")
+    .isMongoId()
+    .withMessage("Purchase order ID must be a valid MongoDB ID")
+    .bail()
+    .custom((purchaseOrderId, { req }) =>
+      assertPurchaseOrderInOrganization(purchaseOrderId, req, {
+        deleted: "exclude",
+      })
+    ),
+  body("note")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Note must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: MAX_PURCHASE_ORDER_NOTES_LENGTH })
+    .withMessage(
+      `Note cannot exceed ${MAX_PURCHASE_ORDER_NOTES_LENGTH} characters`
+    ),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { purchaseOrderId: req.params.purchaseOrderId };
+    req.validated.body = { status, note: req.body.note?.trim() || undefined };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /purchase-orders/:purchaseOrderId/approve",
+ *   "purpose": "Approve a draft purchase order",
+ *   "validates": ["purchaseOrderId","note"],
+ *   "rules": [
+ *     "purchaseOrderId must be an active order in the organization",
+ *     "Draft -> Approved transition enforced in controller"
+ *   ]
+ * }
+ */
+export const validateApprovePurchaseOrder =
+  buildTransitionValidator("Approved");
+
+/**
+ * @json {
+ *   "route": "POST /purchase-orders/:purchaseOrderId/order",
+ *   "purpose": "Mark an approved purchase order as sent to the vendor",
+ *   "validates": ["purchaseOrderId","note"],
+ *   "rules": [
+ *     "purchaseOrderId must be an active order in the organization",
+ *     "Approved -> Ordered transition enforced in controller"
+ *   ]
+ * }
+ */
+export const validateOrderPurchaseOrder = buildTransitionValidator("Ordered");
+
+/**
+ * @json {
+ *   "route": "POST /purchase-orders/:purchaseOrderId/receive",
+ *   "purpose": "Receive an ordered purchase order into stock",
+ *   "validates": ["purchaseOrderId","note"],
+ *   "rules": [
+ *     "purchaseOrderId must be an active order in the organization",
+ *     "Ordered -> Received transition enforced in controller"
+ *   ]
+ * }
+ */
+export const validateReceivePurchaseOrder =
+  buildTransitionValidator("Received");
+
+/**
+ * @json {
+ *   "route": "POST /purchase-orders/:purchaseOrderId/cancel",
+ *   "purpose": "Cancel a purchase order that has not been received",
+ *   "validates": ["purchaseOrderId","note"],
+ *   "rules": [
+ *     "purchaseOrderId must be an active order in the organization",
+ *     "Only Draft, Approved or Ordered orders can be cancelled (controller)"
+ *   ]
+ * }
+ */
+export const validateCancelPurchaseOrder =
+  buildTransitionValidator("Cancelled");
+
+/**
+ * @json {
+ *   "route": "DELETE /purchase-orders/:purchaseOrderId",
+ *   "purpose": "Soft delete a draft or cancelled purchase order",
+ *   "validates": ["purchaseOrderId"],
+ *   "rules": [
+ *     "purchaseOrderId must be an active order in the organization",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateDeletePurchaseOrder = [
+  param("purchaseOrderId")
+    .isMongoId()
+    .withMessage("Purchase order ID must be a valid MongoDB ID")
+    .bail()
+    .custom((purchaseOrderId, { req }) =>
+      assertPurchaseOrderInOrganization(purchaseOrderId, req, {
+        deleted: "exclude",
+      })
+    ),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { purchaseOrderId: req.params.purchaseOrderId };
+    next();
+  },
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PATCH /purchase-orders/:purchaseOrderId/restore",
+ *   "purpose": "Restore a soft-deleted purchase order",
+ *   "validates": ["purchaseOrderId"],
+ *   "rules": [
+ *     "purchaseOrderId must be a soft-deleted order in the organization",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateRestorePurchaseOrder = [
+  param("purchaseOrderId")
+    .isMongoId()
+    .withMessage("Purchase order ID must be a valid MongoDB ID")
+    .bail()
+    .custom((purchaseOrderId, { req }) =>
+      assertPurchaseOrderInOrganization(purchaseOrderId, req, {
+        deleted: "only",
+      })
+    ),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { purchaseOrderId: req.params.purchaseOrderId };
+    next();
+  },
+  handleValidationErrors,
+];
@@ -0,0 +1,95 @@
+// backend/middlewares/validators/securityEventValidators.js
+import { query } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import { SECURITY_EVENT_TYPES } from "../../utils/constants.js";
+
+/**
+ * @json {
+ *   "route": "GET /security-events",
+ *   "purpose": "Query the security event log",
+ *   "validates": ["page","limit","type","userId","search","ip","from","to","organizationId","sortOrder"],
+ *   "rules": [
+ *     "Pagination integers",
+ *     "Optional type constrained by SECURITY_EVENT_TYPES",
+ *     "Optional userId, and search string matched against the email",
+ *     "Optional from/to ISO 8601 dates with from before to",
+ *     "Optional organizationId (platform users only)",
+ *     "Attach sanitized query to req.validated.query"
+ *   ]
+ * }
+ */
+export const validateGetSecurityEvents = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  query("type")
+    .optional({ nullable: true })
+    .isIn(SECURITY_EVENT_TYPES)
+    .withMessage(`type must be one of: ${SECURITY_EVENT_TYPES.join(", ")}`),
+  query("userId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("userId must be a valid MongoDB ID"),
+  query("search")
+    .optional()
+    .isString()
+    .withMessage("Search must be a string")
+    .trim(),
+  query("ip").optional().isIP().withMessage("ip must be a valid IP address"),
+  query("from")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("from must be a valid ISO 8601 date"),
+  query("to")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("to must be a valid ISO 8601 date")
+    .bail()
+    .custom((to, { req }) => {
+      if (req.query.from && new Date(req.query.from) > new Date(to)) {
+        throw new Error("from must be before to");
+      }
+      return true;
+    }),
+  query("organizationId")
+    .optional()
+    .isMongoId()
+    .withMessage("organizationId must be a valid MongoDB ID")
+    .bail()
+    .custom((organizationId, { req }) => {
+      if (
+        req.authz?.scope !== "crossOrg" &&
+        organizationId !== req.user.organization._id.toString()
+      )
+        throw new Error("Cannot view security events of another organization");
+      return true;
+    }),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc", "1", "-1"])
+    .withMessage("Invalid sortOrder"),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20,
+      type: req.query.type,
+      userId: req.query.userId,
+      search: req.query.search?.trim(),
+      ip: req.query.ip,
+      from: req.query.from ? new Date(req.query.from) : undefined,
+      to: req.query.to ? new Date(req.query.to) : undefined,
+      organizationId: req.query.organizationId,
+      sortOrder: req.query.sortOrder || "desc",
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
@@ -0,0 +1,168 @@
+// backend/middlewares/validators/slaPolicyValidators.js
+import { body, param, query } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import { Department } from "../../models/index.js";
+import { TASK_PRIORITY, MAX_SLA_MINUTES } from "../../utils/constants.js";
+
+const departmentExists = async (departmentId, { req }) => {
+  const exists = await Department.exists({
+    _id: departmentId,
+    organization: req.user.organization._id,
+    isDeleted: false,
+  });
+  if (!exists) throw new Error("Department not found in organization");
+  return true;
+};
+
+const policyParam = () =>
+  param("policyId")
+    .exists({ checkFalsy: true })
+    .withMessage("SLA policy ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("SLA policy ID must be a valid MongoDB ID");
+
+const minutesBody = (field, label) =>
+  body(field)
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_SLA_MINUTES })
+    .withMessage(`${label} must be between 1 and ${MAX_SLA_MINUTES} minutes`);
+
+const flagBody = (field) =>
+  body(field)
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage(`${field} must be a boolean value`);
+
+const toMinutes = (value) =>
+  value === undefined ? undefined : value === null ? null : Number(value);
+
+/**
+ * @json {
+ *   "route": "GET /api/sla-policies",
+ *   "purpose": "List the organization-wide SLA policies and a department's own",
+ *   "validates": ["departmentId"],
+ *   "rules": ["Optional departmentId (defaults to the caller's) in the organization"]
+ * }
+ */
+export const validateGetSlaPolicies = [
+  query("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID")
+    .bail()
+    .custom(departmentExists),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      departmentId: req.query.departmentId || undefined,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /api/sla-policies",
+ *   "purpose": "Create the SLA policy of a priority for the organization or a department",
+ *   "validates": ["departmentId","priority","responseMinutes","resolutionMinutes","raisePriority","notifyHods","isActive"],
+ *   "rules": [
+ *     "departmentId null for the organization-wide policy",
+ *     "priority in TASK_PRIORITY",
+ *     "responseMinutes and/or resolutionMinutes between 1 and MAX_SLA_MINUTES"
+ *   ]
+ * }
+ */
+export const validateCreateSlaPolicy = [
+  body("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID")
+    .bail()
+    .custom(departmentExists),
+  body("priority")
+    .exists({ checkFalsy: true })
+    .withMessage("Priority is required")
+    .bail()
+    .isIn(TASK_PRIORITY)
+    .withMessage(`Priority must be one of: ${TASK_PRIORITY.join(", ")}`),
+  minutesBody("responseMinutes", "Response time"),
+  minutesBody("resolutionMinutes", "Resolution time"),
+  body().custom((_, { req }) => {
+    if (!req.body.responseMinutes && !req.body.resolutionMinutes) {
+      throw new Error("A response or resolution time is required");
+    }
+    return true;
+  }),
+  flagBody("raisePriority"),
+  flagBody("notifyHods"),
+  flagBody("isActive"),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const b = req.body;
+    req.validated.body = {
+      departmentId: b.departmentId || null,
+      priority: b.priority,
+      responseMinutes: toMinutes(b.responseMinutes) ?? null,
+      resolutionMinutes: toMinutes(b.resolutionMinutes) ?? null,
+      raisePriority: b.raisePriority,
+      notifyHods: b.notifyHods,
+      isActive: b.isActive,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PUT /api/sla-policies/:policyId",
+ *   "purpose": "Change an SLA policy's times or escalation",
+ *   "validates": ["policyId","responseMinutes","resolutionMinutes","raisePriority","notifyHods","isActive"],
+ *   "rules": [
+ *     "Priority and department are fixed once created",
+ *     "Times between 1 and MAX_SLA_MINUTES, null to clear"
+ *   ]
+ * }
+ */
+export const validateUpdateSlaPolicy = [
+  policyParam(),
+  minutesBody("responseMinutes", "Response time"),
+  minutesBody("resolutionMinutes", "Resolution time"),
+  flagBody("raisePriority"),
+  flagBody("notifyHods"),
+  flagBody("isActive"),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const b = req.body;
+    req.validated.params = { policyId: req.params.policyId };
+    req.validated.body = {
+      responseMinutes: toMinutes(b.responseMinutes),
+      resolutionMinutes: toMinutes(b.resolutionMinutes),
+      raisePriority: b.raisePriority,
+      notifyHods: b.notifyHods,
+      isActive: b.isActive,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "DELETE /api/sla-policies/:policyId",
+ *   "purpose": "Delete an SLA policy",
+ *   "validates": ["policyId"],
+ *   "rules": ["Valid MongoDB ID"]
+ * }
+ */
+export const validateDeleteSlaPolicy = [
+  policyParam(),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { policyId: req.params.policyId };
+    next();
+  },
+  handleValidationErrors,
+];
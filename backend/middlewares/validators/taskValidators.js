@@ -9,12 +9,14 @@ import {
   Vendor,
   User,
   Material,
+  RoutineTaskTemplate,
 } from "../../models/index.js";
 import {
   escapeRegex,
   isStartDateBeforeDueDate,
   isStartDateTodayOrFuture,
   isDateNotInFuture,
+  getDateOnly,
 } from "../../utils/helpers.js";
 import {
   TASK_TYPES,
@@ -44,6 +46,13 @@ import {
   MAX_OTHER_SIZE,
   HEAD_OF_DEPARTMENT_ROLES,
   MAX_LIST_ITEM_LIMIT,
+  RECURRENCE_FREQUENCIES,
+  MAX_RECURRENCE_INTERVAL,
+  MAX_RECURRENCE_OCCURRENCES,
+  MAX_TASK_BLOCKERS,
+  MAX_CHECKLIST_ITEMS,
+  MAX_CHECKLIST_ITEM_TITLE_LENGTH,
+  MAX_SCHEDULE_RANGE_DAYS,
 } from "../../utils/constants.js";
 
 /**
@@ -463,6 +472,11 @@ const projectTaskValidators = [
     .optional({ nullable: true })
     .isIn(SUPPORTED_CURRENCIES)
     .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+  body("trackTimeCost")
+    .if(body("taskType").equals("ProjectTask"))
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage("trackTimeCost must be boolean"),
 ];
 
 /**
@@ -531,7 +545,7 @@ const routineTaskValidators = [
  * @json {
  *   "route": "POST /api/tasks",
  *   "purpose": "Create a new task of any type (RoutineTask, AssignedTask, ProjectTask) based on taskType field.",
- *   "validates": ["taskType","title","description","status","priority","attachments","watcherIds","tags","startDate","dueDate","assigneeIds","vendorId","estimatedCost","actualCost","currency","date","materials"],
+ *   "validates": ["taskType","title","description","status","priority","attachments","watcherIds","tags","startDate","dueDate","assigneeIds","vendorId","estimatedCost","actualCost","currency","trackTimeCost","date","materials"],
  *   "rules": ["Tenant-scoped uniqueness and existence checks", "Field-specific constraints per constants.js", "Date constraints via helpers", "Attachment Cloudinary constraints"]
  * }
  */
@@ -568,6 +582,7 @@ export const validateCreateTask = [
       estimatedCost,
       actualCost,
       currency,
+      trackTimeCost,
       date,
       materials,
     } = req.body;
@@ -591,6 +606,10 @@ export const validateCreateTask = [
         estimatedCost !== undefined ? Number(estimatedCost) : undefined,
       actualCost: actualCost !== undefined ? Number(actualCost) : undefined,
       currency,
+      trackTimeCost:
+        trackTimeCost !== undefined && trackTimeCost !== null
+          ? trackTimeCost === true || trackTimeCost === "true"
+          : undefined,
       date: date ? new Date(date) : undefined,
       materials:
         Array.isArray(materials) && materials?.length > 0
@@ -766,6 +785,75 @@ export const validateGetAllTasks = [
   handleValidationErrors,
 ];
 
+/**
+ * @json {
+ *   "route": "GET /api/tasks/schedule",
+ *   "purpose": "Tasks scheduled within a date window, for the calendar and timeline views.",
+ *   "validates": ["from","to","taskType","status","departmentId","assigneeId"],
+ *   "rules": [
+ *     "from and to required ISO 8601 dates with from before to",
+ *     "Window no wider than MAX_SCHEDULE_RANGE_DAYS",
+ *     "Optional taskType, status, departmentId (HODs only) and assigneeId"
+ *   ]
+ * }
+ */
+export const validateGetTaskSchedule = [
+  query("from")
+    .exists({ checkFalsy: true })
+    .withMessage("from is required")
+    .bail()
+    .isISO8601()
+    .withMessage("from must be ISO 8601 date"),
+  query("to")
+    .exists({ checkFalsy: true })
+    .withMessage("to is required")
+    .bail()
+    .isISO8601()
+    .withMessage("to must be ISO 8601 date")
+    .bail()
+    .custom((to, { req }) => {
+      const from = new Date(req.query.from);
+      if (from > new Date(to)) throw new Error("from must be before to");
+      const days = (new Date(to) - from) / (24 * 60 * 60 * 1000);
+      if (days > MAX_SCHEDULE_RANGE_DAYS) {
+        throw new Error(
+          `Schedule window cannot exceed ${MAX_SCHEDULE_RANGE_DAYS} days`
+        );
+      }
+      return true;
+    }),
+  query("taskType")
+    .optional({ nullable: true })
+    .isIn(TASK_TYPES)
+    .withMessage(`taskType must be one of: ${TASK_TYPES.join(", ")}`),
+  query("status")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("status must be a string"),
+  query("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID"),
+  query("assigneeId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("assigneeId must be a valid MongoDB ID"),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const { from, to, taskType, status, departmentId, assigneeId } = req.query;
+    req.validated.query = {
+      from: new Date(from),
+      to: new Date(to),
+      taskType,
+      status,
+      departmentId,
+      assigneeId,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
 /**
  * @json {
  *   "route": "GET /api/tasks/:taskId",
@@ -817,7 +905,7 @@ export const validateGetTask = [
  * @json {
  *   "route": "PUT /api/tasks/:taskId",
  *   "purpose": "Update a task of any type.",
- *   "validates": ["taskId","title","description","status","priority","attachments","watcherIds","tags","startDate","dueDate","assigneeIds","vendorId","estimatedCost","actualCost","currency","date","materials"],
+ *   "validates": ["taskId","title","description","status","priority","attachments","watcherIds","tags","startDate","dueDate","assigneeIds","vendorId","estimatedCost","actualCost","currency","trackTimeCost","date","materials"],
  *   "rules": ["Tenant-scoped", "Field-specific per task type", "Attachment constraints"]
  * }
  */
@@ -1081,6 +1169,11 @@ export const validateUpdateTask = [
     .optional({ nullable: true })
     .isIn(SUPPORTED_CURRENCIES)
     .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+  body("trackTimeCost")
+    .if((value, { req }) => req.foundTaskType === "ProjectTask")
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage("trackTimeCost must be boolean"),
 
   // RoutineTask fields (conditional)
   body("date")
@@ -1157,6 +1250,7 @@ export const validateUpdateTask = [
       estimatedCost,
       actualCost,
       currency,
+      trackTimeCost,
       date,
       materials,
     } = req.body;
@@ -1179,6 +1273,10 @@ export const validateUpdateTask = [
         estimatedCost !== undefined ? Number(estimatedCost) : undefined,
       actualCost: actualCost !== undefined ? Number(actualCost) : undefined,
       currency,
+      trackTimeCost:
+        trackTimeCost !== undefined && trackTimeCost !== null
+          ? trackTimeCost === true || trackTimeCost === "true"
+          : undefined,
       date: date ? new Date(date) : undefined,
       materials:
         Array.isArray(materials) && materials?.length > 0
@@ -1257,6 +1355,287 @@ export const validateRestoreTask = [
   handleValidationErrors,
 ];
 
+/**
+ * @json {
+ *   "route": "POST /api/tasks/:taskId/dependencies",
+ *   "purpose": "Mark a task as blocked by another task of the organization.",
+ *   "validates": ["taskId","blockerId"],
+ *   "rules": [
+ *     "Tenant-scoped existence for task (own department)",
+ *     "Blocker exists in the organization and is not the task itself",
+ *     "Blocker not already linked, blockers limit"
+ *   ]
+ * }
+ */
+export const validateAddTaskDependency = [
+  param("taskId")
+    .exists({ checkFalsy: true })
+    .withMessage("Task ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Task ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (taskId, { req }) => {
+      const orgId = req.user?.organization?._id;
+      const deptId = req.user?.department?._id;
+      const task = await BaseTask.findOne({
+        _id: taskId,
+        organization: orgId,
+        department: deptId,
+        isDeleted: false,
+      });
+      if (!task) throw new Error("Task not found in your department");
+      req.foundTask = task;
+      return true;
+    }),
+  body("blockerId")
+    .exists({ checkFalsy: true })
+    .withMessage("Blocking task ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Blocking task ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (blockerId, { req }) => {
+      if (blockerId.toString() === req.params.taskId?.toString()) {
+        throw new Error("A task cannot block itself");
+      }
+      const task = req.foundTask;
+      if (task) {
+        const blockers = (task.blockedBy || []).map((id) => id.toString());
+        if (blockers.includes(blockerId.toString())) {
+          throw new Error("Task is already blocked by this task");
+        }
+        if (blockers.length >= MAX_TASK_BLOCKERS) {
+          throw new Error(`Blockers cannot exceed ${MAX_TASK_BLOCKERS} tasks`);
+        }
+      }
+      const blocker = await BaseTask.findOne({
+        _id: blockerId,
+        organization: req.user?.organization?._id,
+        isDeleted: false,
+      });
+      if (!blocker) {
+        throw new Error("Blocking task not found in your organization");
+      }
+      return true;
+    }),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = {
+      blockerId: req.body.blockerId?.toString(),
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "DELETE /api/tasks/:taskId/dependencies/:blockerId",
+ *   "purpose": "Remove a blocker from a task.",
+ *   "validates": ["taskId","blockerId"],
+ *   "rules": ["Tenant-scoped existence for task (own department)"]
+ * }
+ */
+export const validateRemoveTaskDependency = [
+  param("taskId")
+    .exists({ checkFalsy: true })
+    .withMessage("Task ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Task ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (taskId, { req }) => {
+      const orgId = req.user?.organization?._id;
+      const deptId = req.user?.department?._id;
+      const exists = await BaseTask.findOne({
+        _id: taskId,
+        organization: orgId,
+        department: deptId,
+        isDeleted: false,
+      });
+      if (!exists) throw new Error("Task not found in your department");
+      return true;
+    }),
+  param("blockerId")
+    .exists({ checkFalsy: true })
+    .withMessage("Blocking task ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Blocking task ID must be a valid MongoDB ID"),
+  handleValidationErrors,
+];
+
+/**
+ * taskId param of checklist routes: an AssignedTask or ProjectTask of the
+ * caller's department (stored on req.foundTask)
+ */
+const checklistTaskParam = () =>
+  param("taskId")
+    .exists({ checkFalsy: true })
+    .withMessage("Task ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Task ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (taskId, { req }) => {
+      const task = await BaseTask.findOne({
+        _id: taskId,
+        organization: req.user?.organization?._id,
+        department: req.user?.department?._id,
+        isDeleted: false,
+      });
+      if (!task) throw new Error("Task not found in your department");
+      if (!TASK_ACTIVITY_PARENT_MODELS.includes(task.taskType)) {
+        throw new Error(
+          "Checklists are only available on AssignedTask or ProjectTask"
+        );
+      }
+      req.foundTask = task;
+      return true;
+    });
+
+/**
+ * Optional checklist item assignee from the caller's department
+ */
+const checklistAssigneeBody = () =>
+  body("assigneeId")
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage("Assignee ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (assigneeId, { req }) => {
+      const user = await User.findOne({
+        _id: assigneeId,
+        organization: req.user?.organization?._id,
+        department: req.user?.department?._id,
+        isDeleted: false,
+      });
+      if (!user) {
+        throw new Error(
+          "Assignee must belong to your organization and department"
+        );
+      }
+      return true;
+    });
+
+/**
+ * @json {
+ *   "route": "POST /api/tasks/:taskId/checklist",
+ *   "purpose": "Add a checklist item to an AssignedTask or ProjectTask.",
+ *   "validates": ["taskId","title","assigneeId","dueDate"],
+ *   "rules": [
+ *     "Tenant-scoped existence for task (own department, AssignedTask or ProjectTask)",
+ *     "Checklist items limit",
+ *     "Assignee from the same department"
+ *   ]
+ * }
+ */
+export const validateAddChecklistItem = [
+  checklistTaskParam().custom((_, { req }) => {
+    if ((req.foundTask?.checklist?.length || 0) >= MAX_CHECKLIST_ITEMS) {
+      throw new Error(`Checklist cannot exceed ${MAX_CHECKLIST_ITEMS} items`);
+    }
+    return true;
+  }),
+  body("title")
+    .exists({ checkFalsy: true })
+    .withMessage("Checklist item title is required")
+    .bail()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_CHECKLIST_ITEM_TITLE_LENGTH })
+    .withMessage(
+      `Checklist item title must be 1-${MAX_CHECKLIST_ITEM_TITLE_LENGTH} characters`
+    ),
+  checklistAssigneeBody(),
+  body("dueDate")
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage("Due date must be a valid ISO 8601 date"),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const { title, assigneeId, dueDate } = req.body;
+    req.validated.body = {
+      title: title?.trim(),
+      assigneeId: assigneeId || undefined,
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PUT /api/tasks/:taskId/checklist/:itemId",
+ *   "purpose": "Update or check/uncheck a checklist item.",
+ *   "validates": ["taskId","itemId","title","done","assigneeId","dueDate"],
+ *   "rules": [
+ *     "Tenant-scoped existence for task and item",
+ *     "Assignee from the same department",
+ *     "null assigneeId/dueDate clears the value"
+ *   ]
+ * }
+ */
+export const validateUpdateChecklistItem = [
+  checklistTaskParam(),
+  param("itemId")
+    .isMongoId()
+    .withMessage("Checklist item ID must be a valid MongoDB ID")
+    .bail()
+    .custom((itemId, { req }) => {
+      if (req.foundTask && !req.foundTask.checklist?.id(itemId)) {
+        throw new Error("Checklist item not found");
+      }
+      return true;
+    }),
+  body("title")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_CHECKLIST_ITEM_TITLE_LENGTH })
+    .withMessage(
+      `Checklist item title must be 1-${MAX_CHECKLIST_ITEM_TITLE_LENGTH} characters`
+    ),
+  body("done").optional().isBoolean().withMessage("Done must be a boolean"),
+  checklistAssigneeBody(),
+  body("dueDate")
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage("Due date must be a valid ISO 8601 date"),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const { title, done, assigneeId, dueDate } = req.body;
+    req.validated.body = {
+      title: title?.trim(),
+      done: done === undefined ? undefined : done === true || done === "true",
+      // null clears the assignee / due date, undefined leaves it unchanged
+      assigneeId: assigneeId === undefined ? undefined : assigneeId || null,
+      dueDate:
+        dueDate === undefined ? undefined : dueDate ? new Date(dueDate) : null,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "DELETE /api/tasks/:taskId/checklist/:itemId",
+ *   "purpose": "Remove a checklist item.",
+ *   "validates": ["taskId","itemId"],
+ *   "rules": ["Tenant-scoped existence for task and item"]
+ * }
+ */
+export const validateDeleteChecklistItem = [
+  checklistTaskParam(),
+  param("itemId")
+    .isMongoId()
+    .withMessage("Checklist item ID must be a valid MongoDB ID"),
+  handleValidationErrors,
+];
+
 /**
  * @json {
  *   "route": "POST /api/tasks/:taskId/activities",
@@ -2120,3 +2499,459 @@ export const validateRestoreTaskComment = [
     }),
   handleValidationErrors,
 ];
+
+/**
+ * Shared validators for routine task template fields (create and update)
+ * Field presence for create is enforced separately in validateCreateRoutineTaskTemplate
+ */
+const routineTaskTemplateFieldValidators = [
+  body("title")
+    .optional()
+    .isString()
+    .withMessage("Title must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: MAX_TITLE_LENGTH })
+    .withMessage(`Title must be between 1 and ${MAX_TITLE_LENGTH} characters`),
+
+  body("description")
+    .optional()
+    .isString()
+    .withMessage("Description must be a string")
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: MAX_DESCRIPTION_LENGTH })
+    .withMessage(
+      `Description must be between 1 and ${MAX_DESCRIPTION_LENGTH} characters`
+    ),
+
+  body("priority")
+    .optional({ nullable: true })
+    .isIn(ROUTINE_TASK_PRIORITY)
+    .withMessage(`Priority must be one of: ${ROUTINE_TASK_PRIORITY.join(", ")}`),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+
+  body("recurrence")
+    .optional()
+    .isObject()
+    .withMessage("Recurrence must be an object"),
+  body("recurrence.frequency")
+    .if(body("recurrence").exists())
+    .exists({ checkFalsy: true })
+    .withMessage("Recurrence frequency is required")
+    .bail()
+    .isIn(RECURRENCE_FREQUENCIES)
+    .withMessage(
+      `Frequency must be one of: ${RECURRENCE_FREQUENCIES.join(", ")}`
+    ),
+  body("recurrence.interval")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_RECURRENCE_INTERVAL })
+    .withMessage(`Interval must be between 1 and ${MAX_RECURRENCE_INTERVAL}`),
+  body("recurrence.weekdays")
+    .optional({ nullable: true })
+    .isArray({ max: 7 })
+    .withMessage("Weekdays must be an array of at most 7 days"),
+  body("recurrence.weekdays.*")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Weekdays must be integers from 0 (Sunday) to 6 (Saturday)"),
+  body("recurrence.dayOfMonth")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 31 })
+    .withMessage("Day of month must be between 1 and 31"),
+  body("recurrence.startDate")
+    .if(body("recurrence").exists())
+    .exists({ checkFalsy: true })
+    .withMessage("Recurrence start date is required")
+    .bail()
+    .isISO8601()
+    .withMessage("Recurrence start date must be a valid ISO 8601 date"),
+  body("recurrence.endDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Recurrence end date must be a valid ISO 8601 date")
+    .bail()
+    .custom((endDate, { req }) => {
+      const startDate = req.body.recurrence?.startDate;
+      if (startDate && getDateOnly(endDate) < getDateOnly(startDate)) {
+        throw new Error("Recurrence end date cannot be before start date");
+      }
+      return true;
+    }),
+  body("recurrence.occurrenceCount")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_RECURRENCE_OCCURRENCES })
+    .withMessage(
+      `Occurrence count must be between 1 and ${MAX_RECURRENCE_OCCURRENCES}`
+    ),
+
+  body("materials")
+    .optional({ nullable: true })
+    .isArray({ max: MAX_MATERIALS_PER_ENTITY })
+    .withMessage(`Materials cannot exceed ${MAX_MATERIALS_PER_ENTITY} items`)
+    .bail()
+    .custom((materials) => {
+      const ids = materials.map((m) => m?.materialId?.toString());
+      if (new Set(ids).size !== ids.length) {
+        throw new Error("Duplicate materials are not allowed");
+      }
+      return true;
+    }),
+  body("materials.*.materialId")
+    .exists({ checkFalsy: true })
+    .withMessage("Material ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Material ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (materialId, { req }) => {
+      const orgId = req.user?.organization?._id;
+      const deptId = req.user?.department?._id;
+      const mat = await Material.findOne({
+        _id: materialId,
+        organization: orgId,
+        department: deptId,
+        isDeleted: false,
+      });
+      if (!mat) throw new Error("Material not found in your organization");
+      return true;
+    }),
+  body("materials.*.quantity")
+    .exists({ checkFalsy: true })
+    .withMessage("Quantity is required")
+    .bail()
+    .isFloat({ min: 0 })
+    .withMessage("Quantity must be a non-negative number"),
+
+  body("watcherIds")
+    .optional({ nullable: true })
+    .isArray({ max: MAX_WATCHERS_PER_TASK })
+    .withMessage(`Watchers cannot exceed ${MAX_WATCHERS_PER_TASK} users`)
+    .bail()
+    .customSanitizer((ids) => dedupeIds(ids))
+    .custom(async (ids, { req }) => {
+      if (!ids || ids?.length === 0) return true;
+      const orgId = req.user?.organization?._id;
+      const users = await User.find({
+        _id: { $in: ids },
+        organization: orgId,
+        role: { $in: HEAD_OF_DEPARTMENT_ROLES },
+        isDeleted: false,
+      });
+      if (users?.length !== ids?.length) {
+        throw new Error(
+          "All watchers must be SuperAdmin/Admin within your organization"
+        );
+      }
+      return true;
+    }),
+
+  body("tags")
+    .optional({ nullable: true })
+    .isArray({ max: MAX_TAGS_PER_TASK })
+    .withMessage(`Tags cannot exceed ${MAX_TAGS_PER_TASK} items`)
+    .bail()
+    .custom((tags) => {
+      for (const t of tags) {
+        if (typeof t !== "string") throw new Error("All tags must be strings");
+        if (t.trim()?.length > MAX_TAG_LENGTH)
+          throw new Error(
+            `Each tag cannot exceed ${MAX_TAG_LENGTH} characters`
+          );
+      }
+      return true;
+    }),
+
+  body("organizationId")
+    .not()
+    .exists()
+    .withMessage(
+      "organizationId cannot be provided. Organization is determined from authentication context"
+    ),
+];
+
+/**
+ * Build sanitized routine task template body from the request
+ * Only fields present in the request are included (partial updates)
+ */
+const buildRoutineTaskTemplateBody = (body) => {
+  const {
+    title,
+    description,
+    priority,
+    isActive,
+    recurrence,
+    materials,
+    watcherIds,
+    tags,
+  } = body;
+
+  const validated = {};
+  if (title !== undefined) validated.title = title?.trim();
+  if (description !== undefined) validated.description = description?.trim();
+  if (priority) validated.priority = priority;
+  if (isActive !== undefined) validated.isActive = isActive === true;
+  if (recurrence) {
+    validated.recurrence = {
+      frequency: recurrence.frequency,
+      interval: recurrence.interval ? Number(recurrence.interval) : 1,
+      weekdays:
+        recurrence.frequency === "Weekly" && Array.isArray(recurrence.weekdays)
+          ? [...new Set(recurrence.weekdays.map(Number))].sort(
+              (a, b) => a - b
+            )
+          : [],
+      dayOfMonth:
+        recurrence.frequency === "Monthly" && recurrence.dayOfMonth
+          ? Number(recurrence.dayOfMonth)
+          : undefined,
+      startDate: getDateOnly(recurrence.startDate),
+      endDate: recurrence.endDate ? getDateOnly(recurrence.endDate) : undefined,
+      occurrenceCount: recurrence.occurrenceCount
+        ? Number(recurrence.occurrenceCount)
+        : undefined,
+    };
+  }
+  if (materials !== undefined) {
+    validated.materials = (materials || []).map((m) => ({
+      materialId: m.materialId?.toString(),
+      quantity: Number(m.quantity),
+    }));
+  }
+  if (watcherIds !== undefined) validated.watcherIds = dedupeIds(watcherIds);
+  if (tags !== undefined) {
+    validated.tags = Array.isArray(tags)
+      ? [...new Set(tags.map((t) => t?.toString().trim()).filter(Boolean))]
+      : [];
+  }
+  return validated;
+};
+
+/**
+ * Check a template exists in the user's organization and department
+ */
+const routineTaskTemplateExists =
+  ({ deleted = false } = {}) =>
+  async (templateId, { req }) => {
+    const orgId = req.user?.organization?._id;
+    const deptId = req.user?.department?._id;
+    const template = await RoutineTaskTemplate.findOne({
+      _id: templateId,
+      organization: orgId,
+      department: deptId,
+    }).withDeleted();
+    if (!template || template.isDeleted !== deleted) {
+      throw new Error(
+        deleted
+          ? "Soft-deleted routine task template not found in your department"
+          : "Routine task template not found in your department"
+      );
+    }
+    return true;
+  };
+
+/**
+ * @json {
+ *   "route": "POST /api/tasks/templates",
+ *   "purpose": "Create a recurring RoutineTask template",
+ *   "validates": ["title","description","priority","isActive","recurrence","materials","watcherIds","tags"],
+ *   "rules": [
+ *     "title, description and recurrence are required",
+ *     "recurrence.frequency constrained by RECURRENCE_FREQUENCIES",
+ *     "Weekdays 0-6, dayOfMonth 1-31, endDate not before startDate",
+ *     "Materials must belong to the user's department",
+ *     "Attach sanitized body to req.validated.body"
+ *   ]
+ * }
+ */
+export const validateCreateRoutineTaskTemplate = [
+  body("title").exists({ checkFalsy: true }).withMessage("Title is required"),
+  body("description")
+    .exists({ checkFalsy: true })
+    .withMessage("Description is required"),
+  body("recurrence")
+    .exists({ checkFalsy: true })
+    .withMessage("Recurrence is required"),
+  ...routineTaskTemplateFieldValidators,
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = buildRoutineTaskTemplateBody(req.body);
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "GET /api/tasks/templates",
+ *   "purpose": "List recurring RoutineTask templates with pagination",
+ *   "validates": ["page","limit","search","isActive","departmentId","deleted","sortBy","sortOrder"],
+ *   "rules": ["Tenant-scoped", "Pagination", "Filter validation", "Sort validation"]
+ * }
+ */
+export const validateGetAllRoutineTaskTemplates = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100")
+    .toInt(),
+  query("search")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("search must be a string")
+    .bail()
+    .trim(),
+  query("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+  query("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID"),
+  query("deleted")
+    .optional()
+    .isBoolean()
+    .withMessage("deleted must be boolean"),
+  query("sortBy")
+    .optional({ nullable: true })
+    .isIn(["createdAt", "title", "nextOccurrenceAt", "priority"])
+    .withMessage(
+      "sortBy must be one of: createdAt, title, nextOccurrenceAt, priority"
+    ),
+  query("sortOrder")
+    .optional({ nullable: true })
+    .isIn(["asc", "desc"])
+    .withMessage("sortOrder must be 'asc' or 'desc'"),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const {
+      page,
+      limit,
+      search,
+      isActive,
+      departmentId,
+      deleted,
+      sortBy,
+      sortOrder,
+    } = req.query;
+
+    req.validated.query = {
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 10,
+      search: search?.toString().trim(),
+      isActive:
+        isActive === undefined ? undefined : String(isActive) === "true",
+      departmentId,
+      deleted: String(deleted) === "true",
+      sortBy: sortBy || "createdAt",
+      sortOrder: sortOrder || "desc",
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "GET /api/tasks/templates/:templateId",
+ *   "purpose": "Get a recurring RoutineTask template with its recent occurrences",
+ *   "validates": ["templateId"],
+ *   "rules": ["Tenant-scoped existence validation"]
+ * }
+ */
+export const validateGetRoutineTaskTemplate = [
+  param("templateId")
+    .isMongoId()
+    .withMessage("Template ID must be a valid MongoDB ID")
+    .bail()
+    .custom(routineTaskTemplateExists()),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { templateId: req.params.templateId };
+    next();
+  },
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PUT /api/tasks/templates/:templateId",
+ *   "purpose": "Update a recurring RoutineTask template",
+ *   "validates": ["templateId","title","description","priority","isActive","recurrence","materials","watcherIds","tags"],
+ *   "rules": [
+ *     "Tenant-scoped existence validation",
+ *     "Same field rules as create; all fields optional",
+ *     "Attach sanitized params/body to req.validated"
+ *   ]
+ * }
+ */
+export const validateUpdateRoutineTaskTemplate = [
+  param("templateId")
+    .isMongoId()
+    .withMessage("Template ID must be a valid MongoDB ID")
+    .bail()
+    .custom(routineTaskTemplateExists()),
+  ...routineTaskTemplateFieldValidators,
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { templateId: req.params.templateId };
+    req.validated.body = buildRoutineTaskTemplateBody(req.body);
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "DELETE /api/tasks/templates/:templateId",
+ *   "purpose": "Soft delete a recurring RoutineTask template (created tasks are kept)",
+ *   "validates": ["templateId"],
+ *   "rules": ["Tenant-scoped existence validation"]
+ * }
+ */
+export const validateDeleteRoutineTaskTemplate = [
+  param("templateId")
+    .isMongoId()
+    .withMessage("Template ID must be a valid MongoDB ID")
+    .bail()
+    .custom(routineTaskTemplateExists()),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { templateId: req.params.templateId };
+    next();
+  },
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PATCH /api/tasks/templates/:templateId/restore",
+ *   "purpose": "Restore a soft-deleted recurring RoutineTask template",
+ *   "validates": ["templateId"],
+ *   "rules": ["Tenant-scoped existence (deleted) validation"]
+ * }
+ */
+export const validateRestoreRoutineTaskTemplate = [
+  param("templateId")
+    .isMongoId()
+    .withMessage("Template ID must be a valid MongoDB ID")
+    .bail()
+    .custom(routineTaskTemplateExists({ deleted: true })),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { templateId: req.params.templateId };
+    next();
+  },
+  handleValidationErrors,
+];
@@ -0,0 +1,311 @@
+// backend/middlewares/validators/timeEntryValidators.js
+import { body, param, query } from "express-validator";
+import { handleValidationErrors } from "./validation.js";
+import { BaseTask, TaskActivity } from "../../models/index.js";
+import {
+  MAX_LIST_ITEM_LIMIT,
+  MAX_TIME_ENTRY_MINUTES,
+  MAX_TIME_ENTRY_NOTE_LENGTH,
+} from "../../utils/constants.js";
+
+/**
+ * Task being logged against or listed; time is only logged on tasks of the
+ * caller's own department
+ * @param {boolean} ownDepartment
+ */
+const taskParam = (ownDepartment) =>
+  param("taskId")
+    .exists({ checkFalsy: true })
+    .withMessage("Task ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Task ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (taskId, { req }) => {
+      const task = await BaseTask.findOne({
+        _id: taskId,
+        organization: req.user?.organization?._id,
+        ...(ownDepartment && { department: req.user?.department?._id }),
+        isDeleted: false,
+      });
+      if (!task) {
+        throw new Error(
+          ownDepartment
+            ? "Task not found in your department"
+            : "Task not found in your organization"
+        );
+      }
+      return true;
+    });
+
+const entryParam = () =>
+  param("entryId")
+    .exists({ checkFalsy: true })
+    .withMessage("Time entry ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Time entry ID must be a valid MongoDB ID");
+
+const noteBody = () =>
+  body("note")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Note must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: MAX_TIME_ENTRY_NOTE_LENGTH })
+    .withMessage(`Note cannot exceed ${MAX_TIME_ENTRY_NOTE_LENGTH} characters`);
+
+// The activity must belong to the task (from the route or the entry)
+const activityBody = () =>
+  body("activityId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Activity ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (activityId, { req }) => {
+      const activity = await TaskActivity.findOne({
+        _id: activityId,
+        organization: req.user?.organization?._id,
+        ...(req.params.taskId && { task: req.params.taskId }),
+        isDeleted: false,
+      });
+      if (!activity) throw new Error("Activity not found on this task");
+      return true;
+    });
+
+const startedAtBody = (required) =>
+  body("startedAt")
+    .if((value) => required || value !== undefined)
+    .exists({ checkFalsy: true })
+    .withMessage("Start time is required")
+    .bail()
+    .isISO8601()
+    .withMessage("Start time must be ISO 8601 date")
+    .bail()
+    .custom((startedAt, { req }) => {
+      const minutes = Number(req.body.durationMinutes) || 0;
+      const endedAt = new Date(startedAt).getTime() + minutes * 60 * 1000;
+      if (endedAt > Date.now()) {
+        throw new Error("Time entries cannot end in the future");
+      }
+      return true;
+    });
+
+const durationBody = (required) =>
+  body("durationMinutes")
+    .if((value) => required || value !== undefined)
+    .exists({ checkNull: true })
+    .withMessage("Duration is required")
+    .bail()
+    .isInt({ min: 1, max: MAX_TIME_ENTRY_MINUTES })
+    .withMessage(
+      `Duration must be between 1 and ${MAX_TIME_ENTRY_MINUTES} minutes`
+    );
+
+/**
+ * @json {
+ *   "route": "GET /api/tasks/:taskId/time-entries",
+ *   "purpose": "List time logged on a task with per-user totals",
+ *   "validates": ["taskId","page","limit","userId"],
+ *   "rules": ["Tenant-scoped existence for task", "Pagination integers"]
+ * }
+ */
+export const validateGetTaskTimeEntries = [
+  taskParam(false),
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be >= 1"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_LIST_ITEM_LIMIT })
+    .withMessage("Limit must be between 1 and 100"),
+  query("userId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("userId must be a valid MongoDB ID"),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const { page, limit, userId } = req.query;
+    req.validated.params = { taskId: req.params.taskId };
+    req.validated.query = {
+      page: page ? Number(page) : 1,
+      limit: limit ? Number(limit) : 10,
+      userId,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /api/tasks/:taskId/time-entries/timer",
+ *   "purpose": "Start the caller's timer on a task",
+ *   "validates": ["taskId","activityId","note"],
+ *   "rules": ["Task in the caller's department", "Activity belongs to the task"]
+ * }
+ */
+export const validateStartTimer = [
+  taskParam(true),
+  activityBody(),
+  noteBody(),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.params = { taskId: req.params.taskId };
+    req.validated.body = {
+      activityId: req.body.activityId || null,
+      note: req.body.note?.trim(),
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /api/tasks/:taskId/time-entries",
+ *   "purpose": "Log time on a task by hand",
+ *   "validates": ["taskId","startedAt","durationMinutes","activityId","note"],
+ *   "rules": [
+ *     "Task in the caller's department",
+ *     "durationMinutes between 1 and MAX_TIME_ENTRY_MINUTES",
+ *     "Entry cannot end in the future"
+ *   ]
+ * }
+ */
+export const validateCreateTimeEntry = [
+  taskParam(true),
+  durationBody(true),
+  startedAtBody(true),
+  activityBody(),
+  noteBody(),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const { startedAt, durationMinutes, activityId, note } = req.body;
+    req.validated.params = { taskId: req.params.taskId };
+    req.validated.body = {
+      startedAt: new Date(startedAt),
+      durationMinutes: Number(durationMinutes),
+      activityId: activityId || null,
+      note: note?.trim(),
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /api/time-entries/running/stop",
+ *   "purpose": "Stop the caller's running timer",
+ *   "validates": ["note"],
+ *   "rules": ["Optional note replaces the timer's note"]
+ * }
+ */
+export const validateStopTimer = [
+  noteBody(),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = { note: req.body.note?.trim() };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "PUT /api/time-entries/:entryId",
+ *   "purpose": "Correct a finished time entry",
+ *   "validates": ["entryId","startedAt","durationMinutes","activityId","note"],
+ *   "rules": [
+ *     "durationMinutes between 1 and MAX_TIME_ENTRY_MINUTES",
+ *     "Entry cannot end in the future"
+ *   ]
+ * }
+ */
+export const validateUpdateTimeEntry = [
+  entryParam(),
+  durationBody(false),
+  startedAtBody(false),
+  activityBody(),
+  noteBody(),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const { startedAt, durationMinutes, activityId, note } = req.body;
+    req.validated.params = { entryId: req.params.entryId };
+    req.validated.body = {
+      startedAt: startedAt ? new Date(startedAt) : undefined,
+      durationMinutes:
+        durationMinutes !== undefined ? Number(durationMinutes) : undefined,
+      activityId,
+      note: note?.trim(),
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "DELETE /api/time-entries/:entryId",
+ *   "purpose": "Delete a time entry",
+ *   "validates": ["entryId"],
+ *   "rules": ["Valid MongoDB ID"]
+ * }
+ */
+export const validateDeleteTimeEntry = [
+  entryParam(),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { entryId: req.params.entryId };
+    next();
+  },
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "GET /api/time-entries/timesheet",
+ *   "purpose": "Weekly timesheet for the caller, another user or a department",
+ *   "validates": ["weekStart","userId","departmentId","format"],
+ *   "rules": [
+ *     "weekStart required YYYY-MM-DD",
+ *     "Optional userId or departmentId (scope checked by authorization)",
+ *     "format json or csv"
+ *   ]
+ * }
+ */
+export const validateGetTimesheet = [
+  query("weekStart")
+    .exists({ checkFalsy: true })
+    .withMessage("weekStart is required")
+    .bail()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("weekStart must be a YYYY-MM-DD date")
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage("weekStart must be a valid date"),
+  query("userId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("userId must be a valid MongoDB ID"),
+  query("departmentId")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("departmentId must be a valid MongoDB ID"),
+  query("format")
+    .optional({ nullable: true })
+    .isIn(["json", "csv"])
+    .withMessage("format must be 'json' or 'csv'"),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    const { weekStart, userId, departmentId, format } = req.query;
+    req.validated.query = {
+      weekStart,
+      userId,
+      departmentId,
+      format: format || "json",
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
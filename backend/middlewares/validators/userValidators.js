@@ -1,7 +1,7 @@
 // backend/middlewares/validators/userValidators.js
 import { body, param, query } from "express-validator";
 import { handleValidationErrors } from "./validation.js";
-import { User, Department } from "../../models/index.js";
+import { User, Department, UserSession } from "../../models/index.js";
 import { escapeRegex, isDateNotInFuture } from "../../utils/helpers.js";
 import {
   USER_ROLES,
@@ -18,7 +18,17 @@ import {
   CLOUDINARY_DOMAINS,
   MIN_SKILL_PERCENTAGE,
   MAX_SKILL_PERCENTAGE,
+  MAX_NOTIFICATION_TITLE_LENGTH,
+  MAX_NOTIFICATION_MESSAGE_LENGTH,
+  ANNOUNCEMENT_TARGET_TYPES,
+  MAX_ANNOUNCEMENT_DEPARTMENTS,
+  NOTIFICATION_PREFERENCE_CATEGORIES,
+  TIME_OF_DAY_REGEX,
+  DIGEST_FREQUENCIES,
+  TOTP_DIGITS,
+  MAX_HOURLY_RATE,
 } from "../../utils/constants.js";
+import { isValidTimezone } from "../../utils/notificationPreferences.js";
 
 /**
  * @json {
@@ -398,7 +408,7 @@ export const validateGetUser = [
  * @json {
  *   "route": "PUT /users/:userId",
  *   "purpose": "Update user by SuperAdmin",
- *   "validates": ["userId","firstName","lastName","position","role","departmentId","profilePicture","skills","employeeId","dateOfBirth","joinedAt"],
+ *   "validates": ["userId","firstName","lastName","position","role","departmentId","profilePicture","skills","employeeId","dateOfBirth","joinedAt","hourlyRate"],
  *   "rules": [
  *     "Param userId must exist in org",
  *     "Optional fields with same constraints as create",
@@ -550,6 +560,10 @@ export const validateUpdateUser = [
         throw new Error("joinedAt cannot be in the future");
       return true;
     }),
+  body("hourlyRate")
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: MAX_HOURLY_RATE })
+    .withMessage(`Hourly rate must be between 0 and ${MAX_HOURLY_RATE}`),
   body("organizationId")
     .not()
     .exists()
@@ -604,6 +618,10 @@ export const validateUpdateUser = [
       employeeId: b.employeeId !== undefined ? Number(b.employeeId) : undefined,
       dateOfBirth: b.dateOfBirth ? new Date(b.dateOfBirth) : undefined,
       joinedAt: b.joinedAt ? new Date(b.joinedAt) : undefined,
+      hourlyRate:
+        b.hourlyRate !== undefined && b.hourlyRate !== null
+          ? Number(b.hourlyRate)
+          : undefined,
     };
     return true;
   }),
@@ -964,16 +982,123 @@ export const validateRestoreUser = [
   },
   handleValidationErrors,
 ];
+// In-app/digest toggles, quiet hours and timezone shared by both
+// preference update routes; the email channel fields are validated inline
+const notificationPreferenceRules = [
+  ...["inApp", "digest"].flatMap((channel) => [
+    body(channel)
+      .optional()
+      .isObject()
+      .withMessage(`${channel} must be an object`),
+    ...NOTIFICATION_PREFERENCE_CATEGORIES.map((category) =>
+      body(`${channel}.${category}`)
+        .optional()
+        .isBoolean()
+        .withMessage(`${channel}.${category} must be a boolean value`)
+    ),
+  ]),
+
+  body("digestSchedule")
+    .optional()
+    .isObject()
+    .withMessage("digestSchedule must be an object"),
+
+  body("digestSchedule.frequency")
+    .optional()
+    .isIn(DIGEST_FREQUENCIES)
+    .withMessage(
+      `digestSchedule.frequency must be one of: ${DIGEST_FREQUENCIES.join(", ")}`
+    ),
+
+  body("digestSchedule.time")
+    .optional()
+    .matches(TIME_OF_DAY_REGEX)
+    .withMessage("digestSchedule.time must be a time in HH:mm format"),
+
+  body("digestSchedule.weekday")
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage("digestSchedule.weekday must be 0 (Sunday) to 6 (Saturday)")
+    .toInt(),
+
+  body("quietHours")
+    .optional()
+    .isObject()
+    .withMessage("quietHours must be an object"),
+
+  body("quietHours.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("quietHours.enabled must be a boolean value"),
+
+  body("quietHours.start")
+    .optional()
+    .matches(TIME_OF_DAY_REGEX)
+    .withMessage("quietHours.start must be a time in HH:mm format"),
+
+  body("quietHours.end")
+    .optional()
+    .matches(TIME_OF_DAY_REGEX)
+    .withMessage("quietHours.end must be a time in HH:mm format"),
+
+  body("timezone")
+    .optional()
+    .isString()
+    .bail()
+    .custom((value) => isValidTimezone(value))
+    .withMessage("timezone must be a valid IANA timezone"),
+];
+
+const NOTIFICATION_PREFERENCE_FIELDS = [
+  "inApp",
+  "digest",
+  "digestSchedule",
+  "quietHours",
+  "timezone",
+];
+
+// Keep only known keys of the nested preference objects
+const pickNotificationPreferences = ({
+  inApp,
+  digest,
+  digestSchedule,
+  quietHours,
+  timezone,
+}) => {
+  const pick = (source, keys) =>
+    Object.fromEntries(
+      keys
+        .filter((key) => source?.[key] !== undefined)
+        .map((key) => [key, source[key]])
+    );
+
+  return {
+    ...(inApp && { inApp: pick(inApp, NOTIFICATION_PREFERENCE_CATEGORIES) }),
+    ...(digest && { digest: pick(digest, NOTIFICATION_PREFERENCE_CATEGORIES) }),
+    ...(digestSchedule && {
+      digestSchedule: pick(digestSchedule, ["frequency", "time", "weekday"]),
+    }),
+    ...(quietHours && {
+      quietHours: pick(quietHours, ["enabled", "start", "end"]),
+    }),
+    ...(timezone !== undefined && { timezone }),
+  };
+};
+
 /**
  * @json {
  *   "route": "PUT /users/:userId/email-preferences",
- *   "purpose": "Update user's email notification preferences",
+ *   "purpose": "Update user's email and notification preferences",
  *   "validates": [
  *     "enabled","taskNotifications","taskReminders","mentions",
- *     "announcements","welcomeEmails","passwordReset"
+ *     "announcements","welcomeEmails","passwordReset",
+ *     "inApp","digest","digestSchedule","quietHours","timezone"
  *   ],
  *   "rules": [
- *     "All fields are optional boolean values",
+ *     "Email channel fields are optional boolean values",
+ *     "inApp/digest map notification categories to booleans",
+ *     "digestSchedule: frequency off/daily/weekly, time HH:mm, weekday 0-6",
+ *     "quietHours.start/end use HH:mm; timezone must be a valid IANA zone",
  *     "At least one field must be provided",
  *     "Attach sanitized body to req.validated.body"
  *   ]
@@ -1022,6 +1147,8 @@ export const validateUpdateEmailPreferences = [
     .isBoolean()
     .withMessage("passwordReset must be a boolean value"),
 
+  ...notificationPreferenceRules,
+
   // Custom validation to ensure at least one field is provided
   body().custom((value) => {
     const allowedFields = [
@@ -1032,13 +1159,14 @@ export const validateUpdateEmailPreferences = [
       "announcements",
       "welcomeEmails",
       "passwordReset",
+      ...NOTIFICATION_PREFERENCE_FIELDS,
     ];
     const providedFields = Object.keys(value).filter((key) =>
       allowedFields.includes(key)
     );
 
     if (providedFields.length === 0) {
-      throw new Error("At least one email preference field must be provided");
+      throw new Error("At least one preference field must be provided");
     }
     return true;
   }),
@@ -1066,6 +1194,7 @@ export const validateUpdateEmailPreferences = [
         ...(announcements !== undefined && { announcements }),
         ...(welcomeEmails !== undefined && { welcomeEmails }),
         ...(passwordReset !== undefined && { passwordReset }),
+        ...pickNotificationPreferences(req.body),
       },
     };
     next();
@@ -1075,13 +1204,17 @@ export const validateUpdateEmailPreferences = [
 /**
  * @json {
  *   "route": "PUT /users/me/email-preferences",
- *   "purpose": "Update current user's email notification preferences",
+ *   "purpose": "Update current user's email and notification preferences",
  *   "validates": [
  *     "enabled","taskNotifications","taskReminders","mentions",
- *     "announcements","welcomeEmails","passwordReset"
+ *     "announcements","welcomeEmails","passwordReset",
+ *     "inApp","digest","digestSchedule","quietHours","timezone"
  *   ],
  *   "rules": [
- *     "All fields are optional boolean values",
+ *     "Email channel fields are optional boolean values",
+ *     "inApp/digest map notification categories to booleans",
+ *     "digestSchedule: frequency off/daily/weekly, time HH:mm, weekday 0-6",
+ *     "quietHours.start/end use HH:mm; timezone must be a valid IANA zone",
  *     "At least one field must be provided",
  *     "Attach sanitized body to req.validated.body"
  *   ]
@@ -1123,6 +1256,8 @@ export const validateUpdateMyEmailPreferences = [
     .isBoolean()
     .withMessage("passwordReset must be a boolean value"),
 
+  ...notificationPreferenceRules,
+
   // Custom validation to ensure at least one field is provided
   body().custom((value) => {
     const allowedFields = [
@@ -1133,13 +1268,14 @@ export const validateUpdateMyEmailPreferences = [
       "announcements",
       "welcomeEmails",
       "passwordReset",
+      ...NOTIFICATION_PREFERENCE_FIELDS,
     ];
     const providedFields = Object.keys(value).filter((key) =>
       allowedFields.includes(key)
     );
 
     if (providedFields.length === 0) {
-      throw new Error("At least one email preference field must be provided");
+      throw new Error("At least one preference field must be provided");
     }
     return true;
   }),
@@ -1166,6 +1302,7 @@ export const validateUpdateMyEmailPreferences = [
         ...(announcements !== undefined && { announcements }),
         ...(welcomeEmails !== undefined && { welcomeEmails }),
         ...(passwordReset !== undefined && { passwordReset }),
+        ...pickNotificationPreferences(req.body),
       },
     };
     next();
@@ -1175,14 +1312,15 @@ export const validateUpdateMyEmailPreferences = [
 /**
  * @json {
  *   "route": "POST /users/bulk-announcement",
- *   "purpose": "Send bulk announcement email to organization or department users",
+ *   "purpose": "Send or schedule an announcement to the organization or chosen departments",
  *   "validates": [
- *     "title","message","targetType","targetDepartmentId"
+ *     "title","message","targetType","targetDepartmentIds","targetDepartmentId","scheduledFor"
  *   ],
  *   "rules": [
- *     "Title and message are required strings with length limits",
- *     "targetType must be 'organization' or 'department'",
- *     "targetDepartmentId required if targetType is 'department'",
+ *     "Title and message are required strings within the notification length limits",
+ *     "targetType must be 'organization' or 'departments' ('department' is accepted for a single targetDepartmentId)",
+ *     "Department targets need 1-MAX_ANNOUNCEMENT_DEPARTMENTS existing departments of the organization",
+ *     "scheduledFor is an optional future ISO 8601 date",
  *     "Attach sanitized body to req.validated.body"
  *   ]
  * }
@@ -1195,8 +1333,10 @@ export const validateSendBulkAnnouncement = [
     .isString()
     .withMessage("Title must be a string")
     .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage("Title must be between 1 and 100 characters"),
+    .isLength({ min: 1, max: MAX_NOTIFICATION_TITLE_LENGTH })
+    .withMessage(
+      `Title must be between 1 and ${MAX_NOTIFICATION_TITLE_LENGTH} characters`
+    ),
 
   body("message")
     .exists({ checkFalsy: true })
@@ -1205,8 +1345,10 @@ export const validateSendBulkAnnouncement = [
     .isString()
     .withMessage("Message must be a string")
     .trim()
-    .isLength({ min: 1, max: 1000 })
-    .withMessage("Message must be between 1 and 1000 characters"),
+    .isLength({ min: 1, max: MAX_NOTIFICATION_MESSAGE_LENGTH })
+    .withMessage(
+      `Message must be between 1 and ${MAX_NOTIFICATION_MESSAGE_LENGTH} characters`
+    ),
 
   body("targetType")
     .exists({ checkFalsy: true })
@@ -1214,37 +1356,242 @@ export const validateSendBulkAnnouncement = [
     .bail()
     .isString()
     .withMessage("Target type must be a string")
-    .isIn(["organization", "department"])
-    .withMessage("Target type must be 'organization' or 'department'"),
+    .isIn([...ANNOUNCEMENT_TARGET_TYPES, "department"])
+    .withMessage("Target type must be 'organization' or 'departments'"),
 
   body("targetDepartmentId")
     .optional()
     .isMongoId()
     .withMessage("Target department ID must be a valid MongoDB ObjectId"),
 
-  // Custom validation for targetDepartmentId when targetType is 'department'
-  body().custom((value) => {
-    if (value.targetType === "department" && !value.targetDepartmentId) {
+  body("targetDepartmentIds")
+    .optional()
+    .isArray({ max: MAX_ANNOUNCEMENT_DEPARTMENTS })
+    .withMessage(
+      `Target departments must be an array of at most ${MAX_ANNOUNCEMENT_DEPARTMENTS} IDs`
+    ),
+
+  body("targetDepartmentIds.*")
+    .isMongoId()
+    .withMessage("Each target department ID must be a valid MongoDB ObjectId"),
+
+  body("scheduledFor")
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage("Scheduled date must be a valid ISO 8601 date")
+    .bail()
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error("Scheduled date must be in the future");
+      }
+      return true;
+    }),
+
+  // Department targets must exist in the caller's organization
+  body().custom(async (value, { req }) => {
+    if (value.targetType === "organization") return true;
+
+    const departmentIds = [
+      ...new Set(
+        value.targetType === "department"
+          ? [value.targetDepartmentId].filter(Boolean)
+          : value.targetDepartmentIds || []
+      ),
+    ];
+    if (departmentIds.length === 0) {
       throw new Error(
-        "targetDepartmentId is required when targetType is department"
+        "At least one target department is required for department announcements"
       );
     }
+
+    const count = await Department.countDocuments({
+      _id: { $in: departmentIds },
+      organization: req.user.organization._id,
+      isDeleted: false,
+    });
+    if (count !== departmentIds.length) {
+      throw new Error("One or more target departments were not found");
+    }
     return true;
   }),
 
   handleValidationErrors,
 
   (req, res, next) => {
-    const { title, message, targetType, targetDepartmentId } = req.body;
+    const {
+      title,
+      message,
+      targetType,
+      targetDepartmentId,
+      targetDepartmentIds,
+      scheduledFor,
+    } = req.body;
 
     req.validated = {
       body: {
         title: title.trim(),
         message: message.trim(),
-        targetType,
-        ...(targetDepartmentId && { targetDepartmentId }),
+        // A single "department" target is stored as a one-item department list
+        targetType: targetType === "organization" ? targetType : "departments",
+        targetDepartmentIds:
+          targetType === "organization"
+            ? []
+            : [
+                ...new Set(
+                  targetType === "department"
+                    ? [targetDepartmentId]
+                    : targetDepartmentIds
+                ),
+              ],
+        ...(scheduledFor && { scheduledFor: new Date(scheduledFor) }),
       },
     };
     next();
   },
 ];
+
+/**
+ * @json {
+ *   "route": "DELETE /users/me/sessions/:sessionId",
+ *   "purpose": "Sign out one of the current user's sessions",
+ *   "validates": ["sessionId"],
+ *   "rules": [
+ *     "sessionId must be an active session of the current user",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateRevokeMySession = [
+  param("sessionId")
+    .isMongoId()
+    .withMessage("Session ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (sessionId, { req }) => {
+      const exists = await UserSession.exists({
+        _id: sessionId,
+        user: req.user._id,
+        revokedAt: null,
+      });
+      if (!exists) throw new Error("Session not found");
+      return true;
+    }),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { sessionId: req.params.sessionId };
+    next();
+  },
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "DELETE /users/me/sessions",
+ *   "purpose": "Sign out all of the current user's sessions",
+ *   "validates": ["exceptCurrent"],
+ *   "rules": [
+ *     "Optional exceptCurrent boolean keeps the calling session signed in",
+ *     "Attach sanitized query to req.validated.query"
+ *   ]
+ * }
+ */
+export const validateRevokeMySessions = [
+  query("exceptCurrent")
+    .optional()
+    .isBoolean()
+    .withMessage("exceptCurrent must be a boolean")
+    .toBoolean(),
+  query().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.query = {
+      exceptCurrent: req.query.exceptCurrent === true,
+    };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /users/me/two-factor/enable | POST /users/me/two-factor/recovery-codes",
+ *   "purpose": "Confirm an authenticator code for the current user",
+ *   "validates": ["code"],
+ *   "rules": [
+ *     "code is required and must be the six-digit authenticator code",
+ *     "Attach sanitized body to req.validated.body"
+ *   ]
+ * }
+ */
+export const validateTwoFactorCode = [
+  body("code")
+    .exists({ checkFalsy: true })
+    .withMessage("Verification code is required")
+    .bail()
+    .isString()
+    .trim()
+    .matches(new RegExp(`^\\d{${TOTP_DIGITS}}$`))
+    .withMessage(`Verification code must be ${TOTP_DIGITS} digits`),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = { code: req.body.code };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /users/me/two-factor/disable",
+ *   "purpose": "Turn off two-factor for the current user",
+ *   "validates": ["password"],
+ *   "rules": [
+ *     "password is required to confirm the change",
+ *     "Attach sanitized body to req.validated.body"
+ *   ]
+ * }
+ */
+export const validateDisableTwoFactor = [
+  body("password")
+    .exists({ checkFalsy: true })
+    .withMessage("Password is required")
+    .bail()
+    .isString()
+    .withMessage("Password must be a string"),
+  body().custom((_, { req }) => {
+    req.validated = req.validated || {};
+    req.validated.body = { password: req.body.password };
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+/**
+ * @json {
+ *   "route": "POST /users/:userId/two-factor/reset",
+ *   "purpose": "Reset another user's two-factor by SuperAdmin",
+ *   "validates": ["userId"],
+ *   "rules": [
+ *     "Param userId must be an active user in the caller's organization",
+ *     "Attach sanitized params to req.validated.params"
+ *   ]
+ * }
+ */
+export const validateResetUserTwoFactor = [
+  param("userId")
+    .isMongoId()
+    .withMessage("User ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (userId, { req }) => {
+      const exists = await User.exists({
+        _id: userId,
+        organization: req.user.organization._id,
+      });
+      if (!exists) throw new Error("User not found in your organization");
+      return true;
+    }),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { userId: req.params.userId };
+    next();
+  },
+  handleValidationErrors,
+];
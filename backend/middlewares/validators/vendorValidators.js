@@ -7,6 +7,9 @@ import {
   MAX_VENDOR_NAME_LENGTH,
   MAX_EMAIL_LENGTH,
   PHONE_REGEX,
+  MIN_VENDOR_RATING,
+  MAX_VENDOR_RATING,
+  MAX_VENDOR_RATING_COMMENT_LENGTH,
 } from "../../utils/constants.js";
 
 /**
@@ -192,6 +195,72 @@ export const validateGetVendor = [
   handleValidationErrors,
 ];
 
+/**
+ * @json {
+ *   "route": "POST /vendors/:vendorId/ratings",
+ *   "purpose": "Rate the vendor of a completed ProjectTask",
+ *   "validates": ["vendorId","taskId","score","comment"],
+ *   "rules": [
+ *     "vendorId must be an active vendor in user's organization",
+ *     "taskId must be a valid MongoDB ID",
+ *     "score must be a whole number between MIN_VENDOR_RATING and MAX_VENDOR_RATING",
+ *     "Optional comment up to MAX_VENDOR_RATING_COMMENT_LENGTH characters",
+ *     "Attach sanitized params/body to req.validated"
+ *   ]
+ * }
+ */
+export const validateRateVendor = [
+  param("vendorId")
+    .isMongoId()
+    .withMessage("Vendor ID must be a valid MongoDB ID")
+    .bail()
+    .custom(async (vendorId, { req }) => {
+      const vendor = await Vendor.findOne({
+        _id: vendorId,
+        organization: req.user.organization._id,
+        isDeleted: false,
+      });
+      if (!vendor) throw new Error("Vendor not found in your organization");
+      return true;
+    }),
+  body("taskId")
+    .exists({ checkFalsy: true })
+    .withMessage("Task ID is required")
+    .bail()
+    .isMongoId()
+    .withMessage("Task ID must be a valid MongoDB ID"),
+  body("score")
+    .exists({ checkNull: true })
+    .withMessage("Rating score is required")
+    .bail()
+    .isInt({ min: MIN_VENDOR_RATING, max: MAX_VENDOR_RATING })
+    .withMessage(
+      `Rating must be a whole number between ${MIN_VENDOR_RATING} and ${MAX_VENDOR_RATING}`
+    )
+    .toInt(),
+  body("comment")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Comment must be a string")
+    .bail()
+    .trim()
+    .isLength({ max: MAX_VENDOR_RATING_COMMENT_LENGTH })
+    .withMessage(
+      `Comment cannot exceed ${MAX_VENDOR_RATING_COMMENT_LENGTH} characters`
+    ),
+  (req, _res, next) => {
+    req.validated = req.validated || {};
+    req.validated.params = { vendorId: req.params.vendorId };
+    req.validated.body = {
+      taskId: req.body.taskId,
+      score: req.body.score,
+      comment: req.body.comment || undefined,
+    };
+    next();
+  },
+  handleValidationErrors,
+];
+
 /**
  * @json {
  *   "route": "PUT /vendors/:vendorId",
@@ -0,0 +1,161 @@
+// backend/models/Announcement.js
+import mongoose from "mongoose";
+import softDeletePlugin from "./plugins/softDelete.js";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  ANNOUNCEMENT_TARGET_TYPES,
+  ANNOUNCEMENT_STATUS,
+  MAX_ANNOUNCEMENT_DEPARTMENTS,
+  MAX_NOTIFICATION_TITLE_LENGTH,
+  MAX_NOTIFICATION_MESSAGE_LENGTH,
+} from "../utils/constants.js";
+
+/**
+ * Announcement Schema - A message from a head of department to the whole
+ * organization or to chosen departments. It is delivered as an
+ * "Announcement" notification, either immediately or by the announcement
+ * scheduler once scheduledFor is reached. Read counts come from the
+ * delivered notification's readBy.
+ */
+
+const AnnouncementSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Announcement title is required"],
+      trim: true,
+      maxlength: [
+        MAX_NOTIFICATION_TITLE_LENGTH,
+        `Title cannot exceed ${MAX_NOTIFICATION_TITLE_LENGTH} characters`,
+      ],
+    },
+    message: {
+      type: String,
+      required: [true, "Announcement message is required"],
+      trim: true,
+      maxlength: [
+        MAX_NOTIFICATION_MESSAGE_LENGTH,
+        `Message cannot exceed ${MAX_NOTIFICATION_MESSAGE_LENGTH} characters`,
+      ],
+    },
+    targetType: {
+      type: String,
+      required: [true, "Target type is required"],
+      enum: {
+        values: ANNOUNCEMENT_TARGET_TYPES,
+        message: "Invalid announcement target type",
+      },
+    },
+    targetDepartments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Department",
+      },
+    ],
+    status: {
+      type: String,
+      enum: {
+        values: ANNOUNCEMENT_STATUS,
+        message: "Invalid announcement status",
+      },
+      default: "Scheduled",
+    },
+    scheduledFor: {
+      type: Date,
+      required: [true, "Scheduled date is required"],
+    },
+    sentAt: { type: Date },
+    failureReason: { type: String, trim: true },
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+    },
+    recipientCount: { type: Number, default: 0, min: 0 },
+    pinned: { type: Boolean, default: false },
+    pinnedAt: { type: Date },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator (createdBy) is required"],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+AnnouncementSchema.index(
+  { organization: 1, department: 1, scheduledFor: -1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+AnnouncementSchema.index(
+  { status: 1, scheduledFor: 1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+AnnouncementSchema.index(
+  { organization: 1, pinned: 1, pinnedAt: -1 },
+  { partialFilterExpression: { isDeleted: false, pinned: true } }
+);
+
+// ==================== VALIDATIONS ====================
+AnnouncementSchema.path("targetDepartments").validate({
+  validator: (v) =>
+    !Array.isArray(v) || v.length <= MAX_ANNOUNCEMENT_DEPARTMENTS,
+  message: `Target departments cannot exceed ${MAX_ANNOUNCEMENT_DEPARTMENTS}`,
+});
+
+AnnouncementSchema.pre("validate", function (next) {
+  if (this.targetType !== "organization" && !this.targetDepartments?.length) {
+    this.invalidate(
+      "targetDepartments",
+      "At least one target department is required"
+    );
+  }
+  next();
+});
+
+softDeletePlugin(AnnouncementSchema);
+AnnouncementSchema.plugin(mongoosePaginate);
+
+export const Announcement = mongoose.model("Announcement", AnnouncementSchema);
+export default Announcement;
@@ -1,6 +1,7 @@
 // backend/models/AssignedTask.js
 import mongoose from "mongoose";
 import { BaseTask } from "./BaseTask.js";
+import checklistPlugin from "./plugins/checklist.js";
 import { MAX_ASSIGNEES_PER_TASK } from "../utils/constants.js";
 import {
   isStartDateBeforeDueDate,
@@ -68,6 +69,8 @@ const AssignedTaskSchema = new mongoose.Schema(
   }
 );
 
+AssignedTaskSchema.plugin(checklistPlugin);
+
 // ==================== INDEXES ====================
 AssignedTaskSchema.index(
   { organization: 1, department: 1, assignees: 1, createdAt: -1 },
@@ -0,0 +1,104 @@
+// backend/models/AuditLog.js
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_RESOURCE_MODELS,
+  MAX_USER_AGENT_LENGTH,
+} from "../utils/constants.js";
+
+/**
+ * AuditLog Schema - Append-only trail of create/update/delete/restore
+ * operations with the field-level changes they made
+ */
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    action: {
+      type: String,
+      enum: {
+        values: AUDIT_ACTIONS,
+        message: "Invalid audit action",
+      },
+      required: [true, "Audit action is required"],
+    },
+    resourceModel: {
+      type: String,
+      enum: {
+        values: AUDIT_RESOURCE_MODELS,
+        message: "Invalid audit resource model",
+      },
+      required: [true, "Audit resource model is required"],
+    },
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "resourceModel",
+      required: [true, "Audit resource ID is required"],
+    },
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: { type: String, required: true },
+          from: { type: mongoose.Schema.Types.Mixed, default: null },
+          to: { type: mongoose.Schema.Types.Mixed, default: null },
+        },
+      ],
+      default: [],
+    },
+    // X-Request-ID of the request that made the change
+    requestId: { type: String, trim: true },
+    ip: { type: String, trim: true },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxLength: MAX_USER_AGENT_LENGTH,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    minimize: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+AuditLogSchema.index({ organization: 1, createdAt: -1 });
+
+AuditLogSchema.index({ resourceId: 1, createdAt: -1 });
+
+AuditLogSchema.index({ organization: 1, actor: 1, createdAt: -1 });
+
+AuditLogSchema.index({ organization: 1, department: 1, createdAt: -1 });
+
+AuditLogSchema.plugin(mongoosePaginate);
+
+export const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+export default AuditLog;
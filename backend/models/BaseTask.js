@@ -12,7 +12,15 @@ import {
   MAX_TAGS_PER_TASK,
   MAX_TAG_LENGTH,
   HEAD_OF_DEPARTMENT_ROLES,
+  MAX_TASK_BLOCKERS,
+  SLA_TASK_TYPES,
+  SLA_TARGETS,
 } from "../utils/constants.js";
+import {
+  computeSlaDeadlines,
+  resolveSlaPolicy,
+  shouldRecountSlaDeadlines,
+} from "../utils/sla.js";
 
 /**
  * Base Task Schema - Abstract model for all task types using Mongoose discriminators
@@ -44,6 +52,10 @@ const BaseTaskSchema = new mongoose.Schema(
       enum: { values: TASK_STATUS, message: "Invalid task status" },
       default: "To Do",
     },
+    // Set when the task enters "Completed", cleared when it leaves it
+    completedAt: {
+      type: Date,
+    },
     priority: {
       type: String,
       enum: { values: TASK_PRIORITY, message: "Invalid task priority" },
@@ -129,6 +141,69 @@ const BaseTaskSchema = new mongoose.Schema(
         },
       ],
     },
+    // Tasks in the same organization that must be completed before this one
+    // can start (the reverse "blocks" side is queried, not stored)
+    blockedBy: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "BaseTask" }],
+      validate: [
+        {
+          validator: (v) => !Array.isArray(v) || v.length <= MAX_TASK_BLOCKERS,
+          message: `Blockers cannot exceed ${MAX_TASK_BLOCKERS} tasks`,
+        },
+        {
+          validator: function (blockers) {
+            if (!Array.isArray(blockers)) return true;
+            const uniqueIds = new Set(blockers.map((id) => id.toString()));
+            return (
+              uniqueIds.size === blockers.length &&
+              !uniqueIds.has(this._id?.toString())
+            );
+          },
+          message: "Blockers must be unique and cannot include the task itself",
+        },
+      ],
+    },
+    // Rolled-up minutes of finished time entries (kept in step by timeTracking)
+    timeSpentMinutes: {
+      type: Number,
+      default: 0,
+      min: [0, "Time spent cannot be negative"],
+    },
+    // Deadlines from the governing SLA policy and the breaches already
+    // escalated (see slaEvaluator)
+    sla: {
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SlaPolicy",
+        default: null,
+      },
+      responseDueAt: { type: Date, default: null },
+      resolutionDueAt: { type: Date, default: null },
+      // First time the task was started or completed
+      respondedAt: { type: Date, default: null },
+      breaches: [
+        {
+          _id: false,
+          target: {
+            type: String,
+            enum: { values: SLA_TARGETS, message: "Invalid SLA target" },
+            required: true,
+          },
+          breachedAt: { type: Date, default: Date.now },
+          fromPriority: { type: String },
+          toPriority: { type: String, default: null },
+          notified: { type: Boolean, default: false },
+        },
+      ],
+    },
+    // Due-date reminders already sent for the current dueDate (see taskReminderService)
+    reminders: [
+      {
+        _id: false,
+        offset: { type: String, required: true },
+        sentAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -180,6 +255,11 @@ BaseTaskSchema.index(
   { partialFilterExpression: { isDeleted: false } }
 );
 
+BaseTaskSchema.index(
+  { organization: 1, blockedBy: 1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
 BaseTaskSchema.index({ tags: "text" });
 
 // ==================== VALIDATION HOOKS ====================
@@ -239,6 +319,47 @@ BaseTaskSchema.pre("save", async function (next) {
       }
     }
 
+    if (this.isModified("status")) {
+      if (this.status !== "Completed") this.completedAt = undefined;
+      else if (!this.completedAt) this.completedAt = new Date();
+    }
+
+    if (
+      this.isModified("status") &&
+      ["In Progress", "Completed"].includes(this.status) &&
+      !this.sla?.respondedAt
+    ) {
+      this.set("sla.respondedAt", new Date());
+    }
+
+    // Deadlines follow the policy for the task's department and priority
+    if (
+      SLA_TASK_TYPES.includes(this.taskType) &&
+      (this.isNew ||
+        ((this.isModified("priority") || this.isModified("department")) &&
+          shouldRecountSlaDeadlines(this)))
+    ) {
+      const { SlaPolicy } = await import("./SlaPolicy.js");
+      const policies = await SlaPolicy.find({
+        organization: this.organization,
+        department: { $in: [null, this.department] },
+        priority: this.priority,
+        isActive: true,
+      }).session(session);
+      const deadlines = computeSlaDeadlines(
+        resolveSlaPolicy(policies, this),
+        this.createdAt || new Date()
+      );
+      for (const [key, value] of Object.entries(deadlines)) {
+        this.set(`sla.${key}`, value);
+      }
+    }
+
+    // A rescheduled task gets its due-date reminders again
+    if (!this.isNew && this.isModified("dueDate")) {
+      this.reminders = [];
+    }
+
     next();
   } catch (error) {
     next(error);
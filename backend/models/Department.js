@@ -125,6 +125,7 @@ departmentSchema.statics.softDeleteByIdWithCascade = async function (
   const { Attachment } = await import("./Attachment.js");
   const { Material } = await import("./Material.js");
   const { Notification } = await import("./Notification.js");
+  const { SlaPolicy } = await import("./SlaPolicy.js");
 
   // Cascade delete related Users
   const users = await User.find({ department: departmentId }).session(session);
@@ -158,6 +159,9 @@ departmentSchema.statics.softDeleteByIdWithCascade = async function (
   // Cascade delete related Notifications
   await Notification.softDeleteMany({ department: departmentId }, { session });
 
+  // Cascade delete the department's SLA policies
+  await SlaPolicy.softDeleteMany({ department: departmentId }, { session });
+
   // Finally, delete the department itself
   await this.softDeleteById(departmentId, { session });
 };
@@ -0,0 +1,126 @@
+// backend/models/InventoryMovement.js
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  INVENTORY_MOVEMENT_TYPES,
+  INVENTORY_REFERENCE_MODELS,
+  MAX_INVENTORY_NOTE_LENGTH,
+} from "../utils/constants.js";
+
+/**
+ * InventoryMovement Schema - Append-only stock ledger
+ * Each entry records a signed quantity change for one department's stock of a
+ * material and the resulting balance. Transfers are written as a pair of
+ * entries (out of the source, into the destination) linked by counterpartDepartment.
+ */
+
+const InventoryMovementSchema = new mongoose.Schema(
+  {
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+      required: [true, "Material reference is required"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Movement type is required"],
+      enum: {
+        values: INVENTORY_MOVEMENT_TYPES,
+        message: "Invalid inventory movement type",
+      },
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Movement quantity is required"],
+      validate: {
+        validator: (v) => v !== 0,
+        message: "Movement quantity cannot be zero",
+      },
+    },
+    balanceAfter: {
+      type: Number,
+      required: [true, "Resulting balance is required"],
+    },
+    unitPrice: {
+      type: Number,
+      min: [0, "Unit price cannot be negative"],
+    },
+    // Task/activity that consumed (or returned) the stock, or the received purchase order
+    reference: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "referenceModel",
+    },
+    referenceModel: {
+      type: String,
+      enum: {
+        values: INVENTORY_REFERENCE_MODELS,
+        message: "Invalid inventory reference model",
+      },
+    },
+    // Other side of a transfer
+    counterpartDepartment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [
+        MAX_INVENTORY_NOTE_LENGTH,
+        `Note cannot exceed ${MAX_INVENTORY_NOTE_LENGTH} characters`,
+      ],
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+InventoryMovementSchema.index({ material: 1, department: 1, createdAt: -1 });
+
+InventoryMovementSchema.index({ organization: 1, department: 1, createdAt: -1 });
+
+InventoryMovementSchema.index(
+  { reference: 1, referenceModel: 1 },
+  { partialFilterExpression: { reference: { $exists: true } } }
+);
+
+InventoryMovementSchema.plugin(mongoosePaginate);
+
+export const InventoryMovement = mongoose.model(
+  "InventoryMovement",
+  InventoryMovementSchema
+);
+export default InventoryMovement;
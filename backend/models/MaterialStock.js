@@ -0,0 +1,87 @@
+// backend/models/MaterialStock.js
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import { MAX_MATERIAL_QUANTITY } from "../utils/constants.js";
+
+/**
+ * MaterialStock Schema - On-hand quantity of a material held by a department
+ * One document per (material, department); quantity is only changed through
+ * InventoryMovement entries so the ledger always explains the balance.
+ */
+
+const MaterialStockSchema = new mongoose.Schema(
+  {
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+      required: [true, "Material reference is required"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    // May go negative when consumption is logged before receipts are recorded
+    quantity: {
+      type: Number,
+      default: 0,
+    },
+    reorderThreshold: {
+      type: Number,
+      default: 0,
+      min: [0, "Reorder threshold cannot be negative"],
+      max: [
+        MAX_MATERIAL_QUANTITY,
+        `Reorder threshold cannot exceed ${MAX_MATERIAL_QUANTITY}`,
+      ],
+    },
+    // Set when HODs were alerted; cleared once stock is back above the threshold
+    lowStockAlertedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+MaterialStockSchema.index({ material: 1, department: 1 }, { unique: true });
+
+MaterialStockSchema.index({ organization: 1, department: 1, quantity: 1 });
+
+// ==================== VIRTUALS ====================
+MaterialStockSchema.virtual("isLowStock").get(function () {
+  return this.reorderThreshold > 0 && this.quantity <= this.reorderThreshold;
+});
+
+MaterialStockSchema.plugin(mongoosePaginate);
+
+export const MaterialStock = mongoose.model(
+  "MaterialStock",
+  MaterialStockSchema
+);
+export default MaterialStock;
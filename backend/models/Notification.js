@@ -75,6 +75,35 @@ const NotificationSchema = new mongoose.Schema(
         },
       },
     ],
+    // Per-user archive: hidden from the user's inbox and unread count only
+    archivedBy: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        archivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Per-user delete: gone for the user, but still counted as delivered
+    // (and read) in announcement read statistics
+    deletedFor: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        deletedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     organization: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Organization",
@@ -173,6 +202,18 @@ NotificationSchema.path("readBy").validate({
   message: `Read-by entries cannot exceed ${MAX_RECIPIENTS_PER_NOTIFICATION}`,
 });
 
+NotificationSchema.path("archivedBy").validate({
+  validator: (v) =>
+    !Array.isArray(v) || v.length <= MAX_RECIPIENTS_PER_NOTIFICATION,
+  message: `Archived-by entries cannot exceed ${MAX_RECIPIENTS_PER_NOTIFICATION}`,
+});
+
+NotificationSchema.path("deletedFor").validate({
+  validator: (v) =>
+    !Array.isArray(v) || v.length <= MAX_RECIPIENTS_PER_NOTIFICATION,
+  message: `Deleted-for entries cannot exceed ${MAX_RECIPIENTS_PER_NOTIFICATION}`,
+});
+
 softDeletePlugin(NotificationSchema);
 NotificationSchema.plugin(mongoosePaginate);
 
@@ -146,6 +146,11 @@ const organizationSchema = new mongoose.Schema(
       immutable: true,
       index: true,
     },
+    // SuperAdmins and Admins must sign in with a TOTP second factor
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
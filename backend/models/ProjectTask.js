@@ -1,6 +1,7 @@
 // backend/models/ProjectTask.js
 import mongoose from "mongoose";
 import { BaseTask } from "./BaseTask.js";
+import checklistPlugin from "./plugins/checklist.js";
 import {
   SUPPORTED_CURRENCIES,
   DEFAULT_CURRENCY,
@@ -84,6 +85,12 @@ const ProjectTaskSchema = new mongoose.Schema(
         message: "Currency must be a valid currency code",
       },
     },
+    // Add the cost of logged time (minutes x each user's hourly rate) to actualCost;
+    // only time logged while this is on, see TimeEntry.costApplied
+    trackTimeCost: {
+      type: Boolean,
+      default: false,
+    },
     costHistory: {
       type: [
         {
@@ -127,6 +134,8 @@ const ProjectTaskSchema = new mongoose.Schema(
   }
 );
 
+ProjectTaskSchema.plugin(checklistPlugin);
+
 // ==================== INDEXES ====================
 ProjectTaskSchema.index(
   { organization: 1, department: 1, vendor: 1 },
@@ -138,6 +147,12 @@ ProjectTaskSchema.index(
   { partialFilterExpression: { isDeleted: false } }
 );
 
+// Calendar feeds of watched tasks (see getCalendarFeed)
+ProjectTaskSchema.index(
+  { organization: 1, watchers: 1, dueDate: 1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
 // ==================== VALIDATION HOOKS ====================
 ProjectTaskSchema.pre("save", async function (next) {
   try {
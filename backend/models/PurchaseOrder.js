@@ -0,0 +1,208 @@
+// backend/models/PurchaseOrder.js
+import mongoose from "mongoose";
+import paginate from "mongoose-paginate-v2";
+import softDeletePlugin from "./plugins/softDelete.js";
+import {
+  PURCHASE_ORDER_STATUS,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  MAX_MATERIAL_QUANTITY,
+  MAX_MATERIAL_PRICE,
+  MAX_PURCHASE_ORDER_ITEMS,
+  MAX_PURCHASE_ORDER_NOTES_LENGTH,
+} from "../utils/constants.js";
+import { getPurchaseOrderTotal } from "../utils/purchaseOrder.js";
+
+/**
+ * PurchaseOrder Schema - Order of materials from a vendor
+ * Moves Draft -> Approved -> Ordered -> Received (or Cancelled before receipt).
+ * Receiving an order records a Receipt movement per line item into the
+ * ordering department's stock.
+ */
+
+const PurchaseOrderItemSchema = new mongoose.Schema(
+  {
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Material",
+      required: [true, "Material reference is required"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0.01, "Quantity must be greater than zero"],
+      max: [
+        MAX_MATERIAL_QUANTITY,
+        `Quantity cannot exceed ${MAX_MATERIAL_QUANTITY}`,
+      ],
+    },
+    unitPrice: {
+      type: Number,
+      required: [true, "Unit price is required"],
+      min: [0, "Unit price cannot be negative"],
+      max: [
+        MAX_MATERIAL_PRICE,
+        `Unit price cannot exceed ${MAX_MATERIAL_PRICE}`,
+      ],
+    },
+  },
+  { _id: false }
+);
+
+const PurchaseOrderSchema = new mongoose.Schema(
+  {
+    // Per-organization sequence, e.g. PO-000042
+    orderNumber: {
+      type: String,
+      required: [true, "Order number is required"],
+      trim: true,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: [true, "Vendor reference is required"],
+    },
+    items: {
+      type: [PurchaseOrderItemSchema],
+      validate: [
+        {
+          validator: (v) =>
+            Array.isArray(v) &&
+            v.length > 0 &&
+            v.length <= MAX_PURCHASE_ORDER_ITEMS,
+          message: `Purchase order must have between 1 and ${MAX_PURCHASE_ORDER_ITEMS} items`,
+        },
+        {
+          validator: function (items) {
+            if (!Array.isArray(items)) return true;
+            const uniqueIds = new Set(
+              items.map((item) => item.material.toString())
+            );
+            return uniqueIds.size === items.length;
+          },
+          message: "Duplicate materials are not allowed",
+        },
+      ],
+    },
+    currency: {
+      type: String,
+      enum: {
+        values: SUPPORTED_CURRENCIES,
+        message: `Currency must be ${SUPPORTED_CURRENCIES.join(", ")}.`,
+      },
+      default: DEFAULT_CURRENCY,
+    },
+    // Maintained by the pre-validate hook
+    totalAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Total amount cannot be negative"],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: PURCHASE_ORDER_STATUS,
+        message: `Status must be ${PURCHASE_ORDER_STATUS.join(", ")}.`,
+      },
+      default: "Draft",
+    },
+    expectedDate: { type: Date },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [
+        MAX_PURCHASE_ORDER_NOTES_LENGTH,
+        `Notes cannot exceed ${MAX_PURCHASE_ORDER_NOTES_LENGTH} characters`,
+      ],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    // Department that raised the order and receives the stock
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator (createdBy) is required"],
+    },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    approvedAt: { type: Date },
+    orderedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    orderedAt: { type: Date },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    receivedAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelledAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+PurchaseOrderSchema.index(
+  { organization: 1, orderNumber: 1 },
+  { unique: true }
+);
+
+PurchaseOrderSchema.index(
+  { organization: 1, department: 1, status: 1, createdAt: -1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+PurchaseOrderSchema.index(
+  { organization: 1, vendor: 1, createdAt: -1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+// ==================== VALIDATION HOOKS ====================
+PurchaseOrderSchema.pre("validate", function (next) {
+  if (this.isNew || this.isModified("items")) {
+    this.totalAmount = getPurchaseOrderTotal(this.items);
+  }
+  next();
+});
+
+softDeletePlugin(PurchaseOrderSchema);
+PurchaseOrderSchema.plugin(paginate);
+
+// Initialize TTL index for cleanup after 90 days
+PurchaseOrderSchema.statics.initializeTTL = async function () {
+  const { TTL_EXPIRY } = await import("../utils/constants.js");
+  return this.ensureTTLIndex(TTL_EXPIRY.PURCHASE_ORDERS);
+};
+
+export const PurchaseOrder = mongoose.model(
+  "PurchaseOrder",
+  PurchaseOrderSchema
+);
+export default PurchaseOrder;
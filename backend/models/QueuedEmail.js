@@ -0,0 +1,96 @@
+// backend/models/QueuedEmail.js
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  EMAIL_QUEUE_STATUS,
+  EMAIL_MAX_ATTEMPTS,
+  MAX_EMAIL_LENGTH,
+} from "../utils/constants.js";
+
+/**
+ * QueuedEmail Schema - Persistent outbound email queue
+ * Tracks delivery attempts with exponential backoff; emails that exhaust their
+ * attempts are kept as "Dead" until an administrator retries or discards them.
+ */
+
+const QueuedEmailSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, "Recipient email is required"],
+      trim: true,
+      lowercase: true,
+      maxLength: [
+        MAX_EMAIL_LENGTH,
+        `Email must be less than ${MAX_EMAIL_LENGTH} characters`,
+      ],
+    },
+    subject: {
+      type: String,
+      required: [true, "Email subject is required"],
+      trim: true,
+    },
+    html: { type: String },
+    text: { type: String },
+    // Template context (userId, notificationId, template name, ...)
+    context: { type: mongoose.Schema.Types.Mixed, default: {} },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+    },
+    status: {
+      type: String,
+      enum: {
+        values: EMAIL_QUEUE_STATUS,
+        message: "Invalid email queue status",
+      },
+      default: "Pending",
+    },
+    attempts: { type: Number, default: 0, min: 0 },
+    maxAttempts: { type: Number, default: EMAIL_MAX_ATTEMPTS, min: 1 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date },
+    lastAttemptAt: { type: Date },
+    lastError: { type: String },
+    sentAt: { type: Date },
+    messageId: { type: String },
+    // Set once the email is Sent/Discarded; removed by the TTL index
+    expiresAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+QueuedEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+QueuedEmailSchema.index({ organization: 1, status: 1, createdAt: -1 });
+
+QueuedEmailSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+QueuedEmailSchema.plugin(mongoosePaginate);
+
+export const QueuedEmail = mongoose.model("QueuedEmail", QueuedEmailSchema);
+export default QueuedEmail;
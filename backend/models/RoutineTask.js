@@ -100,6 +100,11 @@ const RoutineTaskSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Total material cost cannot be negative"],
     },
+    // Recurrence template this occurrence was generated from (see routineTaskScheduler)
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RoutineTaskTemplate",
+    },
   },
   {
     toJSON: BaseTask.schema.options.toJSON,
@@ -118,11 +123,23 @@ RoutineTaskSchema.index(
   { partialFilterExpression: { isDeleted: false } }
 );
 
+// Calendar range queries (see getTaskSchedule)
+RoutineTaskSchema.index(
+  { organization: 1, department: 1, date: 1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
 RoutineTaskSchema.index(
   { "materials.material": 1 },
   { partialFilterExpression: { isDeleted: false } }
 );
 
+// One occurrence per template per day, even with concurrent schedulers
+RoutineTaskSchema.index(
+  { template: 1, date: 1 },
+  { unique: true, partialFilterExpression: { template: { $exists: true } } }
+);
+
 // ==================== VIRTUALS ====================
 RoutineTaskSchema.virtual("calculatedTotalCost").get(function () {
   if (!this.materials || !Array.isArray(this.materials)) return 0;
@@ -0,0 +1,283 @@
+// backend/models/RoutineTaskTemplate.js
+import mongoose from "mongoose";
+import paginate from "mongoose-paginate-v2";
+import softDeletePlugin from "./plugins/softDelete.js";
+import {
+  ROUTINE_TASK_PRIORITY,
+  RECURRENCE_FREQUENCIES,
+  MAX_RECURRENCE_INTERVAL,
+  MAX_RECURRENCE_OCCURRENCES,
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_MATERIALS_PER_ENTITY,
+  MAX_WATCHERS_PER_TASK,
+  MAX_TAGS_PER_TASK,
+  MAX_TAG_LENGTH,
+} from "../utils/constants.js";
+import {
+  getDateOnly,
+  getTodayDateOnly,
+  getNextOccurrence,
+} from "../utils/helpers.js";
+
+/**
+ * RoutineTaskTemplate Schema - Recurrence template for RoutineTask
+ * The routine task scheduler creates one RoutineTask per occurrence of the
+ * recurrence rule, copying the template's fields and default materials.
+ */
+
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      required: [true, "Recurrence frequency is required"],
+      enum: {
+        values: RECURRENCE_FREQUENCIES,
+        message: `Frequency must be ${RECURRENCE_FREQUENCIES.join(", ")}.`,
+      },
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, "Interval must be at least 1"],
+      max: [
+        MAX_RECURRENCE_INTERVAL,
+        `Interval cannot exceed ${MAX_RECURRENCE_INTERVAL}`,
+      ],
+    },
+    // Weekly: days of week (0 = Sunday ... 6 = Saturday)
+    weekdays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      validate: {
+        validator: (v) => !Array.isArray(v) || new Set(v).size === v.length,
+        message: "Duplicate weekdays are not allowed",
+      },
+    },
+    // Monthly: day of month, clamped to the last day of shorter months
+    dayOfMonth: {
+      type: Number,
+      min: [1, "Day of month must be between 1 and 31"],
+      max: [31, "Day of month must be between 1 and 31"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Recurrence start date is required"],
+    },
+    endDate: {
+      type: Date,
+      validate: {
+        validator: function (v) {
+          if (!v || !this.startDate) return true;
+          return getDateOnly(v) >= getDateOnly(this.startDate);
+        },
+        message: "End date cannot be before start date",
+      },
+    },
+    // Stop after this many occurrences (optional)
+    occurrenceCount: {
+      type: Number,
+      min: [1, "Occurrence count must be at least 1"],
+      max: [
+        MAX_RECURRENCE_OCCURRENCES,
+        `Occurrence count cannot exceed ${MAX_RECURRENCE_OCCURRENCES}`,
+      ],
+    },
+  },
+  { _id: false }
+);
+
+const RoutineTaskTemplateSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [
+        MAX_TITLE_LENGTH,
+        `Title cannot exceed ${MAX_TITLE_LENGTH} characters`,
+      ],
+    },
+    description: {
+      type: String,
+      required: [true, "Description is required"],
+      trim: true,
+      maxlength: [
+        MAX_DESCRIPTION_LENGTH,
+        `Description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`,
+      ],
+    },
+    priority: {
+      type: String,
+      enum: {
+        values: ROUTINE_TASK_PRIORITY,
+        message: `Priority must be ${ROUTINE_TASK_PRIORITY.join(", ")}.`,
+      },
+      default: "Medium",
+    },
+    recurrence: {
+      type: RecurrenceSchema,
+      required: [true, "Recurrence rule is required"],
+    },
+    // Default materials copied to each occurrence (priced at creation time)
+    materials: {
+      type: [
+        {
+          _id: false,
+          material: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Material",
+            required: true,
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: [0, "Quantity cannot be negative"],
+          },
+        },
+      ],
+      validate: [
+        {
+          validator: (v) =>
+            !Array.isArray(v) || v.length <= MAX_MATERIALS_PER_ENTITY,
+          message: `Materials cannot exceed ${MAX_MATERIALS_PER_ENTITY} items`,
+        },
+        {
+          validator: function (materials) {
+            if (!Array.isArray(materials)) return true;
+            const uniqueIds = new Set(
+              materials.map((item) => item.material.toString())
+            );
+            return uniqueIds.size === materials.length;
+          },
+          message: "Duplicate materials are not allowed",
+        },
+      ],
+    },
+    watchers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      validate: {
+        validator: (v) =>
+          !Array.isArray(v) || v.length <= MAX_WATCHERS_PER_TASK,
+        message: `Watchers cannot exceed ${MAX_WATCHERS_PER_TASK} users`,
+      },
+    },
+    tags: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          maxlength: [
+            MAX_TAG_LENGTH,
+            `Tag cannot exceed ${MAX_TAG_LENGTH} characters`,
+          ],
+        },
+      ],
+      validate: {
+        validator: (v) => !Array.isArray(v) || v.length <= MAX_TAGS_PER_TASK,
+        message: `Tags cannot exceed ${MAX_TAGS_PER_TASK} items`,
+      },
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator (createdBy) is required"],
+    },
+    // Paused templates keep their schedule but create no occurrences
+    isActive: { type: Boolean, default: true },
+    occurrencesCreated: { type: Number, default: 0, min: 0 },
+    lastOccurrenceAt: { type: Date },
+    // Maintained by the pre-save hook and the scheduler; null once the rule has ended
+    nextOccurrenceAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+RoutineTaskTemplateSchema.index(
+  { isActive: 1, nextOccurrenceAt: 1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+RoutineTaskTemplateSchema.index(
+  { organization: 1, department: 1, createdAt: -1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+// ==================== METHODS ====================
+/**
+ * Compute the next occurrence not yet created, honouring occurrenceCount
+ * @returns {Date|null} Next occurrence date
+ */
+RoutineTaskTemplateSchema.methods.computeNextOccurrence = function () {
+  const { occurrenceCount } = this.recurrence;
+  if (occurrenceCount && this.occurrencesCreated >= occurrenceCount) {
+    return null;
+  }
+
+  // Never schedule in the past or repeat the last created occurrence
+  let from = getTodayDateOnly();
+  if (this.lastOccurrenceAt) {
+    const dayAfterLast = new Date(
+      getDateOnly(this.lastOccurrenceAt).getTime() + 24 * 60 * 60 * 1000
+    );
+    if (dayAfterLast > from) from = dayAfterLast;
+  }
+
+  return getNextOccurrence(this.recurrence, from);
+};
+
+// ==================== VALIDATION HOOKS ====================
+RoutineTaskTemplateSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    this.isModified("recurrence") ||
+    this.isModified("isActive")
+  ) {
+    this.nextOccurrenceAt = this.computeNextOccurrence();
+  }
+  next();
+});
+
+softDeletePlugin(RoutineTaskTemplateSchema);
+RoutineTaskTemplateSchema.plugin(paginate);
+
+export const RoutineTaskTemplate = mongoose.model(
+  "RoutineTaskTemplate",
+  RoutineTaskTemplateSchema
+);
+export default RoutineTaskTemplate;
@@ -0,0 +1,92 @@
+// backend/models/SecurityEvent.js
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import {
+  SECURITY_EVENT_TYPES,
+  SECURITY_EVENT_RETENTION_DAYS,
+  MAX_EMAIL_LENGTH,
+  MAX_USER_AGENT_LENGTH,
+} from "../utils/constants.js";
+
+/**
+ * SecurityEvent Schema - Append-only log of authentication and account events
+ * Failed logins for unknown emails have no user or organization; they are
+ * only visible to platform SuperAdmins.
+ */
+
+const SecurityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: SECURITY_EVENT_TYPES,
+        message: "Invalid security event type",
+      },
+      required: [true, "Security event type is required"],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    // Email as entered, kept for failures that match no user
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxLength: MAX_EMAIL_LENGTH,
+    },
+    // Who performed the action when it was not the user themselves
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    ip: { type: String, trim: true },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxLength: MAX_USER_AGENT_LENGTH,
+    },
+    // Event details, e.g. {reason} for failures or {from, to} for role changes
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+SecurityEventSchema.index({ organization: 1, type: 1, createdAt: -1 });
+
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+
+SecurityEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SECURITY_EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+SecurityEventSchema.plugin(mongoosePaginate);
+
+export const SecurityEvent = mongoose.model(
+  "SecurityEvent",
+  SecurityEventSchema
+);
+export default SecurityEvent;
@@ -0,0 +1,142 @@
+// backend/models/SlaPolicy.js
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import softDeletePlugin from "./plugins/softDelete.js";
+import { TASK_PRIORITY, MAX_SLA_MINUTES } from "../utils/constants.js";
+
+/**
+ * SlaPolicy Schema - How quickly tasks of a priority must be picked up
+ * (response: leave "To Do") and completed (resolution), and how breaches are
+ * escalated. A policy without a department applies organization-wide; a
+ * department's own policy for the same priority takes precedence.
+ */
+
+const slaMinutes = (label) => ({
+  type: Number,
+  default: null,
+  min: [1, `${label} must be at least 1 minute`],
+  max: [MAX_SLA_MINUTES, `${label} cannot exceed ${MAX_SLA_MINUTES} minutes`],
+});
+
+const SlaPolicySchema = new mongoose.Schema(
+  {
+    priority: {
+      type: String,
+      required: [true, "Priority is required"],
+      enum: { values: TASK_PRIORITY, message: "Invalid task priority" },
+    },
+    responseMinutes: slaMinutes("Response time"),
+    resolutionMinutes: slaMinutes("Resolution time"),
+    // Breaches raise the task one priority level and/or notify the
+    // department's HODs; Urgent tasks notify when they can't be raised
+    raisePriority: {
+      type: Boolean,
+      default: false,
+    },
+    notifyHods: {
+      type: Boolean,
+      default: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    // null for the organization-wide policy
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator (createdBy) is required"],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+// One policy per priority for the organization and for each department
+SlaPolicySchema.index(
+  { organization: 1, department: 1, priority: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+
+// ==================== HOOKS ====================
+SlaPolicySchema.pre("validate", function (next) {
+  if (!this.responseMinutes && !this.resolutionMinutes) {
+    this.invalidate(
+      "resolutionMinutes",
+      "A response or resolution time is required"
+    );
+  }
+  next();
+});
+
+SlaPolicySchema.pre("save", async function (next) {
+  try {
+    const session = this.$session?.();
+
+    // Validate department belongs to the organization
+    if (
+      this.department &&
+      (this.isModified("department") || this.isModified("organization"))
+    ) {
+      const { Department } = await import("./Department.js");
+
+      const department = await Department.findOne({
+        _id: this.department,
+        organization: this.organization,
+        isDeleted: false,
+      }).session(session);
+
+      if (!department) {
+        throw new Error(
+          "Department does not belong to the specified organization"
+        );
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Plugins
+SlaPolicySchema.plugin(softDeletePlugin);
+SlaPolicySchema.plugin(mongoosePaginate);
+
+export const SlaPolicy = mongoose.model("SlaPolicy", SlaPolicySchema);
+export default SlaPolicy;
@@ -0,0 +1,244 @@
+// backend/models/TimeEntry.js
+import mongoose from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+import softDeletePlugin from "./plugins/softDelete.js";
+import {
+  TASK_TYPES,
+  TIME_ENTRY_SOURCES,
+  MAX_TIME_ENTRY_MINUTES,
+  MAX_TIME_ENTRY_NOTE_LENGTH,
+} from "../utils/constants.js";
+
+/**
+ * TimeEntry Schema - Time a user spent on a task, from a start/stop timer or
+ * entered by hand. An entry without endedAt is a running timer; each user
+ * has at most one. Finished entries roll up into the task's timeSpentMinutes
+ * and, for ProjectTasks that track time cost, into its actualCost.
+ */
+
+const TimeEntrySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BaseTask",
+      required: [true, "Task reference is required"],
+    },
+    taskType: {
+      type: String,
+      required: [true, "Task type is required"],
+      enum: { values: TASK_TYPES, message: "Invalid task type" },
+    },
+    // Optional activity the time was spent on
+    activity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskActivity",
+      default: null,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    startedAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return !v || !this.startedAt || v >= this.startedAt;
+        },
+        message: "End time must be after start time",
+      },
+    },
+    durationMinutes: {
+      type: Number,
+      default: 0,
+      min: [0, "Duration cannot be negative"],
+      max: [
+        MAX_TIME_ENTRY_MINUTES,
+        `Duration cannot exceed ${MAX_TIME_ENTRY_MINUTES} minutes`,
+      ],
+    },
+    source: {
+      type: String,
+      enum: {
+        values: TIME_ENTRY_SOURCES,
+        message: "Invalid time entry source",
+      },
+      default: "Manual",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [
+        MAX_TIME_ENTRY_NOTE_LENGTH,
+        `Note cannot exceed ${MAX_TIME_ENTRY_NOTE_LENGTH} characters`,
+      ],
+    },
+    // User's hourly rate when the entry was logged, so later rate changes
+    // don't rewrite past costs
+    hourlyRate: {
+      type: Number,
+      default: 0,
+      min: [0, "Hourly rate cannot be negative"],
+    },
+    cost: {
+      type: Number,
+      default: 0,
+      min: [0, "Cost cannot be negative"],
+    },
+    // Whether cost is included in the task's actualCost; set when the entry
+    // is finished, so toggling the task's trackTimeCost leaves it as it was
+    costApplied: {
+      type: Boolean,
+      default: false,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        delete ret.isDeleted;
+        delete ret.deletedAt;
+        delete ret.deletedBy;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+// One running timer per user
+TimeEntrySchema.index(
+  { user: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { endedAt: { $type: "null" }, isDeleted: false },
+  }
+);
+
+TimeEntrySchema.index(
+  { organization: 1, task: 1, startedAt: -1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+TimeEntrySchema.index(
+  { organization: 1, user: 1, startedAt: 1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+TimeEntrySchema.index(
+  { organization: 1, department: 1, startedAt: 1 },
+  { partialFilterExpression: { isDeleted: false } }
+);
+
+// ==================== VIRTUALS ====================
+TimeEntrySchema.virtual("isRunning").get(function () {
+  return !this.endedAt;
+});
+
+// ==================== HOOKS ====================
+TimeEntrySchema.pre("save", async function (next) {
+  try {
+    const session = this.$session?.();
+
+    // Validate task exists in the same organization and department
+    if (
+      this.isModified("task") ||
+      this.isModified("organization") ||
+      this.isModified("department")
+    ) {
+      const { BaseTask } = await import("./BaseTask.js");
+
+      const task = await BaseTask.findOne({
+        _id: this.task,
+        taskType: this.taskType,
+        organization: this.organization,
+        department: this.department,
+        isDeleted: false,
+      }).session(session);
+
+      if (!task) {
+        throw new Error(
+          "Task must exist and belong to the same organization and department as the time entry"
+        );
+      }
+    }
+
+    // Validate the activity belongs to the task
+    if (this.isModified("activity") && this.activity) {
+      const { TaskActivity } = await import("./TaskActivity.js");
+
+      const activity = await TaskActivity.findOne({
+        _id: this.activity,
+        task: this.task,
+        isDeleted: false,
+      }).session(session);
+
+      if (!activity) {
+        throw new Error("Activity must belong to the time entry's task");
+      }
+    }
+
+    // Validate user belongs to same org/dept
+    if (
+      this.isModified("user") ||
+      this.isModified("organization") ||
+      this.isModified("department")
+    ) {
+      const { User } = await import("./User.js");
+
+      const user = await User.findOne({
+        _id: this.user,
+        organization: this.organization,
+        department: this.department,
+        isDeleted: false,
+      }).session(session);
+
+      if (!user) {
+        throw new Error(
+          "Time entry user must belong to the same organization and department"
+        );
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Plugins
+TimeEntrySchema.plugin(softDeletePlugin);
+TimeEntrySchema.plugin(mongoosePaginate);
+
+export const TimeEntry = mongoose.model("TimeEntry", TimeEntrySchema);
+export default TimeEntry;
@@ -21,8 +21,23 @@ import {
   HEAD_OF_DEPARTMENT_ROLES,
   SUPER_ADMIN_ROLE,
   DEFAULT_USER_ROLE,
+  TIME_OF_DAY_REGEX,
+  DEFAULT_QUIET_HOURS_START,
+  DEFAULT_QUIET_HOURS_END,
+  DEFAULT_NOTIFICATION_TIMEZONE,
+  DIGEST_FREQUENCIES,
+  DEFAULT_DIGEST_TIME,
+  DEFAULT_DIGEST_WEEKDAY,
+  MAX_HOURLY_RATE,
 } from "../utils/constants.js";
 import { isDateNotInFuture } from "../utils/helpers.js";
+import { isValidTimezone } from "../utils/notificationPreferences.js";
+import {
+  generateRecoveryCodes,
+  generateTotpSecret,
+  hashRecoveryCode,
+  verifyTotp,
+} from "../utils/twoFactor.js";
 
 /**
  * User Schema - Represents users within organizations for the task management system
@@ -259,6 +274,67 @@ const userSchema = new mongoose.Schema(
         default: true,
       },
     },
+    // In-app and digest channels per category, the digest schedule, and
+    // quiet hours during which immediate emails are not sent. The email
+    // channel is emailPreferences above.
+    notificationPreferences: {
+      timezone: {
+        type: String,
+        default: DEFAULT_NOTIFICATION_TIMEZONE,
+        validate: {
+          validator: (v) => !v || isValidTimezone(v),
+          message: "Timezone must be a valid IANA timezone",
+        },
+      },
+      inApp: {
+        taskNotifications: { type: Boolean, default: true },
+        taskReminders: { type: Boolean, default: true },
+        mentions: { type: Boolean, default: true },
+        announcements: { type: Boolean, default: true },
+      },
+      digest: {
+        taskNotifications: { type: Boolean, default: false },
+        taskReminders: { type: Boolean, default: false },
+        mentions: { type: Boolean, default: false },
+        announcements: { type: Boolean, default: false },
+      },
+      // When the digest goes out, in the user's timezone
+      digestSchedule: {
+        frequency: {
+          type: String,
+          enum: {
+            values: DIGEST_FREQUENCIES,
+            message: "Digest frequency must be off, daily or weekly",
+          },
+          default: "off",
+        },
+        time: {
+          type: String,
+          default: DEFAULT_DIGEST_TIME,
+          match: [TIME_OF_DAY_REGEX, "Digest time must use HH:mm"],
+        },
+        weekday: {
+          type: Number,
+          min: 0,
+          max: 6,
+          default: DEFAULT_DIGEST_WEEKDAY,
+        },
+        lastSentAt: { type: Date },
+      },
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: {
+          type: String,
+          default: DEFAULT_QUIET_HOURS_START,
+          match: [TIME_OF_DAY_REGEX, "Quiet hours must use HH:mm"],
+        },
+        end: {
+          type: String,
+          default: DEFAULT_QUIET_HOURS_END,
+          match: [TIME_OF_DAY_REGEX, "Quiet hours must use HH:mm"],
+        },
+      },
+    },
     passwordResetToken: {
       type: String,
       select: false,
@@ -284,6 +360,43 @@ const userSchema = new mongoose.Schema(
       default: null,
       description: "Timestamp of user's last successful login",
     },
+    lastSeenAt: {
+      type: Date,
+      default: null,
+      description: "Timestamp of user's last realtime connection closing",
+    },
+    // Account lockout; counters reset on a successful login or password reset
+    failedLoginAttempts: { type: Number, default: 0, min: 0, select: false },
+    lockoutCount: { type: Number, default: 0, min: 0, select: false },
+    lockedUntil: {
+      type: Date,
+      default: null,
+      description: "Sign-in is refused until this time after repeated failures",
+    },
+    // TOTP second factor; secrets and recovery code hashes are never selected by default
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      secret: { type: String, select: false },
+      // Secret awaiting its first verified code during enrollment
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      lastUsedStep: { type: Number, select: false },
+    },
+    // Used to cost logged time; shown to HODs and set by SuperAdmins
+    hourlyRate: {
+      type: Number,
+      default: 0,
+      min: [0, "Hourly rate cannot be negative"],
+      max: [MAX_HOURLY_RATE, `Hourly rate cannot exceed ${MAX_HOURLY_RATE}`],
+      select: false,
+    },
+    // Secret ICS feed URL; only the token hash is stored, so regenerating
+    // or revoking it breaks every existing subscription
+    calendarFeed: {
+      tokenHash: { type: String, select: false },
+      createdAt: { type: Date, default: null },
+    },
   },
   {
     timestamps: true,
@@ -299,6 +412,13 @@ const userSchema = new mongoose.Schema(
         delete ret.deletedBy;
         delete ret.passwordResetToken;
         delete ret.passwordResetExpires;
+        if (ret.twoFactor) {
+          delete ret.twoFactor.secret;
+          delete ret.twoFactor.pendingSecret;
+          delete ret.twoFactor.recoveryCodes;
+          delete ret.twoFactor.lastUsedStep;
+        }
+        if (ret.calendarFeed) delete ret.calendarFeed.tokenHash;
         return ret;
       },
     },
@@ -313,6 +433,13 @@ const userSchema = new mongoose.Schema(
         delete ret.deletedBy;
         delete ret.passwordResetToken;
         delete ret.passwordResetExpires;
+        if (ret.twoFactor) {
+          delete ret.twoFactor.secret;
+          delete ret.twoFactor.pendingSecret;
+          delete ret.twoFactor.recoveryCodes;
+          delete ret.twoFactor.lastUsedStep;
+        }
+        if (ret.calendarFeed) delete ret.calendarFeed.tokenHash;
         return ret;
       },
     },
@@ -350,6 +477,14 @@ userSchema.index(
   }
 );
 
+userSchema.index(
+  { "calendarFeed.tokenHash": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "calendarFeed.tokenHash": { $type: "string" } },
+  }
+);
+
 // ==================== VIRTUALS ====================
 userSchema.virtual("fullName").get(function () {
   return `${this.firstName} ${this.lastName}`;
@@ -431,6 +566,65 @@ userSchema.methods.clearPasswordResetToken = function () {
   this.passwordResetExpires = undefined;
 };
 
+// Two-factor methods need the twoFactor secret fields selected, e.g.
+// "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+userSchema.methods.verifyTwoFactorCode = function (code, now = new Date()) {
+  const step = verifyTotp(this.twoFactor?.secret, code, {
+    now,
+    lastUsedStep: this.twoFactor?.lastUsedStep,
+  });
+  if (step === null) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+userSchema.methods.consumeRecoveryCode = function (code) {
+  const index = (this.twoFactor?.recoveryCodes || []).indexOf(
+    hashRecoveryCode(code)
+  );
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+userSchema.methods.startTwoFactorEnrollment = function () {
+  this.twoFactor.pendingSecret = generateTotpSecret();
+  return this.twoFactor.pendingSecret;
+};
+
+// Returns the plain recovery codes, or null when the code does not match
+userSchema.methods.completeTwoFactorEnrollment = function (
+  code,
+  now = new Date()
+) {
+  const step = verifyTotp(this.twoFactor?.pendingSecret, code, { now });
+  if (step === null) return null;
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = now;
+  this.twoFactor.lastUsedStep = step;
+  return this.regenerateRecoveryCodes();
+};
+
+userSchema.methods.regenerateRecoveryCodes = function () {
+  const { codes, hashes } = generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = hashes;
+  return codes;
+};
+
+userSchema.methods.clearTwoFactor = function () {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = null;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = undefined;
+  this.twoFactor.lastUsedStep = undefined;
+};
+
 softDeletePlugin(userSchema);
 userSchema.plugin(mongoosePaginate);
 
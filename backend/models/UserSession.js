@@ -0,0 +1,77 @@
+// backend/models/UserSession.js
+import mongoose from "mongoose";
+import {
+  SESSION_REVOKE_REASONS,
+  MAX_USER_AGENT_LENGTH,
+} from "../utils/constants.js";
+
+/**
+ * UserSession Schema - One refresh token family per login
+ * Only the latest refresh token of a session is accepted; the session ID is
+ * carried in both tokens so revoking it ends access on every channel.
+ */
+
+const UserSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization is required"],
+    },
+    // Token ID of the refresh token currently issued for this session
+    currentJti: { type: String, required: true, select: false },
+    // Token ID it replaced, honoured briefly after rotatedAt
+    previousJti: { type: String, select: false },
+    rotatedAt: { type: Date },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxLength: MAX_USER_AGENT_LENGTH,
+    },
+    ip: { type: String, trim: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: {
+        values: SESSION_REVOKE_REASONS,
+        message: "Invalid session revoke reason",
+      },
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.currentJti;
+        delete ret.previousJti;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+UserSessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Sessions are kept until their last refresh token would have expired
+UserSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const UserSession = mongoose.model("UserSession", UserSessionSchema);
+export default UserSession;
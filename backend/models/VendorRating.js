@@ -0,0 +1,90 @@
+// backend/models/VendorRating.js
+import mongoose from "mongoose";
+import {
+  MIN_VENDOR_RATING,
+  MAX_VENDOR_RATING,
+  MAX_VENDOR_RATING_COMMENT_LENGTH,
+} from "../utils/constants.js";
+
+/**
+ * VendorRating Schema - A head of department's rating of the vendor that
+ * delivered a completed ProjectTask. One rating per task; rating it again
+ * replaces the previous score. The vendor is recorded at rating time so the
+ * rating stays with it if the task is later reassigned.
+ */
+
+const VendorRatingSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vendor",
+      required: [true, "Vendor reference is required"],
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ProjectTask",
+      required: [true, "Task reference is required"],
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: [true, "Organization reference is required"],
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department reference is required"],
+    },
+    score: {
+      type: Number,
+      required: [true, "Rating score is required"],
+      min: [MIN_VENDOR_RATING, `Rating must be at least ${MIN_VENDOR_RATING}`],
+      max: [MAX_VENDOR_RATING, `Rating cannot exceed ${MAX_VENDOR_RATING}`],
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number",
+      },
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [
+        MAX_VENDOR_RATING_COMMENT_LENGTH,
+        `Comment cannot exceed ${MAX_VENDOR_RATING_COMMENT_LENGTH} characters`,
+      ],
+    },
+    ratedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Rated by is required"],
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+    toObject: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// ==================== INDEXES ====================
+VendorRatingSchema.index({ task: 1 }, { unique: true });
+
+VendorRatingSchema.index({ organization: 1, vendor: 1, updatedAt: -1 });
+
+export const VendorRating = mongoose.model("VendorRating", VendorRatingSchema);
+export default VendorRating;
@@ -6,9 +6,21 @@ export { BaseTask } from "./BaseTask.js";
 export { ProjectTask } from "./ProjectTask.js";
 export { AssignedTask } from "./AssignedTask.js";
 export { RoutineTask } from "./RoutineTask.js";
+export { RoutineTaskTemplate } from "./RoutineTaskTemplate.js";
 export { TaskActivity } from "./TaskActivity.js";
 export { TaskComment } from "./TaskComment.js";
 export { Attachment } from "./Attachment.js";
 export { Material } from "./Material.js";
+export { MaterialStock } from "./MaterialStock.js";
+export { InventoryMovement } from "./InventoryMovement.js";
 export { Notification } from "./Notification.js";
+export { Announcement } from "./Announcement.js";
 export { Vendor } from "./Vendor.js";
+export { VendorRating } from "./VendorRating.js";
+export { PurchaseOrder } from "./PurchaseOrder.js";
+export { QueuedEmail } from "./QueuedEmail.js";
+export { UserSession } from "./UserSession.js";
+export { SecurityEvent } from "./SecurityEvent.js";
+export { AuditLog } from "./AuditLog.js";
+export { TimeEntry } from "./TimeEntry.js";
+export { SlaPolicy } from "./SlaPolicy.js";
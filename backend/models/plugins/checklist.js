@@ -0,0 +1,112 @@
+// backend/models/plugins/checklist.js
+/**
+ * Checklist plugin for task discriminator schemas
+ * Adds an embedded checklist (title, done flag, optional assignee and due date)
+ * and a progress percentage derived from it on save
+ *
+ * Features:
+ * - completedAt/completedBy maintained when an item's done flag changes
+ * - progress is the rounded share of done items, unset when the list is empty
+ * - Assignees must belong to the task's organization and department
+ */
+import CustomError from "../../errorHandler/CustomError.js";
+import {
+  MAX_CHECKLIST_ITEMS,
+  MAX_CHECKLIST_ITEM_TITLE_LENGTH,
+} from "../../utils/constants.js";
+
+/**
+ * Progress percentage of a checklist
+ * @param {Array<{done: boolean}>} items - Checklist items
+ * @returns {number|undefined} 0-100, or undefined for an empty checklist
+ */
+export const calculateChecklistProgress = (items = []) => {
+  if (!items.length) return undefined;
+  const done = items.filter((item) => item.done).length;
+  return Math.round((done / items.length) * 100);
+};
+
+export default function checklistPlugin(schema) {
+  const ObjectId = schema.constructor.Types.ObjectId;
+
+  // ==================== FIELDS ====================
+  schema.add({
+    checklist: {
+      type: [
+        {
+          title: {
+            type: String,
+            required: [true, "Checklist item title is required"],
+            trim: true,
+            maxlength: [
+              MAX_CHECKLIST_ITEM_TITLE_LENGTH,
+              `Checklist item title cannot exceed ${MAX_CHECKLIST_ITEM_TITLE_LENGTH} characters`,
+            ],
+          },
+          done: { type: Boolean, default: false },
+          assignee: { type: ObjectId, ref: "User" },
+          dueDate: { type: Date },
+          completedAt: { type: Date },
+          completedBy: { type: ObjectId, ref: "User" },
+        },
+      ],
+      default: [],
+      validate: {
+        validator: (v) => !Array.isArray(v) || v.length <= MAX_CHECKLIST_ITEMS,
+        message: `Checklist cannot exceed ${MAX_CHECKLIST_ITEMS} items`,
+      },
+    },
+    progress: {
+      type: Number,
+      min: [0, "Progress cannot be negative"],
+      max: [100, "Progress cannot exceed 100"],
+    },
+  });
+
+  // ==================== HOOKS ====================
+  schema.pre("save", async function (next) {
+    try {
+      if (!this.isModified("checklist")) return next();
+
+      const session = this.$session?.();
+
+      // Validate checklist assignees belong to same org/dept as task
+      const assigneeIds = [
+        ...new Set(
+          this.checklist
+            .filter((item) => item.assignee)
+            .map((item) => item.assignee.toString())
+        ),
+      ];
+      if (assigneeIds.length > 0) {
+        const { User } = await import("../User.js");
+        const count = await User.countDocuments({
+          _id: { $in: assigneeIds },
+          organization: this.organization,
+          department: this.department,
+          isDeleted: false,
+        }).session(session);
+        if (count !== assigneeIds.length) {
+          throw CustomError.validation(
+            "Checklist assignees must belong to the same organization and department as the task",
+            { assigneeIds }
+          );
+        }
+      }
+
+      for (const item of this.checklist) {
+        if (!item.done) {
+          item.completedAt = undefined;
+          item.completedBy = undefined;
+        } else if (!item.completedAt) {
+          item.completedAt = new Date();
+        }
+      }
+
+      this.progress = calculateChecklistProgress(this.checklist);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+}
@@ -0,0 +1,122 @@
+// backend/routes/announcementRoutes.js
+import express from "express";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateGetAllAnnouncements,
+  validateGetAnnouncement,
+  validatePinAnnouncement,
+  validateCancelAnnouncement,
+  validateDeleteAnnouncement,
+} from "../middlewares/validators/announcementValidators.js";
+import {
+  getAllAnnouncements,
+  getPinnedAnnouncements,
+  getAnnouncement,
+  pinAnnouncement,
+  cancelAnnouncement,
+  deleteAnnouncement,
+} from "../controllers/announcementControllers.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+// Announcements are created through POST /api/users/bulk-announcement
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/announcements",
+ *   "middleware": ["verifyJWT", "authorize('Announcement', 'read')", "validateGetAllAnnouncements"],
+ *   "controller": "getAllAnnouncements",
+ *   "description": "List past and scheduled announcements with read counts"
+ * }
+ */
+router.get(
+  "/",
+  authorize("Announcement", "read"),
+  validateGetAllAnnouncements,
+  getAllAnnouncements
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/announcements/pinned",
+ *   "middleware": ["verifyJWT", "authorize('Notification', 'read')"],
+ *   "controller": "getPinnedAnnouncements",
+ *   "description": "Get pinned announcements addressed to the authenticated user"
+ * }
+ */
+router.get(
+  "/pinned",
+  authorize("Notification", "read"),
+  getPinnedAnnouncements
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/announcements/:announcementId",
+ *   "middleware": ["verifyJWT", "authorize('Announcement', 'read')", "validateGetAnnouncement"],
+ *   "controller": "getAnnouncement",
+ *   "description": "Get a single announcement with read counts"
+ * }
+ */
+router.get(
+  "/:announcementId",
+  authorize("Announcement", "read"),
+  validateGetAnnouncement,
+  getAnnouncement
+);
+
+/**
+ * @json {
+ *   "method": "PATCH",
+ *   "path": "/api/announcements/:announcementId/pin",
+ *   "middleware": ["verifyJWT", "authorize('Announcement', 'update')", "validatePinAnnouncement"],
+ *   "controller": "pinAnnouncement",
+ *   "description": "Pin or unpin a sent announcement"
+ * }
+ */
+router.patch(
+  "/:announcementId/pin",
+  authorize("Announcement", "update"),
+  validatePinAnnouncement,
+  pinAnnouncement
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/announcements/:announcementId/cancel",
+ *   "middleware": ["verifyJWT", "authorize('Announcement', 'update')", "validateCancelAnnouncement"],
+ *   "controller": "cancelAnnouncement",
+ *   "description": "Cancel a scheduled announcement"
+ * }
+ */
+router.post(
+  "/:announcementId/cancel",
+  authorize("Announcement", "update"),
+  validateCancelAnnouncement,
+  cancelAnnouncement
+);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/announcements/:announcementId",
+ *   "middleware": ["verifyJWT", "authorize('Announcement', 'delete')", "validateDeleteAnnouncement"],
+ *   "controller": "deleteAnnouncement",
+ *   "description": "Soft delete an announcement"
+ * }
+ */
+router.delete(
+  "/:announcementId",
+  authorize("Announcement", "delete"),
+  validateDeleteAnnouncement,
+  deleteAnnouncement
+);
+
+export default router;
@@ -0,0 +1,28 @@
+// backend/routes/auditRoutes.js
+import express from "express";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import { validateGetAuditLogs } from "../middlewares/validators/auditValidators.js";
+import { getAuditLogs } from "../controllers/auditControllers.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/audit",
+ *   "middleware": ["verifyJWT", "authorize('AuditLog', 'read')", "validateGetAuditLogs"],
+ *   "controller": "getAuditLogs",
+ *   "description": "Query the audit log by resource, actor, action and date"
+ * }
+ */
+router.get(
+  "/",
+  authorize("AuditLog", "read"),
+  validateGetAuditLogs,
+  getAuditLogs
+);
+
+export default router;
@@ -8,6 +8,8 @@ import {
   getRefreshToken,
   forgotPassword,
   resetPassword,
+  setupTwoFactorLogin,
+  verifyTwoFactorLogin,
 } from "../controllers/authControllers.js";
 
 import {
@@ -15,12 +17,14 @@ import {
   validateLogin,
   validateForgotPassword,
   validateResetPassword,
+  validateTwoFactorLogin,
 } from "../middlewares/validators/authValidators.js";
 
-import { authLimiter } from "../middlewares/rateLimiter.js";
+import { authLimiter, twoFactorLimiter } from "../middlewares/rateLimiter.js";
 import {
   verifyJWT,
   verifyRefreshToken,
+  verifyTwoFactorChallenge,
 } from "../middlewares/authMiddleware.js";
 
 const router = express.Router();
@@ -51,6 +55,35 @@ router.route("/register").post(validateOrgRegistration, registerOrganization);
  */
 router.route("/login").post(validateLogin, loginUser);
 
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/auth/2fa/setup",
+ *   "middleware": ["rateLimiter", "verifyTwoFactorChallenge"],
+ *   "controller": "setupTwoFactorLogin",
+ *   "description": "Start authenticator enrollment when the organization requires two-factor"
+ * }
+ */
+router.route("/2fa/setup").post(verifyTwoFactorChallenge, setupTwoFactorLogin);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/auth/2fa/verify",
+ *   "middleware": ["rateLimiter", "verifyTwoFactorChallenge", "twoFactorLimiter", "validateTwoFactorLogin"],
+ *   "controller": "verifyTwoFactorLogin",
+ *   "description": "Complete login with an authenticator or recovery code and set tokens via cookies"
+ * }
+ */
+router
+  .route("/2fa/verify")
+  .post(
+    verifyTwoFactorChallenge,
+    twoFactorLimiter,
+    validateTwoFactorLogin,
+    verifyTwoFactorLogin
+  );
+
 /**
  * @json {
  *   "method": "DELETE",
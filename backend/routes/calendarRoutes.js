@@ -0,0 +1,21 @@
+// backend/routes/calendarRoutes.js
+import express from "express";
+import { validateGetCalendarFeed } from "../middlewares/validators/calendarValidators.js";
+import { getCalendarFeed } from "../controllers/calendarControllers.js";
+
+const router = express.Router();
+
+// No verifyJWT: calendar apps cannot sign in, the secret token is the credential
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/calendar/feed/:token.ics",
+ *   "middleware": ["validateGetCalendarFeed"],
+ *   "controller": "getCalendarFeed",
+ *   "description": "iCalendar feed of a user's tasks for subscribing from a calendar app"
+ * }
+ */
+router.get("/feed/:token.ics", validateGetCalendarFeed, getCalendarFeed);
+
+export default router;
@@ -0,0 +1,23 @@
+// backend/routes/dashboardRoutes.js
+import express from "express";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import { validateGetDashboard } from "../middlewares/validators/dashboardValidators.js";
+import { getDashboard } from "../controllers/dashboardControllers.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/dashboard",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'read')", "validateGetDashboard"],
+ *   "controller": "getDashboard",
+ *   "description": "Task, throughput and material spend analytics scoped like the task list"
+ * }
+ */
+router.get("/", authorize("Task", "read"), validateGetDashboard, getDashboard);
+
+export default router;
@@ -0,0 +1,68 @@
+// backend/routes/emailQueueRoutes.js
+import express from "express";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateGetAllQueuedEmails,
+  validateRetryQueuedEmail,
+  validateDiscardQueuedEmail,
+} from "../middlewares/validators/emailQueueValidators.js";
+import {
+  getAllQueuedEmails,
+  retryQueuedEmail,
+  discardQueuedEmail,
+} from "../controllers/emailQueueControllers.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/email-queue",
+ *   "middleware": ["verifyJWT", "authorize('QueuedEmail', 'read')", "validateGetAllQueuedEmails"],
+ *   "controller": "getAllQueuedEmails",
+ *   "description": "List queued emails and their delivery status"
+ * }
+ */
+router.get(
+  "/",
+  authorize("QueuedEmail", "read"),
+  validateGetAllQueuedEmails,
+  getAllQueuedEmails
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/email-queue/:emailId/retry",
+ *   "middleware": ["verifyJWT", "authorize('QueuedEmail', 'update')", "validateRetryQueuedEmail"],
+ *   "controller": "retryQueuedEmail",
+ *   "description": "Retry a failed (dead-lettered) email"
+ * }
+ */
+router.post(
+  "/:emailId/retry",
+  authorize("QueuedEmail", "update"),
+  validateRetryQueuedEmail,
+  retryQueuedEmail
+);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/email-queue/:emailId",
+ *   "middleware": ["verifyJWT", "authorize('QueuedEmail', 'delete')", "validateDiscardQueuedEmail"],
+ *   "controller": "discardQueuedEmail",
+ *   "description": "Discard a pending or failed email"
+ * }
+ */
+router.delete(
+  "/:emailId",
+  authorize("QueuedEmail", "delete"),
+  validateDiscardQueuedEmail,
+  discardQueuedEmail
+);
+
+export default router;
@@ -9,9 +9,18 @@ import DepartmentRoutes from "./departmentRoutes.js";
 import UserRoutes from "./userRoutes.js";
 import TaskRoutes from "./taskRoutes.js";
 import VendorRoutes from "./vendorRoutes.js";
+import PurchaseOrderRoutes from "./purchaseOrderRoutes.js";
 import MaterialRoutes from "./materialRoutes.js";
 import NotificationRoutes from "./notificationRoutes.js";
+import AnnouncementRoutes from "./announcementRoutes.js";
 import AttachmentRoutes from "./attachmentRoutes.js";
+import DashboardRoutes from "./dashboardRoutes.js";
+import EmailQueueRoutes from "./emailQueueRoutes.js";
+import SecurityEventRoutes from "./securityEventRoutes.js";
+import AuditRoutes from "./auditRoutes.js";
+import TimeEntryRoutes from "./timeEntryRoutes.js";
+import SlaPolicyRoutes from "./slaPolicyRoutes.js";
+import CalendarRoutes from "./calendarRoutes.js";
 
 const router = express.Router();
 
@@ -27,8 +36,19 @@ router.use("/departments", DepartmentRoutes);
 router.use("/users", UserRoutes);
 router.use("/tasks", TaskRoutes);
 router.use("/vendors", VendorRoutes);
+router.use("/purchase-orders", PurchaseOrderRoutes);
 router.use("/materials", MaterialRoutes);
 router.use("/notifications", NotificationRoutes);
+router.use("/announcements", AnnouncementRoutes);
 router.use("/attachments", AttachmentRoutes);
+router.use("/dashboard", DashboardRoutes);
+router.use("/email-queue", EmailQueueRoutes);
+router.use("/security-events", SecurityEventRoutes);
+router.use("/audit", AuditRoutes);
+router.use("/time-entries", TimeEntryRoutes);
+router.use("/sla-policies", SlaPolicyRoutes);
+
+// Calendar feeds authenticate with a secret token instead of a session
+router.use("/calendar", CalendarRoutes);
 
 export default router;
@@ -9,6 +9,9 @@ import {
   validateUpdateMaterial,
   validateDeleteMaterial,
   validateRestoreMaterial,
+  validateGetMaterialMovements,
+  validateCreateMaterialMovement,
+  validateUpdateMaterialStock,
 } from "../middlewares/validators/materialValidators.js";
 import {
   createMaterial,
@@ -17,6 +20,9 @@ import {
   updateMaterial,
   deleteMaterial,
   restoreMaterial,
+  getMaterialMovements,
+  createMaterialMovement,
+  updateMaterialStock,
 } from "../controllers/materialControllers.js";
 
 const router = express.Router();
@@ -119,4 +125,52 @@ router.patch(
   restoreMaterial
 );
 
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/materials/:materialId/movements",
+ *   "middleware": ["verifyJWT", "authorize('Material', 'read')", "validateGetMaterialMovements"],
+ *   "controller": "getMaterialMovements",
+ *   "description": "List inventory ledger entries for a material"
+ * }
+ */
+router.get(
+  "/:materialId/movements",
+  authorize("Material", "read"),
+  validateGetMaterialMovements,
+  getMaterialMovements
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/materials/:materialId/movements",
+ *   "middleware": ["verifyJWT", "authorize('Material', 'update')", "validateCreateMaterialMovement"],
+ *   "controller": "createMaterialMovement",
+ *   "description": "Record a stock receipt, adjustment or inter-department transfer"
+ * }
+ */
+router.post(
+  "/:materialId/movements",
+  authorize("Material", "update"),
+  validateCreateMaterialMovement,
+  createMaterialMovement
+);
+
+/**
+ * @json {
+ *   "method": "PUT",
+ *   "path": "/api/materials/:materialId/stock",
+ *   "middleware": ["verifyJWT", "authorize('Material', 'update')", "validateUpdateMaterialStock"],
+ *   "controller": "updateMaterialStock",
+ *   "description": "Set the reorder threshold for a department's stock of a material"
+ * }
+ */
+router.put(
+  "/:materialId/stock",
+  authorize("Material", "update"),
+  validateUpdateMaterialStock,
+  updateMaterialStock
+);
+
 export default router;
@@ -6,11 +6,19 @@ import {
   validateGetAllNotifications,
   validateMarkNotificationRead,
   validateGetUnreadCount,
+  validateMarkAllNotificationsRead,
+  validateBulkNotificationAction,
+  validateDeleteNotification,
 } from "../middlewares/validators/notificationValidators.js";
 import {
   getAllNotifications,
   markNotificationRead,
   getUnreadCount,
+  markAllNotificationsRead,
+  markNotificationsUnread,
+  archiveNotifications,
+  unarchiveNotifications,
+  deleteNotification,
 } from "../controllers/notificationControllers.js";
 
 const router = express.Router();
@@ -33,6 +41,70 @@ router.get(
   getAllNotifications
 );
 
+/**
+ * @json {
+ *   "method": "PATCH",
+ *   "path": "/api/notifications/read-all",
+ *   "middleware": ["verifyJWT", "authorize('Notification', 'update')", "validateMarkAllNotificationsRead"],
+ *   "controller": "markAllNotificationsRead",
+ *   "description": "Mark all unread notifications as read, optionally filtered by type, entity model and date"
+ * }
+ */
+router.patch(
+  "/read-all",
+  authorize("Notification", "update"),
+  validateMarkAllNotificationsRead,
+  markAllNotificationsRead
+);
+
+/**
+ * @json {
+ *   "method": "PATCH",
+ *   "path": "/api/notifications/unread",
+ *   "middleware": ["verifyJWT", "authorize('Notification', 'update')", "validateBulkNotificationAction"],
+ *   "controller": "markNotificationsUnread",
+ *   "description": "Mark several notifications as unread"
+ * }
+ */
+router.patch(
+  "/unread",
+  authorize("Notification", "update"),
+  validateBulkNotificationAction,
+  markNotificationsUnread
+);
+
+/**
+ * @json {
+ *   "method": "PATCH",
+ *   "path": "/api/notifications/archive",
+ *   "middleware": ["verifyJWT", "authorize('Notification', 'update')", "validateBulkNotificationAction"],
+ *   "controller": "archiveNotifications",
+ *   "description": "Archive (dismiss) several notifications for the current user"
+ * }
+ */
+router.patch(
+  "/archive",
+  authorize("Notification", "update"),
+  validateBulkNotificationAction,
+  archiveNotifications
+);
+
+/**
+ * @json {
+ *   "method": "PATCH",
+ *   "path": "/api/notifications/unarchive",
+ *   "middleware": ["verifyJWT", "authorize('Notification', 'update')", "validateBulkNotificationAction"],
+ *   "controller": "unarchiveNotifications",
+ *   "description": "Move several archived notifications back to the inbox"
+ * }
+ */
+router.patch(
+  "/unarchive",
+  authorize("Notification", "update"),
+  validateBulkNotificationAction,
+  unarchiveNotifications
+);
+
 /**
  * @json {
  *   "method": "PATCH",
@@ -65,4 +137,20 @@ router.get(
   getUnreadCount
 );
 
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/notifications/:notificationId",
+ *   "middleware": ["verifyJWT", "authorize('Notification', 'delete')", "validateDeleteNotification"],
+ *   "controller": "deleteNotification",
+ *   "description": "Delete the current user's copy of a notification"
+ * }
+ */
+router.delete(
+  "/:notificationId",
+  authorize("Notification", "delete"),
+  validateDeleteNotification,
+  deleteNotification
+);
+
 export default router;
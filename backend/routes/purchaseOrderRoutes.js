@@ -0,0 +1,191 @@
+// backend/routes/purchaseOrderRoutes.js
+import express from "express";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateCreatePurchaseOrder,
+  validateGetAllPurchaseOrders,
+  validateGetPurchaseOrder,
+  validateUpdatePurchaseOrder,
+  validateApprovePurchaseOrder,
+  validateOrderPurchaseOrder,
+  validateReceivePurchaseOrder,
+  validateCancelPurchaseOrder,
+  validateDeletePurchaseOrder,
+  validateRestorePurchaseOrder,
+} from "../middlewares/validators/purchaseOrderValidators.js";
+import {
+  createPurchaseOrder,
+  getAllPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  transitionPurchaseOrder,
+  deletePurchaseOrder,
+  restorePurchaseOrder,
+} from "../controllers/purchaseOrderControllers.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/purchase-orders",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'create')", "validateCreatePurchaseOrder"],
+ *   "controller": "createPurchaseOrder",
+ *   "description": "Create a draft purchase order for a vendor"
+ * }
+ */
+router.post(
+  "/",
+  authorize("PurchaseOrder", "create"),
+  validateCreatePurchaseOrder,
+  createPurchaseOrder
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/purchase-orders",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'read')", "validateGetAllPurchaseOrders"],
+ *   "controller": "getAllPurchaseOrders",
+ *   "description": "List purchase orders in the organization with pagination and filters"
+ * }
+ */
+router.get(
+  "/",
+  authorize("PurchaseOrder", "read"),
+  validateGetAllPurchaseOrders,
+  getAllPurchaseOrders
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/purchase-orders/:purchaseOrderId",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'read')", "validateGetPurchaseOrder"],
+ *   "controller": "getPurchaseOrder",
+ *   "description": "Get single purchase order with vendor and line items"
+ * }
+ */
+router.get(
+  "/:purchaseOrderId",
+  authorize("PurchaseOrder", "read"),
+  validateGetPurchaseOrder,
+  getPurchaseOrder
+);
+
+/**
+ * @json {
+ *   "method": "PUT",
+ *   "path": "/api/purchase-orders/:purchaseOrderId",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'update')", "validateUpdatePurchaseOrder"],
+ *   "controller": "updatePurchaseOrder",
+ *   "description": "Update a draft purchase order"
+ * }
+ */
+router.put(
+  "/:purchaseOrderId",
+  authorize("PurchaseOrder", "update"),
+  validateUpdatePurchaseOrder,
+  updatePurchaseOrder
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/purchase-orders/:purchaseOrderId/approve",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'approve')", "validateApprovePurchaseOrder"],
+ *   "controller": "transitionPurchaseOrder",
+ *   "description": "Approve a draft purchase order"
+ * }
+ */
+router.post(
+  "/:purchaseOrderId/approve",
+  authorize("PurchaseOrder", "approve"),
+  validateApprovePurchaseOrder,
+  transitionPurchaseOrder
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/purchase-orders/:purchaseOrderId/order",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'update')", "validateOrderPurchaseOrder"],
+ *   "controller": "transitionPurchaseOrder",
+ *   "description": "Mark an approved purchase order as sent to the vendor"
+ * }
+ */
+router.post(
+  "/:purchaseOrderId/order",
+  authorize("PurchaseOrder", "update"),
+  validateOrderPurchaseOrder,
+  transitionPurchaseOrder
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/purchase-orders/:purchaseOrderId/receive",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'update')", "validateReceivePurchaseOrder"],
+ *   "controller": "transitionPurchaseOrder",
+ *   "description": "Receive an ordered purchase order and add its items to stock"
+ * }
+ */
+router.post(
+  "/:purchaseOrderId/receive",
+  authorize("PurchaseOrder", "update"),
+  validateReceivePurchaseOrder,
+  transitionPurchaseOrder
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/purchase-orders/:purchaseOrderId/cancel",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'update')", "validateCancelPurchaseOrder"],
+ *   "controller": "transitionPurchaseOrder",
+ *   "description": "Cancel a purchase order that has not been received"
+ * }
+ */
+router.post(
+  "/:purchaseOrderId/cancel",
+  authorize("PurchaseOrder", "update"),
+  validateCancelPurchaseOrder,
+  transitionPurchaseOrder
+);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/purchase-orders/:purchaseOrderId",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'delete')", "validateDeletePurchaseOrder"],
+ *   "controller": "deletePurchaseOrder",
+ *   "description": "Soft delete a draft or cancelled purchase order"
+ * }
+ */
+router.delete(
+  "/:purchaseOrderId",
+  authorize("PurchaseOrder", "delete"),
+  validateDeletePurchaseOrder,
+  deletePurchaseOrder
+);
+
+/**
+ * @json {
+ *   "method": "PATCH",
+ *   "path": "/api/purchase-orders/:purchaseOrderId/restore",
+ *   "middleware": ["verifyJWT", "authorize('PurchaseOrder', 'update')", "validateRestorePurchaseOrder"],
+ *   "controller": "restorePurchaseOrder",
+ *   "description": "Restore a soft-deleted purchase order"
+ * }
+ */
+router.patch(
+  "/:purchaseOrderId/restore",
+  authorize("PurchaseOrder", "update"),
+  validateRestorePurchaseOrder,
+  restorePurchaseOrder
+);
+
+export default router;
@@ -0,0 +1,28 @@
+// backend/routes/securityEventRoutes.js
+import express from "express";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import { validateGetSecurityEvents } from "../middlewares/validators/securityEventValidators.js";
+import { getSecurityEvents } from "../controllers/securityEventControllers.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/security-events",
+ *   "middleware": ["verifyJWT", "authorize('SecurityEvent', 'read')", "validateGetSecurityEvents"],
+ *   "controller": "getSecurityEvents",
+ *   "description": "Query the security event log (SuperAdmins)"
+ * }
+ */
+router.get(
+  "/",
+  authorize("SecurityEvent", "read"),
+  validateGetSecurityEvents,
+  getSecurityEvents
+);
+
+export default router;
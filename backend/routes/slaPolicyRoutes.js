@@ -0,0 +1,87 @@
+// backend/routes/slaPolicyRoutes.js
+import express from "express";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateGetSlaPolicies,
+  validateCreateSlaPolicy,
+  validateUpdateSlaPolicy,
+  validateDeleteSlaPolicy,
+} from "../middlewares/validators/slaPolicyValidators.js";
+import {
+  getSlaPolicies,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy,
+} from "../controllers/slaPolicyControllers.js";
+
+const router = express.Router();
+
+// JWT protection for all SLA policy routes
+router.use(verifyJWT);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/sla-policies",
+ *   "middleware": ["verifyJWT", "authorize('SlaPolicy', 'read')", "validateGetSlaPolicies"],
+ *   "controller": "getSlaPolicies",
+ *   "description": "List the organization-wide SLA policies and a department's own"
+ * }
+ */
+router.get(
+  "/",
+  authorize("SlaPolicy", "read"),
+  validateGetSlaPolicies,
+  getSlaPolicies
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/sla-policies",
+ *   "middleware": ["verifyJWT", "authorize('SlaPolicy', 'create')", "validateCreateSlaPolicy"],
+ *   "controller": "createSlaPolicy",
+ *   "description": "Create a priority's SLA policy for the organization or a department"
+ * }
+ */
+router.post(
+  "/",
+  authorize("SlaPolicy", "create"),
+  validateCreateSlaPolicy,
+  createSlaPolicy
+);
+
+/**
+ * @json {
+ *   "method": "PUT",
+ *   "path": "/api/sla-policies/:policyId",
+ *   "middleware": ["verifyJWT", "authorize('SlaPolicy', 'update')", "validateUpdateSlaPolicy"],
+ *   "controller": "updateSlaPolicy",
+ *   "description": "Change an SLA policy's times or escalation"
+ * }
+ */
+router.put(
+  "/:policyId",
+  authorize("SlaPolicy", "update"),
+  validateUpdateSlaPolicy,
+  updateSlaPolicy
+);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/sla-policies/:policyId",
+ *   "middleware": ["verifyJWT", "authorize('SlaPolicy', 'delete')", "validateDeleteSlaPolicy"],
+ *   "controller": "deleteSlaPolicy",
+ *   "description": "Soft delete an SLA policy"
+ * }
+ */
+router.delete(
+  "/:policyId",
+  authorize("SlaPolicy", "delete"),
+  validateDeleteSlaPolicy,
+  deleteSlaPolicy
+);
+
+export default router;
@@ -5,10 +5,16 @@ import { authorize } from "../middlewares/authorization.js";
 import {
   validateCreateTask,
   validateGetAllTasks,
+  validateGetTaskSchedule,
   validateGetTask,
   validateUpdateTask,
   validateDeleteTask,
   validateRestoreTask,
+  validateAddTaskDependency,
+  validateRemoveTaskDependency,
+  validateAddChecklistItem,
+  validateUpdateChecklistItem,
+  validateDeleteChecklistItem,
   validateCreateTaskActivity,
   validateGetAllTaskActivities,
   validateGetTaskActivity,
@@ -21,14 +27,27 @@ import {
   validateUpdateTaskComment,
   validateDeleteTaskComment,
   validateRestoreTaskComment,
+  validateCreateRoutineTaskTemplate,
+  validateGetAllRoutineTaskTemplates,
+  validateGetRoutineTaskTemplate,
+  validateUpdateRoutineTaskTemplate,
+  validateDeleteRoutineTaskTemplate,
+  validateRestoreRoutineTaskTemplate,
 } from "../middlewares/validators/taskValidators.js";
 import {
   createTask,
   getAllTasks,
+  getTaskSchedule,
   getTask,
+  getTaskCalendar,
   updateTask,
   deleteTask,
   restoreTask,
+  addTaskDependency,
+  removeTaskDependency,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
   createTaskActivity,
   getAllTaskActivities,
   getTaskActivity,
@@ -41,13 +60,127 @@ import {
   updateTaskComment,
   deleteTaskComment,
   restoreTaskComment,
+  createRoutineTaskTemplate,
+  getAllRoutineTaskTemplates,
+  getRoutineTaskTemplate,
+  updateRoutineTaskTemplate,
+  deleteRoutineTaskTemplate,
+  restoreRoutineTaskTemplate,
 } from "../controllers/taskControllers.js";
+import {
+  validateGetTaskTimeEntries,
+  validateStartTimer,
+  validateCreateTimeEntry,
+} from "../middlewares/validators/timeEntryValidators.js";
+import {
+  getTaskTimeEntries,
+  startTimer,
+  createTimeEntry,
+} from "../controllers/timeEntryControllers.js";
 
 const router = express.Router();
 
 // JWT protection for all Task routes
 router.use(verifyJWT);
 
+// Routine task templates (registered before /:taskId so "templates" is not read as a task ID)
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/tasks/templates",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'create')", "validateCreateRoutineTaskTemplate"],
+ *   "controller": "createRoutineTaskTemplate",
+ *   "description": "Create a recurring RoutineTask template"
+ * }
+ */
+router.post(
+  "/templates",
+  authorize("Task", "create"),
+  validateCreateRoutineTaskTemplate,
+  createRoutineTaskTemplate
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/tasks/templates",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'read')", "validateGetAllRoutineTaskTemplates"],
+ *   "controller": "getAllRoutineTaskTemplates",
+ *   "description": "List recurring RoutineTask templates"
+ * }
+ */
+router.get(
+  "/templates",
+  authorize("Task", "read"),
+  validateGetAllRoutineTaskTemplates,
+  getAllRoutineTaskTemplates
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/tasks/templates/:templateId",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'read')", "validateGetRoutineTaskTemplate"],
+ *   "controller": "getRoutineTaskTemplate",
+ *   "description": "Get a recurring RoutineTask template with recent occurrences"
+ * }
+ */
+router.get(
+  "/templates/:templateId",
+  authorize("Task", "read"),
+  validateGetRoutineTaskTemplate,
+  getRoutineTaskTemplate
+);
+
+/**
+ * @json {
+ *   "method": "PUT",
+ *   "path": "/api/tasks/templates/:templateId",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'update')", "validateUpdateRoutineTaskTemplate"],
+ *   "controller": "updateRoutineTaskTemplate",
+ *   "description": "Update a recurring RoutineTask template"
+ * }
+ */
+router.put(
+  "/templates/:templateId",
+  authorize("Task", "update"),
+  validateUpdateRoutineTaskTemplate,
+  updateRoutineTaskTemplate
+);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/tasks/templates/:templateId",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'delete')", "validateDeleteRoutineTaskTemplate"],
+ *   "controller": "deleteRoutineTaskTemplate",
+ *   "description": "Soft delete a recurring RoutineTask template"
+ * }
+ */
+router.delete(
+  "/templates/:templateId",
+  authorize("Task", "delete"),
+  validateDeleteRoutineTaskTemplate,
+  deleteRoutineTaskTemplate
+);
+
+/**
+ * @json {
+ *   "method": "PATCH",
+ *   "path": "/api/tasks/templates/:templateId/restore",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'update')", "validateRestoreRoutineTaskTemplate"],
+ *   "controller": "restoreRoutineTaskTemplate",
+ *   "description": "Restore a soft-deleted recurring RoutineTask template"
+ * }
+ */
+router.patch(
+  "/templates/:templateId/restore",
+  authorize("Task", "update"),
+  validateRestoreRoutineTaskTemplate,
+  restoreRoutineTaskTemplate
+);
+
 /**
  * @json {
  *   "method": "POST",
@@ -70,6 +203,22 @@ router.post("/", authorize("Task", "create"), validateCreateTask, createTask);
  */
 router.get("/", authorize("Task", "read"), validateGetAllTasks, getAllTasks);
 
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/tasks/schedule",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'read')", "validateGetTaskSchedule"],
+ *   "controller": "getTaskSchedule",
+ *   "description": "Tasks scheduled within a date window, for the calendar and timeline views"
+ * }
+ */
+router.get(
+  "/schedule",
+  authorize("Task", "read"),
+  validateGetTaskSchedule,
+  getTaskSchedule
+);
+
 /**
  * @json {
  *   "method": "GET",
@@ -81,6 +230,22 @@ router.get("/", authorize("Task", "read"), validateGetAllTasks, getAllTasks);
  */
 router.get("/:taskId", authorize("Task", "read"), validateGetTask, getTask);
 
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/tasks/:taskId/calendar.ics",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'read')", "validateGetTask"],
+ *   "controller": "getTaskCalendar",
+ *   "description": "Download a task as an .ics event"
+ * }
+ */
+router.get(
+  "/:taskId/calendar.ics",
+  authorize("Task", "read"),
+  validateGetTask,
+  getTaskCalendar
+);
+
 /**
  * @json {
  *   "method": "PUT",
@@ -129,6 +294,86 @@ router.patch(
   restoreTask
 );
 
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/tasks/:taskId/dependencies",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'update')", "validateAddTaskDependency"],
+ *   "controller": "addTaskDependency",
+ *   "description": "Mark the task as blocked by another task (cycles are rejected)"
+ * }
+ */
+router.post(
+  "/:taskId/dependencies",
+  authorize("Task", "update"),
+  validateAddTaskDependency,
+  addTaskDependency
+);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/tasks/:taskId/dependencies/:blockerId",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'update')", "validateRemoveTaskDependency"],
+ *   "controller": "removeTaskDependency",
+ *   "description": "Remove a blocker from the task"
+ * }
+ */
+router.delete(
+  "/:taskId/dependencies/:blockerId",
+  authorize("Task", "update"),
+  validateRemoveTaskDependency,
+  removeTaskDependency
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/tasks/:taskId/checklist",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'update')", "validateAddChecklistItem"],
+ *   "controller": "addChecklistItem",
+ *   "description": "Add a checklist item to an AssignedTask or ProjectTask"
+ * }
+ */
+router.post(
+  "/:taskId/checklist",
+  authorize("Task", "update"),
+  validateAddChecklistItem,
+  addChecklistItem
+);
+
+/**
+ * @json {
+ *   "method": "PUT",
+ *   "path": "/api/tasks/:taskId/checklist/:itemId",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'update')", "validateUpdateChecklistItem"],
+ *   "controller": "updateChecklistItem",
+ *   "description": "Update or check/uncheck a checklist item"
+ * }
+ */
+router.put(
+  "/:taskId/checklist/:itemId",
+  authorize("Task", "update"),
+  validateUpdateChecklistItem,
+  updateChecklistItem
+);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/tasks/:taskId/checklist/:itemId",
+ *   "middleware": ["verifyJWT", "authorize('Task', 'update')", "validateDeleteChecklistItem"],
+ *   "controller": "deleteChecklistItem",
+ *   "description": "Remove a checklist item"
+ * }
+ */
+router.delete(
+  "/:taskId/checklist/:itemId",
+  authorize("Task", "update"),
+  validateDeleteChecklistItem,
+  deleteChecklistItem
+);
+
 /**
  * @json {
  *   "method": "POST",
@@ -321,4 +566,52 @@ router.patch(
   restoreTaskComment
 );
 
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/tasks/:taskId/time-entries",
+ *   "middleware": ["verifyJWT", "authorize('TimeEntry', 'read')", "validateGetTaskTimeEntries"],
+ *   "controller": "getTaskTimeEntries",
+ *   "description": "List time logged on a task with per-user totals"
+ * }
+ */
+router.get(
+  "/:taskId/time-entries",
+  authorize("TimeEntry", "read"),
+  validateGetTaskTimeEntries,
+  getTaskTimeEntries
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/tasks/:taskId/time-entries/timer",
+ *   "middleware": ["verifyJWT", "authorize('TimeEntry', 'create')", "validateStartTimer"],
+ *   "controller": "startTimer",
+ *   "description": "Start the caller's timer on a task"
+ * }
+ */
+router.post(
+  "/:taskId/time-entries/timer",
+  authorize("TimeEntry", "create"),
+  validateStartTimer,
+  startTimer
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/tasks/:taskId/time-entries",
+ *   "middleware": ["verifyJWT", "authorize('TimeEntry', 'create')", "validateCreateTimeEntry"],
+ *   "controller": "createTimeEntry",
+ *   "description": "Log time on a task by hand"
+ * }
+ */
+router.post(
+  "/:taskId/time-entries",
+  authorize("TimeEntry", "create"),
+  validateCreateTimeEntry,
+  createTimeEntry
+);
+
 export default router;
@@ -0,0 +1,101 @@
+// backend/routes/timeEntryRoutes.js
+import express from "express";
+import { verifyJWT } from "../middlewares/authMiddleware.js";
+import { authorize } from "../middlewares/authorization.js";
+import {
+  validateStopTimer,
+  validateUpdateTimeEntry,
+  validateDeleteTimeEntry,
+  validateGetTimesheet,
+} from "../middlewares/validators/timeEntryValidators.js";
+import {
+  getRunningTimer,
+  stopTimer,
+  updateTimeEntry,
+  deleteTimeEntry,
+  getTimesheet,
+} from "../controllers/timeEntryControllers.js";
+
+const router = express.Router();
+
+// JWT protection for all time entry routes
+router.use(verifyJWT);
+
+// Timers and manual entries are created under /api/tasks/:taskId/time-entries
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/time-entries/timesheet",
+ *   "middleware": ["verifyJWT", "authorize('TimeEntry', 'read')", "validateGetTimesheet"],
+ *   "controller": "getTimesheet",
+ *   "description": "Weekly timesheet for the caller, a user or a department; format=csv downloads it"
+ * }
+ */
+router.get(
+  "/timesheet",
+  authorize("TimeEntry", "read"),
+  validateGetTimesheet,
+  getTimesheet
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/time-entries/running",
+ *   "middleware": ["verifyJWT", "authorize('TimeEntry', 'read')"],
+ *   "controller": "getRunningTimer",
+ *   "description": "Get the caller's running timer"
+ * }
+ */
+router.get("/running", authorize("TimeEntry", "read"), getRunningTimer);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/time-entries/running/stop",
+ *   "middleware": ["verifyJWT", "authorize('TimeEntry', 'update')", "validateStopTimer"],
+ *   "controller": "stopTimer",
+ *   "description": "Stop the caller's running timer and log its time"
+ * }
+ */
+router.post(
+  "/running/stop",
+  authorize("TimeEntry", "update"),
+  validateStopTimer,
+  stopTimer
+);
+
+/**
+ * @json {
+ *   "method": "PUT",
+ *   "path": "/api/time-entries/:entryId",
+ *   "middleware": ["verifyJWT", "authorize('TimeEntry', 'update')", "validateUpdateTimeEntry"],
+ *   "controller": "updateTimeEntry",
+ *   "description": "Correct a finished time entry"
+ * }
+ */
+router.put(
+  "/:entryId",
+  authorize("TimeEntry", "update"),
+  validateUpdateTimeEntry,
+  updateTimeEntry
+);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/time-entries/:entryId",
+ *   "middleware": ["verifyJWT", "authorize('TimeEntry', 'delete')", "validateDeleteTimeEntry"],
+ *   "controller": "deleteTimeEntry",
+ *   "description": "Soft delete a time entry or discard a running timer"
+ * }
+ */
+router.delete(
+  "/:entryId",
+  authorize("TimeEntry", "delete"),
+  validateDeleteTimeEntry,
+  deleteTimeEntry
+);
+
+export default router;
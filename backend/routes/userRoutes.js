@@ -2,6 +2,7 @@
 import express from "express";
 import { verifyJWT } from "../middlewares/authMiddleware.js";
 import { authorize } from "../middlewares/authorization.js";
+import { twoFactorLimiter } from "../middlewares/rateLimiter.js";
 import {
   validateCreateUser,
   validateGetAllUsers,
@@ -12,6 +13,14 @@ import {
   validateGetMyProfile,
   validateDeleteUser,
   validateRestoreUser,
+  validateSendBulkAnnouncement,
+  validateUpdateEmailPreferences,
+  validateUpdateMyEmailPreferences,
+  validateRevokeMySession,
+  validateRevokeMySessions,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
+  validateResetUserTwoFactor,
 } from "../middlewares/validators/userValidators.js";
 import {
   createUser,
@@ -23,6 +32,23 @@ import {
   getMyProfile,
   deleteUser,
   restoreUser,
+  sendBulkAnnouncement,
+  getEmailPreferences,
+  updateEmailPreferences,
+  getMyEmailPreferences,
+  updateMyEmailPreferences,
+  getMySessions,
+  revokeMySession,
+  revokeMySessions,
+  getMyTwoFactor,
+  setupMyTwoFactor,
+  enableMyTwoFactor,
+  disableMyTwoFactor,
+  regenerateMyRecoveryCodes,
+  resetUserTwoFactor,
+  getMyCalendarFeed,
+  createMyCalendarFeed,
+  revokeMyCalendarFeed,
 } from "../controllers/userControllers.js";
 
 const router = express.Router();
@@ -40,6 +66,188 @@ router.use(verifyJWT);
  */
 router.post("/", authorize("User", "create"), validateCreateUser, createUser);
 
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/users/bulk-announcement",
+ *   "middleware": ["verifyJWT", "authorize('Announcement', 'create')", "validateSendBulkAnnouncement"],
+ *   "controller": "sendBulkAnnouncement",
+ *   "description": "Send or schedule an announcement to the organization or chosen departments"
+ * }
+ */
+router.post(
+  "/bulk-announcement",
+  authorize("Announcement", "create"),
+  validateSendBulkAnnouncement,
+  sendBulkAnnouncement
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/users/me/email-preferences",
+ *   "middleware": ["verifyJWT"],
+ *   "controller": "getMyEmailPreferences",
+ *   "description": "Get own email, in-app and digest preferences and quiet hours"
+ * }
+ */
+router.get("/me/email-preferences", getMyEmailPreferences);
+
+/**
+ * @json {
+ *   "method": "PUT",
+ *   "path": "/api/users/me/email-preferences",
+ *   "middleware": ["verifyJWT", "validateUpdateMyEmailPreferences"],
+ *   "controller": "updateMyEmailPreferences",
+ *   "description": "Update own email, in-app and digest preferences and quiet hours"
+ * }
+ */
+router.put(
+  "/me/email-preferences",
+  validateUpdateMyEmailPreferences,
+  updateMyEmailPreferences
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/users/me/sessions",
+ *   "middleware": ["verifyJWT"],
+ *   "controller": "getMySessions",
+ *   "description": "List own active sessions with device, IP and last use"
+ * }
+ */
+router.get("/me/sessions", getMySessions);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/users/me/sessions",
+ *   "middleware": ["verifyJWT", "validateRevokeMySessions"],
+ *   "controller": "revokeMySessions",
+ *   "description": "Sign out all own sessions, optionally except the current one"
+ * }
+ */
+router.delete("/me/sessions", validateRevokeMySessions, revokeMySessions);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/users/me/sessions/:sessionId",
+ *   "middleware": ["verifyJWT", "validateRevokeMySession"],
+ *   "controller": "revokeMySession",
+ *   "description": "Sign out one own session and disconnect its sockets"
+ * }
+ */
+router.delete(
+  "/me/sessions/:sessionId",
+  validateRevokeMySession,
+  revokeMySession
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/users/me/two-factor",
+ *   "middleware": ["verifyJWT"],
+ *   "controller": "getMyTwoFactor",
+ *   "description": "Get own two-factor status and whether the organization requires it"
+ * }
+ */
+router.get("/me/two-factor", getMyTwoFactor);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/users/me/two-factor/setup",
+ *   "middleware": ["verifyJWT"],
+ *   "controller": "setupMyTwoFactor",
+ *   "description": "Start TOTP enrollment and get the QR code"
+ * }
+ */
+router.post("/me/two-factor/setup", setupMyTwoFactor);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/users/me/two-factor/enable",
+ *   "middleware": ["verifyJWT", "twoFactorLimiter", "validateTwoFactorCode"],
+ *   "controller": "enableMyTwoFactor",
+ *   "description": "Confirm enrollment with a code and get recovery codes"
+ * }
+ */
+router.post(
+  "/me/two-factor/enable",
+  twoFactorLimiter,
+  validateTwoFactorCode,
+  enableMyTwoFactor
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/users/me/two-factor/disable",
+ *   "middleware": ["verifyJWT", "twoFactorLimiter", "validateDisableTwoFactor"],
+ *   "controller": "disableMyTwoFactor",
+ *   "description": "Turn off own two-factor after confirming the password"
+ * }
+ */
+router.post(
+  "/me/two-factor/disable",
+  twoFactorLimiter,
+  validateDisableTwoFactor,
+  disableMyTwoFactor
+);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/users/me/two-factor/recovery-codes",
+ *   "middleware": ["verifyJWT", "twoFactorLimiter", "validateTwoFactorCode"],
+ *   "controller": "regenerateMyRecoveryCodes",
+ *   "description": "Replace own recovery codes after confirming a code"
+ * }
+ */
+router.post(
+  "/me/two-factor/recovery-codes",
+  twoFactorLimiter,
+  validateTwoFactorCode,
+  regenerateMyRecoveryCodes
+);
+
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/users/me/calendar-feed",
+ *   "middleware": ["verifyJWT"],
+ *   "controller": "getMyCalendarFeed",
+ *   "description": "Get whether own calendar feed URL exists"
+ * }
+ */
+router.get("/me/calendar-feed", getMyCalendarFeed);
+
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/users/me/calendar-feed",
+ *   "middleware": ["verifyJWT"],
+ *   "controller": "createMyCalendarFeed",
+ *   "description": "Create or replace own secret calendar feed URL"
+ * }
+ */
+router.post("/me/calendar-feed", createMyCalendarFeed);
+
+/**
+ * @json {
+ *   "method": "DELETE",
+ *   "path": "/api/users/me/calendar-feed",
+ *   "middleware": ["verifyJWT"],
+ *   "controller": "revokeMyCalendarFeed",
+ *   "description": "Revoke own calendar feed URL"
+ * }
+ */
+router.delete("/me/calendar-feed", revokeMyCalendarFeed);
+
 /**
  * @json {
  *   "method": "GET",
@@ -126,6 +334,38 @@ router.get(
   getMyProfile
 );
 
+/**
+ * @json {
+ *   "method": "GET",
+ *   "path": "/api/users/:userId/email-preferences",
+ *   "middleware": ["verifyJWT", "authorize('User', 'read')", "validateGetUser"],
+ *   "controller": "getEmailPreferences",
+ *   "description": "Get a user's email, in-app and digest preferences and quiet hours"
+ * }
+ */
+router.get(
+  "/:userId/email-preferences",
+  authorize("User", "read"),
+  validateGetUser,
+  getEmailPreferences
+);
+
+/**
+ * @json {
+ *   "method": "PUT",
+ *   "path": "/api/users/:userId/email-preferences",
+ *   "middleware": ["verifyJWT", "authorize('User', 'update')", "validateUpdateEmailPreferences"],
+ *   "controller": "updateEmailPreferences",
+ *   "description": "Update a user's email, in-app and digest preferences and quiet hours"
+ * }
+ */
+router.put(
+  "/:userId/email-preferences",
+  authorize("User", "update"),
+  validateUpdateEmailPreferences,
+  updateEmailPreferences
+);
+
 /**
  * @json {
  *   "method": "DELETE",
@@ -158,4 +398,20 @@ router.patch(
   restoreUser
 );
 
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/users/:userId/two-factor/reset",
+ *   "middleware": ["verifyJWT", "authorize('User', 'update')", "validateResetUserTwoFactor"],
+ *   "controller": "resetUserTwoFactor",
+ *   "description": "SuperAdmin clears a user's two-factor and signs them out"
+ * }
+ */
+router.post(
+  "/:userId/two-factor/reset",
+  authorize("User", "update"),
+  validateResetUserTwoFactor,
+  resetUserTwoFactor
+);
+
 export default router;
@@ -6,6 +6,7 @@ import {
   validateCreateVendor,
   validateGetAllVendors,
   validateGetVendor,
+  validateRateVendor,
   validateUpdateVendor,
   validateDeleteVendor,
   validateRestoreVendor,
@@ -14,6 +15,7 @@ import {
   createVendor,
   getAllVendors,
   getVendor,
+  rateVendor,
   updateVendor,
   deleteVendor,
   restoreVendor,
@@ -71,6 +73,22 @@ router.get(
   getVendor
 );
 
+/**
+ * @json {
+ *   "method": "POST",
+ *   "path": "/api/vendors/:vendorId/ratings",
+ *   "middleware": ["verifyJWT", "authorize('Vendor', 'rate')", "validateRateVendor"],
+ *   "controller": "rateVendor",
+ *   "description": "Rate the vendor of a completed project task (HODs only)"
+ * }
+ */
+router.post(
+  "/:vendorId/ratings",
+  authorize("Vendor", "rate"),
+  validateRateVendor,
+  rateVendor
+);
+
 /**
  * @json {
  *   "method": "PUT",
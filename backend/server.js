@@ -29,6 +29,7 @@ import logger, {
   logDatabase,
   logSocket,
   logEmail,
+  logScheduler,
   logShutdown,
   logError,
 } from "./utils/logger.js";
@@ -47,6 +48,11 @@ import corsOptions from "./config/corsOptions.js";
 import setupSocketIO from "./utils/socket.js";
 import { setIO, getIO } from "./utils/socketInstance.js";
 import emailService from "./services/emailService.js";
+import taskReminderService from "./services/taskReminderService.js";
+import routineTaskScheduler from "./services/routineTaskScheduler.js";
+import announcementScheduler from "./services/announcementScheduler.js";
+import digestScheduler from "./services/digestScheduler.js";
+import slaEvaluator from "./services/slaEvaluator.js";
 
 // Configure dayjs with UTC and timezone plugins
 dayjs.extend(utc);
@@ -90,6 +96,7 @@ const startServer = async () => {
     logEmail("Initializing email service...");
     try {
       await emailService.initialize();
+      emailService.start();
       logEmail("Email service initialized successfully");
     } catch (emailError) {
       logger.warn("⚠️  Email service initialization failed:", {
@@ -119,6 +126,39 @@ const startServer = async () => {
       logStartup(`Environment: ${process.env.NODE_ENV || "development"}`);
       logSocket("Socket.IO enabled with CORS from configured origins");
 
+      // Step 9: Start background schedulers (need Socket.IO for realtime delivery)
+      if (getEnv("TASK_REMINDERS_ENABLED")) {
+        taskReminderService.start();
+      } else {
+        logScheduler("Task reminders disabled (TASK_REMINDERS_ENABLED=false)");
+      }
+      if (getEnv("ROUTINE_TASK_SCHEDULER_ENABLED")) {
+        routineTaskScheduler.start();
+      } else {
+        logScheduler(
+          "Routine task templates disabled (ROUTINE_TASK_SCHEDULER_ENABLED=false)"
+        );
+      }
+      if (getEnv("ANNOUNCEMENT_SCHEDULER_ENABLED")) {
+        announcementScheduler.start();
+      } else {
+        logScheduler(
+          "Scheduled announcements disabled (ANNOUNCEMENT_SCHEDULER_ENABLED=false)"
+        );
+      }
+      if (getEnv("DIGEST_SCHEDULER_ENABLED")) {
+        digestScheduler.start();
+      } else {
+        logScheduler(
+          "Notification digests disabled (DIGEST_SCHEDULER_ENABLED=false)"
+        );
+      }
+      if (getEnv("SLA_EVALUATOR_ENABLED")) {
+        slaEvaluator.start();
+      } else {
+        logScheduler("SLA escalation disabled (SLA_EVALUATOR_ENABLED=false)");
+      }
+
       // Log startup summary
       logger.info("=".repeat(50));
       logger.info("Server Startup Summary:");
@@ -127,6 +167,31 @@ const startServer = async () => {
       logger.info(`  - Timezone: UTC`);
       logger.info(`  - Database: Connected`);
       logger.info(`  - Socket.IO: Enabled`);
+      logger.info(
+        `  - Task Reminders: ${
+          getEnv("TASK_REMINDERS_ENABLED") ? "Enabled" : "Disabled"
+        }`
+      );
+      logger.info(
+        `  - Routine Task Templates: ${
+          getEnv("ROUTINE_TASK_SCHEDULER_ENABLED") ? "Enabled" : "Disabled"
+        }`
+      );
+      logger.info(
+        `  - Scheduled Announcements: ${
+          getEnv("ANNOUNCEMENT_SCHEDULER_ENABLED") ? "Enabled" : "Disabled"
+        }`
+      );
+      logger.info(
+        `  - Notification Digests: ${
+          getEnv("DIGEST_SCHEDULER_ENABLED") ? "Enabled" : "Disabled"
+        }`
+      );
+      logger.info(
+        `  - SLA Escalation: ${
+          getEnv("SLA_EVALUATOR_ENABLED") ? "Enabled" : "Disabled"
+        }`
+      );
       logger.info(
         `  - Email Service: ${
           emailService.isInitialized() ? "Enabled" : "Disabled"
@@ -153,6 +218,7 @@ const startServer = async () => {
 /**
  * Graceful shutdown handler
  * Closes all connections in the correct order:
+ * 0. Stop background schedulers
  * 1. Stop accepting new connections
  * 2. Close Socket.IO connections
  * 3. Close HTTP server
@@ -173,6 +239,14 @@ const shutdown = async (signal) => {
   }, GRACEFUL_SHUTDOWN_TIMEOUT);
 
   try {
+    // Step 0: Stop background schedulers so no new work starts mid-shutdown
+    taskReminderService.stop();
+    routineTaskScheduler.stop();
+    announcementScheduler.stop();
+    digestScheduler.stop();
+    slaEvaluator.stop();
+    emailService.stop();
+
     // Step 1: Close Socket.IO connections
     // Use try-catch because getIO() throws if not initialized
     try {
@@ -205,19 +279,28 @@ const shutdown = async (signal) => {
       });
     });
 
-    // Step 3: Close MongoDB connection
-    logDatabase("Closing MongoDB connection...");
-    await mongoose.disconnect();
-    logDatabase("MongoDB connection closed");
-
-    // Step 4: Log email queue status
-    if (emailService && emailService.getQueueStatus) {
-      const queueStatus = emailService.getQueueStatus();
+    // Step 3: Log email queue status (persisted, delivered after restart)
+    try {
+      const queueStatus = await emailService.getQueueStatus();
       if (queueStatus.queueLength > 0) {
         logger.warn(`⚠️  ${queueStatus.queueLength} emails remaining in queue`);
       }
+      if (queueStatus.deadLetterCount > 0) {
+        logger.warn(
+          `⚠️  ${queueStatus.deadLetterCount} failed emails awaiting retry or discard`
+        );
+      }
+    } catch (queueError) {
+      logger.warn("⚠️  Could not read email queue status:", {
+        error: queueError.message,
+      });
     }
 
+    // Step 4: Close MongoDB connection
+    logDatabase("Closing MongoDB connection...");
+    await mongoose.disconnect();
+    logDatabase("MongoDB connection closed");
+
     // Clear the force shutdown timeout
     clearTimeout(forceShutdownTimeout);
 
@@ -0,0 +1,154 @@
+// backend/services/announcementScheduler.js
+import mongoose from "mongoose";
+import { Announcement } from "../models/index.js";
+import {
+  deliverAnnouncement,
+  emitAnnouncement,
+} from "../utils/announcement.js";
+import { emitToOrganization } from "../utils/socketEmitter.js";
+import { getEnv } from "../utils/validateEnv.js";
+import { logScheduler, logError } from "../utils/logger.js";
+import { ANNOUNCEMENT_BATCH_SIZE } from "../utils/constants.js";
+
+/**
+ * Announcement Scheduler - Delivers announcements whose scheduledFor has passed
+ * Each announcement is claimed by its Scheduled status inside the delivery
+ * transaction, so it is sent once even if it is cancelled at the same time.
+ */
+class AnnouncementScheduler {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the periodic check for due announcements
+   * @param {Object} options - Overrides for environment configuration
+   * @param {number} options.intervalMinutes - Check interval (default: ANNOUNCEMENT_SCHEDULER_INTERVAL_MINUTES)
+   */
+  start({ intervalMinutes } = {}) {
+    if (this.timer) return;
+
+    const minutes =
+      intervalMinutes ?? getEnv("ANNOUNCEMENT_SCHEDULER_INTERVAL_MINUTES");
+
+    this.timer = setInterval(() => this.runOnce(), minutes * 60 * 1000);
+    this.timer.unref?.();
+
+    logScheduler(`Scheduled announcements checked every ${minutes} min`);
+
+    // Deliver anything that came due while the server was down
+    this.runOnce();
+  }
+
+  /**
+   * Stop the periodic check
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logScheduler("Announcement scheduler stopped");
+    }
+  }
+
+  /**
+   * Run a single scheduler pass
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<number>} Number of announcements delivered
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let delivered = 0;
+    try {
+      const due = await Announcement.find({
+        status: "Scheduled",
+        scheduledFor: { $lte: now },
+      })
+        .sort({ scheduledFor: 1 })
+        .limit(ANNOUNCEMENT_BATCH_SIZE)
+        .select("_id");
+
+      for (const { _id } of due) {
+        if (await this.deliver(_id)) delivered++;
+      }
+
+      if (delivered > 0) logScheduler(`Delivered ${delivered} announcement(s)`);
+    } catch (error) {
+      logError("Announcement scheduler run failed", error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Deliver one scheduled announcement; failures are recorded on it
+   * @param {string} announcementId - Announcement ID
+   * @returns {Promise<boolean>} Whether the announcement was delivered
+   */
+  async deliver(announcementId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const announcement = await Announcement.findOne({
+        _id: announcementId,
+        status: "Scheduled",
+      })
+        // The sender may have been deleted since scheduling
+        .populate({
+          path: "createdBy",
+          select: "firstName lastName position",
+          options: { withDeleted: true },
+        })
+        .session(session);
+
+      // Cancelled, deleted or delivered since the batch was loaded
+      if (!announcement) {
+        await session.abortTransaction();
+        return false;
+      }
+
+      const sender = announcement.createdBy;
+      announcement.depopulate("createdBy");
+      const { notification } = await deliverAnnouncement(
+        announcement,
+        sender,
+        session
+      );
+
+      await session.commitTransaction();
+
+      emitAnnouncement(announcement, notification, sender);
+      emitToOrganization(
+        announcement.organization,
+        "organization:announcement:updated",
+        { announcementId }
+      );
+
+      return true;
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      logError("Failed to deliver scheduled announcement", error, {
+        announcementId: String(announcementId),
+      });
+
+      // Mark it failed so it is not retried every run
+      await Announcement.updateOne(
+        { _id: announcementId, status: "Scheduled" },
+        { $set: { status: "Failed", failureReason: error.message } }
+      ).catch(() => {});
+      return false;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+// Create singleton instance
+const announcementScheduler = new AnnouncementScheduler();
+
+export default announcementScheduler;
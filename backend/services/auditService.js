@@ -0,0 +1,82 @@
+// backend/services/auditService.js
+import { AuditLog } from "../models/index.js";
+import { diffForAudit, toAuditSnapshot } from "../utils/audit.js";
+import { getClientDetails } from "../utils/userSessions.js";
+
+/**
+ * Audit Service - Organization-wide trail of create/update/delete/restore
+ * operations made through the API
+ *
+ * Entries are written in the caller's transaction, so a change is only
+ * committed together with its audit entry. Notification read state, the email
+ * queue and sign-in events (see securityService) are not audited here.
+ */
+
+const idOf = (value) => value?._id || value;
+
+class AuditService {
+  /**
+   * Record an audit entry for a mutation
+   * @param {ClientSession|null} session - Transaction of the mutation
+   * @param {Object} req - Express request (actor, request ID, IP, device)
+   * @param {Object} entry
+   * @param {string} entry.action - One of AUDIT_ACTIONS
+   * @param {Object} [entry.document] - Document after the change (or the deleted document)
+   * @param {Object} [entry.before] - Snapshot before an update, from toAuditSnapshot
+   * @param {string} [entry.resourceModel] - Model name, defaults to the document's
+   * @param {ObjectId} [entry.resourceId] - Resource ID, defaults to the document's
+   * @param {ObjectId} [entry.organization] - Defaults to the document's, then the actor's
+   * @param {ObjectId} [entry.department] - Defaults to the document's
+   * @param {Object} [entry.actor] - Defaults to req.user
+   * @returns {Promise<Object|null>} Created audit entry, or null for an
+   *   update that changed no audited field
+   */
+  async record(
+    session,
+    req,
+    {
+      action,
+      document,
+      before,
+      resourceModel,
+      resourceId,
+      organization,
+      department,
+      actor,
+    }
+  ) {
+    let changes = [];
+    if (action === "Created") {
+      changes = diffForAudit({}, toAuditSnapshot(document));
+    } else if (action === "Updated") {
+      changes = diffForAudit(before, toAuditSnapshot(document));
+      if (!changes.length) return null;
+    }
+
+    const [entry] = await AuditLog.create(
+      [
+        {
+          organization:
+            idOf(organization) ||
+            idOf(document?.organization) ||
+            req.user?.organization?._id,
+          department: idOf(department) || idOf(document?.department),
+          actor: idOf(actor) || req.user?._id,
+          action,
+          resourceModel: resourceModel || document?.constructor?.modelName,
+          resourceId: resourceId || document?._id,
+          changes,
+          requestId: req.id,
+          ...getClientDetails(req),
+        },
+      ],
+      { session }
+    );
+    return entry;
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+export default auditService;
@@ -0,0 +1,245 @@
+// backend/services/digestScheduler.js
+import { BaseTask, Notification, User } from "../models/index.js";
+import emailService from "./emailService.js";
+import emailTemplates from "../templates/emailTemplates.js";
+import {
+  isDigestDue,
+  getDigestWindowStart,
+  groupDigestNotifications,
+} from "../utils/digest.js";
+import { isChannelEnabled } from "../utils/notificationPreferences.js";
+import { capitalize } from "../utils/helpers.js";
+import { getEnv } from "../utils/validateEnv.js";
+import { logScheduler, logError } from "../utils/logger.js";
+import {
+  DIGEST_BATCH_SIZE,
+  MAX_DIGEST_NOTIFICATIONS,
+  MAX_DIGEST_OVERDUE_TASKS,
+  TASK_REMINDER_TASK_TYPES,
+} from "../utils/constants.js";
+
+/**
+ * Digest Scheduler - Sends daily/weekly summary emails of unread notifications
+ * Each digest is claimed by moving digestSchedule.lastSentAt forward before it
+ * is built, so it goes out once per period even with several server instances.
+ */
+class DigestScheduler {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the periodic check for due digests
+   * @param {Object} options - Overrides for environment configuration
+   * @param {number} options.intervalMinutes - Check interval (default: DIGEST_SCHEDULER_INTERVAL_MINUTES)
+   */
+  start({ intervalMinutes } = {}) {
+    if (this.timer) return;
+
+    const minutes =
+      intervalMinutes ?? getEnv("DIGEST_SCHEDULER_INTERVAL_MINUTES");
+
+    this.timer = setInterval(() => this.runOnce(), minutes * 60 * 1000);
+    this.timer.unref?.();
+
+    logScheduler(`Notification digests checked every ${minutes} min`);
+
+    this.runOnce();
+  }
+
+  /**
+   * Stop the periodic check
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logScheduler("Digest scheduler stopped");
+    }
+  }
+
+  /**
+   * Run a single scheduler pass over every user with a digest schedule
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<number>} Number of digests queued
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let sent = 0;
+    try {
+      let lastId = null;
+      for (;;) {
+        const users = await User.find({
+          ...(lastId && { _id: { $gt: lastId } }),
+          "notificationPreferences.digestSchedule.frequency": {
+            $in: ["daily", "weekly"],
+          },
+          "emailPreferences.enabled": true,
+        })
+          .select(
+            "firstName email organization emailPreferences notificationPreferences"
+          )
+          .populate("organization", "name")
+          .sort({ _id: 1 })
+          .limit(DIGEST_BATCH_SIZE)
+          .lean();
+
+        if (users.length === 0) break;
+        lastId = users[users.length - 1]._id;
+
+        for (const user of users) {
+          if (!isDigestDue(user.notificationPreferences, now)) continue;
+          if (await this.sendDigest(user, now)) sent++;
+        }
+
+        if (users.length < DIGEST_BATCH_SIZE) break;
+      }
+
+      if (sent > 0) logScheduler(`Queued ${sent} notification digest(s)`);
+    } catch (error) {
+      logError("Digest scheduler run failed", error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Give back a claimed digest period that could not be queued, so the next
+   * run covers it again
+   * @param {Object} user - Lean user the digest was claimed for
+   * @param {Date} now - Time the period was claimed with
+   */
+  async releaseClaim(user, now) {
+    try {
+      await User.updateOne(
+        {
+          _id: user._id,
+          "notificationPreferences.digestSchedule.lastSentAt": now,
+        },
+        {
+          $set: {
+            "notificationPreferences.digestSchedule.lastSentAt":
+              user.notificationPreferences.digestSchedule.lastSentAt ?? null,
+          },
+        },
+        { timestamps: false }
+      );
+    } catch (error) {
+      logError("Failed to release notification digest claim", error, {
+        userId: String(user._id),
+      });
+    }
+  }
+
+  /**
+   * Claim, build and queue one user's digest. Nothing is sent when there are
+   * no unread notifications and no overdue tasks; a digest that fails to
+   * queue is released for the next run.
+   * @param {Object} user - Lean user with preferences and organization name
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} Whether a digest email was queued
+   */
+  async sendDigest(user, now) {
+    const schedule = user.notificationPreferences.digestSchedule;
+    let claimed = false;
+
+    try {
+      const claim = await User.updateOne(
+        {
+          _id: user._id,
+          "notificationPreferences.digestSchedule.lastSentAt":
+            schedule.lastSentAt ?? null,
+        },
+        { $set: { "notificationPreferences.digestSchedule.lastSentAt": now } },
+        { timestamps: false }
+      );
+
+      // Another run (or instance) got there first
+      if (claim.modifiedCount === 0) return false;
+      claimed = true;
+
+      const since = getDigestWindowStart(schedule, now);
+
+      const notifications = (
+        await Notification.find({
+          recipients: user._id,
+          "readBy.user": { $ne: user._id },
+          "archivedBy.user": { $ne: user._id },
+          "deletedFor.user": { $ne: user._id },
+          createdAt: { $gt: since, $lte: now },
+        })
+          .select("type title message entity entityModel createdAt")
+          .sort({ createdAt: -1 })
+          .limit(MAX_DIGEST_NOTIFICATIONS)
+          .lean()
+      ).filter((n) => isChannelEnabled(user, n.type, "digest"));
+
+      const overdueTasks = await BaseTask.find({
+        organization: user.organization._id,
+        taskType: { $in: TASK_REMINDER_TASK_TYPES },
+        status: { $ne: "Completed" },
+        dueDate: { $lt: now },
+        $or: [{ assignees: user._id }, { watchers: user._id }],
+      })
+        .select("title taskType priority dueDate")
+        .sort({ dueDate: 1 })
+        .limit(MAX_DIGEST_OVERDUE_TASKS)
+        .lean();
+
+      if (notifications.length === 0 && overdueTasks.length === 0) {
+        return false;
+      }
+
+      const taskIds = notifications.map((n) => n.entity).filter(Boolean);
+      const tasks = await BaseTask.find({ _id: { $in: taskIds } })
+        .withDeleted()
+        .select("title taskType status")
+        .lean();
+      const tasksById = new Map(tasks.map((t) => [t._id.toString(), t]));
+
+      const emailData = {
+        email: user.email,
+        firstName: user.firstName,
+        appName: process.env.APP_NAME,
+        clientUrl: process.env.CLIENT_URL,
+        organizationName: user.organization?.name || "Your Organization",
+        frequency: capitalize(schedule.frequency),
+        since,
+        unreadCount: notifications.length,
+        overdueTasks,
+        ...groupDigestNotifications(notifications, tasksById),
+      };
+
+      await emailService.queueEmail({
+        to: user.email,
+        subject: emailTemplates.digest.subject(emailData),
+        html: emailTemplates.digest.html(emailData),
+        text: emailTemplates.digest.text(emailData),
+        context: {
+          type: "digest",
+          userId: user._id,
+          organizationId: user.organization?._id,
+          frequency: schedule.frequency,
+        },
+      });
+
+      return true;
+    } catch (error) {
+      logError("Failed to send notification digest", error, {
+        userId: String(user._id),
+      });
+      if (claimed) await this.releaseClaim(user, now);
+      return false;
+    }
+  }
+}
+
+// Create singleton instance
+const digestScheduler = new DigestScheduler();
+
+export default digestScheduler;
@@ -1,19 +1,41 @@
 // backend/services/emailService.js
+import mongoose from "mongoose";
 import nodemailer from "nodemailer";
 import CustomError from "../errorHandler/CustomError.js";
+import QueuedEmail from "../models/QueuedEmail.js";
+import Notification from "../models/Notification.js";
+import {
+  EMAIL_QUEUE_STATUS,
+  EMAIL_RETRY_BASE_DELAY_MS,
+  EMAIL_RETRY_MAX_DELAY_MS,
+  EMAIL_QUEUE_POLL_INTERVAL_MS,
+  EMAIL_PROCESSING_TIMEOUT_MS,
+  EMAIL_QUEUE_RETENTION_DAYS,
+} from "../utils/constants.js";
+
+/**
+ * Delay before the next delivery attempt (exponential backoff)
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds, capped at EMAIL_RETRY_MAX_DELAY_MS
+ */
+export const getEmailRetryDelay = (attempts) =>
+  Math.min(
+    EMAIL_RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+    EMAIL_RETRY_MAX_DELAY_MS
+  );
 
 /**
  * Email Service - Handles email sending functionality using nodemailer
- * Provides email templates and queue system for reliable delivery
+ * Emails are persisted in the QueuedEmail collection and delivered by a poller,
+ * so pending and failed emails survive restarts. Emails that exhaust their
+ * attempts are moved to the "Dead" state for administrators to retry or discard.
  */
 
 class EmailService {
   constructor() {
     this.transporter = null;
-    this.emailQueue = [];
     this.isProcessing = false;
-    this.retryAttempts = 3;
-    this.retryDelay = 5000; // 5 seconds
+    this.timer = null;
   }
 
   /**
@@ -47,72 +69,222 @@ class EmailService {
   }
 
   /**
-   * Add email to queue for processing
+   * Start polling the persistent queue for due emails
+   * @param {number} intervalMs - Poll interval (default: EMAIL_QUEUE_POLL_INTERVAL_MS)
+   */
+  start(intervalMs = EMAIL_QUEUE_POLL_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processQueue(), intervalMs);
+    this.timer.unref?.();
+
+    // Deliver anything left over from a previous run
+    this.processQueue();
+  }
+
+  /**
+   * Stop polling the persistent queue
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Persist an email in the queue for delivery
    * @param {Object} emailData - Email data object
    * @param {string} emailData.to - Recipient email address
    * @param {string} emailData.subject - Email subject
    * @param {string} emailData.html - HTML content
    * @param {string} emailData.text - Plain text content
-   * @param {Object} emailData.context - Additional context for tracking
+   * @param {Object} emailData.context - Additional context for tracking (userId, organizationId, notificationId)
+   * @returns {Promise<string>} Queued email ID
    */
   async queueEmail(emailData) {
-    const emailItem = {
-      id: Date.now() + Math.random(),
-      ...emailData,
-      attempts: 0,
-      createdAt: new Date(),
-    };
+    const { to, subject, html, text, context = {} } = emailData;
 
-    this.emailQueue.push(emailItem);
+    const queuedEmail = await QueuedEmail.create({
+      to,
+      subject,
+      html,
+      text,
+      context,
+      organization: await this.resolveOrganization(context),
+      notification: context.notificationId,
+    });
 
-    // Start processing if not already running
-    if (!this.isProcessing) {
-      this.processQueue();
+    // Deliver right away instead of waiting for the next poll
+    if (this.isInitialized()) {
+      setImmediate(() => this.processQueue());
     }
 
-    return emailItem.id;
+    return queuedEmail._id.toString();
+  }
+
+  /**
+   * Resolve the organization an email belongs to from its context
+   * @param {Object} context - Email context
+   * @returns {Promise<mongoose.Types.ObjectId|undefined>} Organization ID
+   */
+  async resolveOrganization(context) {
+    if (context.organizationId) return context.organizationId;
+    if (!context.userId) return undefined;
+
+    const User = mongoose.model("User");
+    const user = await User.findById(context.userId)
+      .select("organization")
+      .lean();
+    return user?.organization;
   }
 
   /**
-   * Process email queue with retry mechanism
+   * Deliver every due email in the queue, one at a time
    */
   async processQueue() {
-    if (this.isProcessing || this.emailQueue.length === 0) {
+    if (this.isProcessing || !this.isInitialized()) {
       return;
     }
 
     this.isProcessing = true;
 
-    while (this.emailQueue.length > 0) {
-      const emailItem = this.emailQueue.shift();
-
-      try {
-        await this.sendEmail(emailItem);
-        console.log(`Email sent successfully to ${emailItem.to}`);
-      } catch (error) {
-        emailItem.attempts++;
-
-        if (emailItem.attempts < this.retryAttempts) {
-          console.log(
-            `Email failed, retrying (${emailItem.attempts}/${this.retryAttempts}):`,
-            error.message
-          );
-
-          // Add back to queue with delay
-          setTimeout(() => {
-            this.emailQueue.push(emailItem);
-          }, this.retryDelay);
-        } else {
-          console.error(
-            `Email failed permanently after ${this.retryAttempts} attempts:`,
-            error
-          );
-          // Could implement dead letter queue or notification here
+    try {
+      await this.recoverStaleEmails();
+
+      let emailItem;
+      while ((emailItem = await this.claimNextEmail())) {
+        await this.deliver(emailItem);
+      }
+    } catch (error) {
+      console.error("Email queue processing failed:", error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Atomically claim the next due email so concurrent instances never send it twice
+   * @returns {Promise<QueuedEmail|null>} Claimed email
+   */
+  async claimNextEmail() {
+    const now = new Date();
+
+    return QueuedEmail.findOneAndUpdate(
+      { status: "Pending", nextAttemptAt: { $lte: now } },
+      {
+        $set: { status: "Processing", lockedAt: now, lastAttemptAt: now },
+        $inc: { attempts: 1 },
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Return emails stuck in "Processing" (e.g. after a crash) to the queue
+   */
+  async recoverStaleEmails() {
+    await QueuedEmail.updateMany(
+      {
+        status: "Processing",
+        lockedAt: { $lt: new Date(Date.now() - EMAIL_PROCESSING_TIMEOUT_MS) },
+      },
+      { $set: { status: "Pending", nextAttemptAt: new Date() } }
+    );
+  }
+
+  /**
+   * Send a claimed email and record the outcome
+   * @param {QueuedEmail} emailItem - Email in "Processing" state
+   */
+  async deliver(emailItem) {
+    try {
+      const result = await this.sendEmail(emailItem);
+      const sentAt = new Date();
+
+      await QueuedEmail.updateOne(
+        { _id: emailItem._id },
+        {
+          $set: {
+            status: "Sent",
+            sentAt,
+            messageId: result?.messageId,
+            expiresAt: new Date(
+              sentAt.getTime() +
+                EMAIL_QUEUE_RETENTION_DAYS * 24 * 60 * 60 * 1000
+            ),
+          },
+          // Content is no longer needed once delivered
+          $unset: { html: "", text: "", lockedAt: "", lastError: "" },
         }
+      );
+
+      await this.recordNotificationDelivery(emailItem, { sentAt, result });
+      console.log(`Email sent successfully to ${emailItem.to}`);
+    } catch (error) {
+      const isDead = emailItem.attempts >= emailItem.maxAttempts;
+
+      await QueuedEmail.updateOne(
+        { _id: emailItem._id },
+        {
+          $set: {
+            status: isDead ? "Dead" : "Pending",
+            lastError: error.message,
+            nextAttemptAt: new Date(
+              Date.now() + getEmailRetryDelay(emailItem.attempts)
+            ),
+          },
+          $unset: { lockedAt: "" },
+        }
+      );
+
+      await this.recordNotificationDelivery(emailItem, { error });
+
+      if (isDead) {
+        console.error(
+          `Email to ${emailItem.to} failed permanently after ${emailItem.attempts} attempts:`,
+          error.message
+        );
+      } else {
+        console.log(
+          `Email failed, retrying (${emailItem.attempts}/${emailItem.maxAttempts}):`,
+          error.message
+        );
       }
     }
+  }
 
-    this.isProcessing = false;
+  /**
+   * Mirror a delivery attempt onto the originating notification's emailDelivery
+   * @param {QueuedEmail} emailItem - Email that was attempted
+   * @param {Object} outcome - Attempt outcome
+   * @param {Date} outcome.sentAt - Delivery time (on success)
+   * @param {Object} outcome.result - Transport result (on success)
+   * @param {Error} outcome.error - Delivery error (on failure)
+   */
+  async recordNotificationDelivery(emailItem, { sentAt, result, error }) {
+    if (!emailItem.notification) return;
+
+    const update = {
+      $inc: { "emailDelivery.attempts": 1 },
+      $set: { "emailDelivery.lastAttemptAt": new Date() },
+    };
+
+    if (error) {
+      update.$set["emailDelivery.error"] = error.message;
+    } else {
+      update.$set["emailDelivery.sent"] = true;
+      update.$set["emailDelivery.emailId"] =
+        result?.messageId || emailItem._id.toString();
+      // Keep the first successful delivery time across recipients
+      update.$min = { "emailDelivery.sentAt": sentAt };
+    }
+
+    try {
+      await Notification.updateOne({ _id: emailItem.notification }, update);
+    } catch (updateError) {
+      console.error("Failed to record notification email delivery:", updateError);
+    }
   }
 
   /**
@@ -202,6 +374,7 @@ class EmailService {
         type: "task_notification",
         userId: notificationData.userId,
         taskId: notificationData.taskId,
+        notificationId: notificationData.notificationId,
       },
     });
   }
@@ -238,6 +411,7 @@ class EmailService {
         type: "announcement",
         userId: announcementData.userId,
         organizationId: announcementData.organizationId,
+        notificationId: announcementData.notificationId,
       },
     });
   }
@@ -601,10 +775,22 @@ This link will expire in 1 hour for security reasons.
 
   /**
    * Get queue status for monitoring
+   * @returns {Promise<Object>} Email counts per queue status
    */
-  getQueueStatus() {
+  async getQueueStatus() {
+    const counts = await QueuedEmail.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    const byStatus = Object.fromEntries(
+      EMAIL_QUEUE_STATUS.map((status) => [status, 0])
+    );
+    for (const { _id, count } of counts) byStatus[_id] = count;
+
     return {
-      queueLength: this.emailQueue.length,
+      queueLength: byStatus.Pending + byStatus.Processing,
+      deadLetterCount: byStatus.Dead,
+      byStatus,
       isProcessing: this.isProcessing,
       isInitialized: this.isInitialized(),
     };
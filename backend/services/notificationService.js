@@ -2,7 +2,11 @@
 import { Notification, User, BaseTask } from "../models/index.js";
 import CustomError from "../errorHandler/CustomError.js";
 import emailService from "./emailService.js";
-import { MAX_RECIPIENTS_PER_NOTIFICATION } from "../utils/constants.js";
+import {
+  MAX_RECIPIENTS_PER_NOTIFICATION,
+  HEAD_OF_DEPARTMENT_ROLES,
+} from "../utils/constants.js";
+import { isChannelEnabled } from "../utils/notificationPreferences.js";
 
 /**
  * Notification Service - Handles notification creation, recipient determination, and delivery
@@ -171,6 +175,29 @@ class NotificationService {
           }
           break;
 
+        case "TASK_SLA_BREACHED": {
+          // Notify the department's HODs and the task's watchers. Nobody
+          // breached the SLA, so the actor standing in for the evaluator is
+          // not left out.
+          const hods = await User.find({
+            organization: resource.organization,
+            department: resource.department,
+            role: { $in: HEAD_OF_DEPARTMENT_ROLES },
+            isDeleted: false,
+          })
+            .select("_id")
+            .session(session);
+          hods.forEach((hod) => recipients.add(hod._id.toString()));
+          if (resource.watchers && Array.isArray(resource.watchers)) {
+            resource.watchers.forEach((watcher) => {
+              recipients.add(
+                watcher._id ? watcher._id.toString() : watcher.toString()
+              );
+            });
+          }
+          break;
+        }
+
         case "ANNOUNCEMENT":
           // Recipients should be explicitly provided for announcements
           // This is handled separately in the send method
@@ -198,66 +225,37 @@ class NotificationService {
 
   /**
    * Check if user should receive notification based on preferences
+   * Honors the per-category in-app, email and digest settings and quiet
+   * hours (see utils/notificationPreferences.js)
    * @param {string} userId - User ID to check
-   * @param {string} notificationType - Type of notification
-   * @param {string} channel - Notification channel ('email' or 'realtime')
+   * @param {string} notificationType - Action type (TASK_CREATED, ANNOUNCEMENT, etc.)
+   * @param {string} channel - Notification channel ('realtime'/'inApp', 'email' or 'digest')
    * @param {mongoose.ClientSession} session - Database session
+   * @param {Date} now - Instant to evaluate quiet hours against
    * @returns {Promise<boolean>} Whether to send notification
    */
-  async shouldNotify(userId, notificationType, channel, session = null) {
+  async shouldNotify(
+    userId,
+    notificationType,
+    channel,
+    session = null,
+    now = new Date()
+  ) {
     try {
       const user = await User.findById(userId)
-        .select("emailPreferences")
+        .select("emailPreferences notificationPreferences")
         .session(session);
 
       if (!user) {
         return false;
       }
 
-      // Real-time notifications are always sent (user can ignore in UI)
-      if (channel === "realtime") {
-        return true;
-      }
-
-      // Email notifications require user preferences check
-      if (channel === "email") {
-        if (!user.emailPreferences || !user.emailPreferences.enabled) {
-          return false;
-        }
-
-        const preferences = user.emailPreferences;
-
-        switch (notificationType) {
-          case "TASK_CREATED":
-          case "TASK_ASSIGNED":
-          case "TASK_UPDATED":
-          case "TASK_COMPLETED":
-          case "TASK_DELETED":
-          case "TASK_RESTORED":
-          case "ACTIVITY_LOGGED":
-          case "ACTIVITY_UPDATED":
-          case "ACTIVITY_DELETED":
-          case "ACTIVITY_RESTORED":
-            return preferences.taskNotifications;
-
-          case "COMMENT_ADDED":
-          case "COMMENT_UPDATED":
-          case "USER_MENTIONED":
-            return preferences.mentions;
-
-          case "ANNOUNCEMENT":
-            return preferences.announcements;
-
-          case "TASK_REMINDER":
-            return preferences.taskReminders;
-
-          default:
-            // Default to task notifications for unknown types
-            return preferences.taskNotifications;
-        }
-      }
-
-      return true;
+      return isChannelEnabled(
+        user,
+        notificationType,
+        channel === "realtime" ? "inApp" : channel,
+        now
+      );
     } catch (error) {
       console.error("Error checking notification preferences:", error);
       // Default to true to avoid blocking notifications on error
@@ -316,6 +314,7 @@ class NotificationService {
       // Filter recipients based on preferences for each channel
       const emailRecipients = [];
       const realtimeRecipients = [];
+      const digestRecipients = [];
 
       for (const recipientId of recipientIds) {
         if (
@@ -330,11 +329,18 @@ class NotificationService {
         ) {
           realtimeRecipients.push(recipientId);
         }
+        if (await this.shouldNotify(recipientId, action, "digest", session)) {
+          digestRecipients.push(recipientId);
+        }
       }
 
       // Create notification only if there are recipients for at least one channel
       const allRecipients = [
-        ...new Set([...emailRecipients, ...realtimeRecipients]),
+        ...new Set([
+          ...emailRecipients,
+          ...realtimeRecipients,
+          ...digestRecipients,
+        ]),
       ];
 
       if (allRecipients.length === 0) {
@@ -450,6 +456,7 @@ class NotificationService {
       ACTIVITY_RESTORED: "Restored",
       ANNOUNCEMENT: "Announcement",
       TASK_REMINDER: "Reminder",
+      TASK_SLA_BREACHED: "Escalation",
     };
 
     return mapping[action] || "Updated";
@@ -478,6 +485,7 @@ class NotificationService {
       ACTIVITY_RESTORED: "Activity Restored",
       ANNOUNCEMENT: "Announcement",
       TASK_REMINDER: "Task Reminder",
+      TASK_SLA_BREACHED: "SLA Breached",
     };
 
     return titles[action] || "Notification";
@@ -510,6 +518,7 @@ class NotificationService {
       ACTIVITY_RESTORED: `${actorName} restored an activity`,
       ANNOUNCEMENT: resource.message || "New announcement",
       TASK_REMINDER: `Reminder: Task "${resourceTitle}" is due soon`,
+      TASK_SLA_BREACHED: `Task "${resourceTitle}" has breached its SLA`,
     };
 
     return messages[action] || `${actorName} performed an action`;
@@ -524,33 +533,31 @@ class NotificationService {
   async sendEmailNotifications(notification, recipients, emailData = {}) {
     try {
       const emailPromises = [];
-      let emailsSent = 0;
+      let emailsFailed = 0;
 
       for (const recipient of recipients) {
         const emailPromise = this.sendEmailForNotificationType(
           notification,
           recipient,
           emailData
-        )
-          .then(() => {
-            emailsSent++;
-          })
-          .catch((error) => {
-            console.error(`Failed to send email to ${recipient.email}:`, error);
-          });
+        ).catch((error) => {
+          emailsFailed++;
+          console.error(`Failed to queue email to ${recipient.email}:`, error);
+        });
 
         emailPromises.push(emailPromise);
       }
 
       await Promise.allSettled(emailPromises);
 
-      // Update notification with email delivery status
-      await Notification.findByIdAndUpdate(notification._id, {
-        "emailDelivery.sent": emailsSent > 0,
-        "emailDelivery.sentAt": emailsSent > 0 ? new Date() : undefined,
-        "emailDelivery.attempts": 1,
-        "emailDelivery.lastAttemptAt": new Date(),
-      });
+      // Delivery outcome is recorded on the notification by the email queue;
+      // only emails that never made it into the queue are recorded here
+      if (emailsFailed > 0) {
+        await Notification.findByIdAndUpdate(notification._id, {
+          "emailDelivery.error": `Failed to queue ${emailsFailed} email(s)`,
+          "emailDelivery.lastAttemptAt": new Date(),
+        });
+      }
     } catch (error) {
       console.error("Error in sendEmailNotifications:", error);
       throw error;
@@ -583,6 +590,7 @@ class NotificationService {
           taskType: emailData.taskType || notification.entityModel,
           userId: recipient._id,
           taskId: notification.entity,
+          notificationId: notification._id,
         });
 
       case "Mention":
@@ -594,6 +602,7 @@ class NotificationService {
           taskType: emailData.taskType || notification.entityModel,
           userId: recipient._id,
           taskId: notification.entity,
+          notificationId: notification._id,
         });
 
       case "Announcement":
@@ -604,6 +613,7 @@ class NotificationService {
           senderName: emailData.senderName || "Administrator",
           userId: recipient._id,
           organizationId: notification.organization,
+          notificationId: notification._id,
         });
 
       default:
@@ -615,6 +625,7 @@ class NotificationService {
           taskType: emailData.taskType || notification.entityModel,
           userId: recipient._id,
           taskId: notification.entity,
+          notificationId: notification._id,
         });
     }
   }
@@ -0,0 +1,202 @@
+// backend/services/routineTaskScheduler.js
+import mongoose from "mongoose";
+import {
+  RoutineTask,
+  RoutineTaskTemplate,
+  Material,
+} from "../models/index.js";
+import { transformMaterialsForStorage } from "../utils/materialTransform.js";
+import {
+  emitToDepartment,
+  emitToOrganization,
+} from "../utils/socketEmitter.js";
+import { getEnv } from "../utils/validateEnv.js";
+import { logScheduler, logError } from "../utils/logger.js";
+import { ROUTINE_TEMPLATE_BATCH_SIZE } from "../utils/constants.js";
+
+/**
+ * Routine Task Scheduler - Creates RoutineTask occurrences from recurring templates
+ * Each occurrence is claimed by advancing the template's nextOccurrenceAt in the
+ * same transaction that creates the task, so it is created once even across restarts.
+ */
+class RoutineTaskScheduler {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the periodic template check
+   * @param {Object} options - Overrides for environment configuration
+   * @param {number} options.intervalMinutes - Check interval (default: ROUTINE_TASK_SCHEDULER_INTERVAL_MINUTES)
+   */
+  start({ intervalMinutes } = {}) {
+    if (this.timer) return;
+
+    const minutes =
+      intervalMinutes ?? getEnv("ROUTINE_TASK_SCHEDULER_INTERVAL_MINUTES");
+
+    this.timer = setInterval(() => this.runOnce(), minutes * 60 * 1000);
+    this.timer.unref?.();
+
+    logScheduler(`Routine task templates scheduled every ${minutes} min`);
+
+    // Catch up immediately instead of waiting a full interval
+    this.runOnce();
+  }
+
+  /**
+   * Stop the periodic template check
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logScheduler("Routine task scheduler stopped");
+    }
+  }
+
+  /**
+   * Run a single scheduler pass
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<number>} Number of routine tasks created
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let created = 0;
+    try {
+      const templates = await RoutineTaskTemplate.find({
+        isActive: true,
+        isDeleted: false,
+        nextOccurrenceAt: { $ne: null, $lte: now },
+      })
+        .sort({ nextOccurrenceAt: 1 })
+        .limit(ROUTINE_TEMPLATE_BATCH_SIZE);
+
+      // After downtime only the overdue occurrence is created; the one
+      // after it is counted from today, so missed dates in between are skipped
+      for (const template of templates) {
+        if (await this.createOccurrence(template)) created++;
+      }
+
+      if (created > 0) logScheduler(`Created ${created} routine task(s)`);
+    } catch (error) {
+      logError("Routine task scheduler run failed", error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return created;
+  }
+
+  /**
+   * Claim the template's next occurrence and create its RoutineTask
+   * @param {RoutineTaskTemplate} template - Template document
+   * @returns {Promise<RoutineTaskTemplate|null>} Advanced template, or null if not created
+   */
+  async createOccurrence(template) {
+    const occurrenceDate = template.nextOccurrenceAt;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      // Compute the following occurrence as if this one had been created
+      template.occurrencesCreated += 1;
+      template.lastOccurrenceAt = occurrenceDate;
+      const nextOccurrenceAt = template.computeNextOccurrence();
+
+      const claimed = await RoutineTaskTemplate.findOneAndUpdate(
+        {
+          _id: template._id,
+          isActive: true,
+          nextOccurrenceAt: occurrenceDate,
+        },
+        {
+          $inc: { occurrencesCreated: 1 },
+          $set: { lastOccurrenceAt: occurrenceDate, nextOccurrenceAt },
+        },
+        { session, new: true }
+      );
+
+      // Another run (or instance) got there first, or the template changed
+      if (!claimed) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      // Materials deleted since the template was saved are skipped
+      const available = await Material.find({
+        _id: { $in: template.materials.map((m) => m.material) },
+        organization: template.organization,
+        department: template.department,
+        isDeleted: false,
+      })
+        .select("_id")
+        .session(session);
+      const availableIds = new Set(available.map((m) => m._id.toString()));
+
+      const taskId = new mongoose.Types.ObjectId();
+      const materials = await transformMaterialsForStorage(
+        template.materials.filter((m) =>
+          availableIds.has(m.material.toString())
+        ),
+        template.organization,
+        template.department,
+        session,
+        {
+          reference: taskId,
+          referenceModel: "RoutineTask",
+          performedBy: template.createdBy,
+        }
+      );
+
+      const [task] = await RoutineTask.create(
+        [
+          {
+            _id: taskId,
+            title: template.title,
+            description: template.description,
+            status: "Pending",
+            priority: template.priority,
+            organization: template.organization,
+            department: template.department,
+            createdBy: template.createdBy,
+            watchers: template.watchers,
+            tags: template.tags,
+            date: occurrenceDate,
+            materials,
+            template: template._id,
+          },
+        ],
+        { session }
+      );
+
+      await session.commitTransaction();
+
+      emitToDepartment(template.department, "department:task:created", {
+        taskId: task._id,
+      });
+      emitToOrganization(template.organization, "organization:task:created", {
+        taskId: task._id,
+      });
+
+      return claimed;
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      logError("Failed to create routine task occurrence", error, {
+        templateId: String(template._id),
+        occurrenceDate,
+      });
+      return null;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+// Create singleton instance
+const routineTaskScheduler = new RoutineTaskScheduler();
+
+export default routineTaskScheduler;
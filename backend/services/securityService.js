@@ -0,0 +1,158 @@
+// backend/services/securityService.js
+import { SecurityEvent, User } from "../models/index.js";
+import emailService from "./emailService.js";
+import emailTemplates from "../templates/emailTemplates.js";
+import {
+  getLockoutDuration,
+  shouldLockAccount,
+} from "../utils/accountLockout.js";
+import { getClientDetails } from "../utils/userSessions.js";
+import { logError } from "../utils/logger.js";
+import { MAX_FAILED_LOGIN_ATTEMPTS } from "../utils/constants.js";
+
+/**
+ * Security Service - Security event log and per-account lockout
+ * Recording an event never fails the request that triggered it.
+ */
+
+class SecurityService {
+  /**
+   * Append an event to the security log
+   * @param {string} type - One of SECURITY_EVENT_TYPES
+   * @param {Object} details
+   * @param {Object} [details.user] - User the event is about
+   * @param {string} [details.email] - Email entered, when no user matched
+   * @param {Object} [details.actor] - User who performed the action, if someone else
+   * @param {Object} [details.req] - Express request, for IP and device
+   * @param {Object} [details.metadata] - Event details
+   */
+  async logEvent(type, { user, email, actor, req, metadata = {} } = {}) {
+    try {
+      await SecurityEvent.create({
+        type,
+        user: user?._id,
+        organization: user?.organization?._id,
+        email: email || user?.email,
+        actor: actor?._id,
+        ...(req ? getClientDetails(req) : {}),
+        metadata,
+      });
+    } catch (error) {
+      logError("Failed to record security event", error, {
+        type,
+        userId: user?._id ? String(user._id) : undefined,
+      });
+    }
+  }
+
+  /**
+   * Count a failed password or second-factor attempt and lock the account
+   * once the threshold is reached
+   * @param {Object} user - User with populated organization
+   * @param {Object} req - Express request
+   * @param {string} reason - Why the attempt failed
+   * @returns {Promise<Date|null>} lockedUntil when this attempt locked the account
+   */
+  async recordFailedLogin(user, req, reason) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true, projection: "failedLoginAttempts lockoutCount" }
+    );
+
+    await this.logEvent("LoginFailed", {
+      user,
+      req,
+      metadata: { reason, failedLoginAttempts: updated?.failedLoginAttempts },
+    });
+
+    if (!updated || !shouldLockAccount(updated.failedLoginAttempts)) {
+      return null;
+    }
+
+    const lockoutCount = updated.lockoutCount + 1;
+    const lockedUntil = new Date(Date.now() + getLockoutDuration(lockoutCount));
+
+    // Conditional on the count so concurrent failures lock (and email) once
+    const locked = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        failedLoginAttempts: { $gte: MAX_FAILED_LOGIN_ATTEMPTS },
+      },
+      {
+        $set: { failedLoginAttempts: 0, lockedUntil },
+        $inc: { lockoutCount: 1 },
+      }
+    );
+    if (!locked) return null;
+
+    await this.logEvent("AccountLocked", {
+      user,
+      req,
+      metadata: { reason, lockoutCount, lockedUntil },
+    });
+    await this.sendAccountLockedEmail(user, lockedUntil, req);
+
+    return lockedUntil;
+  }
+
+  /**
+   * Reset the failure counters after a successful sign-in
+   * @param {Object} user - Signed-in user
+   */
+  async clearFailedLogins(user) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          failedLoginAttempts: 0,
+          lockoutCount: 0,
+          lockedUntil: null,
+          lastLogin: new Date(),
+        },
+      }
+    );
+  }
+
+  /**
+   * Tell a user their account was locked
+   * @param {Object} user - Locked user with populated organization
+   * @param {Date} lockedUntil - When the lock ends
+   * @param {Object} req - Express request of the attempt that locked it
+   */
+  async sendAccountLockedEmail(user, lockedUntil, req) {
+    try {
+      const emailData = {
+        email: user.email,
+        firstName: user.firstName,
+        appName: process.env.APP_NAME,
+        organizationName: user.organization?.name || "Your Organization",
+        failedAttempts: MAX_FAILED_LOGIN_ATTEMPTS,
+        lockedUntil: lockedUntil.toUTCString(),
+        ip: req.ip,
+        resetUrl: `${process.env.CLIENT_URL}/forgot-password`,
+      };
+
+      await emailService.queueEmail({
+        to: user.email,
+        subject: emailTemplates.accountLocked.subject(emailData),
+        html: emailTemplates.accountLocked.html(emailData),
+        text: emailTemplates.accountLocked.text(emailData),
+        context: {
+          type: "account_locked",
+          userId: user._id,
+          organizationId: user.organization?._id,
+        },
+      });
+    } catch (error) {
+      logError("Failed to send account locked email", error, {
+        userId: String(user._id),
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const securityService = new SecurityService();
+
+export default securityService;
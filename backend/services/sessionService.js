@@ -0,0 +1,166 @@
+// backend/services/sessionService.js
+import crypto from "crypto";
+import { UserSession } from "../models/index.js";
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  REFRESH_TOKEN_MAX_AGE,
+} from "../utils/generateTokens.js";
+import {
+  getClientDetails,
+  getRefreshTokenState,
+} from "../utils/userSessions.js";
+import { disconnectUser } from "../utils/socketEmitter.js";
+import { logError } from "../utils/logger.js";
+
+/**
+ * Session Service - Stores refresh token families and rotates them
+ * Each login creates a UserSession; every refresh swaps its token for a new
+ * one, and presenting a superseded token revokes the whole session.
+ */
+
+class SessionService {
+  /**
+   * Start a new session for a user who just logged in
+   * @param {Object} user - Authenticated user document
+   * @param {Object} req - Express request, for device and IP
+   * @returns {Promise<{userSession: Object, accessToken: string, refreshToken: string}>}
+   */
+  async createSession(user, req) {
+    const jti = crypto.randomUUID();
+    const now = new Date();
+
+    const userSession = await UserSession.create({
+      user: user._id,
+      organization: user.organization._id,
+      currentJti: jti,
+      ...getClientDetails(req),
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_MAX_AGE),
+    });
+
+    return {
+      userSession,
+      ...this.issueTokens(user, userSession._id, jti),
+    };
+  }
+
+  /**
+   * Load the session a refresh token belongs to and classify the token
+   * @param {Object} decoded - Verified refresh token payload
+   * @returns {Promise<{userSession: Object|null, state: string}>}
+   */
+  async resolveRefreshToken(decoded) {
+    const userSession = decoded.sessionId
+      ? await UserSession.findOne({
+          _id: decoded.sessionId,
+          user: decoded.userId,
+        }).select("+currentJti +previousJti")
+      : null;
+
+    return {
+      userSession,
+      state: getRefreshTokenState(userSession, decoded.jti),
+    };
+  }
+
+  /**
+   * Rotate a session's refresh token. A token rotated moments ago (parallel
+   * requests) gets the current token back instead of a second rotation.
+   * @param {Object} user - Authenticated user document
+   * @param {Object} userSession - Session with currentJti selected
+   * @param {string} jti - Token ID that was presented
+   * @param {Object} req - Express request, for device and IP
+   * @returns {Promise<{accessToken: string, refreshToken: string}|null>} Null
+   *   when the token turned out to be reused
+   */
+  async rotateSession(user, userSession, jti, req) {
+    const now = new Date();
+    const client = getClientDetails(req);
+
+    if (jti === userSession.currentJti) {
+      const nextJti = crypto.randomUUID();
+
+      // Conditional on currentJti so two concurrent rotations cannot both win
+      const rotated = await UserSession.findOneAndUpdate(
+        { _id: userSession._id, currentJti: jti, revokedAt: null },
+        {
+          $set: {
+            currentJti: nextJti,
+            previousJti: jti,
+            rotatedAt: now,
+            lastUsedAt: now,
+            expiresAt: new Date(now.getTime() + REFRESH_TOKEN_MAX_AGE),
+            ...client,
+          },
+        },
+        { new: true }
+      );
+
+      if (rotated) return this.issueTokens(user, userSession._id, nextJti);
+
+      // Lost the race; re-check the token against the winner's rotation
+      const latest = await UserSession.findById(userSession._id).select(
+        "+currentJti +previousJti"
+      );
+      if (getRefreshTokenState(latest, jti, now) !== "grace") return null;
+      userSession = latest;
+    }
+
+    await UserSession.updateOne(
+      { _id: userSession._id },
+      { $set: { lastUsedAt: now, ...client } }
+    );
+
+    return this.issueTokens(user, userSession._id, userSession.currentJti);
+  }
+
+  /**
+   * Revoke matching sessions and disconnect their sockets
+   * @param {Object} filter - UserSession filter, e.g. {_id} or {user}
+   * @param {string} reason - One of SESSION_REVOKE_REASONS
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeSessions(filter, reason) {
+    const sessions = await UserSession.find({ ...filter, revokedAt: null })
+      .select("user")
+      .lean();
+    if (sessions.length === 0) return 0;
+
+    await UserSession.updateMany(
+      { _id: { $in: sessions.map((s) => s._id) }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    for (const { _id, user } of sessions) {
+      try {
+        disconnectUser(user, _id);
+      } catch (error) {
+        logError("Failed to disconnect revoked session", error, {
+          sessionId: String(_id),
+        });
+      }
+    }
+
+    return sessions.length;
+  }
+
+  /**
+   * Sign an access/refresh token pair for a session
+   * @param {Object} user - User document
+   * @param {string} sessionId - UserSession ID
+   * @param {string} jti - Refresh token ID
+   * @returns {{accessToken: string, refreshToken: string}}
+   */
+  issueTokens(user, sessionId, jti) {
+    return {
+      accessToken: generateAccessToken(user._id, sessionId),
+      refreshToken: generateRefreshToken(user._id, { sessionId, jti }),
+    };
+  }
+}
+
+// Create singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
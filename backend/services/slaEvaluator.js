@@ -0,0 +1,296 @@
+// backend/services/slaEvaluator.js
+import mongoose from "mongoose";
+import { BaseTask, SlaPolicy, TaskActivity, User } from "../models/index.js";
+import notificationService from "./notificationService.js";
+import {
+  emitToDepartment,
+  emitToOrganization,
+  emitToRecipients,
+} from "../utils/socketEmitter.js";
+import { getEnv } from "../utils/validateEnv.js";
+import { logScheduler, logError } from "../utils/logger.js";
+import {
+  describeSlaEscalation,
+  findSlaBreaches,
+  getNextPriority,
+} from "../utils/sla.js";
+import {
+  SLA_TASK_TYPES,
+  SLA_EVALUATOR_BATCH_SIZE,
+  HEAD_OF_DEPARTMENT_ROLES,
+  MAX_NOTIFICATION_MESSAGE_LENGTH,
+} from "../utils/constants.js";
+
+/**
+ * SLA Evaluator - Escalates open tasks that missed their SLA deadlines
+ * Each breach is claimed on the task (sla.breaches[]) in the same transaction
+ * that raises its priority, records the TaskActivity and notifies HODs, so a
+ * target is escalated once per task even across restarts.
+ */
+class SlaEvaluator {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the periodic SLA check
+   * @param {Object} options - Overrides for environment configuration
+   * @param {number} options.intervalMinutes - Check interval (default: SLA_EVALUATOR_INTERVAL_MINUTES)
+   */
+  start({ intervalMinutes } = {}) {
+    if (this.timer) return;
+
+    const minutes = intervalMinutes ?? getEnv("SLA_EVALUATOR_INTERVAL_MINUTES");
+
+    this.timer = setInterval(() => this.runOnce(), minutes * 60 * 1000);
+    this.timer.unref?.();
+
+    logScheduler(`SLA evaluator scheduled every ${minutes} min`);
+
+    // Catch up immediately instead of waiting a full interval
+    this.runOnce();
+  }
+
+  /**
+   * Stop the periodic SLA check
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logScheduler("SLA evaluator stopped");
+    }
+  }
+
+  /**
+   * Run a single evaluation pass
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<number>} Number of escalations
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let escalated = 0;
+    try {
+      const tasks = await BaseTask.find({
+        taskType: { $in: SLA_TASK_TYPES },
+        status: { $ne: "Completed" },
+        isDeleted: false,
+        $or: [
+          {
+            "sla.responseDueAt": { $ne: null, $lte: now },
+            "sla.respondedAt": null,
+            "sla.breaches.target": { $ne: "response" },
+          },
+          {
+            "sla.resolutionDueAt": { $ne: null, $lte: now },
+            "sla.breaches.target": { $ne: "resolution" },
+          },
+        ],
+      })
+        .select(
+          "_id title taskType status priority organization department createdBy watchers sla"
+        )
+        .sort({ "sla.resolutionDueAt": 1 })
+        .limit(SLA_EVALUATOR_BATCH_SIZE)
+        .lean();
+
+      for (const task of tasks) {
+        // Each missed target escalates once, in its own transaction; a missed
+        // response and resolution in one pass each raise the priority and notify
+        for (const target of findSlaBreaches(task, now)) {
+          const result = await this.escalate(task, target, now);
+          if (!result) continue;
+          escalated++;
+          if (result.toPriority) task.priority = result.toPriority;
+          task.sla.breaches = [...(task.sla.breaches || []), { target }];
+        }
+      }
+
+      if (escalated > 0) logScheduler(`Escalated ${escalated} SLA breach(es)`);
+    } catch (error) {
+      logError("SLA evaluator run failed", error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return escalated;
+  }
+
+  /**
+   * User the escalation is recorded as: the task's creator while still in
+   * its department, otherwise one of the department's HODs
+   * @param {Object} task - Lean task document
+   * @param {ClientSession} session
+   * @returns {Promise<User|null>}
+   */
+  async findActor(task, session) {
+    const inDepartment = {
+      organization: task.organization,
+      department: task.department,
+      isDeleted: false,
+    };
+
+    return (
+      (await User.findOne({ _id: task.createdBy, ...inDepartment }).session(
+        session
+      )) ||
+      (await User.findOne({
+        ...inDepartment,
+        role: { $in: HEAD_OF_DEPARTMENT_ROLES },
+      })
+        .sort({ createdAt: 1 })
+        .session(session))
+    );
+  }
+
+  /**
+   * Claim a breach on the task and escalate it as its policy says
+   * @param {Object} task - Lean task document
+   * @param {string} target - "response" or "resolution"
+   * @param {Date} now - Breach time
+   * @returns {Promise<Object|null>} Recorded breach, or null if not escalated here
+   */
+  async escalate(task, target, now) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const policy = await SlaPolicy.findOne({
+        _id: task.sla.policy,
+        isDeleted: false,
+      }).session(session);
+
+      // Tasks are re-pointed when their policy is deleted or deactivated
+      if (!policy) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      const actor = await this.findActor(task, session);
+      const toPriority = policy.raisePriority
+        ? getNextPriority(task.priority)
+        : null;
+      // Urgent tasks can't be raised further, so HODs hear about them instead
+      const notify =
+        !!actor && (policy.notifyHods || (policy.raisePriority && !toPriority));
+
+      const breach = {
+        target,
+        breachedAt: now,
+        fromPriority: task.priority,
+        toPriority,
+        notified: notify,
+      };
+
+      const claim = await BaseTask.updateOne(
+        { _id: task._id, "sla.breaches.target": { $ne: target } },
+        { $push: { "sla.breaches": breach } },
+        { session, timestamps: false }
+      );
+
+      // Another run (or instance) got there first
+      if (claim.modifiedCount === 0) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      // With the breach claimed, the deadlines stay those of the previous
+      // priority's policy
+      if (toPriority) {
+        const doc = await BaseTask.findById(task._id).session(session);
+        doc.priority = toPriority;
+        await doc.save({ session });
+      }
+
+      const description = describeSlaEscalation({
+        target,
+        policy,
+        fromPriority: task.priority,
+        toPriority,
+        notified: notify,
+      });
+
+      let activity = null;
+      if (actor) {
+        [activity] = await TaskActivity.create(
+          [
+            {
+              task: task._id,
+              taskModel: task.taskType,
+              activity: description,
+              organization: task.organization,
+              department: task.department,
+              createdBy: actor._id,
+            },
+          ],
+          { session }
+        );
+      }
+
+      let notificationResult = null;
+      if (notify) {
+        notificationResult = await notificationService.send(
+          "TASK_SLA_BREACHED",
+          { ...task, priority: toPriority || task.priority },
+          actor,
+          {
+            session,
+            message: description.slice(0, MAX_NOTIFICATION_MESSAGE_LENGTH),
+            emailData: {
+              taskTitle: task.title,
+              taskType: task.taskType,
+            },
+          }
+        );
+      }
+
+      await session.commitTransaction();
+
+      if (notificationResult?.realtimeRecipients?.length > 0) {
+        emitToRecipients(
+          notificationResult.realtimeRecipients,
+          "notification:created",
+          {
+            notification: notificationResult.notification,
+            taskId: task._id,
+          }
+        );
+      }
+      const payload = {
+        taskId: task._id,
+        status: task.status,
+        priority: toPriority || task.priority,
+      };
+      emitToDepartment(task.department, "department:task:updated", payload);
+      emitToOrganization(
+        task.organization,
+        "organization:task:updated",
+        payload
+      );
+      if (activity) {
+        emitToDepartment(task.department, "department:activity:created", {
+          taskId: task._id,
+          activityId: activity._id,
+        });
+      }
+
+      return breach;
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      logError("Failed to escalate SLA breach", error, {
+        taskId: String(task._id),
+        target,
+      });
+      return null;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+// Create singleton instance
+const slaEvaluator = new SlaEvaluator();
+
+export default slaEvaluator;
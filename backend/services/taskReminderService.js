@@ -0,0 +1,296 @@
+// backend/services/taskReminderService.js
+import mongoose from "mongoose";
+import { BaseTask, Notification, User } from "../models/index.js";
+import { sendTaskReminderEmails } from "../utils/helpers.js";
+import { emitToRecipients } from "../utils/socketEmitter.js";
+import { getEnv } from "../utils/validateEnv.js";
+import { logScheduler, logError } from "../utils/logger.js";
+import { isChannelEnabled } from "../utils/notificationPreferences.js";
+import {
+  TASK_REMINDER_OVERDUE,
+  TASK_REMINDER_BATCH_SIZE,
+  TASK_REMINDER_TASK_TYPES,
+  MAX_NOTIFICATION_MESSAGE_LENGTH,
+  NOTIFICATION_CHANNELS,
+} from "../utils/constants.js";
+
+const DURATION_UNITS = {
+  m: { ms: 60 * 1000, label: "minute" },
+  h: { ms: 60 * 60 * 1000, label: "hour" },
+  d: { ms: 24 * 60 * 60 * 1000, label: "day" },
+};
+
+/**
+ * Parse a comma-separated reminder offset list such as "24h,1h,30m"
+ * @param {string} value - Offset list (units: m, h, d)
+ * @returns {Array<{key: string, ms: number, label: string}>} Offsets sorted from nearest to furthest
+ * @throws {Error} When an entry is not a positive duration
+ */
+export const parseReminderOffsets = (value) => {
+  const offsets = new Map();
+
+  for (const raw of String(value || "").split(",")) {
+    const entry = raw.trim().toLowerCase();
+    if (!entry) continue;
+
+    const match = /^(\d+)\s*([mhd])$/.exec(entry);
+    if (!match || Number(match[1]) === 0) {
+      throw new Error(`Invalid task reminder offset: "${raw.trim()}"`);
+    }
+
+    const amount = Number(match[1]);
+    const unit = DURATION_UNITS[match[2]];
+    const key = `${amount}${match[2]}`;
+    offsets.set(key, {
+      key,
+      ms: amount * unit.ms,
+      label: `${amount} ${unit.label}${amount === 1 ? "" : "s"}`,
+    });
+  }
+
+  return [...offsets.values()].sort((a, b) => a.ms - b.ms);
+};
+
+/**
+ * Task Reminder Service - Sends due-date reminders for AssignedTask/ProjectTask
+ * Each reminder is claimed on the task (reminders[]) in the same transaction that
+ * creates its notification, so an offset fires once per dueDate even across restarts.
+ */
+class TaskReminderService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+    this.offsets = [];
+  }
+
+  /**
+   * Start the periodic reminder check
+   * @param {Object} options - Overrides for environment configuration
+   * @param {string} options.offsets - Offset list (default: TASK_REMINDER_OFFSETS)
+   * @param {number} options.intervalMinutes - Check interval (default: TASK_REMINDER_INTERVAL_MINUTES)
+   */
+  start({ offsets, intervalMinutes } = {}) {
+    if (this.timer) return;
+
+    this.offsets = parseReminderOffsets(
+      offsets ?? getEnv("TASK_REMINDER_OFFSETS")
+    );
+    const minutes = intervalMinutes ?? getEnv("TASK_REMINDER_INTERVAL_MINUTES");
+
+    this.timer = setInterval(() => this.runOnce(), minutes * 60 * 1000);
+    this.timer.unref?.();
+
+    logScheduler(
+      `Task reminders scheduled every ${minutes} min (offsets: ${
+        this.offsets.map((o) => o.key).join(", ") || "none"
+      }, overdue)`
+    );
+
+    // Catch up immediately instead of waiting a full interval
+    this.runOnce();
+  }
+
+  /**
+   * Stop the periodic reminder check
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logScheduler("Task reminder scheduler stopped");
+    }
+  }
+
+  /**
+   * Run a single reminder pass
+   * @param {Date} now - Reference time (default: current time)
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let sent = 0;
+    try {
+      // Nearest offset first so a task already inside several windows gets one reminder
+      for (let i = 0; i < this.offsets.length; i++) {
+        const offset = this.offsets[i];
+        const tasks = await this.findTasks({
+          dueDate: { $gt: now, $lte: new Date(now.getTime() + offset.ms) },
+          "reminders.offset": { $ne: offset.key },
+        });
+
+        for (const task of tasks) {
+          const claimed = await this.sendReminder(task, {
+            offset: offset.key,
+            // Wider offsets are covered by this reminder
+            claims: this.offsets.slice(i).map((o) => o.key),
+            timeRemaining: `Less than ${offset.label}`,
+            message: `Task "${task.title}" is due within ${offset.label}`,
+          });
+          if (claimed) sent++;
+        }
+      }
+
+      const overdueTasks = await this.findTasks({
+        dueDate: { $lte: now },
+        "reminders.offset": { $ne: TASK_REMINDER_OVERDUE },
+      });
+
+      for (const task of overdueTasks) {
+        const claimed = await this.sendReminder(task, {
+          offset: TASK_REMINDER_OVERDUE,
+          claims: [TASK_REMINDER_OVERDUE, ...this.offsets.map((o) => o.key)],
+          timeRemaining: "Overdue",
+          message: `Task "${task.title}" is overdue`,
+        });
+        if (claimed) sent++;
+      }
+
+      if (sent > 0) logScheduler(`Sent ${sent} task reminder(s)`);
+    } catch (error) {
+      logError("Task reminder run failed", error);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Find open reminder-eligible tasks matching the given filter
+   * @param {Object} filter - Additional dueDate/reminder filter
+   * @returns {Promise<Object[]>} Lean task documents
+   */
+  async findTasks(filter) {
+    return BaseTask.find({
+      taskType: { $in: TASK_REMINDER_TASK_TYPES },
+      status: { $ne: "Completed" },
+      isDeleted: false,
+      ...filter,
+    })
+      .select(
+        "_id title description taskType status priority dueDate organization department createdBy assignees watchers reminders"
+      )
+      .sort({ dueDate: 1 })
+      .limit(TASK_REMINDER_BATCH_SIZE)
+      .lean();
+  }
+
+  /**
+   * Claim a reminder on the task and deliver it to assignees and watchers
+   * @param {Object} task - Lean task document
+   * @param {Object} reminder - Reminder details
+   * @param {string} reminder.offset - Offset key being sent
+   * @param {string[]} reminder.claims - Offset keys to mark as sent
+   * @param {string} reminder.timeRemaining - Human readable time remaining
+   * @param {string} reminder.message - Notification message
+   * @returns {Promise<boolean>} Whether this process sent the reminder
+   */
+  async sendReminder(task, { offset, claims, timeRemaining, message }) {
+    const alreadySent = new Set((task.reminders || []).map((r) => r.offset));
+    const sentAt = new Date();
+
+    const recipientIds = [
+      ...new Set(
+        [...(task.assignees || []), ...(task.watchers || [])].map(String)
+      ),
+    ];
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const claim = await BaseTask.updateOne(
+        { _id: task._id, "reminders.offset": { $ne: offset } },
+        {
+          $push: {
+            reminders: {
+              $each: claims
+                .filter((key) => !alreadySent.has(key))
+                .map((key) => ({ offset: key, sentAt })),
+            },
+          },
+        },
+        { session, timestamps: false }
+      );
+
+      // Another run (or instance) got there first
+      if (claim.modifiedCount === 0) {
+        await session.abortTransaction();
+        return false;
+      }
+
+      const recipients = await User.find({
+        _id: { $in: recipientIds },
+        organization: task.organization,
+        isDeleted: false,
+      })
+        .select("emailPreferences notificationPreferences")
+        .session(session);
+      // Skip users who have turned reminders off on every channel
+      const validRecipientIds = recipients
+        .filter((user) =>
+          NOTIFICATION_CHANNELS.some((channel) =>
+            isChannelEnabled(user, "TASK_REMINDER", channel)
+          )
+        )
+        .map((u) => u._id);
+
+      let notification = null;
+      if (validRecipientIds.length > 0) {
+        notification = new Notification({
+          type: "Reminder",
+          title: "Task Reminder",
+          message: message.slice(0, MAX_NOTIFICATION_MESSAGE_LENGTH),
+          entity: task._id,
+          entityModel: task.taskType,
+          recipients: validRecipientIds,
+          organization: task.organization,
+          department: task.department,
+          createdBy: task.createdBy,
+          sentAt,
+          emailDelivery: {
+            sent: false,
+            attempts: 0,
+          },
+        });
+        await notification.save({ session });
+      }
+
+      await session.commitTransaction();
+
+      if (!notification) return true;
+
+      emitToRecipients(validRecipientIds, "notification:created", {
+        notification,
+        taskId: task._id,
+        reminder: offset,
+      });
+
+      // Skips recipients whose preferences or quiet hours exclude email;
+      // the email queue records delivery on notification.emailDelivery
+      sendTaskReminderEmails(
+        { ...task, timeRemaining },
+        validRecipientIds,
+        null,
+        notification._id
+      ).catch((error) => logError("Failed to queue reminder emails", error));
+
+      return true;
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      logError("Failed to send task reminder", error, {
+        taskId: String(task._id),
+        offset,
+      });
+      return false;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+// Create singleton instance
+const taskReminderService = new TaskReminderService();
+
+export default taskReminderService;
@@ -463,6 +463,85 @@ This email was sent to ${data.email}
   `
 };
 
+/**
+ * Account locked email template
+ */
+export const accountLockedTemplate = {
+  subject: (data) => `🔒 Your account has been locked - ${data.appName}`,
+
+  html: (data) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Account Locked - ${data.appName}</title>
+      <style>
+        ${baseStyles}
+        .locked-header {
+          background: linear-gradient(135deg, #f44336 0%, #d32f2f 100%);
+        }
+        .locked-button {
+          background: linear-gradient(135deg, #f44336 0%, #d32f2f 100%);
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header locked-header">
+          <h1>🔒 Account Temporarily Locked</h1>
+        </div>
+        <div class="content">
+          <h2>Hello ${data.firstName}!</h2>
+          <p>Your ${data.appName} account at <strong>${data.organizationName}</strong> was locked after ${data.failedAttempts} failed sign-in attempts.</p>
+
+          <div class="info-box">
+            <p><strong>⏰ Locked until:</strong> ${data.lockedUntil}</p>
+            <p><strong>🌐 Last attempt from:</strong> ${data.ip || "Unknown address"}</p>
+          </div>
+
+          <div class="warning-box">
+            <p><strong>⚠️ Security Notice:</strong> If these attempts were not you, someone may be trying to guess your password. Reset your password and let your administrator know.</p>
+          </div>
+
+          <div class="text-center mt-20 mb-20">
+            <a href="${data.resetUrl}" class="button locked-button">🔑 Reset My Password</a>
+          </div>
+
+          <p class="mt-20"><em>Stay secure!</em><br>
+          The ${data.appName} Security Team</p>
+        </div>
+        <div class="footer">
+          <p>&copy; ${new Date().getFullYear()} ${data.appName}. All rights reserved.</p>
+          <p>This email was sent to ${data.email}</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+  text: (data) => `
+🔒 Account Temporarily Locked - ${data.appName}
+
+Hello ${data.firstName}!
+
+Your ${data.appName} account at ${data.organizationName} was locked after ${data.failedAttempts} failed sign-in attempts.
+
+⏰ Locked until: ${data.lockedUntil}
+🌐 Last attempt from: ${data.ip || "Unknown address"}
+
+⚠️ Security Notice: If these attempts were not you, someone may be trying to guess your password. Reset your password and let your administrator know.
+
+Reset your password: ${data.resetUrl}
+
+Stay secure!
+The ${data.appName} Security Team
+
+© ${new Date().getFullYear()} ${data.appName}. All rights reserved.
+This email was sent to ${data.email}
+  `
+};
+
 /**
  * Task reminder email template
  */
@@ -647,11 +726,129 @@ This email was sent to ${data.email}
   `
 };
 
+/**
+ * Notification digest email template
+ * Unread notifications grouped per task, other updates, and overdue tasks
+ */
+export const digestTemplate = {
+  subject: (data) =>
+    `🗞️ Your ${data.frequency.toLowerCase()} digest: ${data.unreadCount} update${data.unreadCount === 1 ? '' : 's'}${data.overdueTasks.length ? `, ${data.overdueTasks.length} overdue` : ''} - ${data.appName}`,
+
+  html: (data) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${data.frequency} Digest - ${data.appName}</title>
+      <style>
+        ${baseStyles}
+        .digest-header {
+          background: linear-gradient(135deg, #3f51b5 0%, #283593 100%);
+        }
+        .digest-button {
+          background: linear-gradient(135deg, #3f51b5 0%, #283593 100%);
+        }
+        .overdue-box {
+          border-left-color: #d32f2f;
+        }
+        .item-time {
+          color: #777;
+          font-size: 12px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header digest-header">
+          <h1>🗞️ Your ${data.frequency} Digest</h1>
+        </div>
+        <div class="content">
+          <h2>Hello ${data.firstName}!</h2>
+          <p>Here is what happened since ${new Date(data.since).toLocaleString()}: ${data.unreadCount} unread update${data.unreadCount === 1 ? '' : 's'}.</p>
+
+          ${data.overdueTasks.length ? `
+          <div class="info-box overdue-box">
+            <h3>⚠️ Overdue Tasks</h3>
+            <ul>
+              ${data.overdueTasks.map((task) => `
+              <li><a href="${data.clientUrl}/tasks/${task._id}"><strong>${task.title}</strong></a> - due ${new Date(task.dueDate).toLocaleDateString()} (${task.priority || 'Medium'})</li>
+              `).join('')}
+            </ul>
+          </div>
+          ` : ''}
+
+          ${data.taskSections.map((section) => `
+          <div class="info-box">
+            <h3>📋 <a href="${data.clientUrl}/tasks/${section.taskId}">${section.title}</a></h3>
+            <ul>
+              ${section.items.map((item) => `
+              <li><strong>${item.title}</strong> - ${item.message}<br><span class="item-time">${new Date(item.createdAt).toLocaleString()}</span></li>
+              `).join('')}
+            </ul>
+          </div>
+          `).join('')}
+
+          ${data.otherItems.length ? `
+          <div class="info-box">
+            <h3>🔔 Other Updates</h3>
+            <ul>
+              ${data.otherItems.map((item) => `
+              <li><strong>${item.title}</strong> - ${item.message}<br><span class="item-time">${new Date(item.createdAt).toLocaleString()}</span></li>
+              `).join('')}
+            </ul>
+          </div>
+          ` : ''}
+
+          <div class="text-center mt-20">
+            <a href="${data.clientUrl}/dashboard" class="button digest-button">📊 Open ${data.appName}</a>
+          </div>
+
+          <p class="mt-20"><em>Change how often you get this digest in your notification preferences.</em><br>
+          The ${data.appName} Team</p>
+        </div>
+        <div class="footer">
+          <p>&copy; ${new Date().getFullYear()} ${data.appName}. All rights reserved.</p>
+          <p>This email was sent to ${data.email}</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `,
+
+  text: (data) => `
+🗞️ Your ${data.frequency} Digest - ${data.appName}
+
+Hello ${data.firstName}!
+
+Here is what happened since ${new Date(data.since).toLocaleString()}: ${data.unreadCount} unread update${data.unreadCount === 1 ? '' : 's'}.
+${data.overdueTasks.length ? `
+Overdue Tasks:
+${data.overdueTasks.map((task) => `- ${task.title} - due ${new Date(task.dueDate).toLocaleDateString()} (${task.priority || 'Medium'})`).join('\n')}
+` : ''}${data.taskSections.map((section) => `
+${section.title}:
+${section.items.map((item) => `- ${item.title}: ${item.message} (${new Date(item.createdAt).toLocaleString()})`).join('\n')}
+`).join('')}${data.otherItems.length ? `
+Other Updates:
+${data.otherItems.map((item) => `- ${item.title}: ${item.message} (${new Date(item.createdAt).toLocaleString()})`).join('\n')}
+` : ''}
+Open ${data.appName}: ${data.clientUrl}/dashboard
+
+Change how often you get this digest in your notification preferences.
+The ${data.appName} Team
+
+© ${new Date().getFullYear()} ${data.appName}. All rights reserved.
+This email was sent to ${data.email}
+  `
+};
+
 export default {
   welcome: welcomeTemplate,
   taskNotification: taskNotificationTemplate,
   announcement: announcementTemplate,
   passwordReset: passwordResetTemplate,
+  accountLocked: accountLockedTemplate,
   taskReminder: taskReminderTemplate,
   mention: mentionTemplate,
+  digest: digestTemplate,
 };
@@ -0,0 +1,65 @@
+import {
+  getLockoutDuration,
+  getLockoutMinutesRemaining,
+  isAccountLocked,
+  shouldLockAccount,
+} from "../../utils/accountLockout.js";
+import {
+  ACCOUNT_LOCKOUT_BASE_MINUTES,
+  ACCOUNT_LOCKOUT_MAX_MINUTES,
+  MAX_FAILED_LOGIN_ATTEMPTS,
+} from "../../utils/constants.js";
+
+const MINUTE = 60 * 1000;
+const now = new Date("2026-03-02T12:00:00Z");
+
+describe("Account lockout", () => {
+  describe("getLockoutDuration", () => {
+    it("should start at the base duration", () => {
+      expect(getLockoutDuration(1)).toBe(ACCOUNT_LOCKOUT_BASE_MINUTES * MINUTE);
+    });
+
+    it("should double with each consecutive lockout", () => {
+      expect(getLockoutDuration(2)).toBe(
+        2 * ACCOUNT_LOCKOUT_BASE_MINUTES * MINUTE
+      );
+      expect(getLockoutDuration(3)).toBe(
+        4 * ACCOUNT_LOCKOUT_BASE_MINUTES * MINUTE
+      );
+    });
+
+    it("should be capped at the maximum duration", () => {
+      expect(getLockoutDuration(50)).toBe(ACCOUNT_LOCKOUT_MAX_MINUTES * MINUTE);
+    });
+  });
+
+  describe("isAccountLocked", () => {
+    it("should be locked until lockedUntil passes", () => {
+      const lockedUntil = new Date(now.getTime() + MINUTE);
+      expect(isAccountLocked({ lockedUntil }, now)).toBe(true);
+      expect(isAccountLocked({ lockedUntil }, new Date(lockedUntil))).toBe(
+        false
+      );
+    });
+
+    it("should not be locked without lockedUntil", () => {
+      expect(isAccountLocked({ lockedUntil: null }, now)).toBe(false);
+      expect(isAccountLocked(null, now)).toBe(false);
+    });
+  });
+
+  describe("shouldLockAccount", () => {
+    it("should lock once the failure threshold is reached", () => {
+      expect(shouldLockAccount(MAX_FAILED_LOGIN_ATTEMPTS - 1)).toBe(false);
+      expect(shouldLockAccount(MAX_FAILED_LOGIN_ATTEMPTS)).toBe(true);
+    });
+  });
+
+  describe("getLockoutMinutesRemaining", () => {
+    it("should round up to whole minutes and never report zero", () => {
+      const lockedUntil = new Date(now.getTime() + 90 * 1000);
+      expect(getLockoutMinutesRemaining(lockedUntil, now)).toBe(2);
+      expect(getLockoutMinutesRemaining(now, now)).toBe(1);
+    });
+  });
+});
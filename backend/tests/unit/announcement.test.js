@@ -0,0 +1,68 @@
+import { assertCanAnnounce, getReadStats } from "../../utils/announcement.js";
+
+const user = (role, departmentId = "dept-a") => ({
+  role,
+  department: { _id: departmentId },
+});
+
+describe("Announcements", () => {
+  describe("assertCanAnnounce", () => {
+    it("should reject non-HOD senders", () => {
+      expect(() =>
+        assertCanAnnounce(user("Manager"), "departments", ["dept-a"])
+      ).toThrow("Only SuperAdmin and Admin users can send announcements");
+    });
+
+    it("should allow SuperAdmin to target the organization or any department", () => {
+      expect(() =>
+        assertCanAnnounce(user("SuperAdmin"), "organization")
+      ).not.toThrow();
+      expect(() =>
+        assertCanAnnounce(user("SuperAdmin"), "departments", [
+          "dept-a",
+          "dept-b",
+        ])
+      ).not.toThrow();
+    });
+
+    it("should restrict Admin to their own department", () => {
+      expect(() =>
+        assertCanAnnounce(user("Admin"), "departments", ["dept-a"])
+      ).not.toThrow();
+      expect(() =>
+        assertCanAnnounce(user("Admin"), "departments", ["dept-a", "dept-b"])
+      ).toThrow(
+        "Admin users can only send announcements to their own department"
+      );
+      expect(() => assertCanAnnounce(user("Admin"), "organization")).toThrow(
+        "Only SuperAdmin can send organization-wide announcements"
+      );
+    });
+  });
+
+  describe("getReadStats", () => {
+    it("should count each reading recipient once", () => {
+      const stats = getReadStats({
+        recipients: ["u1", "u2", "u3", "u4"],
+        readBy: [{ user: "u1" }, { user: "u2" }, { user: "u1" }],
+      });
+      expect(stats).toEqual({ recipientCount: 4, readCount: 2, readRate: 50 });
+    });
+
+    it("should ignore readers who are not recipients", () => {
+      const stats = getReadStats({
+        recipients: ["u1", "u2", "u3"],
+        readBy: [{ user: "u1" }, { user: "outsider" }],
+      });
+      expect(stats).toEqual({ recipientCount: 3, readCount: 1, readRate: 33 });
+    });
+
+    it("should return a null rate without a notification", () => {
+      expect(getReadStats(null)).toEqual({
+        recipientCount: 0,
+        readCount: 0,
+        readRate: null,
+      });
+    });
+  });
+});
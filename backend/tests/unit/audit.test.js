@@ -0,0 +1,128 @@
+import mongoose from "mongoose";
+import {
+  diffForAudit,
+  flattenForAudit,
+  toAuditSnapshot,
+  toAuditValue,
+} from "../../utils/audit.js";
+import { AUDIT_REDACTED_VALUE } from "../../utils/constants.js";
+
+describe("Audit", () => {
+  describe("toAuditValue", () => {
+    it("should store IDs and dates as strings", () => {
+      const id = new mongoose.Types.ObjectId();
+      const date = new Date("2026-03-02T12:00:00Z");
+      expect(toAuditValue({ id, date, list: [id] })).toEqual({
+        id: id.toString(),
+        date: "2026-03-02T12:00:00.000Z",
+        list: [id.toString()],
+      });
+    });
+
+    it("should store undefined as null", () => {
+      expect(toAuditValue(undefined)).toBeNull();
+      expect(toAuditValue({ a: undefined })).toEqual({ a: null });
+    });
+  });
+
+  describe("flattenForAudit", () => {
+    it("should flatten nested objects but keep arrays whole", () => {
+      expect(
+        flattenForAudit({ a: 1, b: { c: 2, d: { e: 3 } }, f: [{ g: 4 }] })
+      ).toEqual({ a: 1, "b.c": 2, "b.d.e": 3, f: [{ g: 4 }] });
+    });
+  });
+
+  describe("diffForAudit", () => {
+    it("should list changed fields only", () => {
+      expect(
+        diffForAudit(
+          { title: "Old", priority: "Low", tags: ["a"] },
+          { title: "New", priority: "Low", tags: ["a", "b"] }
+        )
+      ).toEqual([
+        { field: "tags", from: ["a"], to: ["a", "b"] },
+        { field: "title", from: "Old", to: "New" },
+      ]);
+    });
+
+    it("should diff nested fields by path", () => {
+      expect(
+        diffForAudit(
+          { address: { city: "Addis", zip: "1000" } },
+          { address: { city: "Adama", zip: "1000" } }
+        )
+      ).toEqual([{ field: "address.city", from: "Addis", to: "Adama" }]);
+    });
+
+    it("should record every set field of a created document", () => {
+      expect(
+        diffForAudit({}, { name: "Cement", tags: [], note: null })
+      ).toEqual([{ field: "name", from: null, to: "Cement" }]);
+    });
+
+    it("should compare IDs by value", () => {
+      const id = new mongoose.Types.ObjectId();
+      expect(
+        diffForAudit(
+          { vendor: id },
+          { vendor: new mongoose.Types.ObjectId(id) }
+        )
+      ).toEqual([]);
+    });
+
+    it("should skip bookkeeping fields", () => {
+      expect(
+        diffForAudit(
+          { updatedAt: new Date(0), __v: 1, lastLogin: null },
+          { updatedAt: new Date(), __v: 2, lastLogin: new Date() }
+        )
+      ).toEqual([]);
+    });
+
+    it("should redact secrets", () => {
+      expect(
+        diffForAudit(
+          { password: "hash-1", twoFactor: { enabled: false, secret: null } },
+          { password: "hash-2", twoFactor: { enabled: true, secret: "ABC" } }
+        )
+      ).toEqual([
+        {
+          field: "password",
+          from: AUDIT_REDACTED_VALUE,
+          to: AUDIT_REDACTED_VALUE,
+        },
+        { field: "twoFactor.enabled", from: false, to: true },
+        {
+          field: "twoFactor.secret",
+          from: AUDIT_REDACTED_VALUE,
+          to: AUDIT_REDACTED_VALUE,
+        },
+      ]);
+    });
+  });
+
+  describe("toAuditSnapshot", () => {
+    it("should reduce populated paths to IDs", () => {
+      const Owner = mongoose.model(
+        "AuditTestOwner",
+        new mongoose.Schema({ name: String })
+      );
+      const Item = mongoose.model(
+        "AuditTestItem",
+        new mongoose.Schema({
+          name: String,
+          owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "AuditTestOwner",
+          },
+        })
+      );
+      const owner = new Owner({ name: "Abebe" });
+      const item = new Item({ name: "Cement", owner });
+
+      expect(toAuditSnapshot(item).owner).toEqual(owner._id);
+      expect(toAuditSnapshot(null)).toEqual({});
+    });
+  });
+});
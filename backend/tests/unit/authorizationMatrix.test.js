@@ -58,6 +58,14 @@ describe("Authorization Matrix Utils", () => {
       const user = createMockUser("SuperAdmin", REGULAR_ORG_ID);
       expect(hasPermission(user, "Department", "read", "ownDept")).toBe(true);
     });
+
+    it("should only check the given context", () => {
+      const user = createMockUser("Admin", REGULAR_ORG_ID);
+      expect(hasPermission(user, "Material", "update", "ownDept")).toBe(true);
+      expect(hasPermission(user, "Material", "update", "crossDept")).toBe(
+        false
+      );
+    });
   });
 
   describe("getAllowedOperations", () => {
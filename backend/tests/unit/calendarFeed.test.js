@@ -0,0 +1,124 @@
+import {
+  buildCalendar,
+  buildTaskEvent,
+  escapeIcsText,
+  foldIcsLine,
+  formatIcsDateTime,
+  generateFeedToken,
+  hashFeedToken,
+} from "../../utils/calendarFeed.js";
+
+const options = {
+  timezone: "Africa/Addis_Ababa",
+  clientUrl: "https://tasks.example.com",
+  now: new Date("2026-03-01T08:00:00Z"),
+};
+
+const task = {
+  _id: "65f0c0ffee0000000000abcd",
+  taskType: "AssignedTask",
+  title: "Replace pump seals",
+  description: "Bring the spare kit",
+  status: "In Progress",
+  priority: "High",
+  // 23:00 UTC is already the next day in Addis Ababa (UTC+3)
+  dueDate: new Date("2026-03-04T23:00:00Z"),
+};
+
+describe("Calendar Feed", () => {
+  describe("feed tokens", () => {
+    it("should generate URL-safe tokens whose hash matches", () => {
+      const { token, tokenHash } = generateFeedToken();
+      expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(hashFeedToken(token)).toBe(tokenHash);
+      expect(generateFeedToken().token).not.toBe(token);
+    });
+  });
+
+  describe("escapeIcsText", () => {
+    it("should escape separators, backslashes and newlines", () => {
+      expect(escapeIcsText("a,b;c\\d\ne")).toBe("a\\,b\\;c\\\\d\\ne");
+    });
+  });
+
+  describe("foldIcsLine", () => {
+    it("should leave short lines alone", () => {
+      expect(foldIcsLine("SUMMARY:Short")).toBe("SUMMARY:Short");
+    });
+
+    it("should fold at 75 octets without splitting characters", () => {
+      const folded = foldIcsLine(`SUMMARY:${"é".repeat(60)}`);
+      const lines = folded.split("\r\n");
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach((line) => {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      });
+      expect(lines.slice(1).every((line) => line.startsWith(" "))).toBe(true);
+      expect(lines.map((line, i) => (i ? line.slice(1) : line)).join("")).toBe(
+        `SUMMARY:${"é".repeat(60)}`
+      );
+    });
+  });
+
+  describe("formatIcsDateTime", () => {
+    it("should format instants in UTC", () => {
+      expect(formatIcsDateTime("2026-03-02T12:34:56.789Z")).toBe(
+        "20260302T123456Z"
+      );
+    });
+  });
+
+  describe("buildTaskEvent", () => {
+    it("should put the task on its local due day with priority and link", () => {
+      const lines = buildTaskEvent(task, options);
+      expect(lines).toEqual(
+        expect.arrayContaining([
+          "UID:task-65f0c0ffee0000000000abcd@task-manager",
+          "DTSTAMP:20260301T080000Z",
+          "DTSTART;VALUE=DATE:20260305",
+          "DTEND;VALUE=DATE:20260306",
+          "SUMMARY:[High] Replace pump seals",
+          "URL:https://tasks.example.com/tasks/65f0c0ffee0000000000abcd",
+          "PRIORITY:3",
+        ])
+      );
+      const description = lines.find((line) => line.startsWith("DESCRIPTION:"));
+      expect(description).toContain("Bring the spare kit");
+      expect(description).toContain(
+        "https://tasks.example.com/tasks/65f0c0ffee0000000000abcd"
+      );
+    });
+
+    it("should use the date of routine tasks", () => {
+      const lines = buildTaskEvent(
+        {
+          _id: "r1",
+          taskType: "RoutineTask",
+          title: "Daily log",
+          status: "Completed",
+          priority: "Medium",
+          date: new Date("2026-02-27T10:00:00Z"),
+        },
+        options
+      );
+      expect(lines).toContain("DTSTART;VALUE=DATE:20260227");
+      expect(lines).toContain("SUMMARY:[Medium] Daily log (Completed)");
+    });
+
+    it("should skip tasks without a date", () => {
+      expect(buildTaskEvent({ ...task, dueDate: null }, options)).toBeNull();
+    });
+  });
+
+  describe("buildCalendar", () => {
+    it("should wrap events in a CRLF-terminated calendar", () => {
+      const ics = buildCalendar([buildTaskEvent(task, options), null], {
+        name: "Tasks",
+      });
+      expect(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+      expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+      expect(ics).toContain("X-WR-CALNAME:Tasks\r\n");
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import checklistPlugin, {
+  calculateChecklistProgress,
+} from "../../models/plugins/checklist.js";
+import { MAX_CHECKLIST_ITEMS } from "../../utils/constants.js";
+
+const ChecklistSchema = new mongoose.Schema({ title: String });
+ChecklistSchema.plugin(checklistPlugin);
+const ChecklistDoc = mongoose.model("ChecklistPluginTest", ChecklistSchema);
+
+describe("Checklist Plugin", () => {
+  describe("calculateChecklistProgress", () => {
+    it("should be undefined for an empty checklist", () => {
+      expect(calculateChecklistProgress([])).toBeUndefined();
+      expect(calculateChecklistProgress()).toBeUndefined();
+    });
+
+    it("should round the share of done items", () => {
+      expect(
+        calculateChecklistProgress([
+          { done: true },
+          { done: false },
+          { done: false },
+        ])
+      ).toBe(33);
+      expect(calculateChecklistProgress([{ done: true }, { done: true }])).toBe(
+        100
+      );
+    });
+  });
+
+  describe("schema", () => {
+    it("should default items to not done", () => {
+      const doc = new ChecklistDoc({ checklist: [{ title: "Order parts" }] });
+      expect(doc.checklist[0].done).toBe(false);
+      expect(doc.validateSync()).toBeUndefined();
+    });
+
+    it("should require an item title", () => {
+      const doc = new ChecklistDoc({ checklist: [{ done: true }] });
+      expect(doc.validateSync().errors["checklist.0.title"]).toBeDefined();
+    });
+
+    it("should limit the number of items", () => {
+      const doc = new ChecklistDoc({
+        checklist: Array.from({ length: MAX_CHECKLIST_ITEMS + 1 }, (_, i) => ({
+          title: `Item ${i}`,
+        })),
+      });
+      expect(doc.validateSync().errors.checklist).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import {
+  isDigestDue,
+  getDigestWindowStart,
+  groupDigestNotifications,
+} from "../../utils/digest.js";
+import { digestTemplate } from "../../templates/emailTemplates.js";
+
+const at = (iso) => new Date(iso);
+
+const preferences = (digestSchedule, timezone = "UTC") => ({
+  timezone,
+  digestSchedule: { time: "08:00", weekday: 1, ...digestSchedule },
+});
+
+describe("Notification digests", () => {
+  describe("isDigestDue", () => {
+    it("should not send when no digest is scheduled", () => {
+      expect(
+        isDigestDue(preferences({ frequency: "off" }), at("2026-03-02T09:00Z"))
+      ).toBe(false);
+    });
+
+    it("should send a daily digest once the local time has passed", () => {
+      const daily = preferences({ frequency: "daily" });
+      expect(isDigestDue(daily, at("2026-03-02T07:59Z"))).toBe(false);
+      expect(isDigestDue(daily, at("2026-03-02T08:00Z"))).toBe(true);
+    });
+
+    it("should send once per local day", () => {
+      const sentToday = preferences({
+        frequency: "daily",
+        lastSentAt: at("2026-03-02T08:05Z"),
+      });
+      expect(isDigestDue(sentToday, at("2026-03-02T20:00Z"))).toBe(false);
+      expect(isDigestDue(sentToday, at("2026-03-03T08:00Z"))).toBe(true);
+    });
+
+    it("should only send a weekly digest on the chosen weekday", () => {
+      const weekly = preferences({ frequency: "weekly", weekday: 1 });
+      // 2026-03-02 is a Monday
+      expect(isDigestDue(weekly, at("2026-03-02T09:00Z"))).toBe(true);
+      expect(isDigestDue(weekly, at("2026-03-03T09:00Z"))).toBe(false);
+    });
+
+    it("should use the user's timezone for the send time and day", () => {
+      // 05:30 UTC is 08:30 in Addis Ababa (UTC+3)
+      const daily = preferences({ frequency: "daily" }, "Africa/Addis_Ababa");
+      expect(isDigestDue(daily, at("2026-03-02T05:30Z"))).toBe(true);
+      expect(isDigestDue(daily, at("2026-03-02T04:30Z"))).toBe(false);
+    });
+  });
+
+  describe("getDigestWindowStart", () => {
+    const now = at("2026-03-09T08:00Z");
+
+    it("should start at the previous digest", () => {
+      const lastSentAt = at("2026-03-08T08:00Z");
+      expect(
+        getDigestWindowStart({ frequency: "daily", lastSentAt }, now)
+      ).toEqual(lastSentAt);
+    });
+
+    it("should cover one period for the first digest", () => {
+      expect(getDigestWindowStart({ frequency: "weekly" }, now)).toEqual(
+        at("2026-03-02T08:00Z")
+      );
+    });
+  });
+
+  describe("groupDigestNotifications", () => {
+    it("should group task notifications into one section per task", () => {
+      const tasksById = new Map([
+        [
+          "t1",
+          { title: "Fix pump", taskType: "AssignedTask", status: "To Do" },
+        ],
+      ]);
+      const { taskSections, otherItems } = groupDigestNotifications(
+        [
+          { title: "Task Updated", entity: "t1", entityModel: "AssignedTask" },
+          { title: "Low stock", entity: "m1", entityModel: "Material" },
+          {
+            title: "You were mentioned",
+            entity: "t1",
+            entityModel: "AssignedTask",
+          },
+        ],
+        tasksById
+      );
+
+      expect(taskSections).toHaveLength(1);
+      expect(taskSections[0].title).toBe("Fix pump");
+      expect(taskSections[0].items.map((i) => i.title)).toEqual([
+        "Task Updated",
+        "You were mentioned",
+      ]);
+      expect(otherItems.map((i) => i.title)).toEqual(["Low stock"]);
+    });
+  });
+
+  describe("digestTemplate", () => {
+    it("should render task sections and overdue items", () => {
+      const data = {
+        email: "a@example.com",
+        firstName: "Abebe",
+        appName: "TaskManager",
+        clientUrl: "http://localhost:3000",
+        frequency: "Daily",
+        since: at("2026-03-01T08:00Z"),
+        unreadCount: 1,
+        taskSections: [
+          {
+            taskId: "t1",
+            title: "Fix pump",
+            items: [
+              {
+                title: "Task Updated",
+                message: "Status changed",
+                createdAt: at("2026-03-01T10:00Z"),
+              },
+            ],
+          },
+        ],
+        otherItems: [],
+        overdueTasks: [
+          {
+            _id: "t2",
+            title: "Order valves",
+            dueDate: at("2026-02-28T00:00Z"),
+          },
+        ],
+      };
+
+      expect(digestTemplate.subject(data)).toContain("1 update, 1 overdue");
+      const html = digestTemplate.html(data);
+      expect(html).toContain("Fix pump");
+      expect(html).toContain("Order valves");
+      expect(digestTemplate.text(data)).toContain(
+        "- Task Updated: Status changed"
+      );
+    });
+  });
+});
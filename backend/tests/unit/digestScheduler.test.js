@@ -0,0 +1,83 @@
+import { jest } from "@jest/globals";
+import digestScheduler from "../../services/digestScheduler.js";
+import emailService from "../../services/emailService.js";
+import { BaseTask, Notification, User } from "../../models/index.js";
+
+const lastSentAt = new Date("2026-03-01T08:00:00Z");
+const now = new Date("2026-03-02T08:00:00Z");
+
+const user = {
+  _id: "u1",
+  email: "alice@example.com",
+  firstName: "Alice",
+  organization: { _id: "org1", name: "Acme" },
+  notificationPreferences: {
+    timezone: "UTC",
+    digestSchedule: { frequency: "daily", time: "08:00", lastSentAt },
+  },
+};
+
+// Chainable stand-in for a mongoose query resolving to result
+const query = (result) => {
+  const chain = {};
+  for (const method of ["select", "sort", "limit", "withDeleted"]) {
+    chain[method] = () => chain;
+  }
+  chain.lean = () => Promise.resolve(result);
+  return chain;
+};
+
+describe("Digest scheduler", () => {
+  beforeEach(() => {
+    jest.spyOn(User, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Notification, "find").mockReturnValue(query([]));
+    jest
+      .spyOn(BaseTask, "find")
+      .mockReturnValueOnce(
+        query([
+          {
+            _id: "t1",
+            title: "Replace pump seals",
+            taskType: "AssignedTask",
+            priority: "High",
+            dueDate: new Date("2026-02-27T00:00:00Z"),
+          },
+        ])
+      )
+      .mockReturnValueOnce(query([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should release the claimed period when the digest fails to queue", async () => {
+    jest
+      .spyOn(emailService, "queueEmail")
+      .mockRejectedValue(new Error("Queue unavailable"));
+
+    expect(await digestScheduler.sendDigest(user, now)).toBe(false);
+
+    expect(User.updateOne).toHaveBeenCalledTimes(2);
+    expect(User.updateOne).toHaveBeenLastCalledWith(
+      {
+        _id: "u1",
+        "notificationPreferences.digestSchedule.lastSentAt": now,
+      },
+      {
+        $set: {
+          "notificationPreferences.digestSchedule.lastSentAt": lastSentAt,
+        },
+      },
+      { timestamps: false }
+    );
+  });
+
+  it("should keep the claim once the digest is queued", async () => {
+    jest.spyOn(emailService, "queueEmail").mockResolvedValue("e1");
+
+    expect(await digestScheduler.sendDigest(user, now)).toBe(true);
+
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,22 @@
+import { getEmailRetryDelay } from "../../services/emailService.js";
+import {
+  EMAIL_RETRY_BASE_DELAY_MS,
+  EMAIL_RETRY_MAX_DELAY_MS,
+} from "../../utils/constants.js";
+
+describe("Email Service", () => {
+  describe("getEmailRetryDelay", () => {
+    it("should wait the base delay after the first attempt", () => {
+      expect(getEmailRetryDelay(1)).toBe(EMAIL_RETRY_BASE_DELAY_MS);
+    });
+
+    it("should double the delay for each further attempt", () => {
+      expect(getEmailRetryDelay(2)).toBe(EMAIL_RETRY_BASE_DELAY_MS * 2);
+      expect(getEmailRetryDelay(3)).toBe(EMAIL_RETRY_BASE_DELAY_MS * 4);
+    });
+
+    it("should never exceed the maximum delay", () => {
+      expect(getEmailRetryDelay(50)).toBe(EMAIL_RETRY_MAX_DELAY_MS);
+    });
+  });
+});
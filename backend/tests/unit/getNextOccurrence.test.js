@@ -0,0 +1,124 @@
+import { getNextOccurrence } from "../../utils/helpers.js";
+
+const utc = (value) => new Date(`${value}T00:00:00.000Z`);
+
+describe("getNextOccurrence", () => {
+  describe("Daily", () => {
+    it("should return the start date when searching from before it", () => {
+      const rule = { frequency: "Daily", startDate: utc("2025-03-10") };
+      expect(getNextOccurrence(rule, utc("2025-03-01"))).toEqual(
+        utc("2025-03-10")
+      );
+    });
+
+    it("should align to the interval counted from the start date", () => {
+      const rule = {
+        frequency: "Daily",
+        interval: 3,
+        startDate: utc("2025-03-10"),
+      };
+      expect(getNextOccurrence(rule, utc("2025-03-11"))).toEqual(
+        utc("2025-03-13")
+      );
+      expect(getNextOccurrence(rule, utc("2025-03-13"))).toEqual(
+        utc("2025-03-13")
+      );
+    });
+
+    it("should ignore the time of day", () => {
+      const rule = { frequency: "Daily", startDate: utc("2025-03-10") };
+      expect(
+        getNextOccurrence(rule, new Date("2025-03-12T17:45:00.000Z"))
+      ).toEqual(utc("2025-03-12"));
+    });
+  });
+
+  describe("Weekly", () => {
+    it("should return the next selected weekday", () => {
+      // 2025-03-10 is a Monday
+      const rule = {
+        frequency: "Weekly",
+        weekdays: [1, 3, 5],
+        startDate: utc("2025-03-10"),
+      };
+      expect(getNextOccurrence(rule, utc("2025-03-11"))).toEqual(
+        utc("2025-03-12")
+      );
+      expect(getNextOccurrence(rule, utc("2025-03-15"))).toEqual(
+        utc("2025-03-17")
+      );
+    });
+
+    it("should skip weeks outside the interval", () => {
+      const rule = {
+        frequency: "Weekly",
+        interval: 2,
+        weekdays: [1],
+        startDate: utc("2025-03-10"),
+      };
+      expect(getNextOccurrence(rule, utc("2025-03-11"))).toEqual(
+        utc("2025-03-24")
+      );
+    });
+
+    it("should default to the start date's weekday", () => {
+      const rule = { frequency: "Weekly", startDate: utc("2025-03-12") };
+      expect(getNextOccurrence(rule, utc("2025-03-13"))).toEqual(
+        utc("2025-03-19")
+      );
+    });
+  });
+
+  describe("Monthly", () => {
+    it("should repeat on the start date's day of month", () => {
+      const rule = { frequency: "Monthly", startDate: utc("2025-01-15") };
+      expect(getNextOccurrence(rule, utc("2025-01-16"))).toEqual(
+        utc("2025-02-15")
+      );
+    });
+
+    it("should clamp the day to the end of short months", () => {
+      const rule = {
+        frequency: "Monthly",
+        dayOfMonth: 31,
+        startDate: utc("2025-01-31"),
+      };
+      expect(getNextOccurrence(rule, utc("2025-02-01"))).toEqual(
+        utc("2025-02-28")
+      );
+    });
+
+    it("should respect the month interval", () => {
+      const rule = {
+        frequency: "Monthly",
+        interval: 3,
+        dayOfMonth: 1,
+        startDate: utc("2025-01-01"),
+      };
+      expect(getNextOccurrence(rule, utc("2025-01-02"))).toEqual(
+        utc("2025-04-01")
+      );
+    });
+  });
+
+  it("should return null once the end date has passed", () => {
+    const rule = {
+      frequency: "Daily",
+      startDate: utc("2025-03-10"),
+      endDate: utc("2025-03-12"),
+    };
+    expect(getNextOccurrence(rule, utc("2025-03-12"))).toEqual(
+      utc("2025-03-12")
+    );
+    expect(getNextOccurrence(rule, utc("2025-03-13"))).toBeNull();
+  });
+
+  it("should throw for an unsupported frequency", () => {
+    expect(() =>
+      getNextOccurrence(
+        { frequency: "Yearly", startDate: utc("2025-03-10") },
+        utc("2025-03-10")
+      )
+    ).toThrow("Unsupported recurrence frequency: Yearly");
+  });
+});
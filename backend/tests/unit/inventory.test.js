@@ -0,0 +1,120 @@
+import {
+  getConsumptionChanges,
+  canManageDepartmentStock,
+} from "../../utils/inventory.js";
+import { authorizationMatrix } from "../../utils/authorizationMatrix.js";
+
+const DEPT = "dept-a";
+const OTHER_DEPT = "dept-b";
+
+describe("Inventory", () => {
+  describe("getConsumptionChanges", () => {
+    it("should consume every material when nothing was consumed yet", () => {
+      const changes = getConsumptionChanges(
+        [],
+        [
+          { material: "m1", quantity: 3, unitPrice: 2 },
+          { material: "m2", quantity: 1.5, unitPrice: 10 },
+        ],
+        DEPT
+      );
+
+      expect(changes).toEqual([
+        { material: "m1", department: DEPT, quantity: -3, unitPrice: 2 },
+        { material: "m2", department: DEPT, quantity: -1.5, unitPrice: 10 },
+      ]);
+    });
+
+    it("should only move the difference when quantities change", () => {
+      const movements = [
+        { material: "m1", department: DEPT, quantity: -5, unitPrice: 2 },
+        { material: "m1", department: DEPT, quantity: 1, unitPrice: 2 },
+      ];
+
+      expect(
+        getConsumptionChanges(
+          movements,
+          [{ material: "m1", quantity: 6, unitPrice: 2 }],
+          DEPT
+        )
+      ).toEqual([
+        { material: "m1", department: DEPT, quantity: -2, unitPrice: 2 },
+      ]);
+
+      expect(
+        getConsumptionChanges(
+          movements,
+          [{ material: "m1", quantity: 1, unitPrice: 2 }],
+          DEPT
+        )
+      ).toEqual([
+        { material: "m1", department: DEPT, quantity: 3, unitPrice: 2 },
+      ]);
+    });
+
+    it("should return nothing when the ledger already matches", () => {
+      const changes = getConsumptionChanges(
+        [{ material: "m1", department: DEPT, quantity: -0.3, unitPrice: 1 }],
+        [
+          { material: "m1", quantity: 0.1, unitPrice: 1 },
+          { material: "m1", quantity: 0.2, unitPrice: 1 },
+        ],
+        DEPT
+      );
+
+      expect(changes).toEqual([]);
+    });
+
+    it("should return all consumed stock when materials are removed", () => {
+      const changes = getConsumptionChanges(
+        [
+          { material: "m1", department: DEPT, quantity: -4, unitPrice: 2 },
+          { material: "m2", department: OTHER_DEPT, quantity: -1, unitPrice: 5 },
+        ],
+        [],
+        DEPT
+      );
+
+      expect(changes).toEqual([
+        { material: "m1", department: DEPT, quantity: 4, unitPrice: 2 },
+        { material: "m2", department: OTHER_DEPT, quantity: 1, unitPrice: 5 },
+      ]);
+    });
+
+    it("should treat stock held by another department separately", () => {
+      const changes = getConsumptionChanges(
+        [{ material: "m1", department: OTHER_DEPT, quantity: -2, unitPrice: 1 }],
+        [{ material: "m1", quantity: 2, unitPrice: 1 }],
+        DEPT
+      );
+
+      expect(changes).toEqual([
+        { material: "m1", department: OTHER_DEPT, quantity: 2, unitPrice: 1 },
+        { material: "m1", department: DEPT, quantity: -2, unitPrice: 1 },
+      ]);
+    });
+  });
+
+  describe("canManageDepartmentStock", () => {
+    const admin = { role: "Admin", department: { _id: DEPT } };
+    const crossDept = authorizationMatrix.Material.Admin.org.crossDept;
+
+    afterEach(() => {
+      authorizationMatrix.Material.Admin.org.crossDept = crossDept;
+    });
+
+    it("should allow the caller's own or the material's default department", () => {
+      expect(canManageDepartmentStock(admin, DEPT)).toBe(true);
+      expect(canManageDepartmentStock(admin, undefined)).toBe(true);
+    });
+
+    it("should reject another department without crossDept update", () => {
+      expect(canManageDepartmentStock(admin, OTHER_DEPT)).toBe(false);
+    });
+
+    it("should allow another department with crossDept update", () => {
+      authorizationMatrix.Material.Admin.org.crossDept = ["read", "update"];
+      expect(canManageDepartmentStock(admin, OTHER_DEPT)).toBe(true);
+    });
+  });
+});
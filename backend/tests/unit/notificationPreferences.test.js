@@ -0,0 +1,146 @@
+import {
+  getPreferenceCategory,
+  isWithinQuietHours,
+  isChannelEnabled,
+  mergeNotificationPreferences,
+} from "../../utils/notificationPreferences.js";
+
+const at = (iso) => new Date(iso);
+
+const user = (notificationPreferences = {}, emailPreferences = {}) => ({
+  emailPreferences: {
+    enabled: true,
+    taskNotifications: true,
+    taskReminders: true,
+    mentions: true,
+    announcements: true,
+    welcomeEmails: true,
+    ...emailPreferences,
+  },
+  notificationPreferences,
+});
+
+const quiet = { enabled: true, start: "22:00", end: "07:00" };
+
+describe("Notification preferences", () => {
+  describe("getPreferenceCategory", () => {
+    it("should map actions and notification types to the same category", () => {
+      expect(getPreferenceCategory("USER_MENTIONED")).toBe("mentions");
+      expect(getPreferenceCategory("Mention")).toBe("mentions");
+      expect(getPreferenceCategory("TASK_REMINDER")).toBe("taskReminders");
+      expect(getPreferenceCategory("Reminder")).toBe("taskReminders");
+      expect(getPreferenceCategory("TASK_CREATED")).toBe("taskNotifications");
+      expect(getPreferenceCategory("LowStock")).toBe("taskNotifications");
+    });
+  });
+
+  describe("isWithinQuietHours", () => {
+    it("should handle windows that wrap midnight", () => {
+      const preferences = { timezone: "UTC", quietHours: quiet };
+      expect(isWithinQuietHours(preferences, at("2026-03-02T23:30:00Z"))).toBe(
+        true
+      );
+      expect(isWithinQuietHours(preferences, at("2026-03-02T06:59:00Z"))).toBe(
+        true
+      );
+      expect(isWithinQuietHours(preferences, at("2026-03-02T07:00:00Z"))).toBe(
+        false
+      );
+      expect(isWithinQuietHours(preferences, at("2026-03-02T12:00:00Z"))).toBe(
+        false
+      );
+    });
+
+    it("should evaluate the window in the user's timezone", () => {
+      const preferences = {
+        timezone: "Africa/Addis_Ababa",
+        quietHours: { enabled: true, start: "13:00", end: "14:00" },
+      };
+      // 10:30 UTC is 13:30 in Addis Ababa (UTC+3)
+      expect(isWithinQuietHours(preferences, at("2026-03-02T10:30:00Z"))).toBe(
+        true
+      );
+      expect(isWithinQuietHours(preferences, at("2026-03-02T13:30:00Z"))).toBe(
+        false
+      );
+    });
+
+    it("should be inactive when disabled", () => {
+      const preferences = { quietHours: { ...quiet, enabled: false } };
+      expect(isWithinQuietHours(preferences, at("2026-03-02T23:30:00Z"))).toBe(
+        false
+      );
+    });
+  });
+
+  describe("isChannelEnabled", () => {
+    const night = at("2026-03-02T23:30:00Z");
+    const noon = at("2026-03-02T12:00:00Z");
+
+    it("should default to in-app and email on and digest off", () => {
+      const u = user();
+      expect(isChannelEnabled(u, "TASK_CREATED", "inApp", noon)).toBe(true);
+      expect(isChannelEnabled(u, "TASK_CREATED", "email", noon)).toBe(true);
+      expect(isChannelEnabled(u, "TASK_CREATED", "digest", noon)).toBe(false);
+    });
+
+    it("should respect per-category channel toggles", () => {
+      const u = user(
+        { inApp: { mentions: false }, digest: { announcements: true } },
+        { announcements: false }
+      );
+      expect(isChannelEnabled(u, "Mention", "inApp", noon)).toBe(false);
+      expect(isChannelEnabled(u, "Created", "inApp", noon)).toBe(true);
+      expect(isChannelEnabled(u, "ANNOUNCEMENT", "email", noon)).toBe(false);
+    });
+
+    it("should only use the digest channel while a digest is scheduled", () => {
+      const digest = { mentions: true };
+      const off = user({ digest, digestSchedule: { frequency: "off" } });
+      const daily = user({ digest, digestSchedule: { frequency: "daily" } });
+      expect(isChannelEnabled(off, "Mention", "digest", noon)).toBe(false);
+      expect(isChannelEnabled(off, "Mention", "email", noon)).toBe(true);
+      expect(isChannelEnabled(daily, "Mention", "digest", noon)).toBe(true);
+      // Batched into the digest instead of an immediate email
+      expect(isChannelEnabled(daily, "Mention", "email", noon)).toBe(false);
+      expect(isChannelEnabled(daily, "TASK_CREATED", "email", noon)).toBe(
+        true
+      );
+    });
+
+    it("should skip email during quiet hours but not in-app", () => {
+      const u = user({ timezone: "UTC", quietHours: quiet });
+      expect(isChannelEnabled(u, "TASK_UPDATED", "email", night)).toBe(false);
+      expect(isChannelEnabled(u, "TASK_UPDATED", "email", noon)).toBe(true);
+      expect(isChannelEnabled(u, "TASK_UPDATED", "inApp", night)).toBe(true);
+    });
+
+    it("should send welcome emails during quiet hours", () => {
+      const u = user({ timezone: "UTC", quietHours: quiet });
+      expect(isChannelEnabled(u, "Welcome", "email", night)).toBe(true);
+    });
+
+    it("should send no email when the email master switch is off", () => {
+      const u = user({}, { enabled: false });
+      expect(isChannelEnabled(u, "TASK_CREATED", "email", noon)).toBe(false);
+    });
+  });
+
+  describe("mergeNotificationPreferences", () => {
+    it("should apply a partial update over existing settings", () => {
+      const merged = mergeNotificationPreferences(
+        { inApp: { mentions: false }, quietHours: quiet },
+        { digest: { taskReminders: true }, quietHours: { end: "06:30" } }
+      );
+      expect(merged.inApp.mentions).toBe(false);
+      expect(merged.inApp.announcements).toBe(true);
+      expect(merged.digest.taskReminders).toBe(true);
+      expect(merged.quietHours).toEqual({
+        enabled: true,
+        start: "22:00",
+        end: "06:30",
+      });
+      expect(merged.timezone).toBe("UTC");
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  getPresence,
+  getOrganizationPresence,
+  setSocketPresence,
+  removeSocketPresence,
+  getTaskViewers,
+  countViewedTasks,
+  joinTask,
+  leaveTask,
+  leaveAllTasks,
+  setTyping,
+} from "../../utils/presence.js";
+
+const viewer = (id) => ({ _id: id, firstName: id, lastName: "Test" });
+
+describe("Presence", () => {
+  describe("user status", () => {
+    it("should go online with the first socket and offline with the last", () => {
+      expect(setSocketPresence("u1", "org1", "s1")).toMatchObject({
+        userId: "u1",
+        status: "online",
+      });
+      // A second tab does not change the status
+      expect(setSocketPresence("u1", "org1", "s2")).toBeNull();
+      expect(removeSocketPresence("u1", "s1")).toBeNull();
+
+      const now = new Date("2026-03-02T12:00:00Z");
+      expect(removeSocketPresence("u1", "s2", now)).toEqual({
+        userId: "u1",
+        status: "offline",
+        lastSeen: now,
+      });
+    });
+
+    it("should be away only while every socket is idle", () => {
+      setSocketPresence("u2", "org1", "s3");
+      setSocketPresence("u2", "org1", "s4");
+
+      expect(setSocketPresence("u2", "org1", "s3", "away")).toBeNull();
+      expect(setSocketPresence("u2", "org1", "s4", "away").status).toBe("away");
+      expect(setSocketPresence("u2", "org1", "s3", "online").status).toBe(
+        "online"
+      );
+    });
+
+    it("should list connected users of one organization only", () => {
+      setSocketPresence("u3", "org2", "s5");
+      setSocketPresence("u4", "org3", "s6");
+
+      expect(getOrganizationPresence("org2").map((p) => p.userId)).toEqual([
+        "u3",
+      ]);
+      expect(getPresence("nobody").status).toBe("offline");
+    });
+
+    it("should ignore unknown sockets", () => {
+      expect(removeSocketPresence("u5", "missing")).toBeNull();
+    });
+  });
+
+  describe("task viewers", () => {
+    it("should list each viewing user once", () => {
+      joinTask("t1", "s10", viewer("a"));
+      joinTask("t1", "s11", viewer("a"));
+      joinTask("t1", "s12", viewer("b"));
+
+      expect(getTaskViewers("t1").map((v) => v._id)).toEqual(["a", "b"]);
+    });
+
+    it("should track typing per socket and report changes", () => {
+      joinTask("t2", "s20", viewer("c"));
+      joinTask("t2", "s21", viewer("c"));
+
+      expect(setTyping("t2", "s20", true)).toBe(true);
+      expect(setTyping("t2", "s20", true)).toBe(false);
+      expect(getTaskViewers("t2")).toEqual([{ ...viewer("c"), typing: true }]);
+      expect(setTyping("t2", "unknown", true)).toBe(false);
+    });
+
+    it("should drop a socket from all tasks when it disconnects", () => {
+      joinTask("t3", "s30", viewer("d"));
+      joinTask("t4", "s30", viewer("d"));
+      expect(countViewedTasks("s30")).toBe(2);
+
+      expect(leaveAllTasks("s30")).toEqual(["t3", "t4"]);
+      expect(getTaskViewers("t3")).toEqual([]);
+      expect(leaveTask("t3", "s30")).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  canTransitionPurchaseOrder,
+  getPurchaseOrderTotal,
+  formatPurchaseOrderNumber,
+  parsePurchaseOrderNumber,
+} from "../../utils/purchaseOrder.js";
+
+describe("Purchase Orders", () => {
+  describe("canTransitionPurchaseOrder", () => {
+    it("should follow Draft -> Approved -> Ordered -> Received", () => {
+      expect(canTransitionPurchaseOrder("Draft", "Approved")).toBe(true);
+      expect(canTransitionPurchaseOrder("Approved", "Ordered")).toBe(true);
+      expect(canTransitionPurchaseOrder("Ordered", "Received")).toBe(true);
+    });
+
+    it("should not skip steps or move backwards", () => {
+      expect(canTransitionPurchaseOrder("Draft", "Ordered")).toBe(false);
+      expect(canTransitionPurchaseOrder("Draft", "Received")).toBe(false);
+      expect(canTransitionPurchaseOrder("Ordered", "Approved")).toBe(false);
+    });
+
+    it("should allow cancelling only before receipt", () => {
+      expect(canTransitionPurchaseOrder("Draft", "Cancelled")).toBe(true);
+      expect(canTransitionPurchaseOrder("Ordered", "Cancelled")).toBe(true);
+      expect(canTransitionPurchaseOrder("Received", "Cancelled")).toBe(false);
+      expect(canTransitionPurchaseOrder("Cancelled", "Draft")).toBe(false);
+    });
+
+    it("should reject unknown statuses", () => {
+      expect(canTransitionPurchaseOrder("Unknown", "Approved")).toBe(false);
+    });
+  });
+
+  describe("getPurchaseOrderTotal", () => {
+    it("should sum quantity times unit price rounded to cents", () => {
+      expect(
+        getPurchaseOrderTotal([
+          { quantity: 3, unitPrice: 1.1 },
+          { quantity: 0.5, unitPrice: 10 },
+        ])
+      ).toBe(8.3);
+    });
+
+    it("should return zero for no items", () => {
+      expect(getPurchaseOrderTotal([])).toBe(0);
+      expect(getPurchaseOrderTotal(undefined)).toBe(0);
+    });
+  });
+
+  describe("order numbers", () => {
+    it("should zero-pad the sequence", () => {
+      expect(formatPurchaseOrderNumber(42)).toBe("PO-000042");
+    });
+
+    it("should parse a formatted order number", () => {
+      expect(parsePurchaseOrderNumber("PO-000042")).toBe(42);
+      expect(parsePurchaseOrderNumber(formatPurchaseOrderNumber(7))).toBe(7);
+    });
+
+    it("should return zero for missing or foreign numbers", () => {
+      expect(parsePurchaseOrderNumber(undefined)).toBe(0);
+      expect(parsePurchaseOrderNumber("INV-12")).toBe(0);
+      expect(parsePurchaseOrderNumber("PO-abc")).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import {
+  resolveSlaPolicy,
+  computeSlaDeadlines,
+  getNextPriority,
+  shouldRecountSlaDeadlines,
+  recountUnclaimedSlaDeadlines,
+  findSlaBreaches,
+  formatSlaMinutes,
+  describeSlaEscalation,
+} from "../../utils/sla.js";
+
+const DEPT = "64b000000000000000000001";
+const OTHER_DEPT = "64b000000000000000000002";
+
+describe("SLA helpers", () => {
+  describe("resolveSlaPolicy", () => {
+    const orgWide = { _id: "p1", priority: "High", department: null };
+    const deptOwn = { _id: "p2", priority: "High", department: DEPT };
+    const otherDept = { _id: "p3", priority: "High", department: OTHER_DEPT };
+
+    it("should prefer the department's own policy", () => {
+      const policies = [orgWide, deptOwn, otherDept];
+      expect(
+        resolveSlaPolicy(policies, { department: DEPT, priority: "High" })
+      ).toBe(deptOwn);
+    });
+
+    it("should fall back to the organization-wide policy", () => {
+      expect(
+        resolveSlaPolicy([orgWide, otherDept], {
+          department: DEPT,
+          priority: "High",
+        })
+      ).toBe(orgWide);
+    });
+
+    it("should ignore other priorities and inactive policies", () => {
+      const inactive = { ...deptOwn, isActive: false };
+      expect(
+        resolveSlaPolicy([inactive, { ...orgWide, priority: "Low" }], {
+          department: DEPT,
+          priority: "High",
+        })
+      ).toBeNull();
+    });
+  });
+
+  describe("computeSlaDeadlines", () => {
+    const createdAt = new Date("2026-01-01T00:00:00Z");
+
+    it("should count deadlines from creation", () => {
+      const deadlines = computeSlaDeadlines(
+        { _id: "p1", responseMinutes: 60, resolutionMinutes: 24 * 60 },
+        createdAt
+      );
+      expect(deadlines.policy).toBe("p1");
+      expect(deadlines.responseDueAt).toEqual(new Date("2026-01-01T01:00:00Z"));
+      expect(deadlines.resolutionDueAt).toEqual(
+        new Date("2026-01-02T00:00:00Z")
+      );
+    });
+
+    it("should leave unset targets and missing policies empty", () => {
+      expect(
+        computeSlaDeadlines({ _id: "p1", resolutionMinutes: 30 }, createdAt)
+          .responseDueAt
+      ).toBeNull();
+      expect(computeSlaDeadlines(null, createdAt)).toEqual({
+        policy: null,
+        responseDueAt: null,
+        resolutionDueAt: null,
+      });
+    });
+  });
+
+  describe("shouldRecountSlaDeadlines", () => {
+    it("should keep the deadlines of a task raised on escalation", () => {
+      expect(shouldRecountSlaDeadlines({ sla: { breaches: [] } })).toBe(true);
+      expect(shouldRecountSlaDeadlines({})).toBe(true);
+      expect(
+        shouldRecountSlaDeadlines({
+          sla: {
+            breaches: [
+              { target: "response", fromPriority: "Low", toPriority: "Medium" },
+            ],
+          },
+        })
+      ).toBe(false);
+    });
+  });
+
+  describe("recountUnclaimedSlaDeadlines", () => {
+    const createdAt = new Date("2026-03-02T08:00:00Z");
+    const task = {
+      status: "To Do",
+      createdAt,
+      sla: {
+        policy: "p1",
+        responseDueAt: new Date("2026-03-02T09:00:00Z"),
+        resolutionDueAt: new Date("2026-03-02T16:00:00Z"),
+        breaches: [{ target: "response" }],
+      },
+    };
+
+    it("should clear the open deadline when a breached task's policy is deleted", () => {
+      const sla = recountUnclaimedSlaDeadlines(task, null);
+      expect(sla).toEqual({
+        policy: null,
+        responseDueAt: task.sla.responseDueAt,
+        resolutionDueAt: null,
+      });
+      // Nothing left for the evaluator to pick up once resolution is overdue
+      expect(
+        findSlaBreaches(
+          { ...task, sla: { ...task.sla, ...sla } },
+          new Date("2026-03-03T08:00:00Z")
+        )
+      ).toEqual([]);
+    });
+
+    it("should recount only the targets not yet escalated", () => {
+      expect(
+        recountUnclaimedSlaDeadlines(task, {
+          _id: "p2",
+          responseMinutes: 30,
+          resolutionMinutes: 240,
+        })
+      ).toEqual({
+        policy: "p2",
+        responseDueAt: task.sla.responseDueAt,
+        resolutionDueAt: new Date("2026-03-02T12:00:00Z"),
+      });
+    });
+  });
+
+  describe("getNextPriority", () => {
+    it("should raise one level and stop at Urgent", () => {
+      expect(getNextPriority("Low")).toBe("Medium");
+      expect(getNextPriority("High")).toBe("Urgent");
+      expect(getNextPriority("Urgent")).toBeNull();
+      expect(getNextPriority("Unknown")).toBeNull();
+    });
+  });
+
+  describe("findSlaBreaches", () => {
+    const now = new Date("2026-01-02T12:00:00Z");
+    const past = new Date("2026-01-02T11:00:00Z");
+    const future = new Date("2026-01-02T13:00:00Z");
+
+    it("should report missed response and resolution", () => {
+      const task = {
+        status: "To Do",
+        sla: { responseDueAt: past, resolutionDueAt: past },
+      };
+      expect(findSlaBreaches(task, now)).toEqual(["response", "resolution"]);
+    });
+
+    it("should skip targets not yet due or already met", () => {
+      expect(
+        findSlaBreaches(
+          {
+            status: "In Progress",
+            sla: {
+              responseDueAt: past,
+              respondedAt: past,
+              resolutionDueAt: future,
+            },
+          },
+          now
+        )
+      ).toEqual([]);
+    });
+
+    it("should skip targets already escalated and completed tasks", () => {
+      const sla = {
+        responseDueAt: past,
+        resolutionDueAt: past,
+        breaches: [{ target: "response" }],
+      };
+      expect(findSlaBreaches({ status: "To Do", sla }, now)).toEqual([
+        "resolution",
+      ]);
+      expect(findSlaBreaches({ status: "Completed", sla }, now)).toEqual([]);
+      expect(findSlaBreaches({ status: "To Do" }, now)).toEqual([]);
+    });
+  });
+
+  describe("formatSlaMinutes", () => {
+    it("should format days, hours and minutes", () => {
+      expect(formatSlaMinutes(90)).toBe("1h 30m");
+      expect(formatSlaMinutes(24 * 60)).toBe("1d");
+      expect(formatSlaMinutes(24 * 60 + 5)).toBe("1d 5m");
+      expect(formatSlaMinutes(0)).toBe("0m");
+    });
+  });
+
+  describe("describeSlaEscalation", () => {
+    const policy = { responseMinutes: 60, resolutionMinutes: 24 * 60 };
+
+    it("should describe a raised and notified breach", () => {
+      expect(
+        describeSlaEscalation({
+          target: "response",
+          policy,
+          fromPriority: "High",
+          toPriority: "Urgent",
+          notified: true,
+        })
+      ).toBe(
+        "SLA breached: not started within 1h (High). Priority raised from High to Urgent; heads of department notified."
+      );
+    });
+
+    it("should describe a breach without escalation", () => {
+      expect(
+        describeSlaEscalation({
+          target: "resolution",
+          policy,
+          fromPriority: "Urgent",
+          toPriority: null,
+          notified: false,
+        })
+      ).toBe(
+        "SLA breached: not completed within 1d (Urgent). No escalation action."
+      );
+    });
+  });
+});
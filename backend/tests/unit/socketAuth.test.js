@@ -0,0 +1,80 @@
+import { jest } from "@jest/globals";
+import jwt from "jsonwebtoken";
+import { socketAuth } from "../../utils/socket.js";
+import { UserSession } from "../../models/index.js";
+import sessionService from "../../services/sessionService.js";
+
+const userSession = {
+  _id: "session-1",
+  currentJti: "jti-2",
+  previousJti: "jti-1",
+  rotatedAt: new Date(Date.now() - 60 * 60 * 1000),
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  revokedAt: null,
+};
+
+// Handshake with an expired access token, so the refresh token is used
+const handshakeSocket = (jti) => {
+  const payload = { userId: "user-1", sessionId: "session-1" };
+  const accessToken = jwt.sign(payload, process.env.JWT_ACCESS_SECRET, {
+    expiresIn: -10,
+  });
+  const refreshToken = jwt.sign(
+    { ...payload, jti },
+    process.env.JWT_REFRESH_SECRET
+  );
+  return {
+    handshake: {
+      headers: {
+        cookie: `access_token=${accessToken}; refresh_token=${refreshToken}`,
+      },
+    },
+  };
+};
+
+describe("Socket authentication", () => {
+  beforeEach(() => {
+    jest.spyOn(UserSession, "findOne").mockReturnValue({
+      select: () => Promise.resolve(userSession),
+    });
+    jest.spyOn(sessionService, "revokeSessions").mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should reject a superseded refresh token and revoke its session", async () => {
+    const socket = handshakeSocket("jti-1");
+    const next = jest.fn();
+
+    await socketAuth(socket, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: "Refresh token has already been used",
+      })
+    );
+    expect(sessionService.revokeSessions).toHaveBeenCalledWith(
+      { _id: "session-1" },
+      "Reuse"
+    );
+    expect(socket.user).toBeUndefined();
+  });
+
+  it("should reject a refresh token whose session has ended", async () => {
+    UserSession.findOne.mockReturnValue({
+      select: () => Promise.resolve({ ...userSession, revokedAt: new Date() }),
+    });
+    const socket = handshakeSocket("jti-2");
+    const next = jest.fn();
+
+    await socketAuth(socket, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "Session has ended" })
+    );
+    expect(sessionService.revokeSessions).not.toHaveBeenCalled();
+    expect(socket.user).toBeUndefined();
+  });
+});
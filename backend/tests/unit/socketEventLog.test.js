@@ -0,0 +1,86 @@
+import {
+  EVENT_LOG_EPOCH,
+  getCurrentSeq,
+  recordEvent,
+  getMissedEvents,
+} from "../../utils/socketEventLog.js";
+import {
+  SOCKET_EVENT_LOG_SIZE,
+  SOCKET_EVENT_LOG_MAX_AGE_MS,
+} from "../../utils/constants.js";
+
+const cursor = (lastSeq, extra = {}) => ({
+  epoch: EVENT_LOG_EPOCH,
+  lastSeq,
+  ...extra,
+});
+
+describe("Socket event log", () => {
+  it("should tag object payloads with their sequence", () => {
+    const { seq, payload } = recordEvent(["user:a"], "task:created", {
+      taskId: "t1",
+    });
+    expect(seq).toBe(getCurrentSeq());
+    expect(payload).toEqual({ taskId: "t1", _seq: seq });
+  });
+
+  it("should replay only missed events from the client's rooms", () => {
+    const start = getCurrentSeq();
+    recordEvent(["user:b"], "notification:created", { n: 1 });
+    recordEvent(["org:other"], "task:updated", { n: 2 });
+    recordEvent(["dept:b", "user:x"], "comment:created", { n: 3 });
+
+    const { resync, events } = getMissedEvents(
+      ["user:b", "dept:b"],
+      cursor(start)
+    );
+    expect(resync).toBe(false);
+    expect(events.map((e) => e.event)).toEqual([
+      "notification:created",
+      "comment:created",
+    ]);
+    expect(events[1].payload).toEqual({ n: 3, _seq: start + 3 });
+  });
+
+  it("should not replay events the client will receive live", () => {
+    const start = getCurrentSeq();
+    recordEvent(["user:c"], "a", {});
+    const untilSeq = getCurrentSeq();
+    recordEvent(["user:c"], "b", {});
+
+    const { events } = getMissedEvents(["user:c"], cursor(start, { untilSeq }));
+    expect(events.map((e) => e.event)).toEqual(["a"]);
+  });
+
+  it("should ask for a resync after a restart", () => {
+    expect(
+      getMissedEvents(["user:d"], { epoch: "previous", lastSeq: 0 }).resync
+    ).toBe(true);
+    expect(
+      getMissedEvents(["user:d"], cursor(getCurrentSeq() + 5)).resync
+    ).toBe(true);
+  });
+
+  it("should ask for a resync when missed events were dropped", () => {
+    const start = getCurrentSeq();
+    for (let i = 0; i <= SOCKET_EVENT_LOG_SIZE; i++) {
+      recordEvent(["org:busy"], "task:updated", { i });
+    }
+    expect(getMissedEvents(["org:busy"], cursor(start)).resync).toBe(true);
+
+    // A client that saw the dropped event can still catch up
+    expect(getMissedEvents(["org:busy"], cursor(start + 1)).resync).toBe(false);
+  });
+
+  it("should drop events older than the maximum age", () => {
+    const now = Date.now();
+    const start = getCurrentSeq();
+    recordEvent(["user:e"], "old", {}, now);
+    recordEvent(["user:e"], "new", {}, now + SOCKET_EVENT_LOG_MAX_AGE_MS + 1);
+
+    expect(getMissedEvents(["user:e"], cursor(start)).resync).toBe(true);
+    expect(
+      getMissedEvents(["user:e"], cursor(start + 1)).events.map((e) => e.event)
+    ).toEqual(["new"]);
+  });
+});
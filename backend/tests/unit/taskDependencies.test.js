@@ -0,0 +1,45 @@
+import { findDependencyCycle } from "../../utils/taskDependencies.js";
+
+// Graph of blockedBy links: key is blocked by each ID in its list
+const graphOf = (edges) => new Map(Object.entries(edges));
+
+describe("Task Dependencies", () => {
+  describe("findDependencyCycle", () => {
+    it("should reject a task blocking itself", () => {
+      expect(findDependencyCycle("a", "a", graphOf({}))).toEqual(["a"]);
+    });
+
+    it("should allow a link between unrelated tasks", () => {
+      const graph = graphOf({ a: ["c"], b: [], c: [] });
+      expect(findDependencyCycle("a", "b", graph)).toBeNull();
+    });
+
+    it("should detect a direct cycle", () => {
+      // b is blocked by a, so a cannot be blocked by b
+      const graph = graphOf({ b: ["a"] });
+      expect(findDependencyCycle("a", "b", graph)).toEqual(["b", "a"]);
+    });
+
+    it("should detect an indirect cycle and return its path", () => {
+      const graph = graphOf({ d: ["c"], c: ["b"], b: ["a"] });
+      expect(findDependencyCycle("a", "d", graph)).toEqual([
+        "d",
+        "c",
+        "b",
+        "a",
+      ]);
+    });
+
+    it("should allow diamonds that do not loop back", () => {
+      const graph = graphOf({ d: ["b", "c"], b: ["a"], c: ["a"], a: [] });
+      expect(findDependencyCycle("e", "d", graph)).toBeNull();
+      expect(findDependencyCycle("d", "a", graph)).toBeNull();
+    });
+
+    it("should accept ObjectId-like values", () => {
+      const id = (value) => ({ toString: () => value });
+      const graph = graphOf({ b: [id("a")] });
+      expect(findDependencyCycle(id("a"), id("b"), graph)).toEqual(["b", "a"]);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { parseReminderOffsets } from "../../services/taskReminderService.js";
+
+describe("Task Reminder Service", () => {
+  describe("parseReminderOffsets", () => {
+    it("should parse offsets and sort them nearest first", () => {
+      const offsets = parseReminderOffsets("24h,1h,30m");
+      expect(offsets.map((o) => o.key)).toEqual(["30m", "1h", "24h"]);
+      expect(offsets.map((o) => o.ms)).toEqual([
+        30 * 60 * 1000,
+        60 * 60 * 1000,
+        24 * 60 * 60 * 1000,
+      ]);
+    });
+
+    it("should build human readable labels", () => {
+      const [oneHour, twoDays] = parseReminderOffsets("1h, 2d");
+      expect(oneHour.label).toBe("1 hour");
+      expect(twoDays.label).toBe("2 days");
+    });
+
+    it("should ignore blanks, case and duplicates", () => {
+      const offsets = parseReminderOffsets(" 1H, ,1h,");
+      expect(offsets).toHaveLength(1);
+      expect(offsets[0].key).toBe("1h");
+    });
+
+    it("should return no offsets for an empty value", () => {
+      expect(parseReminderOffsets("")).toEqual([]);
+      expect(parseReminderOffsets(undefined)).toEqual([]);
+    });
+
+    it("should reject invalid offsets", () => {
+      expect(() => parseReminderOffsets("24x")).toThrow(
+        'Invalid task reminder offset: "24x"'
+      );
+      expect(() => parseReminderOffsets("0h")).toThrow();
+      expect(() => parseReminderOffsets("-1h")).toThrow();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { validationResult } from "express-validator";
+import { validateGetTaskSchedule } from "../../middlewares/validators/taskValidators.js";
+import { MAX_SCHEDULE_RANGE_DAYS } from "../../utils/constants.js";
+
+// Run the validation chains without handleValidationErrors
+const runSchedule = async (query) => {
+  const req = { query };
+  for (const chain of validateGetTaskSchedule.slice(0, -1)) {
+    await chain.run(req);
+  }
+  return {
+    req,
+    errors: validationResult(req)
+      .array()
+      .map((error) => error.msg),
+  };
+};
+
+describe("Task Schedule", () => {
+  describe("validateGetTaskSchedule", () => {
+    it("should require both ends of the window", async () => {
+      const { errors } = await runSchedule({});
+      expect(errors).toEqual(["from is required", "to is required"]);
+    });
+
+    it("should reject a window that ends before it starts", async () => {
+      const { errors } = await runSchedule({
+        from: "2026-03-10",
+        to: "2026-03-01",
+      });
+      expect(errors).toEqual(["from must be before to"]);
+    });
+
+    it("should cap the window length", async () => {
+      const { errors } = await runSchedule({
+        from: "2025-01-01",
+        to: "2026-03-01",
+      });
+      expect(errors).toEqual([
+        `Schedule window cannot exceed ${MAX_SCHEDULE_RANGE_DAYS} days`,
+      ]);
+    });
+
+    it("should reject unknown task types", async () => {
+      const { errors } = await runSchedule({
+        from: "2026-03-01",
+        to: "2026-03-31",
+        taskType: "BaseTask",
+      });
+      expect(errors).toHaveLength(1);
+    });
+
+    it("should build the validated query with dates", async () => {
+      const { req, errors } = await runSchedule({
+        from: "2026-03-01T00:00:00.000Z",
+        to: "2026-04-11T23:59:59.999Z",
+        taskType: "ProjectTask",
+      });
+      expect(errors).toEqual([]);
+      expect(req.validated.query).toEqual({
+        from: new Date("2026-03-01T00:00:00.000Z"),
+        to: new Date("2026-04-11T23:59:59.999Z"),
+        taskType: "ProjectTask",
+        status: undefined,
+        departmentId: undefined,
+        assigneeId: undefined,
+      });
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import {
+  buildTimesheet,
+  buildTimesheetCsv,
+  calculateDurationMinutes,
+  calculateTimeCost,
+  escapeCsvCell,
+  getTimeCostChange,
+  getTimesheetDays,
+  getTimesheetWindow,
+} from "../../utils/timeTracking.js";
+import { MAX_TIME_ENTRY_MINUTES } from "../../utils/constants.js";
+
+const alice = {
+  _id: "u1",
+  firstName: "Alice",
+  lastName: "Bekele",
+  department: { name: "Maintenance" },
+};
+const bob = {
+  _id: "u2",
+  firstName: "Bob",
+  lastName: "Abebe",
+  department: { name: "Maintenance" },
+};
+const pump = {
+  _id: "t1",
+  title: "Replace pump seals",
+  taskType: "ProjectTask",
+};
+
+const entries = [
+  // 22:30 UTC Monday is already Tuesday in Addis Ababa (UTC+3)
+  {
+    user: alice,
+    task: pump,
+    startedAt: new Date("2026-03-02T22:30:00Z"),
+    durationMinutes: 90,
+    cost: 30,
+  },
+  {
+    user: alice,
+    task: pump,
+    startedAt: new Date("2026-03-03T08:00:00Z"),
+    durationMinutes: 30,
+    cost: 10,
+  },
+  {
+    user: bob,
+    task: null,
+    startedAt: new Date("2026-03-08T10:00:00Z"),
+    durationMinutes: 60,
+    cost: 25.5,
+  },
+  // The following Monday, outside the week
+  {
+    user: bob,
+    task: pump,
+    startedAt: new Date("2026-03-09T10:00:00Z"),
+    durationMinutes: 45,
+    cost: 5,
+  },
+];
+
+const options = { weekStart: "2026-03-02", timezone: "Africa/Addis_Ababa" };
+
+describe("Time Tracking", () => {
+  describe("calculateDurationMinutes", () => {
+    it("should round to whole minutes", () => {
+      expect(
+        calculateDurationMinutes("2026-03-02T08:00:00Z", "2026-03-02T09:15:40Z")
+      ).toBe(76);
+    });
+
+    it("should cap forgotten timers and never go negative", () => {
+      expect(
+        calculateDurationMinutes("2026-03-01T08:00:00Z", "2026-03-04T08:00:00Z")
+      ).toBe(MAX_TIME_ENTRY_MINUTES);
+      expect(
+        calculateDurationMinutes("2026-03-02T09:00:00Z", "2026-03-02T08:00:00Z")
+      ).toBe(0);
+    });
+  });
+
+  describe("calculateTimeCost", () => {
+    it("should cost minutes at the hourly rate, rounded to cents", () => {
+      expect(calculateTimeCost(50, 20)).toBe(16.67);
+      expect(calculateTimeCost(90, 0)).toBe(0);
+    });
+  });
+
+  describe("getTimeCostChange", () => {
+    it("should cost a finished entry only if the task tracks time cost", () => {
+      expect(getTimeCostChange(null, { cost: 20 }, true)).toEqual({
+        delta: 20,
+        costApplied: true,
+      });
+      expect(getTimeCostChange(null, { cost: 20 }, false)).toEqual({
+        delta: 0,
+        costApplied: false,
+      });
+    });
+
+    it("should adjust an applied cost by the change", () => {
+      expect(
+        getTimeCostChange({ cost: 20, costApplied: true }, { cost: 12.5 }, true)
+      ).toEqual({ delta: -7.5, costApplied: true });
+    });
+
+    it("should only take off costs that were applied after trackTimeCost is toggled", () => {
+      // Logged while tracking was off, deleted after it was turned on
+      expect(
+        getTimeCostChange({ cost: 20, costApplied: false }, null, true)
+      ).toEqual({ delta: 0, costApplied: false });
+      // Logged while tracking was on, edited and deleted after it was turned off
+      expect(
+        getTimeCostChange({ cost: 20, costApplied: true }, { cost: 30 }, false)
+      ).toEqual({ delta: 10, costApplied: true });
+      expect(
+        getTimeCostChange({ cost: 30, costApplied: true }, null, false)
+      ).toEqual({ delta: -30, costApplied: false });
+    });
+  });
+
+  describe("timesheet week", () => {
+    it("should list the seven local dates, across month ends", () => {
+      expect(getTimesheetDays("2026-02-26")).toEqual([
+        "2026-02-26",
+        "2026-02-27",
+        "2026-02-28",
+        "2026-03-01",
+        "2026-03-02",
+        "2026-03-03",
+        "2026-03-04",
+      ]);
+    });
+
+    it("should pad the query window to cover every timezone", () => {
+      const { from, to } = getTimesheetWindow("2026-03-02");
+      expect(from.toISOString()).toBe("2026-03-01T10:00:00.000Z");
+      expect(to.toISOString()).toBe("2026-03-09T14:00:00.000Z");
+    });
+  });
+
+  describe("buildTimesheet", () => {
+    it("should bucket entries by local day per user and task", () => {
+      const timesheet = buildTimesheet(entries, options);
+
+      expect(timesheet.rows).toHaveLength(2);
+      const [aliceRow, bobRow] = timesheet.rows;
+      expect(aliceRow.user).toEqual({
+        _id: "u1",
+        fullName: "Alice Bekele",
+        department: "Maintenance",
+      });
+      expect(aliceRow.minutes).toEqual([0, 120, 0, 0, 0, 0, 0]);
+      expect(aliceRow.totalMinutes).toBe(120);
+      expect(bobRow.task).toBeNull();
+      expect(bobRow.minutes[6]).toBe(60);
+      expect(timesheet.dayTotals).toEqual([0, 120, 0, 0, 0, 0, 60]);
+      expect(timesheet.totalMinutes).toBe(180);
+      expect(timesheet).not.toHaveProperty("totalCost");
+      expect(aliceRow).not.toHaveProperty("cost");
+    });
+
+    it("should add costs when asked", () => {
+      const timesheet = buildTimesheet(entries, {
+        ...options,
+        includeCost: true,
+      });
+      expect(timesheet.rows.map((row) => row.cost)).toEqual([40, 25.5]);
+      expect(timesheet.totalCost).toBe(65.5);
+    });
+  });
+
+  describe("CSV export", () => {
+    it("should neutralize formulas and quote separators", () => {
+      expect(escapeCsvCell("=SUM(A1)")).toBe("'=SUM(A1)");
+      expect(escapeCsvCell('Fix "A", then B')).toBe('"Fix ""A"", then B"');
+      expect(escapeCsvCell(null)).toBe("");
+    });
+
+    it("should render hours per day with a totals row", () => {
+      const csv = buildTimesheetCsv(
+        buildTimesheet(entries, { ...options, includeCost: true })
+      );
+      const lines = csv.trimEnd().split("\r\n");
+
+      expect(lines[0]).toBe(
+        "User,Department,Task,Task Type,2026-03-02,2026-03-03,2026-03-04,2026-03-05,2026-03-06,2026-03-07,2026-03-08,Total Hours,Cost"
+      );
+      expect(lines[1]).toBe(
+        "Alice Bekele,Maintenance,Replace pump seals,ProjectTask,0.00,2.00,0.00,0.00,0.00,0.00,0.00,2.00,40.00"
+      );
+      expect(lines[2]).toContain("Bob Abebe,Maintenance,Deleted task,,");
+      expect(lines[3]).toBe(
+        "Total,,,,0.00,2.00,0.00,0.00,0.00,0.00,1.00,3.00,65.50"
+      );
+    });
+  });
+});
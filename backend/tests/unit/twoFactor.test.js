@@ -0,0 +1,125 @@
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  generateTotp,
+  getTotpStep,
+  hashRecoveryCode,
+  isTwoFactorRequired,
+  verifyTotp,
+} from "../../utils/twoFactor.js";
+import { TWO_FACTOR_RECOVERY_CODE_COUNT } from "../../utils/constants.js";
+
+// RFC 6238 test secret "12345678901234567890"
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("Two-factor authentication", () => {
+  describe("base32", () => {
+    it("should encode the RFC test secret", () => {
+      expect(base32Encode(Buffer.from("12345678901234567890"))).toBe(SECRET);
+    });
+
+    it("should decode regardless of case, spaces and padding", () => {
+      expect(base32Decode("gezd gnbv gy3t qojq====").toString()).toBe(
+        "1234567890"
+      );
+    });
+  });
+
+  describe("generateTotp", () => {
+    it("should match the RFC 6238 SHA-1 vectors", () => {
+      const at = (seconds) => getTotpStep(new Date(seconds * 1000));
+      expect(generateTotp(SECRET, at(59))).toBe("287082");
+      expect(generateTotp(SECRET, at(1111111109))).toBe("081804");
+      expect(generateTotp(SECRET, at(1234567890))).toBe("005924");
+    });
+  });
+
+  describe("verifyTotp", () => {
+    const now = new Date(1111111109 * 1000);
+    const step = getTotpStep(now);
+
+    it("should accept the current code and return its step", () => {
+      expect(verifyTotp(SECRET, "081804", { now })).toBe(step);
+    });
+
+    it("should accept a code from the neighbouring step for clock drift", () => {
+      const code = generateTotp(SECRET, step - 1);
+      expect(verifyTotp(SECRET, code, { now })).toBe(step - 1);
+    });
+
+    it("should reject codes outside the window", () => {
+      const code = generateTotp(SECRET, step - 3);
+      expect(verifyTotp(SECRET, code, { now })).toBeNull();
+    });
+
+    it("should refuse a code that was already used", () => {
+      expect(
+        verifyTotp(SECRET, "081804", { now, lastUsedStep: step })
+      ).toBeNull();
+    });
+
+    it("should reject malformed codes", () => {
+      expect(verifyTotp(SECRET, "12345", { now })).toBeNull();
+      expect(verifyTotp(SECRET, "abcdef", { now })).toBeNull();
+      expect(verifyTotp(null, "081804", { now })).toBeNull();
+    });
+  });
+
+  describe("buildOtpauthUrl", () => {
+    it("should build a provisioning URI for authenticator apps", () => {
+      const url = buildOtpauthUrl({
+        secret: SECRET,
+        accountName: "admin@example.com",
+        issuer: "Task Manager",
+      });
+      expect(url).toMatch(
+        /^otpauth:\/\/totp\/Task%20Manager%3Aadmin%40example\.com\?/
+      );
+      expect(url).toContain(`secret=${SECRET}`);
+      expect(url).toContain("digits=6");
+    });
+  });
+
+  describe("recovery codes", () => {
+    it("should generate unique codes with matching hashes", () => {
+      const { codes, hashes } = generateRecoveryCodes();
+      expect(codes).toHaveLength(TWO_FACTOR_RECOVERY_CODE_COUNT);
+      expect(new Set(codes).size).toBe(codes.length);
+      codes.forEach((code, index) => {
+        expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        expect(hashes[index]).toBe(hashRecoveryCode(code));
+      });
+    });
+
+    it("should ignore case, dashes and spaces when hashing", () => {
+      expect(hashRecoveryCode(" ABCDE 12345 ")).toBe(
+        hashRecoveryCode("abcde-12345")
+      );
+    });
+  });
+
+  describe("isTwoFactorRequired", () => {
+    const organization = { requireTwoFactor: true };
+
+    it("should require the second step once enrolled", () => {
+      expect(
+        isTwoFactorRequired({ role: "Admin", twoFactor: { enabled: true } })
+      ).toBe(true);
+    });
+
+    it("should enforce the organization setting for admin roles only", () => {
+      expect(isTwoFactorRequired({ role: "SuperAdmin", organization })).toBe(
+        true
+      );
+      expect(isTwoFactorRequired({ role: "User", organization })).toBe(false);
+      expect(
+        isTwoFactorRequired({
+          role: "Admin",
+          organization: { requireTwoFactor: false },
+        })
+      ).toBe(false);
+    });
+  });
+});
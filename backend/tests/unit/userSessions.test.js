@@ -0,0 +1,89 @@
+import {
+  describeUserAgent,
+  getRefreshTokenState,
+  isSessionActive,
+} from "../../utils/userSessions.js";
+import { REFRESH_TOKEN_REUSE_GRACE_MS } from "../../utils/constants.js";
+
+const now = new Date("2026-03-02T12:00:00Z");
+
+const session = (overrides = {}) => ({
+  currentJti: "jti-2",
+  previousJti: "jti-1",
+  rotatedAt: new Date(now.getTime() - 5 * 1000),
+  expiresAt: new Date("2026-03-09T12:00:00Z"),
+  revokedAt: null,
+  ...overrides,
+});
+
+describe("User sessions", () => {
+  describe("getRefreshTokenState", () => {
+    it("should accept only the current token for rotation", () => {
+      expect(getRefreshTokenState(session(), "jti-2", now)).toBe("active");
+    });
+
+    it("should tolerate the previous token right after a rotation", () => {
+      expect(getRefreshTokenState(session(), "jti-1", now)).toBe("grace");
+    });
+
+    it("should flag the previous token as reuse once the grace period ends", () => {
+      const rotatedAt = new Date(
+        now.getTime() - REFRESH_TOKEN_REUSE_GRACE_MS - 1
+      );
+      expect(getRefreshTokenState(session({ rotatedAt }), "jti-1", now)).toBe(
+        "reuse"
+      );
+    });
+
+    it("should flag older tokens and tokens without an ID as reuse", () => {
+      expect(getRefreshTokenState(session(), "jti-0", now)).toBe("reuse");
+      expect(getRefreshTokenState(session(), undefined, now)).toBe("reuse");
+    });
+
+    it("should reject tokens of revoked, missing or expired sessions", () => {
+      const revoked = session({ revokedAt: now });
+      const expired = session({ expiresAt: now });
+      expect(getRefreshTokenState(revoked, "jti-2", now)).toBe("revoked");
+      expect(getRefreshTokenState(null, "jti-2", now)).toBe("revoked");
+      expect(getRefreshTokenState(expired, "jti-2", now)).toBe("expired");
+    });
+  });
+
+  describe("isSessionActive", () => {
+    it("should be active until revoked or expired", () => {
+      expect(isSessionActive(session(), now)).toBe(true);
+      expect(isSessionActive(session({ revokedAt: now }), now)).toBe(false);
+      expect(isSessionActive(session({ expiresAt: now }), now)).toBe(false);
+      expect(isSessionActive(null, now)).toBe(false);
+    });
+  });
+
+  describe("describeUserAgent", () => {
+    it("should name the browser and operating system", () => {
+      expect(
+        describeUserAgent(
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36"
+        )
+      ).toEqual({
+        browser: "Chrome",
+        os: "Windows",
+        device: "Chrome on Windows",
+      });
+      expect(
+        describeUserAgent(
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0"
+        ).browser
+      ).toBe("Edge");
+      expect(
+        describeUserAgent(
+          "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1"
+        ).device
+      ).toBe("Safari on iOS");
+    });
+
+    it("should fall back for unknown or missing user agents", () => {
+      expect(describeUserAgent("curl/8.5.0").device).toBe("Unknown device");
+      expect(describeUserAgent(undefined).device).toBe("Unknown device");
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  buildVendorScorecard,
+  getBaselineEstimate,
+} from "../../utils/vendorScorecard.js";
+
+const task = (overrides = {}) => ({
+  status: "Completed",
+  startDate: "2024-01-01T00:00:00Z",
+  dueDate: "2024-01-11T00:00:00Z",
+  completedAt: "2024-01-06T00:00:00Z",
+  estimatedCost: 0,
+  actualCost: 0,
+  costHistory: [],
+  ...overrides,
+});
+
+describe("Vendor Scorecard", () => {
+  describe("getBaselineEstimate", () => {
+    it("should use the first estimate recorded in cost history", () => {
+      expect(
+        getBaselineEstimate({
+          estimatedCost: 150,
+          costHistory: [
+            { fieldChanged: "actualCost", newValue: 90 },
+            { fieldChanged: "estimatedCost", newValue: 100 },
+            { fieldChanged: "estimatedCost", newValue: 150 },
+          ],
+        })
+      ).toBe(100);
+    });
+
+    it("should fall back to the current estimate", () => {
+      expect(getBaselineEstimate({ estimatedCost: 80 })).toBe(80);
+      expect(getBaselineEstimate({})).toBe(0);
+    });
+  });
+
+  describe("buildVendorScorecard", () => {
+    it("should count active and completed tasks", () => {
+      const scorecard = buildVendorScorecard([
+        task(),
+        task({ status: "In Progress", completedAt: undefined }),
+        task({ status: "To Do", completedAt: undefined }),
+      ]);
+
+      expect(scorecard.totalTasks).toBe(3);
+      expect(scorecard.activeTasks).toBe(2);
+      expect(scorecard.completedTasks).toBe(1);
+    });
+
+    it("should rate on-time completion against the due date", () => {
+      const scorecard = buildVendorScorecard([
+        task(),
+        task({ completedAt: "2024-01-20T00:00:00Z" }),
+        task({ completedAt: undefined, updatedAt: "2024-01-02T00:00:00Z" }),
+      ]);
+
+      expect(scorecard.onTimeRate).toBe(66.7);
+    });
+
+    it("should average cost variance per task against the baseline", () => {
+      const scorecard = buildVendorScorecard([
+        task({
+          estimatedCost: 120,
+          actualCost: 110,
+          costHistory: [{ fieldChanged: "estimatedCost", newValue: 100 }],
+        }),
+        task({ estimatedCost: 200, actualCost: 180 }),
+        task({ estimatedCost: 50, actualCost: 0 }),
+      ]);
+
+      expect(scorecard.costVariancePercent).toBe(0);
+    });
+
+    it("should average duration in days and ratings", () => {
+      const scorecard = buildVendorScorecard(
+        [task(), task({ completedAt: "2024-01-11T00:00:00Z" })],
+        [{ score: 4 }, { score: 5 }]
+      );
+
+      expect(scorecard.averageDurationDays).toBe(7.5);
+      expect(scorecard.averageRating).toBe(4.5);
+      expect(scorecard.ratingCount).toBe(2);
+    });
+
+    it("should return null metrics when there is nothing to measure", () => {
+      expect(buildVendorScorecard()).toEqual({
+        totalTasks: 0,
+        activeTasks: 0,
+        completedTasks: 0,
+        onTimeRate: null,
+        costVariancePercent: null,
+        averageDurationDays: null,
+        averageRating: null,
+        ratingCount: 0,
+      });
+    });
+  });
+});
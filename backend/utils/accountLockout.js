@@ -0,0 +1,51 @@
+// backend/utils/accountLockout.js
+import {
+  MAX_FAILED_LOGIN_ATTEMPTS,
+  ACCOUNT_LOCKOUT_BASE_MINUTES,
+  ACCOUNT_LOCKOUT_MAX_MINUTES,
+} from "./constants.js";
+
+/**
+ * Per-account brute-force protection. Every MAX_FAILED_LOGIN_ATTEMPTS failed
+ * password or second-factor attempts lock the account; repeated lockouts
+ * without a successful login in between last progressively longer.
+ */
+
+/**
+ * How long the nth consecutive lockout lasts
+ * @param {number} lockoutCount - Lockouts so far, including this one (1-based)
+ * @returns {number} Milliseconds
+ */
+export const getLockoutDuration = (lockoutCount) => {
+  const minutes = Math.min(
+    ACCOUNT_LOCKOUT_BASE_MINUTES * 2 ** Math.max(lockoutCount - 1, 0),
+    ACCOUNT_LOCKOUT_MAX_MINUTES
+  );
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Whether an account is currently locked
+ * @param {Object} user - User with lockedUntil
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isAccountLocked = (user, now = new Date()) =>
+  !!user?.lockedUntil && new Date(user.lockedUntil) > now;
+
+/**
+ * Whether a failure count has reached the lockout threshold
+ * @param {number} failedLoginAttempts - Failures since the last lockout or success
+ * @returns {boolean}
+ */
+export const shouldLockAccount = (failedLoginAttempts) =>
+  failedLoginAttempts >= MAX_FAILED_LOGIN_ATTEMPTS;
+
+/**
+ * Minutes until a lock ends, rounded up, for messages
+ * @param {Date} lockedUntil
+ * @param {Date} now - Reference time
+ * @returns {number}
+ */
+export const getLockoutMinutesRemaining = (lockedUntil, now = new Date()) =>
+  Math.max(Math.ceil((new Date(lockedUntil) - now) / 60000), 1);
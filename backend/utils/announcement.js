@@ -0,0 +1,153 @@
+// backend/utils/announcement.js
+import CustomError from "../errorHandler/CustomError.js";
+import { User } from "../models/index.js";
+import { createNotification } from "./helpers.js";
+import { emitToRecipients } from "./socketEmitter.js";
+import { HEAD_OF_DEPARTMENT_ROLES } from "./constants.js";
+
+/**
+ * Check that a user may send an announcement to the given target.
+ * SuperAdmins may target the organization or any departments; Admins only
+ * their own department.
+ * @param {Object} user - Sender (role, department)
+ * @param {string} targetType - "organization" or "departments"
+ * @param {Array<string>} departmentIds - Target department IDs
+ * @throws {CustomError} When the sender may not announce to the target
+ */
+export const assertCanAnnounce = (user, targetType, departmentIds = []) => {
+  if (!HEAD_OF_DEPARTMENT_ROLES.includes(user.role)) {
+    throw CustomError.authorization(
+      "Only SuperAdmin and Admin users can send announcements",
+      { userRole: user.role, requiredRoles: HEAD_OF_DEPARTMENT_ROLES }
+    );
+  }
+
+  if (user.role === "SuperAdmin") return;
+
+  if (targetType === "organization") {
+    throw CustomError.authorization(
+      "Only SuperAdmin can send organization-wide announcements",
+      { userRole: user.role, requiredRole: "SuperAdmin" }
+    );
+  }
+
+  const ownDeptId = user.department._id.toString();
+  const otherDepartments = departmentIds.filter(
+    (id) => id.toString() !== ownDeptId
+  );
+  if (otherDepartments.length > 0) {
+    throw CustomError.authorization(
+      "Admin users can only send announcements to their own department",
+      {
+        userRole: user.role,
+        userDepartmentId: ownDeptId,
+        targetDepartmentIds: otherDepartments,
+      }
+    );
+  }
+};
+
+/**
+ * Count the recipients of a notification that have read it
+ * @param {Object} notification - Notification with recipients and readBy
+ * @returns {{recipientCount: number, readCount: number, readRate: number|null}}
+ */
+export const getReadStats = (notification) => {
+  const recipients = new Set(
+    (notification?.recipients || []).map((id) => id.toString())
+  );
+  const readers = new Set(
+    (notification?.readBy || [])
+      .map((entry) => entry.user?.toString())
+      .filter((id) => recipients.has(id))
+  );
+
+  return {
+    recipientCount: recipients.size,
+    readCount: readers.size,
+    readRate: recipients.size
+      ? Math.round((readers.size / recipients.size) * 100)
+      : null,
+  };
+};
+
+/**
+ * Deliver an announcement as an "Announcement" notification and mark it Sent
+ * @param {Announcement} announcement - Announcement document
+ * @param {Object} sender - Sender user (firstName, lastName, position)
+ * @param {mongoose.ClientSession} session - Database session
+ * @returns {Promise<{notification: Notification, recipientIds: Array}>}
+ * @throws {CustomError} When the target has no recipients
+ */
+export const deliverAnnouncement = async (announcement, sender, session) => {
+  const recipientFilter = {
+    organization: announcement.organization,
+    isDeleted: false,
+    _id: { $ne: announcement.createdBy },
+  };
+  if (announcement.targetType !== "organization") {
+    recipientFilter.department = { $in: announcement.targetDepartments };
+  }
+
+  const recipients = await User.find(recipientFilter)
+    .select("_id")
+    .session(session);
+
+  const notification = recipients.length
+    ? await createNotification(session, {
+        type: "Announcement",
+        title: announcement.title,
+        message: announcement.message,
+        entity: announcement._id,
+        entityModel: "Announcement",
+        recipients: recipients.map((user) => user._id),
+        organization: announcement.organization,
+        // Single-department announcements belong to that department
+        department:
+          announcement.targetDepartments.length === 1
+            ? announcement.targetDepartments[0]
+            : announcement.department,
+        createdBy: announcement.createdBy,
+        emailData: {
+          senderName: `${sender.firstName} ${sender.lastName}`,
+          senderPosition: sender.position,
+        },
+        sendEmail: true,
+      })
+    : null;
+
+  if (!notification) {
+    throw CustomError.validation("No recipients found for announcement", {
+      announcementId: announcement._id,
+      targetType: announcement.targetType,
+      targetDepartmentIds: announcement.targetDepartments,
+    });
+  }
+
+  announcement.status = "Sent";
+  announcement.sentAt = notification.sentAt;
+  announcement.notification = notification._id;
+  announcement.recipientCount = notification.recipients.length;
+  announcement.failureReason = undefined;
+  await announcement.save({ session });
+
+  return { notification, recipientIds: notification.recipients };
+};
+
+/**
+ * Notify the recipients of a delivered announcement in real time
+ * @param {Announcement} announcement - Delivered announcement
+ * @param {Notification} notification - Its notification
+ * @param {Object} sender - Sender user (firstName, lastName)
+ */
+export const emitAnnouncement = (announcement, notification, sender) => {
+  emitToRecipients(notification.recipients, "announcementReceived", {
+    announcementId: announcement._id,
+    notificationId: notification._id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    senderName: `${sender.firstName} ${sender.lastName}`,
+    sentAt: notification.sentAt,
+  });
+};
@@ -0,0 +1,94 @@
+// backend/utils/audit.js
+import mongoose from "mongoose";
+import {
+  AUDIT_IGNORED_FIELDS,
+  AUDIT_REDACTED_FIELDS,
+  AUDIT_REDACTED_VALUE,
+} from "./constants.js";
+
+const matchesField = (field, list) =>
+  list.some((entry) => field === entry || field.startsWith(`${entry}.`));
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Convert a value to what the audit log stores: IDs as strings, dates as
+ * ISO strings, and undefined as null
+ * @param {*} value - Value from a document snapshot
+ * @returns {*} JSON-safe value
+ */
+export const toAuditValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(toAuditValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, toAuditValue(v)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Flatten nested objects into dot paths; arrays are compared as a whole
+ * @param {Object} value - Output of toAuditValue
+ * @param {string} [prefix] - Path of the enclosing object
+ * @returns {Object} Field path to value
+ */
+export const flattenForAudit = (value, prefix = "") => {
+  const fields = {};
+  for (const [key, v] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(v)) Object.assign(fields, flattenForAudit(v, path));
+    else fields[path] = v;
+  }
+  return fields;
+};
+
+// Unset, null and empty lists all mean "no value"
+const isEmpty = (value) =>
+  value === null || (Array.isArray(value) && value.length === 0);
+
+const isSameValue = (a, b) =>
+  (isEmpty(a) && isEmpty(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Plain copy of a document as it should be compared, with populated paths
+ * reduced to their IDs and without virtuals
+ * @param {Object|null} doc - Mongoose document or plain object
+ * @returns {Object} Snapshot
+ */
+export const toAuditSnapshot = (doc) => {
+  if (!doc) return {};
+  if (typeof doc.toObject === "function") {
+    return doc.toObject({ depopulate: true, virtuals: false, getters: false });
+  }
+  return doc;
+};
+
+/**
+ * Field-level difference between two snapshots of a document
+ * Bookkeeping fields are skipped and secrets are redacted.
+ * @param {Object} [before] - Snapshot before the change ({} for a create)
+ * @param {Object} [after] - Snapshot after the change
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields, by path
+ */
+export const diffForAudit = (before = {}, after = {}) => {
+  const from = flattenForAudit(toAuditValue(before || {}));
+  const to = flattenForAudit(toAuditValue(after || {}));
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+  return fields
+    .sort()
+    .filter((field) => !matchesField(field, AUDIT_IGNORED_FIELDS))
+    .filter((field) => !isSameValue(from[field] ?? null, to[field] ?? null))
+    .map((field) =>
+      matchesField(field, AUDIT_REDACTED_FIELDS)
+        ? { field, from: AUDIT_REDACTED_VALUE, to: AUDIT_REDACTED_VALUE }
+        : { field, from: from[field] ?? null, to: to[field] ?? null }
+    );
+};
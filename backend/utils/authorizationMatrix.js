@@ -26,9 +26,9 @@ export const hasPermission = (user, resource, operation, context = null) => {
 
   // Check organization scope permissions
   if (rolePermissions.org) {
-    // If context is provided, check specific context
-    if (context && rolePermissions.org[context]?.includes(operation)) {
-      return true;
+    // If context is provided, only that context counts
+    if (context) {
+      return !!rolePermissions.org[context]?.includes(operation);
     }
 
     // If no context provided, check if any context allows the operation
@@ -0,0 +1,173 @@
+// backend/utils/calendarFeed.js
+import crypto from "crypto";
+import { CALENDAR_FEED_TOKEN_BYTES, ICS_PRIORITY } from "./constants.js";
+import { getLocalDateParts } from "./notificationPreferences.js";
+
+/**
+ * iCalendar (RFC 5545) output for task feeds and single-task downloads.
+ * Each task is an all-day event on its due date (a RoutineTask's date) in
+ * the user's timezone, so phone calendars show it on the right day.
+ */
+
+const PRODUCT_ID = "-//Task Manager//Tasks//EN";
+const MAX_LINE_OCTETS = 75;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Generate a secret feed token
+ * @returns {{token: string, tokenHash: string}} Token for the URL, shown
+ *   once, and the hash to store
+ */
+export const generateFeedToken = () => {
+  const token = crypto
+    .randomBytes(CALENDAR_FEED_TOKEN_BYTES)
+    .toString("base64url");
+  return { token, tokenHash: hashFeedToken(token) };
+};
+
+/**
+ * Hash a feed token for storage and lookup
+ * @param {string} token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashFeedToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Escape a TEXT property value
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeIcsText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space.
+ * Multi-byte characters are never split.
+ * @param {string} line
+ * @returns {string} Line with CRLF-space folds
+ */
+export const foldIcsLine = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      // The leading space of a continuation counts toward its length
+      current = " ";
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n");
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME
+ * @param {Date|string} date
+ * @returns {string} e.g. 20260302T120000Z
+ */
+export const formatIcsDateTime = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * All-day DATE values for the local day an instant falls on
+ * @param {Date|string} date
+ * @param {string} timezone - IANA timezone
+ * @returns {{start: string, end: string}} YYYYMMDD of the day and the next
+ */
+const toAllDay = (date, timezone) => {
+  const [year, month, day] = getLocalDateParts(new Date(date), timezone)
+    .dateKey.split("-")
+    .map(Number);
+  const format = (value) =>
+    new Date(value).toISOString().slice(0, 10).replace(/-/g, "");
+  return {
+    start: format(Date.UTC(year, month - 1, day)),
+    end: format(Date.UTC(year, month - 1, day + 1)),
+  };
+};
+
+/**
+ * Event lines for a task
+ * @param {Object} task - Task with title, priority, status and its dates
+ * @param {Object} options
+ * @param {string} options.timezone - Timezone that decides the event's day
+ * @param {string} options.clientUrl - Base URL of the web app
+ * @param {Date} [options.now] - DTSTAMP
+ * @returns {Array<string>|null} Unfolded lines, or null when the task has no date
+ */
+export const buildTaskEvent = (
+  task,
+  { timezone, clientUrl, now = new Date() }
+) => {
+  const taskType = task.taskType || task.__t;
+  const due = taskType === "RoutineTask" ? task.date : task.dueDate;
+  if (!due) return null;
+
+  const { start, end } = toAllDay(due, timezone);
+  const url = `${clientUrl}/tasks/${task._id}`;
+  const completed = task.status === "Completed";
+
+  const description = [
+    `${taskType?.replace("Task", "") || "Task"} task · ${task.status}`,
+    task.description?.slice(0, MAX_DESCRIPTION_LENGTH),
+    url,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:task-${task._id}@task-manager`,
+    `DTSTAMP:${formatIcsDateTime(now)}`,
+    `DTSTART;VALUE=DATE:${start}`,
+    `DTEND;VALUE=DATE:${end}`,
+    `SUMMARY:${escapeIcsText(
+      `[${task.priority}] ${task.title}${completed ? " (Completed)" : ""}`
+    )}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    `URL:${url}`,
+    `PRIORITY:${ICS_PRIORITY[task.priority] || 0}`,
+    ...(taskType ? [`CATEGORIES:${escapeIcsText(taskType)}`] : []),
+    ...(task.updatedAt
+      ? [`LAST-MODIFIED:${formatIcsDateTime(task.updatedAt)}`]
+      : []),
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+};
+
+/**
+ * Assemble a calendar document
+ * @param {Array<Array<string>>} events - Output of buildTaskEvent
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by subscribing apps
+ * @returns {string} CRLF-terminated iCalendar text
+ */
+export const buildCalendar = (events, { name } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeIcsText(name)}`] : []),
+    ...events.filter(Boolean).flat(),
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+};
@@ -78,6 +78,64 @@ export const MATERIAL_CATEGORIES = [
   "Other",
 ];
 
+// ==================== INVENTORY CONSTANTS ====================
+// Movement quantities are signed: receipts add stock, consumption removes it
+export const INVENTORY_MOVEMENT_TYPES = [
+  "Receipt",
+  "Consumption",
+  "Adjustment",
+  "Transfer",
+];
+// Movements that can be recorded manually (consumption comes from tasks)
+export const MANUAL_INVENTORY_MOVEMENT_TYPES = [
+  "Receipt",
+  "Adjustment",
+  "Transfer",
+];
+export const INVENTORY_REFERENCE_MODELS = [
+  "RoutineTask",
+  "TaskActivity",
+  "PurchaseOrder",
+];
+export const MAX_INVENTORY_NOTE_LENGTH = 200;
+
+// ==================== PURCHASE ORDER CONSTANTS ====================
+export const PURCHASE_ORDER_STATUS = [
+  "Draft",
+  "Approved",
+  "Ordered",
+  "Received",
+  "Cancelled",
+];
+// Allowed next statuses; receiving an order adds its items to stock
+export const PURCHASE_ORDER_TRANSITIONS = {
+  Draft: ["Approved", "Cancelled"],
+  Approved: ["Ordered", "Cancelled"],
+  Ordered: ["Received", "Cancelled"],
+  Received: [],
+  Cancelled: [],
+};
+// Only orders that never reached the vendor can be edited or deleted
+export const EDITABLE_PURCHASE_ORDER_STATUS = ["Draft"];
+export const DELETABLE_PURCHASE_ORDER_STATUS = ["Draft", "Cancelled"];
+export const PURCHASE_ORDER_NUMBER_PREFIX = "PO-";
+export const MAX_PURCHASE_ORDER_ITEMS = 50;
+export const MAX_PURCHASE_ORDER_NOTES_LENGTH = 500;
+
+// ==================== VENDOR SCORECARD CONSTANTS ====================
+export const MIN_VENDOR_RATING = 1;
+export const MAX_VENDOR_RATING = 5;
+export const MAX_VENDOR_RATING_COMMENT_LENGTH = 500;
+export const MAX_VENDOR_RECENT_RATINGS = 20;
+// Scorecard metrics getAllVendors can sort by (computed, not stored)
+export const VENDOR_SCORECARD_SORT_FIELDS = [
+  "onTimeRate",
+  "costVariancePercent",
+  "averageDurationDays",
+  "activeTasks",
+  "averageRating",
+];
+
 // ==================== POLYMORPHIC REFERENCE CONSTANTS ====================
 export const TASK_ACTIVITY_PARENT_MODELS = ["AssignedTask", "ProjectTask"];
 export const TASK_COMMENT_PARENT_MODELS = [
@@ -92,6 +150,7 @@ export const TASK_COMMENT_PARENT_MODELS = [
 export const MAX_NOTIFICATION_TITLE_LENGTH = 50;
 export const MAX_NOTIFICATION_MESSAGE_LENGTH = 200;
 export const NOTIFICATION_EXPIRY_DAYS = 30;
+export const MAX_NOTIFICATION_BULK_IDS = 100;
 export const NOTIFICATION_TYPES = [
   "Created",
   "Updated",
@@ -100,6 +159,9 @@ export const NOTIFICATION_TYPES = [
   "Mention",
   "Welcome",
   "Announcement",
+  "Reminder",
+  "LowStock",
+  "Escalation",
 ];
 export const NOTIFICATION_ENTITY_MODELS = [
   "RoutineTask",
@@ -110,7 +172,207 @@ export const NOTIFICATION_ENTITY_MODELS = [
   "User",
   "Department",
   "Organization",
+  "Material",
+  "PurchaseOrder",
+  "Announcement",
+];
+
+// ==================== NOTIFICATION PREFERENCE CONSTANTS ====================
+// Email channel settings live in User.emailPreferences; in-app and digest
+// settings in User.notificationPreferences
+export const NOTIFICATION_CHANNELS = ["inApp", "email", "digest"];
+export const NOTIFICATION_PREFERENCE_CATEGORIES = [
+  "taskNotifications",
+  "taskReminders",
+  "mentions",
+  "announcements",
+];
+export const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+export const DEFAULT_QUIET_HOURS_START = "22:00";
+export const DEFAULT_QUIET_HOURS_END = "07:00";
+export const DEFAULT_NOTIFICATION_TIMEZONE = "UTC";
+
+// ==================== DIGEST CONSTANTS ====================
+export const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+export const DEFAULT_DIGEST_TIME = "08:00";
+export const DEFAULT_DIGEST_WEEKDAY = 1; // Monday (0 = Sunday)
+export const DIGEST_BATCH_SIZE = 100;
+export const MAX_DIGEST_NOTIFICATIONS = 50;
+export const MAX_DIGEST_OVERDUE_TASKS = 20;
+
+// ==================== ANNOUNCEMENT CONSTANTS ====================
+export const ANNOUNCEMENT_TARGET_TYPES = ["organization", "departments"];
+export const ANNOUNCEMENT_STATUS = ["Scheduled", "Sent", "Cancelled", "Failed"];
+export const MAX_ANNOUNCEMENT_DEPARTMENTS = 20;
+export const MAX_PINNED_ANNOUNCEMENTS = 3;
+export const ANNOUNCEMENT_BATCH_SIZE = 50;
+
+// ==================== TASK REMINDER CONSTANTS ====================
+// Offsets/interval come from TASK_REMINDER_OFFSETS / TASK_REMINDER_INTERVAL_MINUTES
+export const TASK_REMINDER_OVERDUE = "overdue";
+export const TASK_REMINDER_BATCH_SIZE = 100;
+export const TASK_REMINDER_TASK_TYPES = ["AssignedTask", "ProjectTask"];
+
+// ==================== TASK DEPENDENCY CONSTANTS ====================
+export const MAX_TASK_BLOCKERS = 20;
+// Statuses a task cannot move to while any of its blockers is still open
+export const BLOCKED_TASK_STATUS = ["In Progress", "Completed"];
+
+// ==================== TASK SCHEDULE CONSTANTS ====================
+// Widest window the calendar and timeline can request at once
+export const MAX_SCHEDULE_RANGE_DAYS = 370;
+export const MAX_SCHEDULE_TASKS = 500;
+
+// ==================== CALENDAR FEED CONSTANTS ====================
+// Feeds include tasks due from this many days ago onwards
+export const CALENDAR_FEED_PAST_DAYS = 90;
+export const CALENDAR_FEED_MAX_EVENTS = 500;
+export const CALENDAR_FEED_TOKEN_BYTES = 32;
+// iCalendar PRIORITY: 1 is highest, 9 lowest
+export const ICS_PRIORITY = { Urgent: 1, High: 3, Medium: 5, Low: 9 };
+
+// ==================== TIME TRACKING CONSTANTS ====================
+export const TIME_ENTRY_SOURCES = ["Timer", "Manual"];
+// A single entry (or a timer left running) never counts for more than a day
+export const MAX_TIME_ENTRY_MINUTES = 24 * 60;
+export const MAX_TIME_ENTRY_NOTE_LENGTH = 500;
+export const MAX_HOURLY_RATE = 100000;
+export const TIMESHEET_DAYS = 7;
+
+// ==================== SLA CONSTANTS ====================
+// Escalations are recorded as TaskActivities, which only these tasks have
+export const SLA_TASK_TYPES = ["AssignedTask", "ProjectTask"];
+// response: leave "To Do" (In Progress or Completed); resolution: Completed
+export const SLA_TARGETS = ["response", "resolution"];
+export const MAX_SLA_MINUTES = 365 * 24 * 60;
+export const SLA_EVALUATOR_BATCH_SIZE = 100;
+
+// ==================== ROUTINE TASK TEMPLATE CONSTANTS ====================
+export const RECURRENCE_FREQUENCIES = ["Daily", "Weekly", "Monthly"];
+export const MAX_RECURRENCE_INTERVAL = 365;
+export const MAX_RECURRENCE_OCCURRENCES = 1000;
+export const ROUTINE_TEMPLATE_BATCH_SIZE = 50;
+
+// ==================== PRESENCE CONSTANTS ====================
+export const PRESENCE_STATUSES = ["online", "away", "offline"];
+export const MAX_VIEWED_TASKS_PER_SOCKET = 10;
+
+// ==================== SOCKET EVENT REPLAY CONSTANTS ====================
+// Events kept per room for clients that reconnect after missing them
+export const SOCKET_EVENT_LOG_SIZE = 200;
+export const SOCKET_EVENT_LOG_MAX_AGE_MS = 15 * 60 * 1000;
+// Larger gaps make the client refetch instead of replaying
+export const MAX_REPLAY_EVENTS = 200;
+
+// ==================== SESSION CONSTANTS ====================
+export const SESSION_REVOKE_REASONS = ["Logout", "Revoked", "Reuse"];
+// A just-rotated refresh token is still honoured this long, so parallel
+// refreshes from the same browser are not mistaken for token reuse
+export const REFRESH_TOKEN_REUSE_GRACE_MS = 30 * 1000;
+export const MAX_USER_AGENT_LENGTH = 512;
+
+// ==================== TWO-FACTOR CONSTANTS ====================
+// Roles that can enroll in TOTP and that an organization can require it for
+export const TWO_FACTOR_ROLES = ["SuperAdmin", "Admin"];
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+// Steps accepted either side of the current one, for clock drift
+export const TOTP_WINDOW = 1;
+export const TWO_FACTOR_RECOVERY_CODE_COUNT = 10;
+export const TWO_FACTOR_CHALLENGE_EXPIRES_IN = "5m";
+
+// ==================== ACCOUNT LOCKOUT CONSTANTS ====================
+// Failed password or second-factor attempts before the account is locked
+export const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+// First lockout; each further lockout before a successful login doubles it
+export const ACCOUNT_LOCKOUT_BASE_MINUTES = 15;
+export const ACCOUNT_LOCKOUT_MAX_MINUTES = 24 * 60;
+
+// ==================== SECURITY EVENT CONSTANTS ====================
+export const SECURITY_EVENT_TYPES = [
+  "LoginSucceeded",
+  "LoginFailed",
+  "AccountLocked",
+  "PasswordResetRequested",
+  "PasswordReset",
+  "RoleChanged",
+];
+export const SECURITY_EVENT_RETENTION_DAYS = 365;
+
+// ==================== AUDIT LOG CONSTANTS ====================
+export const AUDIT_ACTIONS = ["Created", "Updated", "Deleted", "Restored"];
+
+// Task entries use the discriminator (AssignedTask, ProjectTask, RoutineTask)
+export const AUDIT_RESOURCE_MODELS = [
+  "Organization",
+  "Department",
+  "User",
+  "AssignedTask",
+  "ProjectTask",
+  "RoutineTask",
+  "TaskActivity",
+  "TaskComment",
+  "RoutineTaskTemplate",
+  "Material",
+  "MaterialStock",
+  "InventoryMovement",
+  "Vendor",
+  "VendorRating",
+  "PurchaseOrder",
+  "Attachment",
+  "Announcement",
+  "TimeEntry",
+  "SlaPolicy",
+];
+
+// Bookkeeping fields never worth a diff entry
+export const AUDIT_IGNORED_FIELDS = [
+  "_id",
+  "__v",
+  "id",
+  "createdAt",
+  "updatedAt",
+  "isDeleted",
+  "deletedAt",
+  "deletedBy",
+  "restoredAt",
+  "restoredBy",
+  "restoreCount",
+  "lastLogin",
+  "lastSeenAt",
+  "failedLoginAttempts",
+  "lockoutCount",
+  "lockedUntil",
+  "twoFactor.lastUsedStep",
+];
+
+// Secrets are recorded as changed without their values
+export const AUDIT_REDACTED_FIELDS = [
+  "password",
+  "passwordResetToken",
+  "passwordResetExpires",
+  "twoFactor.secret",
+  "twoFactor.pendingSecret",
+  "twoFactor.recoveryCodes",
+  "calendarFeed.tokenHash",
+];
+
+export const AUDIT_REDACTED_VALUE = "[redacted]";
+
+// ==================== EMAIL QUEUE CONSTANTS ====================
+export const EMAIL_QUEUE_STATUS = [
+  "Pending",
+  "Processing",
+  "Sent",
+  "Dead",
+  "Discarded",
 ];
+export const EMAIL_MAX_ATTEMPTS = 5;
+export const EMAIL_RETRY_BASE_DELAY_MS = 30 * 1000; // doubled per failed attempt
+export const EMAIL_RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+export const EMAIL_QUEUE_POLL_INTERVAL_MS = 15 * 1000;
+export const EMAIL_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000; // stale lock after a crash
+export const EMAIL_QUEUE_RETENTION_DAYS = 7; // Sent/Discarded emails
 
 // ==================== PROJECT TASK CONSTANTS ====================
 export const PROJECT_TASK_COST_HISTORY_FIELDS = [
@@ -144,9 +406,11 @@ export const MAX_MATERIALS_PER_ENTITY = 20;
 export const MAX_TAGS_PER_TASK = 5;
 export const MAX_MENTIONS_PER_COMMENT = 5;
 export const MAX_SKILLS_PER_USER = 10;
+export const MAX_CHECKLIST_ITEMS = 50;
 
 // ==================== LENGTH VALIDATION CONSTANTS ====================
 export const MAX_TITLE_LENGTH = 50;
+export const MAX_CHECKLIST_ITEM_TITLE_LENGTH = 200;
 export const MAX_DESCRIPTION_LENGTH = 2000;
 export const MAX_ACTIVITY_LENGTH = 2000;
 export const MAX_COMMENT_LENGTH = 2000;
@@ -237,4 +501,5 @@ export const TTL_EXPIRY = {
   COMMENTS: 180 * 24 * 60 * 60, // 180 days (TaskComment)
   ACTIVITIES: 90 * 24 * 60 * 60, // 90 days (TaskActivity)
   NOTIFICATIONS: 30 * 24 * 60 * 60, // 30 days
+  PURCHASE_ORDERS: 90 * 24 * 60 * 60, // 90 days
 };
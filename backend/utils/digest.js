@@ -0,0 +1,105 @@
+// backend/utils/digest.js
+import {
+  getLocalDateParts,
+  isDigestActive,
+  toMinutes,
+} from "./notificationPreferences.js";
+import {
+  DEFAULT_DIGEST_TIME,
+  DEFAULT_DIGEST_WEEKDAY,
+  DEFAULT_NOTIFICATION_TIMEZONE,
+  TASK_TYPES,
+} from "./constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+/**
+ * Check whether a user's digest should go out now.
+ * A digest is due once the local send time has passed on a scheduled day
+ * (every day, or the chosen weekday) and none was sent earlier that local day.
+ * A weekly digest missed for the whole weekday waits for the next week.
+ * @param {Object} preferences - User.notificationPreferences
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isDigestDue = (preferences, now = new Date()) => {
+  if (!isDigestActive(preferences)) return false;
+
+  const schedule = preferences.digestSchedule;
+  const timezone = preferences.timezone || DEFAULT_NOTIFICATION_TIMEZONE;
+  const local = getLocalDateParts(now, timezone);
+
+  if (local.minutes < toMinutes(schedule.time || DEFAULT_DIGEST_TIME)) {
+    return false;
+  }
+  if (
+    schedule.frequency === "weekly" &&
+    local.weekday !== (schedule.weekday ?? DEFAULT_DIGEST_WEEKDAY)
+  ) {
+    return false;
+  }
+  if (!schedule.lastSentAt) return true;
+
+  return (
+    getLocalDateParts(new Date(schedule.lastSentAt), timezone).dateKey !==
+    local.dateKey
+  );
+};
+
+/**
+ * Start of the period a digest covers: the previous digest, or one period
+ * back for the first digest
+ * @param {Object} schedule - notificationPreferences.digestSchedule
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+export const getDigestWindowStart = (schedule, now = new Date()) =>
+  schedule?.lastSentAt
+    ? new Date(schedule.lastSentAt)
+    : new Date(
+        now.getTime() - (PERIOD_DAYS[schedule?.frequency] || 1) * DAY_MS
+      );
+
+/**
+ * Group digest notifications into one section per task, newest task
+ * activity first; notifications about anything else are listed separately
+ * @param {Array<Object>} notifications - Lean notifications, newest first
+ * @param {Map<string, Object>} tasksById - Lean tasks keyed by ID
+ * @returns {{taskSections: Array<Object>, otherItems: Array<Object>}}
+ */
+export const groupDigestNotifications = (notifications, tasksById) => {
+  const sections = new Map();
+  const otherItems = [];
+
+  for (const notification of notifications) {
+    const item = {
+      title: notification.title,
+      message: notification.message,
+      createdAt: notification.createdAt,
+    };
+    const taskId = notification.entity?.toString();
+    const task = TASK_TYPES.includes(notification.entityModel)
+      ? tasksById.get(taskId)
+      : null;
+
+    if (!task) {
+      otherItems.push(item);
+      continue;
+    }
+
+    if (!sections.has(taskId)) {
+      sections.set(taskId, {
+        taskId,
+        title: task.title,
+        taskType: task.taskType,
+        status: task.status,
+        items: [],
+      });
+    }
+    sections.get(taskId).items.push(item);
+  }
+
+  return { taskSections: [...sections.values()], otherItems };
+};
@@ -7,8 +7,11 @@
  * - Refresh token: 7 days expiry
  * - Payload: userId, email, role, organization, department
  * - Separate secrets for access and refresh tokens
+ * - Both tokens carry the UserSession ID; refresh tokens also carry a jti
+ *   that changes on every rotation
  */
 import jwt from "jsonwebtoken";
+import { TWO_FACTOR_CHALLENGE_EXPIRES_IN } from "./constants.js";
 
 // Token expiry times per specification
 const DEFAULT_ACCESS_EXPIRES_IN = "15m"; // 15 minutes per spec
@@ -44,7 +47,7 @@ const expiresInToMs = (expiresIn) => {
 
 // Calculate cookie maxAge values
 const ACCESS_TOKEN_MAX_AGE = expiresInToMs(accessExpiresInEnv);
-const REFRESH_TOKEN_MAX_AGE = expiresInToMs(refreshExpiresInEnv);
+export const REFRESH_TOKEN_MAX_AGE = expiresInToMs(refreshExpiresInEnv);
 
 /**
  * Generate access token with full user payload
@@ -56,9 +59,10 @@ const REFRESH_TOKEN_MAX_AGE = expiresInToMs(refreshExpiresInEnv);
  * @param {string} user.role - User role
  * @param {Object|string} user.organization - Organization reference
  * @param {Object|string} user.department - Department reference
+ * @param {string} [sessionId] - UserSession the token belongs to
  * @returns {string} Signed JWT access token
  */
-export const generateAccessToken = (user) => {
+export const generateAccessToken = (user, sessionId) => {
   const secret = process.env.JWT_ACCESS_SECRET;
   if (!secret) throw new Error("JWT_ACCESS_SECRET not set");
 
@@ -76,30 +80,68 @@ export const generateAccessToken = (user) => {
         }
       : { userId: user };
 
+  if (sessionId) payload.sessionId = String(sessionId);
+
   return jwt.sign(payload, secret, {
     expiresIn: accessExpiresInEnv,
   });
 };
 
 /**
- * Generate refresh token with userId only
+ * Generate refresh token with userId and session only
  * Refresh tokens have minimal payload for security
  *
  * @param {Object|string} user - User object or userId
+ * @param {Object} session - Token family the token belongs to
+ * @param {string} session.sessionId - UserSession ID
+ * @param {string} session.jti - Token ID, the session's currentJti
  * @returns {string} Signed JWT refresh token
  */
-export const generateRefreshToken = (user) => {
+export const generateRefreshToken = (user, { sessionId, jti }) => {
   const secret = process.env.JWT_REFRESH_SECRET;
   if (!secret) throw new Error("JWT_REFRESH_SECRET not set");
 
   const userId =
     typeof user === "object" ? user._id?.toString() || user.userId : user;
 
-  return jwt.sign({ userId }, secret, {
+  return jwt.sign({ userId, sessionId: String(sessionId) }, secret, {
     expiresIn: refreshExpiresInEnv,
+    jwtid: jti,
+  });
+};
+
+// Own audience and no sessionId, so it is never accepted as an access token
+const TWO_FACTOR_AUDIENCE = "two-factor-challenge";
+
+/**
+ * Generate the short-lived token that links the password step of a login to
+ * its second-factor step
+ *
+ * @param {Object} user - User who passed the password check
+ * @returns {string} Signed JWT challenge token
+ */
+export const generateTwoFactorChallengeToken = (user) => {
+  const secret = process.env.JWT_ACCESS_SECRET;
+  if (!secret) throw new Error("JWT_ACCESS_SECRET not set");
+
+  return jwt.sign({ userId: user._id.toString() }, secret, {
+    audience: TWO_FACTOR_AUDIENCE,
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
   });
 };
 
+/**
+ * Verify a two-factor challenge token
+ *
+ * @param {string} token - Challenge token from the login response
+ * @returns {Object} Decoded payload with userId
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError}
+ */
+export const verifyTwoFactorChallengeToken = (token) =>
+  jwt.verify(token, process.env.JWT_ACCESS_SECRET, {
+    audience: TWO_FACTOR_AUDIENCE,
+  });
+
 // Cookie options
 export const getAccessTokenCookieOptions = () => ({
   httpOnly: true,
@@ -1,9 +1,13 @@
 // backend/utils/helpers.js
 import { Notification, User } from "../models/index.js";
-import { MAX_RECIPIENTS_PER_NOTIFICATION } from "./constants.js";
+import {
+  MAX_RECIPIENTS_PER_NOTIFICATION,
+  NOTIFICATION_CHANNELS,
+} from "./constants.js";
 import CustomError from "../errorHandler/CustomError.js";
 import emailService from "../services/emailService.js";
 import emailTemplates from "../templates/emailTemplates.js";
+import { isChannelEnabled } from "./notificationPreferences.js";
 
 // Capitalize first letter
 export const capitalize = (str) => {
@@ -189,6 +193,86 @@ export const generateMonthRange = (months = 6) => {
   return monthRange;
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the next occurrence date of a recurrence rule (UTC date-only)
+ * @param {Object} recurrence - Recurrence rule
+ * @param {string} recurrence.frequency - "Daily", "Weekly" or "Monthly"
+ * @param {number} recurrence.interval - Repeat every N days/weeks/months (default: 1)
+ * @param {number[]} recurrence.weekdays - Weekly: days of week, 0 = Sunday (default: startDate's day)
+ * @param {number} recurrence.dayOfMonth - Monthly: day 1-31, clamped to short months (default: startDate's day)
+ * @param {Date} recurrence.startDate - First possible occurrence
+ * @param {Date} recurrence.endDate - Last possible occurrence (optional)
+ * @param {Date} from - Earliest date to consider (inclusive)
+ * @returns {Date|null} Next occurrence, or null when the rule has ended
+ */
+export const getNextOccurrence = (recurrence, from) => {
+  const { frequency, interval = 1, weekdays, dayOfMonth, startDate, endDate } =
+    recurrence || {};
+
+  const start = getDateOnly(startDate);
+  if (!start) return null;
+
+  let cursor = getDateOnly(from) || getTodayDateOnly();
+  if (cursor < start) cursor = start;
+
+  let next = null;
+
+  switch (frequency) {
+    case "Daily": {
+      const offset = Math.round((cursor - start) / DAY_MS) % interval;
+      next =
+        offset === 0
+          ? cursor
+          : new Date(cursor.getTime() + (interval - offset) * DAY_MS);
+      break;
+    }
+
+    case "Weekly": {
+      const days = weekdays?.length ? weekdays : [start.getUTCDay()];
+      // Weeks start on Sunday; week 0 is the week containing startDate
+      const firstWeek = start.getTime() - start.getUTCDay() * DAY_MS;
+      for (let i = 0; i < 7 * (interval + 1) && !next; i++) {
+        const day = new Date(cursor.getTime() + i * DAY_MS);
+        const week = Math.floor((day - firstWeek) / (7 * DAY_MS));
+        if (week % interval === 0 && days.includes(day.getUTCDay())) {
+          next = day;
+        }
+      }
+      break;
+    }
+
+    case "Monthly": {
+      const targetDay = dayOfMonth || start.getUTCDate();
+      const monthsSinceStart =
+        (cursor.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+        cursor.getUTCMonth() -
+        start.getUTCMonth();
+      let month = Math.ceil(monthsSinceStart / interval) * interval;
+      for (let i = 0; i < 2 && !next; i++, month += interval) {
+        const year = start.getUTCFullYear();
+        const monthIndex = start.getUTCMonth() + month;
+        const daysInMonth = new Date(
+          Date.UTC(year, monthIndex + 1, 0)
+        ).getUTCDate();
+        const day = new Date(
+          Date.UTC(year, monthIndex, Math.min(targetDay, daysInMonth))
+        );
+        if (day >= cursor) next = day;
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${frequency}`);
+  }
+
+  const end = getDateOnly(endDate);
+  if (!next || (end && next > end)) return null;
+  return next;
+};
+
 /**
  * Create a notification with proper recipient filtering and limits
  * Enhanced with email notification integration
@@ -225,7 +309,7 @@ export const createNotification = async (
 ) => {
   try {
     // Filter recipients: remove soft-deleted users, users not in same org, and creator
-    const validRecipients = await User.find({
+    const orgRecipients = await User.find({
       _id: { $in: recipients },
       organization: organization,
       isDeleted: false,
@@ -235,6 +319,13 @@ export const createNotification = async (
       .populate("department", "name")
       .session(session);
 
+    // Drop users who have turned this type off on every channel
+    const validRecipients = orgRecipients.filter((user) =>
+      NOTIFICATION_CHANNELS.some((channel) =>
+        isChannelEnabled(user, type, channel)
+      )
+    );
+
     const recipientIds = validRecipients.map((user) => user._id);
 
     // Enforce recipient limit
@@ -313,7 +404,7 @@ export const sendNotificationEmails = async (
 ) => {
   try {
     const emailPromises = [];
-    let emailsSent = 0;
+    let emailsFailed = 0;
 
     for (const recipient of recipients) {
       // Check if user has email notifications enabled for this type
@@ -325,13 +416,10 @@ export const sendNotificationEmails = async (
         notification,
         recipient,
         emailData
-      )
-        .then(() => {
-          emailsSent++;
-        })
-        .catch((error) => {
-          console.error(`Failed to send email to ${recipient.email}:`, error);
-        });
+      ).catch((error) => {
+        emailsFailed++;
+        console.error(`Failed to queue email to ${recipient.email}:`, error);
+      });
 
       emailPromises.push(emailPromise);
     }
@@ -339,13 +427,14 @@ export const sendNotificationEmails = async (
     // Wait for all emails to be queued
     await Promise.allSettled(emailPromises);
 
-    // Update notification with email delivery status
-    await Notification.findByIdAndUpdate(notification._id, {
-      "emailDelivery.sent": emailsSent > 0,
-      "emailDelivery.sentAt": emailsSent > 0 ? new Date() : undefined,
-      "emailDelivery.attempts": 1,
-      "emailDelivery.lastAttemptAt": new Date(),
-    });
+    // Delivery outcome is recorded on the notification by the email queue;
+    // only emails that never made it into the queue are recorded here
+    if (emailsFailed > 0) {
+      await Notification.findByIdAndUpdate(notification._id, {
+        "emailDelivery.error": `Failed to queue ${emailsFailed} email(s)`,
+        "emailDelivery.lastAttemptAt": new Date(),
+      });
+    }
   } catch (error) {
     console.error("Error in sendNotificationEmails:", error);
     throw error;
@@ -354,33 +443,13 @@ export const sendNotificationEmails = async (
 
 /**
  * Check if user should receive email for notification type based on preferences
- * @param {User} user - User document with email preferences
+ * Emails are skipped during the user's quiet hours, except welcome emails
+ * @param {User} user - User document with email and notification preferences
  * @param {string} notificationType - Type of notification
  * @returns {boolean} Whether to send email
  */
-export const shouldSendEmailForNotificationType = (user, notificationType) => {
-  if (!user.emailPreferences || !user.emailPreferences.enabled) {
-    return false;
-  }
-
-  const preferences = user.emailPreferences;
-
-  switch (notificationType) {
-    case "Created":
-    case "Updated":
-    case "Deleted":
-    case "Restored":
-      return preferences.taskNotifications;
-    case "Mention":
-      return preferences.mentions;
-    case "Welcome":
-      return preferences.welcomeEmails;
-    case "Announcement":
-      return preferences.announcements;
-    default:
-      return preferences.taskNotifications; // Default to task notifications
-  }
-};
+export const shouldSendEmailForNotificationType = (user, notificationType) =>
+  isChannelEnabled(user, notificationType, "email");
 
 /**
  * Send email for specific notification type
@@ -595,11 +664,13 @@ export const sendBulkAnnouncementEmails = async (
  * @param {Object} taskData - Task data for reminder
  * @param {mongoose.Types.ObjectId[]} recipientIds - Array of recipient user IDs
  * @param {mongoose.ClientSession} session - Database session (optional)
+ * @param {mongoose.Types.ObjectId} notificationId - Notification to record delivery on (optional)
  */
 export const sendTaskReminderEmails = async (
   taskData,
   recipientIds,
-  session = null
+  session = null,
+  notificationId = null
 ) => {
   try {
     // Get recipients with email preferences
@@ -613,7 +684,12 @@ export const sendTaskReminderEmails = async (
       .populate("department", "name")
       .session(session);
 
-    const emailPromises = recipients.map(async (recipient) => {
+    // Reminders are skipped during quiet hours like any other email
+    const emailRecipients = recipients.filter((recipient) =>
+      isChannelEnabled(recipient, "TASK_REMINDER", "email")
+    );
+
+    const emailPromises = emailRecipients.map(async (recipient) => {
       const emailData = {
         email: recipient.email,
         firstName: recipient.firstName,
@@ -637,14 +713,16 @@ export const sendTaskReminderEmails = async (
         context: {
           type: "task_reminder",
           userId: recipient._id,
+          organizationId: recipient.organization?._id,
           taskId: taskData._id,
+          ...(notificationId && { notificationId }),
         },
       });
     });
 
     await Promise.allSettled(emailPromises);
     console.log(
-      `Task reminder emails queued for ${recipients.length} recipients`
+      `Task reminder emails queued for ${emailRecipients.length} recipients`
     );
   } catch (error) {
     console.error("Error sending task reminder emails:", error);
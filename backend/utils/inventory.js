@@ -0,0 +1,374 @@
+// backend/utils/inventory.js
+import {
+  InventoryMovement,
+  Material,
+  MaterialStock,
+  Notification,
+  User,
+} from "../models/index.js";
+import { emitToDepartment, emitToRecipients } from "./socketEmitter.js";
+import { hasPermission } from "./authorizationMatrix.js";
+import {
+  HEAD_OF_DEPARTMENT_ROLES,
+  MAX_NOTIFICATION_MESSAGE_LENGTH,
+} from "./constants.js";
+
+// Ignore floating point noise when diffing decimal quantities
+const QUANTITY_EPSILON = 1e-9;
+
+const stockKey = (materialId, departmentId) =>
+  `${materialId.toString()}:${departmentId.toString()}`;
+
+/**
+ * Whether a user may move or configure a department's stock. authorize()
+ * only checks the material's own department, so a stock department named in
+ * the request needs crossDept update rights unless it is the user's own.
+ * @param {Object} user - Authenticated user (role, department)
+ * @param {string} [departmentId] - Stock department named in the request
+ * @returns {boolean}
+ */
+export const canManageDepartmentStock = (user, departmentId) =>
+  !departmentId ||
+  departmentId.toString() === user.department._id.toString() ||
+  hasPermission(user, "Material", "update", "crossDept");
+
+/**
+ * Apply a signed quantity change to a department's stock and write the ledger entry
+ * @param {Object} movement - Movement details
+ * @param {string} movement.material - Material ID
+ * @param {string} movement.organization - Organization ID
+ * @param {string} movement.department - Department holding the stock
+ * @param {string} movement.type - One of INVENTORY_MOVEMENT_TYPES
+ * @param {number} movement.quantity - Signed change (negative removes stock)
+ * @param {number} [movement.unitPrice] - Unit price at the time of the movement
+ * @param {string} [movement.reference] - Task/activity ID for consumption
+ * @param {string} [movement.referenceModel] - "RoutineTask" or "TaskActivity"
+ * @param {string} [movement.counterpartDepartment] - Other side of a transfer
+ * @param {string} [movement.note] - Free text note
+ * @param {string} [movement.performedBy] - User ID
+ * @param {Object} session - Mongoose session (required)
+ * @returns {Promise<{stock: Object, movement: Object}>} Updated stock and ledger entry
+ */
+export const recordStockMovement = async (
+  {
+    material,
+    organization,
+    department,
+    type,
+    quantity,
+    unitPrice,
+    reference,
+    referenceModel,
+    counterpartDepartment,
+    note,
+    performedBy,
+  },
+  session
+) => {
+  if (!session) {
+    throw new Error("Stock movements must be recorded within a transaction");
+  }
+
+  const stock = await MaterialStock.findOneAndUpdate(
+    { material, department },
+    {
+      $inc: { quantity },
+      $setOnInsert: { organization },
+    },
+    { new: true, upsert: true, session }
+  );
+
+  const [entry] = await InventoryMovement.create(
+    [
+      {
+        material,
+        organization,
+        department,
+        type,
+        quantity,
+        balanceAfter: stock.quantity,
+        unitPrice,
+        reference,
+        referenceModel,
+        counterpartDepartment,
+        note,
+        performedBy,
+      },
+    ],
+    { session }
+  );
+
+  await checkReorderLevel(stock, { performedBy }, session);
+
+  return { stock, movement: entry };
+};
+
+/**
+ * Bring the stock consumed by a task or activity in line with its materials.
+ * The ledger is the source of truth for what was already consumed, so this
+ * handles creation (nothing consumed yet), edits (only the difference moves),
+ * soft deletion (materials = [] returns everything) and restoration.
+ * @param {Object} reference - Consuming entity
+ * @param {string} reference.reference - Task/activity ID
+ * @param {string} reference.referenceModel - "RoutineTask" or "TaskActivity"
+ * @param {Array} materials - Stored materials [{ material, quantity, unitPrice }]
+ * @param {Object} context - Stock context
+ * @param {string} context.organization - Organization ID
+ * @param {string} context.department - Department consuming the stock
+ * @param {string} [context.performedBy] - User ID
+ * @param {string} [context.note] - Note written on each movement
+ * @param {Object} session - Mongoose session (required)
+ * @returns {Promise<number>} Number of ledger entries written
+ */
+export const syncMaterialConsumption = async (
+  { reference, referenceModel },
+  materials,
+  { organization, department, performedBy, note },
+  session
+) => {
+  const movements = await InventoryMovement.find({
+    reference,
+    referenceModel,
+    type: "Consumption",
+  })
+    .select("material department quantity unitPrice")
+    .sort({ createdAt: 1 })
+    .session(session)
+    .lean();
+
+  const changes = getConsumptionChanges(movements, materials, department);
+  for (const change of changes) {
+    await recordStockMovement(
+      {
+        ...change,
+        organization,
+        type: "Consumption",
+        reference,
+        referenceModel,
+        note,
+        performedBy,
+      },
+      session
+    );
+  }
+
+  return changes.length;
+};
+
+/**
+ * Work out the stock changes that make a consumer's ledger match its materials
+ * @param {Array} movements - Existing Consumption entries [{ material, department, quantity, unitPrice }]
+ * @param {Array} materials - Target materials [{ material, quantity, unitPrice }]
+ * @param {string} department - Department the target materials are consumed from
+ * @returns {Array<{material, department, quantity, unitPrice}>} Signed ledger changes
+ */
+export const getConsumptionChanges = (movements, materials, department) => {
+  // Net consumed so far (ledger quantities are negative for consumption)
+  const consumed = new Map();
+  for (const m of movements || []) {
+    const key = stockKey(m.material, m.department);
+    const current = consumed.get(key) || {
+      material: m.material,
+      department: m.department,
+      quantity: 0,
+    };
+    current.quantity -= m.quantity;
+    current.unitPrice = m.unitPrice;
+    consumed.set(key, current);
+  }
+
+  const target = new Map();
+  for (const item of materials || []) {
+    const key = stockKey(item.material, department);
+    const current = target.get(key) || {
+      material: item.material,
+      department,
+      quantity: 0,
+      unitPrice: item.unitPrice,
+    };
+    current.quantity += Number(item.quantity) || 0;
+    target.set(key, current);
+  }
+
+  const changes = [];
+  for (const key of new Set([...consumed.keys(), ...target.keys()])) {
+    const already = consumed.get(key);
+    const wanted = target.get(key);
+    const delta = (wanted?.quantity || 0) - (already?.quantity || 0);
+    if (Math.abs(delta) < QUANTITY_EPSILON) continue;
+
+    changes.push({
+      material: (wanted || already).material,
+      department: (wanted || already).department,
+      quantity: -delta,
+      unitPrice: wanted?.unitPrice ?? already?.unitPrice,
+    });
+  }
+  return changes;
+};
+
+/**
+ * Return all stock consumed by a task or activity (on soft delete)
+ * @param {Object} entity - RoutineTask or TaskActivity document
+ * @param {string} referenceModel - "RoutineTask" or "TaskActivity"
+ * @param {Object} options
+ * @param {string} [options.performedBy] - User ID
+ * @param {Object} session - Mongoose session (required)
+ * @returns {Promise<number>} Number of ledger entries written
+ */
+export const releaseMaterialConsumption = (
+  entity,
+  referenceModel,
+  { performedBy } = {},
+  session
+) =>
+  syncMaterialConsumption(
+    { reference: entity._id, referenceModel },
+    [],
+    {
+      organization: entity.organization,
+      department: entity.department,
+      performedBy,
+      note: `${referenceModel} deleted`,
+    },
+    session
+  );
+
+/**
+ * Consume stock again for a restored task or activity
+ * Records created before stock tracking have no ledger history and are left alone.
+ * @param {Object} entity - RoutineTask or TaskActivity document (with materials)
+ * @param {string} referenceModel - "RoutineTask" or "TaskActivity"
+ * @param {Object} options
+ * @param {string} [options.performedBy] - User ID
+ * @param {Object} session - Mongoose session (required)
+ * @returns {Promise<number>} Number of ledger entries written
+ */
+export const reapplyMaterialConsumption = async (
+  entity,
+  referenceModel,
+  { performedBy } = {},
+  session
+) => {
+  const tracked = await hasConsumptionHistory(
+    entity._id,
+    referenceModel,
+    session
+  );
+  if (!tracked) return 0;
+
+  return syncMaterialConsumption(
+    { reference: entity._id, referenceModel },
+    entity.materials,
+    {
+      organization: entity.organization,
+      department: entity.department,
+      performedBy,
+      note: `${referenceModel} restored`,
+    },
+    session
+  );
+};
+
+/**
+ * Whether any stock was ever consumed for the given task or activity
+ * @param {string} reference - Task/activity ID
+ * @param {string} referenceModel - "RoutineTask" or "TaskActivity"
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<boolean>}
+ */
+const hasConsumptionHistory = async (
+  reference,
+  referenceModel,
+  session
+) => {
+  const entry = await InventoryMovement.exists({
+    reference,
+    referenceModel,
+    type: "Consumption",
+  }).session(session);
+  return !!entry;
+};
+
+/**
+ * Alert the department's HODs once when stock falls to its reorder threshold,
+ * and re-arm the alert once stock is replenished above it
+ * @param {Object} stock - MaterialStock document (after the change)
+ * @param {Object} options
+ * @param {string} [options.performedBy] - User whose action triggered the check
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} Created notification, if any
+ */
+export const checkReorderLevel = async (
+  stock,
+  { performedBy } = {},
+  session
+) => {
+  const isLow =
+    stock.reorderThreshold > 0 && stock.quantity <= stock.reorderThreshold;
+
+  if (!isLow) {
+    if (stock.lowStockAlertedAt) {
+      await MaterialStock.updateOne(
+        { _id: stock._id },
+        { $set: { lowStockAlertedAt: null } },
+        { session }
+      );
+      stock.lowStockAlertedAt = null;
+    }
+    return null;
+  }
+
+  // Claim the alert so concurrent movements only notify once
+  const claim = await MaterialStock.updateOne(
+    { _id: stock._id, lowStockAlertedAt: null },
+    { $set: { lowStockAlertedAt: new Date() } },
+    { session }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  const material = await Material.findById(stock.material)
+    .withDeleted()
+    .select("_id name unit")
+    .session(session)
+    .lean();
+  const hods = await User.find({
+    organization: stock.organization,
+    department: stock.department,
+    role: { $in: HEAD_OF_DEPARTMENT_ROLES },
+    isDeleted: false,
+  })
+    .select("_id")
+    .session(session);
+
+  const recipients = hods.map((u) => u._id);
+  if (recipients.length === 0 || !material) return null;
+
+  const message = `${material.name} is down to ${stock.quantity} ${material.unit} (reorder at ${stock.reorderThreshold})`;
+  const notification = new Notification({
+    type: "LowStock",
+    title: "Low stock",
+    message: message.slice(0, MAX_NOTIFICATION_MESSAGE_LENGTH),
+    entity: material._id,
+    entityModel: "Material",
+    recipients,
+    organization: stock.organization,
+    department: stock.department,
+    createdBy: performedBy || recipients[0],
+    sentAt: new Date(),
+    emailDelivery: {
+      sent: false,
+      attempts: 0,
+    },
+  });
+  await notification.save({ session });
+
+  emitToRecipients(recipients, "notification:created", { notification });
+  emitToDepartment(stock.department, "material:stock:low", {
+    materialId: material._id,
+    quantity: stock.quantity,
+    reorderThreshold: stock.reorderThreshold,
+  });
+
+  return notification;
+};
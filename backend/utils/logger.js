@@ -145,6 +145,10 @@ export const logSecurity = (message, meta = {}) => {
   logger.warn(`🔒 ${message}`, meta);
 };
 
+export const logScheduler = (message, meta = {}) => {
+  logger.info(`⏰ ${message}`, meta);
+};
+
 export const logShutdown = (message, meta = {}) => {
   logger.info(`🛑 ${message}`, meta);
 };
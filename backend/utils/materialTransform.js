@@ -7,6 +7,7 @@
  */
 
 import { Material } from "../models/index.js";
+import { syncMaterialConsumption } from "./inventory.js";
 
 /**
  * Transform materials array for storage
@@ -14,13 +15,19 @@ import { Material } from "../models/index.js";
  * @param {String} organizationId - Organization ID for validation
  * @param {String} departmentId - Department ID for validation
  * @param {Object} session - Mongoose session for transaction
+ * @param {Object} [stock] - When given, the department's stock is adjusted so the
+ *   referenced task/activity has consumed exactly these quantities
+ * @param {String} stock.reference - RoutineTask or TaskActivity ID
+ * @param {String} stock.referenceModel - "RoutineTask" or "TaskActivity"
+ * @param {String} [stock.performedBy] - User logging the materials
  * @returns {Array} Transformed materials with unitPrice and totalCost
  */
 export const transformMaterialsForStorage = async (
   materials,
   organizationId,
   departmentId,
-  session
+  session,
+  stock = null
 ) => {
   if (!materials || !Array.isArray(materials) || materials.length === 0) {
     return [];
@@ -42,7 +49,7 @@ export const transformMaterialsForStorage = async (
   );
 
   // Transform each material entry
-  return materials.map((item) => {
+  const transformed = materials.map((item) => {
     const materialId = (item.materialId || item.material).toString();
     const materialDoc = materialMap.get(materialId);
 
@@ -63,6 +70,21 @@ export const transformMaterialsForStorage = async (
       totalCost,
     };
   });
+
+  if (stock) {
+    await syncMaterialConsumption(
+      { reference: stock.reference, referenceModel: stock.referenceModel },
+      transformed,
+      {
+        organization: organizationId,
+        department: departmentId,
+        performedBy: stock.performedBy,
+      },
+      session
+    );
+  }
+
+  return transformed;
 };
 
 /**
@@ -0,0 +1,211 @@
+// backend/utils/notificationPreferences.js
+import {
+  NOTIFICATION_PREFERENCE_CATEGORIES,
+  DEFAULT_QUIET_HOURS_START,
+  DEFAULT_QUIET_HOURS_END,
+  DEFAULT_NOTIFICATION_TIMEZONE,
+  DEFAULT_DIGEST_TIME,
+  DEFAULT_DIGEST_WEEKDAY,
+} from "./constants.js";
+
+// Notification actions (notificationService) and stored notification types
+// (Notification.type) mapped to the preference category that governs them
+const CATEGORY_BY_TYPE = {
+  TASK_REMINDER: "taskReminders",
+  Reminder: "taskReminders",
+  COMMENT_ADDED: "mentions",
+  COMMENT_UPDATED: "mentions",
+  USER_MENTIONED: "mentions",
+  Mention: "mentions",
+  ANNOUNCEMENT: "announcements",
+  Announcement: "announcements",
+  Welcome: "welcomeEmails",
+};
+
+// Transactional emails that go out regardless of quiet hours
+const QUIET_HOURS_EXEMPT = new Set(["welcomeEmails", "passwordReset"]);
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a string is an IANA timezone the runtime understands
+ * @param {string} timezone - e.g. "Africa/Addis_Ababa"
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Resolve the preference category for a notification action or type.
+ * Anything without a dedicated category falls under taskNotifications.
+ * @param {string} type - Action (TASK_CREATED) or Notification.type (Created)
+ * @returns {string} Preference category
+ */
+export const getPreferenceCategory = (type) =>
+  CATEGORY_BY_TYPE[type] || "taskNotifications";
+
+/**
+ * Local calendar date, weekday and time of day for an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {{dateKey: string, weekday: number, minutes: number}}
+ *   dateKey is YYYY-MM-DD, weekday 0 (Sunday) - 6, minutes since midnight
+ */
+export const getLocalDateParts = (date, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * Check whether an instant falls inside the user's quiet hours.
+ * Windows may wrap midnight (22:00-07:00); start is inclusive, end exclusive.
+ * @param {Object} preferences - User.notificationPreferences
+ * @param {Date} now - Instant to check
+ * @returns {boolean}
+ */
+export const isWithinQuietHours = (preferences, now = new Date()) => {
+  const quietHours = preferences?.quietHours;
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start || DEFAULT_QUIET_HOURS_START);
+  const end = toMinutes(quietHours.end || DEFAULT_QUIET_HOURS_END);
+  if (start === end) return false;
+
+  const timezone = preferences.timezone || DEFAULT_NOTIFICATION_TIMEZONE;
+  const local = getLocalDateParts(now, timezone).minutes;
+
+  return start < end
+    ? local >= start && local < end
+    : local >= start || local < end;
+};
+
+/**
+ * Whether the user has a daily or weekly digest scheduled
+ * @param {Object} preferences - User.notificationPreferences
+ * @returns {boolean}
+ */
+export const isDigestActive = (preferences) =>
+  ["daily", "weekly"].includes(preferences?.digestSchedule?.frequency);
+
+/**
+ * Decide whether a user receives a notification on a channel.
+ * - inApp: per-category toggle in notificationPreferences.inApp
+ * - email: emailPreferences master switch and per-category toggle; skipped
+ *   (not queued for later) during quiet hours and when the category goes to
+ *   the digest
+ * - digest: per-category toggle in notificationPreferences.digest, only while
+ *   a digest schedule is set
+ * Missing settings fall back to the schema defaults (in-app and email on,
+ * digest off).
+ * @param {Object} user - User with emailPreferences and notificationPreferences
+ * @param {string} type - Action or Notification.type
+ * @param {string} channel - "inApp", "email" or "digest"
+ * @param {Date} now - Instant to evaluate quiet hours against
+ * @returns {boolean}
+ */
+export const isChannelEnabled = (user, type, channel, now = new Date()) => {
+  const category = getPreferenceCategory(type);
+  const preferences = user?.notificationPreferences;
+
+  switch (channel) {
+    case "inApp":
+      return preferences?.inApp?.[category] ?? true;
+
+    case "digest":
+      return isDigestActive(preferences) && !!preferences.digest?.[category];
+
+    case "email": {
+      const email = user?.emailPreferences;
+      if (!email || !email.enabled) return false;
+      if (!(email[category] ?? true)) return false;
+      // Batched into the digest instead of one email per event
+      if (isChannelEnabled(user, type, "digest")) return false;
+      return (
+        QUIET_HOURS_EXEMPT.has(category) ||
+        !isWithinQuietHours(preferences, now)
+      );
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Build the notificationPreferences response with defaults filled in, so
+ * users created before the settings existed get a complete object
+ * @param {Object} preferences - User.notificationPreferences
+ * @returns {Object}
+ */
+export const formatNotificationPreferences = (preferences = {}) => {
+  const byCategory = (channel, fallback) =>
+    Object.fromEntries(
+      NOTIFICATION_PREFERENCE_CATEGORIES.map((category) => [
+        category,
+        preferences?.[channel]?.[category] ?? fallback,
+      ])
+    );
+
+  return {
+    timezone: preferences?.timezone || DEFAULT_NOTIFICATION_TIMEZONE,
+    inApp: byCategory("inApp", true),
+    digest: byCategory("digest", false),
+    digestSchedule: {
+      frequency: preferences?.digestSchedule?.frequency || "off",
+      time: preferences?.digestSchedule?.time || DEFAULT_DIGEST_TIME,
+      weekday: preferences?.digestSchedule?.weekday ?? DEFAULT_DIGEST_WEEKDAY,
+      lastSentAt: preferences?.digestSchedule?.lastSentAt || null,
+    },
+    quietHours: {
+      enabled: preferences?.quietHours?.enabled ?? false,
+      start: preferences?.quietHours?.start || DEFAULT_QUIET_HOURS_START,
+      end: preferences?.quietHours?.end || DEFAULT_QUIET_HOURS_END,
+    },
+  };
+};
+
+/**
+ * Merge a partial update into the user's notification preferences
+ * @param {Object} current - User.notificationPreferences
+ * @param {Object} updates - Validated {inApp, digest, digestSchedule, quietHours, timezone}
+ * @returns {Object} Complete preferences to assign back to the user
+ */
+export const mergeNotificationPreferences = (current = {}, updates = {}) => {
+  const base = formatNotificationPreferences(current);
+  return {
+    timezone: updates.timezone ?? base.timezone,
+    inApp: { ...base.inApp, ...updates.inApp },
+    digest: { ...base.digest, ...updates.digest },
+    digestSchedule: { ...base.digestSchedule, ...updates.digestSchedule },
+    quietHours: { ...base.quietHours, ...updates.quietHours },
+  };
+};
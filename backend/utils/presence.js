@@ -0,0 +1,181 @@
+// backend/utils/presence.js
+/**
+ * In-memory presence and task viewer tracking for Socket.IO connections.
+ * A user is online while any of their sockets is active, away while all of
+ * them are idle, and offline once the last one disconnects.
+ */
+
+// userId -> { organizationId, sockets: Map<socketId, "online"|"away"> }
+const userPresence = new Map();
+
+// taskId -> Map<socketId, { user, typing }>
+const taskViewers = new Map();
+
+const resolveStatus = (entry) => {
+  if (!entry || entry.sockets.size === 0) return "offline";
+  for (const status of entry.sockets.values()) {
+    if (status === "online") return "online";
+  }
+  return "away";
+};
+
+/**
+ * Current presence of a user
+ * @param {string} userId - User ID
+ * @param {Date|null} lastSeen - Last seen time, for offline users
+ * @returns {{userId: string, status: string, lastSeen: Date|null}}
+ */
+export const getPresence = (userId, lastSeen = null) => ({
+  userId: String(userId),
+  status: resolveStatus(userPresence.get(String(userId))),
+  lastSeen,
+});
+
+/**
+ * Presence of every connected user in an organization
+ * @param {string} organizationId - Organization ID
+ * @returns {Array<Object>} Presence entries for online and away users
+ */
+export const getOrganizationPresence = (organizationId) => {
+  const result = [];
+  for (const [userId, entry] of userPresence) {
+    if (entry.organizationId === String(organizationId)) {
+      result.push(getPresence(userId));
+    }
+  }
+  return result;
+};
+
+/**
+ * Record a socket as online or away
+ * @param {string} userId - User ID
+ * @param {string} organizationId - Organization ID
+ * @param {string} socketId - Socket ID
+ * @param {string} status - "online" or "away"
+ * @returns {Object|null} New presence when the user's status changed
+ */
+export const setSocketPresence = (
+  userId,
+  organizationId,
+  socketId,
+  status = "online"
+) => {
+  const key = String(userId);
+  const entry = userPresence.get(key) || {
+    organizationId: String(organizationId),
+    sockets: new Map(),
+  };
+  const before = resolveStatus(entry);
+
+  entry.sockets.set(socketId, status);
+  userPresence.set(key, entry);
+
+  return resolveStatus(entry) === before ? null : getPresence(key);
+};
+
+/**
+ * Forget a disconnected socket
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @param {Date} now - Disconnect time, used as last seen when going offline
+ * @returns {Object|null} New presence when the user's status changed
+ */
+export const removeSocketPresence = (userId, socketId, now = new Date()) => {
+  const key = String(userId);
+  const entry = userPresence.get(key);
+  if (!entry?.sockets.has(socketId)) return null;
+
+  const before = resolveStatus(entry);
+  entry.sockets.delete(socketId);
+  if (entry.sockets.size === 0) userPresence.delete(key);
+
+  const after = resolveStatus(entry);
+  if (after === before) return null;
+  return getPresence(key, after === "offline" ? now : null);
+};
+
+/**
+ * Users viewing a task, one entry per user
+ * @param {string} taskId - Task ID
+ * @returns {Array<Object>} {_id, firstName, lastName, profilePicture, typing}
+ */
+export const getTaskViewers = (taskId) => {
+  const viewers = taskViewers.get(String(taskId));
+  if (!viewers) return [];
+
+  const byUser = new Map();
+  for (const { user, typing } of viewers.values()) {
+    const existing = byUser.get(user._id);
+    byUser.set(user._id, { ...user, typing: typing || !!existing?.typing });
+  }
+  return [...byUser.values()];
+};
+
+/**
+ * Number of tasks a socket is currently viewing
+ * @param {string} socketId - Socket ID
+ * @returns {number}
+ */
+export const countViewedTasks = (socketId) => {
+  let count = 0;
+  for (const viewers of taskViewers.values()) {
+    if (viewers.has(socketId)) count++;
+  }
+  return count;
+};
+
+/**
+ * Add a socket to a task's viewers
+ * @param {string} taskId - Task ID
+ * @param {string} socketId - Socket ID
+ * @param {Object} user - {_id, firstName, lastName, profilePicture}
+ */
+export const joinTask = (taskId, socketId, user) => {
+  const key = String(taskId);
+  if (!taskViewers.has(key)) taskViewers.set(key, new Map());
+  taskViewers.get(key).set(socketId, {
+    user: { ...user, _id: String(user._id) },
+    typing: false,
+  });
+};
+
+/**
+ * Remove a socket from a task's viewers
+ * @param {string} taskId - Task ID
+ * @param {string} socketId - Socket ID
+ * @returns {boolean} Whether the socket was viewing the task
+ */
+export const leaveTask = (taskId, socketId) => {
+  const key = String(taskId);
+  const viewers = taskViewers.get(key);
+  if (!viewers?.delete(socketId)) return false;
+  if (viewers.size === 0) taskViewers.delete(key);
+  return true;
+};
+
+/**
+ * Remove a socket from every task it was viewing
+ * @param {string} socketId - Socket ID
+ * @returns {Array<string>} IDs of the tasks it left
+ */
+export const leaveAllTasks = (socketId) => {
+  const left = [];
+  for (const taskId of [...taskViewers.keys()]) {
+    if (leaveTask(taskId, socketId)) left.push(taskId);
+  }
+  return left;
+};
+
+/**
+ * Mark a viewer as typing in the task's comment box, or as stopped
+ * @param {string} taskId - Task ID
+ * @param {string} socketId - Socket ID
+ * @param {boolean} typing - Typing state
+ * @returns {boolean} Whether the state changed
+ */
+export const setTyping = (taskId, socketId, typing) => {
+  const viewer = taskViewers.get(String(taskId))?.get(socketId);
+  if (!viewer || viewer.typing === typing) return false;
+  viewer.typing = typing;
+  return true;
+};
@@ -0,0 +1,49 @@
+// backend/utils/purchaseOrder.js
+import {
+  PURCHASE_ORDER_TRANSITIONS,
+  PURCHASE_ORDER_NUMBER_PREFIX,
+} from "./constants.js";
+
+/**
+ * Check whether a purchase order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+export const canTransitionPurchaseOrder = (from, to) =>
+  (PURCHASE_ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Sum line items (quantity x unitPrice), rounded to cents
+ * @param {Array<{quantity: number, unitPrice: number}>} items - Line items
+ * @returns {number} Order total
+ */
+export const getPurchaseOrderTotal = (items) => {
+  const total = (items || []).reduce(
+    (sum, item) =>
+      sum + (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0),
+    0
+  );
+  return Math.round(total * 100) / 100;
+};
+
+/**
+ * Format a per-organization sequence number as an order number (e.g. PO-000042)
+ * @param {number} sequence - Sequence number (1-based)
+ * @returns {string} Order number
+ */
+export const formatPurchaseOrderNumber = (sequence) =>
+  `${PURCHASE_ORDER_NUMBER_PREFIX}${String(sequence).padStart(6, "0")}`;
+
+/**
+ * Parse the sequence back out of an order number
+ * @param {string} orderNumber - Order number (e.g. PO-000042)
+ * @returns {number} Sequence number, or 0 when the format is not recognised
+ */
+export const parsePurchaseOrderNumber = (orderNumber) => {
+  if (!orderNumber?.startsWith(PURCHASE_ORDER_NUMBER_PREFIX)) return 0;
+  const sequence = Number(
+    orderNumber.slice(PURCHASE_ORDER_NUMBER_PREFIX.length)
+  );
+  return Number.isInteger(sequence) && sequence > 0 ? sequence : 0;
+};
@@ -0,0 +1,164 @@
+// backend/utils/sla.js
+import { TASK_PRIORITY } from "./constants.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Pick the SLA policy that governs a task: the department's own policy for
+ * the task's priority, otherwise the organization-wide one
+ * @param {Object[]} policies - Active policies of the task's organization
+ * @param {{department: ObjectId, priority: string}} task
+ * @returns {Object|null} Governing policy
+ */
+export const resolveSlaPolicy = (policies, { department, priority }) => {
+  const candidates = policies.filter(
+    (policy) => policy.isActive !== false && policy.priority === priority
+  );
+  return (
+    candidates.find(
+      (policy) =>
+        policy.department && String(policy.department) === String(department)
+    ) ||
+    candidates.find((policy) => !policy.department) ||
+    null
+  );
+};
+
+/**
+ * Response and resolution deadlines of a task under a policy, counted from
+ * when the task was created
+ * @param {Object|null} policy - Governing policy
+ * @param {Date} createdAt - Task creation time
+ * @returns {{policy: ObjectId|null, responseDueAt: Date|null, resolutionDueAt: Date|null}}
+ */
+export const computeSlaDeadlines = (policy, createdAt) => {
+  const start = new Date(createdAt).getTime();
+  const dueAt = (minutes) =>
+    policy && minutes ? new Date(start + minutes * MINUTE_MS) : null;
+
+  return {
+    policy: policy?._id || null,
+    responseDueAt: dueAt(policy?.responseMinutes),
+    resolutionDueAt: dueAt(policy?.resolutionMinutes),
+  };
+};
+
+/**
+ * Deadlines of a breached task under the policy now governing it: targets
+ * already escalated keep theirs, the others are recounted, or cleared when no
+ * policy governs the task any more
+ * @param {Object} task - Task with createdAt and sla
+ * @param {Object|null} policy - Governing policy
+ * @returns {{policy: ObjectId|null, responseDueAt: Date|null, resolutionDueAt: Date|null}}
+ */
+export const recountUnclaimedSlaDeadlines = (task, policy) => {
+  const deadlines = computeSlaDeadlines(policy, task.createdAt);
+  for (const { target } of task.sla?.breaches || []) {
+    deadlines[`${target}DueAt`] = task.sla[`${target}DueAt`] ?? null;
+  }
+  return deadlines;
+};
+
+/**
+ * Whether a task's deadlines are recounted when its priority or department
+ * changes. Once a target is breached the deadlines stay as they were, so
+ * raising the priority on escalation neither drops them nor breaches the task
+ * again under the stricter policy. Policy changes only recount the targets
+ * not yet escalated (recountUnclaimedSlaDeadlines).
+ * @param {Object} task - Task with sla
+ * @returns {boolean}
+ */
+export const shouldRecountSlaDeadlines = (task) => !task.sla?.breaches?.length;
+
+/**
+ * Next priority level up, or null for Urgent
+ * @param {string} priority
+ * @returns {string|null}
+ */
+export const getNextPriority = (priority) => {
+  const index = TASK_PRIORITY.indexOf(priority);
+  return index >= 0 && index < TASK_PRIORITY.length - 1
+    ? TASK_PRIORITY[index + 1]
+    : null;
+};
+
+/**
+ * SLA targets a task has missed and not yet been escalated for
+ * @param {Object} task - Task with status and sla
+ * @param {Date} now - Reference time
+ * @returns {string[]} "response" and/or "resolution"
+ */
+export const findSlaBreaches = (task, now = new Date()) => {
+  const sla = task.sla || {};
+  if (task.status === "Completed") return [];
+
+  const escalated = new Set((sla.breaches || []).map((b) => b.target));
+  const breaches = [];
+
+  if (
+    sla.responseDueAt &&
+    !sla.respondedAt &&
+    new Date(sla.responseDueAt) <= now &&
+    !escalated.has("response")
+  ) {
+    breaches.push("response");
+  }
+  if (
+    sla.resolutionDueAt &&
+    new Date(sla.resolutionDueAt) <= now &&
+    !escalated.has("resolution")
+  ) {
+    breaches.push("resolution");
+  }
+
+  return breaches;
+};
+
+/**
+ * Human readable minutes, e.g. "1h 30m", "2d"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export const formatSlaMinutes = (minutes) => {
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const rest = minutes % 60;
+  return (
+    [days && `${days}d`, hours && `${hours}h`, rest && `${rest}m`]
+      .filter(Boolean)
+      .join(" ") || "0m"
+  );
+};
+
+/**
+ * TaskActivity text recording an escalation
+ * @param {Object} escalation
+ * @param {string} escalation.target - "response" or "resolution"
+ * @param {Object} escalation.policy - Governing policy
+ * @param {string} escalation.fromPriority - Priority when the SLA was breached
+ * @param {string|null} escalation.toPriority - Raised priority, if raised
+ * @param {boolean} escalation.notified - Whether HODs were notified
+ * @returns {string}
+ */
+export const describeSlaEscalation = ({
+  target,
+  policy,
+  fromPriority,
+  toPriority,
+  notified,
+}) => {
+  const missed =
+    target === "response"
+      ? `not started within ${formatSlaMinutes(policy.responseMinutes)}`
+      : `not completed within ${formatSlaMinutes(policy.resolutionMinutes)}`;
+  const actions = [
+    toPriority && `priority raised from ${fromPriority} to ${toPriority}`,
+    notified && "heads of department notified",
+  ].filter(Boolean);
+
+  return `SLA breached: ${missed} (${fromPriority}). ${
+    actions.length
+      ? `${actions.join("; ")}.`.replace(/^./, (c) => c.toUpperCase())
+      : "No escalation action."
+  }`;
+};
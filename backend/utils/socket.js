@@ -1,9 +1,29 @@
 // backend/utils/socket.js
 import jwt from "jsonwebtoken";
-import { User } from "../models/index.js";
+import mongoose from "mongoose";
+import { BaseTask, User, UserSession } from "../models/index.js";
 import { Server as SocketIOServer } from "socket.io";
 import checkUserStatus from "./userStatus.js";
 import CustomError from "../errorHandler/CustomError.js";
+import { isSessionActive } from "./userSessions.js";
+import sessionService from "../services/sessionService.js";
+import {
+  getOrganizationPresence,
+  setSocketPresence,
+  removeSocketPresence,
+  getTaskViewers,
+  countViewedTasks,
+  joinTask,
+  leaveTask,
+  leaveAllTasks,
+  setTyping,
+} from "./presence.js";
+import {
+  EVENT_LOG_EPOCH,
+  getCurrentSeq,
+  getMissedEvents,
+} from "./socketEventLog.js";
+import { MAX_VIEWED_TASKS_PER_SOCKET } from "./constants.js";
 
 // Track active connections for graceful cleanup
 const activeConnections = new Map();
@@ -24,6 +44,44 @@ const extractRefreshToken = (cookieHeader) => {
   return tokenCookie ? tokenCookie.split("=")[1].trim() : null;
 };
 
+const hasActiveSession = async (decoded) => {
+  if (!decoded?.sessionId) return false;
+  const userSession = await UserSession.findOne({
+    _id: decoded.sessionId,
+    user: decoded.userId,
+  }).lean();
+  return isSessionActive(userSession);
+};
+
+const sessionEndedError = (decoded) =>
+  CustomError.authentication("Session has ended", {
+    userId: decoded.userId,
+    sessionId: decoded.sessionId,
+    reason: "Session revoked or missing",
+  });
+
+// A refresh token must be its session's latest, as on HTTP refresh; replaying
+// a superseded one revokes the session
+const checkRefreshToken = async (decoded) => {
+  const { userSession, state } =
+    await sessionService.resolveRefreshToken(decoded);
+
+  if (state === "reuse") {
+    await sessionService.revokeSessions({ _id: userSession._id }, "Reuse");
+    return CustomError.authentication("Refresh token has already been used", {
+      userId: decoded.userId,
+      sessionId: userSession._id,
+      reason: "Token reuse detected, session revoked",
+    });
+  }
+
+  if (state !== "active" && state !== "grace") {
+    return sessionEndedError(decoded);
+  }
+
+  return null;
+};
+
 // Enhanced socket authentication with token refresh capability
 const socketAuth = async (socket, next) => {
   try {
@@ -54,6 +112,9 @@ const socketAuth = async (socket, next) => {
               process.env.JWT_REFRESH_SECRET
             );
 
+            const sessionError = await checkRefreshToken(refreshDecoded);
+            if (sessionError) return next(sessionError);
+
             // Fetch user and check status
             user = await User.findById(refreshDecoded.userId)
               .populate({ path: "organization", select: "name isDeleted" })
@@ -83,6 +144,7 @@ const socketAuth = async (socket, next) => {
 
             // Attach refreshed user data
             socket.user = user;
+            socket.sessionId = refreshDecoded.sessionId;
             socket.isRefreshed = true;
             return next();
           } catch (refreshError) {
@@ -106,6 +168,10 @@ const socketAuth = async (socket, next) => {
 
     // If we have a valid decoded token from access token
     if (decoded) {
+      if (!(await hasActiveSession(decoded))) {
+        return next(sessionEndedError(decoded));
+      }
+
       user = await User.findById(decoded.userId)
         .populate({ path: "organization", select: "name isDeleted" })
         .populate({
@@ -135,6 +201,7 @@ const socketAuth = async (socket, next) => {
 
     // Attach user data to socket
     socket.user = user;
+    socket.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     console.error("Socket authentication error:", error);
@@ -176,6 +243,7 @@ const setupSocketIO = (server, corsSocketOptions) => {
         userId,
         departmentId,
         organizationId,
+        sessionId: socket.sessionId,
         connectedAt: new Date(),
       });
 
@@ -184,67 +252,114 @@ const setupSocketIO = (server, corsSocketOptions) => {
       socket.join(`dept:${departmentId}`);
       socket.join(`org:${organizationId}`);
 
-      // Handle token refresh requests from client
-      socket.on("refresh_token", async (callback) => {
-        try {
-          const refreshToken = extractRefreshToken(
-            socket.handshake.headers.cookie
-          );
+      // Presence: tell the organization when the user's status changes and
+      // give this socket the current status of everyone connected
+      const emitPresence = (presence) => {
+        if (presence) {
+          io.to(`org:${organizationId}`).emit("presence:updated", presence);
+        }
+      };
+      emitPresence(setSocketPresence(userId, organizationId, socket.id));
+      socket.emit("presence:snapshot", {
+        users: getOrganizationPresence(organizationId),
+      });
 
-          if (!refreshToken) {
-            if (callback)
-              callback({ success: false, error: "No refresh token" });
+      // Client reports "away" when its tab is hidden and "online" when back
+      socket.on("presence:set", (data) => {
+        if (!["online", "away"].includes(data?.status)) return;
+        emitPresence(
+          setSocketPresence(userId, organizationId, socket.id, data.status)
+        );
+      });
+
+      // Replay: a reconnecting client sends the last event sequence it saw
+      // and gets the events since then, or resync: true if they are gone
+      socket.on("events:replay", (data, callback) => {
+        if (!callback) return;
+        callback(
+          getMissedEvents(
+            [`user:${userId}`, `dept:${departmentId}`, `org:${organizationId}`],
+            {
+              epoch: data?.epoch,
+              lastSeq: data?.lastSeq,
+              untilSeq: Number.isInteger(data?.untilSeq)
+                ? data.untilSeq
+                : undefined,
+            }
+          )
+        );
+      });
+
+      // Task rooms: who is viewing a task and who is typing a comment
+      const emitTaskViewers = (taskId) => {
+        io.to(`task:${taskId}`).emit("task:viewers", {
+          taskId,
+          viewers: getTaskViewers(taskId),
+        });
+      };
+
+      socket.on("task:join", async (data, callback) => {
+        const taskId = data?.taskId;
+        try {
+          if (!mongoose.isValidObjectId(taskId)) {
+            if (callback) callback({ success: false, error: "Invalid task" });
             return;
           }
-
-          const decoded = jwt.verify(
-            refreshToken,
-            process.env.JWT_REFRESH_SECRET
-          );
-          const user = await User.findById(decoded.userId)
-            .populate({ path: "organization", select: "name isDeleted" })
-            .populate({
-              path: "department",
-              select: "name organization isDeleted",
-            });
-
-          if (!user) {
-            if (callback) callback({ success: false, error: "User not found" });
+          if (countViewedTasks(socket.id) >= MAX_VIEWED_TASKS_PER_SOCKET) {
+            if (callback)
+              callback({ success: false, error: "Too many open tasks" });
             return;
           }
 
-          const userStatus = checkUserStatus(user);
-          if (userStatus.status) {
-            if (callback)
-              callback({ success: false, error: userStatus.message });
+          const task = await BaseTask.exists({
+            _id: taskId,
+            organization: organizationId,
+          });
+          if (!task) {
+            if (callback) callback({ success: false, error: "Task not found" });
             return;
           }
 
-          // Generate new access token
-          const newAccessToken = jwt.sign(
-            { userId: user._id },
-            process.env.JWT_ACCESS_SECRET,
-            { expiresIn: process.env.JWT_ACCESS_EXPIRATION || "15m" }
-          );
+          socket.join(`task:${taskId}`);
+          joinTask(taskId, socket.id, {
+            _id: userId,
+            firstName: socket.user.firstName,
+            lastName: socket.user.lastName,
+            profilePicture: socket.user.profilePicture?.url || null,
+          });
+          emitTaskViewers(taskId);
 
-          if (callback)
-            callback({
-              success: true,
-              accessToken: newAccessToken,
-            });
+          if (callback) callback({ success: true });
         } catch (error) {
-          console.error("Token refresh error:", error);
+          console.error("Task join error:", error);
           if (callback)
-            callback({
-              success: false,
-              error:
-                error.name === "TokenExpiredError"
-                  ? "Refresh token expired"
-                  : "Token refresh failed",
-            });
+            callback({ success: false, error: "Failed to join task" });
         }
       });
 
+      socket.on("task:leave", (data) => {
+        const taskId = String(data?.taskId);
+        socket.leave(`task:${taskId}`);
+        if (leaveTask(taskId, socket.id)) emitTaskViewers(taskId);
+      });
+
+      socket.on("task:typing", (data) => {
+        const taskId = String(data?.taskId);
+        if (setTyping(taskId, socket.id, !!data?.isTyping)) {
+          emitTaskViewers(taskId);
+        }
+      });
+
+      // The refresh token in the handshake cookies may have been rotated since
+      // the socket connected, so tokens are only refreshed over HTTP
+      socket.on("refresh_token", (callback) => {
+        if (callback)
+          callback({
+            success: false,
+            error: "Refresh the session via /api/auth/refresh-token",
+          });
+      });
+
       // Handle custom events with rate limiting
       const eventTimestamps = new Map();
 
@@ -276,6 +391,20 @@ const setupSocketIO = (server, corsSocketOptions) => {
         socket.leave(`org:${organizationId}`);
         activeConnections.delete(socket.id);
         eventTimestamps.delete(socket.id);
+
+        leaveAllTasks(socket.id).forEach(emitTaskViewers);
+
+        const presence = removeSocketPresence(userId, socket.id);
+        emitPresence(presence);
+        if (presence?.status === "offline") {
+          User.updateOne(
+            { _id: userId },
+            { $set: { lastSeenAt: presence.lastSeen } },
+            { timestamps: false }
+          ).catch((error) =>
+            console.error(`Failed to save last seen for ${userId}:`, error)
+          );
+        }
       });
 
       socket.on("error", (err) => {
@@ -289,6 +418,9 @@ const setupSocketIO = (server, corsSocketOptions) => {
         organizationId,
         departmentId,
         isRefreshed: socket.isRefreshed || false,
+        // Events were already redelivered by connection state recovery
+        recovered: socket.recovered || false,
+        eventLog: { epoch: EVENT_LOG_EPOCH, seq: getCurrentSeq() },
       });
     });
 
@@ -320,5 +452,5 @@ const setupSocketIO = (server, corsSocketOptions) => {
   }
 };
 
-export { activeConnections };
+export { activeConnections, socketAuth };
 export default setupSocketIO;
@@ -3,6 +3,7 @@ import mongoose from "mongoose";
 import { HEAD_OF_DEPARTMENT_ROLES } from "./constants.js";
 import { getIO } from "./socketInstance.js";
 import { activeConnections } from "./socket.js";
+import { recordEvent } from "./socketEventLog.js";
 
 /**
  * Check if user is currently connected
@@ -60,6 +61,7 @@ export function getConnectionStats() {
 
 /**
  * Emit to a single user with connection check
+ * The event is logged for replay even when the user is offline.
  * @param {string|mongoose.Types.ObjectId} userId
  * @param {string} event
  * @param {any} payload
@@ -70,6 +72,8 @@ export function emitToUser(userId, event, payload) {
   if (!io) return false;
 
   const userIdStr = String(userId);
+  const logged = recordEvent([`user:${userIdStr}`], event, payload);
+
   if (!isUserConnected(userIdStr)) {
     console.warn(
       `User ${userIdStr} is not connected, event "${event}" not delivered`
@@ -77,12 +81,13 @@ export function emitToUser(userId, event, payload) {
     return false;
   }
 
-  io.to(`user:${userIdStr}`).emit(event, payload);
+  io.to(`user:${userIdStr}`).emit(event, logged.payload);
   return true;
 }
 
 /**
  * Emit to multiple recipients with connection awareness
+ * The event is logged for replay in every recipient's room.
  * @param {Array<string|mongoose.Types.ObjectId>} userIds
  * @param {string} event
  * @param {any} payload
@@ -94,6 +99,11 @@ export function emitToRecipients(userIds, event, payload) {
 
   let deliveredCount = 0;
   const rooms = [];
+  const logged = recordEvent(
+    userIds.map((id) => `user:${String(id)}`),
+    event,
+    payload
+  );
 
   userIds.forEach((id) => {
     const userIdStr = String(id);
@@ -104,7 +114,7 @@ export function emitToRecipients(userIds, event, payload) {
   });
 
   if (rooms.length > 0) {
-    io.to(rooms).emit(event, payload);
+    io.to(rooms).emit(event, logged.payload);
   }
 
   return deliveredCount;
@@ -144,7 +154,8 @@ export async function emitToHODs(departmentId, event, payload) {
  */
 export function emitToDepartment(departmentId, event, payload) {
   const io = getIO();
-  io.to(`dept:${String(departmentId)}`).emit(event, payload);
+  const room = `dept:${String(departmentId)}`;
+  io.to(room).emit(event, recordEvent([room], event, payload).payload);
 }
 
 /**
@@ -155,7 +166,8 @@ export function emitToDepartment(departmentId, event, payload) {
  */
 export function emitToOrganization(organizationId, event, payload) {
   const io = getIO();
-  io.to(`org:${String(organizationId)}`).emit(event, payload);
+  const room = `org:${String(organizationId)}`;
+  io.to(room).emit(event, recordEvent([room], event, payload).payload);
 }
 
 /**
@@ -171,18 +183,23 @@ export function broadcastToAll(event, payload) {
 /**
  * Force disconnect a specific user
  * @param {string|mongoose.Types.ObjectId} userId
+ * @param {string|mongoose.Types.ObjectId} [sessionId] - Only sockets opened by this session
  * @returns {boolean} success status
  */
-export function disconnectUser(userId) {
+export function disconnectUser(userId, sessionId) {
   const io = getIO();
   if (!io) return false;
 
   const userIdStr = String(userId);
+  const sessionIdStr = sessionId ? String(sessionId) : null;
   let disconnected = false;
 
   // Find all sockets for this user and disconnect them
   for (const [socketId, connection] of activeConnections.entries()) {
-    if (connection.userId === userIdStr) {
+    if (
+      connection.userId === userIdStr &&
+      (!sessionIdStr || connection.sessionId === sessionIdStr)
+    ) {
       const socket = io.sockets.sockets.get(socketId);
       if (socket) {
         socket.disconnect(true);
@@ -0,0 +1,124 @@
+// backend/utils/socketEventLog.js
+import crypto from "crypto";
+import {
+  SOCKET_EVENT_LOG_SIZE,
+  SOCKET_EVENT_LOG_MAX_AGE_MS,
+  MAX_REPLAY_EVENTS,
+} from "./constants.js";
+
+/**
+ * Bounded per-room log of emitted Socket.IO events, so a client that
+ * reconnects can be sent what it missed. Sequence numbers are shared by all
+ * rooms and restart with the process, which gets a new epoch.
+ */
+
+export const EVENT_LOG_EPOCH = crypto.randomUUID();
+
+let currentSeq = 0;
+let lastSweepAt = Date.now();
+// Highest sequence dropped from a room log that was since removed entirely
+let sweptThrough = 0;
+
+// room -> { events: [{ seq, event, payload, at }], droppedThrough }
+const roomLogs = new Map();
+
+const pruneRoom = (log, now) => {
+  while (
+    log.events.length > SOCKET_EVENT_LOG_SIZE ||
+    (log.events.length > 0 &&
+      now - log.events[0].at > SOCKET_EVENT_LOG_MAX_AGE_MS)
+  ) {
+    log.droppedThrough = log.events.shift().seq;
+  }
+};
+
+const sweep = (now) => {
+  for (const [room, log] of roomLogs) {
+    pruneRoom(log, now);
+    if (log.events.length === 0) {
+      sweptThrough = Math.max(sweptThrough, log.droppedThrough);
+      roomLogs.delete(room);
+    }
+  }
+  lastSweepAt = now;
+};
+
+/**
+ * Latest sequence number handed out
+ * @returns {number}
+ */
+export const getCurrentSeq = () => currentSeq;
+
+/**
+ * Record one emission to one or more rooms
+ * @param {Array<string>} rooms - Room names, e.g. "user:<id>"
+ * @param {string} event - Event name
+ * @param {any} payload - Event payload
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {{seq: number, payload: any}} Sequence and the payload to emit,
+ *   which carries the sequence as `_seq` when it is an object
+ */
+export const recordEvent = (rooms, event, payload, now = Date.now()) => {
+  const seq = ++currentSeq;
+  const sequenced =
+    payload && typeof payload === "object" && !Array.isArray(payload)
+      ? { ...payload, _seq: seq }
+      : payload;
+
+  for (const room of rooms) {
+    const log = roomLogs.get(room) || { events: [], droppedThrough: 0 };
+    log.events.push({ seq, event, payload: sequenced, at: now });
+    pruneRoom(log, now);
+    roomLogs.set(room, log);
+  }
+
+  if (now - lastSweepAt > SOCKET_EVENT_LOG_MAX_AGE_MS) sweep(now);
+
+  return { seq, payload: sequenced };
+};
+
+/**
+ * Events a reconnecting client missed in its rooms
+ * @param {Array<string>} rooms - Rooms the client belongs to
+ * @param {Object} cursor - What the client has seen
+ * @param {string} cursor.epoch - Epoch the client's sequences come from
+ * @param {number} cursor.lastSeq - Last sequence the client received
+ * @param {number} [cursor.untilSeq] - Sequence at reconnect; later events
+ *   arrive live (default: current sequence)
+ * @returns {{resync: boolean, events: Array<{seq, event, payload}>}}
+ *   resync is true when the missed events can no longer be replayed
+ */
+export const getMissedEvents = (rooms, { epoch, lastSeq, untilSeq }) => {
+  const until = untilSeq ?? currentSeq;
+  const resync = { resync: true, events: [] };
+
+  if (
+    epoch !== EVENT_LOG_EPOCH ||
+    !Number.isInteger(lastSeq) ||
+    lastSeq > currentSeq ||
+    lastSeq < sweptThrough
+  ) {
+    return resync;
+  }
+
+  const bySeq = new Map();
+  for (const room of rooms) {
+    const log = roomLogs.get(room);
+    if (!log) continue;
+    if (log.droppedThrough > lastSeq) return resync;
+
+    for (const entry of log.events) {
+      if (entry.seq > lastSeq && entry.seq <= until) {
+        bySeq.set(entry.seq, entry);
+      }
+    }
+  }
+
+  if (bySeq.size > MAX_REPLAY_EVENTS) return resync;
+
+  const events = [...bySeq.values()]
+    .sort((a, b) => a.seq - b.seq)
+    .map(({ seq, event, payload }) => ({ seq, event, payload }));
+
+  return { resync: false, events };
+};
@@ -0,0 +1,98 @@
+// backend/utils/taskDependencies.js
+import { BaseTask } from "../models/index.js";
+
+const toKey = (id) => id.toString();
+
+/**
+ * Find the cycle that adding "task is blocked by blocker" would create.
+ * The edge closes a cycle when the task is reachable from the blocker by
+ * following blockedBy links (or when a task would block itself).
+ * @param {string} taskId - Task that would become blocked
+ * @param {string} blockerId - Task that would block it
+ * @param {Map<string, Array<string>>} graph - blockedBy IDs per task ID
+ * @returns {Array<string>|null} Task IDs from blocker back to task, or null
+ */
+export const findDependencyCycle = (taskId, blockerId, graph) => {
+  const target = toKey(taskId);
+  const start = toKey(blockerId);
+  if (start === target) return [start];
+
+  // Depth-first search keeping the parent of each visited node for the path
+  const parents = new Map([[start, null]]);
+  const stack = [start];
+
+  while (stack.length) {
+    const current = stack.pop();
+    for (const next of (graph.get(current) || []).map(toKey)) {
+      if (parents.has(next)) continue;
+      parents.set(next, current);
+      if (next === target) {
+        const path = [];
+        for (let node = next; node !== null; node = parents.get(node)) {
+          path.unshift(node);
+        }
+        return path;
+      }
+      stack.push(next);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Load the blockedBy graph reachable from the given tasks
+ * @param {string} organizationId - Organization ID
+ * @param {Array<string>} startIds - Task IDs to start from
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Map<string, Array<string>>>} blockedBy IDs per task ID
+ */
+export const loadDependencyGraph = async (
+  organizationId,
+  startIds,
+  session
+) => {
+  const graph = new Map();
+  let frontier = startIds.map(toKey);
+
+  while (frontier.length) {
+    const tasks = await BaseTask.find({
+      _id: { $in: frontier },
+      organization: organizationId,
+      isDeleted: false,
+    })
+      .select("blockedBy")
+      .session(session || null)
+      .lean();
+
+    frontier = [];
+    for (const task of tasks) {
+      const blockers = (task.blockedBy || []).map(toKey);
+      graph.set(toKey(task._id), blockers);
+      frontier.push(...blockers.filter((id) => !graph.has(id)));
+    }
+    frontier = [...new Set(frontier)];
+  }
+
+  return graph;
+};
+
+/**
+ * Blockers of a task that are not completed yet (deleted blockers are ignored)
+ * @param {Object} task - Task with blockedBy
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Array<Object>>} Open blocker tasks (title, status)
+ */
+export const getOpenBlockers = async (task, session) => {
+  if (!task.blockedBy?.length) return [];
+
+  return BaseTask.find({
+    _id: { $in: task.blockedBy },
+    organization: task.organization,
+    status: { $ne: "Completed" },
+    isDeleted: false,
+  })
+    .select("title status")
+    .session(session || null)
+    .lean();
+};
@@ -0,0 +1,225 @@
+// backend/utils/timeTracking.js
+import { MAX_TIME_ENTRY_MINUTES, TIMESHEET_DAYS } from "./constants.js";
+import { getLocalDateParts } from "./notificationPreferences.js";
+
+/**
+ * Time entry arithmetic and weekly timesheets. Entries are bucketed by the
+ * local day (in the viewer's timezone) they started on.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// UTC offsets run from -12:00 to +14:00; the query window is padded by this
+// much so every local day of the week is covered whatever the timezone
+const MAX_UTC_OFFSET_MS = 14 * 60 * MINUTE_MS;
+// Cells starting with these are run as formulas by spreadsheet apps
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Whole minutes between two instants, capped at MAX_TIME_ENTRY_MINUTES
+ * @param {Date|string} startedAt
+ * @param {Date|string} endedAt
+ * @returns {number}
+ */
+export const calculateDurationMinutes = (startedAt, endedAt) => {
+  const minutes = Math.round(
+    (new Date(endedAt).getTime() - new Date(startedAt).getTime()) / MINUTE_MS
+  );
+  return Math.min(Math.max(minutes, 0), MAX_TIME_ENTRY_MINUTES);
+};
+
+/**
+ * Cost of logged minutes at an hourly rate, rounded to cents
+ * @param {number} minutes
+ * @param {number} hourlyRate
+ * @returns {number}
+ */
+export const calculateTimeCost = (minutes, hourlyRate) =>
+  Math.round(((minutes || 0) / 60) * (hourlyRate || 0) * 100) / 100;
+
+/**
+ * Change in a task's actualCost when one of its time entries changes. A newly
+ * finished entry is costed if the task tracks time cost at that moment; after
+ * that only an entry whose cost was applied is adjusted or taken off, so
+ * toggling trackTimeCost never moves costs that were not added.
+ * @param {{cost: number, costApplied: boolean}|null} before - Entry before
+ *   the change, null when it was just finished
+ * @param {{cost: number}|null} after - Entry after the change, null when deleted
+ * @param {boolean} trackTimeCost - Whether the task tracks time cost now
+ * @returns {{delta: number, costApplied: boolean}} Cost to add to the task and
+ *   whether the entry's cost is applied afterwards
+ */
+export const getTimeCostChange = (before, after, trackTimeCost) => {
+  const wasApplied = !!before?.costApplied;
+  const costApplied = !!after && (before ? wasApplied : !!trackTimeCost);
+  const delta =
+    (costApplied ? after.cost || 0 : 0) - (wasApplied ? before.cost || 0 : 0);
+  return { delta: Math.round(delta * 100) / 100, costApplied };
+};
+
+/**
+ * Format minutes as decimal hours
+ * @param {number} minutes
+ * @returns {string} e.g. "1.50"
+ */
+export const formatHours = (minutes) => ((minutes || 0) / 60).toFixed(2);
+
+/**
+ * Local dates of a timesheet week
+ * @param {string} weekStart - First day, YYYY-MM-DD
+ * @returns {Array<string>} TIMESHEET_DAYS dates, YYYY-MM-DD
+ */
+export const getTimesheetDays = (weekStart) => {
+  const [year, month, day] = weekStart.split("-").map(Number);
+  return Array.from({ length: TIMESHEET_DAYS }, (_, index) =>
+    new Date(Date.UTC(year, month - 1, day + index)).toISOString().slice(0, 10)
+  );
+};
+
+/**
+ * UTC window that contains every instant of a timesheet week in any timezone
+ * @param {string} weekStart - First day, YYYY-MM-DD
+ * @returns {{from: Date, to: Date}}
+ */
+export const getTimesheetWindow = (weekStart) => {
+  const start = new Date(`${weekStart}T00:00:00.000Z`).getTime();
+  return {
+    from: new Date(start - MAX_UTC_OFFSET_MS),
+    to: new Date(start + TIMESHEET_DAYS * DAY_MS + MAX_UTC_OFFSET_MS),
+  };
+};
+
+const userName = (user) =>
+  user ? user.fullName || `${user.firstName} ${user.lastName}` : "";
+
+/**
+ * Group finished time entries into one row per user and task for a week
+ * @param {Array<Object>} entries - Entries with populated user (and its
+ *   department) and task; a deleted task is null
+ * @param {Object} options
+ * @param {string} options.weekStart - First day, YYYY-MM-DD
+ * @param {string} options.timezone - Timezone that decides an entry's day
+ * @param {boolean} [options.includeCost] - Add cost columns
+ * @returns {Object} days, rows (minutes per day), dayTotals and totals
+ */
+export const buildTimesheet = (
+  entries,
+  { weekStart, timezone, includeCost = false }
+) => {
+  const days = getTimesheetDays(weekStart);
+  const rowsByKey = new Map();
+  const dayTotals = days.map(() => 0);
+  let totalMinutes = 0;
+  let totalCost = 0;
+
+  for (const entry of entries) {
+    const dayIndex = days.indexOf(
+      getLocalDateParts(new Date(entry.startedAt), timezone).dateKey
+    );
+    if (dayIndex === -1) continue;
+
+    const userId = String(entry.user?._id ?? entry.user);
+    const taskId = String(entry.task?._id ?? entry.task ?? "");
+    const key = `${userId}:${taskId}`;
+
+    if (!rowsByKey.has(key)) {
+      rowsByKey.set(key, {
+        user: {
+          _id: userId,
+          fullName: userName(entry.user),
+          department: entry.user?.department?.name || "",
+        },
+        task: entry.task
+          ? {
+              _id: taskId,
+              title: entry.task.title,
+              taskType: entry.task.taskType,
+            }
+          : null,
+        minutes: days.map(() => 0),
+        totalMinutes: 0,
+        ...(includeCost && { cost: 0 }),
+      });
+    }
+
+    const row = rowsByKey.get(key);
+    const minutes = entry.durationMinutes || 0;
+    row.minutes[dayIndex] += minutes;
+    row.totalMinutes += minutes;
+    dayTotals[dayIndex] += minutes;
+    totalMinutes += minutes;
+
+    if (includeCost) {
+      row.cost = Math.round((row.cost + (entry.cost || 0)) * 100) / 100;
+      totalCost = Math.round((totalCost + (entry.cost || 0)) * 100) / 100;
+    }
+  }
+
+  const rows = [...rowsByKey.values()].sort(
+    (a, b) =>
+      a.user.fullName.localeCompare(b.user.fullName) ||
+      (a.task?.title || "").localeCompare(b.task?.title || "")
+  );
+
+  return {
+    weekStart,
+    days,
+    rows,
+    dayTotals,
+    totalMinutes,
+    ...(includeCost && { totalCost }),
+  };
+};
+
+/**
+ * Quote a CSV cell, neutralizing spreadsheet formulas
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeCsvCell = (value) => {
+  let text = String(value ?? "");
+  if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a timesheet as CSV with hours per day
+ * @param {Object} timesheet - Output of buildTimesheet
+ * @returns {string} CRLF-separated CSV
+ */
+export const buildTimesheetCsv = (timesheet) => {
+  const includeCost = timesheet.totalCost !== undefined;
+  const lines = [
+    [
+      "User",
+      "Department",
+      "Task",
+      "Task Type",
+      ...timesheet.days,
+      "Total Hours",
+      ...(includeCost ? ["Cost"] : []),
+    ],
+    ...timesheet.rows.map((row) => [
+      row.user.fullName,
+      row.user.department,
+      row.task?.title || "Deleted task",
+      row.task?.taskType || "",
+      ...row.minutes.map(formatHours),
+      formatHours(row.totalMinutes),
+      ...(includeCost ? [row.cost.toFixed(2)] : []),
+    ]),
+    [
+      "Total",
+      "",
+      "",
+      "",
+      ...timesheet.dayTotals.map(formatHours),
+      formatHours(timesheet.totalMinutes),
+      ...(includeCost ? [timesheet.totalCost.toFixed(2)] : []),
+    ],
+  ];
+
+  return `${lines
+    .map((line) => line.map(escapeCsvCell).join(","))
+    .join("\r\n")}\r\n`;
+};
@@ -0,0 +1,215 @@
+// backend/utils/twoFactor.js
+import crypto from "crypto";
+import QRCode from "qrcode";
+import {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  TOTP_WINDOW,
+  TWO_FACTOR_RECOVERY_CODE_COUNT,
+  TWO_FACTOR_ROLES,
+} from "./constants.js";
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1) and recovery codes for
+ * two-factor sign-in. Secrets are base32 so authenticator apps can import them.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} 160-bit base32 secret
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a moment falls in
+ * @param {Date} now
+ * @returns {number}
+ */
+export const getTotpStep = (now = new Date()) =>
+  Math.floor(now.getTime() / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Compute the code for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Check a code against the steps around now. A step at or before
+ * lastUsedStep is refused so an observed code cannot be replayed.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options
+ * @param {Date} options.now - Reference time
+ * @param {number} options.lastUsedStep - Step of the last accepted code
+ * @returns {number|null} Matched step, or null
+ */
+export const verifyTotp = (
+  secret,
+  code,
+  { now = new Date(), lastUsedStep = null } = {}
+) => {
+  const token = String(code ?? "").replace(/\s/g, "");
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(token)) {
+    return null;
+  }
+
+  const current = getTotpStep(now);
+  for (
+    let step = current - TOTP_WINDOW;
+    step <= current + TOTP_WINDOW;
+    step++
+  ) {
+    if (lastUsedStep != null && step <= lastUsedStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Provisioning URI for authenticator apps (rendered as a QR code)
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Usually the user's email
+ * @param {string} params.issuer - Application name
+ * @returns {string}
+ */
+export const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Enrollment details shown to the user: the secret for manual entry and a
+ * QR code of the provisioning URI
+ * @param {Object} user - User being enrolled
+ * @param {string} secret - Pending base32 secret
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ *   qrCode is a PNG data URL
+ */
+export const buildTwoFactorSetup = async (user, secret) => {
+  const otpauthUrl = buildOtpauthUrl({
+    secret,
+    accountName: user.email,
+    issuer: process.env.APP_NAME || "Task Manager",
+  });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+const normalizeRecoveryCode = (code) =>
+  String(code ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Hash a recovery code for storage; dashes, spaces and case are ignored
+ * @param {string} code
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+/**
+ * Generate a set of one-time recovery codes
+ * @returns {{codes: Array<string>, hashes: Array<string>}} Plain codes to
+ *   show once, and the hashes to store
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Whether a user's role can use two-factor sign-in
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const canUseTwoFactor = (user) => TWO_FACTOR_ROLES.includes(user?.role);
+
+/**
+ * Whether signing in needs a second factor: always once enrolled, and for
+ * two-factor roles whenever their organization requires it
+ * @param {Object} user - User with twoFactor and populated organization
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (user) =>
+  !!user?.twoFactor?.enabled ||
+  (canUseTwoFactor(user) && !!user?.organization?.requireTwoFactor);
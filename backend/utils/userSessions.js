@@ -0,0 +1,95 @@
+// backend/utils/userSessions.js
+import {
+  REFRESH_TOKEN_REUSE_GRACE_MS,
+  MAX_USER_AGENT_LENGTH,
+} from "./constants.js";
+
+/**
+ * Refresh token families. Every login starts a session whose refresh token is
+ * rotated on each refresh; only the latest token (the session's currentJti)
+ * is valid, so a superseded token coming back means it was copied.
+ */
+
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Safari", /Version\/[\d.]+.*Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux|X11/],
+];
+
+const match = (list, userAgent) =>
+  list.find(([, pattern]) => pattern.test(userAgent))?.[0] || null;
+
+/**
+ * Summarize a User-Agent header for the sessions list
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {{browser: string|null, os: string|null, device: string}}
+ */
+export const describeUserAgent = (userAgent) => {
+  const browser = userAgent ? match(BROWSERS, userAgent) : null;
+  const os = userAgent ? match(OPERATING_SYSTEMS, userAgent) : null;
+
+  let device = "Unknown device";
+  if (browser && os) device = `${browser} on ${os}`;
+  else if (browser || os) device = browser || os;
+
+  return { browser, os, device };
+};
+
+/**
+ * Device and address of the client behind a request
+ * @param {Object} req - Express request
+ * @returns {{userAgent: string|undefined, ip: string}}
+ */
+export const getClientDetails = (req) => ({
+  userAgent: req.get("User-Agent")?.slice(0, MAX_USER_AGENT_LENGTH),
+  ip: req.ip,
+});
+
+/**
+ * Whether a session can still be used
+ * @param {Object} session - UserSession document
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isSessionActive = (session, now = new Date()) =>
+  !!session && !session.revokedAt && new Date(session.expiresAt) > now;
+
+/**
+ * Classify a presented refresh token against its session
+ * - "active": the current token, rotate it
+ * - "grace": the token rotated just now, e.g. a parallel refresh; reissue the
+ *   current token without rotating again
+ * - "reuse": an older token, so the family is compromised
+ * - "revoked"/"expired": the session has ended
+ * @param {Object|null} session - UserSession document, with currentJti and previousJti
+ * @param {string} jti - Token ID from the refresh token
+ * @param {Date} now - Reference time
+ * @returns {"active"|"grace"|"reuse"|"revoked"|"expired"}
+ */
+export const getRefreshTokenState = (session, jti, now = new Date()) => {
+  if (!session || session.revokedAt) return "revoked";
+  if (new Date(session.expiresAt) <= now) return "expired";
+  if (jti && jti === session.currentJti) return "active";
+
+  if (
+    jti &&
+    jti === session.previousJti &&
+    session.rotatedAt &&
+    now.getTime() - new Date(session.rotatedAt).getTime() <=
+      REFRESH_TOKEN_REUSE_GRACE_MS
+  ) {
+    return "grace";
+  }
+
+  return "reuse";
+};
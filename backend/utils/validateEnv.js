@@ -120,6 +120,18 @@ const ENV_DEFINITIONS = {
     default: "5",
     description: "Maximum auth requests per window",
   },
+  TWO_FACTOR_RATE_LIMIT_WINDOW_MINUTES: {
+    required: false,
+    type: "number",
+    default: "15",
+    description: "Two-factor code rate limit window in minutes",
+  },
+  TWO_FACTOR_RATE_LIMIT_MAX_ATTEMPTS: {
+    required: false,
+    type: "number",
+    default: "5",
+    description: "Maximum failed two-factor code attempts per window",
+  },
   STRICT_RATE_LIMIT_WINDOW_MINUTES: {
     required: false,
     type: "number",
@@ -283,6 +295,82 @@ const ENV_DEFINITIONS = {
     description: "Platform admin password",
   },
 
+  // === OPTIONAL: Task Reminders ===
+  TASK_REMINDERS_ENABLED: {
+    required: false,
+    type: "boolean",
+    default: "true",
+    description: "Run the due-date reminder scheduler",
+  },
+  TASK_REMINDER_OFFSETS: {
+    required: false,
+    type: "string",
+    default: "24h,1h",
+    description: "Comma-separated reminder offsets before dueDate (m, h, d units)",
+  },
+  TASK_REMINDER_INTERVAL_MINUTES: {
+    required: false,
+    type: "number",
+    default: "5",
+    description: "Minutes between reminder scheduler runs",
+  },
+
+  // === OPTIONAL: Routine Task Templates ===
+  ROUTINE_TASK_SCHEDULER_ENABLED: {
+    required: false,
+    type: "boolean",
+    default: "true",
+    description: "Create RoutineTask occurrences from recurring templates",
+  },
+  ROUTINE_TASK_SCHEDULER_INTERVAL_MINUTES: {
+    required: false,
+    type: "number",
+    default: "15",
+    description: "Minutes between routine task scheduler runs",
+  },
+
+  // === OPTIONAL: Scheduled Announcements ===
+  ANNOUNCEMENT_SCHEDULER_ENABLED: {
+    required: false,
+    type: "boolean",
+    default: "true",
+    description: "Deliver announcements scheduled for later",
+  },
+  ANNOUNCEMENT_SCHEDULER_INTERVAL_MINUTES: {
+    required: false,
+    type: "number",
+    default: "1",
+    description: "Minutes between announcement scheduler runs",
+  },
+
+  // === OPTIONAL: Notification Digests ===
+  DIGEST_SCHEDULER_ENABLED: {
+    required: false,
+    type: "boolean",
+    default: "true",
+    description: "Send daily/weekly notification digest emails",
+  },
+  DIGEST_SCHEDULER_INTERVAL_MINUTES: {
+    required: false,
+    type: "number",
+    default: "5",
+    description: "Minutes between digest scheduler runs",
+  },
+
+  // === OPTIONAL: SLA Escalation ===
+  SLA_EVALUATOR_ENABLED: {
+    required: false,
+    type: "boolean",
+    default: "true",
+    description: "Escalate tasks that breach their SLA policy",
+  },
+  SLA_EVALUATOR_INTERVAL_MINUTES: {
+    required: false,
+    type: "number",
+    default: "5",
+    description: "Minutes between SLA evaluator runs",
+  },
+
   // === OPTIONAL: Logging ===
   LOG_LEVEL: {
     required: false,
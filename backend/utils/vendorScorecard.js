@@ -0,0 +1,115 @@
+// backend/utils/vendorScorecard.js
+import { ProjectTask, VendorRating } from "../models/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+const average = (values) =>
+  values.length
+    ? roundToTenth(values.reduce((sum, v) => sum + v, 0) / values.length)
+    : null;
+
+/**
+ * Estimate the task was planned with: the first estimatedCost recorded in
+ * costHistory, falling back to the current estimate
+ * @param {Object} task - ProjectTask with costHistory
+ * @returns {number} Baseline estimated cost
+ */
+export const getBaselineEstimate = (task) => {
+  const first = (task.costHistory || []).find(
+    (entry) => entry.fieldChanged === "estimatedCost"
+  );
+  const baseline = Number(first ? first.newValue : task.estimatedCost);
+  return Number.isFinite(baseline) ? baseline : 0;
+};
+
+/**
+ * Build a vendor scorecard from its ProjectTasks and ratings.
+ * Rates and variances are percentages rounded to one decimal, or null when
+ * there is nothing to measure. Cost variance is averaged per task so tasks
+ * priced in different currencies can be compared.
+ * @param {Array<Object>} tasks - Vendor's non-deleted ProjectTasks
+ * @param {Array<{score: number}>} ratings - Vendor's ratings
+ * @returns {Object} Scorecard
+ */
+export const buildVendorScorecard = (tasks = [], ratings = []) => {
+  const completed = tasks.filter((t) => t.status === "Completed");
+  // Tasks completed before completedAt was tracked fall back to updatedAt
+  const completedOn = (t) => new Date(t.completedAt || t.updatedAt);
+
+  const withDueDate = completed.filter((t) => t.dueDate);
+  const onTime = withDueDate.filter(
+    (t) => completedOn(t) <= new Date(t.dueDate)
+  );
+
+  const variances = tasks
+    .filter((t) => (t.actualCost || 0) > 0 && getBaselineEstimate(t) > 0)
+    .map((t) => {
+      const baseline = getBaselineEstimate(t);
+      return ((t.actualCost - baseline) / baseline) * 100;
+    });
+
+  const durations = completed
+    .filter((t) => t.startDate)
+    .map((t) => (completedOn(t) - new Date(t.startDate)) / DAY_MS)
+    .filter((days) => days >= 0);
+
+  return {
+    totalTasks: tasks.length,
+    activeTasks: tasks.length - completed.length,
+    completedTasks: completed.length,
+    onTimeRate: withDueDate.length
+      ? roundToTenth((onTime.length / withDueDate.length) * 100)
+      : null,
+    costVariancePercent: average(variances),
+    averageDurationDays: average(durations),
+    averageRating: average(ratings.map((r) => r.score)),
+    ratingCount: ratings.length,
+  };
+};
+
+/**
+ * Compute scorecards for several vendors of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Array<string>} vendorIds - Vendor IDs
+ * @returns {Promise<Map<string, Object>>} Scorecard per vendor ID
+ */
+export const getVendorScorecards = async (organizationId, vendorIds) => {
+  const [tasks, ratings] = await Promise.all([
+    ProjectTask.find({
+      organization: organizationId,
+      vendor: { $in: vendorIds },
+      isDeleted: false,
+    })
+      .select(
+        "vendor status startDate dueDate completedAt updatedAt estimatedCost actualCost costHistory.fieldChanged costHistory.newValue"
+      )
+      .lean(),
+    VendorRating.find({
+      organization: organizationId,
+      vendor: { $in: vendorIds },
+    })
+      .select("vendor score")
+      .lean(),
+  ]);
+
+  const group = (docs) =>
+    docs.reduce((acc, doc) => {
+      const key = doc.vendor.toString();
+      (acc[key] = acc[key] || []).push(doc);
+      return acc;
+    }, {});
+  const tasksByVendor = group(tasks);
+  const ratingsByVendor = group(ratings);
+
+  return new Map(
+    vendorIds.map((id) => [
+      id.toString(),
+      buildVendorScorecard(
+        tasksByVendor[id.toString()],
+        ratingsByVendor[id.toString()]
+      ),
+    ])
+  );
+};
@@ -0,0 +1,78 @@
+// client/src/components/auth/RecoveryCodesList.jsx
+import { Alert, Box, Button, Paper, Stack } from "@mui/material";
+import ContentCopyIcon from "@mui/icons-material/ContentCopy";
+import DownloadIcon from "@mui/icons-material/Download";
+import { toast } from "react-toastify";
+
+/**
+ * RecoveryCodesList Component
+ *
+ * Shows freshly generated two-factor recovery codes with copy and download
+ * actions. The codes are only ever returned once by the backend.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.codes - Plain recovery codes
+ */
+const RecoveryCodesList = ({ codes }) => {
+  const text = codes.join("\n");
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success("Recovery codes copied");
+    } catch {
+      toast.error("Could not copy recovery codes");
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Stack spacing={2}>
+      <Alert severity="warning">
+        Save these recovery codes somewhere safe. Each one signs you in once if
+        you lose your authenticator, and they will not be shown again.
+      </Alert>
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        <Box
+          sx={{
+            display: "grid",
+            gridTemplateColumns: "repeat(2, 1fr)",
+            gap: 1,
+            fontFamily: "monospace",
+            textAlign: "center",
+          }}
+        >
+          {codes.map((code) => (
+            <span key={code}>{code}</span>
+          ))}
+        </Box>
+      </Paper>
+      <Stack direction="row" spacing={1} justifyContent="center">
+        <Button
+          size="small"
+          startIcon={<ContentCopyIcon fontSize="small" />}
+          onClick={handleCopy}
+        >
+          Copy
+        </Button>
+        <Button
+          size="small"
+          startIcon={<DownloadIcon fontSize="small" />}
+          onClick={handleDownload}
+        >
+          Download
+        </Button>
+      </Stack>
+    </Stack>
+  );
+};
+
+export default RecoveryCodesList;
@@ -27,6 +27,9 @@ const NotificationCard = ({ notification, onView, onDelete }) => {
       Mention: "secondary",
       Welcome: "primary",
       Announcement: "default",
+      Reminder: "warning",
+      LowStock: "error",
+      Escalation: "error",
     };
     return typeColors[type] || "default";
   };
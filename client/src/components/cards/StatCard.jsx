@@ -0,0 +1,49 @@
+// client/src/components/cards/StatCard.jsx
+import PropTypes from "prop-types";
+import { Card, CardContent, Typography, Box } from "@mui/material";
+
+/**
+ * StatCard Component
+ *
+ * Compact card showing a single headline metric with an optional icon and caption.
+ *
+ * @param {Object} props
+ * @param {string} props.title - Metric label
+ * @param {number|string} props.value - Metric value
+ * @param {React.ReactNode} [props.icon] - Icon rendered next to the title
+ * @param {string} [props.caption] - Secondary text below the value
+ * @param {string} [props.color] - Palette color for the value (e.g. "error.main")
+ * @returns {JSX.Element}
+ */
+const StatCard = ({ title, value, icon, caption, color = "text.primary" }) => {
+  return (
+    <Card variant="outlined" sx={{ height: "100%" }}>
+      <CardContent>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+          {icon}
+          <Typography variant="subtitle2" color="text.secondary">
+            {title}
+          </Typography>
+        </Box>
+        <Typography variant="h4" fontWeight={600} color={color}>
+          {value}
+        </Typography>
+        {caption && (
+          <Typography variant="caption" color="text.secondary">
+            {caption}
+          </Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+StatCard.propTypes = {
+  title: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+  icon: PropTypes.node,
+  caption: PropTypes.string,
+  color: PropTypes.string,
+};
+
+export default StatCard;
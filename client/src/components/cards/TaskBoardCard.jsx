@@ -0,0 +1,138 @@
+// client/src/components/cards/TaskBoardCard.jsx
+import { memo } from "react";
+import PropTypes from "prop-types";
+import {
+  Card,
+  CardActionArea,
+  CardContent,
+  Typography,
+  Chip,
+  Box,
+  Tooltip,
+  AvatarGroup,
+  Avatar,
+} from "@mui/material";
+import CalendarTodayIcon from "@mui/icons-material/CalendarToday";
+import { formatDate, isPast } from "../../utils/dateUtils";
+import { TASK_PRIORITY } from "../../utils/constants";
+
+/**
+ * TaskBoardCard Component - Memoized for performance
+ *
+ * Compact, draggable task card for the board view. Clicking opens the task.
+ *
+ * @param {Object} props
+ * @param {Object} props.task - Task object
+ * @param {Function} props.onView - View task handler
+ * @param {Function} props.onDragStart - Called with the task when a drag starts
+ * @param {Function} props.onDragEnd - Called when the drag ends
+ * @returns {JSX.Element}
+ */
+const TaskBoardCard = ({ task, onView, onDragStart, onDragEnd }) => {
+  const taskType = task.taskType || task.__t;
+  const dueDate = taskType === "RoutineTask" ? task.date : task.dueDate;
+  const isOverdue =
+    dueDate && taskType !== "RoutineTask" && task.status !== "Completed"
+      ? isPast(dueDate)
+      : false;
+
+  const getPriorityColor = (priority) => {
+    const priorityIndex = TASK_PRIORITY.indexOf(priority);
+    const colors = ["default", "info", "warning", "error"];
+    return colors[priorityIndex] || "default";
+  };
+
+  const handleDragStart = (event) => {
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", task._id);
+    onDragStart(task);
+  };
+
+  return (
+    <Card
+      variant="outlined"
+      draggable
+      onDragStart={handleDragStart}
+      onDragEnd={onDragEnd}
+      sx={{ cursor: "grab", "&:active": { cursor: "grabbing" } }}
+    >
+      <CardActionArea onClick={() => onView(task)}>
+        <CardContent sx={{ p: 1.5, "&:last-child": { pb: 1.5 } }}>
+          <Typography
+            variant="body2"
+            fontWeight={600}
+            sx={{
+              mb: 1,
+              overflow: "hidden",
+              textOverflow: "ellipsis",
+              display: "-webkit-box",
+              WebkitLineClamp: 2,
+              WebkitBoxOrient: "vertical",
+            }}
+          >
+            {task.title}
+          </Typography>
+
+          <Box
+            sx={{
+              display: "flex",
+              alignItems: "center",
+              gap: 0.5,
+              flexWrap: "wrap",
+            }}
+          >
+            <Chip
+              label={taskType?.replace("Task", "") || "Task"}
+              size="small"
+              variant="outlined"
+            />
+            <Chip
+              label={task.priority}
+              size="small"
+              color={getPriorityColor(task.priority)}
+            />
+            {dueDate && (
+              <Chip
+                icon={<CalendarTodayIcon />}
+                label={formatDate(dueDate, "MMM DD")}
+                size="small"
+                color={isOverdue ? "error" : "default"}
+                variant="outlined"
+              />
+            )}
+            {task.assignees?.length > 0 && (
+              <AvatarGroup
+                max={3}
+                sx={{
+                  ml: "auto",
+                  "& .MuiAvatar-root": { width: 22, height: 22 },
+                }}
+              >
+                {task.assignees.map((assignee) => (
+                  <Tooltip key={assignee._id} title={assignee.fullName}>
+                    <Avatar
+                      src={assignee.profilePicture?.url}
+                      alt={assignee.fullName}
+                    >
+                      {assignee.firstName?.[0]}
+                    </Avatar>
+                  </Tooltip>
+                ))}
+              </AvatarGroup>
+            )}
+          </Box>
+        </CardContent>
+      </CardActionArea>
+    </Card>
+  );
+};
+
+TaskBoardCard.propTypes = {
+  task: PropTypes.object.isRequired,
+  onView: PropTypes.func.isRequired,
+  onDragStart: PropTypes.func.isRequired,
+  onDragEnd: PropTypes.func.isRequired,
+};
+
+// Memoize to prevent re-renders when props haven't changed
+export default memo(TaskBoardCard);
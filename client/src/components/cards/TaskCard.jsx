@@ -12,6 +12,7 @@ import {
   Tooltip,
   AvatarGroup,
   Avatar,
+  LinearProgress,
 } from "@mui/material";
 import VisibilityIcon from "@mui/icons-material/Visibility";
 import EditIcon from "@mui/icons-material/Edit";
@@ -29,6 +30,7 @@ import {
   utcToLocal,
 } from "../../utils/dateUtils";
 import { TASK_STATUS, TASK_PRIORITY } from "../../utils/constants";
+import TaskSlaChip from "../common/TaskSlaChip";
 
 /**
  * TaskCard Component - Memoized for performance
@@ -151,6 +153,7 @@ const TaskCard = ({ task, onView, onEdit, onDelete, onRestore }) => {
             size="small"
             color={getPriorityColor(task.priority)}
           />
+          <TaskSlaChip task={task} />
         </Box>
 
         {/* Type-specific Information */}
@@ -216,6 +219,26 @@ const TaskCard = ({ task, onView, onEdit, onDelete, onRestore }) => {
             </Box>
           )}
 
+          {/* AssignedTask or ProjectTask - Checklist Progress */}
+          {task.checklist?.length > 0 && (
+            <Tooltip
+              title={`${task.checklist.filter((item) => item.done).length}/${
+                task.checklist.length
+              } checklist items done`}
+            >
+              <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                <LinearProgress
+                  variant="determinate"
+                  value={task.progress || 0}
+                  sx={{ flex: 1, height: 6, borderRadius: 3 }}
+                />
+                <Typography variant="caption" color="text.secondary">
+                  {task.progress || 0}%
+                </Typography>
+              </Box>
+            </Tooltip>
+          )}
+
           {/* RoutineTask - Materials Count */}
           {taskType === "RoutineTask" &&
             task.materials &&
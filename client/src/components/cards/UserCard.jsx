@@ -5,7 +5,6 @@ import {
   Card,
   CardContent,
   CardActions,
-  Avatar,
   Typography,
   Chip,
   Box,
@@ -18,8 +17,28 @@ import EditIcon from "@mui/icons-material/Edit";
 import DeleteIcon from "@mui/icons-material/Delete";
 import RestoreIcon from "@mui/icons-material/Restore";
 import EmailIcon from "@mui/icons-material/Email";
+import LockResetIcon from "@mui/icons-material/LockReset";
+import HistoryIcon from "@mui/icons-material/History";
+import dayjs from "dayjs";
+import relativeTime from "dayjs/plugin/relativeTime";
+import PresenceAvatar from "../common/PresenceAvatar";
 import { USER_ROLES } from "../../utils/constants";
 
+dayjs.extend(relativeTime);
+
+/**
+ * Presence line under the user's name
+ * @param {Object} presence - {status, lastSeen} from the presence slice
+ * @param {string} lastSeenAt - Last seen stored on the user
+ * @returns {string|null}
+ */
+const getPresenceLabel = (presence, lastSeenAt) => {
+  if (presence?.status === "online") return "Online";
+  if (presence?.status === "away") return "Away";
+  const lastSeen = presence?.lastSeen || lastSeenAt;
+  return lastSeen ? `Last seen ${dayjs(lastSeen).fromNow()}` : null;
+};
+
 /**
  * UserCard Component - Memoized for performance
  *
@@ -28,14 +47,27 @@ import { USER_ROLES } from "../../utils/constants";
  *
  * @param {Object} props
  * @param {Object} props.user - User object
+ * @param {Object} [props.presence] - Realtime presence {status, lastSeen}
  * @param {Function} props.onView - View user handler
  * @param {Function} props.onEdit - Edit user handler
  * @param {Function} props.onDelete - Delete user handler
  * @param {Function} [props.onRestore] - Restore user handler (if deleted)
+ * @param {Function} [props.onResetTwoFactor] - Reset two-factor handler (if enrolled)
+ * @param {Function} [props.onHistory] - Change history handler
  * @returns {JSX.Element}
  */
-const UserCard = ({ user, onView, onEdit, onDelete, onRestore }) => {
+const UserCard = ({
+  user,
+  presence,
+  onView,
+  onEdit,
+  onDelete,
+  onRestore,
+  onResetTwoFactor,
+  onHistory,
+}) => {
   const isDeleted = user?.isDeleted || user?.deleted;
+  const presenceLabel = getPresenceLabel(presence, user.lastSeenAt);
 
   return (
     <Card
@@ -55,14 +87,11 @@ const UserCard = ({ user, onView, onEdit, onDelete, onRestore }) => {
       <CardContent sx={{ flex: 1, pb: 1 }}>
         {/* Avatar and Name */}
         <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2 }}>
-          <Avatar
-            src={user.profilePicture?.url || ""}
-            alt={user.fullName}
-            sx={{ width: 56, height: 56 }}
-          >
-            {user.firstName?.[0]}
-            {user.lastName?.[0]}
-          </Avatar>
+          <PresenceAvatar
+            user={user}
+            status={presence?.status || "offline"}
+            size={56}
+          />
           <Box sx={{ flex: 1, minWidth: 0 }}>
             <Typography
               variant="h6"
@@ -90,6 +119,11 @@ const UserCard = ({ user, onView, onEdit, onDelete, onRestore }) => {
                 {user.email}
               </Typography>
             </Box>
+            {presenceLabel && (
+              <Typography variant="caption" color="text.secondary">
+                {presenceLabel}
+              </Typography>
+            )}
           </Box>
         </Box>
 
@@ -167,8 +201,26 @@ const UserCard = ({ user, onView, onEdit, onDelete, onRestore }) => {
             <VisibilityIcon fontSize="small" />
           </IconButton>
         </Tooltip>
+        {onHistory && (
+          <Tooltip title="History">
+            <IconButton size="small" onClick={() => onHistory(user)}>
+              <HistoryIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
         {!isDeleted && (
           <>
+            {onResetTwoFactor && user.twoFactor?.enabled && (
+              <Tooltip title="Reset two-factor">
+                <IconButton
+                  size="small"
+                  onClick={() => onResetTwoFactor(user)}
+                  color="warning"
+                >
+                  <LockResetIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            )}
             <Tooltip title="Edit">
               <IconButton
                 size="small"
@@ -207,10 +259,16 @@ const UserCard = ({ user, onView, onEdit, onDelete, onRestore }) => {
 
 UserCard.propTypes = {
   user: PropTypes.object.isRequired,
+  presence: PropTypes.shape({
+    status: PropTypes.string,
+    lastSeen: PropTypes.string,
+  }),
   onView: PropTypes.func.isRequired,
   onEdit: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
   onRestore: PropTypes.func,
+  onResetTwoFactor: PropTypes.func,
+  onHistory: PropTypes.func,
 };
 
 // Memoize to prevent re-renders when props haven't changed
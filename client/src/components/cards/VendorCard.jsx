@@ -17,6 +17,7 @@ import RestoreIcon from "@mui/icons-material/Restore";
 import EmailIcon from "@mui/icons-material/Email";
 import PhoneIcon from "@mui/icons-material/Phone";
 import BusinessIcon from "@mui/icons-material/Business";
+import VendorScorecard from "./VendorScorecard";
 
 const VendorCard = ({ vendor, onView, onEdit, onDelete, onRestore }) => {
   const isDeleted = vendor.isDeleted || vendor.deleted;
@@ -61,21 +62,8 @@ const VendorCard = ({ vendor, onView, onEdit, onDelete, onRestore }) => {
           )}
         </Box>
 
-        <Box sx={{ display: "flex", gap: 2, mb: 2 }}>
-          <Box>
-            <Typography variant="caption" color="text.secondary">
-              Projects
-            </Typography>
-            <Typography variant="h6">{vendor.projectCount || 0}</Typography>
-          </Box>
-          <Box>
-            <Typography variant="caption" color="text.secondary">
-              Total Cost
-            </Typography>
-            <Typography variant="h6" color="primary">
-              ${vendor.totalCost?.toFixed(2) || "0.00"}
-            </Typography>
-          </Box>
+        <Box sx={{ mb: 2 }}>
+          <VendorScorecard scorecard={vendor.scorecard} compact />
         </Box>
 
         {isDeleted && <Chip label="Deleted" size="small" color="error" />}
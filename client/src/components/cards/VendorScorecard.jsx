@@ -0,0 +1,96 @@
+// client/src/components/cards/VendorScorecard.jsx
+import PropTypes from "prop-types";
+import { Box, Grid, Rating, Typography } from "@mui/material";
+import { MAX_VENDOR_RATING } from "../../utils/constants";
+
+/**
+ * VendorScorecard Component
+ *
+ * Grid of a vendor's performance metrics as returned by the vendor endpoints.
+ * Metrics without data (e.g. no completed tasks yet) show "N/A".
+ *
+ * @param {Object} props
+ * @param {Object} [props.scorecard] - Vendor scorecard
+ * @param {boolean} [props.compact] - Smaller layout for cards
+ * @returns {JSX.Element}
+ */
+const VendorScorecard = ({ scorecard, compact = false }) => {
+  const metrics = [
+    {
+      label: "Active Tasks",
+      value: scorecard?.activeTasks ?? 0,
+    },
+    {
+      label: "On Time",
+      value:
+        scorecard?.onTimeRate == null ? "N/A" : `${scorecard.onTimeRate}%`,
+      color:
+        scorecard?.onTimeRate == null
+          ? "text.primary"
+          : scorecard.onTimeRate >= 80
+          ? "success.main"
+          : "warning.main",
+    },
+    {
+      label: "Cost Variance",
+      value:
+        scorecard?.costVariancePercent == null
+          ? "N/A"
+          : `${scorecard.costVariancePercent > 0 ? "+" : ""}${
+              scorecard.costVariancePercent
+            }%`,
+      color:
+        scorecard?.costVariancePercent > 0 ? "error.main" : "text.primary",
+    },
+    {
+      label: "Avg Duration",
+      value:
+        scorecard?.averageDurationDays == null
+          ? "N/A"
+          : `${scorecard.averageDurationDays} days`,
+    },
+  ];
+
+  return (
+    <Box>
+      <Grid container spacing={compact ? 1 : 2}>
+        {metrics.map((metric) => (
+          <Grid key={metric.label} size={{ xs: 6, sm: compact ? 6 : 3 }}>
+            <Typography variant="caption" color="text.secondary">
+              {metric.label}
+            </Typography>
+            <Typography
+              variant={compact ? "subtitle1" : "h6"}
+              color={metric.color || "text.primary"}
+            >
+              {metric.value}
+            </Typography>
+          </Grid>
+        ))}
+      </Grid>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}>
+        <Rating
+          value={scorecard?.averageRating || 0}
+          max={MAX_VENDOR_RATING}
+          precision={0.1}
+          size="small"
+          readOnly
+        />
+        <Typography variant="caption" color="text.secondary">
+          {scorecard?.ratingCount
+            ? `${scorecard.averageRating} from ${scorecard.ratingCount} rating${
+                scorecard.ratingCount === 1 ? "" : "s"
+              }`
+            : "Not rated yet"}
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+VendorScorecard.propTypes = {
+  scorecard: PropTypes.object,
+  compact: PropTypes.bool,
+};
+
+export default VendorScorecard;
@@ -0,0 +1,132 @@
+// client/src/components/columns/AnnouncementColumns.jsx
+import { Box, Chip, IconButton, Tooltip } from "@mui/material";
+import PushPinIcon from "@mui/icons-material/PushPin";
+import PushPinOutlinedIcon from "@mui/icons-material/PushPinOutlined";
+import CancelScheduleSendIcon from "@mui/icons-material/CancelScheduleSend";
+import MuiActionColumn from "../common/MuiActionColumn";
+import { formatDateTime } from "../../utils/dateUtils";
+
+// Chip color per delivery status
+const STATUS_COLORS = {
+  Scheduled: "info",
+  Sent: "success",
+  Cancelled: "default",
+  Failed: "error",
+};
+
+/**
+ * Get Announcement Column Definitions
+ *
+ * Sorting is fixed server-side (newest scheduled first), so columns are not
+ * sortable.
+ *
+ * @param {Object} actions - Action handlers {onPin, onCancel, onDelete}
+ * @returns {Array} Column definitions for MuiDataGrid
+ */
+export const getAnnouncementColumns = (actions = {}) => [
+  {
+    field: "title",
+    headerName: "Title",
+    flex: 1,
+    minWidth: 200,
+    sortable: false,
+    renderCell: (params) => (
+      <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+        {params.row.pinned && <PushPinIcon fontSize="small" color="primary" />}
+        {params.value}
+      </Box>
+    ),
+  },
+  {
+    field: "targetDepartments",
+    headerName: "Audience",
+    flex: 1,
+    minWidth: 180,
+    sortable: false,
+    valueGetter: (value, row) =>
+      row.targetType === "organization"
+        ? "Whole organization"
+        : (row.targetDepartments || []).map((d) => d.name).join(", "),
+  },
+  {
+    field: "status",
+    headerName: "Status",
+    width: 120,
+    sortable: false,
+    renderCell: (params) => (
+      <Tooltip title={params.row.failureReason || ""}>
+        <Chip
+          label={params.value}
+          size="small"
+          color={STATUS_COLORS[params.value]}
+          variant="outlined"
+        />
+      </Tooltip>
+    ),
+  },
+  {
+    field: "scheduledFor",
+    headerName: "Send Time",
+    width: 170,
+    sortable: false,
+    valueGetter: (value, row) => row.sentAt || value,
+    valueFormatter: (value) => (value ? formatDateTime(value) : "N/A"),
+  },
+  {
+    field: "readCount",
+    headerName: "Read",
+    width: 130,
+    sortable: false,
+    valueGetter: (value, row) =>
+      row.status === "Sent"
+        ? `${value || 0} / ${row.recipientCount || 0}${
+            row.readRate !== null && row.readRate !== undefined
+              ? ` (${row.readRate}%)`
+              : ""
+          }`
+        : "—",
+  },
+  {
+    field: "createdBy",
+    headerName: "Sent By",
+    width: 160,
+    sortable: false,
+    valueGetter: (value, row) =>
+      row.createdBy
+        ? `${row.createdBy.firstName} ${row.createdBy.lastName}`
+        : "N/A",
+  },
+  {
+    field: "actions",
+    headerName: "Actions",
+    width: 150,
+    sortable: false,
+    renderCell: (params) => (
+      <Box sx={{ display: "flex", alignItems: "center" }}>
+        {params.row.status === "Sent" && actions.onPin && (
+          <Tooltip title={params.row.pinned ? "Unpin" : "Pin"}>
+            <IconButton size="small" onClick={() => actions.onPin(params.row)}>
+              {params.row.pinned ? (
+                <PushPinIcon fontSize="small" />
+              ) : (
+                <PushPinOutlinedIcon fontSize="small" />
+              )}
+            </IconButton>
+          </Tooltip>
+        )}
+        {params.row.status === "Scheduled" && actions.onCancel && (
+          <Tooltip title="Cancel">
+            <IconButton
+              size="small"
+              color="warning"
+              onClick={() => actions.onCancel(params.row)}
+            >
+              <CancelScheduleSendIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+        <MuiActionColumn row={params.row} onDelete={actions.onDelete} />
+      </Box>
+    ),
+  },
+];
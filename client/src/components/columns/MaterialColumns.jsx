@@ -6,7 +6,7 @@ import MuiActionColumn from "../common/MuiActionColumn";
 /**
  * Get Material Column Definitions
  * 
- * @param {Object} actions - Action handlers {onView, onEdit, onDelete, onRestore}
+ * @param {Object} actions - Action handlers {onView, onEdit, onDelete, onRestore, onHistory}
  * @returns {Array} Column definitions for MuiDataGrid
  */
 export const getMaterialColumns = (actions = {}) => [
@@ -37,6 +37,24 @@ export const getMaterialColumns = (actions = {}) => [
     headerAlign: "right",
     valueFormatter: (value) => (value ? `$${value.toFixed(2)}` : "N/A"),
   },
+  {
+    field: "stock",
+    headerName: "In Stock",
+    width: 140,
+    sortable: false,
+    renderCell: (params) => {
+      const stock = params.value;
+      if (!stock) return "N/A";
+      return (
+        <Chip
+          label={`${stock.quantity} ${params.row.unit}`}
+          size="small"
+          color={stock.isLowStock ? "error" : "default"}
+          variant={stock.isLowStock ? "filled" : "outlined"}
+        />
+      );
+    },
+  },
   {
     field: "department",
     headerName: "Department",
@@ -50,12 +68,12 @@ export const getMaterialColumns = (actions = {}) => [
     width: 150,
     valueGetter: (value, row) => row.addedBy?.fullName || "N/A",
   },
-  {
-    field: "createdAt",
-    headerName: "Added",
-    width: 120,
-    valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
-  },
+  {
+    field: "createdAt",
+    headerName: "Added",
+    width: 120,
+    valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
+  },
   {
     field: "isDeleted",
     headerName: "Status",
@@ -72,7 +90,7 @@ export const getMaterialColumns = (actions = {}) => [
   {
     field: "actions",
     headerName: "Actions",
-    width: 150,
+    width: 180,
     sortable: false,
     renderCell: (params) => (
       <MuiActionColumn
@@ -81,6 +99,7 @@ export const getMaterialColumns = (actions = {}) => [
         onEdit={actions.onEdit}
         onDelete={actions.onDelete}
         onRestore={actions.onRestore}
+        onHistory={actions.onHistory}
       />
     ),
   },
@@ -26,6 +26,9 @@ export const getNotificationColumns = (actions = {}) => [
         Mention: "secondary",
         Welcome: "primary",
         Announcement: "default",
+        Reminder: "warning",
+        LowStock: "error",
+        Escalation: "error",
       };
       return (
         <Chip
@@ -73,12 +76,12 @@ export const getNotificationColumns = (actions = {}) => [
       />
     ),
   },
-  {
-    field: "createdAt",
-    headerName: "Time",
-    width: 150,
-    valueFormatter: (value) => (value ? formatRelativeTime(value) : "N/A"),
-  },
+  {
+    field: "createdAt",
+    headerName: "Time",
+    width: 150,
+    valueFormatter: (value) => (value ? formatRelativeTime(value) : "N/A"),
+  },
   {
     field: "actions",
     headerName: "Actions",
@@ -0,0 +1,114 @@
+// client/src/components/columns/PurchaseOrderColumns.jsx
+import { Chip } from "@mui/material";
+import MuiActionColumn from "../common/MuiActionColumn";
+import {
+  EDITABLE_PURCHASE_ORDER_STATUS,
+  DELETABLE_PURCHASE_ORDER_STATUS,
+} from "../../utils/constants";
+import { formatDate } from "../../utils/dateUtils";
+
+// Chip color per workflow status
+const STATUS_COLORS = {
+  Draft: "default",
+  Approved: "info",
+  Ordered: "warning",
+  Received: "success",
+  Cancelled: "error",
+};
+
+/**
+ * Get Purchase Order Column Definitions
+ *
+ * Only createdAt, orderNumber, totalAmount, expectedDate and status are
+ * sortable, matching validateGetAllPurchaseOrders.
+ *
+ * @param {Object} actions - Action handlers {onView, onEdit, onDelete, onRestore}
+ * @returns {Array} Column definitions for MuiDataGrid
+ */
+export const getPurchaseOrderColumns = (actions = {}) => [
+  {
+    field: "orderNumber",
+    headerName: "Order #",
+    width: 130,
+  },
+  {
+    field: "vendor",
+    headerName: "Vendor",
+    flex: 1,
+    minWidth: 180,
+    sortable: false,
+    valueGetter: (value, row) => row.vendor?.name || "N/A",
+  },
+  {
+    field: "department",
+    headerName: "Department",
+    flex: 1,
+    minWidth: 150,
+    sortable: false,
+    valueGetter: (value, row) => row.department?.name || "N/A",
+  },
+  {
+    field: "items",
+    headerName: "Items",
+    width: 90,
+    align: "center",
+    headerAlign: "center",
+    sortable: false,
+    valueGetter: (value, row) => row.items?.length || 0,
+  },
+  {
+    field: "totalAmount",
+    headerName: "Total",
+    width: 140,
+    align: "right",
+    headerAlign: "right",
+    valueFormatter: (value, row) =>
+      `${(value || 0).toFixed(2)} ${row.currency || ""}`.trim(),
+  },
+  {
+    field: "status",
+    headerName: "Status",
+    width: 120,
+    renderCell: (params) => (
+      <Chip
+        label={params.row.isDeleted ? "Deleted" : params.value}
+        size="small"
+        color={params.row.isDeleted ? "error" : STATUS_COLORS[params.value]}
+        variant="outlined"
+      />
+    ),
+  },
+  {
+    field: "expectedDate",
+    headerName: "Expected",
+    width: 120,
+    valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
+  },
+  {
+    field: "createdAt",
+    headerName: "Created",
+    width: 120,
+    valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
+  },
+  {
+    field: "actions",
+    headerName: "Actions",
+    width: 150,
+    sortable: false,
+    renderCell: (params) => (
+      <MuiActionColumn
+        row={params.row}
+        onView={actions.onView}
+        onEdit={actions.onEdit}
+        onDelete={actions.onDelete}
+        onRestore={actions.onRestore}
+        hideEdit={
+          !EDITABLE_PURCHASE_ORDER_STATUS.includes(params.row.status)
+        }
+        hideDelete={
+          !DELETABLE_PURCHASE_ORDER_STATUS.includes(params.row.status)
+        }
+      />
+    ),
+  },
+];
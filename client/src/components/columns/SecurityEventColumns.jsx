@@ -0,0 +1,107 @@
+// client/src/components/columns/SecurityEventColumns.jsx
+import { Chip } from "@mui/material";
+import { formatDateTime } from "../../utils/dateUtils";
+
+// Chip color per event type
+const TYPE_COLORS = {
+  LoginSucceeded: "success",
+  LoginFailed: "warning",
+  AccountLocked: "error",
+  PasswordResetRequested: "info",
+  PasswordReset: "info",
+  RoleChanged: "secondary",
+};
+
+const formatName = (user) =>
+  user ? `${user.firstName} ${user.lastName}` : null;
+
+// One-line summary of the event metadata
+const describeEvent = (row) => {
+  const { metadata = {} } = row;
+  switch (row.type) {
+    case "LoginFailed":
+      return [
+        metadata.reason,
+        metadata.failedLoginAttempts &&
+          `attempt ${metadata.failedLoginAttempts}`,
+      ]
+        .filter(Boolean)
+        .join(", ");
+    case "AccountLocked":
+      return `Locked until ${formatDateTime(metadata.lockedUntil)}`;
+    case "RoleChanged":
+      return `${metadata.from} → ${metadata.to}${
+        row.actor ? ` by ${formatName(row.actor)}` : ""
+      }`;
+    case "LoginSucceeded":
+      return metadata.twoFactor ? "With two-factor" : "";
+    default:
+      return "";
+  }
+};
+
+/**
+ * Get Security Event Column Definitions
+ *
+ * Events are sorted newest first server-side, so columns are not sortable.
+ *
+ * @param {Object} options - {showOrganization} adds an Organization column (platform users)
+ * @returns {Array} Column definitions for MuiDataGrid
+ */
+export const getSecurityEventColumns = ({ showOrganization = false } = {}) => [
+  {
+    field: "createdAt",
+    headerName: "Time",
+    width: 170,
+    sortable: false,
+    valueFormatter: (value) => formatDateTime(value),
+  },
+  {
+    field: "type",
+    headerName: "Event",
+    width: 190,
+    sortable: false,
+    renderCell: (params) => (
+      <Chip
+        label={params.value}
+        size="small"
+        color={TYPE_COLORS[params.value]}
+        variant="outlined"
+      />
+    ),
+  },
+  {
+    field: "user",
+    headerName: "Account",
+    flex: 1,
+    minWidth: 200,
+    sortable: false,
+    valueGetter: (value, row) => formatName(value) || row.email || "Unknown",
+  },
+  ...(showOrganization
+    ? [
+        {
+          field: "organization",
+          headerName: "Organization",
+          width: 160,
+          sortable: false,
+          valueGetter: (value) => value?.name || "—",
+        },
+      ]
+    : []),
+  {
+    field: "ip",
+    headerName: "IP Address",
+    width: 140,
+    sortable: false,
+    valueGetter: (value) => value || "—",
+  },
+  {
+    field: "metadata",
+    headerName: "Details",
+    flex: 1,
+    minWidth: 220,
+    sortable: false,
+    valueGetter: (value, row) => describeEvent(row) || "—",
+  },
+];
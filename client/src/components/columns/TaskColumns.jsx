@@ -2,6 +2,7 @@
 import { Chip, Box, AvatarGroup, Avatar, Tooltip } from "@mui/material";
 import dayjs from "dayjs";
 import MuiActionColumn from "../common/MuiActionColumn";
+import TaskSlaChip from "../common/TaskSlaChip";
 import { TASK_STATUS, TASK_PRIORITY } from "../../utils/constants";
 
 /**
@@ -67,6 +68,13 @@ export const getTaskColumns = (actions = {}) => [
       );
     },
   },
+  {
+    field: "sla",
+    headerName: "SLA",
+    width: 150,
+    sortable: false,
+    renderCell: (params) => <TaskSlaChip task={params.row} />,
+  },
   {
     field: "assignees",
     headerName: "Assignees",
@@ -91,18 +99,18 @@ export const getTaskColumns = (actions = {}) => [
       );
     },
   },
-  {
-     field: "dueDate",
-     headerName: "Due Date",
-     width: 120,
-     valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
-   },
-   {
-     field: "date",
-     headerName: "Date",
-     width: 120,
-     valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
-   },
+  {
+     field: "dueDate",
+     headerName: "Due Date",
+     width: 120,
+     valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
+   },
+   {
+     field: "date",
+     headerName: "Date",
+     width: 120,
+     valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
+   },
   {
     field: "department",
     headerName: "Department",
@@ -2,6 +2,7 @@
 import { Chip } from "@mui/material";
 import dayjs from "dayjs";
 import MuiActionColumn from "../common/MuiActionColumn";
+import { MAX_VENDOR_RATING } from "../../utils/constants";
 
 /**
  * Get Vendor Column Definitions
@@ -27,20 +28,52 @@ export const getVendorColumns = (actions = {}) => [
     headerName: "Phone",
     width: 150,
   },
+  // Scorecard metrics (computed by the backend, sortable server-side)
   {
-    field: "projectCount",
-    headerName: "Projects",
-    width: 100,
+    field: "activeTasks",
+    headerName: "Active Tasks",
+    width: 110,
     align: "center",
     headerAlign: "center",
+    valueGetter: (value, row) => row.scorecard?.activeTasks ?? 0,
+  },
+  {
+    field: "onTimeRate",
+    headerName: "On Time",
+    width: 100,
+    align: "right",
+    headerAlign: "right",
+    valueGetter: (value, row) => row.scorecard?.onTimeRate ?? null,
+    valueFormatter: (value) => (value === null ? "N/A" : `${value}%`),
+  },
+  {
+    field: "costVariancePercent",
+    headerName: "Cost Variance",
+    width: 120,
+    align: "right",
+    headerAlign: "right",
+    valueGetter: (value, row) => row.scorecard?.costVariancePercent ?? null,
+    valueFormatter: (value) =>
+      value === null ? "N/A" : `${value > 0 ? "+" : ""}${value}%`,
+  },
+  {
+    field: "averageDurationDays",
+    headerName: "Avg Duration",
+    width: 120,
+    align: "right",
+    headerAlign: "right",
+    valueGetter: (value, row) => row.scorecard?.averageDurationDays ?? null,
+    valueFormatter: (value) => (value === null ? "N/A" : `${value} days`),
   },
   {
-    field: "totalCost",
-    headerName: "Total Cost",
-    width: 130,
+    field: "averageRating",
+    headerName: "Rating",
+    width: 110,
     align: "right",
     headerAlign: "right",
-    valueFormatter: (value) => (value ? `$${value.toFixed(2)}` : "$0.00"),
+    valueGetter: (value, row) => row.scorecard?.averageRating ?? null,
+    valueFormatter: (value) =>
+      value === null ? "N/A" : `${value} / ${MAX_VENDOR_RATING}`,
   },
   {
     field: "createdBy",
@@ -48,12 +81,12 @@ export const getVendorColumns = (actions = {}) => [
     width: 150,
     valueGetter: (value, row) => row.createdBy?.fullName || "N/A",
   },
-  {
-    field: "createdAt",
-    headerName: "Created",
-    width: 120,
-    valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
-  },
+  {
+    field: "createdAt",
+    headerName: "Created",
+    width: 120,
+    valueFormatter: (value) => (value ? formatDate(value) : "N/A"),
+  },
   {
     field: "isDeleted",
     headerName: "Status",
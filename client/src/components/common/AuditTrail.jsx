@@ -0,0 +1,157 @@
+// client/src/components/common/AuditTrail.jsx
+import { Fragment, useState, memo } from "react";
+import PropTypes from "prop-types";
+import {
+  Alert,
+  Box,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Pagination,
+  Typography,
+} from "@mui/material";
+import { LoadingFallback } from "./MuiLoading";
+import { useGetAuditLogsQuery } from "../../redux/features/audit/auditApi";
+import { formatDateTime } from "../../utils/dateUtils";
+
+const AUDIT_PAGE_SIZE = 10;
+const MAX_VALUE_LENGTH = 80;
+
+const ACTION_COLORS = {
+  Created: "success",
+  Updated: "info",
+  Deleted: "error",
+  Restored: "warning",
+};
+
+/**
+ * Render a stored before/after value on one line
+ * @param {*} value - Value from an audit change
+ * @returns {string}
+ */
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  const text = typeof value === "object" ? JSON.stringify(value) : `${value}`;
+  return text.length > MAX_VALUE_LENGTH
+    ? `${text.slice(0, MAX_VALUE_LENGTH)}…`
+    : text;
+};
+
+/**
+ * AuditTrail Component
+ *
+ * Paginated history of the changes made to one resource, newest first, with
+ * the field-level diff of each update.
+ *
+ * @param {Object} props
+ * @param {string} props.resourceId - ID of the audited resource
+ * @returns {JSX.Element}
+ */
+const AuditTrail = memo(({ resourceId }) => {
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading, isError } = useGetAuditLogsQuery(
+    { resourceId, page, limit: AUDIT_PAGE_SIZE },
+    { refetchOnMountOrArgChange: true }
+  );
+
+  if (isLoading) {
+    return <LoadingFallback message="Loading history..." height="200px" />;
+  }
+
+  if (isError) {
+    return <Alert severity="error">Failed to load history</Alert>;
+  }
+
+  const auditLogs = data?.auditLogs || [];
+  const totalPages = data?.pagination?.totalPages || 1;
+
+  if (auditLogs.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No recorded changes yet
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <List disablePadding>
+        {auditLogs.map((entry, index) => (
+          <Fragment key={entry._id}>
+            {index > 0 && <Divider component="li" />}
+            <ListItem alignItems="flex-start" disableGutters>
+              <ListItemText
+                primary={
+                  <Box
+                    sx={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 1,
+                      flexWrap: "wrap",
+                    }}
+                  >
+                    <Chip
+                      label={entry.action}
+                      size="small"
+                      color={ACTION_COLORS[entry.action] || "default"}
+                      variant="outlined"
+                    />
+                    <Typography variant="body2">
+                      {entry.actor
+                        ? `${entry.actor.firstName} ${entry.actor.lastName}`
+                        : "System"}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {formatDateTime(entry.createdAt)}
+                    </Typography>
+                  </Box>
+                }
+                secondary={
+                  entry.changes?.length > 0 && (
+                    <Box component="span" sx={{ display: "block", mt: 0.5 }}>
+                      {entry.changes.map((change) => (
+                        <Typography
+                          key={change.field}
+                          component="span"
+                          variant="body2"
+                          sx={{ display: "block", wordBreak: "break-word" }}
+                        >
+                          <strong>{change.field}</strong>:{" "}
+                          {formatAuditValue(change.from)} →{" "}
+                          {formatAuditValue(change.to)}
+                        </Typography>
+                      ))}
+                    </Box>
+                  )
+                }
+                secondaryTypographyProps={{ component: "div" }}
+              />
+            </ListItem>
+          </Fragment>
+        ))}
+      </List>
+
+      {totalPages > 1 && (
+        <Box sx={{ display: "flex", justifyContent: "center", mt: 2 }}>
+          <Pagination
+            count={totalPages}
+            page={page}
+            onChange={(_event, value) => setPage(value)}
+            size="small"
+          />
+        </Box>
+      )}
+    </Box>
+  );
+});
+
+AuditTrail.displayName = "AuditTrail";
+
+AuditTrail.propTypes = {
+  resourceId: PropTypes.string.isRequired,
+};
+
+export default AuditTrail;
@@ -0,0 +1,178 @@
+// client/src/components/common/CalendarFeedDialog.jsx
+import { useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import ContentCopyIcon from "@mui/icons-material/ContentCopy";
+import EventIcon from "@mui/icons-material/Event";
+import dayjs from "dayjs";
+import { toast } from "react-toastify";
+import MuiDialog from "./MuiDialog";
+import {
+  useGetMyCalendarFeedQuery,
+  useCreateMyCalendarFeedMutation,
+  useRevokeMyCalendarFeedMutation,
+} from "../../redux/features/user/userApi";
+import { handleRTKError } from "../../utils/errorHandler";
+
+/**
+ * CalendarFeedDialog Component
+ *
+ * Manages the current user's secret calendar feed URL: AssignedTasks they
+ * are assigned to, ProjectTasks they watch and their RoutineTasks, for
+ * subscribing from a phone or desktop calendar. The backend only returns the
+ * URL when it is created, so it is shown once; a new link replaces the old.
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/userControllers.js (getMyCalendarFeed, createMyCalendarFeed, revokeMyCalendarFeed)
+ * - Feed: backend/controllers/calendarControllers.js (getCalendarFeed)
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onClose - Close handler
+ * @returns {JSX.Element}
+ */
+const CalendarFeedDialog = ({ open, onClose }) => {
+  const [url, setUrl] = useState(null);
+
+  const { data: feed, isLoading } = useGetMyCalendarFeedQuery(undefined, {
+    skip: !open,
+  });
+  const [createFeed, { isLoading: isCreating }] =
+    useCreateMyCalendarFeedMutation();
+  const [revokeFeed, { isLoading: isRevoking }] =
+    useRevokeMyCalendarFeedMutation();
+
+  const handleClose = () => {
+    setUrl(null);
+    onClose();
+  };
+
+  const handleCreate = async () => {
+    try {
+      const created = await createFeed().unwrap();
+      setUrl(created.url);
+    } catch (error) {
+      handleRTKError(error, "Failed to create calendar link");
+    }
+  };
+
+  const handleRevoke = async () => {
+    try {
+      await revokeFeed().unwrap();
+      setUrl(null);
+      toast.success("Calendar link revoked");
+    } catch (error) {
+      handleRTKError(error, "Failed to revoke calendar link");
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success("Calendar link copied");
+    } catch {
+      toast.error("Could not copy calendar link");
+    }
+  };
+
+  return (
+    <MuiDialog
+      open={open}
+      onClose={handleClose}
+      title="Subscribe in Your Calendar"
+      maxWidth="sm"
+      isLoading={isCreating || isRevoking}
+      actions={<Button onClick={handleClose}>Close</Button>}
+    >
+      {isLoading || !feed ? (
+        <Stack alignItems="center" sx={{ py: 3 }}>
+          <CircularProgress size={24} />
+        </Stack>
+      ) : (
+        <Stack spacing={2}>
+          <Typography variant="body2" color="text.secondary">
+            Add your tasks to Google Calendar, Outlook or your phone. The feed
+            has tasks assigned to you, project tasks you watch and your routine
+            tasks, each on its due date with its priority.
+          </Typography>
+
+          {url && (
+            <>
+              <Alert severity="warning">
+                Copy this link now; it will not be shown again. Anyone with the
+                link can see your tasks.
+              </Alert>
+              <TextField
+                value={url}
+                size="small"
+                fullWidth
+                slotProps={{ htmlInput: { readOnly: true } }}
+                onFocus={(event) => event.target.select()}
+              />
+              <Stack direction="row" spacing={1}>
+                <Button
+                  size="small"
+                  startIcon={<ContentCopyIcon fontSize="small" />}
+                  onClick={handleCopy}
+                >
+                  Copy
+                </Button>
+                <Button
+                  size="small"
+                  startIcon={<EventIcon fontSize="small" />}
+                  href={url.replace(/^https?:/, "webcal:")}
+                >
+                  Open in calendar app
+                </Button>
+              </Stack>
+            </>
+          )}
+
+          {!url && feed.enabled && (
+            <Alert severity="info">
+              You created a calendar link on{" "}
+              {dayjs(feed.createdAt).format("MMM D, YYYY")}. Create a new link
+              if you lost it; the old one stops working.
+            </Alert>
+          )}
+
+          <Stack direction="row" spacing={1}>
+            <Button
+              variant="contained"
+              size="small"
+              onClick={handleCreate}
+              disabled={isCreating}
+            >
+              {feed.enabled ? "Create new link" : "Create link"}
+            </Button>
+            {feed.enabled && (
+              <Button
+                variant="outlined"
+                color="error"
+                size="small"
+                onClick={handleRevoke}
+                disabled={isRevoking}
+              >
+                Revoke
+              </Button>
+            )}
+          </Stack>
+        </Stack>
+      )}
+    </MuiDialog>
+  );
+};
+
+CalendarFeedDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default CalendarFeedDialog;
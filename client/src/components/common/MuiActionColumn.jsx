@@ -5,12 +5,14 @@ import VisibilityIcon from "@mui/icons-material/Visibility";
 import EditIcon from "@mui/icons-material/Edit";
 import DeleteIcon from "@mui/icons-material/Delete";
 import RestoreIcon from "@mui/icons-material/Restore";
+import HistoryIcon from "@mui/icons-material/History";
 
 /**
  * MuiActionColumn Component
  * 
  * MANDATORY action column component for all data grids.
- * Provides consistent view, edit, delete, and restore actions.
+ * Provides consistent view, edit, delete, and restore actions, plus an
+ * optional change history action.
  * 
  * @param {Object} props
  * @param {Object} props.row - Data row object
@@ -18,6 +20,7 @@ import RestoreIcon from "@mui/icons-material/Restore";
  * @param {Function} [props.onEdit] - Edit action handler
  * @param {Function} [props.onDelete] - Delete action handler
  * @param {Function} [props.onRestore] - Restore action handler
+ * @param {Function} [props.onHistory] - Change history action handler
  * @param {boolean} [props.hideView] - Hide view button
  * @param {boolean} [props.hideEdit] - Hide edit button
  * @param {boolean} [props.hideDelete] - Hide delete button
@@ -31,6 +34,7 @@ const MuiActionColumn = ({
   onEdit,
   onDelete,
   onRestore,
+  onHistory,
   hideView = false,
   hideEdit = false,
   hideDelete = false,
@@ -103,6 +107,19 @@ const MuiActionColumn = ({
           </IconButton>
         </Tooltip>
       )}
+
+      {/* History Button */}
+      {onHistory && (
+        <Tooltip title="History">
+          <IconButton
+            size="small"
+            onClick={() => onHistory(row)}
+            disabled={disabled}
+          >
+            <HistoryIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      )}
     </Box>
   );
 };
@@ -113,6 +130,7 @@ MuiActionColumn.propTypes = {
   onEdit: PropTypes.func,
   onDelete: PropTypes.func,
   onRestore: PropTypes.func,
+  onHistory: PropTypes.func,
   hideView: PropTypes.bool,
   hideEdit: PropTypes.bool,
   hideDelete: PropTypes.bool,
@@ -14,10 +14,13 @@ import {
   Divider,
   Button,
   Chip,
+  Tooltip,
 } from "@mui/material";
 import NotificationsIcon from "@mui/icons-material/Notifications";
 import CheckIcon from "@mui/icons-material/Check";
+import CloseIcon from "@mui/icons-material/Close";
 import DoneAllIcon from "@mui/icons-material/DoneAll";
+import PushPinIcon from "@mui/icons-material/PushPin";
 import dayjs from "dayjs";
 import relativeTime from "dayjs/plugin/relativeTime";
 import { toast } from "react-toastify";
@@ -25,7 +28,9 @@ import {
   useGetNotificationsQuery,
   useMarkAsReadMutation,
   useMarkAllAsReadMutation,
+  useArchiveNotificationsMutation,
 } from "../../redux/features/notification/notificationApi";
+import { useGetPinnedAnnouncementsQuery } from "../../redux/features/announcement/announcementApi";
 import { handleRTKError } from "../../utils/errorHandler";
 import { ROUTES, PAGINATION } from "../../utils/constants";
 
@@ -35,7 +40,8 @@ dayjs.extend(relativeTime);
  * NotificationMenu Component
  *
  * Notification menu with bell icon, unread count badge, and dropdown.
- * Displays recent notifications with mark as read functionality.
+ * Displays pinned announcements above recent notifications, with mark as
+ * read and dismiss (archive) functionality.
  *
  * @returns {JSX.Element}
  */
@@ -52,9 +58,12 @@ const NotificationMenu = () => {
     limit: NOTIFICATION_PREVIEW_LIMIT,
   });
 
+  const { data: pinnedAnnouncements = [] } = useGetPinnedAnnouncementsQuery();
+
   const [markAsRead] = useMarkAsReadMutation();
   const [markAllAsRead, { isLoading: isMarkingAll }] =
     useMarkAllAsReadMutation();
+  const [archiveNotifications] = useArchiveNotificationsMutation();
 
   const notifications = notificationsData?.notifications || [];
   const unreadCount = notificationsData?.pagination?.totalCount || 0;
@@ -102,6 +111,17 @@ const NotificationMenu = () => {
     }
   };
 
+  const handlePinnedClick = async (announcement) => {
+    try {
+      if (!announcement.isRead && announcement.notification) {
+        await markAsRead(announcement.notification).unwrap();
+      }
+      handleClose();
+    } catch (error) {
+      handleRTKError(error, "Failed to mark announcement as read");
+    }
+  };
+
   const handleMarkAllAsRead = async () => {
     try {
       await markAllAsRead().unwrap();
@@ -111,6 +131,16 @@ const NotificationMenu = () => {
     }
   };
 
+  const handleDismiss = async (event, notification) => {
+    // Keep the click from also opening the notification
+    event.stopPropagation();
+    try {
+      await archiveNotifications([notification._id]).unwrap();
+    } catch (error) {
+      handleRTKError(error, "Failed to dismiss notification");
+    }
+  };
+
   const handleViewAll = () => {
     navigate("/notifications");
     handleClose();
@@ -125,6 +155,9 @@ const NotificationMenu = () => {
       Mention: "secondary",
       Welcome: "primary",
       Announcement: "default",
+      Reminder: "warning",
+      LowStock: "error",
+      Escalation: "error",
     };
     return typeColors[type] || "default";
   };
@@ -199,6 +232,64 @@ const NotificationMenu = () => {
         </Box>
         <Divider />
 
+        {/* Pinned Announcements */}
+        {pinnedAnnouncements.length > 0 && [
+          ...pinnedAnnouncements.map((announcement) => (
+            <MenuItem
+              key={`pinned-${announcement._id}`}
+              onClick={() => handlePinnedClick(announcement)}
+              sx={{
+                py: 1.5,
+                px: 2,
+                alignItems: "flex-start",
+                bgcolor: announcement.isRead ? "transparent" : "action.hover",
+                whiteSpace: "normal",
+              }}
+            >
+              <ListItemAvatar>
+                <Avatar sx={{ bgcolor: "primary.main", width: 40, height: 40 }}>
+                  <PushPinIcon fontSize="small" />
+                </Avatar>
+              </ListItemAvatar>
+              <ListItemText
+                primary={
+                  <Typography
+                    variant="subtitle2"
+                    sx={{ fontWeight: announcement.isRead ? 400 : 600 }}
+                  >
+                    {announcement.title}
+                  </Typography>
+                }
+                secondary={
+                  <>
+                    <Typography
+                      variant="body2"
+                      color="text.secondary"
+                      sx={{
+                        overflow: "hidden",
+                        textOverflow: "ellipsis",
+                        display: "-webkit-box",
+                        WebkitLineClamp: 2,
+                        WebkitBoxOrient: "vertical",
+                        mb: 0.5,
+                      }}
+                    >
+                      {announcement.message}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {announcement.createdBy
+                        ? `${announcement.createdBy.firstName} ${announcement.createdBy.lastName} · `
+                        : ""}
+                      {dayjs(announcement.sentAt).fromNow()}
+                    </Typography>
+                  </>
+                }
+              />
+            </MenuItem>
+          )),
+          <Divider key="pinned-divider" />,
+        ]}
+
         {/* Notification List */}
         {notifications.length === 0 ? (
           <Box sx={{ p: 3, textAlign: "center" }}>
@@ -254,9 +345,23 @@ const NotificationMenu = () => {
                       >
                         {notification.title}
                       </Typography>
-                      {!notification.isRead && (
-                        <CheckIcon fontSize="small" color="primary" />
-                      )}
+                      <Box sx={{ display: "flex", alignItems: "center" }}>
+                        {!notification.isRead && (
+                          <CheckIcon fontSize="small" color="primary" />
+                        )}
+                        <Tooltip title="Dismiss">
+                          <IconButton
+                            size="small"
+                            aria-label="dismiss notification"
+                            onClick={(event) =>
+                              handleDismiss(event, notification)
+                            }
+                            sx={{ border: "none", ml: 0.5, p: 0.25 }}
+                          >
+                            <CloseIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </Box>
                     </Box>
                   }
                   secondary={
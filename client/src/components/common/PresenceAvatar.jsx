@@ -0,0 +1,68 @@
+// client/src/components/common/PresenceAvatar.jsx
+import PropTypes from "prop-types";
+import { Avatar, Badge } from "@mui/material";
+import { PRESENCE_STATUSES } from "../../utils/constants";
+
+const STATUS_COLORS = {
+  online: "success.main",
+  away: "warning.main",
+  offline: "grey.400",
+};
+
+/**
+ * PresenceAvatar Component
+ *
+ * User avatar with a dot in the corner showing online, away or offline.
+ *
+ * @param {Object} props
+ * @param {Object} props.user - {firstName, lastName, profilePicture: {url}}
+ * @param {string} [props.status] - One of PRESENCE_STATUSES (default: offline)
+ * @param {number} [props.size] - Avatar size in px (default: 40)
+ * @returns {JSX.Element}
+ */
+const PresenceAvatar = ({
+  user,
+  status = "offline",
+  size = 40,
+  ...muiProps
+}) => {
+  return (
+    <Badge
+      overlap="circular"
+      anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+      variant="dot"
+      sx={{
+        "& .MuiBadge-badge": {
+          bgcolor: STATUS_COLORS[status],
+          boxShadow: (theme) =>
+            `0 0 0 2px ${(theme.vars || theme).palette.background.paper}`,
+          width: Math.max(8, size / 5),
+          height: Math.max(8, size / 5),
+          borderRadius: "50%",
+        },
+      }}
+    >
+      <Avatar
+        {...muiProps}
+        src={user.profilePicture?.url || ""}
+        alt={`${user.firstName} ${user.lastName}`}
+        sx={{ width: size, height: size }}
+      >
+        {user.firstName?.[0]}
+        {user.lastName?.[0]}
+      </Avatar>
+    </Badge>
+  );
+};
+
+PresenceAvatar.propTypes = {
+  user: PropTypes.shape({
+    firstName: PropTypes.string,
+    lastName: PropTypes.string,
+    profilePicture: PropTypes.object,
+  }).isRequired,
+  status: PropTypes.oneOf(PRESENCE_STATUSES),
+  size: PropTypes.number,
+};
+
+export default PresenceAvatar;
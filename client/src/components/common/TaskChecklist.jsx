@@ -0,0 +1,376 @@
+// client/src/components/common/TaskChecklist.jsx
+import { useState, useMemo, useCallback, memo } from "react";
+import PropTypes from "prop-types";
+import {
+  Avatar,
+  Box,
+  Button,
+  Checkbox,
+  IconButton,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  MenuItem,
+  Stack,
+  TextField,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+} from "@mui/icons-material";
+import dayjs from "dayjs";
+import { toast } from "react-toastify";
+import {
+  useAddChecklistItemMutation,
+  useUpdateChecklistItemMutation,
+  useDeleteChecklistItemMutation,
+} from "../../redux/features/task/taskApi";
+import { useGetUsersQuery } from "../../redux/features/user/userApi";
+import { handleRTKError } from "../../utils/errorHandler";
+import { formatDate, isPast } from "../../utils/dateUtils";
+import {
+  MAX_CHECKLIST_ITEMS,
+  MAX_CHECKLIST_ITEM_TITLE_LENGTH,
+  PAGINATION,
+} from "../../utils/constants";
+
+const EMPTY_DRAFT = { title: "", assigneeId: "", dueDate: "" };
+
+const toDraft = (item) => ({
+  title: item.title,
+  assigneeId: item.assignee?._id || "",
+  dueDate: item.dueDate ? dayjs(item.dueDate).format("YYYY-MM-DD") : "",
+});
+
+/**
+ * Title, assignee and due date inputs shared by the add and edit rows
+ */
+const ChecklistItemFields = ({
+  draft,
+  onChange,
+  users,
+  onSubmit,
+  onCancel,
+}) => (
+  <Stack
+    direction={{ xs: "column", sm: "row" }}
+    spacing={1}
+    sx={{ flex: 1 }}
+    onKeyDown={(e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        onSubmit();
+      } else if (e.key === "Escape" && onCancel) {
+        onCancel();
+      }
+    }}
+  >
+    <TextField
+      value={draft.title}
+      onChange={(e) => onChange({ ...draft, title: e.target.value })}
+      placeholder="Checklist item"
+      size="small"
+      autoFocus={!!onCancel}
+      inputProps={{ maxLength: MAX_CHECKLIST_ITEM_TITLE_LENGTH }}
+      sx={{ flex: 2 }}
+    />
+    <TextField
+      select
+      value={draft.assigneeId}
+      onChange={(e) => onChange({ ...draft, assigneeId: e.target.value })}
+      label="Assignee"
+      size="small"
+      sx={{ flex: 1, minWidth: 140 }}
+    >
+      <MenuItem value="">
+        <em>Unassigned</em>
+      </MenuItem>
+      {users.map((u) => (
+        <MenuItem key={u._id} value={u._id}>
+          {u.fullName || `${u.firstName} ${u.lastName}`}
+        </MenuItem>
+      ))}
+    </TextField>
+    <TextField
+      type="date"
+      value={draft.dueDate}
+      onChange={(e) => onChange({ ...draft, dueDate: e.target.value })}
+      label="Due"
+      size="small"
+      InputLabelProps={{ shrink: true }}
+      sx={{ flex: 1, minWidth: 140 }}
+    />
+  </Stack>
+);
+
+ChecklistItemFields.propTypes = {
+  draft: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  users: PropTypes.array.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+};
+
+/**
+ * TaskChecklist Component
+ * Inline-editable checklist of an AssignedTask or ProjectTask. Progress is
+ * derived by the backend from the done items; checking an item also logs a
+ * task activity.
+ *
+ * @param {Object} props
+ * @param {Object} props.task - Task with checklist and progress
+ * @param {boolean} [props.readOnly] - Hide editing controls
+ * @returns {JSX.Element}
+ */
+const TaskChecklist = memo(({ task, readOnly = false }) => {
+  const [newItem, setNewItem] = useState(EMPTY_DRAFT);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState(EMPTY_DRAFT);
+
+  const [addItem, { isLoading: isAdding }] = useAddChecklistItemMutation();
+  const [updateItem, { isLoading: isUpdating }] =
+    useUpdateChecklistItemMutation();
+  const [deleteItem] = useDeleteChecklistItemMutation();
+
+  const { data: userData } = useGetUsersQuery(
+    {
+      departmentId: task.department,
+      limit: PAGINATION.MAX_LIMIT,
+      deleted: false,
+    },
+    { skip: readOnly }
+  );
+  const users = useMemo(() => userData?.users || [], [userData]);
+
+  const items = task.checklist || [];
+  const doneCount = items.filter((item) => item.done).length;
+
+  const handleAdd = useCallback(async () => {
+    if (!newItem.title.trim()) return;
+    try {
+      await addItem({
+        taskId: task._id,
+        title: newItem.title.trim(),
+        assigneeId: newItem.assigneeId || undefined,
+        dueDate: newItem.dueDate || undefined,
+      }).unwrap();
+      setNewItem(EMPTY_DRAFT);
+    } catch (error) {
+      handleRTKError(error, "Failed to add checklist item");
+    }
+  }, [addItem, newItem, task._id]);
+
+  const handleToggle = useCallback(
+    async (item) => {
+      try {
+        await updateItem({
+          taskId: task._id,
+          itemId: item._id,
+          done: !item.done,
+        }).unwrap();
+      } catch (error) {
+        handleRTKError(error, "Failed to update checklist item");
+      }
+    },
+    [updateItem, task._id]
+  );
+
+  const handleEdit = useCallback((item) => {
+    setEditingId(item._id);
+    setEditDraft(toDraft(item));
+  }, []);
+
+  const handleSaveEdit = useCallback(async () => {
+    if (!editDraft.title.trim()) return;
+    try {
+      await updateItem({
+        taskId: task._id,
+        itemId: editingId,
+        title: editDraft.title.trim(),
+        assigneeId: editDraft.assigneeId || null,
+        dueDate: editDraft.dueDate || null,
+      }).unwrap();
+      setEditingId(null);
+    } catch (error) {
+      handleRTKError(error, "Failed to update checklist item");
+    }
+  }, [updateItem, editDraft, editingId, task._id]);
+
+  const handleDelete = useCallback(
+    async (item) => {
+      try {
+        await deleteItem({ taskId: task._id, itemId: item._id }).unwrap();
+        toast.success("Checklist item removed");
+      } catch (error) {
+        handleRTKError(error, "Failed to remove checklist item");
+      }
+    },
+    [deleteItem, task._id]
+  );
+
+  return (
+    <Box>
+      <Stack direction="row" alignItems="center" spacing={1} mb={1}>
+        <Typography variant="subtitle2">
+          Checklist ({doneCount}/{items.length})
+        </Typography>
+        {items.length > 0 && (
+          <>
+            <LinearProgress
+              variant="determinate"
+              value={task.progress || 0}
+              sx={{ flex: 1, height: 6, borderRadius: 3 }}
+            />
+            <Typography variant="caption" color="text.secondary">
+              {task.progress || 0}%
+            </Typography>
+          </>
+        )}
+      </Stack>
+
+      {items.length === 0 && readOnly && (
+        <Typography variant="body2" color="text.secondary">
+          No checklist items
+        </Typography>
+      )}
+
+      <List dense disablePadding>
+        {items.map((item) =>
+          editingId === item._id ? (
+            <ListItem key={item._id} disableGutters>
+              <ChecklistItemFields
+                draft={editDraft}
+                onChange={setEditDraft}
+                users={users}
+                onSubmit={handleSaveEdit}
+                onCancel={() => setEditingId(null)}
+              />
+              <Button
+                size="small"
+                onClick={handleSaveEdit}
+                disabled={isUpdating || !editDraft.title.trim()}
+                sx={{ ml: 1 }}
+              >
+                Save
+              </Button>
+              <Button
+                size="small"
+                color="inherit"
+                onClick={() => setEditingId(null)}
+              >
+                Cancel
+              </Button>
+            </ListItem>
+          ) : (
+            <ListItem
+              key={item._id}
+              disableGutters
+              secondaryAction={
+                !readOnly && (
+                  <Box>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => handleEdit(item)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Remove">
+                      <IconButton
+                        size="small"
+                        color="error"
+                        onClick={() => handleDelete(item)}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                )
+              }
+            >
+              <ListItemIcon sx={{ minWidth: 36 }}>
+                <Checkbox
+                  edge="start"
+                  size="small"
+                  checked={item.done}
+                  disabled={readOnly || isUpdating}
+                  onChange={() => handleToggle(item)}
+                />
+              </ListItemIcon>
+              <Stack
+                direction="row"
+                spacing={1}
+                alignItems="center"
+                sx={{ flex: 1, minWidth: 0, pr: 9 }}
+              >
+                <Typography
+                  variant="body2"
+                  sx={{
+                    textDecoration: item.done ? "line-through" : "none",
+                    color: item.done ? "text.secondary" : "text.primary",
+                    cursor: readOnly ? "default" : "text",
+                  }}
+                  onClick={() => !readOnly && handleEdit(item)}
+                >
+                  {item.title}
+                </Typography>
+                {item.dueDate && (
+                  <Typography
+                    variant="caption"
+                    color={
+                      !item.done && isPast(item.dueDate)
+                        ? "error"
+                        : "text.secondary"
+                    }
+                  >
+                    {formatDate(item.dueDate)}
+                  </Typography>
+                )}
+                {item.assignee && (
+                  <Tooltip title={item.assignee.fullName || ""}>
+                    <Avatar
+                      src={item.assignee.profilePicture?.url}
+                      sx={{ width: 20, height: 20, fontSize: 12 }}
+                    >
+                      {item.assignee.firstName?.[0]}
+                    </Avatar>
+                  </Tooltip>
+                )}
+              </Stack>
+            </ListItem>
+          )
+        )}
+      </List>
+
+      {!readOnly && items.length < MAX_CHECKLIST_ITEMS && (
+        <Stack direction="row" spacing={1} alignItems="flex-start" mt={1}>
+          <ChecklistItemFields
+            draft={newItem}
+            onChange={setNewItem}
+            users={users}
+            onSubmit={handleAdd}
+          />
+          <Button
+            startIcon={<AddIcon />}
+            size="small"
+            onClick={handleAdd}
+            disabled={isAdding || !newItem.title.trim()}
+          >
+            Add
+          </Button>
+        </Stack>
+      )}
+    </Box>
+  );
+});
+
+TaskChecklist.displayName = "TaskChecklist";
+
+TaskChecklist.propTypes = {
+  task: PropTypes.object.isRequired,
+  readOnly: PropTypes.bool,
+};
+
+export default TaskChecklist;
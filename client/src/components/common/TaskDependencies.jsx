@@ -0,0 +1,243 @@
+// client/src/components/common/TaskDependencies.jsx
+import { useState, useMemo, useCallback, memo } from "react";
+import PropTypes from "prop-types";
+import { useNavigate } from "react-router";
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  TextField,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import { LinkOff as UnlinkIcon } from "@mui/icons-material";
+import { toast } from "react-toastify";
+import {
+  useGetTasksQuery,
+  useAddTaskDependencyMutation,
+  useRemoveTaskDependencyMutation,
+} from "../../redux/features/task/taskApi";
+import { useAuth } from "../../hooks/useAuth";
+import { handleRTKError } from "../../utils/errorHandler";
+import { formatDate } from "../../utils/dateUtils";
+import {
+  BLOCKED_TASK_STATUS,
+  MAX_TASK_BLOCKERS,
+  ROUTES,
+} from "../../utils/constants";
+
+const STATUS_COLORS = {
+  "To Do": "default",
+  "In Progress": "info",
+  Completed: "success",
+  Pending: "warning",
+};
+
+const CANDIDATE_LIMIT = 20;
+
+/**
+ * TaskDependencies Component
+ * Shows the tasks blocking this task and the tasks it blocks. Members of the
+ * task's department can add and remove blockers; the backend rejects links
+ * that would create a cycle.
+ *
+ * @param {Object} props
+ * @param {Object} props.task - Task with populated blockedBy
+ * @param {Array} props.blocks - Tasks blocked by this task
+ * @param {boolean} [props.readOnly] - Hide add/remove controls
+ * @returns {JSX.Element}
+ */
+const TaskDependencies = memo(({ task, blocks, readOnly = false }) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [search, setSearch] = useState("");
+  const [selected, setSelected] = useState(null);
+
+  const [addDependency, { isLoading: isAdding }] =
+    useAddTaskDependencyMutation();
+  const [removeDependency, { isLoading: isRemoving }] =
+    useRemoveTaskDependencyMutation();
+
+  const blockers = useMemo(
+    () => (task.blockedBy || []).filter(Boolean),
+    [task.blockedBy]
+  );
+  const openBlockers = blockers.filter((b) => b.status !== "Completed");
+
+  // Blockers can only be edited within the task's own department
+  const canEdit =
+    !readOnly &&
+    !task.isDeleted &&
+    task.department?.toString() === user?.department?._id;
+
+  const { data: candidateData, isFetching } = useGetTasksQuery(
+    { search: search || undefined, limit: CANDIDATE_LIMIT },
+    { skip: !canEdit }
+  );
+
+  const candidates = useMemo(() => {
+    const excluded = new Set([task._id, ...blockers.map((b) => b._id)]);
+    return (candidateData?.tasks || []).filter((t) => !excluded.has(t._id));
+  }, [candidateData, task._id, blockers]);
+
+  const handleAdd = useCallback(async () => {
+    if (!selected) return;
+    try {
+      await addDependency({
+        taskId: task._id,
+        blockerId: selected._id,
+      }).unwrap();
+      toast.success("Blocker added successfully");
+      setSelected(null);
+      setSearch("");
+    } catch (error) {
+      handleRTKError(error, "Failed to add blocker");
+    }
+  }, [addDependency, selected, task._id]);
+
+  const handleRemove = useCallback(
+    async (blockerId) => {
+      try {
+        await removeDependency({ taskId: task._id, blockerId }).unwrap();
+        toast.success("Blocker removed successfully");
+      } catch (error) {
+        handleRTKError(error, "Failed to remove blocker");
+      }
+    },
+    [removeDependency, task._id]
+  );
+
+  const renderTask = (item, action) => (
+    <ListItem key={item._id} disableGutters secondaryAction={action}>
+      <ListItemText
+        primary={
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Typography
+              variant="body2"
+              sx={{ cursor: "pointer" }}
+              onClick={() => navigate(`${ROUTES.TASKS}/${item._id}`)}
+            >
+              {item.title}
+            </Typography>
+            <Chip
+              label={item.status}
+              size="small"
+              color={STATUS_COLORS[item.status]}
+            />
+          </Stack>
+        }
+        secondary={[
+          item.taskType,
+          item.dueDate && `Due ${formatDate(item.dueDate)}`,
+        ]
+          .filter(Boolean)
+          .join(" · ")}
+      />
+    </ListItem>
+  );
+
+  return (
+    <Box>
+      {openBlockers.length > 0 && task.status !== "Completed" && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {openBlockers.length === 1
+            ? "1 blocker is"
+            : `${openBlockers.length} blockers are`}{" "}
+          still open. The task cannot be moved to{" "}
+          {BLOCKED_TASK_STATUS.filter((status) => status !== task.status).join(
+            " or "
+          )}{" "}
+          until they are completed.
+        </Alert>
+      )}
+
+      <Typography variant="subtitle2" gutterBottom>
+        Blocked by ({blockers.length})
+      </Typography>
+      {blockers.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No blockers
+        </Typography>
+      ) : (
+        <List dense disablePadding>
+          {blockers.map((blocker) =>
+            renderTask(
+              blocker,
+              canEdit && (
+                <Tooltip title="Remove blocker">
+                  <IconButton
+                    edge="end"
+                    size="small"
+                    disabled={isRemoving}
+                    onClick={() => handleRemove(blocker._id)}
+                  >
+                    <UnlinkIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )
+            )
+          )}
+        </List>
+      )}
+
+      {canEdit && blockers.length < MAX_TASK_BLOCKERS && (
+        <Stack direction="row" spacing={1} alignItems="center" mt={1}>
+          <Autocomplete
+            value={selected}
+            onChange={(_event, value) => setSelected(value)}
+            inputValue={search}
+            onInputChange={(_event, value) => setSearch(value)}
+            options={candidates}
+            getOptionLabel={(option) => option.title || ""}
+            isOptionEqualToValue={(option, value) => option._id === value._id}
+            filterOptions={(options) => options}
+            loading={isFetching}
+            size="small"
+            sx={{ flex: 1 }}
+            renderInput={(params) => (
+              <TextField {...params} label="Add blocking task" />
+            )}
+          />
+          <Button
+            variant="contained"
+            size="small"
+            disabled={!selected || isAdding}
+            onClick={handleAdd}
+          >
+            Add
+          </Button>
+        </Stack>
+      )}
+
+      <Typography variant="subtitle2" gutterBottom mt={2}>
+        Blocks ({blocks.length})
+      </Typography>
+      {blocks.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No tasks are waiting on this task
+        </Typography>
+      ) : (
+        <List dense disablePadding>
+          {blocks.map((blocked) => renderTask(blocked))}
+        </List>
+      )}
+    </Box>
+  );
+});
+
+TaskDependencies.displayName = "TaskDependencies";
+
+TaskDependencies.propTypes = {
+  task: PropTypes.object.isRequired,
+  blocks: PropTypes.array.isRequired,
+  readOnly: PropTypes.bool,
+};
+
+export default TaskDependencies;
@@ -0,0 +1,53 @@
+// client/src/components/common/TaskSlaChip.jsx
+import { memo } from "react";
+import PropTypes from "prop-types";
+import { Chip, Tooltip } from "@mui/material";
+import TimerOutlinedIcon from "@mui/icons-material/TimerOutlined";
+import { formatDateTime, formatRelativeTime } from "../../utils/dateUtils";
+import { getSlaStatus, getSlaTargetLabel } from "../../utils/slaUtils";
+
+/**
+ * TaskSlaChip Component
+ *
+ * Chip showing whether a task is on track, at risk, breached or has met its
+ * SLA. Renders nothing for tasks no SLA policy governs.
+ *
+ * @param {Object} props
+ * @param {Object} props.task - Task with status, createdAt and sla
+ * @returns {JSX.Element|null}
+ */
+const TaskSlaChip = ({ task, ...chipProps }) => {
+  const sla = getSlaStatus(task);
+  if (!sla) return null;
+
+  const tooltip = sla.dueAt
+    ? `${getSlaTargetLabel(sla.target)} due ${formatDateTime(
+        sla.dueAt
+      )} (${formatRelativeTime(sla.dueAt)})`
+    : sla.target
+      ? `${getSlaTargetLabel(sla.target)} SLA breached`
+      : "Completed within SLA";
+
+  return (
+    <Tooltip title={tooltip}>
+      <Chip
+        icon={<TimerOutlinedIcon />}
+        label={`SLA: ${sla.status}`}
+        size="small"
+        color={sla.color}
+        variant={sla.status === "Breached" ? "filled" : "outlined"}
+        {...chipProps}
+      />
+    </Tooltip>
+  );
+};
+
+TaskSlaChip.propTypes = {
+  task: PropTypes.shape({
+    status: PropTypes.string,
+    createdAt: PropTypes.string,
+    sla: PropTypes.object,
+  }).isRequired,
+};
+
+export default memo(TaskSlaChip);
@@ -0,0 +1,443 @@
+// client/src/components/common/TaskTimeTracking.jsx
+import { useState, useEffect, useCallback, memo } from "react";
+import PropTypes from "prop-types";
+import {
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  Pagination,
+  Stack,
+  TextField,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  PlayArrow as PlayArrowIcon,
+  Stop as StopIcon,
+} from "@mui/icons-material";
+import dayjs from "dayjs";
+import { toast } from "react-toastify";
+import MuiDialog from "./MuiDialog";
+import MuiDialogConfirm from "./MuiDialogConfirm";
+import {
+  useGetTaskTimeEntriesQuery,
+  useStartTimerMutation,
+  useStopTimerMutation,
+  useCreateTimeEntryMutation,
+  useUpdateTimeEntryMutation,
+  useDeleteTimeEntryMutation,
+} from "../../redux/features/timeEntry/timeEntryApi";
+import { useAuth } from "../../hooks/useAuth";
+import { handleRTKError } from "../../utils/errorHandler";
+import {
+  formatDateTime,
+  formatDuration,
+  formatElapsed,
+} from "../../utils/dateUtils";
+import {
+  MAX_TIME_ENTRY_MINUTES,
+  MAX_TIME_ENTRY_NOTE_LENGTH,
+} from "../../utils/constants";
+
+const PAGE_SIZE = 10;
+
+const newDraft = () => ({
+  startedAt: dayjs().subtract(1, "hour").format("YYYY-MM-DDTHH:mm"),
+  durationMinutes: "60",
+  note: "",
+});
+
+const toDraft = (entry) => ({
+  startedAt: dayjs(entry.startedAt).format("YYYY-MM-DDTHH:mm"),
+  durationMinutes: String(entry.durationMinutes),
+  note: entry.note || "",
+});
+
+const formatCost = (cost, currency) =>
+  `${currency || "USD"} ${Number(cost || 0).toFixed(2)}`;
+
+/**
+ * Elapsed time of a running timer, ticking every second
+ */
+const ElapsedTime = ({ startedAt }) => {
+  const [now, setNow] = useState(() => dayjs());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(dayjs()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  return (
+    <Typography variant="h6" sx={{ fontVariantNumeric: "tabular-nums" }}>
+      {formatElapsed(startedAt, now)}
+    </Typography>
+  );
+};
+
+ElapsedTime.propTypes = {
+  startedAt: PropTypes.string.isRequired,
+};
+
+/**
+ * TaskTimeTracking Component
+ * Start/stop timer and time log of a task. Users log time on tasks of their
+ * own department; HODs also see rates and costs.
+ *
+ * @param {Object} props
+ * @param {Object} props.task - Task with timeSpentMinutes
+ * @returns {JSX.Element}
+ */
+const TaskTimeTracking = memo(({ task }) => {
+  const { user, isHod } = useAuth();
+  const [page, setPage] = useState(1);
+  const [dialog, setDialog] = useState({ open: false, entry: null });
+  const [draft, setDraft] = useState(newDraft);
+  const [deleteEntry, setDeleteEntry] = useState(null);
+
+  const { data, isLoading } = useGetTaskTimeEntriesQuery({
+    taskId: task._id,
+    page,
+    limit: PAGE_SIZE,
+  });
+  const [startTimer, { isLoading: isStarting }] = useStartTimerMutation();
+  const [stopTimer, { isLoading: isStopping }] = useStopTimerMutation();
+  const [createEntry, { isLoading: isCreating }] = useCreateTimeEntryMutation();
+  const [updateEntry, { isLoading: isUpdating }] = useUpdateTimeEntryMutation();
+  const [removeEntry, { isLoading: isDeleting }] = useDeleteTimeEntryMutation();
+
+  const entries = data?.entries || [];
+  const totals = data?.totals;
+  const running = data?.running;
+  const pagination = data?.pagination;
+
+  // Time is only logged on tasks of the user's own department
+  const taskDepartmentId = task.department?._id || task.department;
+  const canLog = String(taskDepartmentId) === String(user?.department?._id);
+
+  const canManage = useCallback(
+    (entry) => isHod || entry.user?._id === user?._id,
+    [isHod, user?._id]
+  );
+
+  const handleStart = useCallback(async () => {
+    try {
+      await startTimer({ taskId: task._id }).unwrap();
+      toast.success("Timer started");
+    } catch (error) {
+      handleRTKError(error, "Failed to start timer");
+    }
+  }, [startTimer, task._id]);
+
+  const handleStop = useCallback(async () => {
+    try {
+      const result = await stopTimer({ taskId: task._id }).unwrap();
+      toast.success(
+        result.entry
+          ? `Logged ${formatDuration(result.entry.durationMinutes)}`
+          : result.message
+      );
+    } catch (error) {
+      handleRTKError(error, "Failed to stop timer");
+    }
+  }, [stopTimer, task._id]);
+
+  const handleOpenDialog = useCallback((entry = null) => {
+    setDraft(entry ? toDraft(entry) : newDraft());
+    setDialog({ open: true, entry });
+  }, []);
+
+  const handleCloseDialog = useCallback(() => {
+    setDialog({ open: false, entry: null });
+  }, []);
+
+  const handleSave = useCallback(async () => {
+    const payload = {
+      taskId: task._id,
+      startedAt: dayjs(draft.startedAt).toISOString(),
+      durationMinutes: Number(draft.durationMinutes),
+      note: draft.note.trim() || undefined,
+    };
+    try {
+      if (dialog.entry) {
+        await updateEntry({ ...payload, entryId: dialog.entry._id }).unwrap();
+        toast.success("Time entry updated");
+      } else {
+        await createEntry(payload).unwrap();
+        toast.success("Time logged");
+      }
+      handleCloseDialog();
+    } catch (error) {
+      handleRTKError(
+        error,
+        `Failed to ${dialog.entry ? "update" : "log"} time`
+      );
+    }
+  }, [
+    createEntry,
+    updateEntry,
+    draft,
+    dialog.entry,
+    task._id,
+    handleCloseDialog,
+  ]);
+
+  const handleDelete = useCallback(async () => {
+    try {
+      await removeEntry({
+        entryId: deleteEntry._id,
+        taskId: task._id,
+      }).unwrap();
+      toast.success("Time entry deleted");
+      setDeleteEntry(null);
+    } catch (error) {
+      handleRTKError(error, "Failed to delete time entry");
+    }
+  }, [removeEntry, deleteEntry, task._id]);
+
+  const durationValue = Number(draft.durationMinutes);
+  const isDraftValid =
+    !!draft.startedAt &&
+    Number.isInteger(durationValue) &&
+    durationValue >= 1 &&
+    durationValue <= MAX_TIME_ENTRY_MINUTES &&
+    !dayjs(draft.startedAt).add(durationValue, "minute").isAfter(dayjs());
+
+  return (
+    <Box>
+      {/* Timer and totals */}
+      <Stack
+        direction={{ xs: "column", sm: "row" }}
+        spacing={2}
+        alignItems={{ xs: "flex-start", sm: "center" }}
+        justifyContent="space-between"
+        mb={2}
+      >
+        <Box>
+          <Typography variant="subtitle2" color="text.secondary">
+            Time Spent
+          </Typography>
+          <Typography variant="h6">
+            {formatDuration(totals?.totalMinutes ?? task.timeSpentMinutes)}
+          </Typography>
+          {isHod && totals?.cost !== undefined && (
+            <Typography variant="caption" color="text.secondary">
+              Cost: {formatCost(totals.cost, task.currency)}
+            </Typography>
+          )}
+        </Box>
+
+        {canLog && (
+          <Stack direction="row" spacing={1} alignItems="center">
+            {running ? (
+              <>
+                <ElapsedTime startedAt={running.startedAt} />
+                <Button
+                  variant="contained"
+                  color="error"
+                  startIcon={<StopIcon />}
+                  onClick={handleStop}
+                  disabled={isStopping}
+                >
+                  Stop
+                </Button>
+              </>
+            ) : (
+              <Button
+                variant="contained"
+                startIcon={<PlayArrowIcon />}
+                onClick={handleStart}
+                disabled={isStarting}
+              >
+                Start Timer
+              </Button>
+            )}
+            <Button
+              variant="outlined"
+              startIcon={<AddIcon />}
+              onClick={() => handleOpenDialog()}
+            >
+              Log Time
+            </Button>
+          </Stack>
+        )}
+      </Stack>
+
+      {/* Totals per user */}
+      {totals?.users?.length > 0 && (
+        <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap mb={2}>
+          {totals.users.map((row) => (
+            <Chip
+              key={row.user._id}
+              size="small"
+              variant="outlined"
+              label={`${row.user.fullName || "Former user"}: ${formatDuration(
+                row.totalMinutes
+              )}${isHod && row.cost !== undefined ? ` · ${formatCost(row.cost, task.currency)}` : ""}`}
+            />
+          ))}
+        </Stack>
+      )}
+
+      {/* Entries */}
+      {!isLoading && entries.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          No time logged yet
+        </Typography>
+      )}
+
+      <List dense disablePadding>
+        {entries.map((entry) => (
+          <ListItem
+            key={entry._id}
+            disableGutters
+            divider
+            secondaryAction={
+              entry.endedAt &&
+              canManage(entry) && (
+                <Box>
+                  <Tooltip title="Edit">
+                    <IconButton
+                      size="small"
+                      onClick={() => handleOpenDialog(entry)}
+                    >
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <IconButton
+                      size="small"
+                      color="error"
+                      onClick={() => setDeleteEntry(entry)}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              )
+            }
+          >
+            <Box sx={{ flex: 1, minWidth: 0, pr: 9 }}>
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Typography variant="body2" fontWeight={500}>
+                  {entry.endedAt
+                    ? formatDuration(entry.durationMinutes)
+                    : "Running"}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {entry.user?.fullName || "Former user"}
+                </Typography>
+                <Chip size="small" label={entry.source} variant="outlined" />
+                {isHod && entry.endedAt && (
+                  <Typography variant="caption" color="text.secondary">
+                    {formatCost(entry.cost, task.currency)}
+                  </Typography>
+                )}
+              </Stack>
+              <Typography variant="caption" color="text.secondary">
+                {formatDateTime(entry.startedAt)}
+                {entry.activity?.activity &&
+                  ` · ${entry.activity.activity.slice(0, 60)}`}
+              </Typography>
+              {entry.note && (
+                <Typography variant="body2" sx={{ whiteSpace: "pre-wrap" }}>
+                  {entry.note}
+                </Typography>
+              )}
+            </Box>
+          </ListItem>
+        ))}
+      </List>
+
+      {pagination?.totalPages > 1 && (
+        <Box display="flex" justifyContent="center" mt={2}>
+          <Pagination
+            count={pagination.totalPages}
+            page={page}
+            onChange={(_, value) => setPage(value)}
+            size="small"
+          />
+        </Box>
+      )}
+
+      {/* Log / edit time */}
+      <MuiDialog
+        open={dialog.open}
+        onClose={handleCloseDialog}
+        title={dialog.entry ? "Edit Time Entry" : "Log Time"}
+        maxWidth="xs"
+        isLoading={isCreating || isUpdating}
+        actions={
+          <>
+            <Button onClick={handleCloseDialog}>Cancel</Button>
+            <Button
+              variant="contained"
+              onClick={handleSave}
+              disabled={!isDraftValid || isCreating || isUpdating}
+            >
+              Save
+            </Button>
+          </>
+        }
+      >
+        <Stack spacing={2} mt={1}>
+          <TextField
+            type="datetime-local"
+            label="Started At"
+            value={draft.startedAt}
+            onChange={(e) => setDraft({ ...draft, startedAt: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: dayjs().format("YYYY-MM-DDTHH:mm") }}
+            fullWidth
+          />
+          <TextField
+            type="number"
+            label="Duration (minutes)"
+            value={draft.durationMinutes}
+            onChange={(e) =>
+              setDraft({ ...draft, durationMinutes: e.target.value })
+            }
+            inputProps={{ min: 1, max: MAX_TIME_ENTRY_MINUTES, step: 1 }}
+            helperText={
+              durationValue >= 1 ? formatDuration(durationValue) : undefined
+            }
+            fullWidth
+          />
+          <TextField
+            label="Note"
+            value={draft.note}
+            onChange={(e) => setDraft({ ...draft, note: e.target.value })}
+            inputProps={{ maxLength: MAX_TIME_ENTRY_NOTE_LENGTH }}
+            multiline
+            rows={3}
+            fullWidth
+          />
+        </Stack>
+      </MuiDialog>
+
+      <MuiDialogConfirm
+        open={!!deleteEntry}
+        onClose={() => setDeleteEntry(null)}
+        onConfirm={handleDelete}
+        title="Delete Time Entry"
+        message="Delete this time entry? It is removed from the task's time spent."
+        confirmText="Delete"
+        severity="error"
+        isLoading={isDeleting}
+      />
+    </Box>
+  );
+});
+
+TaskTimeTracking.displayName = "TaskTimeTracking";
+
+TaskTimeTracking.propTypes = {
+  task: PropTypes.object.isRequired,
+};
+
+export default TaskTimeTracking;
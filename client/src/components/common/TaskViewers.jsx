@@ -0,0 +1,71 @@
+// client/src/components/common/TaskViewers.jsx
+import PropTypes from "prop-types";
+import { Avatar, AvatarGroup, Box, Tooltip, Typography } from "@mui/material";
+
+const MAX_VISIBLE_VIEWERS = 5;
+
+/**
+ * TaskViewers Component
+ *
+ * Live avatars of the other users viewing a task, with a line naming
+ * anyone typing a comment. Typing users are outlined.
+ *
+ * @param {Object} props
+ * @param {Array} props.viewers - From useTaskPresence
+ * @returns {JSX.Element|null}
+ */
+const TaskViewers = ({ viewers }) => {
+  if (viewers.length === 0) return null;
+
+  const typing = viewers.filter((viewer) => viewer.typing);
+  const typingText =
+    typing.length === 1
+      ? `${typing[0].firstName} is typing a comment…`
+      : `${typing.length} people are typing comments…`;
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+      {typing.length > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          {typingText}
+        </Typography>
+      )}
+      <AvatarGroup max={MAX_VISIBLE_VIEWERS}>
+        {viewers.map((viewer) => (
+          <Tooltip
+            key={viewer._id}
+            title={`${viewer.firstName} ${viewer.lastName} ${
+              viewer.typing ? "is typing" : "is viewing"
+            }`}
+          >
+            <Avatar
+              src={viewer.profilePicture || ""}
+              alt={`${viewer.firstName} ${viewer.lastName}`}
+              sx={{
+                width: 32,
+                height: 32,
+                outline: viewer.typing ? "2px solid" : "none",
+                outlineColor: "primary.main",
+              }}
+            >
+              {viewer.firstName?.[0]}
+            </Avatar>
+          </Tooltip>
+        ))}
+      </AvatarGroup>
+    </Box>
+  );
+};
+
+TaskViewers.propTypes = {
+  viewers: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      firstName: PropTypes.string,
+      lastName: PropTypes.string,
+      typing: PropTypes.bool,
+    })
+  ).isRequired,
+};
+
+export default TaskViewers;
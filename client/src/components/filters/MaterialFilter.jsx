@@ -19,6 +19,7 @@ import { useGetDepartmentsQuery } from "../../redux/features/department/departme
  * - departmentId: MongoDB ObjectId
  * - priceMin: number
  * - priceMax: number
+ * - lowStock: boolean
  * - deleted: boolean
  * - sortBy: string
  * - sortOrder: 'asc' | 'desc'
@@ -106,6 +107,17 @@ const MaterialFilter = ({ filters, onFilterChange }) => {
         type="number"
       />
 
+      {/* Low Stock Filter */}
+      <FormControlLabel
+        control={
+          <Switch
+            checked={filters.lowStock || false}
+            onChange={(e) => onFilterChange("lowStock", e.target.checked)}
+          />
+        }
+        label="Only Low Stock"
+      />
+
       {/* Deleted Filter */}
       <FormControlLabel
         control={
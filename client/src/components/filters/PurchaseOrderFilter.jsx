@@ -0,0 +1,126 @@
+// client/src/components/filters/PurchaseOrderFilter.jsx
+import { useMemo } from "react";
+import PropTypes from "prop-types";
+import { Box, FormControlLabel, Switch } from "@mui/material";
+import FilterTextField from "../common/FilterTextField";
+import FilterSelect from "../common/FilterSelect";
+import { PURCHASE_ORDER_STATUS, PAGINATION } from "../../utils/constants";
+import { useGetDepartmentsQuery } from "../../redux/features/department/departmentApi";
+import { useGetVendorsQuery } from "../../redux/features/vendor/vendorApi";
+
+/**
+ * PurchaseOrderFilter Component
+ *
+ * Filter component for Purchase Orders resource.
+ * Matches backend validator: backend/middlewares/validators/purchaseOrderValidators.js (validateGetAllPurchaseOrders)
+ *
+ * Backend Query Parameters:
+ * - search: string (searches order number)
+ * - status: string (from PURCHASE_ORDER_STATUS)
+ * - vendorId: MongoDB ObjectId
+ * - departmentId: MongoDB ObjectId
+ * - deleted: boolean
+ * - sortBy: string
+ * - sortOrder: 'asc' | 'desc'
+ *
+ * @param {Object} props
+ * @param {Object} props.filters - Current filter values
+ * @param {Function} props.onFilterChange - Filter change handler
+ * @returns {JSX.Element}
+ */
+const PurchaseOrderFilter = ({ filters, onFilterChange }) => {
+  // Fetch departments and vendors with error handling
+  const { data: departmentsData, isError: isDepartmentsError } =
+    useGetDepartmentsQuery({
+      limit: PAGINATION.MAX_LIMIT,
+      deleted: false,
+    });
+  const { data: vendorsData, isError: isVendorsError } = useGetVendorsQuery({
+    limit: PAGINATION.MAX_LIMIT,
+    deleted: false,
+  });
+
+  // Status options from constants (consistent with backend)
+  const statusOptions = useMemo(
+    () =>
+      PURCHASE_ORDER_STATUS.map((status) => ({
+        value: status,
+        label: status,
+      })),
+    []
+  );
+
+  // Vendor options from API
+  const vendorOptions = useMemo(() => {
+    if (isVendorsError) return [];
+    return (vendorsData?.vendors || []).map((vendor) => ({
+      value: vendor._id,
+      label: vendor.name,
+    }));
+  }, [vendorsData, isVendorsError]);
+
+  // Department options from API
+  const departmentOptions = useMemo(() => {
+    if (isDepartmentsError) return [];
+    return (departmentsData?.departments || []).map((dept) => ({
+      value: dept._id,
+      label: dept.name,
+    }));
+  }, [departmentsData, isDepartmentsError]);
+
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", gap: 2 }}>
+      {/* Search Field */}
+      <FilterTextField
+        label="Search"
+        value={filters.search || ""}
+        onChange={(value) => onFilterChange("search", value)}
+        placeholder="Search by order number..."
+      />
+
+      {/* Status Filter */}
+      <FilterSelect
+        label="Status"
+        value={filters.status || ""}
+        onChange={(value) => onFilterChange("status", value)}
+        options={statusOptions}
+      />
+
+      {/* Vendor Filter */}
+      <FilterSelect
+        label="Vendor"
+        value={filters.vendorId || ""}
+        onChange={(value) => onFilterChange("vendorId", value)}
+        options={vendorOptions}
+        disabled={isVendorsError}
+      />
+
+      {/* Department Filter */}
+      <FilterSelect
+        label="Department"
+        value={filters.departmentId || ""}
+        onChange={(value) => onFilterChange("departmentId", value)}
+        options={departmentOptions}
+        disabled={isDepartmentsError}
+      />
+
+      {/* Deleted Filter */}
+      <FormControlLabel
+        control={
+          <Switch
+            checked={filters.deleted || false}
+            onChange={(e) => onFilterChange("deleted", e.target.checked)}
+          />
+        }
+        label="Show Deleted Purchase Orders"
+      />
+    </Box>
+  );
+};
+
+PurchaseOrderFilter.propTypes = {
+  filters: PropTypes.object.isRequired,
+  onFilterChange: PropTypes.func.isRequired,
+};
+
+export default PurchaseOrderFilter;
@@ -0,0 +1,195 @@
+// client/src/components/forms/announcements/CreateAnnouncement.jsx
+import PropTypes from "prop-types";
+import { useForm } from "react-hook-form";
+import { Box, Button, Grid } from "@mui/material";
+import dayjs from "dayjs";
+import { toast } from "react-toastify";
+import MuiTextField from "../../common/MuiTextField";
+import MuiTextArea from "../../common/MuiTextArea";
+import MuiRadioGroup from "../../common/MuiRadioGroup";
+import MuiResourceSelect from "../../common/MuiResourceSelect";
+import { useSendBulkAnnouncementMutation } from "../../../redux/features/user/userApi";
+import { useAuth } from "../../../hooks/useAuth";
+import { handleRTKError } from "../../../utils/errorHandler";
+import {
+  MAX_NOTIFICATION_TITLE_LENGTH,
+  MAX_NOTIFICATION_MESSAGE_LENGTH,
+  MAX_ANNOUNCEMENT_DEPARTMENTS,
+} from "../../../utils/constants";
+
+const TARGET_OPTIONS = [
+  { value: "organization", label: "Whole organization" },
+  { value: "departments", label: "Chosen departments" },
+];
+
+/**
+ * CreateAnnouncement Component
+ *
+ * Compose form for announcements. SuperAdmins can target the whole
+ * organization or any departments; Admins announce to their own department.
+ * Leaving "Send at" empty sends the announcement immediately.
+ *
+ * @param {Object} props
+ * @param {Function} props.onSuccess - Success callback
+ * @param {Function} props.onCancel - Cancel callback
+ * @returns {JSX.Element}
+ */
+const CreateAnnouncement = ({ onSuccess, onCancel }) => {
+  const { user, isSuperAdmin } = useAuth();
+  const [sendAnnouncement, { isLoading }] = useSendBulkAnnouncementMutation();
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm({
+    mode: "onTouched",
+    defaultValues: {
+      title: "",
+      message: "",
+      targetType: "departments",
+      targetDepartmentIds: user?.department?._id ? [user.department._id] : [],
+      scheduledFor: "",
+    },
+  });
+
+  const targetType = watch("targetType");
+  const scheduledFor = watch("scheduledFor");
+
+  const onSubmit = async (data) => {
+    try {
+      const announcement = await sendAnnouncement({
+        title: data.title.trim(),
+        message: data.message.trim(),
+        targetType: data.targetType,
+        targetDepartmentIds:
+          data.targetType === "departments"
+            ? data.targetDepartmentIds
+            : undefined,
+        scheduledFor: data.scheduledFor
+          ? dayjs(data.scheduledFor).format()
+          : undefined,
+      }).unwrap();
+      toast.success(
+        announcement?.status === "Scheduled"
+          ? "Announcement scheduled successfully"
+          : `Announcement sent to ${announcement?.recipientCount || 0} users`
+      );
+      onSuccess();
+    } catch (error) {
+      handleRTKError(error, "Failed to send announcement");
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit(onSubmit)}>
+      <Grid container spacing={2}>
+        {/* Title */}
+        <Grid size={{ xs: 12 }}>
+          <MuiTextField
+            {...register("title", {
+              required: "Title is required",
+              validate: (value) => !!value.trim() || "Title is required",
+              maxLength: {
+                value: MAX_NOTIFICATION_TITLE_LENGTH,
+                message: `Title cannot exceed ${MAX_NOTIFICATION_TITLE_LENGTH} characters`,
+              },
+            })}
+            label="Title"
+            error={errors.title}
+            required
+            fullWidth
+            size="small"
+          />
+        </Grid>
+
+        {/* Message */}
+        <Grid size={{ xs: 12 }}>
+          <MuiTextArea
+            {...register("message", {
+              required: "Message is required",
+              validate: (value) => !!value.trim() || "Message is required",
+              maxLength: {
+                value: MAX_NOTIFICATION_MESSAGE_LENGTH,
+                message: `Message cannot exceed ${MAX_NOTIFICATION_MESSAGE_LENGTH} characters`,
+              },
+            })}
+            label="Message"
+            error={errors.message}
+            rows={4}
+            maxLength={MAX_NOTIFICATION_MESSAGE_LENGTH}
+          />
+        </Grid>
+
+        {/* Audience */}
+        {isSuperAdmin && (
+          <Grid size={{ xs: 12 }}>
+            <MuiRadioGroup
+              name="targetType"
+              control={control}
+              options={TARGET_OPTIONS}
+              label="Audience"
+              row
+            />
+          </Grid>
+        )}
+
+        {targetType === "departments" && (
+          <Grid size={{ xs: 12 }}>
+            <MuiResourceSelect
+              name="targetDepartmentIds"
+              control={control}
+              rules={{
+                validate: (value) =>
+                  value?.length > 0 || "Choose at least one department",
+              }}
+              label="Departments"
+              resourceType="departments"
+              multiple
+              maxSelections={MAX_ANNOUNCEMENT_DEPARTMENTS}
+              disabled={!isSuperAdmin}
+            />
+          </Grid>
+        )}
+
+        {/* Schedule */}
+        <Grid size={{ xs: 12, sm: 6 }}>
+          <MuiTextField
+            {...register("scheduledFor", {
+              validate: (value) =>
+                !value ||
+                dayjs(value).isAfter(dayjs()) ||
+                "Send time must be in the future",
+            })}
+            type="datetime-local"
+            label="Send at"
+            error={errors.scheduledFor}
+            helperText="Leave empty to send now"
+            fullWidth
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+      </Grid>
+
+      {/* Action Buttons */}
+      <Box sx={{ display: "flex", gap: 2, justifyContent: "flex-end", mt: 3 }}>
+        <Button onClick={onCancel} variant="outlined" color="inherit">
+          Cancel
+        </Button>
+        <Button type="submit" variant="contained" disabled={isLoading}>
+          {isLoading ? "Sending..." : scheduledFor ? "Schedule" : "Send Now"}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+CreateAnnouncement.propTypes = {
+  onSuccess: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default CreateAnnouncement;
@@ -21,12 +21,15 @@ import LoginIcon from "@mui/icons-material/Login";
 
 import { useAuth } from "../../../hooks/useAuth";
 import MuiTextField from "../../common/MuiTextField";
+import TwoFactorStep from "./TwoFactorStep";
 import { handleRTKError } from "../../../utils/errorHandler";
 import { MIN_PASSWORD_LENGTH, UI_MESSAGES } from "../../../utils/constants.js";
 
 const LoginForm = () => {
   const { isLoading, error, login } = useAuth();
   const [showPassword, setShowPassword] = useState(false);
+  // Set when the password was accepted but a second factor is required
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -77,17 +80,29 @@ const LoginForm = () => {
     return returnUrl;
   };
 
+  const navigateAfterLogin = () => {
+    // Get return URL from location state (set by ProtectedRoute)
+    const returnUrl = location.state?.returnUrl;
+    const validReturnUrl = getValidReturnUrl(returnUrl);
+
+    // Navigate to the intended destination or dashboard default
+    // Using replace to maintain proper browser history during redirects
+    navigate(validReturnUrl, { replace: true });
+  };
+
   const onSubmit = async (data) => {
     try {
-      await login(data).unwrap();
+      const response = await login(data).unwrap();
 
-      // Get return URL from location state (set by ProtectedRoute)
-      const returnUrl = location.state?.returnUrl;
-      const validReturnUrl = getValidReturnUrl(returnUrl);
+      if (response.twoFactorRequired) {
+        setTwoFactorChallenge({
+          challengeToken: response.challengeToken,
+          setupRequired: response.setupRequired,
+        });
+        return;
+      }
 
-      // Navigate to the intended destination or dashboard default
-      // Using replace to maintain proper browser history during redirects
-      navigate(validReturnUrl, { replace: true });
+      navigateAfterLogin();
     } catch (err) {
       // console.log("login error", err);
       // Use global error handler for consistent error handling
@@ -121,164 +136,176 @@ const LoginForm = () => {
             color="text.primary"
             fontWeight={600}
           >
-            Welcome Back
+            {twoFactorChallenge ? "Two-Factor Verification" : "Welcome Back"}
           </Typography>
 
           <Typography variant="body2" color="text.secondary">
-            Sign in to your account to continue
+            {twoFactorChallenge
+              ? "One more step to confirm it's you"
+              : "Sign in to your account to continue"}
           </Typography>
         </Box>
 
-        <Box
-          component="form"
-          onSubmit={handleSubmit(onSubmit)}
-          noValidate
-          sx={{ mt: 2 }}
-        >
-          {/* Email Field */}
-          <MuiTextField
-            {...register("email", {
-              required: "Email is required",
-              pattern: {
-                value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                message: "Please enter a valid email address",
-              },
-            })}
-            error={errors.email}
-            label="Email Address"
-            type="email"
-            fullWidth
-            size="small"
-            margin="normal"
-            autoComplete="email"
-            autoFocus
-            startAdornment={<EmailIcon fontSize="small" color="primary" />}
+        {twoFactorChallenge ? (
+          <TwoFactorStep
+            challenge={twoFactorChallenge}
+            onComplete={navigateAfterLogin}
+            onCancel={() => setTwoFactorChallenge(null)}
           />
-
-          {/* Password Field */}
-          <MuiTextField
-            {...register("password", {
-              required: "Password is required",
-              minLength: {
-                value: MIN_PASSWORD_LENGTH,
-                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
-              },
-            })}
-            error={errors.password}
-            label="Password"
-            type={showPassword ? "text" : "password"}
-            fullWidth
-            size="small"
-            margin="normal"
-            autoComplete="current-password"
-            startAdornment={<LockIcon fontSize="small" color="primary" />}
-            endAdornment={
-              <IconButton
-                aria-label="toggle password visibility"
-                onClick={handleClickShowPassword}
-                onMouseDown={handleMouseDownPassword}
-                edge="end"
+        ) : (
+          <>
+            <Box
+              component="form"
+              onSubmit={handleSubmit(onSubmit)}
+              noValidate
+              sx={{ mt: 2 }}
+            >
+              {/* Email Field */}
+              <MuiTextField
+                {...register("email", {
+                  required: "Email is required",
+                  pattern: {
+                    value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+                    message: "Please enter a valid email address",
+                  },
+                })}
+                error={errors.email}
+                label="Email Address"
+                type="email"
+                fullWidth
                 size="small"
-                tabIndex={-1}
-              >
-                {showPassword ? (
-                  <VisibilityOff fontSize="small" />
-                ) : (
-                  <Visibility fontSize="small" />
-                )}
-              </IconButton>
-            }
-          />
+                margin="normal"
+                autoComplete="email"
+                autoFocus
+                startAdornment={<EmailIcon fontSize="small" color="primary" />}
+              />
 
-          {/* Login Error Alert */}
-          {error && (
-            <Alert severity="error" sx={{ mt: 2 }}>
-              {typeof error === "string"
-                ? error
-                : error?.message || UI_MESSAGES.ERRORS.SOMETHING_WENT_WRONG}
-            </Alert>
-          )}
-
-          {/* Forgot Password Link */}
-          <Box sx={{ textAlign: "right", mt: 1, mb: 2 }}>
-            <Link
-              to="/forgot-password"
-              style={{
-                color: "inherit",
-                textDecoration: "none",
-                fontSize: "0.875rem",
-              }}
-            >
-              <Typography
-                variant="body2"
-                color="primary.main"
-                sx={{
-                  "&:hover": {
-                    textDecoration: "underline",
+              {/* Password Field */}
+              <MuiTextField
+                {...register("password", {
+                  required: "Password is required",
+                  minLength: {
+                    value: MIN_PASSWORD_LENGTH,
+                    message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
                   },
-                }}
-              >
-                Forgot your password?
-              </Typography>
-            </Link>
-          </Box>
+                })}
+                error={errors.password}
+                label="Password"
+                type={showPassword ? "text" : "password"}
+                fullWidth
+                size="small"
+                margin="normal"
+                autoComplete="current-password"
+                startAdornment={<LockIcon fontSize="small" color="primary" />}
+                endAdornment={
+                  <IconButton
+                    aria-label="toggle password visibility"
+                    onClick={handleClickShowPassword}
+                    onMouseDown={handleMouseDownPassword}
+                    edge="end"
+                    size="small"
+                    tabIndex={-1}
+                  >
+                    {showPassword ? (
+                      <VisibilityOff fontSize="small" />
+                    ) : (
+                      <Visibility fontSize="small" />
+                    )}
+                  </IconButton>
+                }
+              />
 
-          {/* Submit Button */}
-          <Button
-            fullWidth
-            variant="contained"
-            color="secondary"
-            type="submit"
-            disabled={isSubmitting || isLoading || !isDirty || !isValid}
-            sx={{
-              mt: 2,
-              py: 1.5,
-              fontSize: "1rem",
-              fontWeight: 600,
-            }}
-            startIcon={
-              isSubmitting ? (
-                <CircularProgress size={20} color="inherit" />
-              ) : null
-            }
-          >
-            {isSubmitting ? "Signing in..." : "Sign In"}
-          </Button>
-        </Box>
+              {/* Login Error Alert */}
+              {error && (
+                <Alert severity="error" sx={{ mt: 2 }}>
+                  {typeof error === "string"
+                    ? error
+                    : error?.message || UI_MESSAGES.ERRORS.SOMETHING_WENT_WRONG}
+                </Alert>
+              )}
 
-        <Divider sx={{ my: 3 }}>
-          <Typography variant="body2" color="text.secondary">
-            OR
-          </Typography>
-        </Divider>
+              {/* Forgot Password Link */}
+              <Box sx={{ textAlign: "right", mt: 1, mb: 2 }}>
+                <Link
+                  to="/forgot-password"
+                  style={{
+                    color: "inherit",
+                    textDecoration: "none",
+                    fontSize: "0.875rem",
+                  }}
+                >
+                  <Typography
+                    variant="body2"
+                    color="primary.main"
+                    sx={{
+                      "&:hover": {
+                        textDecoration: "underline",
+                      },
+                    }}
+                  >
+                    Forgot your password?
+                  </Typography>
+                </Link>
+              </Box>
 
-        {/* Register Link */}
-        <Box sx={{ textAlign: "center" }}>
-          <Typography variant="body2" color="text.secondary">
-            Don't have an account?{" "}
-            <Link
-              to="/register"
-              style={{
-                color: "inherit",
-                textDecoration: "none",
-              }}
-            >
-              <Typography
-                component="span"
-                variant="body2"
-                color="primary.main"
+              {/* Submit Button */}
+              <Button
+                fullWidth
+                variant="contained"
+                color="secondary"
+                type="submit"
+                disabled={isSubmitting || isLoading || !isDirty || !isValid}
                 sx={{
+                  mt: 2,
+                  py: 1.5,
+                  fontSize: "1rem",
                   fontWeight: 600,
-                  "&:hover": {
-                    textDecoration: "underline",
-                  },
                 }}
+                startIcon={
+                  isSubmitting ? (
+                    <CircularProgress size={20} color="inherit" />
+                  ) : null
+                }
               >
-                Create an organization
+                {isSubmitting ? "Signing in..." : "Sign In"}
+              </Button>
+            </Box>
+
+            <Divider sx={{ my: 3 }}>
+              <Typography variant="body2" color="text.secondary">
+                OR
               </Typography>
-            </Link>
-          </Typography>
-        </Box>
+            </Divider>
+
+            {/* Register Link */}
+            <Box sx={{ textAlign: "center" }}>
+              <Typography variant="body2" color="text.secondary">
+                Don't have an account?{" "}
+                <Link
+                  to="/register"
+                  style={{
+                    color: "inherit",
+                    textDecoration: "none",
+                  }}
+                >
+                  <Typography
+                    component="span"
+                    variant="body2"
+                    color="primary.main"
+                    sx={{
+                      fontWeight: 600,
+                      "&:hover": {
+                        textDecoration: "underline",
+                      },
+                    }}
+                  >
+                    Create an organization
+                  </Typography>
+                </Link>
+              </Typography>
+            </Box>
+          </>
+        )}
 
         {/* Additional Help */}
         <Box sx={{ mt: 3, textAlign: "center" }}>
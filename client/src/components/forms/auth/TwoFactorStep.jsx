@@ -0,0 +1,238 @@
+// client/src/components/forms/auth/TwoFactorStep.jsx
+import { useEffect, useState } from "react";
+import { useDispatch } from "react-redux";
+import { useForm } from "react-hook-form";
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Link,
+  Stack,
+  Typography,
+} from "@mui/material";
+import PinIcon from "@mui/icons-material/Pin";
+import KeyIcon from "@mui/icons-material/Key";
+import { toast } from "react-toastify";
+
+import { useAuth } from "../../../hooks/useAuth";
+import { setCredentials } from "../../../redux/features/auth/authSlice";
+import MuiTextField from "../../common/MuiTextField";
+import RecoveryCodesList from "../../auth/RecoveryCodesList";
+import { handleRTKError } from "../../../utils/errorHandler";
+
+/**
+ * TwoFactorStep Component
+ *
+ * Second login step for users who need a TOTP code. First-time users whose
+ * organization requires two-factor scan a QR code here, confirm a code and
+ * save their recovery codes before being signed in.
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/authControllers.js (setupTwoFactorLogin, verifyTwoFactorLogin)
+ * - Validator: backend/middlewares/validators/authValidators.js (validateTwoFactorLogin)
+ *
+ * @param {Object} props
+ * @param {Object} props.challenge - {challengeToken, setupRequired} from the login response
+ * @param {Function} props.onComplete - Called once the user is signed in
+ * @param {Function} props.onCancel - Return to the email and password step
+ */
+const TwoFactorStep = ({ challenge, onComplete, onCancel }) => {
+  const dispatch = useDispatch();
+  const { setupTwoFactor, verifyTwoFactor } = useAuth();
+  const { challengeToken, setupRequired } = challenge;
+
+  const [setup, setSetup] = useState(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrolled, setEnrolled] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    mode: "onTouched",
+    defaultValues: { code: "", recoveryCode: "" },
+  });
+
+  useEffect(() => {
+    if (!setupRequired) return;
+    let ignore = false;
+
+    setupTwoFactor(challengeToken)
+      .unwrap()
+      .then((response) => {
+        if (!ignore) setSetup(response.setup);
+      })
+      .catch((err) => {
+        handleRTKError(err, "Failed to start two-factor setup");
+        if (!ignore) onCancel();
+      });
+
+    return () => {
+      ignore = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [challengeToken, setupRequired]);
+
+  const onSubmit = async ({ code, recoveryCode }) => {
+    try {
+      const response = await verifyTwoFactor(
+        useRecoveryCode
+          ? { challengeToken, recoveryCode }
+          : { challengeToken, code }
+      ).unwrap();
+
+      if (response.recoveryCodes) {
+        setEnrolled(response);
+        return;
+      }
+
+      if (response.recoveryCodesRemaining !== undefined) {
+        toast.info(
+          `${response.recoveryCodesRemaining} recovery code(s) left. Generate new ones in Security settings.`
+        );
+      }
+      onComplete();
+    } catch (err) {
+      handleRTKError(err, "Verification failed. Please try again.");
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode((value) => !value);
+    reset();
+  };
+
+  const handleContinue = () => {
+    dispatch(setCredentials({ user: enrolled.user }));
+    onComplete();
+  };
+
+  if (enrolled) {
+    return (
+      <Stack spacing={2}>
+        <Typography variant="h6" textAlign="center">
+          Two-factor authentication enabled
+        </Typography>
+        <RecoveryCodesList codes={enrolled.recoveryCodes} />
+        <Button variant="contained" color="secondary" onClick={handleContinue}>
+          I saved my codes, continue
+        </Button>
+      </Stack>
+    );
+  }
+
+  if (setupRequired && !setup) {
+    return (
+      <Box sx={{ display: "flex", justifyContent: "center", py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box component="form" onSubmit={handleSubmit(onSubmit)} noValidate>
+      {setupRequired ? (
+        <Stack spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <Alert severity="info" sx={{ width: "100%" }}>
+            Your organization requires two-factor authentication. Scan this QR
+            code with an authenticator app, then enter the code it shows.
+          </Alert>
+          <Box
+            component="img"
+            src={setup.qrCode}
+            alt="Two-factor QR code"
+            sx={{ width: 180, height: 180 }}
+          />
+          <Typography
+            variant="caption"
+            color="text.secondary"
+            sx={{ fontFamily: "monospace", wordBreak: "break-all" }}
+          >
+            {setup.secret}
+          </Typography>
+        </Stack>
+      ) : (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          {useRecoveryCode
+            ? "Enter one of your recovery codes."
+            : "Enter the 6-digit code from your authenticator app."}
+        </Typography>
+      )}
+
+      {useRecoveryCode ? (
+        <MuiTextField
+          {...register("recoveryCode", {
+            required: "Recovery code is required",
+          })}
+          error={errors.recoveryCode}
+          label="Recovery Code"
+          fullWidth
+          size="small"
+          margin="normal"
+          autoComplete="off"
+          autoFocus
+          startAdornment={<KeyIcon fontSize="small" color="primary" />}
+        />
+      ) : (
+        <MuiTextField
+          {...register("code", {
+            required: "Verification code is required",
+            pattern: {
+              value: /^\d{6}$/,
+              message: "Enter the 6-digit code",
+            },
+          })}
+          error={errors.code}
+          label="Verification Code"
+          fullWidth
+          size="small"
+          margin="normal"
+          autoComplete="one-time-code"
+          inputMode="numeric"
+          autoFocus
+          startAdornment={<PinIcon fontSize="small" color="primary" />}
+        />
+      )}
+
+      <Button
+        fullWidth
+        variant="contained"
+        color="secondary"
+        type="submit"
+        disabled={isSubmitting}
+        sx={{ mt: 2, py: 1.5, fontWeight: 600 }}
+        startIcon={
+          isSubmitting ? <CircularProgress size={20} color="inherit" /> : null
+        }
+      >
+        {isSubmitting ? "Verifying..." : "Verify"}
+      </Button>
+
+      <Stack direction="row" justifyContent="space-between" sx={{ mt: 2 }}>
+        <Link
+          component="button"
+          type="button"
+          variant="body2"
+          onClick={onCancel}
+        >
+          Back to sign in
+        </Link>
+        {!setupRequired && (
+          <Link
+            component="button"
+            type="button"
+            variant="body2"
+            onClick={toggleRecoveryCode}
+          >
+            {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+          </Link>
+        )}
+      </Stack>
+    </Box>
+  );
+};
+
+export default TwoFactorStep;
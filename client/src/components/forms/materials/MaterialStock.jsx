@@ -0,0 +1,353 @@
+// client/src/components/forms/materials/MaterialStock.jsx
+import { useEffect } from "react";
+import PropTypes from "prop-types";
+import { useForm, useWatch } from "react-hook-form";
+import {
+  Box,
+  Button,
+  Chip,
+  Divider,
+  Grid,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  Typography,
+} from "@mui/material";
+import { toast } from "react-toastify";
+import { LoadingFallback } from "../../common/MuiLoading";
+import MuiTextField from "../../common/MuiTextField";
+import MuiNumberField from "../../common/MuiNumberField";
+import MuiSelectAutocomplete from "../../common/MuiSelectAutocomplete";
+import MuiResourceSelect from "../../common/MuiResourceSelect";
+import { handleRTKError } from "../../../utils/errorHandler";
+import { formatDateTime } from "../../../utils/dateUtils";
+import {
+  useGetMaterialByIdQuery,
+  useGetMaterialMovementsQuery,
+  useCreateMaterialMovementMutation,
+  useUpdateMaterialStockMutation,
+} from "../../../redux/features/material/materialApi";
+import {
+  MANUAL_INVENTORY_MOVEMENT_TYPES,
+  MAX_INVENTORY_NOTE_LENGTH,
+  MAX_MATERIAL_QUANTITY,
+} from "../../../utils/constants";
+
+const RECENT_MOVEMENTS_LIMIT = 10;
+
+const MOVEMENT_COLORS = {
+  Receipt: "success",
+  Consumption: "default",
+  Adjustment: "warning",
+  Transfer: "info",
+};
+
+/**
+ * MaterialStock Component
+ *
+ * Shows a material's on-hand quantity per department and its recent ledger
+ * entries, and lets the user record receipts, adjustments and transfers or
+ * change the reorder threshold of the material's own department.
+ *
+ * @param {Object} props
+ * @param {Object} props.material - Material row (from the materials list)
+ * @returns {JSX.Element}
+ */
+const MaterialStock = ({ material }) => {
+  const materialId = material._id;
+
+  const { data: details, isLoading: isLoadingDetails } =
+    useGetMaterialByIdQuery({ materialId });
+  const { data: movementsData, isLoading: isLoadingMovements } =
+    useGetMaterialMovementsQuery({
+      materialId,
+      limit: RECENT_MOVEMENTS_LIMIT,
+    });
+
+  const [createMovement, { isLoading: isRecording }] =
+    useCreateMaterialMovementMutation();
+  const [updateStock, { isLoading: isSavingThreshold }] =
+    useUpdateMaterialStockMutation();
+
+  const stockLevels = details?.stockLevels || [];
+  const movements = movementsData?.movements || [];
+
+  // Record movement form
+  const {
+    register,
+    handleSubmit,
+    control,
+    reset,
+    formState: { errors },
+  } = useForm({
+    mode: "onTouched",
+    defaultValues: {
+      type: "Receipt",
+      quantity: "",
+      toDepartmentId: "",
+      note: "",
+    },
+  });
+  const type = useWatch({ control, name: "type" });
+
+  // Reorder threshold form
+  const {
+    register: registerThreshold,
+    handleSubmit: handleThresholdSubmit,
+    reset: resetThreshold,
+    formState: { errors: thresholdErrors, isDirty: isThresholdDirty },
+  } = useForm({
+    mode: "onTouched",
+    defaultValues: { reorderThreshold: 0 },
+  });
+
+  useEffect(() => {
+    if (details) {
+      resetThreshold({
+        reorderThreshold: details.stock?.reorderThreshold ?? 0,
+      });
+    }
+  }, [details, resetThreshold]);
+
+  const onRecordMovement = async (data) => {
+    try {
+      await createMovement({
+        materialId,
+        type: data.type,
+        quantity: Number(data.quantity),
+        ...(data.type === "Transfer" && {
+          toDepartmentId: data.toDepartmentId,
+        }),
+        ...(data.note && { note: data.note }),
+      }).unwrap();
+      toast.success("Stock movement recorded successfully");
+      reset({ type: data.type, quantity: "", toDepartmentId: "", note: "" });
+    } catch (error) {
+      handleRTKError(error, "Failed to record stock movement");
+    }
+  };
+
+  const onSaveThreshold = async (data) => {
+    try {
+      await updateStock({
+        materialId,
+        reorderThreshold: Number(data.reorderThreshold),
+      }).unwrap();
+      toast.success("Reorder threshold updated successfully");
+    } catch (error) {
+      handleRTKError(error, "Failed to update reorder threshold");
+    }
+  };
+
+  const typeOptions = MANUAL_INVENTORY_MOVEMENT_TYPES.map((t) => ({
+    id: t,
+    label: t,
+  }));
+
+  if (isLoadingDetails) {
+    return <LoadingFallback message="Loading stock..." height={200} />;
+  }
+
+  return (
+    <Stack spacing={2}>
+      {/* Stock Levels */}
+      <Box>
+        <Typography variant="subtitle2" gutterBottom>
+          Stock Levels
+        </Typography>
+        {stockLevels.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No stock recorded yet.
+          </Typography>
+        ) : (
+          <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+            {stockLevels.map((level) => (
+              <Chip
+                key={level.department?._id || level._id}
+                label={`${level.department?.name || "Unknown"}: ${
+                  level.quantity
+                } ${material.unit}`}
+                size="small"
+                color={level.isLowStock ? "error" : "default"}
+                variant={level.isLowStock ? "filled" : "outlined"}
+              />
+            ))}
+          </Stack>
+        )}
+      </Box>
+
+      {/* Reorder Threshold */}
+      <Box
+        component="form"
+        onSubmit={handleThresholdSubmit(onSaveThreshold)}
+        sx={{ display: "flex", gap: 2, alignItems: "center" }}
+      >
+        <MuiNumberField
+          {...registerThreshold("reorderThreshold", {
+            required: "Reorder threshold is required",
+            min: { value: 0, message: "Threshold cannot be negative" },
+            max: {
+              value: MAX_MATERIAL_QUANTITY,
+              message: `Maximum threshold is ${MAX_MATERIAL_QUANTITY}`,
+            },
+          })}
+          label="Reorder Threshold"
+          error={thresholdErrors.reorderThreshold}
+          helperText="HODs are notified when stock falls to this level (0 disables)"
+          min={0}
+          max={MAX_MATERIAL_QUANTITY}
+          suffix={material.unit}
+          size="small"
+          fullWidth
+        />
+        <Button
+          type="submit"
+          variant="outlined"
+          disabled={isSavingThreshold || !isThresholdDirty}
+        >
+          Save
+        </Button>
+      </Box>
+
+      <Divider />
+
+      {/* Record Movement */}
+      <Box component="form" onSubmit={handleSubmit(onRecordMovement)}>
+        <Typography variant="subtitle2" gutterBottom>
+          Record Movement
+        </Typography>
+        <Grid container spacing={2}>
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <MuiSelectAutocomplete
+              name="type"
+              control={control}
+              rules={{ required: "Movement type is required" }}
+              options={typeOptions}
+              label="Type"
+              required
+            />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <MuiNumberField
+              {...register("quantity", {
+                required: "Quantity is required",
+                validate: (value) =>
+                  Number(value) !== 0 || "Quantity cannot be zero",
+                min:
+                  type === "Adjustment"
+                    ? {
+                        value: -MAX_MATERIAL_QUANTITY,
+                        message: `Minimum quantity is -${MAX_MATERIAL_QUANTITY}`,
+                      }
+                    : { value: 0, message: "Quantity must be positive" },
+                max: {
+                  value: MAX_MATERIAL_QUANTITY,
+                  message: `Maximum quantity is ${MAX_MATERIAL_QUANTITY}`,
+                },
+              })}
+              label="Quantity"
+              error={errors.quantity}
+              helperText={
+                type === "Adjustment"
+                  ? "Use a negative quantity to remove stock"
+                  : undefined
+              }
+              step={0.01}
+              suffix={material.unit}
+              size="small"
+              fullWidth
+            />
+          </Grid>
+          {type === "Transfer" && (
+            <Grid size={{ xs: 12 }}>
+              <MuiResourceSelect
+                name="toDepartmentId"
+                control={control}
+                rules={{ required: "Destination department is required" }}
+                resourceType="departments"
+                label="To Department"
+              />
+            </Grid>
+          )}
+          <Grid size={{ xs: 12 }}>
+            <MuiTextField
+              {...register("note", {
+                maxLength: {
+                  value: MAX_INVENTORY_NOTE_LENGTH,
+                  message: `Maximum ${MAX_INVENTORY_NOTE_LENGTH} characters`,
+                },
+              })}
+              label="Note"
+              error={errors.note}
+              fullWidth
+              size="small"
+            />
+          </Grid>
+        </Grid>
+        <Box sx={{ display: "flex", justifyContent: "flex-end", mt: 2 }}>
+          <Button type="submit" variant="contained" disabled={isRecording}>
+            {isRecording ? "Saving..." : "Record"}
+          </Button>
+        </Box>
+      </Box>
+
+      <Divider />
+
+      {/* Recent Movements */}
+      <Box>
+        <Typography variant="subtitle2" gutterBottom>
+          Recent Movements
+        </Typography>
+        {isLoadingMovements ? (
+          <LoadingFallback message="Loading movements..." height={120} />
+        ) : movements.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No movements recorded yet.
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {movements.map((movement) => (
+              <ListItem key={movement._id} disableGutters>
+                <ListItemText
+                  primary={
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Chip
+                        label={movement.type}
+                        size="small"
+                        color={MOVEMENT_COLORS[movement.type]}
+                      />
+                      <Typography variant="body2">
+                        {movement.quantity > 0 ? "+" : ""}
+                        {movement.quantity} {material.unit} (
+                        {movement.department?.name || "Unknown"}, balance{" "}
+                        {movement.balanceAfter})
+                      </Typography>
+                    </Stack>
+                  }
+                  secondary={[
+                    formatDateTime(movement.createdAt),
+                    movement.performedBy &&
+                      `${movement.performedBy.firstName} ${movement.performedBy.lastName}`,
+                    movement.reference?.title ||
+                      movement.reference?.activity ||
+                      movement.reference?.orderNumber,
+                    movement.note,
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Box>
+    </Stack>
+  );
+};
+
+MaterialStock.propTypes = {
+  material: PropTypes.object.isRequired,
+};
+
+export default MaterialStock;
@@ -0,0 +1,273 @@
+// client/src/components/forms/purchaseOrders/CreateUpdatePurchaseOrder.jsx
+import { useEffect } from "react";
+import PropTypes from "prop-types";
+import { useForm, useFieldArray } from "react-hook-form";
+import { Box, Button, Grid, IconButton, Tooltip, Typography } from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import DeleteIcon from "@mui/icons-material/Delete";
+import dayjs from "dayjs";
+import { toast } from "react-toastify";
+import MuiTextArea from "../../common/MuiTextArea";
+import MuiNumberField from "../../common/MuiNumberField";
+import MuiResourceSelect from "../../common/MuiResourceSelect";
+import MuiSelectAutocomplete from "../../common/MuiSelectAutocomplete";
+import MuiDatePicker from "../../common/MuiDatePicker";
+import { handleRTKError } from "../../../utils/errorHandler";
+import {
+  useCreatePurchaseOrderMutation,
+  useUpdatePurchaseOrderMutation,
+} from "../../../redux/features/purchaseOrder/purchaseOrderApi";
+import {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  MAX_PURCHASE_ORDER_ITEMS,
+  MAX_PURCHASE_ORDER_NOTES_LENGTH,
+} from "../../../utils/constants";
+
+const EMPTY_ITEM = { materialId: "", quantity: "", unitPrice: "" };
+
+const currencyOptions = SUPPORTED_CURRENCIES.map((currency) => ({
+  id: currency,
+  label: currency,
+}));
+
+/**
+ * CreateUpdatePurchaseOrder Component
+ *
+ * Form for creating or editing draft purchase orders.
+ * Leaving a unit price empty uses the material's current price.
+ *
+ * @param {Object} props
+ * @param {Object} [props.purchaseOrder] - Purchase order for editing (null for create)
+ * @param {Function} props.onSuccess - Success callback
+ * @param {Function} props.onCancel - Cancel callback
+ * @returns {JSX.Element}
+ */
+const CreateUpdatePurchaseOrder = ({ purchaseOrder, onSuccess, onCancel }) => {
+  const isEditMode = !!purchaseOrder;
+  const [createPurchaseOrder, { isLoading: isCreating }] =
+    useCreatePurchaseOrderMutation();
+  const [updatePurchaseOrder, { isLoading: isUpdating }] =
+    useUpdatePurchaseOrderMutation();
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    formState: { errors, isDirty },
+    reset,
+  } = useForm({
+    mode: "onTouched",
+    defaultValues: {
+      vendorId: "",
+      items: [EMPTY_ITEM],
+      currency: DEFAULT_CURRENCY,
+      expectedDate: null,
+      notes: "",
+    },
+  });
+
+  const { fields, append, remove } = useFieldArray({ control, name: "items" });
+
+  useEffect(() => {
+    if (purchaseOrder) {
+      reset({
+        vendorId: purchaseOrder.vendor?._id || "",
+        items: purchaseOrder.items?.length
+          ? purchaseOrder.items.map((item) => ({
+              materialId: item.material?._id || "",
+              quantity: item.quantity,
+              unitPrice: item.unitPrice,
+            }))
+          : [EMPTY_ITEM],
+        currency: purchaseOrder.currency || DEFAULT_CURRENCY,
+        expectedDate: purchaseOrder.expectedDate
+          ? dayjs(purchaseOrder.expectedDate)
+          : null,
+        notes: purchaseOrder.notes || "",
+      });
+    }
+  }, [purchaseOrder, reset]);
+
+  const onSubmit = async (data) => {
+    const payload = {
+      vendorId: data.vendorId,
+      items: data.items.map((item) => ({
+        materialId: item.materialId,
+        quantity: Number(item.quantity),
+        unitPrice:
+          item.unitPrice === "" || item.unitPrice === null
+            ? undefined
+            : Number(item.unitPrice),
+      })),
+      currency: data.currency,
+      expectedDate: data.expectedDate
+        ? dayjs(data.expectedDate).format()
+        : undefined,
+      notes: data.notes || undefined,
+    };
+
+    try {
+      if (isEditMode) {
+        await updatePurchaseOrder({
+          purchaseOrderId: purchaseOrder._id,
+          ...payload,
+        }).unwrap();
+        toast.success("Purchase order updated successfully");
+      } else {
+        await createPurchaseOrder(payload).unwrap();
+        toast.success("Purchase order created successfully");
+      }
+      onSuccess();
+    } catch (error) {
+      handleRTKError(
+        error,
+        `Failed to ${isEditMode ? "update" : "create"} purchase order`
+      );
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit(onSubmit)}>
+      <Grid container spacing={2}>
+        {/* Vendor */}
+        <Grid size={{ xs: 12, sm: 8 }}>
+          <MuiResourceSelect
+            name="vendorId"
+            control={control}
+            rules={{ required: "Vendor is required" }}
+            label="Vendor"
+            resourceType="vendors"
+          />
+        </Grid>
+
+        {/* Currency */}
+        <Grid size={{ xs: 12, sm: 4 }}>
+          <MuiSelectAutocomplete
+            name="currency"
+            control={control}
+            options={currencyOptions}
+            label="Currency"
+          />
+        </Grid>
+
+        {/* Line Items */}
+        <Grid size={{ xs: 12 }}>
+          <Typography variant="subtitle2">Line Items</Typography>
+        </Grid>
+
+        {fields.map((field, index) => (
+          <Grid container size={{ xs: 12 }} spacing={1} key={field.id}>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <MuiResourceSelect
+                name={`items.${index}.materialId`}
+                control={control}
+                rules={{ required: "Material is required" }}
+                label="Material"
+                resourceType="materials"
+              />
+            </Grid>
+            <Grid size={{ xs: 5, sm: 2.5 }}>
+              <MuiNumberField
+                {...register(`items.${index}.quantity`, {
+                  required: "Quantity is required",
+                  min: { value: 0.01, message: "Must be greater than 0" },
+                })}
+                label="Quantity"
+                error={errors.items?.[index]?.quantity}
+                min={0}
+                step={0.01}
+              />
+            </Grid>
+            <Grid size={{ xs: 5, sm: 2.5 }}>
+              <MuiNumberField
+                {...register(`items.${index}.unitPrice`, {
+                  min: { value: 0, message: "Cannot be negative" },
+                })}
+                label="Unit Price"
+                error={errors.items?.[index]?.unitPrice}
+                min={0}
+                step={0.01}
+              />
+            </Grid>
+            <Grid size={{ xs: 2, sm: 1 }} sx={{ display: "flex" }}>
+              <Tooltip title="Remove item">
+                <span>
+                  <IconButton
+                    onClick={() => remove(index)}
+                    disabled={fields.length === 1}
+                    size="small"
+                  >
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+            </Grid>
+          </Grid>
+        ))}
+
+        <Grid size={{ xs: 12 }}>
+          <Button
+            startIcon={<AddIcon />}
+            size="small"
+            onClick={() => append(EMPTY_ITEM)}
+            disabled={fields.length >= MAX_PURCHASE_ORDER_ITEMS}
+          >
+            Add Item
+          </Button>
+        </Grid>
+
+        {/* Expected Date */}
+        <Grid size={{ xs: 12, sm: 6 }}>
+          <MuiDatePicker
+            name="expectedDate"
+            control={control}
+            label="Expected Delivery"
+          />
+        </Grid>
+
+        {/* Notes */}
+        <Grid size={{ xs: 12 }}>
+          <MuiTextArea
+            {...register("notes", {
+              maxLength: {
+                value: MAX_PURCHASE_ORDER_NOTES_LENGTH,
+                message: `Notes cannot exceed ${MAX_PURCHASE_ORDER_NOTES_LENGTH} characters`,
+              },
+            })}
+            label="Notes"
+            error={errors.notes}
+            rows={3}
+            maxLength={MAX_PURCHASE_ORDER_NOTES_LENGTH}
+          />
+        </Grid>
+      </Grid>
+
+      {/* Action Buttons */}
+      <Box sx={{ display: "flex", gap: 2, justifyContent: "flex-end", mt: 3 }}>
+        <Button onClick={onCancel} variant="outlined" color="inherit">
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          variant="contained"
+          disabled={isCreating || isUpdating || (!isDirty && isEditMode)}
+        >
+          {isCreating || isUpdating
+            ? "Saving..."
+            : isEditMode
+            ? "Update Purchase Order"
+            : "Create Purchase Order"}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+CreateUpdatePurchaseOrder.propTypes = {
+  purchaseOrder: PropTypes.object,
+  onSuccess: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default CreateUpdatePurchaseOrder;
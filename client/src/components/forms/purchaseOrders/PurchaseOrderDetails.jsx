@@ -0,0 +1,226 @@
+// client/src/components/forms/purchaseOrders/PurchaseOrderDetails.jsx
+import { useState } from "react";
+import PropTypes from "prop-types";
+import {
+  Box,
+  Button,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { toast } from "react-toastify";
+import { LoadingFallback } from "../../common/MuiLoading";
+import { useAuth } from "../../../hooks/useAuth";
+import { hasPermission } from "../../../utils/authorizationHelper";
+import { handleRTKError } from "../../../utils/errorHandler";
+import { formatDate, formatDateTime } from "../../../utils/dateUtils";
+import {
+  useGetPurchaseOrderByIdQuery,
+  useTransitionPurchaseOrderMutation,
+} from "../../../redux/features/purchaseOrder/purchaseOrderApi";
+import {
+  PURCHASE_ORDER_TRANSITIONS,
+  MAX_PURCHASE_ORDER_NOTES_LENGTH,
+} from "../../../utils/constants";
+
+// Button label, color and required permission for each target status
+const TRANSITION_ACTIONS = {
+  Approved: { label: "Approve", color: "primary", operation: "approve" },
+  Ordered: { label: "Mark Ordered", color: "primary", operation: "update" },
+  Received: { label: "Receive", color: "success", operation: "update" },
+  Cancelled: { label: "Cancel Order", color: "error", operation: "update" },
+};
+
+// Workflow history rows, in order
+const HISTORY_STEPS = [
+  { label: "Created", by: "createdBy", at: "createdAt" },
+  { label: "Approved", by: "approvedBy", at: "approvedAt" },
+  { label: "Ordered", by: "orderedBy", at: "orderedAt" },
+  { label: "Received", by: "receivedBy", at: "receivedAt" },
+  { label: "Cancelled", by: "cancelledBy", at: "cancelledAt" },
+];
+
+const getFullName = (user) =>
+  user ? `${user.firstName} ${user.lastName}` : "Unknown";
+
+/**
+ * Resolve the authorization scope of a purchase order for the current user
+ * (mirrors determinePurchaseOrderContext on the backend)
+ * @param {Object} user - Current user
+ * @param {Object} purchaseOrder - Purchase order with populated refs
+ * @returns {string} own, ownDept or crossDept
+ */
+const getPurchaseOrderScope = (user, purchaseOrder) => {
+  if (purchaseOrder.createdBy?._id === user?._id) return "own";
+  if (purchaseOrder.department?._id === user?.department?._id) {
+    return "ownDept";
+  }
+  return "crossDept";
+};
+
+/**
+ * PurchaseOrderDetails Component
+ *
+ * Shows a purchase order's line items, totals and workflow history, and the
+ * workflow actions (approve, order, receive, cancel) the current user may
+ * take from its status. Receiving adds every line item to stock.
+ *
+ * @param {Object} props
+ * @param {string} props.purchaseOrderId - Purchase order ID
+ * @returns {JSX.Element}
+ */
+const PurchaseOrderDetails = ({ purchaseOrderId }) => {
+  const { user } = useAuth();
+  const [note, setNote] = useState("");
+
+  const { data: purchaseOrder, isLoading } =
+    useGetPurchaseOrderByIdQuery(purchaseOrderId);
+  const [transitionPurchaseOrder, { isLoading: isTransitioning }] =
+    useTransitionPurchaseOrderMutation();
+
+  if (isLoading || !purchaseOrder) {
+    return <LoadingFallback message="Loading purchase order..." height={200} />;
+  }
+
+  const scope = getPurchaseOrderScope(user, purchaseOrder);
+  const availableActions = purchaseOrder.isDeleted
+    ? []
+    : (PURCHASE_ORDER_TRANSITIONS[purchaseOrder.status] || []).filter(
+        (status) =>
+          hasPermission(
+            user,
+            "PurchaseOrder",
+            TRANSITION_ACTIONS[status].operation,
+            scope
+          )
+      );
+
+  const handleTransition = async (status) => {
+    try {
+      await transitionPurchaseOrder({
+        purchaseOrderId,
+        status,
+        note: note.trim() || undefined,
+      }).unwrap();
+      toast.success(`Purchase order ${status.toLowerCase()}`);
+      setNote("");
+    } catch (error) {
+      handleRTKError(error, "Failed to update purchase order");
+    }
+  };
+
+  return (
+    <Stack spacing={2}>
+      {/* Summary */}
+      <Box>
+        <Stack direction="row" spacing={1} alignItems="center" mb={1}>
+          <Typography variant="subtitle1" fontWeight={600}>
+            {purchaseOrder.orderNumber}
+          </Typography>
+          <Chip label={purchaseOrder.status} size="small" />
+        </Stack>
+        <Typography variant="body2" color="text.secondary">
+          {purchaseOrder.vendor?.name || "Unknown vendor"} ·{" "}
+          {purchaseOrder.department?.name || "Unknown department"}
+          {purchaseOrder.expectedDate &&
+            ` · Expected ${formatDate(purchaseOrder.expectedDate)}`}
+        </Typography>
+        {purchaseOrder.notes && (
+          <Typography variant="body2" mt={1}>
+            {purchaseOrder.notes}
+          </Typography>
+        )}
+      </Box>
+
+      <Divider />
+
+      {/* Line Items */}
+      <Box>
+        <Typography variant="subtitle2" gutterBottom>
+          Line Items
+        </Typography>
+        <List dense disablePadding>
+          {purchaseOrder.items.map((item, index) => (
+            <ListItem key={item.material?._id || index} disableGutters>
+              <ListItemText
+                primary={item.material?.name || "Deleted material"}
+                secondary={`${item.quantity} ${item.material?.unit || ""} × ${item.unitPrice.toFixed(2)}`}
+              />
+              <Typography variant="body2">
+                {(item.quantity * item.unitPrice).toFixed(2)}
+              </Typography>
+            </ListItem>
+          ))}
+        </List>
+        <Stack direction="row" justifyContent="space-between" mt={1}>
+          <Typography variant="subtitle2">Total</Typography>
+          <Typography variant="subtitle2">
+            {purchaseOrder.totalAmount.toFixed(2)} {purchaseOrder.currency}
+          </Typography>
+        </Stack>
+      </Box>
+
+      <Divider />
+
+      {/* Workflow History */}
+      <Box>
+        <Typography variant="subtitle2" gutterBottom>
+          History
+        </Typography>
+        {HISTORY_STEPS.filter((step) => purchaseOrder[step.at]).map((step) => (
+          <Typography key={step.label} variant="body2" color="text.secondary">
+            {step.label} by {getFullName(purchaseOrder[step.by])} on{" "}
+            {formatDateTime(purchaseOrder[step.at])}
+          </Typography>
+        ))}
+      </Box>
+
+      {/* Workflow Actions */}
+      {availableActions.length > 0 && (
+        <>
+          <Divider />
+          <Box>
+            <TextField
+              label="Note (optional)"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              inputProps={{ maxLength: MAX_PURCHASE_ORDER_NOTES_LENGTH }}
+              fullWidth
+              size="small"
+            />
+            <Stack
+              direction="row"
+              spacing={1}
+              justifyContent="flex-end"
+              mt={2}
+            >
+              {availableActions.map((status) => (
+                <Button
+                  key={status}
+                  variant={status === "Cancelled" ? "outlined" : "contained"}
+                  color={TRANSITION_ACTIONS[status].color}
+                  size="small"
+                  disabled={isTransitioning}
+                  onClick={() => handleTransition(status)}
+                >
+                  {TRANSITION_ACTIONS[status].label}
+                </Button>
+              ))}
+            </Stack>
+          </Box>
+        </>
+      )}
+    </Stack>
+  );
+};
+
+PurchaseOrderDetails.propTypes = {
+  purchaseOrderId: PropTypes.string.isRequired,
+};
+
+export default PurchaseOrderDetails;
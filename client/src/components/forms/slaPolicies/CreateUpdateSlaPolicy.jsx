@@ -0,0 +1,245 @@
+// client/src/components/forms/slaPolicies/CreateUpdateSlaPolicy.jsx
+import { useEffect } from "react";
+import PropTypes from "prop-types";
+import { useForm } from "react-hook-form";
+import { Box, Button, Grid } from "@mui/material";
+import { toast } from "react-toastify";
+import MuiSelectAutocomplete from "../../common/MuiSelectAutocomplete";
+import MuiNumberField from "../../common/MuiNumberField";
+import MuiCheckbox from "../../common/MuiCheckbox";
+import { handleRTKError } from "../../../utils/errorHandler";
+import { formatDuration } from "../../../utils/dateUtils";
+import {
+  useCreateSlaPolicyMutation,
+  useUpdateSlaPolicyMutation,
+} from "../../../redux/features/slaPolicy/slaPolicyApi";
+import { TASK_PRIORITY, MAX_SLA_MINUTES } from "../../../utils/constants";
+
+const priorityOptions = TASK_PRIORITY.map((priority) => ({
+  id: priority,
+  label: priority,
+}));
+
+const toMinutes = (value) => (value === "" ? null : Number(value));
+
+/**
+ * CreateUpdateSlaPolicy Component
+ *
+ * Form for creating or editing an SLA policy. Priority and scope are fixed
+ * once a policy exists.
+ *
+ * @param {Object} props
+ * @param {Object} [props.policy] - Policy object for editing (null for create)
+ * @param {string} props.departmentId - Department a new policy is for
+ * @param {boolean} [props.canSetOrgWide] - Whether a new policy may apply organization-wide
+ * @param {Function} props.onSuccess - Success callback
+ * @param {Function} props.onCancel - Cancel callback
+ * @returns {JSX.Element}
+ */
+const CreateUpdateSlaPolicy = ({
+  policy,
+  departmentId,
+  canSetOrgWide = false,
+  onSuccess,
+  onCancel,
+}) => {
+  const isEditMode = !!policy;
+  const [createSlaPolicy, { isLoading: isCreating }] =
+    useCreateSlaPolicyMutation();
+  const [updateSlaPolicy, { isLoading: isUpdating }] =
+    useUpdateSlaPolicyMutation();
+
+  const {
+    register,
+    handleSubmit,
+    control,
+    formState: { errors, isDirty },
+    reset,
+    watch,
+  } = useForm({
+    mode: "onTouched",
+    defaultValues: {
+      priority: "",
+      orgWide: false,
+      responseMinutes: "",
+      resolutionMinutes: "",
+      raisePriority: false,
+      notifyHods: true,
+      isActive: true,
+    },
+  });
+
+  useEffect(() => {
+    if (policy) {
+      reset({
+        priority: policy.priority,
+        orgWide: !policy.department,
+        responseMinutes: policy.responseMinutes ?? "",
+        resolutionMinutes: policy.resolutionMinutes ?? "",
+        raisePriority: !!policy.raisePriority,
+        notifyHods: !!policy.notifyHods,
+        isActive: !!policy.isActive,
+      });
+    }
+  }, [policy, reset]);
+
+  const responseMinutes = watch("responseMinutes");
+  const resolutionMinutes = watch("resolutionMinutes");
+
+  const minutesRules = {
+    min: { value: 1, message: "Must be at least 1 minute" },
+    max: {
+      value: MAX_SLA_MINUTES,
+      message: `Maximum ${MAX_SLA_MINUTES} minutes`,
+    },
+    validate: (_value, values) =>
+      values.responseMinutes !== "" ||
+      values.resolutionMinutes !== "" ||
+      "A response or resolution time is required",
+  };
+
+  const onSubmit = async (data) => {
+    const settings = {
+      responseMinutes: toMinutes(data.responseMinutes),
+      resolutionMinutes: toMinutes(data.resolutionMinutes),
+      raisePriority: data.raisePriority,
+      notifyHods: data.notifyHods,
+      isActive: data.isActive,
+    };
+
+    try {
+      const { tasksUpdated } = isEditMode
+        ? await updateSlaPolicy({ policyId: policy._id, ...settings }).unwrap()
+        : await createSlaPolicy({
+            ...settings,
+            priority: data.priority,
+            departmentId: data.orgWide ? null : departmentId,
+          }).unwrap();
+      toast.success(
+        `SLA policy ${isEditMode ? "updated" : "created"}; ${tasksUpdated} open task(s) updated`
+      );
+      onSuccess();
+    } catch (error) {
+      handleRTKError(
+        error,
+        `Failed to ${isEditMode ? "update" : "create"} SLA policy`
+      );
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit(onSubmit)}>
+      <Grid container spacing={2}>
+        {/* Priority */}
+        <Grid size={{ xs: 12 }}>
+          <MuiSelectAutocomplete
+            name="priority"
+            control={control}
+            rules={{ required: "Priority is required" }}
+            options={priorityOptions}
+            label="Priority"
+            required
+            disabled={isEditMode}
+          />
+        </Grid>
+
+        {/* Scope */}
+        {canSetOrgWide && (
+          <Grid size={{ xs: 12 }}>
+            <MuiCheckbox
+              name="orgWide"
+              control={control}
+              label="Apply organization-wide"
+              helperText="Departments with their own policy for this priority keep it"
+              disabled={isEditMode}
+            />
+          </Grid>
+        )}
+
+        {/* Targets */}
+        <Grid size={{ xs: 12, sm: 6 }}>
+          <MuiNumberField
+            {...register("responseMinutes", minutesRules)}
+            label="Start Within"
+            error={errors.responseMinutes}
+            min={1}
+            max={MAX_SLA_MINUTES}
+            suffix="min"
+            helperText={
+              responseMinutes
+                ? `${formatDuration(responseMinutes)} to move to In Progress`
+                : "Time to move to In Progress"
+            }
+            fullWidth
+            size="small"
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6 }}>
+          <MuiNumberField
+            {...register("resolutionMinutes", minutesRules)}
+            label="Complete Within"
+            error={errors.resolutionMinutes}
+            min={1}
+            max={MAX_SLA_MINUTES}
+            suffix="min"
+            helperText={
+              resolutionMinutes
+                ? `${formatDuration(resolutionMinutes)} to complete`
+                : "Time to complete"
+            }
+            fullWidth
+            size="small"
+          />
+        </Grid>
+
+        {/* Escalation */}
+        <Grid size={{ xs: 12 }}>
+          <MuiCheckbox
+            name="raisePriority"
+            control={control}
+            label="Raise priority on breach"
+            helperText="Breached tasks move up one priority level; Urgent tasks notify HODs instead"
+          />
+        </Grid>
+        <Grid size={{ xs: 12 }}>
+          <MuiCheckbox
+            name="notifyHods"
+            control={control}
+            label="Notify heads of department on breach"
+          />
+        </Grid>
+        <Grid size={{ xs: 12 }}>
+          <MuiCheckbox name="isActive" control={control} label="Active" />
+        </Grid>
+      </Grid>
+
+      {/* Action Buttons */}
+      <Box sx={{ display: "flex", gap: 2, justifyContent: "flex-end", mt: 3 }}>
+        <Button onClick={onCancel} variant="outlined" color="inherit">
+          Cancel
+        </Button>
+        <Button
+          type="submit"
+          variant="contained"
+          disabled={isCreating || isUpdating || (!isDirty && isEditMode)}
+        >
+          {isCreating || isUpdating
+            ? "Saving..."
+            : isEditMode
+              ? "Update Policy"
+              : "Create Policy"}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+CreateUpdateSlaPolicy.propTypes = {
+  policy: PropTypes.object,
+  departmentId: PropTypes.string.isRequired,
+  canSetOrgWide: PropTypes.bool,
+  onSuccess: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default CreateUpdateSlaPolicy;
@@ -9,9 +9,13 @@ import MuiSelectAutocomplete from "../../common/MuiSelectAutocomplete";
 import MuiResourceSelect from "../../common/MuiResourceSelect";
 import MuiDatePicker from "../../common/MuiDatePicker";
 import MuiNumberField from "../../common/MuiNumberField";
+import MuiCheckbox from "../../common/MuiCheckbox";
+import MuiMultiSelect from "../../common/MuiMultiSelect";
+import MuiRadioGroup from "../../common/MuiRadioGroup";
 import {
   useCreateTaskMutation,
   useUpdateTaskMutation,
+  useCreateRoutineTaskTemplateMutation,
 } from "../../../redux/features/task/taskApi";
 import {
   TASK_TYPES,
@@ -20,19 +24,32 @@ import {
   ROUTINE_TASK_STATUS,
   ROUTINE_TASK_PRIORITY,
   SUPPORTED_CURRENCIES,
+  RECURRENCE_FREQUENCIES,
+  MAX_RECURRENCE_INTERVAL,
+  MAX_RECURRENCE_OCCURRENCES,
+  WEEKDAY_LABELS,
 } from "../../../utils/constants";
 import { handleRTKError } from "../../../utils/errorHandler";
 import dayjs from "dayjs";
 
+const RECURRENCE_END_OPTIONS = [
+  { value: "never", label: "Never" },
+  { value: "onDate", label: "On date" },
+  { value: "afterCount", label: "After occurrences" },
+];
+
 /**
  * CreateUpdateTask Component
- * Adaptive form for creating/updating tasks with type-specific fields
+ * Adaptive form for creating/updating tasks with type-specific fields.
+ * A new RoutineTask can be set to repeat, in which case a recurring
+ * template is created and the scheduler generates the task instances.
  */
 const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
   const isEditMode = !!task;
 
   const [createTask] = useCreateTaskMutation();
   const [updateTask] = useUpdateTaskMutation();
+  const [createRoutineTaskTemplate] = useCreateRoutineTaskTemplateMutation();
 
   // Local state for task type to control conditional rendering
   const [selectedTaskType, setSelectedTaskType] = useState(taskType || "");
@@ -45,6 +62,7 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
     formState: { errors },
     reset,
     setValue,
+    watch,
   } = useForm({
     mode: "onTouched",
     defaultValues: {
@@ -64,12 +82,28 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
       estimatedCost: "",
       actualCost: "",
       currency: "USD",
+      trackTimeCost: false,
       // RoutineTask fields
       date: null,
       materials: [],
+      // RoutineTask recurrence (create mode only)
+      repeat: false,
+      frequency: "Daily",
+      interval: 1,
+      weekdays: [],
+      dayOfMonth: "",
+      recurrenceEnd: "never",
+      endDate: null,
+      occurrenceCount: "",
     },
   });
 
+  const repeat = watch("repeat");
+  const frequency = watch("frequency");
+  const recurrenceEnd = watch("recurrenceEnd");
+  const isRecurring =
+    !isEditMode && selectedTaskType === "RoutineTask" && repeat;
+
   // Handle taskType change via callback
   const handleTaskTypeChange = (value) => {
     if (value) {
@@ -98,6 +132,7 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
         estimatedCost: task.estimatedCost || "",
         actualCost: task.actualCost || "",
         currency: task.currency || "USD",
+        trackTimeCost: !!task.trackTimeCost,
         // RoutineTask fields
         date: task.date || null,
         materials:
@@ -148,6 +183,7 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
           ? Number(data.actualCost)
           : undefined;
         payload.currency = data.currency;
+        payload.trackTimeCost = !!data.trackTimeCost;
       } else if (data.taskType === "RoutineTask") {
         payload.date = dayjs(data.date).format();
         // Materials should be array of {materialId, quantity}
@@ -175,6 +211,34 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
       // //     const diff = due.diff(now, "day");
       if (isEditMode) {
         await updateTask({ taskId: task._id, ...payload }).unwrap();
+      } else if (isRecurring) {
+        await createRoutineTaskTemplate({
+          title: payload.title,
+          description: payload.description,
+          priority: payload.priority,
+          tags: payload.tags,
+          watcherIds: payload.watcherIds,
+          materials: payload.materials,
+          recurrence: {
+            frequency: data.frequency,
+            interval: Number(data.interval) || 1,
+            weekdays:
+              data.frequency === "Weekly" ? data.weekdays.map(Number) : [],
+            dayOfMonth:
+              data.frequency === "Monthly" && data.dayOfMonth
+                ? Number(data.dayOfMonth)
+                : undefined,
+            startDate: payload.date,
+            endDate:
+              data.recurrenceEnd === "onDate"
+                ? dayjs(data.endDate).format()
+                : undefined,
+            occurrenceCount:
+              data.recurrenceEnd === "afterCount"
+                ? Number(data.occurrenceCount)
+                : undefined,
+          },
+        }).unwrap();
       } else {
         await createTask(payload).unwrap();
       }
@@ -224,6 +288,17 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
     label: curr,
   }));
 
+  const frequencyOptions = RECURRENCE_FREQUENCIES.map((freq) => ({
+    id: freq,
+    label: freq,
+  }));
+
+  // MuiMultiSelect expects string ids; converted back to numbers on submit
+  const weekdayOptions = WEEKDAY_LABELS.map((label, index) => ({
+    id: String(index),
+    label,
+  }));
+
   // isLoading used by parent via form submission state
   // const isLoading = isCreating || isUpdating;
 
@@ -280,18 +355,20 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
           />
         </Grid>
 
-        {/* Status */}
-        <Grid size={{ xs: 12, sm: 6 }}>
-          <MuiSelectAutocomplete
-            name="status"
-            control={control}
-            options={getStatusOptions(selectedTaskType)}
-            label="Status"
-          />
-        </Grid>
+        {/* Status - occurrences of a recurring task always start as Pending */}
+        {!isRecurring && (
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <MuiSelectAutocomplete
+              name="status"
+              control={control}
+              options={getStatusOptions(selectedTaskType)}
+              label="Status"
+            />
+          </Grid>
+        )}
 
         {/* Priority */}
-        <Grid size={{ xs: 12, sm: 6 }}>
+        <Grid size={{ xs: 12, sm: isRecurring ? 12 : 6 }}>
           <MuiSelectAutocomplete
             name="priority"
             control={control}
@@ -451,6 +528,15 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
                 label="Currency"
               />
             </Grid>
+
+            <Grid size={{ xs: 12 }}>
+              <MuiCheckbox
+                name="trackTimeCost"
+                control={control}
+                label="Add logged time to actual cost"
+                helperText="Time logged on the task is costed at each user's hourly rate"
+              />
+            </Grid>
           </>
         )}
 
@@ -461,8 +547,12 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
               <MuiDatePicker
                 name="date"
                 control={control}
-                rules={{ required: "Date is required" }}
-                label="Date"
+                rules={{
+                  required: isRecurring
+                    ? "Start date is required"
+                    : "Date is required",
+                }}
+                label={isRecurring ? "Starts On" : "Date"}
               />
             </Grid>
 
@@ -476,6 +566,132 @@ const CreateUpdateTask = ({ task, taskType, onSuccess }) => {
                 multiple
               />
             </Grid>
+
+            {/* Recurrence - creates a template instead of a single task */}
+            {!isEditMode && (
+              <Grid size={{ xs: 12 }}>
+                <MuiCheckbox
+                  name="repeat"
+                  control={control}
+                  label="Repeat on a schedule"
+                  helperText="Routine tasks are created automatically for each occurrence"
+                />
+              </Grid>
+            )}
+
+            {isRecurring && (
+              <>
+                <Grid size={{ xs: 12, sm: 6 }}>
+                  <MuiSelectAutocomplete
+                    name="frequency"
+                    control={control}
+                    rules={{ required: "Frequency is required" }}
+                    options={frequencyOptions}
+                    label="Frequency"
+                    required
+                  />
+                </Grid>
+
+                <Grid size={{ xs: 12, sm: 6 }}>
+                  <MuiNumberField
+                    {...register("interval", {
+                      required: "Interval is required",
+                      min: { value: 1, message: "Interval must be at least 1" },
+                      max: {
+                        value: MAX_RECURRENCE_INTERVAL,
+                        message: `Interval cannot exceed ${MAX_RECURRENCE_INTERVAL}`,
+                      },
+                    })}
+                    label="Repeat Every"
+                    error={errors.interval}
+                    min={1}
+                    max={MAX_RECURRENCE_INTERVAL}
+                    suffix={
+                      { Daily: "day(s)", Weekly: "week(s)", Monthly: "month(s)" }[
+                        frequency
+                      ]
+                    }
+                    fullWidth
+                    size="small"
+                  />
+                </Grid>
+
+                {frequency === "Weekly" && (
+                  <Grid size={{ xs: 12 }}>
+                    <MuiMultiSelect
+                      name="weekdays"
+                      control={control}
+                      options={weekdayOptions}
+                      label="On Days"
+                      placeholder="Defaults to the start day"
+                    />
+                  </Grid>
+                )}
+
+                {frequency === "Monthly" && (
+                  <Grid size={{ xs: 12 }}>
+                    <MuiNumberField
+                      {...register("dayOfMonth", {
+                        min: { value: 1, message: "Day must be 1-31" },
+                        max: { value: 31, message: "Day must be 1-31" },
+                      })}
+                      label="Day of Month"
+                      error={errors.dayOfMonth}
+                      helperText="Defaults to the start day; short months use their last day"
+                      min={1}
+                      max={31}
+                      fullWidth
+                      size="small"
+                    />
+                  </Grid>
+                )}
+
+                <Grid size={{ xs: 12 }}>
+                  <MuiRadioGroup
+                    name="recurrenceEnd"
+                    control={control}
+                    options={RECURRENCE_END_OPTIONS}
+                    label="Ends"
+                    row
+                  />
+                </Grid>
+
+                {recurrenceEnd === "onDate" && (
+                  <Grid size={{ xs: 12 }}>
+                    <MuiDatePicker
+                      name="endDate"
+                      control={control}
+                      rules={{ required: "End date is required" }}
+                      label="End Date"
+                    />
+                  </Grid>
+                )}
+
+                {recurrenceEnd === "afterCount" && (
+                  <Grid size={{ xs: 12 }}>
+                    <MuiNumberField
+                      {...register("occurrenceCount", {
+                        required: "Number of occurrences is required",
+                        min: {
+                          value: 1,
+                          message: "At least one occurrence is required",
+                        },
+                        max: {
+                          value: MAX_RECURRENCE_OCCURRENCES,
+                          message: `Occurrences cannot exceed ${MAX_RECURRENCE_OCCURRENCES}`,
+                        },
+                      })}
+                      label="Occurrences"
+                      error={errors.occurrenceCount}
+                      min={1}
+                      max={MAX_RECURRENCE_OCCURRENCES}
+                      fullWidth
+                      size="small"
+                    />
+                  </Grid>
+                )}
+              </>
+            )}
           </>
         )}
 
@@ -11,11 +11,13 @@ import {
   useGetTaskCommentByIdQuery,
 } from "../../../redux/features/task/taskApi";
 import { handleRTKError } from "../../../utils/errorHandler";
+import { useTaskTyping } from "../../../hooks/useTaskPresence";
 
 /**
  * CreateUpdateTaskComment Component
  * Form for creating/updating task comments with mention support
  * Field names match taskCommentValidators exactly
+ * Typing is shared live with the other users viewing the task
  */
 const CreateUpdateTaskComment = ({
   taskId,
@@ -37,6 +39,7 @@ const CreateUpdateTaskComment = ({
 
   const [createComment] = useCreateTaskCommentMutation();
   const [updateComment] = useUpdateTaskCommentMutation();
+  const { notifyTyping, stopTyping } = useTaskTyping(taskId);
 
   // Form state
   const {
@@ -65,6 +68,7 @@ const CreateUpdateTaskComment = ({
 
   // Handle form submission
   const onSubmit = async (data) => {
+    stopTyping();
     try {
       const payload = {
         taskId,
@@ -96,19 +100,25 @@ const CreateUpdateTaskComment = ({
     }
   };
 
+  const commentField = register("comment", {
+    required: "Comment is required",
+    maxLength: {
+      value: 2000,
+      message: "Comment cannot exceed 2000 characters",
+    },
+  });
+
   return (
     <Box component="form" onSubmit={handleSubmit(onSubmit)} id="comment-form">
       <Grid container spacing={2}>
         {/* Comment */}
         <Grid size={{ xs: 12 }}>
           <MuiTextArea
-            {...register("comment", {
-              required: "Comment is required",
-              maxLength: {
-                value: 2000,
-                message: "Comment cannot exceed 2000 characters",
-              },
-            })}
+            {...commentField}
+            onChange={(event) => {
+              commentField.onChange(event);
+              notifyTyping();
+            }}
             label="Comment"
             error={errors.comment}
             required
@@ -11,6 +11,7 @@ import MuiDatePicker from "../../common/MuiDatePicker";
 import MuiFileUpload from "../../common/MuiFileUpload";
 import MuiNumberField from "../../common/MuiNumberField";
 import { handleRTKError } from "../../../utils/errorHandler";
+import { useAuth } from "../../../hooks/useAuth";
 import {
   useCreateUserMutation,
   useUpdateUserMutation,
@@ -27,12 +28,14 @@ import {
   MAX_SKILL_PERCENTAGE,
   EMPLOYEE_ID_MIN,
   EMPLOYEE_ID_MAX,
+  MAX_HOURLY_RATE,
 } from "../../../utils/constants";
 
 /**
  * CreateUpdateUser Component
  *
- * Form for creating or editing users.
+ * Form for creating or editing users. SuperAdmins also set the hourly rate
+ * used to cost logged time.
  *
  * @param {Object} props
  * @param {Object} [props.user] - User object for editing (null for create)
@@ -42,6 +45,8 @@ import {
  */
 const CreateUpdateUser = ({ user, onSuccess, onCancel }) => {
   const isEditMode = !!user;
+  const { isSuperAdmin } = useAuth();
+  const canSetRate = isEditMode && isSuperAdmin;
   const [createUser, { isLoading: isCreating }] = useCreateUserMutation();
   const [updateUser, { isLoading: isUpdating }] = useUpdateUserMutation();
 
@@ -79,6 +84,7 @@ const CreateUpdateUser = ({ user, onSuccess, onCancel }) => {
         employeeId: user.employeeId || "",
         dateOfBirth: user.dateOfBirth || null,
         joinedAt: user.joinedAt || new Date().toISOString(),
+        hourlyRate: user.hourlyRate ?? "",
       });
     }
   }, [user, reset]);
@@ -90,6 +96,13 @@ const CreateUpdateUser = ({ user, onSuccess, onCancel }) => {
         delete data.password;
       }
 
+      // Only SuperAdmins may set rates; an empty rate is left unchanged
+      if (!canSetRate || data.hourlyRate === "") {
+        delete data.hourlyRate;
+      } else {
+        data.hourlyRate = Number(data.hourlyRate);
+      }
+
       if (isEditMode) {
         await updateUser({ userId: user._id, data }).unwrap();
         toast.success("User updated successfully");
@@ -282,6 +295,29 @@ const CreateUpdateUser = ({ user, onSuccess, onCancel }) => {
           />
         </Grid>
 
+        {/* Hourly Rate (SuperAdmin only) */}
+        {canSetRate && (
+          <Grid size={{ xs: 12, sm: 6 }}>
+            <MuiNumberField
+              {...register("hourlyRate", {
+                min: { value: 0, message: "Minimum 0" },
+                max: {
+                  value: MAX_HOURLY_RATE,
+                  message: `Maximum ${MAX_HOURLY_RATE}`,
+                },
+              })}
+              label="Hourly Rate (Optional)"
+              error={errors.hourlyRate}
+              min={0}
+              max={MAX_HOURLY_RATE}
+              step={0.01}
+              helperText="Costs logged time; leave empty to keep the current rate"
+              fullWidth
+              size="small"
+            />
+          </Grid>
+        )}
+
         {/* Profile Picture Upload */}
         <Grid size={{ xs: 12 }}>
           <MuiFileUpload
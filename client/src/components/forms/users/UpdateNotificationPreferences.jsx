@@ -0,0 +1,326 @@
+// client/src/components/forms/users/UpdateNotificationPreferences.jsx
+import { useMemo } from "react";
+import PropTypes from "prop-types";
+import { useForm, Controller } from "react-hook-form";
+import {
+  Box,
+  Button,
+  Checkbox,
+  Divider,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import { toast } from "react-toastify";
+import MuiCheckbox from "../../common/MuiCheckbox";
+import MuiTextField from "../../common/MuiTextField";
+import MuiSelectAutocomplete from "../../common/MuiSelectAutocomplete";
+import MuiRadioGroup from "../../common/MuiRadioGroup";
+import { useUpdateMyEmailPreferencesMutation } from "../../../redux/features/user/userApi";
+import { handleRTKError } from "../../../utils/errorHandler";
+import {
+  DIGEST_FREQUENCIES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_PREFERENCE_CATEGORIES,
+  TIME_OF_DAY_REGEX,
+  WEEKDAY_LABELS,
+} from "../../../utils/constants";
+
+const CATEGORY_LABELS = {
+  taskNotifications: "Task updates",
+  taskReminders: "Task reminders",
+  mentions: "Mentions",
+  announcements: "Announcements",
+};
+
+const CHANNEL_LABELS = {
+  inApp: "In-app",
+  email: "Email",
+  digest: "Digest",
+};
+
+const FREQUENCY_LABELS = {
+  off: "Off",
+  daily: "Daily",
+  weekly: "Weekly",
+};
+
+const FREQUENCY_OPTIONS = DIGEST_FREQUENCIES.map((frequency) => ({
+  value: frequency,
+  label: FREQUENCY_LABELS[frequency],
+}));
+
+// MuiRadioGroup expects string values; converted back to a number on submit
+const WEEKDAY_OPTIONS = WEEKDAY_LABELS.map((label, index) => ({
+  value: String(index),
+  label,
+}));
+
+const TIMEZONE_OPTIONS = (Intl.supportedValuesOf?.("timeZone") || ["UTC"]).map(
+  (timezone) => ({ id: timezone, label: timezone })
+);
+
+// Email toggles live at the top level of emailPreferences; in-app and digest
+// toggles are nested per channel in notificationPreferences
+const toFormValues = ({ emailPreferences, notificationPreferences }) => ({
+  enabled: emailPreferences.enabled,
+  email: Object.fromEntries(
+    NOTIFICATION_PREFERENCE_CATEGORIES.map((category) => [
+      category,
+      emailPreferences[category],
+    ])
+  ),
+  inApp: notificationPreferences.inApp,
+  digest: notificationPreferences.digest,
+  quietHours: notificationPreferences.quietHours,
+  digestSchedule: {
+    frequency: notificationPreferences.digestSchedule.frequency,
+    time: notificationPreferences.digestSchedule.time,
+    weekday: String(notificationPreferences.digestSchedule.weekday),
+  },
+  timezone: notificationPreferences.timezone,
+});
+
+/**
+ * UpdateNotificationPreferences Component
+ *
+ * Per-category toggles for the in-app, email and digest channels, the digest
+ * schedule, and quiet hours during which immediate emails are not sent.
+ *
+ * @param {Object} props
+ * @param {Object} props.preferences - {emailPreferences, notificationPreferences}
+ * @returns {JSX.Element}
+ */
+const UpdateNotificationPreferences = ({ preferences }) => {
+  const [updatePreferences, { isLoading }] =
+    useUpdateMyEmailPreferencesMutation();
+
+  const defaultValues = useMemo(() => toFormValues(preferences), [preferences]);
+
+  const {
+    control,
+    register,
+    handleSubmit,
+    watch,
+    reset,
+    formState: { errors, isDirty },
+  } = useForm({ mode: "onTouched", values: defaultValues });
+
+  const emailEnabled = watch("enabled");
+  const quietHoursEnabled = watch("quietHours.enabled");
+  const digestFrequency = watch("digestSchedule.frequency");
+
+  const onSubmit = async (data) => {
+    try {
+      await updatePreferences({
+        enabled: data.enabled,
+        ...data.email,
+        inApp: data.inApp,
+        digest: data.digest,
+        quietHours: data.quietHours,
+        digestSchedule: {
+          frequency: data.digestSchedule.frequency,
+          time: data.digestSchedule.time,
+          weekday: Number(data.digestSchedule.weekday),
+        },
+        timezone: data.timezone,
+      }).unwrap();
+      toast.success("Notification preferences updated successfully");
+    } catch (error) {
+      handleRTKError(error, "Failed to update notification preferences");
+    }
+  };
+
+  const timeRules = {
+    pattern: {
+      value: TIME_OF_DAY_REGEX,
+      message: "Use HH:mm",
+    },
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit(onSubmit)}>
+      {/* Channels */}
+      <Typography variant="subtitle1" fontWeight={600}>
+        Channels
+      </Typography>
+      <MuiCheckbox
+        name="enabled"
+        control={control}
+        label="Send me emails"
+        helperText="Turning this off stops all notification emails, including digests"
+      />
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Notification</TableCell>
+            {NOTIFICATION_CHANNELS.map((channel) => (
+              <TableCell key={channel} align="center">
+                {CHANNEL_LABELS[channel]}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {NOTIFICATION_PREFERENCE_CATEGORIES.map((category) => (
+            <TableRow key={category}>
+              <TableCell>{CATEGORY_LABELS[category]}</TableCell>
+              {NOTIFICATION_CHANNELS.map((channel) => (
+                <TableCell key={channel} align="center" padding="checkbox">
+                  <Controller
+                    name={`${channel}.${category}`}
+                    control={control}
+                    render={({ field: { onChange, value, ref } }) => (
+                      <Checkbox
+                        checked={!!value}
+                        onChange={(e) => onChange(e.target.checked)}
+                        inputRef={ref}
+                        disabled={
+                          (channel === "email" && !emailEnabled) ||
+                          (channel === "digest" && digestFrequency === "off")
+                        }
+                        slotProps={{
+                          input: {
+                            "aria-label": `${CATEGORY_LABELS[category]} ${CHANNEL_LABELS[channel]}`,
+                          },
+                        }}
+                      />
+                    )}
+                  />
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      <Divider sx={{ my: 3 }} />
+
+      {/* Digest */}
+      <Typography variant="subtitle1" fontWeight={600}>
+        Digest
+      </Typography>
+      <Typography variant="body2" color="text.secondary">
+        Notifications ticked under Digest are batched into one summary email,
+        with a list of your overdue tasks, instead of being emailed one by one
+      </Typography>
+      <MuiRadioGroup
+        name="digestSchedule.frequency"
+        control={control}
+        options={FREQUENCY_OPTIONS}
+        label="Frequency"
+        row
+      />
+      {digestFrequency !== "off" && (
+        <Grid container spacing={2}>
+          <Grid size={{ xs: 6, sm: 3 }}>
+            <MuiTextField
+              {...register("digestSchedule.time", {
+                required: "Time is required",
+                ...timeRules,
+              })}
+              type="time"
+              label="Send at"
+              error={errors.digestSchedule?.time}
+              fullWidth
+              size="small"
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          {digestFrequency === "weekly" && (
+            <Grid size={{ xs: 12 }}>
+              <MuiRadioGroup
+                name="digestSchedule.weekday"
+                control={control}
+                options={WEEKDAY_OPTIONS}
+                label="On"
+                row
+              />
+            </Grid>
+          )}
+        </Grid>
+      )}
+
+      <Divider sx={{ my: 3 }} />
+
+      {/* Quiet Hours */}
+      <Typography variant="subtitle1" fontWeight={600}>
+        Quiet Hours
+      </Typography>
+      <MuiCheckbox
+        name="quietHours.enabled"
+        control={control}
+        label="Don't send emails during quiet hours"
+        helperText="Emails due in quiet hours are skipped, not sent later. In-app notifications and digests are not affected"
+      />
+      <Grid container spacing={2} sx={{ mt: 1 }}>
+        <Grid size={{ xs: 6, sm: 3 }}>
+          <MuiTextField
+            {...register("quietHours.start", timeRules)}
+            type="time"
+            label="From"
+            error={errors.quietHours?.start}
+            disabled={!quietHoursEnabled}
+            fullWidth
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid size={{ xs: 6, sm: 3 }}>
+          <MuiTextField
+            {...register("quietHours.end", timeRules)}
+            type="time"
+            label="To"
+            error={errors.quietHours?.end}
+            disabled={!quietHoursEnabled}
+            fullWidth
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6 }}>
+          <MuiSelectAutocomplete
+            name="timezone"
+            control={control}
+            rules={{ required: "Timezone is required" }}
+            options={TIMEZONE_OPTIONS}
+            label="Timezone"
+            required
+          />
+        </Grid>
+      </Grid>
+
+      {/* Action Buttons */}
+      <Box sx={{ display: "flex", gap: 2, justifyContent: "flex-end", mt: 3 }}>
+        <Button
+          onClick={() => reset(defaultValues)}
+          variant="outlined"
+          color="inherit"
+          disabled={!isDirty || isLoading}
+        >
+          Reset
+        </Button>
+        <Button
+          type="submit"
+          variant="contained"
+          disabled={!isDirty || isLoading}
+        >
+          {isLoading ? "Saving..." : "Save"}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+UpdateNotificationPreferences.propTypes = {
+  preferences: PropTypes.shape({
+    emailPreferences: PropTypes.object.isRequired,
+    notificationPreferences: PropTypes.object.isRequired,
+  }).isRequired,
+};
+
+export default UpdateNotificationPreferences;
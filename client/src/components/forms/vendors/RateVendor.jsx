@@ -0,0 +1,118 @@
+// client/src/components/forms/vendors/RateVendor.jsx
+import PropTypes from "prop-types";
+import { useForm, Controller } from "react-hook-form";
+import { Box, Button, FormHelperText, Rating, Typography } from "@mui/material";
+import { toast } from "react-toastify";
+import MuiTextArea from "../../common/MuiTextArea";
+import { handleRTKError } from "../../../utils/errorHandler";
+import { useRateVendorMutation } from "../../../redux/features/vendor/vendorApi";
+import {
+  MAX_VENDOR_RATING,
+  MAX_VENDOR_RATING_COMMENT_LENGTH,
+} from "../../../utils/constants";
+
+/**
+ * RateVendor Component
+ *
+ * Form for rating the vendor of a completed project task.
+ * Rating a task that was already rated replaces the previous score.
+ *
+ * @param {Object} props
+ * @param {string} props.vendorId - Vendor ID
+ * @param {Object} props.task - Completed ProjectTask ({ _id, title })
+ * @param {Object} [props.rating] - Existing rating of the task ({ score, comment })
+ * @param {Function} props.onSuccess - Success callback
+ * @param {Function} props.onCancel - Cancel callback
+ * @returns {JSX.Element}
+ */
+const RateVendor = ({ vendorId, task, rating, onSuccess, onCancel }) => {
+  const [rateVendor, { isLoading }] = useRateVendorMutation();
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    mode: "onTouched",
+    defaultValues: {
+      score: rating?.score || 0,
+      comment: rating?.comment || "",
+    },
+  });
+
+  const onSubmit = async (data) => {
+    try {
+      await rateVendor({
+        vendorId,
+        taskId: task._id,
+        score: data.score,
+        comment: data.comment || undefined,
+      }).unwrap();
+      toast.success("Vendor rated successfully");
+      onSuccess();
+    } catch (error) {
+      handleRTKError(error, "Failed to rate vendor");
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit(onSubmit)}>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        {task.title}
+      </Typography>
+
+      <Controller
+        name="score"
+        control={control}
+        rules={{ min: { value: 1, message: "Select a rating" } }}
+        render={({ field: { value, onChange } }) => (
+          <Rating
+            value={value}
+            max={MAX_VENDOR_RATING}
+            onChange={(_event, newValue) => onChange(newValue || 0)}
+            size="large"
+          />
+        )}
+      />
+      {errors.score && (
+        <FormHelperText error>{errors.score.message}</FormHelperText>
+      )}
+
+      <Box sx={{ mt: 2 }}>
+        <MuiTextArea
+          {...register("comment", {
+            maxLength: {
+              value: MAX_VENDOR_RATING_COMMENT_LENGTH,
+              message: `Comment cannot exceed ${MAX_VENDOR_RATING_COMMENT_LENGTH} characters`,
+            },
+          })}
+          label="Comment"
+          error={errors.comment}
+          rows={3}
+          maxLength={MAX_VENDOR_RATING_COMMENT_LENGTH}
+        />
+      </Box>
+
+      {/* Action Buttons */}
+      <Box sx={{ display: "flex", gap: 2, justifyContent: "flex-end", mt: 3 }}>
+        <Button onClick={onCancel} variant="outlined" color="inherit">
+          Cancel
+        </Button>
+        <Button type="submit" variant="contained" disabled={isLoading}>
+          {isLoading ? "Saving..." : "Save Rating"}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+RateVendor.propTypes = {
+  vendorId: PropTypes.string.isRequired,
+  task: PropTypes.object.isRequired,
+  rating: PropTypes.object,
+  onSuccess: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default RateVendor;
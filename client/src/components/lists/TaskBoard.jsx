@@ -0,0 +1,389 @@
+// client/src/components/lists/TaskBoard.jsx
+import { useState, useMemo, useCallback, memo } from "react";
+import PropTypes from "prop-types";
+import {
+  Box,
+  Button,
+  MenuItem,
+  Paper,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import SpeedIcon from "@mui/icons-material/Speed";
+import { toast } from "react-toastify";
+import TaskBoardCard from "../cards/TaskBoardCard";
+import MuiDialog from "../common/MuiDialog";
+import {
+  TASK_STATUS,
+  TASK_PRIORITY,
+  ROUTINE_TASK_STATUS,
+  ROUTINE_TASK_PRIORITY,
+  TASK_BOARD_SWIMLANES,
+} from "../../utils/constants";
+
+const SWIMLANE_LABELS = {
+  none: "No swimlanes",
+  assignee: "By assignee",
+  priority: "By priority",
+};
+
+const UNASSIGNED_LANE = "unassigned";
+
+/**
+ * Group tasks into board rows
+ * Tasks with several assignees appear in each of their assignees' rows.
+ * @param {Array} tasks - Tasks on the board
+ * @param {string} swimlane - One of TASK_BOARD_SWIMLANES
+ * @returns {Array<{key: string, label: string, tasks: Array}>}
+ */
+const groupIntoLanes = (tasks, swimlane) => {
+  if (swimlane === "priority") {
+    return TASK_PRIORITY.map((priority) => ({
+      key: priority,
+      label: priority,
+      tasks: tasks.filter((task) => task.priority === priority),
+    }));
+  }
+
+  if (swimlane === "assignee") {
+    const lanesByAssignee = new Map();
+    const unassigned = [];
+    tasks.forEach((task) => {
+      const assignees = (task.assignees || []).filter(Boolean);
+      if (assignees.length === 0) unassigned.push(task);
+      assignees.forEach((assignee) => {
+        if (!lanesByAssignee.has(assignee._id)) {
+          lanesByAssignee.set(assignee._id, {
+            key: assignee._id,
+            label:
+              assignee.fullName || `${assignee.firstName} ${assignee.lastName}`,
+            tasks: [],
+          });
+        }
+        lanesByAssignee.get(assignee._id).tasks.push(task);
+      });
+    });
+
+    const lanes = [...lanesByAssignee.values()].sort((a, b) =>
+      a.label.localeCompare(b.label)
+    );
+    if (unassigned.length > 0) {
+      lanes.push({
+        key: UNASSIGNED_LANE,
+        label: "Unassigned",
+        tasks: unassigned,
+      });
+    }
+    return lanes;
+  }
+
+  return [{ key: "all", label: "", tasks }];
+};
+
+/**
+ * TaskBoard Component
+ *
+ * Kanban board with a column per status. Dropping a card on another column
+ * changes its status; in priority swimlanes, dropping on another row also
+ * changes its priority. Columns with a work-in-progress limit refuse cards
+ * once full.
+ *
+ * @param {Object} props
+ * @param {Array} props.tasks - Tasks on the board
+ * @param {string} [props.taskType] - Task type filter; RoutineTask uses the routine statuses
+ * @param {string} props.swimlane - One of TASK_BOARD_SWIMLANES
+ * @param {Object} props.wipLimits - Status to maximum task count
+ * @param {Function} props.onSwimlaneChange - Called with the new swimlane
+ * @param {Function} props.onWipLimitsChange - Called with the new limits
+ * @param {Function} props.onMove - Called with (task, {status, priority}) on a valid drop
+ * @param {Function} props.onView - View task handler
+ * @returns {JSX.Element}
+ */
+const TaskBoard = ({
+  tasks,
+  taskType,
+  swimlane,
+  wipLimits,
+  onSwimlaneChange,
+  onWipLimitsChange,
+  onMove,
+  onView,
+}) => {
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [wipDialogOpen, setWipDialogOpen] = useState(false);
+  const [wipDraft, setWipDraft] = useState({});
+
+  const statuses =
+    taskType === "RoutineTask" ? ROUTINE_TASK_STATUS : TASK_STATUS;
+
+  const lanes = useMemo(
+    () => groupIntoLanes(tasks, swimlane),
+    [tasks, swimlane]
+  );
+
+  // WIP limits apply to the whole column, across swimlanes
+  const statusCounts = useMemo(
+    () =>
+      Object.fromEntries(
+        statuses.map((status) => [
+          status,
+          tasks.filter((task) => task.status === status).length,
+        ])
+      ),
+    [tasks, statuses]
+  );
+
+  const handleDragStart = useCallback((task) => {
+    setDraggedTask(task);
+  }, []);
+
+  const handleDragEnd = useCallback(() => {
+    setDraggedTask(null);
+    setDropTarget(null);
+  }, []);
+
+  const handleDragLeave = (event) => {
+    // Moving over a card inside the cell is not leaving it
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (event, cellKey) => {
+    if (!draggedTask) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+    if (dropTarget !== cellKey) setDropTarget(cellKey);
+  };
+
+  const handleDrop = (event, status, lane) => {
+    event.preventDefault();
+    const task = draggedTask;
+    handleDragEnd();
+    if (!task) return;
+
+    const changes = {};
+    if (task.status !== status) changes.status = status;
+    if (swimlane === "priority" && task.priority !== lane.key) {
+      changes.priority = lane.key;
+    }
+    if (Object.keys(changes).length === 0) return;
+
+    const isRoutine = (task.taskType || task.__t) === "RoutineTask";
+    if (isRoutine && changes.status && !ROUTINE_TASK_STATUS.includes(status)) {
+      toast.warning(`Routine tasks cannot be moved to "${status}"`);
+      return;
+    }
+    if (
+      isRoutine &&
+      changes.priority &&
+      !ROUTINE_TASK_PRIORITY.includes(changes.priority)
+    ) {
+      toast.warning(`Routine tasks cannot have "${changes.priority}" priority`);
+      return;
+    }
+
+    const limit = wipLimits[status];
+    if (changes.status && limit && statusCounts[status] >= limit) {
+      toast.warning(`"${status}" is at its WIP limit of ${limit}`);
+      return;
+    }
+
+    onMove(task, changes);
+  };
+
+  const handleOpenWipDialog = () => {
+    setWipDraft(
+      Object.fromEntries(
+        statuses.map((status) => [status, wipLimits[status] ?? ""])
+      )
+    );
+    setWipDialogOpen(true);
+  };
+
+  const handleSaveWipLimits = () => {
+    const limits = { ...wipLimits };
+    statuses.forEach((status) => {
+      const value = parseInt(wipDraft[status], 10);
+      // Blank or zero means no limit
+      if (Number.isInteger(value) && value > 0) limits[status] = value;
+      else delete limits[status];
+    });
+    onWipLimitsChange(limits);
+    setWipDialogOpen(false);
+  };
+
+  return (
+    <Stack direction="column" spacing={2}>
+      {/* Board Toolbar */}
+      <Stack direction="row" spacing={1} alignItems="center">
+        <TextField
+          select
+          value={swimlane}
+          onChange={(event) => onSwimlaneChange(event.target.value)}
+          label="Swimlanes"
+          size="small"
+          sx={{ minWidth: 180 }}
+        >
+          {TASK_BOARD_SWIMLANES.map((value) => (
+            <MenuItem key={value} value={value}>
+              {SWIMLANE_LABELS[value]}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button
+          size="small"
+          startIcon={<SpeedIcon />}
+          onClick={handleOpenWipDialog}
+        >
+          WIP Limits
+        </Button>
+      </Stack>
+
+      {/* Board */}
+      <Box sx={{ overflowX: "auto", pb: 1 }}>
+        <Box
+          sx={{
+            display: "grid",
+            gridTemplateColumns: `repeat(${statuses.length}, minmax(260px, 1fr))`,
+            gap: 2,
+          }}
+        >
+          {/* Column Headers */}
+          {statuses.map((status) => {
+            const limit = wipLimits[status];
+            const isOverLimit = limit && statusCounts[status] > limit;
+            return (
+              <Box
+                key={status}
+                sx={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  px: 1,
+                }}
+              >
+                <Typography variant="subtitle2" fontWeight={600}>
+                  {status}
+                </Typography>
+                <Typography
+                  variant="caption"
+                  color={isOverLimit ? "error" : "text.secondary"}
+                  fontWeight={isOverLimit ? 600 : 400}
+                >
+                  {limit
+                    ? `${statusCounts[status]} / ${limit}`
+                    : statusCounts[status]}
+                </Typography>
+              </Box>
+            );
+          })}
+
+          {lanes.map((lane) => (
+            <Box key={lane.key} sx={{ display: "contents" }}>
+              {/* Swimlane Header */}
+              {swimlane !== "none" && (
+                <Typography
+                  variant="subtitle2"
+                  color="text.secondary"
+                  sx={{ gridColumn: "1 / -1", mt: 1 }}
+                >
+                  {lane.label} ({lane.tasks.length})
+                </Typography>
+              )}
+
+              {/* Cells */}
+              {statuses.map((status) => {
+                const cellKey = `${lane.key}:${status}`;
+                const cellTasks = lane.tasks.filter(
+                  (task) => task.status === status
+                );
+                return (
+                  <Paper
+                    key={cellKey}
+                    variant="outlined"
+                    onDragOver={(event) => handleDragOver(event, cellKey)}
+                    onDragLeave={handleDragLeave}
+                    onDrop={(event) => handleDrop(event, status, lane)}
+                    sx={{
+                      p: 1,
+                      minHeight: 120,
+                      display: "flex",
+                      flexDirection: "column",
+                      gap: 1,
+                      bgcolor:
+                        dropTarget === cellKey ? "action.hover" : "transparent",
+                      transition: "background-color 0.15s",
+                    }}
+                  >
+                    {cellTasks.map((task) => (
+                      <TaskBoardCard
+                        key={task._id}
+                        task={task}
+                        onView={onView}
+                        onDragStart={handleDragStart}
+                        onDragEnd={handleDragEnd}
+                      />
+                    ))}
+                  </Paper>
+                );
+              })}
+            </Box>
+          ))}
+        </Box>
+      </Box>
+
+      {/* WIP Limits Dialog */}
+      <MuiDialog
+        open={wipDialogOpen}
+        onClose={() => setWipDialogOpen(false)}
+        title="Work-in-progress Limits"
+        maxWidth="xs"
+        actions={
+          <>
+            <Button onClick={() => setWipDialogOpen(false)}>Cancel</Button>
+            <Button variant="contained" onClick={handleSaveWipLimits}>
+              Save
+            </Button>
+          </>
+        }
+      >
+        <Stack spacing={2} sx={{ pt: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            Cards cannot be moved into a full column. Leave blank for no limit.
+          </Typography>
+          {statuses.map((status) => (
+            <TextField
+              key={status}
+              type="number"
+              label={status}
+              value={wipDraft[status] ?? ""}
+              onChange={(event) =>
+                setWipDraft((draft) => ({
+                  ...draft,
+                  [status]: event.target.value,
+                }))
+              }
+              size="small"
+              slotProps={{ htmlInput: { min: 0 } }}
+            />
+          ))}
+        </Stack>
+      </MuiDialog>
+    </Stack>
+  );
+};
+
+TaskBoard.propTypes = {
+  tasks: PropTypes.array.isRequired,
+  taskType: PropTypes.string,
+  swimlane: PropTypes.oneOf(TASK_BOARD_SWIMLANES).isRequired,
+  wipLimits: PropTypes.object.isRequired,
+  onSwimlaneChange: PropTypes.func.isRequired,
+  onWipLimitsChange: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onView: PropTypes.func.isRequired,
+};
+
+export default memo(TaskBoard);
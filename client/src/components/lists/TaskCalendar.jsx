@@ -0,0 +1,254 @@
+// client/src/components/lists/TaskCalendar.jsx
+import { useState, useMemo, memo } from "react";
+import PropTypes from "prop-types";
+import { Box, Chip, Paper, Stack, Typography } from "@mui/material";
+import dayjs from "dayjs";
+import { toast } from "react-toastify";
+import { TASK_PRIORITY } from "../../utils/constants";
+import { formatDate } from "../../utils/dateUtils";
+import {
+  getCalendarRange,
+  getRescheduleError,
+  isTaskOnDay,
+  shiftTaskSchedule,
+} from "../../utils/scheduleUtils";
+
+const MAX_TASKS_PER_MONTH_CELL = 3;
+const PRIORITY_COLORS = ["default", "info", "warning", "error"];
+
+const getPriorityColor = (priority) =>
+  PRIORITY_COLORS[TASK_PRIORITY.indexOf(priority)] || "default";
+
+/**
+ * TaskCalendar Component
+ *
+ * Month, week and day calendar of scheduled tasks. AssignedTasks and
+ * ProjectTasks appear on every day from start to due date, RoutineTasks on
+ * their date. Dropping a task on another day moves it by that many days,
+ * keeping its duration.
+ *
+ * @param {Object} props
+ * @param {Array} props.tasks - Tasks in the visible range
+ * @param {string} props.view - "month", "week" or "day"
+ * @param {Object} props.anchor - Dayjs day inside the visible period
+ * @param {Function} props.onReschedule - Called with (task, dateChanges) on a valid drop
+ * @param {Function} props.onView - View task handler
+ * @param {Function} props.onDayClick - Called with a dayjs day to open it in the day view
+ * @returns {JSX.Element}
+ */
+const TaskCalendar = ({
+  tasks,
+  view,
+  anchor,
+  onReschedule,
+  onView,
+  onDayClick,
+}) => {
+  const [drag, setDrag] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+
+  const days = useMemo(() => {
+    const { start, end } = getCalendarRange(view, anchor);
+    const result = [];
+    for (let day = start; !day.isAfter(end); day = day.add(1, "day")) {
+      result.push(day);
+    }
+    return result;
+  }, [view, anchor]);
+
+  const today = dayjs().startOf("day");
+
+  const handleDragStart = (event, task, day) => {
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", task._id);
+    setDrag({ task, day });
+  };
+
+  const handleDragEnd = () => {
+    setDrag(null);
+    setDropDay(null);
+  };
+
+  const handleDrop = (event, day) => {
+    event.preventDefault();
+    const current = drag;
+    handleDragEnd();
+    if (!current) return;
+
+    const offset = day.diff(current.day, "day");
+    if (offset === 0) return;
+
+    const changes = shiftTaskSchedule(current.task, offset);
+    const error = getRescheduleError(current.task, changes);
+    if (error) {
+      toast.warning(error);
+      return;
+    }
+    onReschedule(current.task, changes);
+  };
+
+  const renderTaskChip = (task, day) => (
+    <Chip
+      key={task._id}
+      label={task.title}
+      size="small"
+      color={getPriorityColor(task.priority)}
+      variant={task.status === "Completed" ? "outlined" : "filled"}
+      draggable
+      onDragStart={(event) => handleDragStart(event, task, day)}
+      onDragEnd={handleDragEnd}
+      onClick={() => onView(task)}
+      sx={{
+        justifyContent: "flex-start",
+        maxWidth: "100%",
+        cursor: "grab",
+        textDecoration: task.status === "Completed" ? "line-through" : "none",
+      }}
+    />
+  );
+
+  // Day view: one list with details
+  if (view === "day") {
+    const dayTasks = tasks.filter((task) => isTaskOnDay(task, days[0]));
+    return (
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        <Typography variant="subtitle1" fontWeight={600} sx={{ mb: 2 }}>
+          {days[0].format("dddd, MMM DD, YYYY")}
+        </Typography>
+        {dayTasks.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Nothing scheduled
+          </Typography>
+        ) : (
+          <Stack spacing={1}>
+            {dayTasks.map((task) => (
+              <Box
+                key={task._id}
+                onClick={() => onView(task)}
+                sx={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 1,
+                  p: 1,
+                  borderRadius: 1,
+                  cursor: "pointer",
+                  "&:hover": { bgcolor: "action.hover" },
+                }}
+              >
+                <Chip
+                  label={task.priority}
+                  size="small"
+                  color={getPriorityColor(task.priority)}
+                />
+                <Typography variant="body2" sx={{ flex: 1 }}>
+                  {task.title}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {task.startDate
+                    ? `${formatDate(task.startDate, "MMM DD")} – ${formatDate(
+                        task.dueDate,
+                        "MMM DD"
+                      )}`
+                    : (task.taskType || task.__t)?.replace("Task", "")}
+                </Typography>
+                <Chip label={task.status} size="small" variant="outlined" />
+              </Box>
+            ))}
+          </Stack>
+        )}
+      </Paper>
+    );
+  }
+
+  return (
+    <Box
+      sx={{
+        display: "grid",
+        gridTemplateColumns: "repeat(7, minmax(120px, 1fr))",
+        gap: 0.5,
+        overflowX: "auto",
+      }}
+    >
+      {/* Weekday Headers */}
+      {days.slice(0, 7).map((day) => (
+        <Typography
+          key={`header-${day.valueOf()}`}
+          variant="caption"
+          color="text.secondary"
+          fontWeight={600}
+          sx={{ textAlign: "center", py: 0.5 }}
+        >
+          {day.format("ddd")}
+        </Typography>
+      ))}
+
+      {/* Day Cells */}
+      {days.map((day) => {
+        const dayTasks = tasks.filter((task) => isTaskOnDay(task, day));
+        const visibleTasks =
+          view === "month"
+            ? dayTasks.slice(0, MAX_TASKS_PER_MONTH_CELL)
+            : dayTasks;
+        const hiddenCount = dayTasks.length - visibleTasks.length;
+        const isDropDay = dropDay?.isSame(day, "day");
+        const isOutsideMonth = view === "month" && !day.isSame(anchor, "month");
+
+        return (
+          <Paper
+            key={day.valueOf()}
+            variant="outlined"
+            onDragOver={(event) => {
+              if (!drag) return;
+              event.preventDefault();
+              if (!isDropDay) setDropDay(day);
+            }}
+            onDrop={(event) => handleDrop(event, day)}
+            sx={{
+              p: 0.5,
+              minHeight: view === "month" ? 110 : 320,
+              display: "flex",
+              flexDirection: "column",
+              gap: 0.5,
+              opacity: isOutsideMonth ? 0.5 : 1,
+              bgcolor: isDropDay ? "action.hover" : "transparent",
+              borderColor: day.isSame(today, "day")
+                ? "primary.main"
+                : undefined,
+            }}
+          >
+            <Typography
+              variant="caption"
+              fontWeight={day.isSame(today, "day") ? 700 : 400}
+              onClick={() => onDayClick(day)}
+              sx={{ cursor: "pointer", alignSelf: "flex-end", px: 0.5 }}
+            >
+              {view === "month" ? day.format("D") : day.format("MMM D")}
+            </Typography>
+            {visibleTasks.map((task) => renderTaskChip(task, day))}
+            {hiddenCount > 0 && (
+              <Typography
+                variant="caption"
+                color="primary"
+                onClick={() => onDayClick(day)}
+                sx={{ cursor: "pointer", px: 0.5 }}
+              >
+                +{hiddenCount} more
+              </Typography>
+            )}
+          </Paper>
+        );
+      })}
+    </Box>
+  );
+};
+
+TaskCalendar.propTypes = {
+  tasks: PropTypes.array.isRequired,
+  view: PropTypes.oneOf(["month", "week", "day"]).isRequired,
+  anchor: PropTypes.object.isRequired,
+  onReschedule: PropTypes.func.isRequired,
+  onView: PropTypes.func.isRequired,
+  onDayClick: PropTypes.func.isRequired,
+};
+
+export default memo(TaskCalendar);
@@ -0,0 +1,284 @@
+// client/src/components/lists/TaskTimeline.jsx
+import { useState, useMemo, memo } from "react";
+import PropTypes from "prop-types";
+import { Box, Paper, Tooltip, Typography } from "@mui/material";
+import dayjs from "dayjs";
+import { toast } from "react-toastify";
+import { TASK_PRIORITY } from "../../utils/constants";
+import { formatDate } from "../../utils/dateUtils";
+import {
+  getRescheduleError,
+  getTaskSpan,
+  shiftTaskSchedule,
+} from "../../utils/scheduleUtils";
+
+const DAY_WIDTH = 32;
+const ROW_HEIGHT = 36;
+const BAR_HEIGHT = 20;
+const HEADER_HEIGHT = 40;
+const LABEL_WIDTH = 220;
+const PRIORITY_COLORS = ["grey.500", "info.main", "warning.main", "error.main"];
+
+/**
+ * TaskTimeline Component
+ *
+ * Gantt-style timeline of ProjectTasks with a bar from start to due date and
+ * an arrow from each blocker to the task it blocks. Dragging a bar
+ * sideways moves the task by whole days, keeping its duration; a click
+ * without moving opens the task.
+ *
+ * @param {Object} props
+ * @param {Array} props.tasks - ProjectTasks overlapping the window
+ * @param {Object} props.start - Dayjs first day of the window
+ * @param {number} props.days - Number of days in the window
+ * @param {Function} props.onReschedule - Called with (task, dateChanges) on a valid drop
+ * @param {Function} props.onView - View task handler
+ * @returns {JSX.Element}
+ */
+const TaskTimeline = ({ tasks, start, days, onReschedule, onView }) => {
+  // { taskId, originX, offsetDays } while a bar is being dragged
+  const [drag, setDrag] = useState(null);
+
+  const today = dayjs().startOf("day");
+  const width = days * DAY_WIDTH;
+
+  const rows = useMemo(
+    () =>
+      tasks
+        .map((task) => ({ task, span: getTaskSpan(task) }))
+        .filter(({ span }) => span),
+    [tasks]
+  );
+
+  // Bar geometry, including the live offset of a bar being dragged
+  const bars = useMemo(() => {
+    const result = new Map();
+    rows.forEach(({ task, span }, index) => {
+      const offset = drag?.taskId === task._id ? drag.offsetDays : 0;
+      const left = (span.start.diff(start, "day") + offset) * DAY_WIDTH;
+      const right = (span.end.diff(start, "day") + 1 + offset) * DAY_WIDTH;
+      result.set(task._id, {
+        left,
+        right,
+        centerY: index * ROW_HEIGHT + ROW_HEIGHT / 2,
+      });
+    });
+    return result;
+  }, [rows, start, drag]);
+
+  // Blocker end to blocked task start, for blockers on the timeline
+  const arrows = useMemo(
+    () =>
+      rows.flatMap(({ task }) =>
+        (task.blockedBy || [])
+          .map((blocker) => blocker?._id || blocker)
+          .filter((blockerId) => bars.has(blockerId))
+          .map((blockerId) => ({
+            key: `${blockerId}-${task._id}`,
+            from: bars.get(blockerId),
+            to: bars.get(task._id),
+          }))
+      ),
+    [rows, bars]
+  );
+
+  const handlePointerDown = (event, task) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDrag({ taskId: task._id, originX: event.clientX, offsetDays: 0 });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag) return;
+    const offsetDays = Math.round((event.clientX - drag.originX) / DAY_WIDTH);
+    if (offsetDays !== drag.offsetDays) setDrag({ ...drag, offsetDays });
+  };
+
+  const handlePointerUp = (task) => {
+    const offset = drag?.offsetDays || 0;
+    setDrag(null);
+
+    if (offset === 0) {
+      onView(task);
+      return;
+    }
+
+    const changes = shiftTaskSchedule(task, offset);
+    const error = getRescheduleError(task, changes);
+    if (error) {
+      toast.warning(error);
+      return;
+    }
+    onReschedule(task, changes);
+  };
+
+  const dayHeaders = Array.from({ length: days }, (_, index) =>
+    start.add(index, "day")
+  );
+
+  if (rows.length === 0) {
+    return (
+      <Paper variant="outlined" sx={{ p: 4, textAlign: "center" }}>
+        <Typography variant="body2" color="text.secondary">
+          No project tasks in this period
+        </Typography>
+      </Paper>
+    );
+  }
+
+  return (
+    <Paper variant="outlined" sx={{ display: "flex", overflow: "hidden" }}>
+      {/* Task Labels */}
+      <Box
+        sx={{
+          width: LABEL_WIDTH,
+          flexShrink: 0,
+          borderRight: 1,
+          borderColor: "divider",
+        }}
+      >
+        <Box sx={{ height: HEADER_HEIGHT }} />
+        {rows.map(({ task }) => (
+          <Typography
+            key={task._id}
+            variant="body2"
+            noWrap
+            onClick={() => onView(task)}
+            sx={{
+              height: ROW_HEIGHT,
+              lineHeight: `${ROW_HEIGHT}px`,
+              px: 1,
+              cursor: "pointer",
+              "&:hover": { bgcolor: "action.hover" },
+            }}
+          >
+            {task.title}
+          </Typography>
+        ))}
+      </Box>
+
+      {/* Chart */}
+      <Box sx={{ overflowX: "auto", flex: 1 }}>
+        <Box sx={{ width, position: "relative" }}>
+          {/* Day Header */}
+          <Box sx={{ display: "flex", height: HEADER_HEIGHT }}>
+            {dayHeaders.map((day) => (
+              <Box
+                key={day.valueOf()}
+                sx={{
+                  width: DAY_WIDTH,
+                  flexShrink: 0,
+                  textAlign: "center",
+                  borderLeft: day.date() === 1 || day.day() === 0 ? 1 : 0,
+                  borderColor: "divider",
+                  bgcolor: day.isSame(today, "day")
+                    ? "action.selected"
+                    : "transparent",
+                }}
+              >
+                <Typography variant="caption" color="text.secondary" noWrap>
+                  {day.date() === 1 || day.isSame(start, "day")
+                    ? day.format("MMM")
+                    : " "}
+                </Typography>
+                <Typography variant="caption" component="div">
+                  {day.format("D")}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+
+          {/* Rows and Bars */}
+          <Box sx={{ position: "relative", height: rows.length * ROW_HEIGHT }}>
+            {rows.map(({ task }, index) => {
+              const bar = bars.get(task._id);
+              const isDragging = drag?.taskId === task._id;
+              return (
+                <Tooltip
+                  key={task._id}
+                  title={`${task.title}: ${formatDate(
+                    task.startDate
+                  )} – ${formatDate(task.dueDate)} (${task.status})`}
+                  disableHoverListener={Boolean(drag)}
+                >
+                  <Box
+                    onPointerDown={(event) => handlePointerDown(event, task)}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={() => handlePointerUp(task)}
+                    sx={{
+                      position: "absolute",
+                      top: index * ROW_HEIGHT + (ROW_HEIGHT - BAR_HEIGHT) / 2,
+                      left: bar.left,
+                      width: bar.right - bar.left,
+                      height: BAR_HEIGHT,
+                      borderRadius: 1,
+                      bgcolor:
+                        PRIORITY_COLORS[TASK_PRIORITY.indexOf(task.priority)] ||
+                        "grey.500",
+                      opacity: task.status === "Completed" ? 0.5 : 0.9,
+                      boxShadow: isDragging ? 4 : 0,
+                      cursor: isDragging ? "grabbing" : "grab",
+                      touchAction: "none",
+                      userSelect: "none",
+                      zIndex: 1,
+                    }}
+                  />
+                </Tooltip>
+              );
+            })}
+
+            {/* Dependency Arrows */}
+            <Box
+              component="svg"
+              width={width}
+              height={rows.length * ROW_HEIGHT}
+              sx={{
+                position: "absolute",
+                top: 0,
+                left: 0,
+                pointerEvents: "none",
+                zIndex: 2,
+                color: "text.secondary",
+              }}
+            >
+              <defs>
+                <marker
+                  id="timeline-arrow"
+                  markerWidth="6"
+                  markerHeight="6"
+                  refX="5"
+                  refY="3"
+                  orient="auto"
+                >
+                  <path d="M0,0 L6,3 L0,6 Z" fill="currentColor" />
+                </marker>
+              </defs>
+              {arrows.map(({ key, from, to }) => (
+                <path
+                  key={key}
+                  d={`M${from.right},${from.centerY} H${Math.max(
+                    from.right,
+                    to.left - 8
+                  )} V${to.centerY} H${to.left}`}
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="1.5"
+                  markerEnd="url(#timeline-arrow)"
+                />
+              ))}
+            </Box>
+          </Box>
+        </Box>
+      </Box>
+    </Paper>
+  );
+};
+
+TaskTimeline.propTypes = {
+  tasks: PropTypes.array.isRequired,
+  start: PropTypes.object.isRequired,
+  days: PropTypes.number.isRequired,
+  onReschedule: PropTypes.func.isRequired,
+  onView: PropTypes.func.isRequired,
+};
+
+export default memo(TaskTimeline);
@@ -1,13 +1,15 @@
 // client/src/components/lists/UsersList.jsx
 import { memo } from "react";
-import { Grid, Stack, Box, Pagination } from "@mui/material";
+import { useSelector } from "react-redux";
+import { Grid, Stack, Box, Pagination, Typography } from "@mui/material";
 import UserCard from "../cards/UserCard";
+import { selectPresenceByUserId } from "../../redux/features/presence/presenceSlice";
 
 /**
  * UsersList Component - Optimized list rendering for users
  *
  * Responsibilities:
- * - Render grid of user cards
+ * - Render grid of user cards with realtime presence
  * - Handle pagination UI with hasNext/hasPrev support
  * - Memoized to prevent unnecessary re-renders
  *
@@ -19,6 +21,8 @@ import UserCard from "../cards/UserCard";
  * @param {Function} props.onEdit - Edit user handler
  * @param {Function} props.onDelete - Delete user handler
  * @param {Function} props.onRestore - Restore user handler
+ * @param {Function} [props.onResetTwoFactor] - Reset two-factor handler (SuperAdmins)
+ * @param {Function} [props.onHistory] - Change history handler (HODs and Managers)
  * @param {boolean} props.isFetching - Loading state for pagination
  * @returns {JSX.Element}
  */
@@ -30,9 +34,15 @@ const UsersList = ({
   onEdit,
   onDelete,
   onRestore,
+  onResetTwoFactor,
+  onHistory,
   isFetching,
 }) => {
   const { page, totalPages, hasNext, hasPrev } = pagination;
+  const presenceByUserId = useSelector(selectPresenceByUserId);
+  const onlineCount = users.filter(
+    (user) => presenceByUserId[user._id]?.status === "online"
+  ).length;
 
   // Custom pagination handler that respects hasNext/hasPrev
   const handlePageChange = (event, newPage) => {
@@ -44,16 +54,24 @@ const UsersList = ({
 
   return (
     <Stack direction="column" spacing={2}>
+      {/* Presence Summary */}
+      <Typography variant="body2" color="text.secondary">
+        {onlineCount} of {users.length} on this page online
+      </Typography>
+
       {/* Users Grid */}
       <Grid container spacing={2}>
         {users.map((user) => (
           <Grid size={{ xs: 12, sm: 6, lg: 3 }} key={user._id}>
             <UserCard
               user={user}
+              presence={presenceByUserId[user._id]}
               onView={onView}
               onEdit={onEdit}
               onDelete={onDelete}
               onRestore={onRestore}
+              onResetTwoFactor={onResetTwoFactor}
+              onHistory={onHistory}
             />
           </Grid>
         ))}
@@ -12,6 +12,8 @@ import {
   registerUser,
   forgotPassword,
   resetPassword,
+  setupTwoFactorLogin,
+  verifyTwoFactorLogin,
 } from "../redux/features/auth/authApi";
 import { USER_ROLES } from "../utils/constants";
 
@@ -66,6 +68,10 @@ export const useAuth = () => {
     register: (data) => dispatch(registerUser(data)),
     forgotPassword: (email) => dispatch(forgotPassword(email)),
     resetPassword: (resetData) => dispatch(resetPassword(resetData)),
+    setupTwoFactor: (challengeToken) =>
+      dispatch(setupTwoFactorLogin(challengeToken)),
+    verifyTwoFactor: (verification) =>
+      dispatch(verifyTwoFactorLogin(verification)),
 
     // Role and organization utilities
     isPlatformOrg,
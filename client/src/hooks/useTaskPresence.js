@@ -0,0 +1,88 @@
+// client/src/hooks/useTaskPresence.js
+import { useCallback, useEffect, useMemo, useRef } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { socketService } from "../services/socketService";
+import { selectCurrentUser } from "../redux/features/auth/authSlice";
+import {
+  clearTaskViewers,
+  selectTaskViewers,
+} from "../redux/features/presence/presenceSlice";
+import { SOCKET_EVENTS, TYPING_IDLE_MS } from "../utils/constants";
+
+/**
+ * useTaskPresence Hook
+ *
+ * Joins the task's realtime room while the component is mounted (and again
+ * after a reconnect) and returns the other users currently viewing it.
+ *
+ * Usage:
+ * ```javascript
+ * const viewers = useTaskPresence(taskId);
+ * ```
+ *
+ * @param {string} taskId - Task ID
+ * @returns {Array} Other viewers: {_id, firstName, lastName, profilePicture, typing}
+ */
+export const useTaskPresence = (taskId) => {
+  const dispatch = useDispatch();
+  const currentUser = useSelector(selectCurrentUser);
+  const viewers = useSelector(selectTaskViewers(taskId));
+
+  useEffect(() => {
+    if (!taskId) return;
+
+    const join = () => socketService.emit(SOCKET_EVENTS.TASK_JOIN, { taskId });
+
+    join();
+    socketService.on("connect", join);
+
+    return () => {
+      socketService.off("connect", join);
+      socketService.emit(SOCKET_EVENTS.TASK_LEAVE, { taskId });
+      dispatch(clearTaskViewers(taskId));
+    };
+  }, [taskId, dispatch]);
+
+  return useMemo(
+    () => viewers.filter((viewer) => viewer._id !== currentUser?._id),
+    [viewers, currentUser?._id]
+  );
+};
+
+/**
+ * useTaskTyping Hook
+ *
+ * Reports typing in a task's comment box. Call notifyTyping on every change;
+ * "stopped typing" is sent after TYPING_IDLE_MS without one, or on unmount.
+ *
+ * Usage:
+ * ```javascript
+ * const { notifyTyping, stopTyping } = useTaskTyping(taskId);
+ * ```
+ *
+ * @param {string} taskId - Task ID
+ * @returns {{notifyTyping: Function, stopTyping: Function}}
+ */
+export const useTaskTyping = (taskId) => {
+  const timerRef = useRef(null);
+
+  const stopTyping = useCallback(() => {
+    if (!timerRef.current) return;
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    socketService.emit(SOCKET_EVENTS.TASK_TYPING, { taskId, isTyping: false });
+  }, [taskId]);
+
+  const notifyTyping = useCallback(() => {
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+    } else {
+      socketService.emit(SOCKET_EVENTS.TASK_TYPING, { taskId, isTyping: true });
+    }
+    timerRef.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+  }, [taskId, stopTyping]);
+
+  useEffect(() => stopTyping, [stopTyping]);
+
+  return { notifyTyping, stopTyping };
+};
@@ -24,9 +24,14 @@ import ListItemText from "@mui/material/ListItemText";
 import ListSubheader from "@mui/material/ListSubheader";
 import DashboardIcon from "@mui/icons-material/Dashboard";
 import AssignmentIcon from "@mui/icons-material/Assignment";
+import CalendarMonthIcon from "@mui/icons-material/CalendarMonth";
+import AccessTimeIcon from "@mui/icons-material/AccessTime";
 import PeopleIcon from "@mui/icons-material/People";
 import InventoryIcon from "@mui/icons-material/Inventory";
 import StoreIcon from "@mui/icons-material/Store";
+import ReceiptLongIcon from "@mui/icons-material/ReceiptLong";
+import CampaignIcon from "@mui/icons-material/Campaign";
+import TimerOutlinedIcon from "@mui/icons-material/TimerOutlined";
 import BusinessIcon from "@mui/icons-material/Business";
 import GroupsIcon from "@mui/icons-material/Groups";
 import CorporateFareIcon from "@mui/icons-material/CorporateFare";
@@ -36,6 +41,8 @@ import GlobalSearch from "../components/common/GlobalSearch";
 import NotificationMenu from "../components/common/NotificationMenu";
 import SearchIcon from "@mui/icons-material/Search";
 import EmailIcon from "@mui/icons-material/Email";
+import DevicesIcon from "@mui/icons-material/Devices";
+import SecurityIcon from "@mui/icons-material/Security";
 import { ROUTES } from "../utils/constants.js";
 
 const drawerWidth = 240;
@@ -96,6 +103,16 @@ const DashboardLayout = () => {
       items: [
         { text: "Dashboard", icon: <DashboardIcon />, path: ROUTES.DASHBOARD },
         { text: "Tasks", icon: <AssignmentIcon />, path: ROUTES.TASKS },
+        {
+          text: "Schedule",
+          icon: <CalendarMonthIcon />,
+          path: ROUTES.SCHEDULE,
+        },
+        {
+          text: "Timesheets",
+          icon: <AccessTimeIcon />,
+          path: ROUTES.TIMESHEETS,
+        },
         { text: "Users", icon: <PeopleIcon />, path: ROUTES.USERS },
       ],
     });
@@ -111,6 +128,21 @@ const DashboardLayout = () => {
             path: ROUTES.MATERIALS,
           },
           { text: "Vendors", icon: <StoreIcon />, path: ROUTES.VENDORS },
+          {
+            text: "Purchase Orders",
+            icon: <ReceiptLongIcon />,
+            path: ROUTES.PURCHASE_ORDERS,
+          },
+          {
+            text: "Announcements",
+            icon: <CampaignIcon />,
+            path: ROUTES.ANNOUNCEMENTS,
+          },
+          {
+            text: "SLA Policies",
+            icon: <TimerOutlinedIcon />,
+            path: ROUTES.SLA_POLICIES,
+          },
         ],
       });
     }
@@ -131,6 +163,11 @@ const DashboardLayout = () => {
             path: ROUTES.DEPARTMENTS,
           },
           { text: "Users", icon: <PeopleIcon />, path: ROUTES.ADMIN_USERS },
+          {
+            text: "Security Events",
+            icon: <SecurityIcon />,
+            path: ROUTES.SECURITY_EVENTS,
+          },
         ],
       });
     }
@@ -502,14 +539,38 @@ const DashboardLayout = () => {
             <MenuItem
               onClick={() => {
                 handleUserMenuClose();
-                navigate("/email-preferences");
+                navigate(ROUTES.NOTIFICATION_PREFERENCES);
               }}
             >
               <ListItemIcon>
                 <EmailIcon fontSize="small" />
               </ListItemIcon>
-              <ListItemText>Email Preferences</ListItemText>
+              <ListItemText>Notification Preferences</ListItemText>
+            </MenuItem>
+            <MenuItem
+              onClick={() => {
+                handleUserMenuClose();
+                navigate(ROUTES.SESSIONS);
+              }}
+            >
+              <ListItemIcon>
+                <DevicesIcon fontSize="small" />
+              </ListItemIcon>
+              <ListItemText>My Sessions</ListItemText>
             </MenuItem>
+            {isHod && (
+              <MenuItem
+                onClick={() => {
+                  handleUserMenuClose();
+                  navigate(ROUTES.SECURITY);
+                }}
+              >
+                <ListItemIcon>
+                  <SecurityIcon fontSize="small" />
+                </ListItemIcon>
+                <ListItemText>Security</ListItemText>
+              </MenuItem>
+            )}
             <MenuItem
               onClick={() => {
                 handleUserMenuClose();
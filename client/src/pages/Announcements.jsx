@@ -0,0 +1,249 @@
+// client/src/pages/Announcements.jsx
+import { useCallback, useMemo, useState } from "react";
+import {
+  Box,
+  Button,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import CampaignIcon from "@mui/icons-material/Campaign";
+import { toast } from "react-toastify";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import MuiDialog from "../components/common/MuiDialog";
+import MuiDialogConfirm from "../components/common/MuiDialogConfirm";
+import MuiDataGrid from "../components/common/MuiDataGrid";
+import { getAnnouncementColumns } from "../components/columns/AnnouncementColumns";
+import CreateAnnouncement from "../components/forms/announcements/CreateAnnouncement";
+import {
+  useGetAnnouncementsQuery,
+  usePinAnnouncementMutation,
+  useCancelAnnouncementMutation,
+  useDeleteAnnouncementMutation,
+} from "../redux/features/announcement/announcementApi";
+import { handleRTKError } from "../utils/errorHandler";
+import { ANNOUNCEMENT_STATUS, PAGINATION } from "../utils/constants";
+
+/**
+ * Announcements Page Component
+ *
+ * ARCHITECTURE: MuiDataGrid
+ *
+ * Heads of department compose announcements for the whole organization
+ * (SuperAdmins) or chosen departments, optionally scheduled for later, and
+ * review past announcements with how many recipients have read them.
+ * Sent announcements can be pinned to the top of recipients' notification
+ * menu.
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/announcementControllers.js
+ * - Compose: backend/controllers/userControllers.js (sendBulkAnnouncement)
+ */
+const Announcements = () => {
+  const [status, setStatus] = useState("");
+  const [page, setPage] = useState(PAGINATION.DEFAULT_PAGE);
+  const [limit, setLimit] = useState(PAGINATION.DEFAULT_LIMIT);
+  const [composeOpen, setComposeOpen] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [cancelConfirmOpen, setCancelConfirmOpen] = useState(false);
+  const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
+
+  const queryParams = useMemo(
+    () => ({ page, limit, ...(status && { status }) }),
+    [page, limit, status]
+  );
+
+  const { data, isLoading, isError, error, refetch, isFetching } =
+    useGetAnnouncementsQuery(queryParams);
+
+  const [pinAnnouncement] = usePinAnnouncementMutation();
+  const [cancelAnnouncement, { isLoading: isCancelling }] =
+    useCancelAnnouncementMutation();
+  const [deleteAnnouncement, { isLoading: isDeleting }] =
+    useDeleteAnnouncementMutation();
+
+  const announcements = data?.announcements || [];
+  const paginationData = data?.pagination || {};
+
+  const handleStatusChange = useCallback((event) => {
+    setStatus(event.target.value);
+    setPage(PAGINATION.DEFAULT_PAGE);
+  }, []);
+
+  const handlePageSizeChange = useCallback((newPageSize) => {
+    setLimit(newPageSize);
+    setPage(PAGINATION.DEFAULT_PAGE);
+  }, []);
+
+  const handlePin = useCallback(
+    async (announcement) => {
+      try {
+        await pinAnnouncement({
+          announcementId: announcement._id,
+          pinned: !announcement.pinned,
+        }).unwrap();
+        toast.success(
+          announcement.pinned ? "Announcement unpinned" : "Announcement pinned"
+        );
+      } catch (error) {
+        handleRTKError(error, "Failed to update pin");
+      }
+    },
+    [pinAnnouncement]
+  );
+
+  const handleCancel = useCallback((announcement) => {
+    setSelected(announcement);
+    setCancelConfirmOpen(true);
+  }, []);
+
+  const handleDelete = useCallback((announcement) => {
+    setSelected(announcement);
+    setDeleteConfirmOpen(true);
+  }, []);
+
+  const confirmCancel = useCallback(async () => {
+    try {
+      await cancelAnnouncement(selected._id).unwrap();
+      toast.success("Announcement cancelled successfully");
+      setCancelConfirmOpen(false);
+      setSelected(null);
+    } catch (error) {
+      handleRTKError(error, "Failed to cancel announcement");
+    }
+  }, [cancelAnnouncement, selected]);
+
+  const confirmDelete = useCallback(async () => {
+    try {
+      await deleteAnnouncement(selected._id).unwrap();
+      toast.success("Announcement deleted successfully");
+      setDeleteConfirmOpen(false);
+      setSelected(null);
+    } catch (error) {
+      handleRTKError(error, "Failed to delete announcement");
+    }
+  }, [deleteAnnouncement, selected]);
+
+  const columns = useMemo(
+    () =>
+      getAnnouncementColumns({
+        onPin: handlePin,
+        onCancel: handleCancel,
+        onDelete: handleDelete,
+      }),
+    [handlePin, handleCancel, handleDelete]
+  );
+
+  if (isLoading && !data) {
+    return <LoadingFallback message="Loading announcements..." height="100%" />;
+  }
+
+  if (isError && !data) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Stack
+        direction="row"
+        justifyContent="space-between"
+        alignItems="center"
+        spacing={1}
+        mb={2}
+      >
+        <Typography variant="h5" fontWeight={600}>
+          Announcements
+        </Typography>
+
+        <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+          <TextField
+            select
+            value={status}
+            onChange={handleStatusChange}
+            label="Status"
+            size="small"
+            sx={{ minWidth: 140 }}
+          >
+            <MenuItem value="">All</MenuItem>
+            {ANNOUNCEMENT_STATUS.map((value) => (
+              <MenuItem key={value} value={value}>
+                {value}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          <Button
+            startIcon={<CampaignIcon />}
+            onClick={() => setComposeOpen(true)}
+            size="small"
+            sx={(theme) => ({
+              bgcolor: (theme.vars || theme).palette.success.main,
+            })}
+          >
+            New Announcement
+          </Button>
+        </Box>
+      </Stack>
+
+      {/* DataGrid */}
+      <MuiDataGrid
+        rows={announcements}
+        columns={columns}
+        loading={isLoading || isFetching}
+        pagination={paginationData}
+        onPageChange={setPage}
+        onPageSizeChange={handlePageSizeChange}
+        emptyMessage="No announcements yet. Send your first announcement to get started."
+      />
+
+      {/* Compose Dialog */}
+      <MuiDialog
+        open={composeOpen}
+        onClose={() => setComposeOpen(false)}
+        title="New Announcement"
+        maxWidth="sm"
+      >
+        <CreateAnnouncement
+          onSuccess={() => setComposeOpen(false)}
+          onCancel={() => setComposeOpen(false)}
+        />
+      </MuiDialog>
+
+      {/* Cancel Confirmation */}
+      <MuiDialogConfirm
+        open={cancelConfirmOpen}
+        onClose={() => setCancelConfirmOpen(false)}
+        onConfirm={confirmCancel}
+        title="Cancel Announcement"
+        message={`Cancel the scheduled announcement "${selected?.title}"? It will not be sent.`}
+        confirmText="Cancel Announcement"
+        severity="warning"
+        loading={isCancelling}
+      />
+
+      {/* Delete Confirmation */}
+      <MuiDialogConfirm
+        open={deleteConfirmOpen}
+        onClose={() => setDeleteConfirmOpen(false)}
+        onConfirm={confirmDelete}
+        title="Delete Announcement"
+        message={`Are you sure you want to delete "${selected?.title}"?`}
+        confirmText="Delete"
+        severity="error"
+        loading={isDeleting}
+      />
+    </Box>
+  );
+};
+
+export default Announcements;
@@ -1,9 +1,361 @@
-import React from "react";
-import { Box } from "@mui/material";
+// client/src/pages/Dashboard.jsx
+import { useCallback, useMemo, useState } from "react";
+import { useNavigate } from "react-router";
+import {
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  List,
+  ListItemButton,
+  ListItemText,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { BarChart, LineChart, PieChart } from "@mui/x-charts";
+import AssignmentIcon from "@mui/icons-material/Assignment";
+import WarningAmberIcon from "@mui/icons-material/WarningAmber";
+import EventIcon from "@mui/icons-material/Event";
+import InventoryIcon from "@mui/icons-material/Inventory";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import StatCard from "../components/cards/StatCard";
+import { useGetDashboardQuery } from "../redux/features/dashboard/dashboardApi";
+import { useGetDepartmentsQuery } from "../redux/features/department/departmentApi";
+import { useAuth } from "../hooks/useAuth";
+import { formatDate } from "../utils/dateUtils";
+import {
+  TASK_STATUS,
+  TASK_PRIORITY,
+  TASK_TYPES,
+} from "../utils/constants";
+
+const MONTH_OPTIONS = [3, 6, 12];
+
+/**
+ * Dashboard Page Component
+ *
+ * Responsibilities:
+ * - Show task totals, overdue and due-this-week counts
+ * - Chart task distribution by status, priority and type
+ * - Chart per-department throughput and material spend trends
+ * - Let HODs switch between organization-wide and single-department scope
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/dashboardControllers.js
+ * - Validator: backend/middlewares/validators/dashboardValidators.js
+ */
+
+/**
+ * Card wrapper for a chart or list widget
+ */
+const Widget = ({ title, children }) => (
+  <Card variant="outlined" sx={{ height: "100%" }}>
+    <CardContent>
+      <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+        {title}
+      </Typography>
+      {children}
+    </CardContent>
+  </Card>
+);
+
+/**
+ * Compact list of tasks with their due dates
+ */
+const DueTaskList = ({ tasks, emptyMessage, onSelect, overdue = false }) => {
+  if (!tasks.length) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        {emptyMessage}
+      </Typography>
+    );
+  }
+
+  return (
+    <List dense disablePadding>
+      {tasks.map((task) => (
+        <ListItemButton key={task._id} onClick={() => onSelect(task)}>
+          <ListItemText
+            primary={task.title}
+            secondary={`${task.taskType} · Due ${formatDate(task.dueDate)}`}
+          />
+          <Chip
+            label={task.priority}
+            size="small"
+            color={overdue ? "error" : "default"}
+            variant="outlined"
+          />
+        </ListItemButton>
+      ))}
+    </List>
+  );
+};
+
+/**
+ * Convert a { key: count } map into pie chart data in a fixed order
+ */
+const toPieData = (counts = {}, keys) =>
+  keys
+    .filter((key) => counts[key])
+    .map((key, index) => ({ id: index, label: key, value: counts[key] }));
 
 const Dashboard = () => {
-  console.log("Dashboard");
-  return <Box>Dashboard</Box>;
+  const navigate = useNavigate();
+  const { isHod } = useAuth();
+
+  const [departmentId, setDepartmentId] = useState("");
+  const [months, setMonths] = useState(6);
+
+  const queryParams = useMemo(
+    () => ({ months, ...(departmentId && { departmentId }) }),
+    [months, departmentId]
+  );
+
+  const { data, isLoading, isError, error, refetch } =
+    useGetDashboardQuery(queryParams);
+
+  const { data: departmentsData } = useGetDepartmentsQuery(
+    { limit: 100 },
+    { skip: !isHod }
+  );
+  const departments = departmentsData?.departments || [];
+
+  const handleSelectTask = useCallback(
+    (task) => navigate(`/tasks/${task._id}`),
+    [navigate]
+  );
+
+  const statusData = useMemo(
+    () => toPieData(data?.byStatus, TASK_STATUS),
+    [data]
+  );
+
+  const priorityCounts = useMemo(
+    () => TASK_PRIORITY.map((p) => data?.byPriority?.[p] || 0),
+    [data]
+  );
+
+  const typeCounts = useMemo(
+    () => TASK_TYPES.map((t) => data?.byType?.[t] || 0),
+    [data]
+  );
+
+  const throughputSeries = useMemo(
+    () =>
+      (data?.throughput?.departments || []).map(({ department, counts }) => ({
+        label: department.name,
+        data: counts,
+        curve: "linear",
+      })),
+    [data]
+  );
+
+  if (isLoading && !data) {
+    return <LoadingFallback message="Loading dashboard..." height="100%" />;
+  }
+
+  if (isError && !data) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  const { totals, throughput, materialSpend } = data;
+  const totalSpend = materialSpend.routineTasks.reduce(
+    (sum, value, index) => sum + value + materialSpend.taskActivities[index],
+    0
+  );
+
+  return (
+    <Box>
+      {/* Header */}
+      <Stack
+        direction={{ xs: "column", sm: "row" }}
+        justifyContent="space-between"
+        alignItems={{ xs: "flex-start", sm: "center" }}
+        spacing={1}
+        mb={2}
+      >
+        <Typography variant="h5" fontWeight={600}>
+          Dashboard
+        </Typography>
+
+        <Stack direction="row" spacing={1}>
+          {isHod && (
+            <TextField
+              select
+              size="small"
+              label="Department"
+              value={departmentId}
+              onChange={(e) => setDepartmentId(e.target.value)}
+              sx={{ minWidth: 180 }}
+            >
+              <MenuItem value="">All departments</MenuItem>
+              {departments.map((dept) => (
+                <MenuItem key={dept._id} value={dept._id}>
+                  {dept.name}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          <TextField
+            select
+            size="small"
+            label="Period"
+            value={months}
+            onChange={(e) => setMonths(Number(e.target.value))}
+            sx={{ minWidth: 140 }}
+          >
+            {MONTH_OPTIONS.map((option) => (
+              <MenuItem key={option} value={option}>
+                Last {option} months
+              </MenuItem>
+            ))}
+          </TextField>
+        </Stack>
+      </Stack>
+
+      <Grid container spacing={2}>
+        {/* Headline metrics */}
+        <Grid size={{ xs: 12, sm: 6, lg: 3 }}>
+          <StatCard
+            title="Total Tasks"
+            value={totals.tasks}
+            icon={<AssignmentIcon color="primary" fontSize="small" />}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6, lg: 3 }}>
+          <StatCard
+            title="Overdue"
+            value={totals.overdue}
+            color={totals.overdue > 0 ? "error.main" : "text.primary"}
+            icon={<WarningAmberIcon color="error" fontSize="small" />}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6, lg: 3 }}>
+          <StatCard
+            title="Due This Week"
+            value={totals.dueThisWeek}
+            icon={<EventIcon color="warning" fontSize="small" />}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6, lg: 3 }}>
+          <StatCard
+            title="Material Spend"
+            value={totalSpend.toFixed(2)}
+            caption={`Last ${months} months`}
+            icon={<InventoryIcon color="success" fontSize="small" />}
+          />
+        </Grid>
+
+        {/* Distribution */}
+        <Grid size={{ xs: 12, md: 4 }}>
+          <Widget title="Tasks by Status">
+            <PieChart
+              height={240}
+              series={[
+                {
+                  data: statusData,
+                  innerRadius: 50,
+                  paddingAngle: 2,
+                  cornerRadius: 4,
+                },
+              ]}
+            />
+          </Widget>
+        </Grid>
+        <Grid size={{ xs: 12, md: 4 }}>
+          <Widget title="Tasks by Priority">
+            <BarChart
+              height={240}
+              xAxis={[{ scaleType: "band", data: TASK_PRIORITY }]}
+              series={[{ data: priorityCounts, label: "Tasks" }]}
+              hideLegend
+            />
+          </Widget>
+        </Grid>
+        <Grid size={{ xs: 12, md: 4 }}>
+          <Widget title="Tasks by Type">
+            <BarChart
+              height={240}
+              xAxis={[{ scaleType: "band", data: TASK_TYPES }]}
+              series={[{ data: typeCounts, label: "Tasks" }]}
+              hideLegend
+            />
+          </Widget>
+        </Grid>
+
+        {/* Trends */}
+        <Grid size={{ xs: 12, lg: 6 }}>
+          <Widget title="Completed Tasks per Department">
+            {throughputSeries.length ? (
+              <LineChart
+                height={280}
+                xAxis={[{ scaleType: "point", data: throughput.months }]}
+                series={throughputSeries}
+                grid={{ horizontal: true }}
+              />
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                No completed tasks in this period.
+              </Typography>
+            )}
+          </Widget>
+        </Grid>
+        <Grid size={{ xs: 12, lg: 6 }}>
+          <Widget title="Material Spend">
+            <BarChart
+              height={280}
+              xAxis={[{ scaleType: "band", data: materialSpend.months }]}
+              series={[
+                {
+                  data: materialSpend.routineTasks,
+                  label: "Routine tasks",
+                  stack: "spend",
+                },
+                {
+                  data: materialSpend.taskActivities,
+                  label: "Task activities",
+                  stack: "spend",
+                },
+              ]}
+              grid={{ horizontal: true }}
+            />
+          </Widget>
+        </Grid>
+
+        {/* Due lists */}
+        <Grid size={{ xs: 12, md: 6 }}>
+          <Widget title={`Overdue (${totals.overdue})`}>
+            <DueTaskList
+              tasks={data.overdueTasks}
+              emptyMessage="Nothing overdue."
+              onSelect={handleSelectTask}
+              overdue
+            />
+          </Widget>
+        </Grid>
+        <Grid size={{ xs: 12, md: 6 }}>
+          <Widget title={`Due This Week (${totals.dueThisWeek})`}>
+            <DueTaskList
+              tasks={data.dueThisWeekTasks}
+              emptyMessage="No tasks due this week."
+              onSelect={handleSelectTask}
+            />
+          </Widget>
+        </Grid>
+      </Grid>
+    </Box>
+  );
 };
 
 export default Dashboard;
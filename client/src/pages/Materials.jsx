@@ -22,6 +22,8 @@ import CustomDataGridToolbar from "../components/common/CustomDataGridToolbar";
 import { getMaterialColumns } from "../components/columns/MaterialColumns";
 import MaterialFilter from "../components/filters/MaterialFilter";
 import CreateUpdateMaterial from "../components/forms/materials/CreateUpdateMaterial";
+import MaterialStock from "../components/forms/materials/MaterialStock";
+import AuditTrail from "../components/common/AuditTrail";
 import {
   useGetMaterialsQuery,
   useDeleteMaterialMutation,
@@ -37,6 +39,7 @@ import {
   setSortBy,
 } from "../redux/features/material/materialSlice";
 import { handleRTKError } from "../utils/errorHandler";
+import { useAuth } from "../hooks/useAuth";
 import { useState } from "react";
 
 /**
@@ -67,9 +70,12 @@ const Materials = () => {
   const [filterOpen, setFilterOpen] = useState(false);
   const [createDialogOpen, setCreateDialogOpen] = useState(false);
   const [editDialogOpen, setEditDialogOpen] = useState(false);
+  const [stockDialogOpen, setStockDialogOpen] = useState(false);
+  const [historyDialogOpen, setHistoryDialogOpen] = useState(false);
   const [selectedMaterial, setSelectedMaterial] = useState(null);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [restoreConfirmOpen, setRestoreConfirmOpen] = useState(false);
+  const { isMember } = useAuth();
 
   // Build query params (remove empty values)
   const queryParams = useMemo(
@@ -142,9 +148,8 @@ const Materials = () => {
   }, []);
 
   const handleView = useCallback((material) => {
-    // Navigate to material detail page (future implementation)
-    console.log("View material:", material);
-    toast.info("Material detail view coming soon!");
+    setSelectedMaterial(material);
+    setStockDialogOpen(true);
   }, []);
 
   const handleEdit = useCallback((material) => {
@@ -162,6 +167,11 @@ const Materials = () => {
     setRestoreConfirmOpen(true);
   }, []);
 
+  const handleHistory = useCallback((material) => {
+    setSelectedMaterial(material);
+    setHistoryDialogOpen(true);
+  }, []);
+
   const confirmDelete = useCallback(async () => {
     try {
       await deleteMaterial(selectedMaterial._id).unwrap();
@@ -205,8 +215,16 @@ const Materials = () => {
         onEdit: handleEdit,
         onDelete: handleDelete,
         onRestore: handleRestore,
+        onHistory: isMember ? undefined : handleHistory,
       }),
-    [handleView, handleEdit, handleDelete, handleRestore]
+    [
+      handleView,
+      handleEdit,
+      handleDelete,
+      handleRestore,
+      handleHistory,
+      isMember,
+    ]
   );
 
   // Show loading state on initial load
@@ -343,6 +361,26 @@ const Materials = () => {
         />
       </MuiDialog>
 
+      {/* Stock Dialog */}
+      <MuiDialog
+        open={stockDialogOpen}
+        onClose={() => setStockDialogOpen(false)}
+        title={`Stock: ${selectedMaterial?.name || ""}`}
+        maxWidth="sm"
+      >
+        {selectedMaterial && <MaterialStock material={selectedMaterial} />}
+      </MuiDialog>
+
+      {/* History Dialog */}
+      <MuiDialog
+        open={historyDialogOpen}
+        onClose={() => setHistoryDialogOpen(false)}
+        title={`History: ${selectedMaterial?.name || ""}`}
+        maxWidth="md"
+      >
+        {selectedMaterial && <AuditTrail resourceId={selectedMaterial._id} />}
+      </MuiDialog>
+
       {/* Delete Confirmation */}
       <MuiDialogConfirm
         open={deleteConfirmOpen}
@@ -0,0 +1,52 @@
+// client/src/pages/NotificationPreferences.jsx
+import { Box, Card, CardContent, Typography } from "@mui/material";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import UpdateNotificationPreferences from "../components/forms/users/UpdateNotificationPreferences";
+import { useGetMyEmailPreferencesQuery } from "../redux/features/user/userApi";
+
+/**
+ * Notification Preferences Page Component
+ *
+ * Lets the current user choose, per notification category, whether it
+ * arrives in-app, by email or in their digest, and set quiet hours.
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/userControllers.js (getMyEmailPreferences, updateMyEmailPreferences)
+ * - Validator: backend/middlewares/validators/userValidators.js
+ */
+const NotificationPreferences = () => {
+  const { data, isLoading, isError, error, refetch } =
+    useGetMyEmailPreferencesQuery();
+
+  if (isLoading && !data) {
+    return <LoadingFallback message="Loading preferences..." height="100%" />;
+  }
+
+  if (isError && !data) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  return (
+    <Box sx={{ maxWidth: 720 }}>
+      <Typography variant="h5" fontWeight={600} mb={2}>
+        Notification Preferences
+      </Typography>
+
+      <Card variant="outlined">
+        <CardContent>
+          <UpdateNotificationPreferences preferences={data} />
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default NotificationPreferences;
@@ -1,8 +1,349 @@
-import React from "react";
+// client/src/pages/Organization.jsx
+import { useMemo } from "react";
+import {
+  Avatar,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  FormControlLabel,
+  Grid,
+  Stack,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import { BarChart, PieChart } from "@mui/x-charts";
+import PeopleIcon from "@mui/icons-material/People";
+import GroupsIcon from "@mui/icons-material/Groups";
+import AssignmentIcon from "@mui/icons-material/Assignment";
+import StorefrontIcon from "@mui/icons-material/Storefront";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import StatCard from "../components/cards/StatCard";
+import {
+  useGetOrganizationByIdQuery,
+  useUpdateOrganizationMutation,
+} from "../redux/features/organization/organizationApi";
+import { useAuth } from "../hooks/useAuth";
+import { handleRTKError } from "../utils/errorHandler";
+import {
+  USER_ROLES,
+  TASK_TYPES,
+  TASK_STATUS,
+} from "../utils/constants";
+
+/**
+ * Organization Page Component
+ *
+ * Responsibilities:
+ * - Show the current organization's profile
+ * - Show organization-wide statistics (users, tasks, costs, materials, vendors)
+ * - Let SuperAdmins require two-factor sign-in for SuperAdmins and Admins
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/organizationControllers.js (getOrganizationDashboard, updateOrganization)
+ * - Validator: backend/middlewares/validators/organizationValidators.js
+ */
+
+const formatAmount = (value) =>
+  Number(value || 0).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
 
 const Organization = () => {
-  console.log("Organization");
-  return <div>Organization</div>;
+  const { user, isSuperAdmin } = useAuth();
+  const organizationId = user?.organization?._id;
+
+  const { data: organization, isLoading, isError, error, refetch } =
+    useGetOrganizationByIdQuery(organizationId, { skip: !organizationId });
+  const [updateOrganization, { isLoading: isUpdating }] =
+    useUpdateOrganizationMutation();
+
+  const handleRequireTwoFactorChange = async (event) => {
+    try {
+      await updateOrganization({
+        organizationId,
+        requireTwoFactor: event.target.checked,
+      }).unwrap();
+    } catch (err) {
+      handleRTKError(err, "Failed to update two-factor requirement");
+    }
+  };
+
+  const stats = organization?.stats;
+
+  const roleData = useMemo(
+    () =>
+      Object.values(USER_ROLES)
+        .filter((role) => stats?.users.byRole[role])
+        .map((role, index) => ({
+          id: index,
+          label: role,
+          value: stats.users.byRole[role],
+        })),
+    [stats]
+  );
+
+  const taskSeries = useMemo(
+    () =>
+      TASK_STATUS.map((status) => ({
+        label: status,
+        stack: "status",
+        data: TASK_TYPES.map(
+          (type) => stats?.tasks.byTypeAndStatus[type]?.[status] || 0
+        ),
+      })),
+    [stats]
+  );
+
+  if (isLoading && !organization) {
+    return <LoadingFallback message="Loading organization..." height="100%" />;
+  }
+
+  if (isError && !organization) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  if (!organization) return null;
+
+  return (
+    <Box>
+      {/* Header */}
+      <Stack direction="row" alignItems="center" spacing={2} mb={2}>
+        <Avatar
+          src={organization.logoUrl?.url || ""}
+          alt={organization.name}
+          sx={{ width: 56, height: 56 }}
+        >
+          {organization.name?.[0]}
+        </Avatar>
+        <Box>
+          <Typography variant="h5" fontWeight={600}>
+            {organization.name}
+          </Typography>
+          <Stack direction="row" spacing={1} alignItems="center">
+            {organization.industry && (
+              <Chip
+                label={organization.industry}
+                size="small"
+                color="primary"
+                variant="outlined"
+              />
+            )}
+            <Typography variant="body2" color="text.secondary">
+              {[organization.email, organization.phone]
+                .filter(Boolean)
+                .join(" · ")}
+            </Typography>
+          </Stack>
+        </Box>
+        {isSuperAdmin && (
+          <FormControlLabel
+            sx={{ ml: "auto" }}
+            control={
+              <Switch
+                checked={!!organization.requireTwoFactor}
+                onChange={handleRequireTwoFactorChange}
+                disabled={isUpdating}
+              />
+            }
+            label="Require two-factor for admins"
+          />
+        )}
+      </Stack>
+
+      <Grid container spacing={2}>
+        {/* Headline metrics */}
+        <Grid size={{ xs: 12, sm: 6, lg: 3 }}>
+          <StatCard
+            title="Users"
+            value={stats.users.total}
+            icon={<PeopleIcon color="primary" fontSize="small" />}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6, lg: 3 }}>
+          <StatCard
+            title="Departments"
+            value={stats.departments.total}
+            icon={<GroupsIcon color="primary" fontSize="small" />}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6, lg: 3 }}>
+          <StatCard
+            title="Tasks"
+            value={stats.tasks.total}
+            icon={<AssignmentIcon color="primary" fontSize="small" />}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6, lg: 3 }}>
+          <StatCard
+            title="Vendors"
+            value={stats.vendors.total}
+            caption={`${stats.vendors.withActiveProjects} with active projects`}
+            icon={<StorefrontIcon color="primary" fontSize="small" />}
+          />
+        </Grid>
+
+        {/* Users */}
+        <Grid size={{ xs: 12, md: 5 }}>
+          <Card variant="outlined" sx={{ height: "100%" }}>
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Users by Role
+              </Typography>
+              <PieChart
+                height={240}
+                series={[{ data: roleData, innerRadius: 50, paddingAngle: 2 }]}
+              />
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid size={{ xs: 12, md: 7 }}>
+          <Card variant="outlined" sx={{ height: "100%" }}>
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Users by Department
+              </Typography>
+              <BarChart
+                height={240}
+                xAxis={[
+                  {
+                    scaleType: "band",
+                    data: stats.users.byDepartment.map(
+                      (d) => d.department.name
+                    ),
+                  },
+                ]}
+                series={[
+                  {
+                    data: stats.users.byDepartment.map((d) => d.count),
+                    label: "Users",
+                  },
+                ]}
+                hideLegend
+              />
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Tasks */}
+        <Grid size={{ xs: 12, lg: 6 }}>
+          <Card variant="outlined" sx={{ height: "100%" }}>
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Tasks by Type and Status
+              </Typography>
+              <BarChart
+                height={280}
+                xAxis={[{ scaleType: "band", data: TASK_TYPES }]}
+                series={taskSeries}
+                grid={{ horizontal: true }}
+              />
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Costs */}
+        <Grid size={{ xs: 12, lg: 6 }}>
+          <Card variant="outlined" sx={{ height: "100%" }}>
+            <CardContent>
+              <Typography variant="subtitle1" fontWeight={600} gutterBottom>
+                Project Costs
+              </Typography>
+              {stats.projectCosts.length ? (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Currency</TableCell>
+                      <TableCell align="right">Projects</TableCell>
+                      <TableCell align="right">Estimated</TableCell>
+                      <TableCell align="right">Actual</TableCell>
+                      <TableCell align="right">Variance</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {stats.projectCosts.map((row) => (
+                      <TableRow key={row.currency}>
+                        <TableCell>{row.currency}</TableCell>
+                        <TableCell align="right">{row.count}</TableCell>
+                        <TableCell align="right">
+                          {formatAmount(row.estimatedCost)}
+                        </TableCell>
+                        <TableCell align="right">
+                          {formatAmount(row.actualCost)}
+                        </TableCell>
+                        <TableCell
+                          align="right"
+                          sx={{
+                            color:
+                              row.variance > 0 ? "error.main" : "success.main",
+                          }}
+                        >
+                          {formatAmount(row.variance)}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  No project tasks yet.
+                </Typography>
+              )}
+
+              <Typography
+                variant="subtitle1"
+                fontWeight={600}
+                sx={{ mt: 3 }}
+                gutterBottom
+              >
+                Material Spend
+              </Typography>
+              <Stack direction="row" spacing={4}>
+                <Box>
+                  <Typography variant="caption" color="text.secondary">
+                    Routine Tasks
+                  </Typography>
+                  <Typography variant="h6">
+                    {formatAmount(stats.materialSpend.routineTasks)}
+                  </Typography>
+                </Box>
+                <Box>
+                  <Typography variant="caption" color="text.secondary">
+                    Task Activities
+                  </Typography>
+                  <Typography variant="h6">
+                    {formatAmount(stats.materialSpend.taskActivities)}
+                  </Typography>
+                </Box>
+                <Box>
+                  <Typography variant="caption" color="text.secondary">
+                    Total
+                  </Typography>
+                  <Typography variant="h6" color="primary">
+                    {formatAmount(stats.materialSpend.total)}
+                  </Typography>
+                </Box>
+              </Stack>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    </Box>
+  );
 };
 
 export default Organization;
@@ -0,0 +1,389 @@
+// client/src/pages/PurchaseOrders.jsx
+import { useCallback, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  Box,
+  Button,
+  IconButton,
+  Typography,
+  Tooltip,
+  Stack,
+  Badge,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import FilterListIcon from "@mui/icons-material/FilterList";
+import { toast } from "react-toastify";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import MuiDialog from "../components/common/MuiDialog";
+import MuiDialogConfirm from "../components/common/MuiDialogConfirm";
+import MuiDataGrid from "../components/common/MuiDataGrid";
+import CustomDataGridToolbar from "../components/common/CustomDataGridToolbar";
+import { getPurchaseOrderColumns } from "../components/columns/PurchaseOrderColumns";
+import PurchaseOrderFilter from "../components/filters/PurchaseOrderFilter";
+import CreateUpdatePurchaseOrder from "../components/forms/purchaseOrders/CreateUpdatePurchaseOrder";
+import PurchaseOrderDetails from "../components/forms/purchaseOrders/PurchaseOrderDetails";
+import {
+  useGetPurchaseOrdersQuery,
+  useDeletePurchaseOrderMutation,
+  useRestorePurchaseOrderMutation,
+} from "../redux/features/purchaseOrder/purchaseOrderApi";
+import {
+  selectPurchaseOrderFilters,
+  selectPurchaseOrderPagination,
+  setFilters,
+  clearFilters,
+  setPage,
+  setLimit,
+  setSortBy,
+} from "../redux/features/purchaseOrder/purchaseOrderSlice";
+import { handleRTKError } from "../utils/errorHandler";
+import { useState } from "react";
+
+/**
+ * Purchase Orders Page Component
+ *
+ * ARCHITECTURE: MuiDataGrid
+ *
+ * Lists purchase orders and opens a details dialog with the
+ * Draft -> Approved -> Ordered -> Received workflow actions.
+ *
+ * Responsibilities:
+ * - Manage page-level state (dialogs, selected purchase order)
+ * - Handle API calls and mutations
+ * - Coordinate between filter, grid, and form components
+ * - Handle loading and error states
+ * - Use Redux for filters and pagination state
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/purchaseOrderControllers.js
+ * - Validator: backend/middlewares/validators/purchaseOrderValidators.js
+ */
+
+const PurchaseOrders = () => {
+  const dispatch = useDispatch();
+
+  // Redux state for filters and pagination
+  const filters = useSelector(selectPurchaseOrderFilters);
+  const pagination = useSelector(selectPurchaseOrderPagination);
+
+  // Local state for dialogs
+  const [filterOpen, setFilterOpen] = useState(false);
+  const [createDialogOpen, setCreateDialogOpen] = useState(false);
+  const [editDialogOpen, setEditDialogOpen] = useState(false);
+  const [detailsDialogOpen, setDetailsDialogOpen] = useState(false);
+  const [selectedPurchaseOrder, setSelectedPurchaseOrder] = useState(null);
+  const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
+  const [restoreConfirmOpen, setRestoreConfirmOpen] = useState(false);
+
+  // Build query params (remove empty values)
+  const queryParams = useMemo(
+    () => ({
+      ...Object.fromEntries(
+        Object.entries(filters).filter(
+          ([, v]) => v !== "" && v !== null && v !== false
+        )
+      ),
+      ...pagination,
+    }),
+    [filters, pagination]
+  );
+
+  // Fetch purchase orders data
+  const { data, isLoading, isError, error, refetch, isFetching } =
+    useGetPurchaseOrdersQuery(queryParams);
+
+  const [deletePurchaseOrder, { isLoading: isDeleting }] =
+    useDeletePurchaseOrderMutation();
+  const [restorePurchaseOrder, { isLoading: isRestoring }] =
+    useRestorePurchaseOrderMutation();
+
+  const purchaseOrders = data?.purchaseOrders || [];
+  const paginationData = data?.pagination || {};
+
+  // Filter handlers
+  const handleFilterChange = useCallback(
+    (field, value) => {
+      dispatch(setFilters({ [field]: value }));
+    },
+    [dispatch]
+  );
+
+  const handleClearFilters = useCallback(() => {
+    dispatch(clearFilters());
+  }, [dispatch]);
+
+  // Pagination handlers
+  const handlePageChange = useCallback(
+    (newPage) => {
+      dispatch(setPage(newPage));
+    },
+    [dispatch]
+  );
+
+  const handlePageSizeChange = useCallback(
+    (newPageSize) => {
+      dispatch(setLimit(newPageSize));
+    },
+    [dispatch]
+  );
+
+  const handleSortChange = useCallback(
+    ({ sortBy, sortOrder }) => {
+      dispatch(setSortBy({ sortBy, sortOrder }));
+    },
+    [dispatch]
+  );
+
+  // Retry handler for error state
+  const handleRetry = useCallback(() => {
+    refetch();
+  }, [refetch]);
+
+  // CRUD handlers
+  const handleCreate = useCallback(() => {
+    setSelectedPurchaseOrder(null);
+    setCreateDialogOpen(true);
+  }, []);
+
+  const handleView = useCallback((purchaseOrder) => {
+    setSelectedPurchaseOrder(purchaseOrder);
+    setDetailsDialogOpen(true);
+  }, []);
+
+  const handleEdit = useCallback((purchaseOrder) => {
+    setSelectedPurchaseOrder(purchaseOrder);
+    setEditDialogOpen(true);
+  }, []);
+
+  const handleDelete = useCallback((purchaseOrder) => {
+    setSelectedPurchaseOrder(purchaseOrder);
+    setDeleteConfirmOpen(true);
+  }, []);
+
+  const handleRestore = useCallback((purchaseOrder) => {
+    setSelectedPurchaseOrder(purchaseOrder);
+    setRestoreConfirmOpen(true);
+  }, []);
+
+  const confirmDelete = useCallback(async () => {
+    try {
+      await deletePurchaseOrder(selectedPurchaseOrder._id).unwrap();
+      toast.success("Purchase order deleted successfully");
+      setDeleteConfirmOpen(false);
+      setSelectedPurchaseOrder(null);
+    } catch (error) {
+      handleRTKError(error, "Failed to delete purchase order");
+    }
+  }, [deletePurchaseOrder, selectedPurchaseOrder]);
+
+  const confirmRestore = useCallback(async () => {
+    try {
+      await restorePurchaseOrder(selectedPurchaseOrder._id).unwrap();
+      toast.success("Purchase order restored successfully");
+      setRestoreConfirmOpen(false);
+      setSelectedPurchaseOrder(null);
+    } catch (error) {
+      handleRTKError(error, "Failed to restore purchase order");
+    }
+  }, [restorePurchaseOrder, selectedPurchaseOrder]);
+
+  const handleSuccess = useCallback(() => {
+    setCreateDialogOpen(false);
+    setEditDialogOpen(false);
+    setSelectedPurchaseOrder(null);
+  }, []);
+
+  // Count active filters for badge
+  const activeFiltersCount = useMemo(() => {
+    return Object.values(filters).filter(
+      (value) => value !== "" && value !== null && value !== false
+    ).length;
+  }, [filters]);
+
+  // Column definitions with action handlers
+  const columns = useMemo(
+    () =>
+      getPurchaseOrderColumns({
+        onView: handleView,
+        onEdit: handleEdit,
+        onDelete: handleDelete,
+        onRestore: handleRestore,
+      }),
+    [handleView, handleEdit, handleDelete, handleRestore]
+  );
+
+  // Show loading state on initial load
+  if (isLoading && !data) {
+    return <LoadingFallback message="Loading purchase orders..." height="100%" />;
+  }
+
+  // Show error state with retry option
+  if (isError && !data) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={handleRetry}
+      />
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Stack
+        direction="row"
+        justifyContent="space-between"
+        alignItems="center"
+        spacing={1}
+        mb={2}
+      >
+        <Typography variant="h5" fontWeight={600}>
+          Purchase Orders
+        </Typography>
+
+        <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+          {/* Filter Button */}
+          <Tooltip title="Filter">
+            <IconButton
+              onClick={() => setFilterOpen(true)}
+              color="primary"
+              sx={{ border: "none" }}
+            >
+              <Badge badgeContent={activeFiltersCount} color="error">
+                <FilterListIcon />
+              </Badge>
+            </IconButton>
+          </Tooltip>
+
+          {activeFiltersCount > 0 && (
+            <Button size="small" onClick={handleClearFilters}>
+              Clear Filters
+            </Button>
+          )}
+
+          {/* Create Button */}
+          <Button
+            startIcon={<AddIcon />}
+            onClick={handleCreate}
+            size="small"
+            sx={(theme) => ({
+              bgcolor: (theme.vars || theme).palette.success.main,
+            })}
+          >
+            New Purchase Order
+          </Button>
+        </Box>
+      </Stack>
+
+      {/* DataGrid */}
+      <MuiDataGrid
+        rows={purchaseOrders}
+        columns={columns}
+        loading={isLoading || isFetching}
+        pagination={paginationData}
+        onPageChange={handlePageChange}
+        onPageSizeChange={handlePageSizeChange}
+        onSortChange={handleSortChange}
+        emptyMessage="No purchase orders found. Create your first purchase order to get started."
+        // slots={{
+        //   toolbar: CustomDataGridToolbar,
+        // }}
+        // slotProps={{
+        //   toolbar: {
+        //     fileName: "purchase-orders-export",
+        //     showExport: true,
+        //     showFilters: true,
+        //     showColumns: true,
+        //     showQuickFilter: true,
+        //   },
+        // }}
+      />
+
+      {/* Filter Modal */}
+      <MuiDialog
+        open={filterOpen}
+        onClose={() => setFilterOpen(false)}
+        title="Filter Purchase Orders"
+        maxWidth="sm"
+        actions={
+          <>
+            <Button onClick={handleClearFilters}>Clear All</Button>
+            <Button variant="contained" onClick={() => setFilterOpen(false)}>
+              Apply
+            </Button>
+          </>
+        }
+      >
+        <PurchaseOrderFilter filters={filters} onFilterChange={handleFilterChange} />
+      </MuiDialog>
+
+      {/* Create Purchase Order Dialog */}
+      <MuiDialog
+        open={createDialogOpen}
+        onClose={() => setCreateDialogOpen(false)}
+        title="New Purchase Order"
+        maxWidth="md"
+      >
+        <CreateUpdatePurchaseOrder
+          onSuccess={handleSuccess}
+          onCancel={() => setCreateDialogOpen(false)}
+        />
+      </MuiDialog>
+
+      {/* Edit Purchase Order Dialog */}
+      <MuiDialog
+        open={editDialogOpen}
+        onClose={() => setEditDialogOpen(false)}
+        title="Edit Purchase Order"
+        maxWidth="md"
+      >
+        <CreateUpdatePurchaseOrder
+          purchaseOrder={selectedPurchaseOrder}
+          onSuccess={handleSuccess}
+          onCancel={() => setEditDialogOpen(false)}
+        />
+      </MuiDialog>
+
+      {/* Details Dialog */}
+      <MuiDialog
+        open={detailsDialogOpen}
+        onClose={() => setDetailsDialogOpen(false)}
+        title={`Purchase Order ${selectedPurchaseOrder?.orderNumber || ""}`}
+        maxWidth="sm"
+      >
+        {selectedPurchaseOrder && (
+          <PurchaseOrderDetails purchaseOrderId={selectedPurchaseOrder._id} />
+        )}
+      </MuiDialog>
+
+      {/* Delete Confirmation */}
+      <MuiDialogConfirm
+        open={deleteConfirmOpen}
+        onClose={() => setDeleteConfirmOpen(false)}
+        onConfirm={confirmDelete}
+        title="Delete Purchase Order"
+        message={`Are you sure you want to delete "${selectedPurchaseOrder?.orderNumber}"?`}
+        confirmText="Delete"
+        severity="error"
+        loading={isDeleting}
+      />
+
+      {/* Restore Confirmation */}
+      <MuiDialogConfirm
+        open={restoreConfirmOpen}
+        onClose={() => setRestoreConfirmOpen(false)}
+        onConfirm={confirmRestore}
+        title="Restore Purchase Order"
+        message={`Are you sure you want to restore "${selectedPurchaseOrder?.orderNumber}"?`}
+        confirmText="Restore"
+        severity="info"
+        loading={isRestoring}
+      />
+    </Box>
+  );
+};
+
+export default PurchaseOrders;
@@ -0,0 +1,307 @@
+// client/src/pages/Schedule.jsx
+import { useState, useCallback, useMemo } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  IconButton,
+  MenuItem,
+  Stack,
+  Tab,
+  Tabs,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import ChevronLeftIcon from "@mui/icons-material/ChevronLeft";
+import ChevronRightIcon from "@mui/icons-material/ChevronRight";
+import EventIcon from "@mui/icons-material/Event";
+import dayjs from "dayjs";
+import { useNavigate } from "react-router";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import CalendarFeedDialog from "../components/common/CalendarFeedDialog";
+import TaskCalendar from "../components/lists/TaskCalendar";
+import TaskTimeline from "../components/lists/TaskTimeline";
+import {
+  useGetTaskScheduleQuery,
+  useUpdateTaskMutation,
+} from "../redux/features/task/taskApi";
+import { useGetDepartmentsQuery } from "../redux/features/department/departmentApi";
+import { useAuth } from "../hooks/useAuth";
+import { handleRTKError } from "../utils/errorHandler";
+import { localToUtc } from "../utils/dateUtils";
+import { getCalendarRange } from "../utils/scheduleUtils";
+import { PAGINATION } from "../utils/constants";
+
+const TIMELINE_DAYS = 42;
+const TIMELINE_STEP_DAYS = 14;
+
+/**
+ * Schedule Page Component
+ *
+ * Calendar (month/week/day) of all scheduled tasks and a Gantt timeline of
+ * ProjectTasks with their dependencies. Dragging a task reschedules it.
+ *
+ * Backend Alignment:
+ * - Controller: taskControllers.js (getTaskSchedule, updateTask)
+ * - Validator: taskValidators.js (validateGetTaskSchedule, validateUpdateTask)
+ *
+ * Delegation:
+ * - TaskCalendar: Renders the calendar grid with drag-and-drop
+ * - TaskTimeline: Renders the Gantt bars and dependency arrows
+ * - CalendarFeedDialog: Manages the user's calendar app subscription link
+ */
+const Schedule = () => {
+  const navigate = useNavigate();
+  const { user, isHod } = useAuth();
+
+  const [tab, setTab] = useState("calendar");
+  const [calendarView, setCalendarView] = useState("month");
+  const [anchor, setAnchor] = useState(() => dayjs().startOf("day"));
+  const [departmentId, setDepartmentId] = useState("");
+  const [feedDialogOpen, setFeedDialogOpen] = useState(false);
+
+  const isTimeline = tab === "timeline";
+
+  // Visible days for the active tab
+  const range = useMemo(() => {
+    if (isTimeline) {
+      const start = anchor.startOf("week");
+      return { start, end: start.add(TIMELINE_DAYS - 1, "day") };
+    }
+    return getCalendarRange(calendarView, anchor);
+  }, [isTimeline, calendarView, anchor]);
+
+  const queryParams = useMemo(
+    () => ({
+      from: localToUtc(range.start),
+      to: localToUtc(range.end.endOf("day")),
+      ...(isTimeline && { taskType: "ProjectTask" }),
+      ...(departmentId && { departmentId }),
+    }),
+    [range, isTimeline, departmentId]
+  );
+
+  const { data, isLoading, isError, error, refetch, isFetching } =
+    useGetTaskScheduleQuery(queryParams);
+
+  // Only HODs can look at other departments
+  const { data: departmentsData } = useGetDepartmentsQuery(
+    { limit: PAGINATION.MAX_LIMIT, deleted: false },
+    { skip: !isHod }
+  );
+
+  const [updateTask] = useUpdateTaskMutation();
+
+  const tasks = data?.tasks || [];
+  const departments = departmentsData?.departments || [];
+
+  const handleStep = useCallback(
+    (direction) => {
+      setAnchor((current) =>
+        isTimeline
+          ? current.add(direction * TIMELINE_STEP_DAYS, "day")
+          : current.add(direction, calendarView)
+      );
+    },
+    [isTimeline, calendarView]
+  );
+
+  const handleCalendarViewChange = useCallback((_event, view) => {
+    if (view) setCalendarView(view);
+  }, []);
+
+  const handleDayClick = useCallback((day) => {
+    setAnchor(day);
+    setCalendarView("day");
+  }, []);
+
+  const handleView = useCallback(
+    (task) => {
+      navigate(`/tasks/${task._id}`);
+    },
+    [navigate]
+  );
+
+  // The task moves immediately; updateTask rolls it back if the server refuses
+  const handleReschedule = useCallback(
+    async (task, changes) => {
+      try {
+        await updateTask({ taskId: task._id, ...changes }).unwrap();
+      } catch (error) {
+        handleRTKError(error, "Failed to reschedule task");
+      }
+    },
+    [updateTask]
+  );
+
+  const periodLabel = useMemo(() => {
+    if (!isTimeline && calendarView === "month") {
+      return anchor.format("MMMM YYYY");
+    }
+    if (!isTimeline && calendarView === "day") {
+      return anchor.format("MMM DD, YYYY");
+    }
+    return `${range.start.format("MMM DD")} – ${range.end.format(
+      "MMM DD, YYYY"
+    )}`;
+  }, [isTimeline, calendarView, anchor, range]);
+
+  // Show loading state on initial load
+  if (isLoading && !data) {
+    return <LoadingFallback message="Loading schedule..." height="100%" />;
+  }
+
+  // Show error state with retry option
+  if (isError && !data) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Stack
+        direction="row"
+        justifyContent="space-between"
+        alignItems="center"
+        spacing={1}
+        mb={2}
+      >
+        <Typography variant="h5" fontWeight={600}>
+          Schedule
+        </Typography>
+
+        <Stack direction="row" spacing={1} alignItems="center">
+          {isHod && (
+            <TextField
+              select
+              value={departmentId}
+              onChange={(event) => setDepartmentId(event.target.value)}
+              label="Department"
+              size="small"
+              sx={{ minWidth: 200 }}
+            >
+              <MenuItem value="">
+                {user?.department?.name || "My department"}
+              </MenuItem>
+              {departments
+                .filter(
+                  (department) => department._id !== user?.department?._id
+                )
+                .map((department) => (
+                  <MenuItem key={department._id} value={department._id}>
+                    {department.name}
+                  </MenuItem>
+                ))}
+            </TextField>
+          )}
+          <Button
+            size="small"
+            startIcon={<EventIcon />}
+            onClick={() => setFeedDialogOpen(true)}
+          >
+            Subscribe
+          </Button>
+        </Stack>
+      </Stack>
+
+      <Tabs
+        value={tab}
+        onChange={(_event, value) => setTab(value)}
+        sx={{ mb: 2, borderBottom: 1, borderColor: "divider" }}
+      >
+        <Tab value="calendar" label="Calendar" />
+        <Tab value="timeline" label="Timeline" />
+      </Tabs>
+
+      {/* Period Navigation */}
+      <Stack
+        direction="row"
+        alignItems="center"
+        justifyContent="space-between"
+        spacing={1}
+        mb={2}
+      >
+        <Stack direction="row" alignItems="center" spacing={1}>
+          <Tooltip title="Previous">
+            <IconButton size="small" onClick={() => handleStep(-1)}>
+              <ChevronLeftIcon />
+            </IconButton>
+          </Tooltip>
+          <Button
+            size="small"
+            onClick={() => setAnchor(dayjs().startOf("day"))}
+          >
+            Today
+          </Button>
+          <Tooltip title="Next">
+            <IconButton size="small" onClick={() => handleStep(1)}>
+              <ChevronRightIcon />
+            </IconButton>
+          </Tooltip>
+          <Typography variant="subtitle1" fontWeight={600}>
+            {periodLabel}
+          </Typography>
+        </Stack>
+
+        {!isTimeline && (
+          <ToggleButtonGroup
+            value={calendarView}
+            exclusive
+            onChange={handleCalendarViewChange}
+            size="small"
+          >
+            <ToggleButton value="month">Month</ToggleButton>
+            <ToggleButton value="week">Week</ToggleButton>
+            <ToggleButton value="day">Day</ToggleButton>
+          </ToggleButtonGroup>
+        )}
+      </Stack>
+
+      {data?.truncated && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Only the first {tasks.length} tasks are shown. Narrow the period to
+          see the rest.
+        </Alert>
+      )}
+
+      <Box sx={{ opacity: isFetching ? 0.6 : 1, transition: "opacity 0.15s" }}>
+        {isTimeline ? (
+          <TaskTimeline
+            tasks={tasks}
+            start={range.start}
+            days={TIMELINE_DAYS}
+            onReschedule={handleReschedule}
+            onView={handleView}
+          />
+        ) : (
+          <TaskCalendar
+            tasks={tasks}
+            view={calendarView}
+            anchor={anchor}
+            onReschedule={handleReschedule}
+            onView={handleView}
+            onDayClick={handleDayClick}
+          />
+        )}
+      </Box>
+
+      <CalendarFeedDialog
+        open={feedDialogOpen}
+        onClose={() => setFeedDialogOpen(false)}
+      />
+    </Box>
+  );
+};
+
+export default Schedule;
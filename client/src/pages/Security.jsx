@@ -0,0 +1,300 @@
+// client/src/pages/Security.jsx
+import { useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  Stack,
+  Typography,
+} from "@mui/material";
+import dayjs from "dayjs";
+import { toast } from "react-toastify";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import MuiDialog from "../components/common/MuiDialog";
+import MuiTextField from "../components/common/MuiTextField";
+import RecoveryCodesList from "../components/auth/RecoveryCodesList";
+import {
+  useGetMyTwoFactorQuery,
+  useSetupMyTwoFactorMutation,
+  useEnableMyTwoFactorMutation,
+  useDisableMyTwoFactorMutation,
+  useRegenerateMyRecoveryCodesMutation,
+} from "../redux/features/user/userApi";
+import { handleRTKError } from "../utils/errorHandler";
+
+const CODE_PATTERN = /^\d{6}$/;
+
+/**
+ * Security Page Component
+ *
+ * Two-factor sign-in for SuperAdmins and Admins: enroll an authenticator app
+ * from a QR code, keep one-time recovery codes, regenerate them, or turn
+ * two-factor off when the organization does not require it.
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/userControllers.js (getMyTwoFactor, setupMyTwoFactor, enableMyTwoFactor, disableMyTwoFactor, regenerateMyRecoveryCodes)
+ * - Validator: backend/middlewares/validators/userValidators.js
+ */
+const Security = () => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // "regenerate" | "disable" while the confirmation dialog is open
+  const [confirmAction, setConfirmAction] = useState(null);
+  const [confirmValue, setConfirmValue] = useState("");
+
+  const {
+    data: twoFactor,
+    isLoading,
+    isError,
+    error,
+    refetch,
+  } = useGetMyTwoFactorQuery();
+  const [startSetup, { isLoading: isStarting }] = useSetupMyTwoFactorMutation();
+  const [enable, { isLoading: isEnabling }] = useEnableMyTwoFactorMutation();
+  const [disable, { isLoading: isDisabling }] = useDisableMyTwoFactorMutation();
+  const [regenerate, { isLoading: isRegenerating }] =
+    useRegenerateMyRecoveryCodesMutation();
+
+  const handleStartSetup = async () => {
+    try {
+      setSetup(await startSetup().unwrap());
+      setCode("");
+    } catch (err) {
+      handleRTKError(err, "Failed to start two-factor setup");
+    }
+  };
+
+  const handleEnable = async () => {
+    try {
+      setRecoveryCodes(await enable(code).unwrap());
+      setSetup(null);
+      setCode("");
+      toast.success("Two-factor authentication enabled");
+    } catch (err) {
+      handleRTKError(err, "Failed to enable two-factor authentication");
+    }
+  };
+
+  const closeConfirm = () => {
+    setConfirmAction(null);
+    setConfirmValue("");
+  };
+
+  const handleConfirm = async () => {
+    try {
+      if (confirmAction === "regenerate") {
+        setRecoveryCodes(await regenerate(confirmValue).unwrap());
+        toast.success("Recovery codes regenerated");
+      } else {
+        await disable(confirmValue).unwrap();
+        toast.success("Two-factor authentication disabled");
+      }
+      closeConfirm();
+    } catch (err) {
+      handleRTKError(err, "Failed to update two-factor authentication");
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingFallback message="Loading security..." height="100%" />;
+  }
+
+  if (isError) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  const isConfirming = isDisabling || isRegenerating;
+  const confirmReady =
+    confirmAction === "regenerate"
+      ? CODE_PATTERN.test(confirmValue)
+      : confirmValue.length > 0;
+
+  return (
+    <Box sx={{ maxWidth: 720 }}>
+      <Typography variant="h5" fontWeight={600} mb={2}>
+        Security
+      </Typography>
+
+      <Card variant="outlined">
+        <CardContent>
+          <Stack direction="row" spacing={1} alignItems="center" mb={1}>
+            <Typography variant="h6">Two-Factor Authentication</Typography>
+            <Chip
+              label={twoFactor.enabled ? "Enabled" : "Disabled"}
+              color={twoFactor.enabled ? "success" : "default"}
+              size="small"
+            />
+            {twoFactor.required && (
+              <Chip label="Required" color="warning" size="small" />
+            )}
+          </Stack>
+
+          {!twoFactor.available && (
+            <Alert severity="info">
+              Two-factor authentication is available to SuperAdmins and Admins.
+            </Alert>
+          )}
+
+          {twoFactor.available && twoFactor.enabled && (
+            <Stack spacing={2}>
+              <Typography variant="body2" color="text.secondary">
+                Enabled {dayjs(twoFactor.enabledAt).format("MMM D, YYYY")} ·{" "}
+                {twoFactor.recoveryCodesRemaining} recovery code(s) left
+              </Typography>
+              {twoFactor.recoveryCodesRemaining <= 2 && (
+                <Alert severity="warning">
+                  You are running out of recovery codes. Generate a new set.
+                </Alert>
+              )}
+              <Stack direction="row" spacing={1}>
+                <Button
+                  variant="outlined"
+                  size="small"
+                  onClick={() => setConfirmAction("regenerate")}
+                >
+                  Regenerate recovery codes
+                </Button>
+                <Button
+                  variant="outlined"
+                  color="error"
+                  size="small"
+                  onClick={() => setConfirmAction("disable")}
+                  disabled={twoFactor.required}
+                >
+                  Disable
+                </Button>
+              </Stack>
+            </Stack>
+          )}
+
+          {twoFactor.available && !twoFactor.enabled && !setup && (
+            <Stack spacing={2} alignItems="flex-start">
+              <Typography variant="body2" color="text.secondary">
+                Protect your account with a code from an authenticator app each
+                time you sign in.
+              </Typography>
+              <Button
+                variant="contained"
+                onClick={handleStartSetup}
+                disabled={isStarting}
+              >
+                Set up two-factor
+              </Button>
+            </Stack>
+          )}
+
+          {setup && (
+            <Stack spacing={2} alignItems="center">
+              <Typography variant="body2" color="text.secondary">
+                Scan the QR code with your authenticator app, or enter the key
+                manually, then type the 6-digit code it shows.
+              </Typography>
+              <Box
+                component="img"
+                src={setup.qrCode}
+                alt="Two-factor QR code"
+                sx={{ width: 180, height: 180 }}
+              />
+              <Typography
+                variant="caption"
+                sx={{ fontFamily: "monospace", wordBreak: "break-all" }}
+              >
+                {setup.secret}
+              </Typography>
+              <MuiTextField
+                value={code}
+                onChange={(event) => setCode(event.target.value.trim())}
+                label="Verification Code"
+                size="small"
+                autoComplete="one-time-code"
+                inputMode="numeric"
+              />
+              <Stack direction="row" spacing={1}>
+                <Button onClick={() => setSetup(null)}>Cancel</Button>
+                <Button
+                  variant="contained"
+                  onClick={handleEnable}
+                  disabled={!CODE_PATTERN.test(code) || isEnabling}
+                >
+                  Enable
+                </Button>
+              </Stack>
+            </Stack>
+          )}
+        </CardContent>
+      </Card>
+
+      <MuiDialog
+        open={!!confirmAction}
+        onClose={closeConfirm}
+        title={
+          confirmAction === "regenerate"
+            ? "Regenerate Recovery Codes"
+            : "Disable Two-Factor Authentication"
+        }
+        maxWidth="xs"
+        isLoading={isConfirming}
+        actions={
+          <>
+            <Button onClick={closeConfirm}>Cancel</Button>
+            <Button
+              variant="contained"
+              color={confirmAction === "disable" ? "error" : "primary"}
+              onClick={handleConfirm}
+              disabled={!confirmReady || isConfirming}
+            >
+              Confirm
+            </Button>
+          </>
+        }
+      >
+        <Typography variant="body2" color="text.secondary">
+          {confirmAction === "regenerate"
+            ? "Your old recovery codes stop working. Enter a code from your authenticator app to continue."
+            : "Enter your password to turn off two-factor authentication."}
+        </Typography>
+        <MuiTextField
+          value={confirmValue}
+          onChange={(event) => setConfirmValue(event.target.value)}
+          label={
+            confirmAction === "regenerate" ? "Verification Code" : "Password"
+          }
+          type={confirmAction === "disable" ? "password" : "text"}
+          fullWidth
+          size="small"
+          margin="normal"
+          autoFocus
+        />
+      </MuiDialog>
+
+      <MuiDialog
+        open={!!recoveryCodes}
+        onClose={() => setRecoveryCodes(null)}
+        title="Recovery Codes"
+        maxWidth="xs"
+        disableBackdropClick
+        actions={
+          <Button variant="contained" onClick={() => setRecoveryCodes(null)}>
+            Done
+          </Button>
+        }
+      >
+        {recoveryCodes && <RecoveryCodesList codes={recoveryCodes} />}
+      </MuiDialog>
+    </Box>
+  );
+};
+
+export default Security;
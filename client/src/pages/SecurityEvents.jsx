@@ -0,0 +1,142 @@
+// client/src/pages/SecurityEvents.jsx
+import { useCallback, useMemo, useState } from "react";
+import { Box, MenuItem, Stack, TextField, Typography } from "@mui/material";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import MuiDataGrid from "../components/common/MuiDataGrid";
+import { getSecurityEventColumns } from "../components/columns/SecurityEventColumns";
+import { useGetSecurityEventsQuery } from "../redux/features/securityEvent/securityEventApi";
+import { useAuth } from "../hooks/useAuth";
+import { PAGINATION, SECURITY_EVENT_TYPES } from "../utils/constants";
+
+/**
+ * Security Events Page Component
+ *
+ * ARCHITECTURE: MuiDataGrid
+ *
+ * SuperAdmins review sign-ins, failed attempts, account lockouts, password
+ * resets and role changes in their organization. Platform SuperAdmins see
+ * every organization, including failed attempts for unknown emails.
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/securityEventControllers.js
+ * - Validator: backend/middlewares/validators/securityEventValidators.js
+ */
+const SecurityEvents = () => {
+  const { isPlatformUser } = useAuth();
+  const [type, setType] = useState("");
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(PAGINATION.DEFAULT_PAGE);
+  const [limit, setLimit] = useState(PAGINATION.DEFAULT_LIMIT);
+
+  const queryParams = useMemo(
+    () => ({ page, limit, ...(type && { type }), ...(search && { search }) }),
+    [page, limit, type, search]
+  );
+
+  const { data, isLoading, isError, error, refetch, isFetching } =
+    useGetSecurityEventsQuery(queryParams);
+
+  const securityEvents = data?.securityEvents || [];
+  const paginationData = data?.pagination || {};
+
+  const handleTypeChange = useCallback((event) => {
+    setType(event.target.value);
+    setPage(PAGINATION.DEFAULT_PAGE);
+  }, []);
+
+  // Apply the email filter on Enter rather than on every keystroke
+  const handleSearchKeyDown = useCallback(
+    (event) => {
+      if (event.key !== "Enter") return;
+      setSearch(searchInput.trim());
+      setPage(PAGINATION.DEFAULT_PAGE);
+    },
+    [searchInput]
+  );
+
+  const handlePageSizeChange = useCallback((newPageSize) => {
+    setLimit(newPageSize);
+    setPage(PAGINATION.DEFAULT_PAGE);
+  }, []);
+
+  const columns = useMemo(
+    () => getSecurityEventColumns({ showOrganization: isPlatformUser }),
+    [isPlatformUser]
+  );
+
+  if (isLoading && !data) {
+    return (
+      <LoadingFallback message="Loading security events..." height="100%" />
+    );
+  }
+
+  if (isError && !data) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Stack
+        direction={{ xs: "column", sm: "row" }}
+        justifyContent="space-between"
+        alignItems={{ xs: "flex-start", sm: "center" }}
+        spacing={1}
+        mb={2}
+      >
+        <Typography variant="h5" fontWeight={600}>
+          Security Events
+        </Typography>
+
+        <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+          <TextField
+            value={searchInput}
+            onChange={(event) => setSearchInput(event.target.value)}
+            onKeyDown={handleSearchKeyDown}
+            label="Email"
+            placeholder="Press Enter to search"
+            size="small"
+            sx={{ minWidth: 200 }}
+          />
+          <TextField
+            select
+            value={type}
+            onChange={handleTypeChange}
+            label="Event"
+            size="small"
+            sx={{ minWidth: 180 }}
+          >
+            <MenuItem value="">All</MenuItem>
+            {SECURITY_EVENT_TYPES.map((value) => (
+              <MenuItem key={value} value={value}>
+                {value}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      </Stack>
+
+      {/* DataGrid */}
+      <MuiDataGrid
+        rows={securityEvents}
+        columns={columns}
+        loading={isLoading || isFetching}
+        pagination={paginationData}
+        onPageChange={setPage}
+        onPageSizeChange={handlePageSizeChange}
+        emptyMessage="No security events match these filters."
+      />
+    </Box>
+  );
+};
+
+export default SecurityEvents;
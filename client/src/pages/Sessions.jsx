@@ -0,0 +1,216 @@
+// client/src/pages/Sessions.jsx
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { useNavigate } from "react-router";
+import {
+  Box,
+  Button,
+  Card,
+  Chip,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Stack,
+  Typography,
+} from "@mui/material";
+import ComputerIcon from "@mui/icons-material/Computer";
+import SmartphoneIcon from "@mui/icons-material/Smartphone";
+import dayjs from "dayjs";
+import relativeTime from "dayjs/plugin/relativeTime";
+import { toast } from "react-toastify";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import MuiDialogConfirm from "../components/common/MuiDialogConfirm";
+import {
+  useGetMySessionsQuery,
+  useRevokeMySessionMutation,
+  useRevokeMySessionsMutation,
+} from "../redux/features/user/userApi";
+import { clearCredentials } from "../redux/features/auth/authSlice";
+import { apiSlice } from "../redux/features/api";
+import { handleRTKError } from "../utils/errorHandler";
+import { ROUTES } from "../utils/constants";
+
+dayjs.extend(relativeTime);
+
+const MOBILE_OS = ["iOS", "Android"];
+
+/**
+ * Sessions Page Component
+ *
+ * Lists every device the current user is signed in on, with IP address and
+ * last activity, and lets them sign out one session, the others, or all.
+ * Signing out the current session ends this browser's login too.
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/userControllers.js (getMySessions, revokeMySession, revokeMySessions)
+ * - Validator: backend/middlewares/validators/userValidators.js
+ */
+const Sessions = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [confirmAllOpen, setConfirmAllOpen] = useState(false);
+
+  const {
+    data: sessions = [],
+    isLoading,
+    isError,
+    error,
+    refetch,
+  } = useGetMySessionsQuery();
+  const [revokeSession, { isLoading: isRevoking }] =
+    useRevokeMySessionMutation();
+  const [revokeSessions, { isLoading: isRevokingAll }] =
+    useRevokeMySessionsMutation();
+
+  // The refresh token of this browser is no longer valid
+  const endLocalSession = () => {
+    dispatch(clearCredentials());
+    dispatch(apiSlice.util.resetApiState());
+    navigate(ROUTES.LOGIN, { replace: true });
+  };
+
+  const handleRevoke = async (session) => {
+    try {
+      await revokeSession(session._id).unwrap();
+      if (session.current) {
+        endLocalSession();
+        return;
+      }
+      toast.success(`Signed out of ${session.device}`);
+    } catch (err) {
+      handleRTKError(err, "Failed to sign out session");
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      const { revokedCount } = await revokeSessions({
+        exceptCurrent: true,
+      }).unwrap();
+      toast.success(`Signed out of ${revokedCount} other session(s)`);
+    } catch (err) {
+      handleRTKError(err, "Failed to sign out other sessions");
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    try {
+      await revokeSessions({ exceptCurrent: false }).unwrap();
+      setConfirmAllOpen(false);
+      endLocalSession();
+    } catch (err) {
+      handleRTKError(err, "Failed to sign out everywhere");
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingFallback message="Loading sessions..." height="100%" />;
+  }
+
+  if (isError) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <Box sx={{ maxWidth: 720 }}>
+      <Stack
+        direction={{ xs: "column", sm: "row" }}
+        justifyContent="space-between"
+        alignItems={{ xs: "flex-start", sm: "center" }}
+        spacing={1}
+        mb={2}
+      >
+        <Typography variant="h5" fontWeight={600}>
+          My Sessions
+        </Typography>
+        <Stack direction="row" spacing={1}>
+          <Button
+            variant="outlined"
+            size="small"
+            onClick={handleRevokeOthers}
+            disabled={!hasOtherSessions || isRevokingAll}
+          >
+            Sign out other sessions
+          </Button>
+          <Button
+            variant="outlined"
+            color="error"
+            size="small"
+            onClick={() => setConfirmAllOpen(true)}
+            disabled={isRevokingAll}
+          >
+            Sign out everywhere
+          </Button>
+        </Stack>
+      </Stack>
+
+      <Card variant="outlined">
+        <List disablePadding>
+          {sessions.map((session) => (
+            <ListItem
+              key={session._id}
+              divider
+              secondaryAction={
+                <Button
+                  size="small"
+                  color="error"
+                  onClick={() => handleRevoke(session)}
+                  disabled={isRevoking}
+                >
+                  Sign out
+                </Button>
+              }
+            >
+              <ListItemIcon>
+                {MOBILE_OS.includes(session.os) ? (
+                  <SmartphoneIcon />
+                ) : (
+                  <ComputerIcon />
+                )}
+              </ListItemIcon>
+              <ListItemText
+                primary={
+                  <Stack direction="row" spacing={1} alignItems="center">
+                    <span>{session.device}</span>
+                    {session.current && (
+                      <Chip label="This device" size="small" color="primary" />
+                    )}
+                  </Stack>
+                }
+                secondary={[
+                  session.ip || "Unknown IP",
+                  `Last active ${dayjs(session.lastUsedAt).fromNow()}`,
+                  `Signed in ${dayjs(session.createdAt).format("MMM D, YYYY")}`,
+                ].join(" · ")}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </Card>
+
+      <MuiDialogConfirm
+        open={confirmAllOpen}
+        onClose={() => setConfirmAllOpen(false)}
+        onConfirm={handleRevokeAll}
+        title="Sign Out Everywhere"
+        message="This signs you out on every device, including this one."
+        confirmText="Sign out"
+        severity="error"
+        loading={isRevokingAll}
+      />
+    </Box>
+  );
+};
+
+export default Sessions;
@@ -0,0 +1,305 @@
+// client/src/pages/SlaPolicies.jsx
+import { useState, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  MenuItem,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import { toast } from "react-toastify";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import MuiDialog from "../components/common/MuiDialog";
+import MuiDialogConfirm from "../components/common/MuiDialogConfirm";
+import CreateUpdateSlaPolicy from "../components/forms/slaPolicies/CreateUpdateSlaPolicy";
+import {
+  useGetSlaPoliciesQuery,
+  useDeleteSlaPolicyMutation,
+} from "../redux/features/slaPolicy/slaPolicyApi";
+import { useGetDepartmentsQuery } from "../redux/features/department/departmentApi";
+import { useAuth } from "../hooks/useAuth";
+import { handleRTKError } from "../utils/errorHandler";
+import { formatDuration } from "../utils/dateUtils";
+import { TASK_PRIORITY, PAGINATION } from "../utils/constants";
+
+const PRIORITY_COLORS = ["default", "info", "warning", "error"];
+
+/**
+ * SLA Policies Page Component
+ *
+ * Heads of department set, per priority, how soon assigned and project tasks
+ * must be started and completed, and whether breaches raise the task's
+ * priority and/or notify HODs. Organization-wide policies (SuperAdmins)
+ * apply to departments without their own policy for that priority.
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/slaPolicyControllers.js
+ * - Validator: backend/middlewares/validators/slaPolicyValidators.js
+ * - Evaluator: backend/services/slaEvaluator.js
+ */
+const SlaPolicies = () => {
+  const { user, isSuperAdmin } = useAuth();
+  const ownDepartmentId = user?.department?._id;
+
+  const [departmentId, setDepartmentId] = useState(ownDepartmentId);
+  const [formOpen, setFormOpen] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
+
+  const {
+    data: policies = [],
+    isLoading,
+    isError,
+    error,
+    refetch,
+    isFetching,
+  } = useGetSlaPoliciesQuery({ departmentId });
+
+  const { data: departmentsData } = useGetDepartmentsQuery({
+    limit: PAGINATION.MAX_LIMIT,
+    deleted: false,
+  });
+
+  const [deleteSlaPolicy, { isLoading: isDeleting }] =
+    useDeleteSlaPolicyMutation();
+
+  const departments = departmentsData?.departments || [];
+  // Admins manage their own department's policies; SuperAdmins manage all
+  const canManage = (policy) =>
+    isSuperAdmin || policy.department?._id === ownDepartmentId;
+  const canCreate = isSuperAdmin || departmentId === ownDepartmentId;
+
+  const handleCreate = useCallback(() => {
+    setSelected(null);
+    setFormOpen(true);
+  }, []);
+
+  const handleEdit = useCallback((policy) => {
+    setSelected(policy);
+    setFormOpen(true);
+  }, []);
+
+  const handleDelete = useCallback((policy) => {
+    setSelected(policy);
+    setDeleteConfirmOpen(true);
+  }, []);
+
+  const handleFormClose = useCallback(() => {
+    setFormOpen(false);
+    setSelected(null);
+  }, []);
+
+  const confirmDelete = useCallback(async () => {
+    try {
+      await deleteSlaPolicy(selected._id).unwrap();
+      toast.success("SLA policy deleted successfully");
+      setDeleteConfirmOpen(false);
+      setSelected(null);
+    } catch (error) {
+      handleRTKError(error, "Failed to delete SLA policy");
+    }
+  }, [deleteSlaPolicy, selected]);
+
+  // Show loading state on initial load
+  if (isLoading) {
+    return <LoadingFallback message="Loading SLA policies..." height="100%" />;
+  }
+
+  // Show error state with retry option
+  if (isError) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Stack
+        direction="row"
+        justifyContent="space-between"
+        alignItems="center"
+        spacing={1}
+        mb={2}
+      >
+        <Typography variant="h5" fontWeight={600}>
+          SLA Policies
+        </Typography>
+
+        <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+          <TextField
+            select
+            value={departmentId || ""}
+            onChange={(event) => setDepartmentId(event.target.value)}
+            label="Department"
+            size="small"
+            sx={{ minWidth: 180 }}
+          >
+            {departments.map((department) => (
+              <MenuItem key={department._id} value={department._id}>
+                {department.name}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          <Button
+            startIcon={<AddIcon />}
+            onClick={handleCreate}
+            size="small"
+            variant="contained"
+            disabled={!canCreate}
+          >
+            New Policy
+          </Button>
+        </Box>
+      </Stack>
+
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Applies To</TableCell>
+              <TableCell>Priority</TableCell>
+              <TableCell>Start Within</TableCell>
+              <TableCell>Complete Within</TableCell>
+              <TableCell>On Breach</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {policies.map((policy) => (
+              <TableRow key={policy._id} hover>
+                <TableCell>
+                  {policy.department?.name || "Organization-wide"}
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={policy.priority}
+                    size="small"
+                    color={
+                      PRIORITY_COLORS[TASK_PRIORITY.indexOf(policy.priority)] ||
+                      "default"
+                    }
+                  />
+                </TableCell>
+                <TableCell>
+                  {policy.responseMinutes
+                    ? formatDuration(policy.responseMinutes)
+                    : "-"}
+                </TableCell>
+                <TableCell>
+                  {policy.resolutionMinutes
+                    ? formatDuration(policy.resolutionMinutes)
+                    : "-"}
+                </TableCell>
+                <TableCell>
+                  {[
+                    policy.raisePriority && "Raise priority",
+                    policy.notifyHods && "Notify HODs",
+                  ]
+                    .filter(Boolean)
+                    .join(", ") || "Flag only"}
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={policy.isActive ? "Active" : "Inactive"}
+                    size="small"
+                    color={policy.isActive ? "success" : "default"}
+                    variant="outlined"
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  {canManage(policy) && (
+                    <>
+                      <Tooltip title="Edit">
+                        <IconButton
+                          size="small"
+                          onClick={() => handleEdit(policy)}
+                        >
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton
+                          size="small"
+                          color="error"
+                          onClick={() => handleDelete(policy)}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+            {policies.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    {isFetching
+                      ? "Loading..."
+                      : "No SLA policies yet. Tasks are not tracked against an SLA."}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Create/Edit Dialog */}
+      <MuiDialog
+        open={formOpen}
+        onClose={handleFormClose}
+        title={selected ? "Edit SLA Policy" : "New SLA Policy"}
+        maxWidth="sm"
+      >
+        <CreateUpdateSlaPolicy
+          policy={selected}
+          departmentId={departmentId}
+          canSetOrgWide={isSuperAdmin}
+          onSuccess={handleFormClose}
+          onCancel={handleFormClose}
+        />
+      </MuiDialog>
+
+      {/* Delete Confirmation */}
+      <MuiDialogConfirm
+        open={deleteConfirmOpen}
+        onClose={() => setDeleteConfirmOpen(false)}
+        onConfirm={confirmDelete}
+        title="Delete SLA Policy"
+        message={`Delete the ${selected?.priority} policy for ${
+          selected?.department?.name || "the organization"
+        }? Its open tasks fall back to the organization-wide policy, if any.`}
+        confirmText="Delete"
+        severity="error"
+        loading={isDeleting}
+      />
+    </Box>
+  );
+};
+
+export default SlaPolicies;
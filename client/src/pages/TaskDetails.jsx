@@ -19,24 +19,40 @@ import {
   CalendarToday as CalendarIcon,
   AttachFile as AttachmentIcon,
   Person as PersonIcon,
+  Event as EventIcon,
 } from "@mui/icons-material";
 import dayjs from "dayjs";
 import { LoadingFallback } from "../components/common/MuiLoading";
 import RouteError from "../components/common/RouteError";
-import { useGetTaskByIdQuery } from "../redux/features/task/taskApi";
+import {
+  useGetTaskByIdQuery,
+  useLazyGetTaskCalendarQuery,
+} from "../redux/features/task/taskApi";
 import { TASK_STATUS, TASK_PRIORITY } from "../utils/constants";
+import { formatDuration } from "../utils/dateUtils";
 import TaskActivityList from "../components/common/TaskActivityList";
 import TaskCommentList from "../components/common/TaskCommentList";
+import TaskDependencies from "../components/common/TaskDependencies";
+import TaskChecklist from "../components/common/TaskChecklist";
+import TaskViewers from "../components/common/TaskViewers";
+import TaskTimeTracking from "../components/common/TaskTimeTracking";
+import AuditTrail from "../components/common/AuditTrail";
+import { useAuth } from "../hooks/useAuth";
+import { useTaskPresence } from "../hooks/useTaskPresence";
+import { handleRTKError } from "../utils/errorHandler";
 
 /**
  * TaskDetails Page Component
- * Displays task details with tabs for Details, Activities, and Comments
+ * Displays task details with tabs for Details, Activities, Comments, Time and
+ * (for HODs and Managers) the audit trail, and live avatars of the other
+ * users viewing the task. Tasks with a date can be saved as an .ics event.
  */
 const TaskDetails = () => {
   const { taskId } = useParams();
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState(0);
+  const { isMember } = useAuth();
 
   // Check if viewing deleted task from URL params
   const isDeleted = searchParams.get("deleted") === "true";
@@ -53,6 +69,9 @@ const TaskDetails = () => {
   const { data, isLoading, isError, error, refetch } =
     useGetTaskByIdQuery(queryParams);
 
+  // Join the task's realtime room while the page is open
+  const viewers = useTaskPresence(isDeleted ? null : taskId);
+
   const handleTabChange = useCallback((_event, newValue) => {
     setActiveTab(newValue);
   }, []);
@@ -65,6 +84,26 @@ const TaskDetails = () => {
     refetch();
   }, [refetch]);
 
+  const [getTaskCalendar, { isFetching: isDownloadingCalendar }] =
+    useLazyGetTaskCalendarQuery();
+
+  // Save the task as an .ics file the user's calendar app can open
+  const handleAddToCalendar = useCallback(async () => {
+    try {
+      const ics = await getTaskCalendar(taskId).unwrap();
+      const url = URL.createObjectURL(
+        new Blob([ics], { type: "text/calendar" })
+      );
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `task-${taskId}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      handleRTKError(error, "Failed to download calendar event");
+    }
+  }, [getTaskCalendar, taskId]);
+
   // Get status color - memoized
   const getStatusColor = useCallback((status) => {
     switch (status) {
@@ -108,6 +147,7 @@ const TaskDetails = () => {
   const task = useMemo(() => taskData.task || taskData, [taskData]);
   const activities = useMemo(() => taskData.activities || [], [taskData]);
   const comments = useMemo(() => taskData.comments || [], [taskData]);
+  const blocks = useMemo(() => taskData.blocks || [], [taskData]);
 
   // Show loading state
   if (isLoading && !data) {
@@ -155,6 +195,19 @@ const TaskDetails = () => {
             Task Details
           </Typography>
         </Box>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <TaskViewers viewers={viewers} />
+          {!isDeleted && (task.dueDate || task.date) && (
+            <Button
+              size="small"
+              startIcon={<EventIcon />}
+              onClick={handleAddToCalendar}
+              disabled={isDownloadingCalendar}
+            >
+              Add to calendar
+            </Button>
+          )}
+        </Stack>
       </Stack>
 
       {/* Tabs */}
@@ -162,6 +215,8 @@ const TaskDetails = () => {
         <Tab label="Details" />
         <Tab label={`Activities (${activities.length})`} />
         <Tab label={`Comments (${comments.length})`} />
+        <Tab label="Time" />
+        {!isMember && <Tab label="Audit" />}
       </Tabs>
 
       {/* Tab Panels */}
@@ -357,6 +412,18 @@ const TaskDetails = () => {
               </>
             )}
 
+            {/* Time Spent */}
+            {task.timeSpentMinutes > 0 && (
+              <Grid size={{ xs: 12, sm: 6 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Time Spent
+                </Typography>
+                <Typography variant="body2">
+                  {formatDuration(task.timeSpentMinutes)}
+                </Typography>
+              </Grid>
+            )}
+
             {/* Materials (RoutineTask) */}
             {task.materials && task.materials.length > 0 && (
               <Grid size={{ xs: 12 }}>
@@ -373,6 +440,23 @@ const TaskDetails = () => {
               </Grid>
             )}
 
+            {/* Checklist (AssignedTask, ProjectTask) */}
+            {(task.taskType === "AssignedTask" ||
+              task.taskType === "ProjectTask") && (
+              <Grid size={{ xs: 12 }}>
+                <TaskChecklist task={task} readOnly={isDeleted} />
+              </Grid>
+            )}
+
+            {/* Dependencies */}
+            <Grid size={{ xs: 12 }}>
+              <TaskDependencies
+                task={task}
+                blocks={blocks}
+                readOnly={isDeleted}
+              />
+            </Grid>
+
             {/* Created By */}
             {task.createdBy && (
               <Grid size={{ xs: 12 }}>
@@ -398,6 +482,11 @@ const TaskDetails = () => {
       {activeTab === 2 && (
         <TaskCommentList taskId={taskId} comments={comments} />
       )}
+
+      {/* Audit Tab */}
+      {activeTab === 3 && <TaskTimeTracking task={task} />}
+
+      {activeTab === 4 && !isMember && <AuditTrail resourceId={taskId} />}
     </Box>
   );
 };
@@ -14,6 +14,8 @@ import {
   MenuItem,
   ListItemIcon,
   ListItemText,
+  ToggleButton,
+  ToggleButtonGroup,
 } from "@mui/material";
 import AddIcon from "@mui/icons-material/Add";
 import FilterListIcon from "@mui/icons-material/FilterList";
@@ -21,27 +23,36 @@ import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
 import AssignmentIcon from "@mui/icons-material/Assignment";
 import BusinessIcon from "@mui/icons-material/Business";
 import InventoryIcon from "@mui/icons-material/Inventory";
+import ViewListIcon from "@mui/icons-material/ViewList";
+import ViewKanbanIcon from "@mui/icons-material/ViewKanban";
 import { toast } from "react-toastify";
 import { LoadingFallback } from "../components/common/MuiLoading";
 import RouteError from "../components/common/RouteError";
 import MuiDialog from "../components/common/MuiDialog";
 import MuiDialogConfirm from "../components/common/MuiDialogConfirm";
 import TasksList from "../components/lists/TasksList";
+import TaskBoard from "../components/lists/TaskBoard";
 import TaskFilter from "../components/filters/TaskFilter";
 import CreateUpdateTask from "../components/forms/tasks/CreateUpdateTask";
 import {
   useGetTasksQuery,
+  useUpdateTaskMutation,
   useDeleteTaskMutation,
   useRestoreTaskMutation,
 } from "../redux/features/task/taskApi";
 import {
   selectTaskFilters,
   selectTaskPagination,
+  selectTaskBoard,
   setFilters,
   clearFilters,
   setPage,
+  setTaskView,
+  setBoardSwimlane,
+  setWipLimits,
 } from "../redux/features/task/taskSlice";
 import { handleRTKError } from "../utils/errorHandler";
+import { TASK_BOARD_LIMIT } from "../utils/constants";
 import { useNavigate } from "react-router";
 
 /**
@@ -56,6 +67,7 @@ import { useNavigate } from "react-router";
  *
  * Delegation:
  * - TasksList: Renders grid and pagination
+ * - TaskBoard: Renders the status board with drag-and-drop (board view)
  * - TaskCard: Renders individual task cards (memoized)
  * - TaskFilter: Handles filter UI
  * - CreateUpdateTask: Handles form UI (to be implemented)
@@ -65,6 +77,8 @@ const Tasks = () => {
   const dispatch = useDispatch();
   const filters = useSelector(selectTaskFilters);
   const pagination = useSelector(selectTaskPagination);
+  const board = useSelector(selectTaskBoard);
+  const isBoardView = board.view === "board";
   const navigate = useNavigate();
 
   // Dialog states
@@ -96,17 +110,28 @@ const Tasks = () => {
       })
     );
 
+    // The board shows a single large page of live tasks
+    if (isBoardView) {
+      return {
+        ...filteredFilters,
+        deleted: false,
+        page: 1,
+        limit: TASK_BOARD_LIMIT,
+      };
+    }
+
     return {
       ...filteredFilters,
       page: pagination.page,
       limit: pagination.limit,
     };
-  }, [filters, pagination]);
+  }, [filters, pagination, isBoardView]);
 
   // Fetch tasks data with error handling
   const { data, isLoading, isError, error, refetch, isFetching } =
     useGetTasksQuery(queryParams);
 
+  const [updateTask] = useUpdateTaskMutation();
   const [deleteTask, { isLoading: isDeleting }] = useDeleteTaskMutation();
   const [restoreTask, { isLoading: isRestoring }] = useRestoreTaskMutation();
 
@@ -221,6 +246,40 @@ const Tasks = () => {
     }
   }, [restoreTask, selectedTask]);
 
+  // Board handlers
+  const handleViewChange = useCallback(
+    (_event, view) => {
+      if (view) dispatch(setTaskView(view));
+    },
+    [dispatch]
+  );
+
+  const handleSwimlaneChange = useCallback(
+    (swimlane) => {
+      dispatch(setBoardSwimlane(swimlane));
+    },
+    [dispatch]
+  );
+
+  const handleWipLimitsChange = useCallback(
+    (limits) => {
+      dispatch(setWipLimits(limits));
+    },
+    [dispatch]
+  );
+
+  // The card moves immediately; updateTask rolls it back if the server refuses
+  const handleMove = useCallback(
+    async (task, changes) => {
+      try {
+        await updateTask({ taskId: task._id, ...changes }).unwrap();
+      } catch (error) {
+        handleRTKError(error, "Failed to move task");
+      }
+    },
+    [updateTask]
+  );
+
   // Success handler for form submission
   const handleCreateSuccess = useCallback(() => {
     setCreateDialogOpen(false);
@@ -313,6 +372,25 @@ const Tasks = () => {
         </Typography>
 
         <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+          {/* View Toggle */}
+          <ToggleButtonGroup
+            value={board.view}
+            exclusive
+            onChange={handleViewChange}
+            size="small"
+          >
+            <ToggleButton value="list" aria-label="List view">
+              <Tooltip title="List">
+                <ViewListIcon fontSize="small" />
+              </Tooltip>
+            </ToggleButton>
+            <ToggleButton value="board" aria-label="Board view">
+              <Tooltip title="Board">
+                <ViewKanbanIcon fontSize="small" />
+              </Tooltip>
+            </ToggleButton>
+          </ToggleButtonGroup>
+
           {/* Filter Button */}
           <Tooltip title="Filter">
             <IconButton
@@ -369,6 +447,25 @@ const Tasks = () => {
             Create First Task
           </Button>
         </Paper>
+      ) : isBoardView ? (
+        <>
+          {totalTasks > tasks.length && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Showing {tasks.length} of {totalTasks} tasks. Use filters to
+              narrow the board.
+            </Typography>
+          )}
+          <TaskBoard
+            tasks={tasks}
+            taskType={filters.taskType}
+            swimlane={board.swimlane}
+            wipLimits={board.wipLimits}
+            onSwimlaneChange={handleSwimlaneChange}
+            onWipLimitsChange={handleWipLimitsChange}
+            onMove={handleMove}
+            onView={handleView}
+          />
+        </>
       ) : (
         <TasksList
           tasks={tasks}
@@ -484,8 +581,8 @@ const Tasks = () => {
           </>
         }
       >
-        <RTKQueryErrorBoundary>
-          <CreateUpdateTask task={selectedTask} onSuccess={handleUpdateSuccess} />
+        <RTKQueryErrorBoundary>
+          <CreateUpdateTask task={selectedTask} onSuccess={handleUpdateSuccess} />
         </RTKQueryErrorBoundary>
       </MuiDialog>
 
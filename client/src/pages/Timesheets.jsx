@@ -0,0 +1,324 @@
+// client/src/pages/Timesheets.jsx
+import { useState, useCallback, useMemo } from "react";
+import {
+  Box,
+  Button,
+  IconButton,
+  MenuItem,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import ChevronLeftIcon from "@mui/icons-material/ChevronLeft";
+import ChevronRightIcon from "@mui/icons-material/ChevronRight";
+import DownloadIcon from "@mui/icons-material/Download";
+import dayjs from "dayjs";
+import { Link as RouterLink } from "react-router";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import {
+  useGetTimesheetQuery,
+  useLazyGetTimesheetCsvQuery,
+} from "../redux/features/timeEntry/timeEntryApi";
+import { useGetDepartmentsQuery } from "../redux/features/department/departmentApi";
+import { useGetUsersQuery } from "../redux/features/user/userApi";
+import { useAuth } from "../hooks/useAuth";
+import { handleRTKError } from "../utils/errorHandler";
+import { formatDuration } from "../utils/dateUtils";
+import { PAGINATION } from "../utils/constants";
+
+const MY_TIME = "me";
+
+// Weeks start on Monday
+const getWeekStart = (date) => {
+  const day = dayjs(date).startOf("day");
+  return day.subtract((day.day() + 6) % 7, "day");
+};
+
+/**
+ * Timesheets Page Component
+ *
+ * Weekly timesheet of time logged on tasks: the user's own, a user's or a
+ * whole department's, with hours per day and totals. HODs also see costs
+ * and can look at other departments. Exports as CSV.
+ *
+ * Backend Alignment:
+ * - Controller: timeEntryControllers.js (getTimesheet)
+ * - Validator: timeEntryValidators.js (validateGetTimesheet)
+ */
+const Timesheets = () => {
+  const { user, isHod } = useAuth();
+
+  const [weekStart, setWeekStart] = useState(() => getWeekStart(dayjs()));
+  const [scope, setScope] = useState(MY_TIME);
+  const [userId, setUserId] = useState("");
+
+  const queryParams = useMemo(
+    () => ({
+      weekStart: weekStart.format("YYYY-MM-DD"),
+      ...(userId ? { userId } : scope !== MY_TIME && { departmentId: scope }),
+    }),
+    [weekStart, scope, userId]
+  );
+
+  const { data, isLoading, isError, error, refetch, isFetching } =
+    useGetTimesheetQuery(queryParams);
+
+  // Only HODs can look at other departments
+  const { data: departmentsData } = useGetDepartmentsQuery(
+    { limit: PAGINATION.MAX_LIMIT, deleted: false },
+    { skip: !isHod }
+  );
+
+  const { data: usersData } = useGetUsersQuery(
+    { departmentId: scope, limit: PAGINATION.MAX_LIMIT, deleted: false },
+    { skip: scope === MY_TIME }
+  );
+
+  const [getTimesheetCsv, { isFetching: isExporting }] =
+    useLazyGetTimesheetCsvQuery();
+
+  const departments = departmentsData?.departments || [];
+  const users = usersData?.users || [];
+  const rows = data?.rows || [];
+  const showCost = isHod && data?.totalCost !== undefined;
+
+  const handleScopeChange = useCallback((event) => {
+    setScope(event.target.value);
+    setUserId("");
+  }, []);
+
+  const handleExport = useCallback(async () => {
+    try {
+      const csv = await getTimesheetCsv(queryParams).unwrap();
+      const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `timesheet-${queryParams.weekStart}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      handleRTKError(error, "Failed to export timesheet");
+    }
+  }, [getTimesheetCsv, queryParams]);
+
+  // Show loading state on initial load
+  if (isLoading && !data) {
+    return <LoadingFallback message="Loading timesheet..." height="100%" />;
+  }
+
+  // Show error state with retry option
+  if (isError && !data) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  return (
+    <Box>
+      {/* Header */}
+      <Stack
+        direction="row"
+        justifyContent="space-between"
+        alignItems="center"
+        spacing={1}
+        mb={2}
+      >
+        <Typography variant="h5" fontWeight={600}>
+          Timesheets
+        </Typography>
+
+        <Stack direction="row" spacing={1} alignItems="center">
+          <TextField
+            select
+            value={scope}
+            onChange={handleScopeChange}
+            label="Show"
+            size="small"
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value={MY_TIME}>My time</MenuItem>
+            {user?.department && (
+              <MenuItem value={user.department._id}>
+                {user.department.name}
+              </MenuItem>
+            )}
+            {departments
+              .filter((department) => department._id !== user?.department?._id)
+              .map((department) => (
+                <MenuItem key={department._id} value={department._id}>
+                  {department.name}
+                </MenuItem>
+              ))}
+          </TextField>
+          {scope !== MY_TIME && (
+            <TextField
+              select
+              value={userId}
+              onChange={(event) => setUserId(event.target.value)}
+              label="User"
+              size="small"
+              sx={{ minWidth: 180 }}
+            >
+              <MenuItem value="">All users</MenuItem>
+              {users.map((u) => (
+                <MenuItem key={u._id} value={u._id}>
+                  {u.fullName || `${u.firstName} ${u.lastName}`}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          <Button
+            size="small"
+            startIcon={<DownloadIcon />}
+            onClick={handleExport}
+            disabled={isExporting}
+          >
+            Export CSV
+          </Button>
+        </Stack>
+      </Stack>
+
+      {/* Week Navigation */}
+      <Stack direction="row" alignItems="center" spacing={1} mb={2}>
+        <Tooltip title="Previous week">
+          <IconButton
+            size="small"
+            onClick={() => setWeekStart((week) => week.subtract(1, "week"))}
+          >
+            <ChevronLeftIcon />
+          </IconButton>
+        </Tooltip>
+        <Button
+          size="small"
+          onClick={() => setWeekStart(getWeekStart(dayjs()))}
+        >
+          This week
+        </Button>
+        <Tooltip title="Next week">
+          <IconButton
+            size="small"
+            onClick={() => setWeekStart((week) => week.add(1, "week"))}
+          >
+            <ChevronRightIcon />
+          </IconButton>
+        </Tooltip>
+        <Typography variant="subtitle1" fontWeight={600}>
+          {`${weekStart.format("MMM DD")} – ${weekStart
+            .add(6, "day")
+            .format("MMM DD, YYYY")}`}
+        </Typography>
+      </Stack>
+
+      <TableContainer
+        component={Paper}
+        variant="outlined"
+        sx={{ opacity: isFetching ? 0.6 : 1, transition: "opacity 0.15s" }}
+      >
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>User</TableCell>
+              <TableCell>Task</TableCell>
+              {(data?.days || []).map((day) => (
+                <TableCell key={day} align="right">
+                  {dayjs(day).format("ddd DD")}
+                </TableCell>
+              ))}
+              <TableCell align="right">Total</TableCell>
+              {showCost && <TableCell align="right">Cost</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={showCost ? 11 : 10} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No time logged this week
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+            {rows.map((row) => (
+              <TableRow key={`${row.user._id}-${row.task?._id || "deleted"}`}>
+                <TableCell>
+                  <Typography variant="body2">{row.user.fullName}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {row.user.department}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  {row.task ? (
+                    <Typography
+                      component={RouterLink}
+                      to={`/tasks/${row.task._id}`}
+                      variant="body2"
+                      color="primary"
+                      sx={{ textDecoration: "none" }}
+                    >
+                      {row.task.title}
+                    </Typography>
+                  ) : (
+                    <Typography variant="body2" color="text.secondary">
+                      Deleted task
+                    </Typography>
+                  )}
+                </TableCell>
+                {row.minutes.map((minutes, index) => (
+                  <TableCell key={data.days[index]} align="right">
+                    {minutes ? formatDuration(minutes) : "–"}
+                  </TableCell>
+                ))}
+                <TableCell align="right" sx={{ fontWeight: 600 }}>
+                  {formatDuration(row.totalMinutes)}
+                </TableCell>
+                {showCost && (
+                  <TableCell align="right">{row.cost.toFixed(2)}</TableCell>
+                )}
+              </TableRow>
+            ))}
+            {rows.length > 0 && (
+              <TableRow>
+                <TableCell colSpan={2} sx={{ fontWeight: 600 }}>
+                  Total
+                </TableCell>
+                {data.dayTotals.map((minutes, index) => (
+                  <TableCell
+                    key={data.days[index]}
+                    align="right"
+                    sx={{ fontWeight: 600 }}
+                  >
+                    {minutes ? formatDuration(minutes) : "–"}
+                  </TableCell>
+                ))}
+                <TableCell align="right" sx={{ fontWeight: 600 }}>
+                  {formatDuration(data.totalMinutes)}
+                </TableCell>
+                {showCost && (
+                  <TableCell align="right" sx={{ fontWeight: 600 }}>
+                    {data.totalCost.toFixed(2)}
+                  </TableCell>
+                )}
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default Timesheets;
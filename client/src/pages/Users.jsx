@@ -18,6 +18,7 @@ import { LoadingFallback } from "../components/common/MuiLoading";
 import RouteError from "../components/common/RouteError";
 import MuiDialog from "../components/common/MuiDialog";
 import MuiDialogConfirm from "../components/common/MuiDialogConfirm";
+import AuditTrail from "../components/common/AuditTrail";
 import UsersList from "../components/lists/UsersList";
 import CreateUpdateUser from "../components/forms/users/CreateUpdateUser";
 import UserFilter from "../components/filters/UserFilter";
@@ -25,6 +26,7 @@ import {
   useGetUsersQuery,
   useDeleteUserMutation,
   useRestoreUserMutation,
+  useResetUserTwoFactorMutation,
 } from "../redux/features/user/userApi";
 import {
   selectUserFilters,
@@ -34,6 +36,7 @@ import {
   setPage,
 } from "../redux/features/user/userSlice";
 import { handleRTKError } from "../utils/errorHandler";
+import { useAuth } from "../hooks/useAuth";
 
 /**
  * Users Page Component
@@ -63,6 +66,9 @@ const Users = () => {
   const [selectedUser, setSelectedUser] = useState(null);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [restoreConfirmOpen, setRestoreConfirmOpen] = useState(false);
+  const [resetTwoFactorOpen, setResetTwoFactorOpen] = useState(false);
+  const [historyDialogOpen, setHistoryDialogOpen] = useState(false);
+  const { isSuperAdmin, isMember } = useAuth();
 
   // Build query params
   const queryParams = useMemo(
@@ -87,6 +93,8 @@ const Users = () => {
 
   const [deleteUser, { isLoading: isDeleting }] = useDeleteUserMutation();
   const [restoreUser, { isLoading: isRestoring }] = useRestoreUserMutation();
+  const [resetUserTwoFactor, { isLoading: isResettingTwoFactor }] =
+    useResetUserTwoFactorMutation();
 
   const users = data?.users || [];
   const totalUsers = data?.pagination?.totalCount || 0;
@@ -167,6 +175,27 @@ const Users = () => {
     }
   }, [restoreUser, selectedUser]);
 
+  const handleHistory = useCallback((user) => {
+    setSelectedUser(user);
+    setHistoryDialogOpen(true);
+  }, []);
+
+  const handleResetTwoFactor = useCallback((user) => {
+    setSelectedUser(user);
+    setResetTwoFactorOpen(true);
+  }, []);
+
+  const confirmResetTwoFactor = useCallback(async () => {
+    try {
+      await resetUserTwoFactor(selectedUser._id).unwrap();
+      toast.success("Two-factor authentication reset");
+      setResetTwoFactorOpen(false);
+      setSelectedUser(null);
+    } catch (error) {
+      handleRTKError(error, "Failed to reset two-factor authentication");
+    }
+  }, [resetUserTwoFactor, selectedUser]);
+
   const handleSuccess = useCallback(() => {
     setCreateDialogOpen(false);
     setEditDialogOpen(false);
@@ -284,6 +313,8 @@ const Users = () => {
           onEdit={handleEdit}
           onDelete={handleDelete}
           onRestore={handleRestore}
+          onResetTwoFactor={isSuperAdmin ? handleResetTwoFactor : undefined}
+          onHistory={isMember ? undefined : handleHistory}
           isFetching={isFetching}
         />
       )}
@@ -333,6 +364,16 @@ const Users = () => {
         />
       </MuiDialog>
 
+      {/* History Dialog */}
+      <MuiDialog
+        open={historyDialogOpen}
+        onClose={() => setHistoryDialogOpen(false)}
+        title={`History: ${selectedUser?.fullName || ""}`}
+        maxWidth="md"
+      >
+        {selectedUser && <AuditTrail resourceId={selectedUser._id} />}
+      </MuiDialog>
+
       {/* Delete Confirmation */}
       <MuiDialogConfirm
         open={deleteConfirmOpen}
@@ -356,6 +397,18 @@ const Users = () => {
         severity="info"
         loading={isRestoring}
       />
+
+      {/* Reset Two-Factor Confirmation */}
+      <MuiDialogConfirm
+        open={resetTwoFactorOpen}
+        onClose={() => setResetTwoFactorOpen(false)}
+        onConfirm={confirmResetTwoFactor}
+        title="Reset Two-Factor Authentication"
+        message={`Reset two-factor for "${selectedUser?.fullName}"? They will be signed out everywhere and must enroll again at their next sign-in if required.`}
+        confirmText="Reset"
+        severity="warning"
+        loading={isResettingTwoFactor}
+      />
     </>
   );
 };
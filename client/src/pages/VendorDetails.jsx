@@ -0,0 +1,293 @@
+// client/src/pages/VendorDetails.jsx
+import { useCallback, useMemo, useState } from "react";
+import { useParams, useNavigate } from "react-router";
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  Grid,
+  List,
+  ListItem,
+  ListItemText,
+  Rating,
+  Stack,
+  Typography,
+} from "@mui/material";
+import {
+  ArrowBack as BackIcon,
+  Email as EmailIcon,
+  Phone as PhoneIcon,
+} from "@mui/icons-material";
+import { LoadingFallback } from "../components/common/MuiLoading";
+import RouteError from "../components/common/RouteError";
+import MuiDialog from "../components/common/MuiDialog";
+import VendorScorecard from "../components/cards/VendorScorecard";
+import RateVendor from "../components/forms/vendors/RateVendor";
+import { useGetVendorByIdQuery } from "../redux/features/vendor/vendorApi";
+import { useAuth } from "../hooks/useAuth";
+import { formatDate } from "../utils/dateUtils";
+import { ROUTES, MAX_VENDOR_RATING } from "../utils/constants";
+
+const STATUS_COLORS = {
+  "To Do": "default",
+  "In Progress": "info",
+  Completed: "success",
+  Pending: "warning",
+};
+
+/**
+ * VendorDetails Page Component
+ *
+ * Shows a vendor's contact details, performance scorecard, project tasks and
+ * recent ratings. Heads of department can rate the vendor on completed
+ * project tasks of their department (SuperAdmins on any department's).
+ *
+ * Backend Alignment:
+ * - Controller: backend/controllers/vendorControllers.js (getVendor, rateVendor)
+ */
+const VendorDetails = () => {
+  const { vendorId } = useParams();
+  const navigate = useNavigate();
+  const { user, isHod, isSuperAdmin } = useAuth();
+  const [ratingTask, setRatingTask] = useState(null);
+
+  const { data: vendor, isLoading, isError, error, refetch } =
+    useGetVendorByIdQuery(vendorId);
+
+  const handleBack = useCallback(() => {
+    navigate(ROUTES.VENDORS);
+  }, [navigate]);
+
+  // Latest rating per task (ratings arrive newest first)
+  const ratingsByTask = useMemo(() => {
+    const map = {};
+    (vendor?.ratings || []).forEach((rating) => {
+      const taskId = rating.task?._id;
+      if (taskId && !map[taskId]) map[taskId] = rating;
+    });
+    return map;
+  }, [vendor]);
+
+  const canRate = useCallback(
+    (task) =>
+      isHod &&
+      task.status === "Completed" &&
+      (isSuperAdmin || task.department === user?.department?._id),
+    [isHod, isSuperAdmin, user]
+  );
+
+  if (isLoading && !vendor) {
+    return <LoadingFallback message="Loading vendor..." height="100%" />;
+  }
+
+  if (isError && !vendor) {
+    return (
+      <RouteError
+        error={error}
+        isError={isError}
+        isLoading={isLoading}
+        onRetry={refetch}
+      />
+    );
+  }
+
+  const projects = vendor.projects || [];
+  const ratings = vendor.ratings || [];
+
+  return (
+    <Box>
+      {/* Header */}
+      <Stack direction="row" alignItems="center" spacing={2} mb={3}>
+        <Button startIcon={<BackIcon />} onClick={handleBack}>
+          Back
+        </Button>
+        <Typography variant="h5" fontWeight={600}>
+          {vendor.name}
+        </Typography>
+      </Stack>
+
+      <Grid container spacing={3}>
+        {/* Contact */}
+        <Grid size={{ xs: 12, md: 4 }}>
+          <Card variant="outlined" sx={{ height: "100%" }}>
+            <CardContent>
+              <Typography variant="subtitle2" gutterBottom>
+                Contact
+              </Typography>
+              <Stack spacing={1}>
+                {vendor.email && (
+                  <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                    <EmailIcon fontSize="small" color="action" />
+                    <Typography variant="body2">{vendor.email}</Typography>
+                  </Box>
+                )}
+                <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                  <PhoneIcon fontSize="small" color="action" />
+                  <Typography variant="body2">{vendor.phone}</Typography>
+                </Box>
+              </Stack>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Scorecard */}
+        <Grid size={{ xs: 12, md: 8 }}>
+          <Card variant="outlined" sx={{ height: "100%" }}>
+            <CardContent>
+              <Typography variant="subtitle2" gutterBottom>
+                Performance
+              </Typography>
+              <VendorScorecard scorecard={vendor.scorecard} />
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Project Tasks */}
+        <Grid size={{ xs: 12, md: 7 }}>
+          <Card variant="outlined">
+            <CardContent>
+              <Typography variant="subtitle2" gutterBottom>
+                Project Tasks ({projects.length})
+              </Typography>
+              {projects.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No project tasks assigned to this vendor.
+                </Typography>
+              ) : (
+                <List dense disablePadding>
+                  {projects.map((task) => {
+                    const rating = ratingsByTask[task._id];
+                    return (
+                      <ListItem
+                        key={task._id}
+                        disableGutters
+                        secondaryAction={
+                          canRate(task) && (
+                            <Button
+                              size="small"
+                              onClick={() => setRatingTask(task)}
+                            >
+                              {rating ? "Update Rating" : "Rate"}
+                            </Button>
+                          )
+                        }
+                      >
+                        <ListItemText
+                          primary={
+                            <Stack
+                              direction="row"
+                              spacing={1}
+                              alignItems="center"
+                            >
+                              <Typography
+                                variant="body2"
+                                sx={{ cursor: "pointer" }}
+                                onClick={() =>
+                                  navigate(`${ROUTES.TASKS}/${task._id}`)
+                                }
+                              >
+                                {task.title}
+                              </Typography>
+                              <Chip
+                                label={task.status}
+                                size="small"
+                                color={STATUS_COLORS[task.status]}
+                              />
+                              {rating && (
+                                <Rating
+                                  value={rating.score}
+                                  max={MAX_VENDOR_RATING}
+                                  size="small"
+                                  readOnly
+                                />
+                              )}
+                            </Stack>
+                          }
+                          secondary={[
+                            `Due ${formatDate(task.dueDate)}`,
+                            task.completedAt &&
+                              `completed ${formatDate(task.completedAt)}`,
+                          ]
+                            .filter(Boolean)
+                            .join(" · ")}
+                        />
+                      </ListItem>
+                    );
+                  })}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Recent Ratings */}
+        <Grid size={{ xs: 12, md: 5 }}>
+          <Card variant="outlined">
+            <CardContent>
+              <Typography variant="subtitle2" gutterBottom>
+                Recent Ratings
+              </Typography>
+              {ratings.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  This vendor has not been rated yet.
+                </Typography>
+              ) : (
+                <List dense disablePadding>
+                  {ratings.map((rating) => (
+                    <ListItem key={rating._id} disableGutters>
+                      <ListItemText
+                        primary={
+                          <Stack direction="row" spacing={1} alignItems="center">
+                            <Rating
+                              value={rating.score}
+                              max={MAX_VENDOR_RATING}
+                              size="small"
+                              readOnly
+                            />
+                            <Typography variant="body2">
+                              {rating.task?.title || "Deleted task"}
+                            </Typography>
+                          </Stack>
+                        }
+                        secondary={[
+                          rating.comment,
+                          rating.ratedBy &&
+                            `${rating.ratedBy.firstName} ${rating.ratedBy.lastName}`,
+                          formatDate(rating.updatedAt),
+                        ]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      {/* Rate Vendor Dialog */}
+      <MuiDialog
+        open={!!ratingTask}
+        onClose={() => setRatingTask(null)}
+        title={`Rate ${vendor.name}`}
+        maxWidth="xs"
+      >
+        {ratingTask && (
+          <RateVendor
+            vendorId={vendorId}
+            task={ratingTask}
+            rating={ratingsByTask[ratingTask._id]}
+            onSuccess={() => setRatingTask(null)}
+            onCancel={() => setRatingTask(null)}
+          />
+        )}
+      </MuiDialog>
+    </Box>
+  );
+};
+
+export default VendorDetails;
@@ -1,6 +1,7 @@
 // client/src/pages/Vendors.jsx
 import { useCallback, useMemo, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router";
 import {
   Box,
   Button,
@@ -37,6 +38,7 @@ import {
   setSortBy,
 } from "../redux/features/vendor/vendorSlice";
 import { handleRTKError } from "../utils/errorHandler";
+import { ROUTES } from "../utils/constants";
 
 /**
  * Vendors Page Component
@@ -49,6 +51,8 @@ import { handleRTKError } from "../utils/errorHandler";
  * - Coordinate between filter, grid, and form components
  * - Handle loading and error states
  * - Handle vendor deletion with reassignment option
+ * - Open the vendor detail page (scorecard, projects, ratings)
+ * - Sort by scorecard metrics (computed server-side)
  * - Use Redux for filters and pagination state
  *
  * Backend Alignment:
@@ -58,6 +62,7 @@ import { handleRTKError } from "../utils/errorHandler";
 
 const Vendors = () => {
   const dispatch = useDispatch();
+  const navigate = useNavigate();
 
   // Redux state for filters and pagination
   const filters = useSelector(selectVendorFilters);
@@ -140,11 +145,12 @@ const Vendors = () => {
     setCreateDialogOpen(true);
   }, []);
 
-  const handleView = useCallback((vendor) => {
-    // Navigate to vendor detail page (future implementation)
-    console.log("View vendor:", vendor);
-    toast.info("Vendor detail view coming soon!");
-  }, []);
+  const handleView = useCallback(
+    (vendor) => {
+      navigate(`${ROUTES.VENDORS}/${vendor._id}`);
+    },
+    [navigate]
+  );
 
   const handleEdit = useCallback((vendor) => {
     setSelectedVendor(vendor);
@@ -11,8 +11,10 @@ import userReducer from "../features/user/userSlice";
 import departmentReducer from "../features/department/departmentSlice";
 import materialReducer from "../features/material/materialSlice";
 import vendorReducer from "../features/vendor/vendorSlice";
+import purchaseOrderReducer from "../features/purchaseOrder/purchaseOrderSlice";
 import organizationReducer from "../features/organization/organizationSlice";
 import notificationReducer from "../features/notification/notificationSlice";
+import presenceReducer from "../features/presence/presenceSlice";
 
 const authPersistConfig = {
   key: "auth",
@@ -22,17 +24,28 @@ const authPersistConfig = {
 
 const persistedAuth = persistReducer(authPersistConfig, authReducer);
 
+// Only the board settings outlive a reload; filters start fresh
+const taskPersistConfig = {
+  key: "task",
+  storage,
+  whitelist: ["board"],
+};
+
+const persistedTask = persistReducer(taskPersistConfig, taskReducer);
+
 export const store = configureStore({
   reducer: {
     [apiSlice.reducerPath]: apiSlice.reducer,
     auth: persistedAuth,
-    task: taskReducer,
+    task: persistedTask,
     user: userReducer,
     department: departmentReducer,
     material: materialReducer,
     vendor: vendorReducer,
+    purchaseOrder: purchaseOrderReducer,
     organization: organizationReducer,
     notification: notificationReducer,
+    presence: presenceReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -0,0 +1,127 @@
+// client/src/redux/features/announcement/announcementApi.js
+import { apiSlice } from "../api";
+import { API_ENDPOINTS } from "../../../utils/constants";
+
+/**
+ * Announcement API Slice
+ *
+ * RTK Query API slice for announcement endpoints. Announcements are composed
+ * through userApi.sendBulkAnnouncement (POST /users/bulk-announcement); this
+ * slice covers their history, pinning and cancellation.
+ *
+ * Backend Reference:
+ * - Controller: backend/controllers/announcementControllers.js
+ * - Validators: backend/middlewares/validators/announcementValidators.js
+ *
+ * Endpoints:
+ * - getAnnouncements: List announcements with read counts
+ * - getPinnedAnnouncements: Pinned announcements for the current user
+ * - pinAnnouncement: Pin or unpin a sent announcement
+ * - cancelAnnouncement: Cancel a scheduled announcement
+ * - deleteAnnouncement: Soft delete an announcement
+ */
+export const announcementApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /**
+     * Get announcements with pagination and filters
+     * @param {Object} params - Query parameters
+     * @param {number} params.page - Page number (default: 1)
+     * @param {number} params.limit - Items per page (default: 10)
+     * @param {string} params.status - Filter by status
+     * @param {string} params.departmentId - Filter by sender department (SuperAdmin)
+     * @param {boolean} params.pinned - Filter by pinned state
+     * @returns {Object} Paginated announcements with readCount and readRate
+     */
+    getAnnouncements: builder.query({
+      query: (params) => ({
+        url: API_ENDPOINTS.ANNOUNCEMENTS,
+        params,
+      }),
+      transformResponse: (response) => ({
+        announcements: response.announcements,
+        pagination: response.pagination,
+      }),
+      providesTags: (result) =>
+        result?.announcements
+          ? [
+              ...result.announcements.map(({ _id }) => ({
+                type: "Announcement",
+                id: _id,
+              })),
+              { type: "Announcement", id: "LIST" },
+            ]
+          : [{ type: "Announcement", id: "LIST" }],
+    }),
+
+    /**
+     * Get pinned announcements addressed to the current user
+     * @returns {Array} Pinned announcements with isRead
+     */
+    getPinnedAnnouncements: builder.query({
+      query: () => `${API_ENDPOINTS.ANNOUNCEMENTS}/pinned`,
+      transformResponse: (response) => response.announcements,
+      providesTags: [{ type: "Announcement", id: "PINNED" }],
+    }),
+
+    /**
+     * Pin or unpin a sent announcement
+     * @param {Object} params
+     * @param {string} params.announcementId - Announcement ID
+     * @param {boolean} params.pinned - Pinned state
+     * @returns {Object} Updated announcement
+     */
+    pinAnnouncement: builder.mutation({
+      query: ({ announcementId, pinned }) => ({
+        url: `${API_ENDPOINTS.ANNOUNCEMENTS}/${announcementId}/pin`,
+        method: "PATCH",
+        body: { pinned },
+      }),
+      transformResponse: (response) => response.announcement,
+      invalidatesTags: (result, error, { announcementId }) => [
+        { type: "Announcement", id: announcementId },
+        { type: "Announcement", id: "PINNED" },
+      ],
+    }),
+
+    /**
+     * Cancel a scheduled announcement
+     * @param {string} announcementId - Announcement ID
+     * @returns {Object} Cancelled announcement
+     */
+    cancelAnnouncement: builder.mutation({
+      query: (announcementId) => ({
+        url: `${API_ENDPOINTS.ANNOUNCEMENTS}/${announcementId}/cancel`,
+        method: "POST",
+      }),
+      transformResponse: (response) => response.announcement,
+      invalidatesTags: (result, error, announcementId) => [
+        { type: "Announcement", id: announcementId },
+      ],
+    }),
+
+    /**
+     * Soft delete an announcement
+     * @param {string} announcementId - Announcement ID
+     * @returns {Object} Deletion confirmation
+     */
+    deleteAnnouncement: builder.mutation({
+      query: (announcementId) => ({
+        url: `${API_ENDPOINTS.ANNOUNCEMENTS}/${announcementId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: (result, error, announcementId) => [
+        { type: "Announcement", id: announcementId },
+        { type: "Announcement", id: "LIST" },
+        { type: "Announcement", id: "PINNED" },
+      ],
+    }),
+  }),
+});
+
+export const {
+  useGetAnnouncementsQuery,
+  useGetPinnedAnnouncementsQuery,
+  usePinAnnouncementMutation,
+  useCancelAnnouncementMutation,
+  useDeleteAnnouncementMutation,
+} = announcementApi;
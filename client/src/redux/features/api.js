@@ -100,20 +100,30 @@ const baseQueryWithReauth = async (args, api, extraOptions) => {
   return result;
 };
 
+export const API_TAG_TYPES = [
+  "Organization",
+  "Department",
+  "User",
+  "Task",
+  "TaskActivity",
+  "TaskComment",
+  "RoutineTaskTemplate",
+  "Material",
+  "Vendor",
+  "PurchaseOrder",
+  "Notification",
+  "Announcement",
+  "Attachment",
+  "Dashboard",
+  "SecurityEvent",
+  "AuditLog",
+  "TimeEntry",
+  "SlaPolicy",
+];
+
 export const apiSlice = createApi({
   reducerPath: "api",
   baseQuery: baseQueryWithReauth,
-  tagTypes: [
-    "Organization",
-    "Department",
-    "User",
-    "Task",
-    "TaskActivity",
-    "TaskComment",
-    "Material",
-    "Vendor",
-    "Notification",
-    "Attachment",
-  ],
+  tagTypes: API_TAG_TYPES,
   endpoints: () => ({}),
 });
@@ -0,0 +1,49 @@
+// client/src/redux/features/audit/auditApi.js
+import { apiSlice } from "../api";
+import { API_ENDPOINTS } from "../../../utils/constants";
+
+/**
+ * Audit API Slice
+ *
+ * RTK Query API slice for the audit trail: who created, updated, deleted or
+ * restored a resource, with a field-level diff of each change. HODs and
+ * Managers only.
+ *
+ * Backend Reference:
+ * - Controller: backend/controllers/auditControllers.js
+ * - Validators: backend/middlewares/validators/auditValidators.js
+ *
+ * Endpoints:
+ * - getAuditLogs: Query audit log entries
+ */
+export const auditApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /**
+     * Get audit log entries with pagination and filters
+     * @param {Object} params - Query parameters
+     * @param {number} params.page - Page number (default: 1)
+     * @param {number} params.limit - Items per page (default: 20)
+     * @param {string} params.action - Filter by action
+     * @param {string} params.resourceModel - Filter by resource type
+     * @param {string} params.resourceId - Filter by resource
+     * @param {string} params.actorId - Filter by the user who made the change
+     * @param {string} params.departmentId - Filter by department
+     * @param {string} params.from - Entries at or after this ISO date
+     * @param {string} params.to - Entries at or before this ISO date
+     * @returns {Object} Paginated audit log entries
+     */
+    getAuditLogs: builder.query({
+      query: (params) => ({
+        url: API_ENDPOINTS.AUDIT,
+        params,
+      }),
+      transformResponse: (response) => ({
+        auditLogs: response.auditLogs,
+        pagination: response.pagination,
+      }),
+      providesTags: [{ type: "AuditLog", id: "LIST" }],
+    }),
+  }),
+});
+
+export const { useGetAuditLogsQuery } = auditApi;
@@ -45,6 +45,60 @@ export const loginUser = createAsyncThunk(
   }
 );
 
+export const setupTwoFactorLogin = createAsyncThunk(
+  "auth/setupTwoFactor",
+  async (challengeToken, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        API_ENDPOINTS.AUTH.TWO_FACTOR_SETUP,
+        { challengeToken }
+      );
+      return response.data;
+    } catch (error) {
+      // Return full error object from backend with HTTP status code
+      if (error.response?.data) {
+        return rejectWithValue({
+          ...error.response.data,
+          statusCode: error.response.status,
+        });
+      }
+      // Network error fallback
+      return rejectWithValue({
+        message: error.message || "Two-factor setup failed",
+        errorCode: "NETWORK_ERROR",
+        statusCode: 0,
+      });
+    }
+  }
+);
+
+export const verifyTwoFactorLogin = createAsyncThunk(
+  "auth/verifyTwoFactor",
+  async (verification, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        API_ENDPOINTS.AUTH.TWO_FACTOR_VERIFY,
+        verification
+      );
+      return response.data;
+    } catch (error) {
+      // Return full error object from backend with HTTP status code
+      if (error.response?.data) {
+        return rejectWithValue({
+          ...error.response.data,
+          statusCode: error.response.status,
+        });
+      }
+      // Network error fallback
+      return rejectWithValue({
+        message: error.message || "Two-factor verification failed",
+        errorCode: "NETWORK_ERROR",
+        statusCode: 0,
+      });
+    }
+  }
+);
+
 export const logoutUser = createAsyncThunk(
   "auth/logout",
   async (_, { rejectWithValue, dispatch }) => {
@@ -7,6 +7,7 @@ import {
   forgotPassword,
   resetPassword,
   refreshToken,
+  verifyTwoFactorLogin,
 } from "./authApi";
 
 const initialState = {
@@ -50,14 +51,33 @@ const authSlice = createSlice({
       .addCase(loginUser.fulfilled, (state, action) => {
         // console.log("action", action.payload.user);
         state.isLoading = false;
+        state.error = null;
+        // Password accepted but a second factor is still needed
+        if (action.payload.twoFactorRequired) return;
         state.user = action.payload.user;
         state.isAuthenticated = true;
-        state.error = null;
       })
       .addCase(loginUser.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload;
       })
+      // Two-factor second step
+      .addCase(verifyTwoFactorLogin.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactorLogin.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.error = null;
+        // New recovery codes are shown first; LoginForm sets credentials after
+        if (action.payload.recoveryCodes) return;
+        state.user = action.payload.user;
+        state.isAuthenticated = true;
+      })
+      .addCase(verifyTwoFactorLogin.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
       // Logout
       .addCase(logoutUser.pending, (state) => {
         state.isLoading = true;
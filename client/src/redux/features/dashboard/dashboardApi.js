@@ -0,0 +1,45 @@
+// client/src/redux/features/dashboard/dashboardApi.js
+import { apiSlice } from "../api";
+import { API_ENDPOINTS } from "../../../utils/constants";
+
+/**
+ * Dashboard API Slice
+ *
+ * RTK Query API slice for dashboard analytics.
+ * Results are tied to the task list tags so task and activity mutations
+ * (and their socket events) refresh the dashboard automatically.
+ *
+ * Backend Reference:
+ * - Controller: backend/controllers/dashboardControllers.js
+ * - Validators: backend/middlewares/validators/dashboardValidators.js
+ *
+ * Endpoints:
+ * - getDashboard: Task distribution, due/overdue tasks, throughput and material spend
+ */
+export const dashboardApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /**
+     * Get dashboard analytics for the current user's scope
+     * @param {Object} params - Query parameters
+     * @param {string} params.departmentId - Department filter (HODs only)
+     * @param {number} params.months - Months of history for trends (default: 6)
+     * @returns {Object} Dashboard analytics
+     * Backend response: { success, message, dashboard }
+     */
+    getDashboard: builder.query({
+      query: (params) => ({
+        url: API_ENDPOINTS.DASHBOARD,
+        params,
+      }),
+      transformResponse: (response) => response.dashboard,
+      providesTags: [
+        { type: "Dashboard", id: "SUMMARY" },
+        { type: "Task", id: "LIST" },
+        { type: "TaskActivity", id: "LIST" },
+      ],
+    }),
+  }),
+});
+
+// Export hooks for usage in components
+export const { useGetDashboardQuery } = dashboardApi;
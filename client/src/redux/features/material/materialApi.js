@@ -19,6 +19,9 @@ import { API_ENDPOINTS } from "../../../utils/constants";
  * - updateMaterial: Update material details
  * - deleteMaterial: Soft delete material (with unlinking)
  * - restoreMaterial: Restore soft-deleted material (with relinking)
+ * - getMaterialMovements: List inventory ledger entries for a material
+ * - createMaterialMovement: Record a receipt, adjustment or transfer
+ * - updateMaterialStock: Set a department's reorder threshold
  */
 
 export const materialApi = apiSlice.injectEndpoints({
@@ -36,6 +39,7 @@ export const materialApi = apiSlice.injectEndpoints({
      * @param {number} params.priceMax - Maximum price filter
      * @param {string} params.sortBy - Sort field (default: createdAt)
      * @param {string} params.sortOrder - Sort order: asc/desc (default: desc)
+     * @param {boolean} params.lowStock - Only materials at or below their reorder threshold
      * @returns {Object} Paginated materials list
      */
     getMaterials: builder.query({
@@ -158,6 +162,77 @@ export const materialApi = apiSlice.injectEndpoints({
         { type: "TaskActivity", id: "LIST" },
       ],
     }),
+
+    /**
+     * Get inventory ledger entries for a material
+     * @param {Object} params - Query parameters
+     * @param {string} params.materialId - Material ID
+     * @param {number} params.page - Page number (default: 1)
+     * @param {number} params.limit - Items per page (default: 20)
+     * @param {string} params.departmentId - Filter by department
+     * @param {string} params.type - Filter by movement type
+     * @param {string} params.from - Created on or after (ISO date)
+     * @param {string} params.to - Created on or before (ISO date)
+     * @returns {Object} { movements: [], pagination: {} }
+     */
+    getMaterialMovements: builder.query({
+      query: ({ materialId, ...params }) => ({
+        url: `${API_ENDPOINTS.MATERIALS}/${materialId}/movements`,
+        params,
+      }),
+      transformResponse: (response) => ({
+        movements: response.movements,
+        pagination: response.pagination,
+      }),
+      providesTags: (result, error, { materialId }) => [
+        { type: "Material", id: `${materialId}-MOVEMENTS` },
+      ],
+    }),
+
+    /**
+     * Record a stock receipt, adjustment or inter-department transfer
+     * @param {Object} params - Movement parameters
+     * @param {string} params.materialId - Material ID
+     * @param {string} params.type - Receipt, Adjustment or Transfer
+     * @param {number} params.quantity - Quantity (signed for adjustments)
+     * @param {string} params.departmentId - Department holding the stock (optional)
+     * @param {string} params.toDepartmentId - Destination department (Transfer)
+     * @param {string} params.note - Note (optional)
+     * @returns {Object} { movements, stock }
+     */
+    createMaterialMovement: builder.mutation({
+      query: ({ materialId, ...data }) => ({
+        url: `${API_ENDPOINTS.MATERIALS}/${materialId}/movements`,
+        method: "POST",
+        body: data,
+      }),
+      invalidatesTags: (result, error, { materialId }) => [
+        { type: "Material", id: materialId },
+        { type: "Material", id: `${materialId}-MOVEMENTS` },
+        { type: "Material", id: "LIST" },
+      ],
+    }),
+
+    /**
+     * Set the reorder threshold for a department's stock of a material
+     * @param {Object} params - Stock parameters
+     * @param {string} params.materialId - Material ID
+     * @param {number} params.reorderThreshold - Threshold (0 disables alerts)
+     * @param {string} params.departmentId - Department (optional)
+     * @returns {Object} Updated stock summary
+     */
+    updateMaterialStock: builder.mutation({
+      query: ({ materialId, ...data }) => ({
+        url: `${API_ENDPOINTS.MATERIALS}/${materialId}/stock`,
+        method: "PUT",
+        body: data,
+      }),
+      transformResponse: (response) => response.stock,
+      invalidatesTags: (result, error, { materialId }) => [
+        { type: "Material", id: materialId },
+        { type: "Material", id: "LIST" },
+      ],
+    }),
   }),
 });
 
@@ -169,4 +244,7 @@ export const {
   useUpdateMaterialMutation,
   useDeleteMaterialMutation,
   useRestoreMaterialMutation,
+  useGetMaterialMovementsQuery,
+  useCreateMaterialMovementMutation,
+  useUpdateMaterialStockMutation,
 } = materialApi;
@@ -9,6 +9,7 @@ const initialState = {
     departmentId: "",
     priceMin: "",
     priceMax: "",
+    lowStock: false,
     deleted: false,
   },
   pagination: {
@@ -16,8 +16,11 @@ import { API_ENDPOINTS } from "../../../utils/constants";
  * - getNotifications: List notifications with pagination and filters
  * - getNotificationById: Get single notification details
  * - markAsRead: Mark notification as read
- * - markAllAsRead: Mark all notifications as read
- * - deleteNotification: Soft delete notification
+ * - markAllAsRead: Mark all notifications as read, optionally filtered
+ * - markAsUnread: Mark several notifications as unread
+ * - archiveNotifications: Archive (dismiss) several notifications
+ * - unarchiveNotifications: Move archived notifications back to the inbox
+ * - deleteNotification: Delete the current user's copy of a notification
  * - getUnreadCount: Get count of unread notifications
  */
 
@@ -31,6 +34,7 @@ export const notificationApi = apiSlice.injectEndpoints({
      * @param {boolean} params.unreadOnly - Show only unread notifications
      * @param {string} params.type - Filter by notification type
      * @param {boolean} params.deleted - Include deleted notifications
+     * @param {boolean} params.archived - List archived notifications instead of the inbox
      * @param {string} params.sortBy - Sort field (default: sentAt)
      * @param {string} params.sortOrder - Sort order: asc/desc (default: desc)
      * @returns {Object} Paginated notifications list
@@ -110,12 +114,17 @@ export const notificationApi = apiSlice.injectEndpoints({
 
     /**
      * Mark all notifications as read
-     * @returns {Object} Update confirmation
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.type - Only notifications of this type
+     * @param {string} filters.entityModel - Only notifications about this entity model
+     * @param {string} filters.before - Only notifications sent before this ISO date
+     * @returns {Object} {count} of notifications marked as read
      */
     markAllAsRead: builder.mutation({
-      query: () => ({
+      query: (filters = {}) => ({
         url: `${API_ENDPOINTS.NOTIFICATIONS}/read-all`,
         method: "PATCH",
+        body: filters,
       }),
       transformResponse: (response) => response.notification,
       invalidatesTags: [
@@ -125,9 +134,66 @@ export const notificationApi = apiSlice.injectEndpoints({
     }),
 
     /**
-     * Soft delete notification
+     * Mark several notifications as unread
+     * @param {Array<string>} notificationIds - Notification IDs
+     * @returns {Object} {count} of notifications marked as unread
+     */
+    markAsUnread: builder.mutation({
+      query: (notificationIds) => ({
+        url: `${API_ENDPOINTS.NOTIFICATIONS}/unread`,
+        method: "PATCH",
+        body: { notificationIds },
+      }),
+      transformResponse: (response) => response.notification,
+      invalidatesTags: (result, error, notificationIds) => [
+        ...notificationIds.map((id) => ({ type: "Notification", id })),
+        { type: "Notification", id: "LIST" },
+        { type: "Notification", id: "UNREAD_COUNT" },
+      ],
+    }),
+
+    /**
+     * Archive (dismiss) several notifications for the current user
+     * @param {Array<string>} notificationIds - Notification IDs
+     * @returns {Object} {count} of notifications archived
+     */
+    archiveNotifications: builder.mutation({
+      query: (notificationIds) => ({
+        url: `${API_ENDPOINTS.NOTIFICATIONS}/archive`,
+        method: "PATCH",
+        body: { notificationIds },
+      }),
+      transformResponse: (response) => response.notification,
+      invalidatesTags: (result, error, notificationIds) => [
+        ...notificationIds.map((id) => ({ type: "Notification", id })),
+        { type: "Notification", id: "LIST" },
+        { type: "Notification", id: "UNREAD_COUNT" },
+      ],
+    }),
+
+    /**
+     * Move several archived notifications back to the inbox
+     * @param {Array<string>} notificationIds - Notification IDs
+     * @returns {Object} {count} of notifications unarchived
+     */
+    unarchiveNotifications: builder.mutation({
+      query: (notificationIds) => ({
+        url: `${API_ENDPOINTS.NOTIFICATIONS}/unarchive`,
+        method: "PATCH",
+        body: { notificationIds },
+      }),
+      transformResponse: (response) => response.notification,
+      invalidatesTags: (result, error, notificationIds) => [
+        ...notificationIds.map((id) => ({ type: "Notification", id })),
+        { type: "Notification", id: "LIST" },
+        { type: "Notification", id: "UNREAD_COUNT" },
+      ],
+    }),
+
+    /**
+     * Delete the current user's copy of a notification
      * @param {string} notificationId - Notification ID
-     * @returns {Object} Deletion confirmation
+     * @returns {Object} Deleted notification ID
      */
     deleteNotification: builder.mutation({
       query: (notificationId) => ({
@@ -138,6 +204,7 @@ export const notificationApi = apiSlice.injectEndpoints({
       invalidatesTags: (result, error, notificationId) => [
         { type: "Notification", id: notificationId },
         { type: "Notification", id: "LIST" },
+        { type: "Notification", id: "UNREAD_COUNT" },
       ],
     }),
 
@@ -166,6 +233,9 @@ export const {
   useGetNotificationByIdQuery,
   useMarkAsReadMutation,
   useMarkAllAsReadMutation,
+  useMarkAsUnreadMutation,
+  useArchiveNotificationsMutation,
+  useUnarchiveNotificationsMutation,
   useDeleteNotificationMutation,
   useGetUnreadCountQuery,
 } = notificationApi;
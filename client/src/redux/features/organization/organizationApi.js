@@ -14,12 +14,11 @@ import { API_ENDPOINTS } from "../../../utils/constants";
  *
  * Endpoints:
  * - getOrganizations: List organizations with pagination and filters
- * - getOrganizationById: Get single organization details
+ * - getOrganizationById: Get single organization details with dashboard stats
  * - createOrganization: Create new organization
  * - updateOrganization: Update organization details
  * - deleteOrganization: Soft delete organization
  * - restoreOrganization: Restore soft-deleted organization
- * - getOrganizationDashboard: Get organization dashboard with stats
  */
 
 export const organizationApi = apiSlice.injectEndpoints({
@@ -58,9 +57,9 @@ export const organizationApi = apiSlice.injectEndpoints({
     }),
 
     /**
-     * Get single organization by ID
+     * Get single organization by ID with dashboard statistics
      * @param {string} organizationId - Organization ID
-     * @returns {Object} Organization details
+     * @returns {Object} Organization details with stats (users, departments, tasks, projectCosts, materialSpend, vendors)
      */
     getOrganizationById: builder.query({
       query: (organizationId) =>
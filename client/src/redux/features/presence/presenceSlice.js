@@ -0,0 +1,52 @@
+// client/src/redux/features/presence/presenceSlice.js
+import { createSlice } from "@reduxjs/toolkit";
+
+const initialState = {
+  // userId -> { status, lastSeen }
+  byUserId: {},
+  // taskId -> [{ _id, firstName, lastName, profilePicture, typing }]
+  taskViewers: {},
+};
+
+const presenceSlice = createSlice({
+  name: "presence",
+  initialState,
+  reducers: {
+    setPresenceSnapshot: (state, action) => {
+      state.byUserId = Object.fromEntries(
+        action.payload.map(({ userId, status, lastSeen }) => [
+          userId,
+          { status, lastSeen },
+        ])
+      );
+    },
+    updatePresence: (state, action) => {
+      const { userId, status, lastSeen } = action.payload;
+      state.byUserId[userId] = { status, lastSeen };
+    },
+    setTaskViewers: (state, action) => {
+      state.taskViewers[action.payload.taskId] = action.payload.viewers;
+    },
+    clearTaskViewers: (state, action) => {
+      delete state.taskViewers[action.payload];
+    },
+    clearPresence: () => initialState,
+  },
+});
+
+export const {
+  setPresenceSnapshot,
+  updatePresence,
+  setTaskViewers,
+  clearTaskViewers,
+  clearPresence,
+} = presenceSlice.actions;
+
+// Selectors
+const EMPTY_VIEWERS = [];
+
+export const selectPresenceByUserId = (state) => state.presence.byUserId;
+export const selectTaskViewers = (taskId) => (state) =>
+  state.presence.taskViewers[taskId] || EMPTY_VIEWERS;
+
+export default presenceSlice.reducer;
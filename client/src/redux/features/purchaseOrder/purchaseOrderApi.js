@@ -0,0 +1,192 @@
+// client/src/redux/features/purchaseOrder/purchaseOrderApi.js
+import { apiSlice } from "../api";
+import { API_ENDPOINTS } from "../../../utils/constants";
+
+/**
+ * Purchase Order API Slice
+ *
+ * RTK Query API slice for purchase order endpoints.
+ * Provides hooks for CRUD operations and the Draft -> Approved -> Ordered ->
+ * Received workflow. Receiving an order adds its items to material stock.
+ *
+ * Backend Reference:
+ * - Controller: backend/controllers/purchaseOrderControllers.js
+ * - Validators: backend/middlewares/validators/purchaseOrderValidators.js
+ *
+ * Endpoints:
+ * - getPurchaseOrders: List purchase orders with pagination and filters
+ * - getPurchaseOrderById: Get single purchase order details
+ * - createPurchaseOrder: Create draft purchase order
+ * - updatePurchaseOrder: Update draft purchase order
+ * - transitionPurchaseOrder: Approve, order, receive or cancel
+ * - deletePurchaseOrder: Soft delete draft or cancelled purchase order
+ * - restorePurchaseOrder: Restore soft-deleted purchase order
+ */
+
+// Workflow action path for each target status
+const TRANSITION_ACTIONS = {
+  Approved: "approve",
+  Ordered: "order",
+  Received: "receive",
+  Cancelled: "cancel",
+};
+
+export const purchaseOrderApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /**
+     * Get all purchase orders with pagination and filters
+     * @param {Object} params - Query parameters
+     * @param {number} params.page - Page number (default: 1)
+     * @param {number} params.limit - Items per page (default: 10)
+     * @param {string} params.search - Search term for order number
+     * @param {string} params.status - Filter by status
+     * @param {string} params.vendorId - Filter by vendor
+     * @param {string} params.departmentId - Filter by department
+     * @param {boolean} params.deleted - Only deleted purchase orders
+     * @param {string} params.sortBy - Sort field (default: createdAt)
+     * @param {string} params.sortOrder - Sort order: asc/desc (default: desc)
+     * @returns {Object} Paginated purchase orders list
+     */
+    getPurchaseOrders: builder.query({
+      query: (params) => ({
+        url: API_ENDPOINTS.PURCHASE_ORDERS,
+        params,
+      }),
+      transformResponse: (response) => ({
+        purchaseOrders: response.purchaseOrders,
+        pagination: response.pagination,
+      }),
+      providesTags: (result) =>
+        result?.purchaseOrders
+          ? [
+              ...result.purchaseOrders.map(({ _id }) => ({
+                type: "PurchaseOrder",
+                id: _id,
+              })),
+              { type: "PurchaseOrder", id: "LIST" },
+            ]
+          : [{ type: "PurchaseOrder", id: "LIST" }],
+    }),
+
+    /**
+     * Get single purchase order with vendor, line items and workflow history
+     * @param {string} purchaseOrderId - Purchase order ID
+     * @returns {Object} Purchase order details
+     */
+    getPurchaseOrderById: builder.query({
+      query: (purchaseOrderId) =>
+        `${API_ENDPOINTS.PURCHASE_ORDERS}/${purchaseOrderId}`,
+      transformResponse: (response) => response.purchaseOrder,
+      providesTags: (result, error, id) => [{ type: "PurchaseOrder", id }],
+    }),
+
+    /**
+     * Create draft purchase order
+     * @param {Object} data - Purchase order data
+     * @param {string} data.vendorId - Vendor ID
+     * @param {Array} data.items - [{ materialId, quantity, unitPrice? }]
+     * @param {string} data.currency - Currency code (optional)
+     * @param {string} data.expectedDate - Expected delivery date (optional)
+     * @param {string} data.notes - Notes (optional)
+     * @returns {Object} Created purchase order
+     */
+    createPurchaseOrder: builder.mutation({
+      query: (data) => ({
+        url: API_ENDPOINTS.PURCHASE_ORDERS,
+        method: "POST",
+        body: data,
+      }),
+      transformResponse: (response) => response.purchaseOrder,
+      invalidatesTags: [{ type: "PurchaseOrder", id: "LIST" }],
+    }),
+
+    /**
+     * Update draft purchase order
+     * @param {Object} params - Update parameters
+     * @param {string} params.purchaseOrderId - Purchase order ID
+     * @param {string} params.vendorId - Updated vendor ID (optional)
+     * @param {Array} params.items - Updated line items (optional)
+     * @returns {Object} Updated purchase order
+     */
+    updatePurchaseOrder: builder.mutation({
+      query: ({ purchaseOrderId, ...data }) => ({
+        url: `${API_ENDPOINTS.PURCHASE_ORDERS}/${purchaseOrderId}`,
+        method: "PUT",
+        body: data,
+      }),
+      transformResponse: (response) => response.purchaseOrder,
+      invalidatesTags: (result, error, { purchaseOrderId }) => [
+        { type: "PurchaseOrder", id: purchaseOrderId },
+        { type: "PurchaseOrder", id: "LIST" },
+      ],
+    }),
+
+    /**
+     * Move a purchase order to its next status
+     * @param {Object} params - Transition parameters
+     * @param {string} params.purchaseOrderId - Purchase order ID
+     * @param {string} params.status - Approved, Ordered, Received or Cancelled
+     * @param {string} params.note - Note (optional)
+     * @returns {Object} Updated purchase order
+     */
+    transitionPurchaseOrder: builder.mutation({
+      query: ({ purchaseOrderId, status, note }) => ({
+        url: `${API_ENDPOINTS.PURCHASE_ORDERS}/${purchaseOrderId}/${TRANSITION_ACTIONS[status]}`,
+        method: "POST",
+        body: note ? { note } : {},
+      }),
+      transformResponse: (response) => response.purchaseOrder,
+      invalidatesTags: (result, error, { purchaseOrderId, status }) => [
+        { type: "PurchaseOrder", id: purchaseOrderId },
+        { type: "PurchaseOrder", id: "LIST" },
+        // Receiving adds stock
+        ...(status === "Received" ? [{ type: "Material", id: "LIST" }] : []),
+      ],
+    }),
+
+    /**
+     * Soft delete draft or cancelled purchase order
+     * @param {string} purchaseOrderId - Purchase order ID
+     * @returns {Object} Deletion confirmation
+     */
+    deletePurchaseOrder: builder.mutation({
+      query: (purchaseOrderId) => ({
+        url: `${API_ENDPOINTS.PURCHASE_ORDERS}/${purchaseOrderId}`,
+        method: "DELETE",
+      }),
+      transformResponse: (response) => response.purchaseOrder,
+      invalidatesTags: (result, error, purchaseOrderId) => [
+        { type: "PurchaseOrder", id: purchaseOrderId },
+        { type: "PurchaseOrder", id: "LIST" },
+      ],
+    }),
+
+    /**
+     * Restore soft-deleted purchase order
+     * @param {string} purchaseOrderId - Purchase order ID
+     * @returns {Object} Restored purchase order
+     */
+    restorePurchaseOrder: builder.mutation({
+      query: (purchaseOrderId) => ({
+        url: `${API_ENDPOINTS.PURCHASE_ORDERS}/${purchaseOrderId}/restore`,
+        method: "PATCH",
+      }),
+      transformResponse: (response) => response.purchaseOrder,
+      invalidatesTags: (result, error, purchaseOrderId) => [
+        { type: "PurchaseOrder", id: purchaseOrderId },
+        { type: "PurchaseOrder", id: "LIST" },
+      ],
+    }),
+  }),
+});
+
+// Export hooks for usage in components
+export const {
+  useGetPurchaseOrdersQuery,
+  useGetPurchaseOrderByIdQuery,
+  useCreatePurchaseOrderMutation,
+  useUpdatePurchaseOrderMutation,
+  useTransitionPurchaseOrderMutation,
+  useDeletePurchaseOrderMutation,
+  useRestorePurchaseOrderMutation,
+} = purchaseOrderApi;
@@ -0,0 +1,68 @@
+// client/src/redux/features/purchaseOrder/purchaseOrderSlice.js
+import { createSlice } from "@reduxjs/toolkit";
+import { PAGINATION } from "../../../utils/constants";
+
+const initialState = {
+  filters: {
+    search: "",
+    status: "",
+    vendorId: "",
+    departmentId: "",
+    deleted: false,
+  },
+  pagination: {
+    page: PAGINATION.DEFAULT_PAGE,
+    limit: PAGINATION.DEFAULT_LIMIT,
+    sortBy: PAGINATION.DEFAULT_SORT_BY,
+    sortOrder: PAGINATION.DEFAULT_SORT_ORDER,
+  },
+  selectedId: null,
+};
+
+const purchaseOrderSlice = createSlice({
+  name: "purchaseOrder",
+  initialState,
+  reducers: {
+    setFilters: (state, action) => {
+      state.filters = { ...state.filters, ...action.payload };
+      state.pagination.page = PAGINATION.DEFAULT_PAGE;
+    },
+    clearFilters: (state) => {
+      state.filters = initialState.filters;
+      state.pagination.page = PAGINATION.DEFAULT_PAGE;
+    },
+    setPage: (state, action) => {
+      state.pagination.page = action.payload;
+    },
+    setLimit: (state, action) => {
+      state.pagination.limit = action.payload;
+      state.pagination.page = PAGINATION.DEFAULT_PAGE;
+    },
+    setSortBy: (state, action) => {
+      state.pagination.sortBy = action.payload.sortBy;
+      state.pagination.sortOrder = action.payload.sortOrder;
+    },
+    setSelectedId: (state, action) => {
+      state.selectedId = action.payload;
+    },
+  },
+});
+
+export const {
+  setFilters,
+  clearFilters,
+  setPage,
+  setLimit,
+  setSortBy,
+  setSelectedId,
+} = purchaseOrderSlice.actions;
+
+// Selectors
+export const selectPurchaseOrderFilters = (state) =>
+  state.purchaseOrder.filters;
+export const selectPurchaseOrderPagination = (state) =>
+  state.purchaseOrder.pagination;
+export const selectSelectedPurchaseOrderId = (state) =>
+  state.purchaseOrder.selectedId;
+
+export default purchaseOrderSlice.reducer;
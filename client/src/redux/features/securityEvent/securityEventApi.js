@@ -0,0 +1,47 @@
+// client/src/redux/features/securityEvent/securityEventApi.js
+import { apiSlice } from "../api";
+import { API_ENDPOINTS } from "../../../utils/constants";
+
+/**
+ * Security Event API Slice
+ *
+ * RTK Query API slice for the security event log: sign-ins, failed attempts,
+ * account lockouts, password resets and role changes. SuperAdmins only.
+ *
+ * Backend Reference:
+ * - Controller: backend/controllers/securityEventControllers.js
+ * - Validators: backend/middlewares/validators/securityEventValidators.js
+ *
+ * Endpoints:
+ * - getSecurityEvents: Query the security event log
+ */
+export const securityEventApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /**
+     * Get security events with pagination and filters
+     * @param {Object} params - Query parameters
+     * @param {number} params.page - Page number (default: 1)
+     * @param {number} params.limit - Items per page (default: 20)
+     * @param {string} params.type - Filter by event type
+     * @param {string} params.userId - Filter by user
+     * @param {string} params.search - Filter by email
+     * @param {string} params.ip - Filter by IP address
+     * @param {string} params.from - Events at or after this ISO date
+     * @param {string} params.to - Events at or before this ISO date
+     * @returns {Object} Paginated security events
+     */
+    getSecurityEvents: builder.query({
+      query: (params) => ({
+        url: API_ENDPOINTS.SECURITY_EVENTS,
+        params,
+      }),
+      transformResponse: (response) => ({
+        securityEvents: response.securityEvents,
+        pagination: response.pagination,
+      }),
+      providesTags: [{ type: "SecurityEvent", id: "LIST" }],
+    }),
+  }),
+});
+
+export const { useGetSecurityEventsQuery } = securityEventApi;
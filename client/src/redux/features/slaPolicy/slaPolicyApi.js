@@ -0,0 +1,105 @@
+// client/src/redux/features/slaPolicy/slaPolicyApi.js
+import { apiSlice } from "../api";
+import { API_ENDPOINTS } from "../../../utils/constants";
+
+/**
+ * SLA Policy API Slice
+ *
+ * RTK Query API slice for SLA policies: per priority, how soon tasks must be
+ * started and completed and how breaches are escalated, organization-wide or
+ * for a department. Changing a policy recounts the deadlines of open tasks
+ * not yet breached.
+ *
+ * Backend Reference:
+ * - Controller: backend/controllers/slaPolicyControllers.js
+ * - Validators: backend/middlewares/validators/slaPolicyValidators.js
+ * - Evaluator: backend/services/slaEvaluator.js
+ *
+ * Endpoints:
+ * - getSlaPolicies: Organization-wide policies and a department's own
+ * - createSlaPolicy: Create a priority's policy
+ * - updateSlaPolicy: Change a policy's times or escalation
+ * - deleteSlaPolicy: Delete a policy
+ */
+
+// Policy changes move the SLA deadlines of open tasks
+const invalidatePolicies = [
+  { type: "SlaPolicy", id: "LIST" },
+  { type: "Task", id: "LIST" },
+];
+
+export const slaPolicyApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /**
+     * Get SLA policies
+     * @param {Object} params
+     * @param {string} params.departmentId - Department (default: the user's)
+     * @returns {Array} Organization-wide policies first, then the department's
+     */
+    getSlaPolicies: builder.query({
+      query: (params = {}) => ({
+        url: API_ENDPOINTS.SLA_POLICIES,
+        params,
+      }),
+      transformResponse: (response) => response.policies,
+      providesTags: [{ type: "SlaPolicy", id: "LIST" }],
+    }),
+
+    /**
+     * Create an SLA policy
+     * @param {Object} { departmentId, priority, responseMinutes, resolutionMinutes, raisePriority, notifyHods, isActive }
+     * @returns {Object} Created policy and the number of open tasks it governs
+     */
+    createSlaPolicy: builder.mutation({
+      query: (body) => ({
+        url: API_ENDPOINTS.SLA_POLICIES,
+        method: "POST",
+        body,
+      }),
+      transformResponse: (response) => ({
+        policy: response.policy,
+        tasksUpdated: response.tasksUpdated,
+      }),
+      invalidatesTags: invalidatePolicies,
+    }),
+
+    /**
+     * Update an SLA policy
+     * @param {Object} { policyId, responseMinutes, resolutionMinutes, raisePriority, notifyHods, isActive }
+     * @returns {Object} Updated policy and the number of open tasks updated
+     */
+    updateSlaPolicy: builder.mutation({
+      query: ({ policyId, ...body }) => ({
+        url: `${API_ENDPOINTS.SLA_POLICIES}/${policyId}`,
+        method: "PUT",
+        body,
+      }),
+      transformResponse: (response) => ({
+        policy: response.policy,
+        tasksUpdated: response.tasksUpdated,
+      }),
+      invalidatesTags: invalidatePolicies,
+    }),
+
+    /**
+     * Delete an SLA policy
+     * @param {string} policyId - Policy ID
+     * @returns {Object} Deleted policy ID
+     */
+    deleteSlaPolicy: builder.mutation({
+      query: (policyId) => ({
+        url: `${API_ENDPOINTS.SLA_POLICIES}/${policyId}`,
+        method: "DELETE",
+      }),
+      transformResponse: (response) => response.policy,
+      invalidatesTags: invalidatePolicies,
+    }),
+  }),
+});
+
+export const {
+  useGetSlaPoliciesQuery,
+  useCreateSlaPolicyMutation,
+  useUpdateSlaPolicyMutation,
+  useDeleteSlaPolicyMutation,
+} = slaPolicyApi;
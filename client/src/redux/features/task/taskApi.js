@@ -2,6 +2,19 @@
 import { apiSlice } from "../api";
 import { API_ENDPOINTS } from "../../../utils/constants";
 
+// Fields the board, calendar and timeline change by dragging; applied to
+// cached lists before the server answers
+const OPTIMISTIC_TASK_FIELDS = [
+  "status",
+  "priority",
+  "startDate",
+  "dueDate",
+  "date",
+];
+
+// Cached queries holding task lists
+const TASK_LIST_QUERIES = ["getTasks", "getTaskSchedule"];
+
 /**
  * Task API Slice
  *
@@ -14,11 +27,18 @@ import { API_ENDPOINTS } from "../../../utils/constants";
  *
  * Endpoints:
  * - getTasks: List tasks with pagination and filters
+ * - getTaskSchedule: Tasks scheduled within a date window
  * - getTaskById: Get single task details
+ * - getTaskCalendar: Task as .ics text for "Add to calendar"
  * - createTask: Create new task
  * - updateTask: Update task details
  * - deleteTask: Soft delete task
  * - restoreTask: Restore soft-deleted task
+ * - addTaskDependency: Mark task as blocked by another task
+ * - removeTaskDependency: Remove a blocker from a task
+ * - addChecklistItem: Add checklist item (AssignedTask, ProjectTask)
+ * - updateChecklistItem: Update or check/uncheck checklist item
+ * - deleteChecklistItem: Remove checklist item
  * - getTaskActivities: List task activities
  * - getTaskActivityById: Get single activity details
  * - createTaskActivity: Create new activity
@@ -31,6 +51,12 @@ import { API_ENDPOINTS } from "../../../utils/constants";
  * - updateTaskComment: Update comment details
  * - deleteTaskComment: Soft delete comment
  * - restoreTaskComment: Restore soft-deleted comment
+ * - getRoutineTaskTemplates: List recurring RoutineTask templates
+ * - getRoutineTaskTemplateById: Get single template with recent occurrences
+ * - createRoutineTaskTemplate: Create new recurring template
+ * - updateRoutineTaskTemplate: Update template details or recurrence
+ * - deleteRoutineTaskTemplate: Soft delete template
+ * - restoreRoutineTaskTemplate: Restore soft-deleted template
  */
 export const taskApi = apiSlice.injectEndpoints({
   endpoints: (builder) => ({
@@ -76,6 +102,35 @@ export const taskApi = apiSlice.injectEndpoints({
           : [{ type: "Task", id: "LIST" }],
     }),
 
+    /**
+     * Get tasks scheduled within a date window (calendar and timeline)
+     * @param {Object} params - Query parameters
+     * @param {string} params.from - Window start (ISO date)
+     * @param {string} params.to - Window end (ISO date)
+     * @param {string} params.taskType - Filter by task type
+     * @param {string} params.status - Filter by status
+     * @param {string} params.departmentId - Department to show (HODs)
+     * @param {string} params.assigneeId - Filter by assignee
+     * @returns {Object} { tasks: [], truncated }
+     */
+    getTaskSchedule: builder.query({
+      query: (params) => ({
+        url: `${API_ENDPOINTS.TASKS}/schedule`,
+        params,
+      }),
+      transformResponse: (response) => ({
+        tasks: response.tasks,
+        truncated: response.truncated,
+      }),
+      providesTags: (result) =>
+        result?.tasks
+          ? [
+              ...result.tasks.map(({ _id }) => ({ type: "Task", id: _id })),
+              { type: "Task", id: "LIST" },
+            ]
+          : [{ type: "Task", id: "LIST" }],
+    }),
+
     /**
      * Get single task by ID with complete details including all activities, comments, attachments, assignees, vendor information, materials, and cost history
      * @param {string|Object} params - Task ID string or object with taskId and deleted flag
@@ -98,6 +153,21 @@ export const taskApi = apiSlice.injectEndpoints({
       },
     }),
 
+    /**
+     * Download a task as an iCalendar event
+     * @param {string} taskId - Task ID
+     * @returns {string} .ics file contents
+     */
+    getTaskCalendar: builder.query({
+      query: (taskId) => ({
+        url: `${API_ENDPOINTS.TASKS}/${taskId}/calendar.ics`,
+        // Errors still come back as JSON
+        responseHandler: (response) =>
+          response.ok ? response.text() : response.json(),
+      }),
+      keepUnusedDataFor: 0,
+    }),
+
     /**
      * Create new task of any type (RoutineTask, AssignedTask, ProjectTask) based on taskType field
      * @param {Object} taskData - Task data
@@ -146,6 +216,30 @@ export const taskApi = apiSlice.injectEndpoints({
         { type: "Task", id: taskId },
         { type: "Task", id: "LIST" },
       ],
+      // Optimistic update so dragged cards and bars move as soon as dropped
+      async onQueryStarted(
+        { taskId, ...updateData },
+        { dispatch, getState, queryFulfilled }
+      ) {
+        const changes = Object.fromEntries(
+          OPTIMISTIC_TASK_FIELDS.filter(
+            (field) => updateData[field] !== undefined
+          ).map((field) => [field, updateData[field]])
+        );
+        if (Object.keys(changes).length === 0) return;
+
+        const patchResults = patchCachedTask(
+          dispatch,
+          getState,
+          taskId,
+          changes
+        );
+        try {
+          await queryFulfilled;
+        } catch {
+          patchResults.forEach((patchResult) => patchResult.undo());
+        }
+      },
     }),
 
     /**
@@ -186,6 +280,96 @@ export const taskApi = apiSlice.injectEndpoints({
       ],
     }),
 
+    /**
+     * Mark a task as blocked by another task (cycles are rejected by the backend)
+     * @param {Object} { taskId, blockerId } - Task ID and blocking task ID
+     * @returns {Object} Updated task with blockers populated
+     */
+    addTaskDependency: builder.mutation({
+      query: ({ taskId, blockerId }) => ({
+        url: `${API_ENDPOINTS.TASKS}/${taskId}/dependencies`,
+        method: "POST",
+        body: { blockerId },
+      }),
+      transformResponse: (response) => response.task,
+      invalidatesTags: (_result, _error, { taskId, blockerId }) => [
+        { type: "Task", id: taskId },
+        { type: "Task", id: blockerId },
+      ],
+    }),
+
+    /**
+     * Remove a blocker from a task
+     * @param {Object} { taskId, blockerId } - Task ID and blocking task ID
+     * @returns {Object} Updated task with blockers populated
+     */
+    removeTaskDependency: builder.mutation({
+      query: ({ taskId, blockerId }) => ({
+        url: `${API_ENDPOINTS.TASKS}/${taskId}/dependencies/${blockerId}`,
+        method: "DELETE",
+      }),
+      transformResponse: (response) => response.task,
+      invalidatesTags: (_result, _error, { taskId, blockerId }) => [
+        { type: "Task", id: taskId },
+        { type: "Task", id: blockerId },
+      ],
+    }),
+
+    /**
+     * Add checklist item to an AssignedTask or ProjectTask
+     * @param {Object} { taskId, title, assigneeId?, dueDate? } - Task ID and item data
+     * @returns {Object} Updated task with checklist and progress
+     */
+    addChecklistItem: builder.mutation({
+      query: ({ taskId, ...itemData }) => ({
+        url: `${API_ENDPOINTS.TASKS}/${taskId}/checklist`,
+        method: "POST",
+        body: itemData,
+      }),
+      transformResponse: (response) => response.task,
+      invalidatesTags: (_result, _error, { taskId }) => [
+        { type: "Task", id: taskId },
+        { type: "Task", id: "LIST" },
+      ],
+    }),
+
+    /**
+     * Update checklist item; checking/unchecking logs a task activity
+     * @param {Object} { taskId, itemId, ...itemData } - IDs and changed fields
+     * (null assigneeId/dueDate clears the value)
+     * @returns {Object} Updated task with checklist and progress
+     */
+    updateChecklistItem: builder.mutation({
+      query: ({ taskId, itemId, ...itemData }) => ({
+        url: `${API_ENDPOINTS.TASKS}/${taskId}/checklist/${itemId}`,
+        method: "PUT",
+        body: itemData,
+      }),
+      transformResponse: (response) => response.task,
+      invalidatesTags: (_result, _error, { taskId }) => [
+        { type: "Task", id: taskId },
+        { type: "Task", id: "LIST" },
+        { type: "TaskActivity", id: "LIST" },
+      ],
+    }),
+
+    /**
+     * Remove checklist item
+     * @param {Object} { taskId, itemId } - Task ID and checklist item ID
+     * @returns {Object} Updated task with checklist and progress
+     */
+    deleteChecklistItem: builder.mutation({
+      query: ({ taskId, itemId }) => ({
+        url: `${API_ENDPOINTS.TASKS}/${taskId}/checklist/${itemId}`,
+        method: "DELETE",
+      }),
+      transformResponse: (response) => response.task,
+      invalidatesTags: (_result, _error, { taskId }) => [
+        { type: "Task", id: taskId },
+        { type: "Task", id: "LIST" },
+      ],
+    }),
+
     /**
      * Get list of activities for a task
      * @param {Object} { taskId, ...params } - Task ID and query parameters
@@ -417,18 +601,169 @@ export const taskApi = apiSlice.injectEndpoints({
         { type: "Task", id: taskId },
       ],
     }),
+
+    /**
+     * Get list of recurring RoutineTask templates
+     * @param {Object} params - Query parameters (page, limit, search, isActive, departmentId, deleted, sortBy, sortOrder)
+     * @returns {Object} { templates: [], pagination: {} }
+     */
+    getRoutineTaskTemplates: builder.query({
+      query: (params) => ({
+        url: `${API_ENDPOINTS.TASKS}/templates`,
+        params,
+      }),
+      transformResponse: (response) => ({
+        templates: response.templates,
+        pagination: response.pagination,
+      }),
+      providesTags: (result) =>
+        result?.templates
+          ? [
+              ...result.templates.map(({ _id }) => ({
+                type: "RoutineTaskTemplate",
+                id: _id,
+              })),
+              { type: "RoutineTaskTemplate", id: "LIST" },
+            ]
+          : [{ type: "RoutineTaskTemplate", id: "LIST" }],
+    }),
+
+    /**
+     * Get single RoutineTask template by ID
+     * @param {string} templateId - Template ID
+     * @returns {Object} { template, recentOccurrences }
+     */
+    getRoutineTaskTemplateById: builder.query({
+      query: (templateId) => ({
+        url: `${API_ENDPOINTS.TASKS}/templates/${templateId}`,
+      }),
+      transformResponse: (response) => ({
+        template: response.template,
+        recentOccurrences: response.recentOccurrences,
+      }),
+      providesTags: (_result, _error, templateId) => [
+        { type: "RoutineTaskTemplate", id: templateId },
+      ],
+    }),
+
+    /**
+     * Create recurring RoutineTask template
+     * @param {Object} templateData - Template data
+     * @param {string} templateData.title - Template title
+     * @param {string} templateData.description - Template description
+     * @param {string} templateData.priority - Priority for created tasks (optional)
+     * @param {Object} templateData.recurrence - { frequency, interval, weekdays, dayOfMonth, startDate, endDate, occurrenceCount }
+     * @param {Array} templateData.materials - Default materials [{materialId, quantity}] (optional)
+     * @param {Array} templateData.watcherIds - Watcher user IDs (optional)
+     * @param {Array} templateData.tags - Tags (optional)
+     * @returns {Object} Created template
+     */
+    createRoutineTaskTemplate: builder.mutation({
+      query: (templateData) => ({
+        url: `${API_ENDPOINTS.TASKS}/templates`,
+        method: "POST",
+        body: templateData,
+      }),
+      transformResponse: (response) => response.template,
+      invalidatesTags: [
+        { type: "RoutineTaskTemplate", id: "LIST" },
+        // The first occurrence may be created right away by the scheduler
+        { type: "Task", id: "LIST" },
+      ],
+    }),
+
+    /**
+     * Update RoutineTask template
+     * @param {Object} { templateId, ...updateData } - Template ID and update data
+     * @returns {Object} Updated template
+     */
+    updateRoutineTaskTemplate: builder.mutation({
+      query: ({ templateId, ...updateData }) => ({
+        url: `${API_ENDPOINTS.TASKS}/templates/${templateId}`,
+        method: "PUT",
+        body: updateData,
+      }),
+      transformResponse: (response) => response.template,
+      invalidatesTags: (_result, _error, { templateId }) => [
+        { type: "RoutineTaskTemplate", id: templateId },
+        { type: "RoutineTaskTemplate", id: "LIST" },
+      ],
+    }),
+
+    /**
+     * Soft delete RoutineTask template (stops future occurrences)
+     * @param {string} templateId - Template ID
+     * @returns {Object} Deleted template
+     */
+    deleteRoutineTaskTemplate: builder.mutation({
+      query: (templateId) => ({
+        url: `${API_ENDPOINTS.TASKS}/templates/${templateId}`,
+        method: "DELETE",
+      }),
+      transformResponse: (response) => response.template,
+      invalidatesTags: (_result, _error, templateId) => [
+        { type: "RoutineTaskTemplate", id: templateId },
+        { type: "RoutineTaskTemplate", id: "LIST" },
+      ],
+    }),
+
+    /**
+     * Restore soft-deleted RoutineTask template
+     * @param {string} templateId - Template ID
+     * @returns {Object} Restored template
+     */
+    restoreRoutineTaskTemplate: builder.mutation({
+      query: (templateId) => ({
+        url: `${API_ENDPOINTS.TASKS}/templates/${templateId}/restore`,
+        method: "PATCH",
+      }),
+      transformResponse: (response) => response.template,
+      invalidatesTags: (_result, _error, templateId) => [
+        { type: "RoutineTaskTemplate", id: templateId },
+        { type: "RoutineTaskTemplate", id: "LIST" },
+      ],
+    }),
   }),
 });
 
+/**
+ * Apply changes to a task in every cached task list and schedule
+ * @param {Function} dispatch - Store dispatch
+ * @param {Function} getState - Store getState
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Array} Patch results that can be undone
+ */
+export const patchCachedTask = (dispatch, getState, taskId, changes) =>
+  TASK_LIST_QUERIES.flatMap((endpointName) =>
+    taskApi.util
+      .selectCachedArgsForQuery(getState(), endpointName)
+      .map((args) =>
+        dispatch(
+          taskApi.util.updateQueryData(endpointName, args, (draft) => {
+            const task = draft.tasks?.find((t) => t._id === taskId);
+            if (task) Object.assign(task, changes);
+          })
+        )
+      )
+  );
+
 // Export hooks for usage in components
 export const {
   // Task hooks
   useGetTasksQuery,
+  useGetTaskScheduleQuery,
   useGetTaskByIdQuery,
+  useLazyGetTaskCalendarQuery,
   useCreateTaskMutation,
   useUpdateTaskMutation,
   useDeleteTaskMutation,
   useRestoreTaskMutation,
+  useAddTaskDependencyMutation,
+  useRemoveTaskDependencyMutation,
+  useAddChecklistItemMutation,
+  useUpdateChecklistItemMutation,
+  useDeleteChecklistItemMutation,
 
   // Task Activity hooks
   useGetTaskActivitiesQuery,
@@ -445,4 +780,12 @@ export const {
   useUpdateTaskCommentMutation,
   useDeleteTaskCommentMutation,
   useRestoreTaskCommentMutation,
+
+  // Routine Task Template hooks
+  useGetRoutineTaskTemplatesQuery,
+  useGetRoutineTaskTemplateByIdQuery,
+  useCreateRoutineTaskTemplateMutation,
+  useUpdateRoutineTaskTemplateMutation,
+  useDeleteRoutineTaskTemplateMutation,
+  useRestoreRoutineTaskTemplateMutation,
 } = taskApi;
@@ -4,7 +4,8 @@ import { PAGINATION } from "../../../utils/constants";
 
 /**
  * Initial state for task UI management
- * Handles filters, pagination, and selected task tracking
+ * Handles filters, pagination, selected task tracking and the board view
+ * settings (persisted)
  */
 const initialState = {
   filters: {
@@ -31,6 +32,12 @@ const initialState = {
     sortOrder: PAGINATION.DEFAULT_SORT_ORDER,
   },
   selectedTaskId: null,
+  board: {
+    view: "list",
+    swimlane: "none",
+    // Maximum tasks per status column; missing means no limit
+    wipLimits: {},
+  },
 };
 
 const taskSlice = createSlice({
@@ -90,6 +97,30 @@ const taskSlice = createSlice({
       state.selectedTaskId = action.payload;
     },
 
+    /**
+     * Switch between the card list and the board
+     * @param {string} action.payload - "list" or "board"
+     */
+    setTaskView: (state, action) => {
+      state.board.view = action.payload;
+    },
+
+    /**
+     * Group board rows by assignee or priority
+     * @param {string} action.payload - One of TASK_BOARD_SWIMLANES
+     */
+    setBoardSwimlane: (state, action) => {
+      state.board.swimlane = action.payload;
+    },
+
+    /**
+     * Replace the board's work-in-progress limits
+     * @param {Object} action.payload - Status to maximum task count
+     */
+    setWipLimits: (state, action) => {
+      state.board.wipLimits = action.payload;
+    },
+
     /**
      * Reset pagination to initial state
      */
@@ -114,6 +145,9 @@ export const {
   setLimit,
   setSortBy,
   setSelectedTaskId,
+  setTaskView,
+  setBoardSwimlane,
+  setWipLimits,
   resetPagination,
   resetTaskState,
 } = taskSlice.actions;
@@ -125,4 +159,5 @@ export default taskSlice.reducer;
 export const selectTaskFilters = (state) => state.task.filters;
 export const selectTaskPagination = (state) => state.task.pagination;
 export const selectSelectedTaskId = (state) => state.task.selectedTaskId;
+export const selectTaskBoard = (state) => state.task.board;
 export const selectTaskState = (state) => state.task;
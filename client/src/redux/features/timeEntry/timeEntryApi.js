@@ -0,0 +1,203 @@
+// client/src/redux/features/timeEntry/timeEntryApi.js
+import { apiSlice } from "../api";
+import { API_ENDPOINTS } from "../../../utils/constants";
+
+/**
+ * Time Entry API Slice
+ *
+ * RTK Query API slice for time tracking: start/stop timers and manual time
+ * entries per task, and weekly timesheets. Rates and costs are only returned
+ * to HODs.
+ *
+ * Backend Reference:
+ * - Controller: backend/controllers/timeEntryControllers.js
+ * - Validators: backend/middlewares/validators/timeEntryValidators.js
+ *
+ * Endpoints:
+ * - getTaskTimeEntries: Time logged on a task with per-user totals
+ * - startTimer: Start the current user's timer on a task
+ * - createTimeEntry: Log time on a task by hand
+ * - getRunningTimer: The current user's running timer, if any
+ * - stopTimer: Stop the running timer
+ * - updateTimeEntry: Correct a finished entry
+ * - deleteTimeEntry: Delete an entry or discard a running timer
+ * - getTimesheet: Weekly timesheet for the user, a user or a department
+ * - getTimesheetCsv: The same timesheet as CSV text
+ */
+
+// Anything that changes logged time refreshes the task's totals too
+const invalidateTaskTime = (taskId) => [
+  { type: "TimeEntry", id: "LIST" },
+  { type: "TimeEntry", id: "RUNNING" },
+  ...(taskId ? [{ type: "Task", id: taskId }] : [{ type: "Task", id: "LIST" }]),
+];
+
+export const timeEntryApi = apiSlice.injectEndpoints({
+  endpoints: (builder) => ({
+    /**
+     * Get time logged on a task
+     * @param {Object} params
+     * @param {string} params.taskId - Task ID
+     * @param {number} params.page - Page number (default: 1)
+     * @param {number} params.limit - Items per page (default: 10)
+     * @param {string} params.userId - Only this user's entries
+     * @returns {Object} entries, pagination, totals and the user's running timer
+     */
+    getTaskTimeEntries: builder.query({
+      query: ({ taskId, ...params }) => ({
+        url: `${API_ENDPOINTS.TASKS}/${taskId}/time-entries`,
+        params,
+      }),
+      transformResponse: (response) => ({
+        entries: response.entries,
+        pagination: response.pagination,
+        totals: response.totals,
+        running: response.running,
+      }),
+      providesTags: [
+        { type: "TimeEntry", id: "LIST" },
+        { type: "TimeEntry", id: "RUNNING" },
+      ],
+    }),
+
+    /**
+     * Start the current user's timer on a task
+     * @param {Object} { taskId, activityId, note }
+     * @returns {Object} Running time entry
+     */
+    startTimer: builder.mutation({
+      query: ({ taskId, ...body }) => ({
+        url: `${API_ENDPOINTS.TASKS}/${taskId}/time-entries/timer`,
+        method: "POST",
+        body,
+      }),
+      transformResponse: (response) => response.entry,
+      invalidatesTags: [
+        { type: "TimeEntry", id: "LIST" },
+        { type: "TimeEntry", id: "RUNNING" },
+      ],
+    }),
+
+    /**
+     * Log time on a task by hand
+     * @param {Object} { taskId, startedAt, durationMinutes, activityId, note }
+     * @returns {Object} Created time entry
+     */
+    createTimeEntry: builder.mutation({
+      query: ({ taskId, ...body }) => ({
+        url: `${API_ENDPOINTS.TASKS}/${taskId}/time-entries`,
+        method: "POST",
+        body,
+      }),
+      transformResponse: (response) => response.entry,
+      invalidatesTags: (_result, _error, { taskId }) =>
+        invalidateTaskTime(taskId),
+    }),
+
+    /**
+     * Get the current user's running timer
+     * @returns {Object|null} Running entry with its task
+     */
+    getRunningTimer: builder.query({
+      query: () => `${API_ENDPOINTS.TIME_ENTRIES}/running`,
+      transformResponse: (response) => response.entry,
+      providesTags: [{ type: "TimeEntry", id: "RUNNING" }],
+    }),
+
+    /**
+     * Stop the current user's running timer
+     * @param {Object} { taskId, note } - taskId refreshes that task's totals
+     * @returns {Object|null} Finished entry, or null when under a minute
+     */
+    stopTimer: builder.mutation({
+      query: ({ note } = {}) => ({
+        url: `${API_ENDPOINTS.TIME_ENTRIES}/running/stop`,
+        method: "POST",
+        body: { note },
+      }),
+      transformResponse: (response) => ({
+        entry: response.entry,
+        message: response.message,
+      }),
+      invalidatesTags: (_result, _error, { taskId } = {}) =>
+        invalidateTaskTime(taskId),
+    }),
+
+    /**
+     * Correct a finished time entry
+     * @param {Object} { entryId, taskId, startedAt, durationMinutes, activityId, note }
+     * @returns {Object} Updated entry
+     */
+    updateTimeEntry: builder.mutation({
+      // taskId only picks the task to refresh; it isn't sent
+      query: ({ entryId, ...body }) => ({
+        url: `${API_ENDPOINTS.TIME_ENTRIES}/${entryId}`,
+        method: "PUT",
+        body: { ...body, taskId: undefined },
+      }),
+      transformResponse: (response) => response.entry,
+      invalidatesTags: (_result, _error, { taskId }) =>
+        invalidateTaskTime(taskId),
+    }),
+
+    /**
+     * Delete a time entry or discard a running timer
+     * @param {Object} { entryId, taskId }
+     * @returns {Object} Deleted entry ID
+     */
+    deleteTimeEntry: builder.mutation({
+      query: ({ entryId }) => ({
+        url: `${API_ENDPOINTS.TIME_ENTRIES}/${entryId}`,
+        method: "DELETE",
+      }),
+      transformResponse: (response) => response.entry,
+      invalidatesTags: (_result, _error, { taskId }) =>
+        invalidateTaskTime(taskId),
+    }),
+
+    /**
+     * Get a weekly timesheet
+     * @param {Object} params
+     * @param {string} params.weekStart - First day, YYYY-MM-DD
+     * @param {string} params.userId - Another user's timesheet
+     * @param {string} params.departmentId - A department's timesheet
+     * @returns {Object} days, rows, dayTotals and totals
+     */
+    getTimesheet: builder.query({
+      query: (params) => ({
+        url: `${API_ENDPOINTS.TIME_ENTRIES}/timesheet`,
+        params,
+      }),
+      transformResponse: (response) => response.timesheet,
+      providesTags: [{ type: "TimeEntry", id: "LIST" }],
+    }),
+
+    /**
+     * Download a weekly timesheet as CSV
+     * @param {Object} params - Same as getTimesheet
+     * @returns {string} CSV text
+     */
+    getTimesheetCsv: builder.query({
+      query: (params) => ({
+        url: `${API_ENDPOINTS.TIME_ENTRIES}/timesheet`,
+        params: { ...params, format: "csv" },
+        // Errors still come back as JSON
+        responseHandler: (response) =>
+          response.ok ? response.text() : response.json(),
+      }),
+      keepUnusedDataFor: 0,
+    }),
+  }),
+});
+
+export const {
+  useGetTaskTimeEntriesQuery,
+  useStartTimerMutation,
+  useCreateTimeEntryMutation,
+  useGetRunningTimerQuery,
+  useStopTimerMutation,
+  useUpdateTimeEntryMutation,
+  useDeleteTimeEntryMutation,
+  useGetTimesheetQuery,
+  useLazyGetTimesheetCsvQuery,
+} = timeEntryApi;
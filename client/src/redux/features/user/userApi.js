@@ -20,7 +20,13 @@ import { API_ENDPOINTS } from "../../../utils/constants";
  * - deleteUser: Soft delete user
  * - restoreUser: Restore soft-deleted user
  * - updateProfile: Update own profile
- * - updateEmailPreferences: Update email notification preferences
+ * - updateEmailPreferences: Update email, in-app and digest preferences
+ * - getMySessions / revokeMySession / revokeMySessions: Manage own sign-ins
+ * - getMyTwoFactor / setupMyTwoFactor / enableMyTwoFactor / disableMyTwoFactor /
+ *   regenerateMyRecoveryCodes: Manage own two-factor sign-in
+ * - resetUserTwoFactor: SuperAdmin clears a user's two-factor
+ * - getMyCalendarFeed / createMyCalendarFeed / revokeMyCalendarFeed: Manage
+ *   own secret calendar feed URL
  * - sendBulkAnnouncement: Send bulk announcement to users
  */
 
@@ -243,7 +249,12 @@ export const userApi = apiSlice.injectEndpoints({
      * @param {boolean} params.announcements - Announcement notifications (optional)
      * @param {boolean} params.welcomeEmails - Welcome emails (optional)
      * @param {boolean} params.passwordReset - Password reset emails (optional)
-     * @returns {Object} Updated email preferences object
+     * @param {Object} params.inApp - In-app toggles per category (optional)
+     * @param {Object} params.digest - Digest toggles per category (optional)
+     * @param {Object} params.quietHours - {enabled, start, end} in HH:mm (optional)
+     * @param {Object} params.digestSchedule - {frequency, time, weekday} (optional)
+     * @param {string} params.timezone - IANA timezone for quiet hours (optional)
+     * @returns {Object} Updated email and notification preferences
      */
     updateEmailPreferences: builder.mutation({
       query: ({ userId, ...preferences }) => ({
@@ -260,7 +271,7 @@ export const userApi = apiSlice.injectEndpoints({
 
     /**
      * Get current user's email notification preferences
-     * @returns {Object} Current user's email preferences object
+     * @returns {Object} Current user's email and notification preferences
      */
     getMyEmailPreferences: builder.query({
       query: () => `${API_ENDPOINTS.USERS}/me/email-preferences`,
@@ -278,7 +289,12 @@ export const userApi = apiSlice.injectEndpoints({
      * @param {boolean} preferences.announcements - Announcement notifications (optional)
      * @param {boolean} preferences.welcomeEmails - Welcome emails (optional)
      * @param {boolean} preferences.passwordReset - Password reset emails (optional)
-     * @returns {Object} Updated email preferences object
+     * @param {Object} preferences.inApp - In-app toggles per category (optional)
+     * @param {Object} preferences.digest - Digest toggles per category (optional)
+     * @param {Object} preferences.quietHours - {enabled, start, end} in HH:mm (optional)
+     * @param {Object} preferences.digestSchedule - {frequency, time, weekday} (optional)
+     * @param {string} preferences.timezone - IANA timezone for quiet hours (optional)
+     * @returns {Object} Updated email and notification preferences
      */
     updateMyEmailPreferences: builder.mutation({
       query: (preferences) => ({
@@ -291,13 +307,165 @@ export const userApi = apiSlice.injectEndpoints({
     }),
 
     /**
-     * Send bulk announcement email to organization or department users
+     * Get current user's active sessions (one per signed-in device)
+     * @returns {Array} Sessions with device, ip, lastUsedAt and current flag
+     */
+    getMySessions: builder.query({
+      query: () => `${API_ENDPOINTS.USERS}/me/sessions`,
+      transformResponse: (response) => response.sessions,
+      providesTags: [{ type: "User", id: "SESSIONS" }],
+    }),
+
+    /**
+     * Sign out one of the current user's sessions
+     * @param {string} sessionId - Session ID
+     * @returns {Object} {sessionId, current}
+     */
+    revokeMySession: builder.mutation({
+      query: (sessionId) => ({
+        url: `${API_ENDPOINTS.USERS}/me/sessions/${sessionId}`,
+        method: "DELETE",
+      }),
+      invalidatesTags: [{ type: "User", id: "SESSIONS" }],
+    }),
+
+    /**
+     * Sign out all of the current user's sessions
+     * @param {Object} params - Options
+     * @param {boolean} params.exceptCurrent - Keep this session signed in
+     * @returns {Object} {revokedCount}
+     */
+    revokeMySessions: builder.mutation({
+      query: ({ exceptCurrent = false } = {}) => ({
+        url: `${API_ENDPOINTS.USERS}/me/sessions`,
+        method: "DELETE",
+        params: { exceptCurrent },
+      }),
+      invalidatesTags: [{ type: "User", id: "SESSIONS" }],
+    }),
+
+    /**
+     * Get the current user's two-factor status
+     * @returns {Object} {available, enabled, enabledAt, required, recoveryCodesRemaining}
+     */
+    getMyTwoFactor: builder.query({
+      query: () => `${API_ENDPOINTS.USERS}/me/two-factor`,
+      transformResponse: (response) => response.twoFactor,
+      providesTags: [{ type: "User", id: "TWO_FACTOR" }],
+    }),
+
+    /**
+     * Start two-factor enrollment
+     * @returns {Object} {secret, otpauthUrl, qrCode}
+     */
+    setupMyTwoFactor: builder.mutation({
+      query: () => ({
+        url: `${API_ENDPOINTS.USERS}/me/two-factor/setup`,
+        method: "POST",
+      }),
+      transformResponse: (response) => response.setup,
+    }),
+
+    /**
+     * Finish enrollment with a code from the authenticator app
+     * @param {string} code - Six-digit code
+     * @returns {Array<string>} One-time recovery codes
+     */
+    enableMyTwoFactor: builder.mutation({
+      query: (code) => ({
+        url: `${API_ENDPOINTS.USERS}/me/two-factor/enable`,
+        method: "POST",
+        body: { code },
+      }),
+      transformResponse: (response) => response.recoveryCodes,
+      invalidatesTags: [{ type: "User", id: "TWO_FACTOR" }],
+    }),
+
+    /**
+     * Turn off two-factor
+     * @param {string} password - Current password
+     */
+    disableMyTwoFactor: builder.mutation({
+      query: (password) => ({
+        url: `${API_ENDPOINTS.USERS}/me/two-factor/disable`,
+        method: "POST",
+        body: { password },
+      }),
+      invalidatesTags: [{ type: "User", id: "TWO_FACTOR" }],
+    }),
+
+    /**
+     * Replace all recovery codes
+     * @param {string} code - Six-digit code
+     * @returns {Array<string>} New one-time recovery codes
+     */
+    regenerateMyRecoveryCodes: builder.mutation({
+      query: (code) => ({
+        url: `${API_ENDPOINTS.USERS}/me/two-factor/recovery-codes`,
+        method: "POST",
+        body: { code },
+      }),
+      transformResponse: (response) => response.recoveryCodes,
+      invalidatesTags: [{ type: "User", id: "TWO_FACTOR" }],
+    }),
+
+    /**
+     * Clear a user's two-factor and sign them out everywhere (SuperAdmin)
+     * @param {string} userId - User ID
+     */
+    resetUserTwoFactor: builder.mutation({
+      query: (userId) => ({
+        url: `${API_ENDPOINTS.USERS}/${userId}/two-factor/reset`,
+        method: "POST",
+      }),
+      invalidatesTags: (result, error, userId) => [
+        { type: "User", id: userId },
+      ],
+    }),
+
+    /**
+     * Get whether the current user has a calendar feed URL
+     * @returns {Object} {enabled, createdAt}
+     */
+    getMyCalendarFeed: builder.query({
+      query: () => `${API_ENDPOINTS.USERS}/me/calendar-feed`,
+      transformResponse: (response) => response.calendarFeed,
+      providesTags: [{ type: "User", id: "CALENDAR_FEED" }],
+    }),
+
+    /**
+     * Create a new calendar feed URL; any previous URL stops working
+     * @returns {Object} {enabled, createdAt, url} - url is only returned here
+     */
+    createMyCalendarFeed: builder.mutation({
+      query: () => ({
+        url: `${API_ENDPOINTS.USERS}/me/calendar-feed`,
+        method: "POST",
+      }),
+      transformResponse: (response) => response.calendarFeed,
+      invalidatesTags: [{ type: "User", id: "CALENDAR_FEED" }],
+    }),
+
+    /**
+     * Revoke the calendar feed URL
+     */
+    revokeMyCalendarFeed: builder.mutation({
+      query: () => ({
+        url: `${API_ENDPOINTS.USERS}/me/calendar-feed`,
+        method: "DELETE",
+      }),
+      invalidatesTags: [{ type: "User", id: "CALENDAR_FEED" }],
+    }),
+
+    /**
+     * Send or schedule an announcement to the organization or chosen departments
      * @param {Object} data - Announcement data
      * @param {string} data.title - Announcement title
      * @param {string} data.message - Announcement message
-     * @param {string} data.targetType - Target type: 'organization' or 'department'
-     * @param {string} data.targetDepartmentId - Target department ID (required if targetType is 'department')
-     * @returns {Object} Announcement confirmation
+     * @param {string} data.targetType - Target type: 'organization' or 'departments'
+     * @param {Array<string>} data.targetDepartmentIds - Target department IDs (required if targetType is 'departments')
+     * @param {string} data.scheduledFor - Future send date (optional, sends now if omitted)
+     * @returns {Object} Created announcement
      */
     sendBulkAnnouncement: builder.mutation({
       query: (data) => ({
@@ -305,8 +473,11 @@ export const userApi = apiSlice.injectEndpoints({
         method: "POST",
         body: data,
       }),
-      transformResponse: (response) => response.notification,
-      invalidatesTags: [{ type: "Notification", id: "LIST" }],
+      transformResponse: (response) => response.announcement,
+      invalidatesTags: [
+        { type: "Notification", id: "LIST" },
+        { type: "Announcement", id: "LIST" },
+      ],
     }),
   }),
 });
@@ -326,5 +497,17 @@ export const {
   useUpdateEmailPreferencesMutation,
   useGetMyEmailPreferencesQuery,
   useUpdateMyEmailPreferencesMutation,
+  useGetMySessionsQuery,
+  useRevokeMySessionMutation,
+  useRevokeMySessionsMutation,
+  useGetMyTwoFactorQuery,
+  useSetupMyTwoFactorMutation,
+  useEnableMyTwoFactorMutation,
+  useDisableMyTwoFactorMutation,
+  useRegenerateMyRecoveryCodesMutation,
+  useResetUserTwoFactorMutation,
+  useGetMyCalendarFeedQuery,
+  useCreateMyCalendarFeedMutation,
+  useRevokeMyCalendarFeedMutation,
   useSendBulkAnnouncementMutation,
 } = userApi;
@@ -91,6 +91,20 @@ const router = createBrowserRouter([
               return { Component: m.default };
             },
           },
+          {
+            path: "schedule",
+            lazy: async () => {
+              const m = await import("../pages/Schedule.jsx");
+              return { Component: m.default };
+            },
+          },
+          {
+            path: "timesheets",
+            lazy: async () => {
+              const m = await import("../pages/Timesheets.jsx");
+              return { Component: m.default };
+            },
+          },
           {
             path: "users",
             lazy: async () => {
@@ -98,6 +112,27 @@ const router = createBrowserRouter([
               return { Component: m.default };
             },
           },
+          {
+            path: "settings/notifications",
+            lazy: async () => {
+              const m = await import("../pages/NotificationPreferences.jsx");
+              return { Component: m.default };
+            },
+          },
+          {
+            path: "settings/sessions",
+            lazy: async () => {
+              const m = await import("../pages/Sessions.jsx");
+              return { Component: m.default };
+            },
+          },
+          {
+            path: "settings/security",
+            lazy: async () => {
+              const m = await import("../pages/Security.jsx");
+              return { Component: m.default };
+            },
+          },
           // Resources Section (HODs)
           {
             path: "materials",
@@ -113,6 +148,34 @@ const router = createBrowserRouter([
               return { Component: m.default };
             },
           },
+          {
+            path: "vendors/:vendorId",
+            lazy: async () => {
+              const m = await import("../pages/VendorDetails.jsx");
+              return { Component: m.default };
+            },
+          },
+          {
+            path: "purchase-orders",
+            lazy: async () => {
+              const m = await import("../pages/PurchaseOrders.jsx");
+              return { Component: m.default };
+            },
+          },
+          {
+            path: "announcements",
+            lazy: async () => {
+              const m = await import("../pages/Announcements.jsx");
+              return { Component: m.default };
+            },
+          },
+          {
+            path: "sla-policies",
+            lazy: async () => {
+              const m = await import("../pages/SlaPolicies.jsx");
+              return { Component: m.default };
+            },
+          },
           // Administration Section (SuperAdmins)
           {
             path: "admin/organization",
@@ -135,6 +198,13 @@ const router = createBrowserRouter([
               return { Component: m.default };
             },
           },
+          {
+            path: "admin/security-events",
+            lazy: async () => {
+              const m = await import("../pages/SecurityEvents.jsx");
+              return { Component: m.default };
+            },
+          },
           // Platform Section (Platform SuperAdmins)
           {
             path: "platform/organizations",
@@ -2,11 +2,42 @@
 import { toast } from "react-toastify";
 import { store } from "../redux/app/store";
 import { SOCKET_EVENTS } from "../utils/constants";
-import { apiSlice } from "../redux/features/api";
+import { apiSlice, API_TAG_TYPES } from "../redux/features/api";
+import { patchCachedTask } from "../redux/features/task/taskApi";
 import {
   incrementUnreadCount,
   decrementUnreadCount,
+  setUnreadCount,
 } from "../redux/features/notification/notificationSlice";
+import {
+  setPresenceSnapshot,
+  updatePresence,
+  setTaskViewers,
+  clearPresence,
+} from "../redux/features/presence/presenceSlice";
+
+/**
+ * Move an updated task's card on open boards straight away, then refetch
+ * @param {Object} data - Payload with taskId and, when changed, status/priority
+ */
+const applyTaskUpdate = (data) => {
+  const taskId = data.taskId || data.task?._id;
+  const changes = Object.fromEntries(
+    ["status", "priority"]
+      .filter((field) => data[field] !== undefined)
+      .map((field) => [field, data[field]])
+  );
+  if (taskId && Object.keys(changes).length > 0) {
+    patchCachedTask(store.dispatch, store.getState, taskId, changes);
+  }
+
+  store.dispatch(
+    apiSlice.util.invalidateTags([
+      { type: "Task", id: taskId },
+      { type: "Task", id: "LIST" },
+    ])
+  );
+};
 
 /**
  * Socket.IO Event Handlers
@@ -40,13 +71,8 @@ export const handleSocketEvents = (socket) => {
   socket.on(SOCKET_EVENTS.TASK_UPDATED, (data) => {
     console.log("Task updated:", data);
     
-    // Invalidate specific task and list cache
-    store.dispatch(
-      apiSlice.util.invalidateTags([
-        { type: "Task", id: data.task?._id },
-        { type: "Task", id: "LIST" },
-      ])
-    );
+    // Patch open lists and invalidate specific task and list cache
+    applyTaskUpdate(data);
 
     // Show toast notification
     toast.info(`Task updated: ${data.task?.title || "Untitled"}`);
@@ -99,6 +125,11 @@ export const handleSocketEvents = (socket) => {
 
   socket.on(SOCKET_EVENTS.DEPT_TASK_UPDATED, (data) => {
     console.log("Department task updated:", data);
+    applyTaskUpdate(data);
+  });
+
+  socket.on(SOCKET_EVENTS.DEPT_TASK_DELETED, (data) => {
+    console.log("Department task deleted:", data);
     store.dispatch(
       apiSlice.util.invalidateTags([
         { type: "Task", id: data.task?._id },
@@ -107,8 +138,8 @@ export const handleSocketEvents = (socket) => {
     );
   });
 
-  socket.on(SOCKET_EVENTS.DEPT_TASK_DELETED, (data) => {
-    console.log("Department task deleted:", data);
+  socket.on(SOCKET_EVENTS.DEPT_TASK_RESTORED, (data) => {
+    console.log("Department task restored:", data);
     store.dispatch(
       apiSlice.util.invalidateTags([
         { type: "Task", id: data.task?._id },
@@ -117,12 +148,13 @@ export const handleSocketEvents = (socket) => {
     );
   });
 
-  socket.on(SOCKET_EVENTS.DEPT_TASK_RESTORED, (data) => {
-    console.log("Department task restored:", data);
+  socket.on(SOCKET_EVENTS.DEPT_TASK_CHECKLIST_UPDATED, (data) => {
+    console.log("Department task checklist updated:", data);
     store.dispatch(
       apiSlice.util.invalidateTags([
-        { type: "Task", id: data.task?._id },
+        { type: "Task", id: data.taskId },
         { type: "Task", id: "LIST" },
+        { type: "TaskActivity", id: "LIST" },
       ])
     );
   });
@@ -138,12 +170,7 @@ export const handleSocketEvents = (socket) => {
 
   socket.on(SOCKET_EVENTS.ORG_TASK_UPDATED, (data) => {
     console.log("Organization task updated:", data);
-    store.dispatch(
-      apiSlice.util.invalidateTags([
-        { type: "Task", id: data.task?._id },
-        { type: "Task", id: "LIST" },
-      ])
-    );
+    applyTaskUpdate(data);
   });
 
   socket.on(SOCKET_EVENTS.ORG_TASK_DELETED, (data) => {
@@ -264,21 +291,133 @@ export const handleSocketEvents = (socket) => {
 
   /**
    * Notification Read Event
+   * Emitted to the user's own tabs for read, read-all, unread, archive,
+   * unarchive and delete actions
    */
   socket.on(SOCKET_EVENTS.NOTIFICATION_READ, (data) => {
     console.log("Notification read:", data);
-    
+
     // Invalidate notifications cache
     store.dispatch(
       apiSlice.util.invalidateTags([
-        { type: "Notification", id: data.notification?._id },
+        ...(data.notificationIds || []).map((id) => ({
+          type: "Notification",
+          id,
+        })),
         { type: "Notification", id: "LIST" },
         { type: "Notification", id: "UNREAD_COUNT" },
       ])
     );
 
-    // Decrement unread count
-    store.dispatch(decrementUnreadCount());
+    // Sync unread count
+    if (typeof data.unreadCount === "number") {
+      store.dispatch(setUnreadCount(data.unreadCount));
+    } else {
+      store.dispatch(decrementUnreadCount());
+    }
+  });
+
+  // ==================== ANNOUNCEMENT EVENTS ====================
+
+  /**
+   * Announcement Received Event
+   */
+  socket.on(SOCKET_EVENTS.ANNOUNCEMENT_RECEIVED, (data) => {
+    console.log("Announcement received:", data);
+
+    store.dispatch(
+      apiSlice.util.invalidateTags([
+        { type: "Notification", id: "LIST" },
+        { type: "Notification", id: "UNREAD_COUNT" },
+        { type: "Announcement", id: "PINNED" },
+      ])
+    );
+
+    toast.info(`${data.senderName}: ${data.title}`, {
+      autoClose: 5000,
+    });
+  });
+
+  /**
+   * Organization Announcement Updated Event
+   */
+  socket.on(SOCKET_EVENTS.ORG_ANNOUNCEMENT_UPDATED, (data) => {
+    console.log("Announcement updated:", data);
+
+    store.dispatch(
+      apiSlice.util.invalidateTags([
+        { type: "Announcement", id: data.announcementId },
+        { type: "Announcement", id: "LIST" },
+        { type: "Announcement", id: "PINNED" },
+      ])
+    );
+  });
+
+  // ==================== PREFERENCE EVENTS ====================
+
+  /**
+   * Preferences Updated Event (from another tab or by a SuperAdmin)
+   */
+  socket.on(SOCKET_EVENTS.PREFERENCES_UPDATED, (data) => {
+    console.log("Preferences updated:", data);
+
+    store.dispatch(
+      apiSlice.util.invalidateTags([
+        { type: "User", id: "ME" },
+        { type: "User", id: data.userId },
+      ])
+    );
+  });
+
+  // ==================== PRESENCE EVENTS ====================
+
+  /**
+   * Presence Snapshot Event (sent once per connection)
+   */
+  socket.on(SOCKET_EVENTS.PRESENCE_SNAPSHOT, (data) => {
+    store.dispatch(setPresenceSnapshot(data.users || []));
+  });
+
+  /**
+   * Presence Updated Event (a user came online, went away or went offline)
+   */
+  socket.on(SOCKET_EVENTS.PRESENCE_UPDATED, (data) => {
+    store.dispatch(updatePresence(data));
+  });
+
+  /**
+   * Task Viewers Event (someone opened, left or is typing in a task)
+   */
+  socket.on(SOCKET_EVENTS.TASK_VIEWERS, (data) => {
+    store.dispatch(setTaskViewers(data));
+  });
+
+  // Presence is stale while disconnected; a new snapshot follows reconnect
+  socket.on(SOCKET_EVENTS.DISCONNECT, () => {
+    store.dispatch(clearPresence());
+  });
+};
+
+/**
+ * Apply the server's answer to an events:replay request
+ *
+ * Missed events are passed to the socket's own listeners in order, as if
+ * they had arrived live. When the server can no longer replay them, every
+ * cached query is invalidated so it refetches.
+ *
+ * @param {Socket} socket - Socket.IO client instance
+ * @param {Object} result - {resync, events: [{seq, event, payload}]}
+ */
+export const replayMissedEvents = (socket, result) => {
+  if (!result || result.resync) {
+    console.log("Missed events unavailable, refetching cached data");
+    store.dispatch(apiSlice.util.invalidateTags(API_TAG_TYPES));
+    return;
+  }
+
+  console.log(`Replaying ${result.events.length} missed socket event(s)`);
+  result.events.forEach(({ event, payload }) => {
+    socket.listeners(event).forEach((listener) => listener(payload));
   });
 };
 
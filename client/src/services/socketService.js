@@ -2,7 +2,7 @@
 import { io } from "socket.io-client";
 import { handleAuthError, isAuthError } from "../utils/errorHandler";
 import { SOCKET_CONFIG, SOCKET_EVENTS, ENV } from "../utils/constants";
-import { handleSocketEvents } from "./socketEvents";
+import { handleSocketEvents, replayMissedEvents } from "./socketEvents";
 
 /**
  * Socket.IO Service
@@ -16,6 +16,8 @@ import { handleSocketEvents } from "./socketEvents";
  * - Centralized error handling
  * - Event listener management
  * - Room management (user, department, organization)
+ * - Presence: reports the tab as away while it is hidden
+ * - Replay of events missed while disconnected
  */
 class SocketService {
   constructor() {
@@ -23,6 +25,8 @@ class SocketService {
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = SOCKET_CONFIG.RECONNECTION_ATTEMPTS;
+    // { epoch, lastSeq } of the last sequenced event received
+    this.eventCursor = null;
   }
 
   /**
@@ -66,6 +70,8 @@ class SocketService {
 
     // Connection events
     this.socket.on(SOCKET_EVENTS.CONNECTED, this.handleConnect);
+    this.socket.on(SOCKET_EVENTS.CONNECTED, this.handleEventReplay);
+    this.socket.onAny(this.trackEventSeq);
     this.socket.on("connect", this.handleConnect);
     this.socket.on("disconnect", this.handleDisconnect);
     this.socket.on("connect_error", this.handleConnectError);
@@ -75,6 +81,8 @@ class SocketService {
 
     // Setup application-specific event handlers
     handleSocketEvents(this.socket);
+
+    document.addEventListener("visibilitychange", this.handleVisibilityChange);
   }
 
   /**
@@ -85,8 +93,53 @@ class SocketService {
     this.isConnected = true;
     this.reconnectAttempts = 0;
 
-    // Emit any pending events or perform post-connection tasks
-    // Example: Join rooms, sync state, etc.
+    // The server counts every new connection as online
+    if (document.visibilityState === "hidden") {
+      this.handleVisibilityChange();
+    }
+  };
+
+  /**
+   * Remember the sequence of each logged event the server sends
+   */
+  trackEventSeq = (_event, data) => {
+    if (this.eventCursor && data?._seq > this.eventCursor.lastSeq) {
+      this.eventCursor.lastSeq = data._seq;
+    }
+  };
+
+  /**
+   * After a reconnect, ask the server for the events sent while this client
+   * was away. Uses the event log cursor in the server's "connected" payload.
+   */
+  handleEventReplay = (data) => {
+    const serverLog = data?.eventLog;
+    if (!serverLog) return;
+
+    const previous = this.eventCursor;
+    this.eventCursor = { epoch: serverLog.epoch, lastSeq: serverLog.seq };
+
+    // First connection, or connection state recovery already redelivered
+    if (!previous || data.recovered) return;
+
+    this.emit(
+      SOCKET_EVENTS.EVENTS_REPLAY,
+      {
+        epoch: previous.epoch,
+        lastSeq: previous.lastSeq,
+        untilSeq: serverLog.seq,
+      },
+      (result) => replayMissedEvents(this.socket, result)
+    );
+  };
+
+  /**
+   * Report presence when the tab is hidden or shown again
+   */
+  handleVisibilityChange = () => {
+    this.emit(SOCKET_EVENTS.PRESENCE_SET, {
+      status: document.visibilityState === "hidden" ? "away" : "online",
+    });
   };
 
   /**
@@ -166,11 +219,16 @@ class SocketService {
   disconnect() {
     if (this.socket) {
       console.log("Disconnecting socket...");
+      document.removeEventListener(
+        "visibilitychange",
+        this.handleVisibilityChange
+      );
       this.socket.disconnect();
       this.socket.removeAllListeners();
       this.socket = null;
       this.isConnected = false;
       this.reconnectAttempts = 0;
+      this.eventCursor = null;
     }
   }
 
@@ -109,16 +109,25 @@ export const ROUTES = {
   // Protected routes
   DASHBOARD: "/dashboard",
   TASKS: "/tasks",
+  SCHEDULE: "/schedule",
+  TIMESHEETS: "/timesheets",
   USERS: "/users",
+  NOTIFICATION_PREFERENCES: "/settings/notifications",
+  SESSIONS: "/settings/sessions",
+  SECURITY: "/settings/security",
 
   // Resources (HODs)
   MATERIALS: "/materials",
   VENDORS: "/vendors",
+  PURCHASE_ORDERS: "/purchase-orders",
+  ANNOUNCEMENTS: "/announcements",
+  SLA_POLICIES: "/sla-policies",
 
   // Administration (SuperAdmins)
   ORGANIZATION: "/admin/organization",
   DEPARTMENTS: "/admin/departments",
   ADMIN_USERS: "/admin/users",
+  SECURITY_EVENTS: "/admin/security-events",
 
   // Platform (Platform SuperAdmins)
   PLATFORM_ORGANIZATIONS: "/platform/organizations",
@@ -140,6 +149,7 @@ export const SOCKET_EVENTS = {
   CONNECT_ERROR: "connect_error",
   ERROR: "error",
   SERVER_SHUTDOWN: "server_shutdown",
+  EVENTS_REPLAY: "events:replay",
 
   // Task events
   TASK_CREATED: "task:created",
@@ -152,6 +162,7 @@ export const SOCKET_EVENTS = {
   DEPT_TASK_UPDATED: "department:task:updated",
   DEPT_TASK_DELETED: "department:task:deleted",
   DEPT_TASK_RESTORED: "department:task:restored",
+  DEPT_TASK_CHECKLIST_UPDATED: "department:task:checklist:updated",
 
   // Organization task events
   ORG_TASK_CREATED: "organization:task:created",
@@ -185,6 +196,24 @@ export const SOCKET_EVENTS = {
   // Notification events
   NOTIFICATION_CREATED: "notification:created",
   NOTIFICATION_READ: "notification:read",
+
+  // Announcement events
+  ANNOUNCEMENT_RECEIVED: "announcementReceived",
+  ORG_ANNOUNCEMENT_UPDATED: "organization:announcement:updated",
+
+  // Preference events
+  PREFERENCES_UPDATED: "emailPreferencesUpdated",
+
+  // Presence events
+  PRESENCE_SNAPSHOT: "presence:snapshot",
+  PRESENCE_UPDATED: "presence:updated",
+  PRESENCE_SET: "presence:set",
+
+  // Task room events
+  TASK_JOIN: "task:join",
+  TASK_LEAVE: "task:leave",
+  TASK_TYPING: "task:typing",
+  TASK_VIEWERS: "task:viewers",
 };
 
 // ==================== SOCKET.IO CONFIGURATION ====================
@@ -215,6 +244,8 @@ export const API_ENDPOINTS = {
     REFRESH_TOKEN: "/auth/refresh-token",
     FORGOT_PASSWORD: "/auth/forgot-password",
     RESET_PASSWORD: "/auth/reset-password",
+    TWO_FACTOR_SETUP: "/auth/2fa/setup",
+    TWO_FACTOR_VERIFY: "/auth/2fa/verify",
   },
 
   // Resource endpoints
@@ -224,8 +255,15 @@ export const API_ENDPOINTS = {
   DEPARTMENTS: "/departments",
   MATERIALS: "/materials",
   VENDORS: "/vendors",
+  PURCHASE_ORDERS: "/purchase-orders",
   NOTIFICATIONS: "/notifications",
+  ANNOUNCEMENTS: "/announcements",
   ATTACHMENTS: "/attachments",
+  DASHBOARD: "/dashboard",
+  SECURITY_EVENTS: "/security-events",
+  AUDIT: "/audit",
+  TIME_ENTRIES: "/time-entries",
+  SLA_POLICIES: "/sla-policies",
 };
 
 // ==================== USER ROLES ====================
@@ -342,12 +380,15 @@ export const RTK_TAGS = {
   TASK: "Task",
   TASK_ACTIVITY: "TaskActivity",
   TASK_COMMENT: "TaskComment",
+  ROUTINE_TASK_TEMPLATE: "RoutineTaskTemplate",
   USER: "User",
   ORGANIZATION: "Organization",
   DEPARTMENT: "Department",
   MATERIAL: "Material",
   VENDOR: "Vendor",
+  PURCHASE_ORDER: "PurchaseOrder",
   NOTIFICATION: "Notification",
+  ANNOUNCEMENT: "Announcement",
   ATTACHMENT: "Attachment",
 };
 
@@ -381,6 +422,23 @@ export const TASK_TYPES = ["ProjectTask", "AssignedTask", "RoutineTask"];
 export const ROUTINE_TASK_STATUS = ["In Progress", "Completed", "Pending"];
 export const ROUTINE_TASK_PRIORITY = ["Medium", "High", "Urgent"];
 
+// Task dependencies (must match backend constants)
+export const MAX_TASK_BLOCKERS = 20;
+// Statuses a task cannot move to while any of its blockers is still open
+export const BLOCKED_TASK_STATUS = ["In Progress", "Completed"];
+
+// Task board
+export const TASK_BOARD_SWIMLANES = ["none", "assignee", "priority"];
+// The board loads a single page of this size; narrow it with filters
+export const TASK_BOARD_LIMIT = 100;
+
+// Recurring RoutineTask templates (must match backend constants)
+export const RECURRENCE_FREQUENCIES = ["Daily", "Weekly", "Monthly"];
+export const MAX_RECURRENCE_INTERVAL = 365;
+export const MAX_RECURRENCE_OCCURRENCES = 1000;
+// Index matches JavaScript Date#getDay (0 = Sunday)
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
 // ==================== ATTACHMENT CONSTANTS ====================
 export const ATTACHMENT_TYPES = [
   "image",
@@ -441,6 +499,47 @@ export const MATERIAL_CATEGORIES = [
   "Other",
 ];
 
+// ==================== INVENTORY CONSTANTS ====================
+export const INVENTORY_MOVEMENT_TYPES = [
+  "Receipt",
+  "Consumption",
+  "Adjustment",
+  "Transfer",
+];
+// Consumption is recorded automatically from task/activity materials
+export const MANUAL_INVENTORY_MOVEMENT_TYPES = [
+  "Receipt",
+  "Adjustment",
+  "Transfer",
+];
+export const MAX_INVENTORY_NOTE_LENGTH = 200;
+
+// ==================== PURCHASE ORDER CONSTANTS ====================
+export const PURCHASE_ORDER_STATUS = [
+  "Draft",
+  "Approved",
+  "Ordered",
+  "Received",
+  "Cancelled",
+];
+// Must match backend PURCHASE_ORDER_TRANSITIONS
+export const PURCHASE_ORDER_TRANSITIONS = {
+  Draft: ["Approved", "Cancelled"],
+  Approved: ["Ordered", "Cancelled"],
+  Ordered: ["Received", "Cancelled"],
+  Received: [],
+  Cancelled: [],
+};
+export const EDITABLE_PURCHASE_ORDER_STATUS = ["Draft"];
+export const DELETABLE_PURCHASE_ORDER_STATUS = ["Draft", "Cancelled"];
+export const MAX_PURCHASE_ORDER_ITEMS = 50;
+export const MAX_PURCHASE_ORDER_NOTES_LENGTH = 500;
+
+// ==================== VENDOR SCORECARD CONSTANTS ====================
+export const MIN_VENDOR_RATING = 1;
+export const MAX_VENDOR_RATING = 5;
+export const MAX_VENDOR_RATING_COMMENT_LENGTH = 500;
+
 // ==================== POLYMORPHIC REFERENCE CONSTANTS ====================
 export const TASK_ACTIVITY_PARENT_MODELS = ["AssignedTask", "ProjectTask"];
 export const TASK_COMMENT_PARENT_MODELS = [
@@ -455,6 +554,7 @@ export const TASK_COMMENT_PARENT_MODELS = [
 export const MAX_NOTIFICATION_TITLE_LENGTH = 50;
 export const MAX_NOTIFICATION_MESSAGE_LENGTH = 200;
 export const NOTIFICATION_EXPIRY_DAYS = 30;
+export const MAX_NOTIFICATION_BULK_IDS = 100;
 export const NOTIFICATION_TYPES = [
   "Created",
   "Updated",
@@ -463,6 +563,9 @@ export const NOTIFICATION_TYPES = [
   "Mention",
   "Welcome",
   "Announcement",
+  "Reminder",
+  "LowStock",
+  "Escalation",
 ];
 export const NOTIFICATION_ENTITY_MODELS = [
   "RoutineTask",
@@ -473,8 +576,62 @@ export const NOTIFICATION_ENTITY_MODELS = [
   "User",
   "Department",
   "Organization",
+  "Material",
+  "PurchaseOrder",
+  "Announcement",
+];
+
+// ==================== NOTIFICATION PREFERENCE CONSTANTS ====================
+export const NOTIFICATION_CHANNELS = ["inApp", "email", "digest"];
+export const NOTIFICATION_PREFERENCE_CATEGORIES = [
+  "taskNotifications",
+  "taskReminders",
+  "mentions",
+  "announcements",
+];
+export const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// ==================== PRESENCE CONSTANTS ====================
+export const PRESENCE_STATUSES = ["online", "away", "offline"];
+// Stop showing "typing" this long after the last keystroke
+export const TYPING_IDLE_MS = 3000;
+
+// ==================== DIGEST CONSTANTS ====================
+export const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+
+// ==================== ANNOUNCEMENT CONSTANTS ====================
+export const ANNOUNCEMENT_TARGET_TYPES = ["organization", "departments"];
+export const ANNOUNCEMENT_STATUS = ["Scheduled", "Sent", "Cancelled", "Failed"];
+export const MAX_ANNOUNCEMENT_DEPARTMENTS = 20;
+export const MAX_PINNED_ANNOUNCEMENTS = 3;
+
+// ==================== SECURITY EVENT CONSTANTS ====================
+export const SECURITY_EVENT_TYPES = [
+  "LoginSucceeded",
+  "LoginFailed",
+  "AccountLocked",
+  "PasswordResetRequested",
+  "PasswordReset",
+  "RoleChanged",
 ];
 
+// ==================== AUDIT LOG CONSTANTS ====================
+export const AUDIT_ACTIONS = ["Created", "Updated", "Deleted", "Restored"];
+
+// ==================== TIME TRACKING CONSTANTS ====================
+// Must match backend MAX_TIME_ENTRY_MINUTES, MAX_TIME_ENTRY_NOTE_LENGTH and
+// MAX_HOURLY_RATE
+export const MAX_TIME_ENTRY_MINUTES = 24 * 60;
+export const MAX_TIME_ENTRY_NOTE_LENGTH = 500;
+export const MAX_HOURLY_RATE = 100000;
+
+// ==================== SLA CONSTANTS ====================
+// Must match backend SLA_TASK_TYPES and MAX_SLA_MINUTES
+export const SLA_TASK_TYPES = ["AssignedTask", "ProjectTask"];
+export const MAX_SLA_MINUTES = 365 * 24 * 60;
+// An open target counts as at risk once this share of its window has passed
+export const SLA_AT_RISK_RATIO = 0.75;
+
 // ==================== PROJECT TASK CONSTANTS ====================
 export const PROJECT_TASK_COST_HISTORY_FIELDS = [
   "estimatedCost",
@@ -507,9 +664,11 @@ export const MAX_MATERIALS_PER_ENTITY = 20;
 export const MAX_TAGS_PER_TASK = 5;
 export const MAX_MENTIONS_PER_COMMENT = 5;
 export const MAX_SKILLS_PER_USER = 10;
+export const MAX_CHECKLIST_ITEMS = 50;
 
 // ==================== LENGTH VALIDATION CONSTANTS ====================
 export const MAX_TITLE_LENGTH = 50;
+export const MAX_CHECKLIST_ITEM_TITLE_LENGTH = 200;
 export const MAX_DESCRIPTION_LENGTH = 2000;
 export const MAX_ACTIVITY_LENGTH = 2000;
 export const MAX_COMMENT_LENGTH = 2000;
@@ -106,3 +106,30 @@ export const getStartOfDay = (date) => {
 export const getEndOfDay = (date) => {
   return dayjs(date).endOf("day").utc().toISOString();
 };
+
+/**
+ * Format logged minutes for display
+ * @param {number} minutes - Whole minutes
+ * @returns {string} e.g. "2h 15m", "45m"
+ */
+export const formatDuration = (minutes) => {
+  const total = Math.max(Math.round(minutes || 0), 0);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+/**
+ * Format a running timer's elapsed time
+ * @param {string|Date} startedAt - When the timer started
+ * @param {dayjs.Dayjs} [now] - Current time
+ * @returns {string} e.g. "1:05:09"
+ */
+export const formatElapsed = (startedAt, now = dayjs()) => {
+  const seconds = Math.max(now.diff(dayjs(startedAt), "second"), 0);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${Math.floor(seconds / 3600)}:${pad(
+    Math.floor((seconds % 3600) / 60)
+  )}:${pad(seconds % 60)}`;
+};
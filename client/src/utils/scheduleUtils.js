@@ -0,0 +1,106 @@
+// client/src/utils/scheduleUtils.js
+import dayjs from "dayjs";
+import { utcToLocal, localToUtc } from "./dateUtils";
+
+/**
+ * Whether a task is scheduled as a start-to-due span rather than a single
+ * day (RoutineTask)
+ * @param {Object} task - Task object
+ * @returns {boolean}
+ */
+export const isRangedTask = (task) =>
+  (task.taskType || task.__t) !== "RoutineTask";
+
+/**
+ * First and last local day a task occupies
+ * @param {Object} task - Task object
+ * @returns {{start: dayjs.Dayjs, end: dayjs.Dayjs}|null} Null when unscheduled
+ */
+export const getTaskSpan = (task) => {
+  if (isRangedTask(task)) {
+    if (!task.startDate || !task.dueDate) return null;
+    return {
+      start: utcToLocal(task.startDate).startOf("day"),
+      end: utcToLocal(task.dueDate).startOf("day"),
+    };
+  }
+  if (!task.date) return null;
+  const day = utcToLocal(task.date).startOf("day");
+  return { start: day, end: day };
+};
+
+/**
+ * Date changes that move a task by whole days, keeping its duration
+ * @param {Object} task - Task object
+ * @param {number} days - Days to move by (negative moves earlier)
+ * @returns {Object} {startDate, dueDate} or {date}, as UTC ISO strings
+ */
+export const shiftTaskSchedule = (task, days) => {
+  if (isRangedTask(task)) {
+    return {
+      startDate: localToUtc(utcToLocal(task.startDate).add(days, "day")),
+      dueDate: localToUtc(utcToLocal(task.dueDate).add(days, "day")),
+    };
+  }
+  return { date: localToUtc(utcToLocal(task.date).add(days, "day")) };
+};
+
+/**
+ * Check a reschedule against the update rules in backend taskValidators.js
+ * @param {Object} task - Task being moved
+ * @param {Object} changes - Output of shiftTaskSchedule
+ * @returns {string|null} Error message, or null when the move is allowed
+ */
+export const getRescheduleError = (task, changes) => {
+  const today = dayjs().startOf("day");
+
+  if (isRangedTask(task)) {
+    const start = utcToLocal(changes.startDate).startOf("day");
+    const due = utcToLocal(changes.dueDate).startOf("day");
+    if (start.isBefore(today)) return "Start date cannot be in the past";
+    if (due.isBefore(start)) {
+      return "Due date must be greater than or equal to start date";
+    }
+    return null;
+  }
+
+  if (utcToLocal(changes.date).startOf("day").isAfter(today)) {
+    return "Routine task log date cannot be in the future";
+  }
+  return null;
+};
+
+/**
+ * Days shown by a calendar view around an anchor day
+ * Month views are padded to whole weeks.
+ * @param {string} view - "month", "week" or "day"
+ * @param {dayjs.Dayjs} anchor - Any day in the period
+ * @returns {{start: dayjs.Dayjs, end: dayjs.Dayjs}} First and last day shown
+ */
+export const getCalendarRange = (view, anchor) => {
+  if (view === "month") {
+    return {
+      start: anchor.startOf("month").startOf("week"),
+      end: anchor.endOf("month").endOf("week").startOf("day"),
+    };
+  }
+  if (view === "week") {
+    return {
+      start: anchor.startOf("week"),
+      end: anchor.endOf("week").startOf("day"),
+    };
+  }
+  return { start: anchor.startOf("day"), end: anchor.startOf("day") };
+};
+
+/**
+ * Whether a task occupies a given local day
+ * @param {Object} task - Task object
+ * @param {dayjs.Dayjs} day - Start of the day
+ * @returns {boolean}
+ */
+export const isTaskOnDay = (task, day) => {
+  const span = getTaskSpan(task);
+  if (!span) return false;
+  return !day.isBefore(span.start) && !day.isAfter(span.end);
+};
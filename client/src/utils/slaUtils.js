@@ -0,0 +1,66 @@
+// client/src/utils/slaUtils.js
+import { SLA_AT_RISK_RATIO } from "./constants";
+
+const SLA_COLORS = {
+  Met: "success",
+  "On track": "info",
+  "At risk": "warning",
+  Breached: "error",
+};
+
+const TARGET_LABELS = {
+  response: "Start",
+  resolution: "Completion",
+};
+
+/**
+ * SLA standing of a task, mirroring the backend evaluator (utils/sla.js):
+ * a target is breached once escalated or once its deadline passes while open
+ * @param {Object} task - Task with status, createdAt and sla
+ * @param {Date} now - Reference time (default: current time)
+ * @returns {{status: string, color: string, target: string|null, dueAt: string|null}|null}
+ *   Null when no SLA policy governs the task
+ */
+export const getSlaStatus = (task, now = new Date()) => {
+  const sla = task?.sla;
+  if (!sla?.responseDueAt && !sla?.resolutionDueAt) return null;
+
+  const result = (status, target = null, dueAt = null) => ({
+    status,
+    color: SLA_COLORS[status],
+    target,
+    dueAt,
+  });
+
+  const [breach] = sla.breaches || [];
+  if (breach) return result("Breached", breach.target);
+  if (task.status === "Completed") return result("Met");
+
+  // The nearest deadline still open decides the standing
+  const open = [
+    !sla.respondedAt && sla.responseDueAt && ["response", sla.responseDueAt],
+    sla.resolutionDueAt && ["resolution", sla.resolutionDueAt],
+  ].filter(Boolean);
+  if (open.length === 0) return result("Met");
+
+  const [target, dueAt] = open.sort(
+    ([, a], [, b]) => new Date(a) - new Date(b)
+  )[0];
+  const due = new Date(dueAt).getTime();
+  if (due <= now.getTime()) return result("Breached", target, dueAt);
+
+  const start = new Date(task.createdAt).getTime();
+  const elapsed = (now.getTime() - start) / (due - start);
+  return result(
+    elapsed >= SLA_AT_RISK_RATIO ? "At risk" : "On track",
+    target,
+    dueAt
+  );
+};
+
+/**
+ * Label of an SLA target, e.g. "Start" for response
+ * @param {string} target - "response" or "resolution"
+ * @returns {string}
+ */
+export const getSlaTargetLabel = (target) => TARGET_LABELS[target] || target;